@@ -0,0 +1,7 @@
+// Test environment: quiet logs and signing keys outside the working tree
+import os from 'os';
+import path from 'path';
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.JWT_KEYS_DIR = path.join(os.tmpdir(), 'hrms-test-jwt-keys');
@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "refresh_tokens" ADD COLUMN     "familyId" TEXT,
+ADD COLUMN     "replacedById" TEXT,
+ADD COLUMN     "revokedAt" TIMESTAMP(3);
+
+-- Backfill: every pre-existing token starts its own family
+UPDATE "refresh_tokens" SET "familyId" = "id" WHERE "familyId" IS NULL;
+
+-- AlterTable
+ALTER TABLE "refresh_tokens" ALTER COLUMN "familyId" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "refresh_tokens_familyId_idx" ON "refresh_tokens"("familyId");
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "refresh_tokens" ADD COLUMN     "deviceName" TEXT,
+ADD COLUMN     "ipAddress" TEXT,
+ADD COLUMN     "lastUsedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "userAgent" TEXT;
+
+-- CreateIndex
+CREATE INDEX "refresh_tokens_userId_idx" ON "refresh_tokens"("userId");
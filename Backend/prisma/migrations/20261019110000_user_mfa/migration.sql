@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "mfaEnabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "mfaEnabledAt" TIMESTAMP(3),
+ADD COLUMN     "mfaLastUsedStep" INTEGER,
+ADD COLUMN     "mfaRecoveryCodes" TEXT[],
+ADD COLUMN     "mfaSecret" TEXT;
@@ -0,0 +1,10 @@
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE 'READ';
+
+-- Grant the new permission to built-in roles that were already materialised
+INSERT INTO "role_permissions" ("id", "roleId", "permission", "scope")
+SELECT gen_random_uuid()::text, "id", 'employees:sensitive',
+       CASE WHEN "name" = 'EMPLOYEE' THEN 'OWN'::"PermissionScope" ELSE 'ALL'::"PermissionScope" END
+FROM "access_roles"
+WHERE "isSystem" = true AND "name" IN ('ADMIN', 'HR', 'EMPLOYEE')
+ON CONFLICT ("roleId", "permission") DO NOTHING;
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "employees" ADD COLUMN     "bankAccountNumberHash" TEXT,
+ADD COLUMN     "taxIdHash" TEXT;
+
+-- CreateIndex
+CREATE INDEX "employees_bankAccountNumberHash_idx" ON "employees"("bankAccountNumberHash");
+
+-- CreateIndex
+CREATE INDEX "employees_taxIdHash_idx" ON "employees"("taxIdHash");
+
+-- Existing plaintext values are encrypted by `npm run fields:reencrypt`
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "audit_logs" ADD COLUMN "impersonatorId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "audit_logs_impersonatorId_idx" ON "audit_logs"("impersonatorId");
+
+-- AddForeignKey
+ALTER TABLE "audit_logs" ADD CONSTRAINT "audit_logs_impersonatorId_fkey" FOREIGN KEY ("impersonatorId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "ssoIssuer" TEXT,
+ADD COLUMN "ssoSubject" TEXT;
+
+-- CreateTable
+CREATE TABLE "sso_login_requests" (
+    "id" TEXT NOT NULL,
+    "state" TEXT NOT NULL,
+    "nonce" TEXT NOT NULL,
+    "codeVerifier" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "sso_login_requests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "users_ssoIssuer_ssoSubject_key" ON "users"("ssoIssuer", "ssoSubject");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "sso_login_requests_state_key" ON "sso_login_requests"("state");
+
+-- CreateIndex
+CREATE INDEX "sso_login_requests_expiresAt_idx" ON "sso_login_requests"("expiresAt");
@@ -0,0 +1,53 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "isServiceAccount" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "audit_logs" ADD COLUMN "apiKeyId" TEXT;
+
+-- CreateTable
+CREATE TABLE "api_keys" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "prefix" TEXT NOT NULL,
+    "keyHash" TEXT NOT NULL,
+    "permissions" TEXT[],
+    "expiresAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+    "lastUsedAt" TIMESTAMP(3),
+    "lastUsedIp" TEXT,
+    "serviceAccountId" TEXT NOT NULL,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "api_keys_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "api_keys_prefix_key" ON "api_keys"("prefix");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "api_keys_keyHash_key" ON "api_keys"("keyHash");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "api_keys_serviceAccountId_key" ON "api_keys"("serviceAccountId");
+
+-- CreateIndex
+CREATE INDEX "audit_logs_apiKeyId_idx" ON "audit_logs"("apiKeyId");
+
+-- AddForeignKey
+ALTER TABLE "audit_logs" ADD CONSTRAINT "audit_logs_apiKeyId_fkey" FOREIGN KEY ("apiKeyId") REFERENCES "api_keys"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "api_keys" ADD CONSTRAINT "api_keys_serviceAccountId_fkey" FOREIGN KEY ("serviceAccountId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "api_keys" ADD CONSTRAINT "api_keys_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Grant the new permission to the built-in ADMIN role if it was already materialised
+INSERT INTO "role_permissions" ("id", "roleId", "permission", "scope")
+SELECT gen_random_uuid()::text, "id", 'apiKeys:manage', 'ALL'::"PermissionScope"
+FROM "access_roles"
+WHERE "isSystem" = true AND "name" = 'ADMIN'
+ON CONFLICT ("roleId", "permission") DO NOTHING;
@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "employees_managerId_idx" ON "employees"("managerId");
@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "leave_requests" ADD COLUMN "onBehalfOfId" TEXT;
+
+-- CreateTable
+CREATE TABLE "approval_delegations" (
+    "id" TEXT NOT NULL,
+    "delegatorId" TEXT NOT NULL,
+    "delegateId" TEXT NOT NULL,
+    "startDate" DATE NOT NULL,
+    "endDate" DATE NOT NULL,
+    "leaveTypes" "LeaveType"[],
+    "reason" TEXT,
+    "revokedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "approval_delegations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "approval_delegations_delegatorId_idx" ON "approval_delegations"("delegatorId");
+
+-- CreateIndex
+CREATE INDEX "approval_delegations_delegateId_startDate_endDate_idx" ON "approval_delegations"("delegateId", "startDate", "endDate");
+
+-- AddForeignKey
+ALTER TABLE "leave_requests" ADD CONSTRAINT "leave_requests_onBehalfOfId_fkey" FOREIGN KEY ("onBehalfOfId") REFERENCES "employees"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "approval_delegations" ADD CONSTRAINT "approval_delegations_delegatorId_fkey" FOREIGN KEY ("delegatorId") REFERENCES "employees"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "approval_delegations" ADD CONSTRAINT "approval_delegations_delegateId_fkey" FOREIGN KEY ("delegateId") REFERENCES "employees"("id") ON DELETE CASCADE ON UPDATE CASCADE;
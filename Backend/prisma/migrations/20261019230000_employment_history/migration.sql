@@ -0,0 +1,49 @@
+-- CreateEnum
+CREATE TYPE "EmploymentChangeReason" AS ENUM ('HIRE', 'PROMOTION', 'TRANSFER', 'MERIT_INCREASE', 'DEMOTION', 'ADJUSTMENT');
+
+-- CreateTable
+CREATE TABLE "employment_records" (
+    "id" TEXT NOT NULL,
+    "employeeId" TEXT NOT NULL,
+    "effectiveDate" DATE NOT NULL,
+    "reason" "EmploymentChangeReason" NOT NULL,
+    "departmentId" TEXT,
+    "positionId" TEXT,
+    "managerId" TEXT,
+    "employmentType" "EmploymentType" NOT NULL,
+    "baseSalary" DECIMAL(10,2),
+    "currency" TEXT,
+    "notes" TEXT,
+    "appliedAt" TIMESTAMP(3),
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "employment_records_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "employment_records_employeeId_effectiveDate_idx" ON "employment_records"("employeeId", "effectiveDate");
+
+-- CreateIndex
+CREATE INDEX "employment_records_appliedAt_effectiveDate_idx" ON "employment_records"("appliedAt", "effectiveDate");
+
+-- AddForeignKey
+ALTER TABLE "employment_records" ADD CONSTRAINT "employment_records_employeeId_fkey" FOREIGN KEY ("employeeId") REFERENCES "employees"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "employment_records" ADD CONSTRAINT "employment_records_departmentId_fkey" FOREIGN KEY ("departmentId") REFERENCES "departments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "employment_records" ADD CONSTRAINT "employment_records_positionId_fkey" FOREIGN KEY ("positionId") REFERENCES "positions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "employment_records" ADD CONSTRAINT "employment_records_managerId_fkey" FOREIGN KEY ("managerId") REFERENCES "employees"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "employment_records" ADD CONSTRAINT "employment_records_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Opening record per employee: the job details on file when history starts
+INSERT INTO "employment_records" ("id", "employeeId", "effectiveDate", "reason", "departmentId", "positionId", "managerId", "employmentType", "baseSalary", "currency", "notes", "appliedAt", "updatedAt")
+SELECT gen_random_uuid()::text, "id", CURRENT_DATE, 'ADJUSTMENT', "departmentId", "positionId", "managerId", "employmentType", "baseSalary", "currency", 'Job details on file when employment history was introduced', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+FROM "employees";
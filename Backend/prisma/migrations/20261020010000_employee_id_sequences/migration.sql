@@ -0,0 +1,8 @@
+-- CreateTable
+CREATE TABLE "employee_id_sequences" (
+    "scope" TEXT NOT NULL,
+    "value" INTEGER NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "employee_id_sequences_pkey" PRIMARY KEY ("scope")
+);
@@ -0,0 +1,45 @@
+-- CreateEnum
+CREATE TYPE "CustomFieldType" AS ENUM ('TEXT', 'NUMBER', 'DATE', 'SELECT', 'MULTI_SELECT');
+
+-- CreateEnum
+CREATE TYPE "CustomFieldEntity" AS ENUM ('EMPLOYEE', 'JOB_APPLICATION');
+
+-- AlterTable
+ALTER TABLE "employees" ADD COLUMN "customFields" JSONB NOT NULL DEFAULT '{}';
+
+-- AlterTable
+ALTER TABLE "job_applications" ADD COLUMN "customFields" JSONB NOT NULL DEFAULT '{}';
+
+-- CreateTable
+CREATE TABLE "custom_field_definitions" (
+    "id" TEXT NOT NULL,
+    "entity" "CustomFieldEntity" NOT NULL,
+    "key" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "description" TEXT,
+    "type" "CustomFieldType" NOT NULL,
+    "options" TEXT[],
+    "required" BOOLEAN NOT NULL DEFAULT false,
+    "validation" JSONB,
+    "visibleToRoles" "Role"[],
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "custom_field_definitions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "custom_field_definitions_entity_key_key" ON "custom_field_definitions"("entity", "key");
+
+-- AddForeignKey
+ALTER TABLE "custom_field_definitions" ADD CONSTRAINT "custom_field_definitions_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Grant the new permission to the built-in roles if they were already materialised
+INSERT INTO "role_permissions" ("id", "roleId", "permission", "scope")
+SELECT gen_random_uuid()::text, "id", 'customFields:manage', 'ALL'::"PermissionScope"
+FROM "access_roles"
+WHERE "isSystem" = true AND "name" IN ('ADMIN', 'HR')
+ON CONFLICT ("roleId", "permission") DO NOTHING;
@@ -0,0 +1,42 @@
+-- AlterEnum
+ALTER TYPE "EmploymentChangeReason" ADD VALUE 'CONFIRMATION';
+
+-- CreateEnum
+CREATE TYPE "ProbationDecision" AS ENUM ('CONFIRM', 'EXTEND', 'TERMINATE');
+
+-- CreateTable
+CREATE TABLE "probation_reviews" (
+    "id" TEXT NOT NULL,
+    "employeeId" TEXT NOT NULL,
+    "endDate" DATE NOT NULL,
+    "reviewerId" TEXT,
+    "notifiedAt" TIMESTAMP(3),
+    "decision" "ProbationDecision",
+    "comments" TEXT,
+    "extendedTo" DATE,
+    "decidedById" TEXT,
+    "decidedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "probation_reviews_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "probation_reviews_employeeId_endDate_key" ON "probation_reviews"("employeeId", "endDate");
+
+-- AddForeignKey
+ALTER TABLE "probation_reviews" ADD CONSTRAINT "probation_reviews_employeeId_fkey" FOREIGN KEY ("employeeId") REFERENCES "employees"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "probation_reviews" ADD CONSTRAINT "probation_reviews_reviewerId_fkey" FOREIGN KEY ("reviewerId") REFERENCES "employees"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "probation_reviews" ADD CONSTRAINT "probation_reviews_decidedById_fkey" FOREIGN KEY ("decidedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Grant the new permission to the built-in roles if they were already materialised
+INSERT INTO "role_permissions" ("id", "roleId", "permission", "scope")
+SELECT gen_random_uuid()::text, "id", 'probation:manage', CASE WHEN "name" = 'MANAGER' THEN 'TEAM' ELSE 'ALL' END::"PermissionScope"
+FROM "access_roles"
+WHERE "isSystem" = true AND "name" IN ('ADMIN', 'HR', 'MANAGER')
+ON CONFLICT ("roleId", "permission") DO NOTHING;
@@ -0,0 +1,65 @@
+-- CreateEnum
+CREATE TYPE "TerminationStatus" AS ENUM ('SCHEDULED', 'COMPLETED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "payroll_records" ADD COLUMN "isFinal" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "offboarding_tasks" ADD COLUMN "terminationId" TEXT;
+
+-- CreateTable
+CREATE TABLE "terminations" (
+    "id" TEXT NOT NULL,
+    "employeeId" TEXT NOT NULL,
+    "terminationDate" DATE NOT NULL,
+    "reason" TEXT NOT NULL,
+    "notes" TEXT,
+    "templateId" TEXT,
+    "status" "TerminationStatus" NOT NULL DEFAULT 'SCHEDULED',
+    "leaveSettlement" JSONB,
+    "finalPayrollId" TEXT,
+    "completedAt" TIMESTAMP(3),
+    "cancelledAt" TIMESTAMP(3),
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "terminations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "offboarding_templates" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "tasks" JSONB NOT NULL DEFAULT '[]',
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "offboarding_templates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "terminations_employeeId_idx" ON "terminations"("employeeId");
+
+-- CreateIndex
+CREATE INDEX "terminations_status_terminationDate_idx" ON "terminations"("status", "terminationDate");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "offboarding_templates_name_key" ON "offboarding_templates"("name");
+
+-- AddForeignKey
+ALTER TABLE "terminations" ADD CONSTRAINT "terminations_employeeId_fkey" FOREIGN KEY ("employeeId") REFERENCES "employees"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "terminations" ADD CONSTRAINT "terminations_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "offboarding_templates"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "terminations" ADD CONSTRAINT "terminations_finalPayrollId_fkey" FOREIGN KEY ("finalPayrollId") REFERENCES "payroll_records"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "terminations" ADD CONSTRAINT "terminations_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "offboarding_tasks" ADD CONSTRAINT "offboarding_tasks_terminationId_fkey" FOREIGN KEY ("terminationId") REFERENCES "terminations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,42 @@
+-- CreateEnum
+CREATE TYPE "ProfileChangeStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "profile_change_requests" (
+    "id" TEXT NOT NULL,
+    "employeeId" TEXT NOT NULL,
+    "requestedById" TEXT,
+    "changes" JSONB NOT NULL,
+    "previous" JSONB NOT NULL,
+    "comment" TEXT,
+    "status" "ProfileChangeStatus" NOT NULL DEFAULT 'PENDING',
+    "reviewedById" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "reviewNote" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "profile_change_requests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "profile_change_requests_employeeId_idx" ON "profile_change_requests"("employeeId");
+
+-- CreateIndex
+CREATE INDEX "profile_change_requests_status_createdAt_idx" ON "profile_change_requests"("status", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "profile_change_requests" ADD CONSTRAINT "profile_change_requests_employeeId_fkey" FOREIGN KEY ("employeeId") REFERENCES "employees"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "profile_change_requests" ADD CONSTRAINT "profile_change_requests_requestedById_fkey" FOREIGN KEY ("requestedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "profile_change_requests" ADD CONSTRAINT "profile_change_requests_reviewedById_fkey" FOREIGN KEY ("reviewedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Grant the new permission to the built-in roles if they were already materialised
+INSERT INTO "role_permissions" ("id", "roleId", "permission", "scope")
+SELECT gen_random_uuid()::text, "id", 'profileChanges:approve', 'ALL'::"PermissionScope"
+FROM "access_roles"
+WHERE "isSystem" = true AND "name" IN ('ADMIN', 'HR')
+ON CONFLICT ("roleId", "permission") DO NOTHING;
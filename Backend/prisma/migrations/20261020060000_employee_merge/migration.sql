@@ -0,0 +1,6 @@
+-- Grant the new permission to the built-in roles if they were already materialised
+INSERT INTO "role_permissions" ("id", "roleId", "permission", "scope")
+SELECT gen_random_uuid()::text, "id", 'employees:merge', 'ALL'::"PermissionScope"
+FROM "access_roles"
+WHERE "isSystem" = true AND "name" IN ('ADMIN', 'HR')
+ON CONFLICT ("roleId", "permission") DO NOTHING;
@@ -0,0 +1,37 @@
+// config/fieldPolicy.js
+// Field-visibility policy for employee records. Sensitive fields are never sent
+// in clear: users holding `employees:sensitive` for the employee receive a
+// masked value they can reveal (audited), everyone else has the field removed.
+
+export const SENSITIVE_FIELD_PERMISSION = 'employees:sensitive';
+
+// `last4` keeps the last four characters visible, `full` hides the whole value
+export const SENSITIVE_EMPLOYEE_FIELDS = {
+  baseSalary: { label: 'Base salary', mask: 'full' },
+  bankAccountNumber: { label: 'Bank account number', mask: 'last4' },
+  taxId: { label: 'Tax ID', mask: 'last4' },
+  dateOfBirth: { label: 'Date of birth', mask: 'full' },
+};
+
+export const SENSITIVE_FIELD_KEYS = Object.keys(SENSITIVE_EMPLOYEE_FIELDS);
+
+// Employee columns that are safe to embed in other records (payroll,
+// attendance, documents, ...) without going through the masking policy
+export const EMPLOYEE_SUMMARY_SELECT = {
+  id: true,
+  employeeId: true,
+  firstName: true,
+  lastName: true,
+  email: true,
+  departmentId: true,
+  positionId: true,
+  managerId: true,
+  employmentStatus: true,
+};
+
+export default {
+  SENSITIVE_FIELD_PERMISSION,
+  SENSITIVE_EMPLOYEE_FIELDS,
+  SENSITIVE_FIELD_KEYS,
+  EMPLOYEE_SUMMARY_SELECT,
+};
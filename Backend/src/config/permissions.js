@@ -0,0 +1,134 @@
+// config/permissions.js
+// Catalog of permissions ("resource:action") and the default permission sets of
+// the built-in roles. Scoped permissions can be limited to records of the user
+// themselves (OWN), their reporting chain (TEAM), their department (DEPARTMENT)
+// or granted for every record (ALL); unscoped permissions are always ALL.
+
+export const PERMISSION_SCOPES = ['OWN', 'TEAM', 'DEPARTMENT', 'ALL'];
+
+export const SYSTEM_ROLES = ['ADMIN', 'HR', 'MANAGER', 'EMPLOYEE'];
+
+export const PERMISSIONS = [
+  { key: 'employees:read', resource: 'Employees', description: 'View employee records', scoped: true },
+  { key: 'employees:create', resource: 'Employees', description: 'Add employees' },
+  { key: 'employees:update', resource: 'Employees', description: 'Edit employee records', scoped: true },
+  { key: 'employees:delete', resource: 'Employees', description: 'Delete employees' },
+  { key: 'employees:merge', resource: 'Employees', description: 'Find duplicate employees and merge their records' },
+  { key: 'employees:sensitive', resource: 'Employees', description: 'Reveal salary, bank account, tax ID and date of birth', scoped: true },
+  { key: 'probation:manage', resource: 'Employees', description: 'Review probation periods and confirm, extend or end them', scoped: true },
+  { key: 'profileChanges:approve', resource: 'Employees', description: 'Approve or reject profile changes submitted by employees', scoped: true },
+
+  { key: 'departments:read', resource: 'Organization', description: 'View departments' },
+  { key: 'departments:manage', resource: 'Organization', description: 'Create, edit and delete departments' },
+  { key: 'positions:read', resource: 'Organization', description: 'View positions' },
+  { key: 'positions:manage', resource: 'Organization', description: 'Create, edit and delete positions' },
+  { key: 'orgChart:read', resource: 'Organization', description: 'View the org chart with names, positions and departments' },
+
+  { key: 'attendance:read', resource: 'Attendance', description: 'View attendance records', scoped: true },
+  { key: 'attendance:manage', resource: 'Attendance', description: 'Record and correct attendance', scoped: true },
+
+  { key: 'leave:read', resource: 'Leave', description: 'View leave requests', scoped: true },
+  { key: 'leave:create', resource: 'Leave', description: 'Submit leave requests' },
+  { key: 'leave:approve', resource: 'Leave', description: 'Approve, reject and cancel leave requests', scoped: true },
+  { key: 'leave:delete', resource: 'Leave', description: 'Delete leave requests' },
+  { key: 'leaveBalances:read', resource: 'Leave', description: 'View leave balances', scoped: true },
+  { key: 'leaveBalances:manage', resource: 'Leave', description: 'Create and adjust leave balances' },
+  { key: 'leavePolicies:read', resource: 'Leave', description: 'View leave policies' },
+  { key: 'leavePolicies:manage', resource: 'Leave', description: 'Create, edit and delete leave policies' },
+
+  { key: 'payroll:read', resource: 'Payroll', description: 'View payroll records', scoped: true },
+  { key: 'payroll:manage', resource: 'Payroll', description: 'Create, edit and delete payroll records' },
+
+  { key: 'performance:read', resource: 'Performance', description: 'View performance reviews', scoped: true },
+  { key: 'performance:manage', resource: 'Performance', description: 'Create and edit performance reviews', scoped: true },
+  { key: 'performance:delete', resource: 'Performance', description: 'Delete performance reviews' },
+
+  { key: 'training:read', resource: 'Training', description: 'View training programs' },
+  { key: 'training:manage', resource: 'Training', description: 'Create, edit and delete training programs' },
+  { key: 'trainingRecords:read', resource: 'Training', description: 'View training records', scoped: true },
+  { key: 'trainingRecords:manage', resource: 'Training', description: 'Create, edit and delete training records' },
+
+  { key: 'onboarding:read', resource: 'Onboarding', description: 'View onboarding tasks', scoped: true },
+  { key: 'onboarding:manage', resource: 'Onboarding', description: 'Manage onboarding tasks and templates' },
+  { key: 'offboarding:manage', resource: 'Onboarding', description: 'Manage offboarding tasks and templates' },
+
+  { key: 'recruitment:manage', resource: 'Recruitment', description: 'Manage job postings, applications and interviews' },
+  { key: 'disciplinary:manage', resource: 'Disciplinary', description: 'Manage disciplinary actions' },
+
+  { key: 'documents:read', resource: 'Documents', description: 'View employee documents', scoped: true },
+  { key: 'documents:create', resource: 'Documents', description: 'Upload employee documents', scoped: true },
+  { key: 'documents:manage', resource: 'Documents', description: 'Edit and delete employee documents' },
+
+  { key: 'reports:workforce', resource: 'Reports', description: 'View headcount, attendance and leave reports' },
+  { key: 'reports:payroll', resource: 'Reports', description: 'View payroll reports' },
+  { key: 'reports:audit', resource: 'Reports', description: 'View audit reports' },
+  { key: 'auditLogs:read', resource: 'Reports', description: 'Browse the audit log' },
+
+  { key: 'users:read', resource: 'Administration', description: 'View user accounts' },
+  { key: 'users:manage', resource: 'Administration', description: 'Create and edit user accounts' },
+  { key: 'users:delete', resource: 'Administration', description: 'Delete user accounts' },
+  { key: 'users:security', resource: 'Administration', description: 'Manage sessions, login history and lockouts of other users' },
+  { key: 'settings:manage', resource: 'Administration', description: 'Change system settings' },
+  { key: 'roles:manage', resource: 'Administration', description: 'Edit roles and their permissions' },
+  { key: 'apiKeys:manage', resource: 'Administration', description: 'Create and revoke API keys of system integrations' },
+  { key: 'customFields:manage', resource: 'Administration', description: 'Define custom fields of employees and job applications' },
+];
+
+export const PERMISSION_KEYS = PERMISSIONS.map((permission) => permission.key);
+
+export const isScopedPermission = (key) => Boolean(PERMISSIONS.find((permission) => permission.key === key)?.scoped);
+
+const grantAll = (keys) => Object.fromEntries(keys.map((key) => [key, 'ALL']));
+
+// Mirrors the role lists the routes used before permissions were configurable
+export const DEFAULT_ROLE_PERMISSIONS = {
+  ADMIN: grantAll(PERMISSION_KEYS),
+  HR: grantAll(
+    PERMISSION_KEYS.filter(
+      (key) => !['users:delete', 'users:security', 'settings:manage', 'roles:manage', 'apiKeys:manage', 'reports:audit'].includes(key)
+    )
+  ),
+  MANAGER: {
+    'employees:read': 'TEAM',
+    'probation:manage': 'TEAM',
+    'departments:read': 'ALL',
+    'positions:read': 'ALL',
+    'orgChart:read': 'ALL',
+    'attendance:read': 'TEAM',
+    'leave:read': 'TEAM',
+    'leave:create': 'ALL',
+    'leave:approve': 'TEAM',
+    'leaveBalances:read': 'TEAM',
+    'leavePolicies:read': 'ALL',
+    'performance:read': 'TEAM',
+    'performance:manage': 'TEAM',
+    'training:read': 'ALL',
+    'reports:workforce': 'ALL',
+  },
+  EMPLOYEE: {
+    'employees:read': 'OWN',
+    'employees:sensitive': 'OWN',
+    'orgChart:read': 'ALL',
+    'attendance:read': 'OWN',
+    'leave:read': 'OWN',
+    'leave:create': 'ALL',
+    'leaveBalances:read': 'OWN',
+    'leavePolicies:read': 'ALL',
+    'payroll:read': 'OWN',
+    'performance:read': 'OWN',
+    'training:read': 'ALL',
+    'trainingRecords:read': 'OWN',
+    'onboarding:read': 'OWN',
+    'documents:read': 'OWN',
+    'documents:create': 'OWN',
+  },
+};
+
+export default {
+  PERMISSION_SCOPES,
+  SYSTEM_ROLES,
+  PERMISSIONS,
+  PERMISSION_KEYS,
+  DEFAULT_ROLE_PERMISSIONS,
+  isScopedPermission,
+};
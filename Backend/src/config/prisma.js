@@ -1,9 +1,10 @@
 // config/prisma.js
 import { PrismaClient } from '@prisma/client';
 import logger from '../utils/logger.js';
+import { fieldEncryptionExtension } from '../services/fieldEncryptionService.js';
 
 // Create a single Prisma instance
-const prisma = new PrismaClient({
+const client = new PrismaClient({
   errorFormat: 'pretty',
   log: [
     { emit: 'event', level: 'query' },
@@ -15,9 +16,12 @@ const prisma = new PrismaClient({
 
 // Log Prisma queries only in development
 if (process.env.NODE_ENV !== 'production') {
-  prisma.$on('query', (e) => {
+  client.$on('query', (e) => {
     logger.debug(`Prisma Query: ${e.query} ${e.params} [${e.duration}ms]`);
   });
 }
 
+// Sensitive employee fields are encrypted and decrypted transparently
+const prisma = client.$extends(fieldEncryptionExtension);
+
 export default prisma;
@@ -0,0 +1,33 @@
+// config/selfServiceFields.js
+// Employee fields employees may change from their own profile. Changes to
+// fields marked `review` wait for approval by a holder of
+// `profileChanges:approve`; the others are applied immediately.
+
+export const PROFILE_CHANGE_PERMISSION = 'profileChanges:approve';
+
+export const SELF_SERVICE_FIELDS = {
+  phone: { label: 'Phone', review: false, maxLength: 30 },
+  address: { label: 'Address', review: false, maxLength: 500 },
+  city: { label: 'City', review: false, maxLength: 100 },
+  state: { label: 'State', review: false, maxLength: 100 },
+  country: { label: 'Country', review: false, maxLength: 100 },
+  zipCode: { label: 'ZIP code', review: false, maxLength: 20 },
+  emergencyContactName: { label: 'Emergency contact name', review: false, maxLength: 200 },
+  emergencyContactPhone: { label: 'Emergency contact phone', review: false, maxLength: 30 },
+  emergencyContactRelation: { label: 'Emergency contact relation', review: false, maxLength: 100 },
+  firstName: { label: 'First name', review: true, required: true, maxLength: 100 },
+  middleName: { label: 'Middle name', review: true, maxLength: 100 },
+  lastName: { label: 'Last name', review: true, required: true, maxLength: 100 },
+  bankName: { label: 'Bank name', review: true, maxLength: 200 },
+  bankBranch: { label: 'Bank branch', review: true, maxLength: 200 },
+  bankAccountNumber: { label: 'Bank account number', review: true, maxLength: 50 },
+  taxId: { label: 'Tax ID', review: true, maxLength: 50 },
+};
+
+export const SELF_SERVICE_FIELD_KEYS = Object.keys(SELF_SERVICE_FIELDS);
+
+export default {
+  PROFILE_CHANGE_PERMISSION,
+  SELF_SERVICE_FIELDS,
+  SELF_SERVICE_FIELD_KEYS,
+};
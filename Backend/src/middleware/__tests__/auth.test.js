@@ -0,0 +1,94 @@
+import { jest } from '@jest/globals';
+import { createHash } from 'crypto';
+
+const userId = '4f1c2a9e-8a3b-4c2d-9e1f-0a1b2c3d4e5f';
+const prisma = {
+  user: {
+    findUnique: jest.fn(async () => ({ id: userId, email: 'ada@example.com', role: 'EMPLOYEE', isActive: true, employee: null })),
+  },
+  accessRole: { findUnique: jest.fn(async () => null) },
+  refreshToken: { findFirst: jest.fn() },
+  apiKey: { findUnique: jest.fn(), update: jest.fn(async () => ({})) },
+};
+
+jest.unstable_mockModule('../../config/prisma.js', () => ({ default: prisma }));
+
+const { authenticate } = await import('../auth.js');
+const { generateTokens } = await import('../../utils/authUtils.js');
+
+const run = async (token) => {
+  const req = { headers: { authorization: `Bearer ${token}` }, get: () => undefined, originalUrl: '/api/test' };
+  const next = jest.fn();
+  await authenticate(req, {}, next);
+  return { req, error: next.mock.calls[0][0] };
+};
+
+describe('authenticate', () => {
+  const { accessToken } = generateTokens({ userId, role: 'EMPLOYEE', sessionId: 'family-1' });
+
+  it('accepts a token of a live session', async () => {
+    prisma.refreshToken.findFirst.mockResolvedValueOnce({ id: 'rt-1' });
+
+    const { req, error } = await run(accessToken);
+
+    expect(error).toBeUndefined();
+    expect(req.user).toMatchObject({ id: userId, sessionId: 'family-1' });
+    expect(prisma.refreshToken.findFirst).toHaveBeenCalledWith(
+      expect.objectContaining({ where: expect.objectContaining({ familyId: 'family-1', revokedAt: null }) })
+    );
+  });
+
+  it('rejects a token whose session was revoked', async () => {
+    prisma.refreshToken.findFirst.mockResolvedValueOnce(null);
+
+    const { req, error } = await run(accessToken);
+
+    expect(error).toMatchObject({ statusCode: 401, code: 'SESSION_REVOKED' });
+    expect(req.user).toBeUndefined();
+  });
+});
+
+describe('authenticate with X-API-Key', () => {
+  const key = 'hrms_0a1b2c3d4e5f_c2VjcmV0LXBhcnQtb2YtdGhlLWtleQ';
+  const storedKey = (overrides = {}) => ({
+    id: 'key-1',
+    name: 'Payroll sync',
+    prefix: 'hrms_0a1b2c3d4e5f',
+    keyHash: createHash('sha256').update(key).digest('hex'),
+    permissions: ['employees:read'],
+    expiresAt: null,
+    revokedAt: null,
+    lastUsedAt: new Date(),
+    serviceAccount: { id: 'user-service', email: 'svc@service-accounts.invalid', role: 'EMPLOYEE', accessRoleId: null, isActive: true },
+    ...overrides,
+  });
+
+  const runWithKey = async (apiKey) => {
+    prisma.apiKey.findUnique.mockImplementationOnce(async ({ where }) => (where.keyHash === apiKey.keyHash ? apiKey : null));
+    const req = { headers: {}, get: (name) => (name === 'X-API-Key' ? key : undefined), originalUrl: '/api/employees' };
+    const next = jest.fn();
+    await authenticate(req, {}, next);
+    return { req, error: next.mock.calls[0][0] };
+  };
+
+  it('authenticates a valid key as its service account', async () => {
+    const { req, error } = await runWithKey(storedKey());
+
+    expect(error).toBeUndefined();
+    expect(req.user).toMatchObject({ id: 'user-service', permissions: { 'employees:read': 'ALL' }, apiKey: { id: 'key-1' } });
+  });
+
+  it('rejects a revoked key', async () => {
+    const { req, error } = await runWithKey(storedKey({ revokedAt: new Date() }));
+
+    expect(error).toMatchObject({ statusCode: 401, code: 'INVALID_API_KEY' });
+    expect(req.user).toBeUndefined();
+  });
+
+  it('rejects an expired key', async () => {
+    const { req, error } = await runWithKey(storedKey({ expiresAt: new Date(Date.now() - 1000) }));
+
+    expect(error).toMatchObject({ statusCode: 401, code: 'API_KEY_EXPIRED' });
+    expect(req.user).toBeUndefined();
+  });
+});
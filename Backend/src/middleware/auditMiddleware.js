@@ -1,12 +1,9 @@
 // src/middleware/auditMiddleware.js
-import { PrismaClient } from '@prisma/client';
+import prisma from '../config/prisma.js';
 import { z } from 'zod';
 import { ValidationError } from '../utils/errors.js';
 import logger from '../utils/logger.js';
-
-const prisma = new PrismaClient({
-  errorFormat: 'pretty',
-});
+import { fieldEncryptionService } from '../services/fieldEncryptionService.js';
 
 // Get environment variable with logging
 const getEnvVariable = (key, defaultValue) => {
@@ -28,6 +25,8 @@ const auditLogSchema = z.object({
   newValues: z.any().optional(),
   ipAddress: z.string().optional(),
   userAgent: z.string().optional(),
+  impersonatorId: z.string().uuid('Invalid impersonator ID').nullable(),
+  apiKeyId: z.string().uuid('Invalid API key ID').nullable(),
 });
 
 // Audit middleware for request/response logging
@@ -50,6 +49,10 @@ const auditMiddleware = async (req, res, next) => {
   // Capture response status
   const originalEnd = res.end;
   res.end = function (...args) {
+    // authenticate runs after this middleware, so the caller is only known now
+    auditData.userId = req.user?.id || null;
+    auditData.impersonatorId = req.user?.impersonator?.id || null;
+    auditData.apiKeyId = req.user?.apiKey?.id || null;
     auditData.statusCode = res.statusCode;
     auditData.responseTime = Date.now() - startTime;
     req.logger.info('API Call', auditData);
@@ -59,6 +62,16 @@ const auditMiddleware = async (req, res, next) => {
   next();
 };
 
+// Encrypted columns and their blind indexes are not copied into audit logs in clear
+const REDACTED_FIELDS = [...fieldEncryptionService.ENCRYPTED_EMPLOYEE_FIELDS, ...fieldEncryptionService.BLIND_INDEX_FIELDS];
+
+const redact = (values) => {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) return values;
+  return Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [key, REDACTED_FIELDS.includes(key) && value ? '[REDACTED]' : value])
+  );
+};
+
 // Create audit log for specific actions
 const createAuditLog = async (userId, action, resource, resourceId, oldValues = null, newValues = null, req = null) => {
   if (getEnvVariable('AUDIT_LOGGING_ENABLED', 'true') === 'false') {
@@ -71,10 +84,14 @@ const createAuditLog = async (userId, action, resource, resourceId, oldValues =
       action,
       resource,
       resourceId,
-      oldValues,
-      newValues,
+      oldValues: redact(oldValues),
+      newValues: redact(newValues),
       ipAddress: req?.ip,
       userAgent: req?.get('User-Agent'),
+      // During impersonation both the user acted as and the admin are recorded
+      impersonatorId: req?.user?.impersonator?.id || null,
+      // Requests made with an API key are attributed to the key
+      apiKeyId: req?.user?.apiKey?.id || null,
     });
 
     await prisma.auditLog.create({
@@ -87,6 +104,8 @@ const createAuditLog = async (userId, action, resource, resourceId, oldValues =
         newValues: validatedData.newValues ? JSON.stringify(validatedData.newValues, null, 2) : null,
         ipAddress: validatedData.ipAddress,
         userAgent: validatedData.userAgent,
+        impersonatorId: validatedData.impersonatorId,
+        apiKeyId: validatedData.apiKeyId,
       },
     });
 
@@ -95,6 +114,8 @@ const createAuditLog = async (userId, action, resource, resourceId, oldValues =
       action: validatedData.action,
       resource: validatedData.resource,
       resourceId: validatedData.resourceId,
+      impersonatorId: validatedData.impersonatorId,
+      apiKeyId: validatedData.apiKeyId,
     });
   } catch (error) {
     const errorMessage = error instanceof z.ZodError
@@ -1,10 +1,11 @@
 // src/middleware/auth.js
-import { PrismaClient } from '@prisma/client';
+import prisma from '../config/prisma.js';
 import { AuthenticationError, AuthorizationError, ValidationError } from '../utils/errors.js';
 import { verifyAccessToken } from '../utils/authUtils.js';
 import logger from '../utils/logger.js';
-
-const prisma = new PrismaClient({ errorFormat: 'pretty' });
+import { permissionService } from '../services/permissionService.js';
+import { apiKeyService } from '../services/apiKeyService.js';
+import { refreshTokenService } from '../services/refreshTokenService.js';
 
 // Helper for environment variables
 const getEnvVariable = (key, defaultValue) => {
@@ -16,10 +17,23 @@ const getEnvVariable = (key, defaultValue) => {
   return value;
 };
 
+// Managers see their whole reporting chain as their team unless the client
+// asks for direct reports only
+const getTeamScope = (req) => (req.get('X-Team-Scope') === 'direct' ? 'direct' : 'all');
+
 // Authentication middleware
 const authenticate = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
+    const apiKey = req.get('X-API-Key');
+
+    // Integrations send an API key instead of a user token
+    if (apiKey && !authHeader) {
+      req.user = await apiKeyService.authenticate(apiKey, req);
+      logger.info('API key authenticated', { apiKeyId: req.user.apiKey.id, userId: req.user.id, url: req.originalUrl });
+      return next();
+    }
+
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       throw new AuthenticationError('Access token required', null, 'TOKEN_REQUIRED');
     }
@@ -27,6 +41,11 @@ const authenticate = async (req, res, next) => {
     const token = authHeader.split(' ')[1];
     const decoded = verifyAccessToken(token);
 
+    // Access tokens outlive a revoked session otherwise, until they expire
+    if (decoded.sessionId && !(await refreshTokenService.isSessionActive(decoded.sessionId))) {
+      throw new AuthenticationError('Session has been revoked', null, 'SESSION_REVOKED');
+    }
+
     // Use correct model casing from Prisma schema
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
@@ -34,6 +53,7 @@ const authenticate = async (req, res, next) => {
         id: true,
         email: true,
         role: true,
+        accessRoleId: true,
         isActive: true,
         employee: {
           select: {
@@ -51,8 +71,32 @@ const authenticate = async (req, res, next) => {
     }
 
     // Use the role from database, not from token
-    req.user = { ...user };
-    logger.info('User authenticated', { userId: user.id, role: user.role, url: req.originalUrl });
+    const permissions = await permissionService.getPermissions(user);
+    req.user = { ...user, permissions, sessionId: decoded.sessionId || null, teamScope: getTeamScope(req) };
+
+    // Team members are resolved up front so synchronous checks (field masking) can use them
+    if (Object.values(permissions).includes('TEAM')) {
+      await permissionService.getTeamIds(req.user);
+    }
+
+    // Impersonation tokens stay valid only while the admin behind them still is one
+    if (decoded.impersonatorId) {
+      const impersonator = await prisma.user.findUnique({
+        where: { id: decoded.impersonatorId },
+        select: { id: true, email: true, role: true, isActive: true },
+      });
+      if (!impersonator || !impersonator.isActive || impersonator.role !== 'ADMIN') {
+        throw new AuthenticationError('Impersonation is no longer allowed', null, 'IMPERSONATION_INVALID');
+      }
+      req.user.impersonator = { id: impersonator.id, email: impersonator.email };
+    }
+
+    logger.info('User authenticated', {
+      userId: user.id,
+      role: user.role,
+      impersonatorId: req.user.impersonator?.id,
+      url: req.originalUrl,
+    });
     next();
   } catch (error) {
     logger.error('Authentication error', { error: error.message, url: req.originalUrl });
@@ -81,6 +125,39 @@ const authorize = (...roles) => {
   };
 };
 
+// Permission-based authorization middleware; passes when the user holds any of
+// the given permissions at some scope. Record-level checks use permissionService.can.
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      logger.error('Authentication required', { url: req.originalUrl });
+      return next(new AuthenticationError('Authentication required', null, 'AUTH_REQUIRED'));
+    }
+
+    const granted = req.user.permissions || {};
+    if (!permissions.some((permission) => granted[permission])) {
+      logger.error('Insufficient permissions', { userId: req.user.id, role: req.user.role, permissions, url: req.originalUrl });
+      return next(new AuthorizationError('Insufficient permissions', { permissions }, 'INSUFFICIENT_PERMISSIONS'));
+    }
+
+    next();
+  };
+};
+
+// Blocks account-level changes (password, MFA, sessions) while an admin is
+// viewing as another user; those stay with the account owner
+const forbidImpersonation = (req, res, next) => {
+  if (req.user?.impersonator) {
+    logger.error('Action not allowed while impersonating', {
+      userId: req.user.id,
+      impersonatorId: req.user.impersonator.id,
+      url: req.originalUrl,
+    });
+    return next(new AuthorizationError('Not allowed while viewing as another user', null, 'IMPERSONATION_FORBIDDEN'));
+  }
+  next();
+};
+
 // Employee-specific authorization middleware
 const authorizeEmployee = async (req, res, next) => {
   try {
@@ -96,24 +173,7 @@ const authorizeEmployee = async (req, res, next) => {
       throw new AuthenticationError('Authentication required', null, 'AUTH_REQUIRED');
     }
 
-    const userRole = req.user.role.toUpperCase();
-    
-    if (['ADMIN', 'HR'].includes(userRole)) {
-      return next();
-    }
-
-    if (userRole === 'MANAGER' && req.user.employee) {
-      const subordinates = await prisma.employee.findMany({
-        where: { managerId: req.user.employee.id },
-        select: { id: true },
-      });
-      const subordinateIds = subordinates.map((sub) => sub.id);
-      if (subordinateIds.includes(employeeId)) {
-        return next();
-      }
-    }
-
-    if (req.user.employee && req.user.employee.id === employeeId) {
+    if (await permissionService.can(req.user, 'employees:read', { employeeId })) {
       return next();
     }
 
@@ -130,4 +190,4 @@ const authorizeEmployee = async (req, res, next) => {
   }
 };
 
-export { authenticate, authorize, authorizeEmployee };
+export { authenticate, authorize, requirePermission, forbidImpersonation, authorizeEmployee, getTeamScope };
@@ -39,6 +39,12 @@ const errorHandler = (err, req, res, next) => {
     error = new AppError(message, 404);
   }
 
+  // Upload errors
+  if (err.name === 'MulterError') {
+    const message = err.code === 'LIMIT_FILE_SIZE' ? 'File too large' : err.message;
+    error = new AppError(message, 400);
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     const message = 'Invalid token';
@@ -53,6 +59,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(error.statusCode || 500).json({
     success: false,
     error: error.message || 'Server Error',
+    ...(error.isOperational && error.code && { code: error.code }),
     ...(error.details && { details: error.details }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
   });
@@ -0,0 +1,39 @@
+// src/middleware/fieldMasking.js
+import { fieldPolicyService } from '../services/fieldPolicyService.js';
+import { customFieldService } from '../services/customFieldService.js';
+
+// Loads the custom field definitions ahead of the routes, so the response
+// masking below can stay synchronous. Only requests carrying credentials can
+// be masked; the definitions are cached, so this rarely waits on the database.
+const loadCustomFieldDefinitions = (req, res, next) => {
+  if (!req.headers.authorization && !req.get('X-API-Key')) {
+    return next();
+  }
+  customFieldService
+    .getDefinitions()
+    .then((definitions) => {
+      req.customFieldDefinitions = definitions;
+      next();
+    })
+    .catch(next);
+};
+
+// Applies the employee field policy to every JSON response of an authenticated
+// request and removes custom field values hidden from the user. Routes that
+// deliberately disclose clear values (the audited reveal endpoint) set
+// `res.locals.unmaskedResponse`.
+const fieldMaskingMiddleware = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (!req.user || res.locals.unmaskedResponse) {
+      return json(body);
+    }
+    const masked = fieldPolicyService.apply(req.user, body);
+    return json(customFieldService.redact(req.user, req.customFieldDefinitions || [], masked));
+  };
+
+  next();
+};
+
+export { loadCustomFieldDefinitions, fieldMaskingMiddleware };
@@ -62,16 +62,20 @@ const commonSchemas = {
   }),
 };
 
-// Role enum for consistency
-const ROLES = ['ADMIN', 'HR', 'MANAGER', 'EMPLOYEE'];
-
 // Auth validation schemas
 const authSchemas = {
   register: z.object({
     body: z.object({
       email: commonSchemas.email,
-      password: z.string().min(8, 'Password must be at least 8 characters').trim(),
-      role: z.enum(ROLES).optional().default('EMPLOYEE'),
+      // Strength rules come from the configurable password policy
+      password: z.string().min(1, 'Password is required'),
+    }),
+  }),
+  acceptInvitation: z.object({
+    body: z.object({
+      token: z.string().min(1, 'Invitation token is required'),
+      // Strength rules come from the configurable password policy
+      password: z.string().min(1, 'Password is required'),
     }),
   }),
   login: z.object({
@@ -80,6 +84,12 @@ const authSchemas = {
       password: z.string().min(1, 'Password is required').trim(),
     }),
   }),
+  passwordExpired: z.object({
+    body: z.object({
+      passwordChangeToken: z.string().min(1, 'Password change token is required').trim(),
+      newPassword: z.string().min(1, 'New password is required'),
+    }),
+  }),
   refreshToken: z.object({
     body: z.object({
       refreshToken: z.string().min(1, 'Refresh token is required').trim(),
@@ -90,6 +100,51 @@ const authSchemas = {
       email: commonSchemas.email,
     }),
   }),
+  mfaLogin: z.object({
+    body: z
+      .object({
+        mfaToken: z.string().min(1, 'MFA token is required').trim(),
+        code: z.string().regex(/^\d{6}$/, 'Code must be 6 digits').optional(),
+        recoveryCode: z.string().min(1).trim().optional(),
+      })
+      .refine((data) => data.code || data.recoveryCode, {
+        message: 'Verification code or recovery code is required',
+        path: ['code'],
+      }),
+  }),
+  mfaEnrollment: z.object({
+    body: z.object({
+      mfaToken: z.string().min(1).trim().optional(),
+    }),
+  }),
+  mfaConfirm: z.object({
+    body: z.object({
+      mfaToken: z.string().min(1).trim().optional(),
+      code: z.string().regex(/^\d{6}$/, 'Code must be 6 digits'),
+    }),
+  }),
+  mfaCode: z.object({
+    body: z.object({
+      code: z.string().regex(/^\d{6}$/, 'Code must be 6 digits'),
+    }),
+  }),
+  mfaDisable: z.object({
+    body: z.object({
+      password: z.string().min(1, 'Password is required'),
+      code: z.string().regex(/^\d{6}$/, 'Code must be 6 digits'),
+    }),
+  }),
+  ssoCallback: z.object({
+    body: z.object({
+      code: z.string().min(1, 'Authorization code is required'),
+      state: z.string().min(1, 'State is required'),
+    }),
+  }),
+  impersonate: z.object({
+    body: z.object({
+      userId: commonSchemas.id,
+    }),
+  }),
   updatePassword: z.object({
     body: z.object({
       token: z.string().min(1, 'Reset token is required').trim(),
@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+const ssoUser = {
+  id: 'user-sso',
+  email: 'ada@example.com',
+  role: 'MANAGER',
+  isActive: true,
+  mfaEnabled: false,
+  lockedUntil: null,
+  employee: null,
+};
+
+const prisma = {
+  user: {
+    findUnique: jest.fn(),
+    update: jest.fn(async () => ({})),
+  },
+};
+
+const { AppError } = await import('../../utils/errors.js');
+
+const ssoService = { complete: jest.fn(async () => ({ id: ssoUser.id })) };
+const loginAttemptService = {
+  assertNotLocked: jest.fn(async (user) => {
+    if (user.lockedUntil) {
+      throw new AppError('Account is temporarily locked', 423, { lockedUntil: user.lockedUntil }, 'ACCOUNT_LOCKED');
+    }
+  }),
+  recordSuccess: jest.fn(),
+  recordFailure: jest.fn(),
+};
+const mfaService = {
+  isRequiredForRole: jest.fn(async () => false),
+  verifySecondFactor: jest.fn(async () => ({ method: 'totp', remainingRecoveryCodes: 8 })),
+};
+const refreshTokenService = {
+  pruneExpired: jest.fn(),
+  issueTokens: jest.fn(async () => ({ accessToken: 'access', refreshToken: 'refresh' })),
+};
+const passwordPolicyService = { isExpired: jest.fn(async () => true) };
+
+jest.unstable_mockModule('../../config/prisma.js', () => ({ default: prisma }));
+jest.unstable_mockModule('../../middleware/auditMiddleware.js', () => ({ createAuditLog: jest.fn() }));
+jest.unstable_mockModule('../../services/ssoService.js', () => ({ ssoService }));
+jest.unstable_mockModule('../../services/loginAttemptService.js', () => ({ loginAttemptService }));
+jest.unstable_mockModule('../../services/mfaService.js', () => ({ mfaService }));
+jest.unstable_mockModule('../../services/refreshTokenService.js', () => ({ refreshTokenService }));
+jest.unstable_mockModule('../../services/passwordPolicyService.js', () => ({ passwordPolicyService }));
+jest.unstable_mockModule('../../services/permissionService.js', () => ({
+  permissionService: { getPermissions: jest.fn(async () => ({})), getTeamIds: jest.fn(async () => []) },
+}));
+
+const { default: authRoutes } = await import('../authRoutes.js');
+const { default: errorHandler } = await import('../../middleware/errorHandler.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use(errorHandler);
+
+const callback = () => request(app).post('/api/auth/sso/callback').send({ code: 'code-1', state: 'state-1' });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.user.findUnique.mockResolvedValue(ssoUser);
+});
+
+describe('POST /sso/callback', () => {
+  it('starts a session without consulting the local password expiry', async () => {
+    const res = await callback();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ accessToken: 'access', refreshToken: 'refresh' });
+    expect(loginAttemptService.assertNotLocked).toHaveBeenCalledWith(ssoUser, expect.any(Object));
+    expect(passwordPolicyService.isExpired).not.toHaveBeenCalled();
+  });
+
+  it('rejects a locked account before any session is issued', async () => {
+    prisma.user.findUnique.mockResolvedValue({ ...ssoUser, lockedUntil: new Date(Date.now() + 60000) });
+
+    const res = await callback();
+
+    expect(res.status).toBe(423);
+    expect(res.body.code).toBe('ACCOUNT_LOCKED');
+    expect(refreshTokenService.issueTokens).not.toHaveBeenCalled();
+  });
+
+  it('asks for the second factor of users with MFA enabled', async () => {
+    prisma.user.findUnique.mockResolvedValue({ ...ssoUser, mfaEnabled: true });
+
+    const res = await callback();
+
+    expect(res.body.data).toEqual({ mfaRequired: true, mfaToken: expect.any(String) });
+    expect(jwt.decode(res.body.data.mfaToken)).toMatchObject({ userId: ssoUser.id, sso: true, enroll: false });
+    expect(refreshTokenService.issueTokens).not.toHaveBeenCalled();
+  });
+
+  it('asks for MFA setup when the role requires it', async () => {
+    mfaService.isRequiredForRole.mockResolvedValueOnce(true);
+
+    const res = await callback();
+
+    expect(res.body.data).toEqual({ mfaSetupRequired: true, mfaToken: expect.any(String) });
+    expect(jwt.decode(res.body.data.mfaToken)).toMatchObject({ sso: true, enroll: true });
+    expect(refreshTokenService.issueTokens).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /login/mfa', () => {
+  it('finishes an SSO login once the code is verified', async () => {
+    prisma.user.findUnique.mockResolvedValue({ ...ssoUser, mfaEnabled: true });
+    const { body } = await callback();
+
+    const res = await request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken: body.data.mfaToken, code: '123456' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ accessToken: 'access', mfaMethod: 'totp' });
+    expect(passwordPolicyService.isExpired).not.toHaveBeenCalled();
+  });
+});
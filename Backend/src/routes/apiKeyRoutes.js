@@ -0,0 +1,66 @@
+import express from 'express';
+import { z } from 'zod';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validation.js';
+import { apiKeyService } from '../services/apiKeyService.js';
+
+const router = express.Router();
+
+const apiKeySchemas = {
+  create: z.object({
+    body: z.object({
+      name: z.string().trim().min(2, 'Name must be at least 2 characters').max(100),
+      description: z.string().max(255).optional(),
+      permissions: z.array(z.string()).min(1, 'Select at least one permission'),
+      expiresAt: z.coerce.date().optional(),
+    }),
+  }),
+  id: z.object({
+    params: z.object({ id: z.string().uuid('Invalid API key ID') }),
+  }),
+};
+
+// GET /catalog - Permissions that can be granted to a key
+router.get('/catalog', authenticate, requirePermission('apiKeys:manage'), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      message: 'API key permissions fetched successfully',
+      data: { permissions: apiKeyService.getGrantablePermissions() },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET / - List API keys; the keys themselves are never returned again
+router.get('/', authenticate, requirePermission('apiKeys:manage'), async (req, res, next) => {
+  try {
+    const apiKeys = await apiKeyService.list();
+    res.json({ success: true, message: 'API keys fetched successfully', data: { apiKeys } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST / - Create an API key and its service account; the response holds the only copy of the key
+router.post('/', authenticate, requirePermission('apiKeys:manage'), validate(apiKeySchemas.create), async (req, res, next) => {
+  try {
+    const { apiKey, key } = await apiKeyService.create(req.validatedData.body, req);
+    res.status(201).json({ success: true, message: 'API key created successfully', data: { apiKey, key } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /:id - Revoke an API key
+router.delete('/:id', authenticate, requirePermission('apiKeys:manage'), validate(apiKeySchemas.id), async (req, res, next) => {
+  try {
+    const apiKey = await apiKeyService.revoke(req.validatedData.params.id, req);
+    res.json({ success: true, message: 'API key revoked successfully', data: { apiKey } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
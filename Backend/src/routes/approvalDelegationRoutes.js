@@ -0,0 +1,73 @@
+import express from 'express';
+import { z } from 'zod';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validation.js';
+import { approvalDelegationService } from '../services/approvalDelegationService.js';
+
+const router = express.Router();
+
+const LEAVE_TYPES = ['ANNUAL', 'SICK', 'MATERNITY', 'PATERNITY', 'EMERGENCY', 'UNPAID', 'SABBATICAL'];
+
+// Calendar day, stored as the date at UTC midnight
+const day = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Use YYYY-MM-DD').transform((value) => new Date(`${value}T00:00:00.000Z`));
+
+const approvalDelegationSchemas = {
+  create: z.object({
+    body: z.object({
+      delegatorId: z.string().uuid('Invalid delegator ID').optional(),
+      delegateId: z.string().uuid('Invalid delegate ID'),
+      startDate: day,
+      endDate: day,
+      leaveTypes: z.array(z.enum(LEAVE_TYPES)).optional(),
+      reason: z.string().max(500).optional(),
+    }),
+  }),
+  candidates: z.object({
+    query: z.object({ search: z.string().max(100).optional() }),
+  }),
+  id: z.object({
+    params: z.object({ id: z.string().uuid('Invalid delegation ID') }),
+  }),
+};
+
+// GET / - Delegations given or received by the current user
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const delegations = await approvalDelegationService.list(req.user);
+    res.json({ success: true, message: 'Delegations fetched successfully', data: { delegations } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /candidates - Employees approvals can be delegated to
+router.get('/candidates', authenticate, requirePermission('leave:approve'), validate(approvalDelegationSchemas.candidates), async (req, res, next) => {
+  try {
+    const employees = await approvalDelegationService.getCandidates(req.user, req.validatedData.query.search);
+    res.json({ success: true, message: 'Delegation candidates fetched successfully', data: { employees } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST / - Delegate approvals for a date range
+router.post('/', authenticate, requirePermission('leave:approve'), validate(approvalDelegationSchemas.create), async (req, res, next) => {
+  try {
+    const delegation = await approvalDelegationService.create(req.validatedData.body, req);
+    res.status(201).json({ success: true, message: 'Delegation created successfully', data: { delegation } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /:id - End a delegation early
+router.delete('/:id', authenticate, requirePermission('leave:approve'), validate(approvalDelegationSchemas.id), async (req, res, next) => {
+  try {
+    const delegation = await approvalDelegationService.revoke(req.validatedData.params.id, req);
+    res.json({ success: true, message: 'Delegation revoked successfully', data: { delegation } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
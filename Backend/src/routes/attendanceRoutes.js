@@ -2,10 +2,11 @@
 import express from 'express';
 import { z } from 'zod';
 import { validate } from '../middleware/validation.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import { createAuditLog } from '../middleware/auditMiddleware.js';
 import { ValidationError, AppError } from '../utils/errors.js';
 import prisma from '../config/prisma.js';
+import { permissionService } from '../services/permissionService.js';
 
 
 const router = express.Router();
@@ -55,11 +56,11 @@ function calculateHours(checkIn, checkOut) {
 }
 
 // GET / - List attendance records
-router.get('/', authenticate, authorize('ADMIN', 'HR', 'MANAGER'), validate(listSchema), async (req, res, next) => {
+router.get('/', authenticate, requirePermission('attendance:read'), validate(listSchema), async (req, res, next) => {
   try {
     const { page, limit, employeeId, date, status, startDate, endDate } = req.validatedData.query;
     const skip = (page - 1) * limit;
-    const filters = {};
+    const filters = { AND: [await permissionService.scopeWhere(req.user, 'attendance:read')] };
 
     if (employeeId) filters.employeeId = employeeId;
     if (status) filters.status = status;
@@ -116,7 +117,7 @@ router.get('/', authenticate, authorize('ADMIN', 'HR', 'MANAGER'), validate(list
 });
 
 // GET /:id - Get single attendance record
-router.get('/:id', authenticate, authorize('ADMIN', 'HR', 'MANAGER', 'EMPLOYEE'), validate(idSchema), async (req, res, next) => {
+router.get('/:id', authenticate, requirePermission('attendance:read'), validate(idSchema), async (req, res, next) => {
   try {
     const { id } = req.validatedData.params;
 
@@ -137,9 +138,7 @@ router.get('/:id', authenticate, authorize('ADMIN', 'HR', 'MANAGER', 'EMPLOYEE')
 
     if (!record) throw new AppError('Record not found', 404, null, 'NOT_FOUND');
 
-    if (req.user.role === 'EMPLOYEE' && req.user.employee?.id !== record.employeeId) {
-      throw new AppError('Access denied', 403, null, 'ACCESS_DENIED');
-    }
+    await permissionService.assert(req.user, 'attendance:read', record);
 
     await createAuditLog(req.user.id, 'READ', 'attendance', id, null, null, req);
 
@@ -151,7 +150,7 @@ router.get('/:id', authenticate, authorize('ADMIN', 'HR', 'MANAGER', 'EMPLOYEE')
 });
 
 // POST / - Create attendance record
-router.post('/', authenticate, authorize('ADMIN', 'HR'), validate(attendanceSchema), async (req, res, next) => {
+router.post('/', authenticate, requirePermission('attendance:manage'), validate(attendanceSchema), async (req, res, next) => {
   try {
     const { employeeId, date, status, checkIn, checkOut, notes } = req.validatedData.body;
 
@@ -193,7 +192,7 @@ router.post('/', authenticate, authorize('ADMIN', 'HR'), validate(attendanceSche
 });
 
 // PUT /:id - Update attendance record
-router.put('/:id', authenticate, authorize('ADMIN', 'HR'), validate(updateSchema), async (req, res, next) => {
+router.put('/:id', authenticate, requirePermission('attendance:manage'), validate(updateSchema), async (req, res, next) => {
   try {
     const { id } = req.validatedData.params;
     const { employeeId, date, status, checkIn, checkOut, notes } = req.validatedData.body;
@@ -235,7 +234,7 @@ router.put('/:id', authenticate, authorize('ADMIN', 'HR'), validate(updateSchema
 });
 
 // DELETE /:id - Delete attendance record
-router.delete('/:id', authenticate, authorize('ADMIN', 'HR'), validate(idSchema), async (req, res, next) => {
+router.delete('/:id', authenticate, requirePermission('attendance:manage'), validate(idSchema), async (req, res, next) => {
   try {
     const { id } = req.validatedData.params;
 
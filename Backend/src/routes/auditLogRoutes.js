@@ -2,7 +2,7 @@ import express from 'express';
 import { z } from 'zod';
 import {
   authenticate as authMiddleware,
-  authorize as roleMiddleware
+  requirePermission as permissionMiddleware
 } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -27,7 +27,7 @@ const validateAuditLog = (req, res, next) => {
 };
 
 // GET / - List audit logs
-router.get('/', authMiddleware, roleMiddleware('ADMIN', 'HR'), validateAuditLog, async (req, res) => {
+router.get('/', authMiddleware, permissionMiddleware('auditLogs:read'), validateAuditLog, async (req, res) => {
   const { page, limit, userId, action, resource } = req.validatedData;
   const filters = {};
   if (userId) filters.userId = userId;
@@ -48,7 +48,7 @@ router.get('/', authMiddleware, roleMiddleware('ADMIN', 'HR'), validateAuditLog,
 });
 
 // GET /:id - Get single audit log
-router.get('/:id', authMiddleware, roleMiddleware('ADMIN', 'HR'), async (req, res) => {
+router.get('/:id', authMiddleware, permissionMiddleware('auditLogs:read'), async (req, res) => {
   const { id } = req.params;
   try {
     const log = { id, userId: 'uuid', action: 'CREATE', resource: 'department' };
@@ -1,15 +1,28 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import { PrismaClient } from '@prisma/client';
+import prisma from '../config/prisma.js';
 import { validate, authSchemas } from '../middleware/validation.js';
-import { authenticate } from '../middleware/auth.js';
-import { generateTokens, verifyRefreshToken, generatePasswordResetToken } from '../utils/authUtils.js';
-import { AppError, AuthenticationError, ValidationError } from '../utils/errors.js';
+import { authenticate, authorize, forbidImpersonation, getTeamScope } from '../middleware/auth.js';
+import { refreshTokenService } from '../services/refreshTokenService.js';
+import { mfaService } from '../services/mfaService.js';
+import { loginAttemptService } from '../services/loginAttemptService.js';
+import { passwordPolicyService } from '../services/passwordPolicyService.js';
+import { permissionService } from '../services/permissionService.js';
+import { fieldPolicyService } from '../services/fieldPolicyService.js';
+import { invitationService } from '../services/invitationService.js';
+import { ssoService } from '../services/ssoService.js';
+import {
+  generateMfaToken,
+  verifyMfaToken,
+  generatePasswordChangeToken,
+  verifyPasswordChangeToken,
+  generateImpersonationToken
+} from '../utils/authUtils.js';
+import { AppError, AuthenticationError, AuthorizationError, NotFoundError, ValidationError } from '../utils/errors.js';
 import { createAuditLog } from '../middleware/auditMiddleware.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
-const prisma = new PrismaClient({ errorFormat: 'pretty' });
 
 const getEnvVariable = (key, defaultValue) => {
   const value = process.env[key];
@@ -20,6 +33,109 @@ const getEnvVariable = (key, defaultValue) => {
   return value;
 };
 
+// Strip credentials and MFA secrets before a user leaves the API
+const toPublicUser = (user) => {
+  const { password, mfaSecret, mfaRecoveryCodes, ...publicUser } = user;
+  return publicUser;
+};
+
+// Public profile plus effective permissions, which the client uses to show or hide features.
+// Login responses precede authentication, so the employee field policy is applied here.
+// teamIds lists the employees a TEAM scope covers, for record-level checks in the client.
+const toSessionUser = async (user, req) => {
+  const permissions = await permissionService.getPermissions(user);
+  const sessionUser = { ...user, permissions, teamScope: getTeamScope(req) };
+  const teamIds = Object.values(permissions).includes('TEAM') ? await permissionService.getTeamIds(sessionUser) : [];
+  return {
+    ...fieldPolicyService.apply(sessionUser, toPublicUser(user)),
+    permissions,
+    teamIds,
+  };
+};
+
+const loadLoginUser = (where) =>
+  prisma.user.findUnique({
+    where,
+    include: { employee: { include: { department: true, position: true } } }
+  });
+
+// Final step of every login path: start a new session and record the login
+const completeLogin = async (user, req) => {
+  await loginAttemptService.recordSuccess(user, req);
+
+  // Remove expired tokens; sessions on other devices stay signed in
+  await refreshTokenService.pruneExpired(user.id);
+
+  // Generate and store tokens as a new session
+  const { accessToken, refreshToken } = await refreshTokenService.issueTokens(user, { req });
+
+  // Update last login
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lastLoginAt: new Date() }
+  });
+
+  logger.info('User logged in successfully', {
+    userId: user.id,
+    role: user.role,
+    email: user.email
+  });
+
+  return { user: await toSessionUser(user, req), accessToken, refreshToken };
+};
+
+// Last gate before a session: an expired password has to be replaced first.
+// SSO logins skip it, as the identity provider owns their password.
+const finishAuthentication = async (user, req, { sso = false } = {}) => {
+  if (!sso && await passwordPolicyService.isExpired(user)) {
+    return {
+      passwordChangeRequired: true,
+      passwordChangeToken: generatePasswordChangeToken({ userId: user.id })
+    };
+  }
+  return completeLogin(user, req);
+};
+
+// Second factor gate shared by password and SSO logins: no tokens until the
+// code has been verified, or until MFA is set up where the role requires it
+const secondFactorChallenge = async (user, { sso = false } = {}) => {
+  if (user.mfaEnabled) {
+    return {
+      message: 'Verification code required',
+      data: { mfaRequired: true, mfaToken: generateMfaToken({ userId: user.id, sso }) }
+    };
+  }
+  if (await mfaService.isRequiredForRole(user.role)) {
+    return {
+      message: 'Two-factor authentication setup required',
+      data: { mfaSetupRequired: true, mfaToken: generateMfaToken({ userId: user.id, enroll: true, sso }) }
+    };
+  }
+  return null;
+};
+
+const loginMessage = (result) =>
+  result.passwordChangeRequired ? 'Password expired, please choose a new password' : 'Login successful';
+
+// MFA setup/enable can be reached with an access token, or during login with
+// an enrollment "MFA pending" token when MFA is mandatory but not yet set up
+const authenticateMfaEnrollment = (req, res, next) => {
+  const mfaToken = req.body?.mfaToken;
+  if (!mfaToken) {
+    return authenticate(req, res, next);
+  }
+  try {
+    const decoded = verifyMfaToken(mfaToken);
+    if (!decoded.enroll) {
+      throw new AuthenticationError('Invalid MFA token', null, 'INVALID_MFA_TOKEN');
+    }
+    req.mfaEnrollment = { userId: decoded.userId, sso: Boolean(decoded.sso) };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /** ========================= REGISTER ========================= */
 router.post('/register', validate(authSchemas.register), async (req, res, next) => {
   try {
@@ -27,7 +143,10 @@ router.post('/register', validate(authSchemas.register), async (req, res, next)
       throw new ValidationError('Validation data missing', null, 'VALIDATION_FAILED');
     }
 
-    const { email, password, role = 'EMPLOYEE' } = req.validatedData.body;
+    const { email, password } = req.validatedData.body;
+
+    // Accounts are normally created through invitations; open sign-up only for allow-listed domains
+    await invitationService.assertRegistrationAllowed(email);
 
     // Check if user already exists
     const existingUser = await prisma.user.findUnique({ where: { email } });
@@ -35,27 +154,17 @@ router.post('/register', validate(authSchemas.register), async (req, res, next)
       throw new ValidationError('User already exists with this email', null, 'USER_EXISTS');
     }
 
-    // Hash password
-    const saltRounds = parseInt(getEnvVariable('BCRYPT_ROUNDS', '12'));
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
+    // Enforce password policy and hash
+    const { data: passwordData } = await passwordPolicyService.preparePassword(password, { email });
 
     // Create user
     const user = await prisma.user.create({
-      data: { email, password: hashedPassword, role: role.toUpperCase() },
+      data: { email, ...passwordData, role: 'EMPLOYEE' },
       select: { id: true, email: true, role: true, isActive: true, createdAt: true }
     });
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens({ userId: user.id, role: user.role });
-
-    // Store refresh token
-    await prisma.refreshToken.create({
-      data: {
-        token: refreshToken,
-        userId: user.id,
-        expiresAt: new Date(Date.now() + parseInt(getEnvVariable('REFRESH_TOKEN_EXPIRES_MS', '604800000')))
-      }
-    });
+    // Generate and store tokens
+    const { accessToken, refreshToken } = await refreshTokenService.issueTokens(user, { req });
 
     // Log audit
     await createAuditLog(user.id, 'CREATE', 'users', user.id, null, user, req);
@@ -63,7 +172,38 @@ router.post('/register', validate(authSchemas.register), async (req, res, next)
     res.status(201).json({
       status: 'success',
       message: 'User registered successfully',
-      data: { user, accessToken, refreshToken }
+      data: { user: await toSessionUser(user, req), accessToken, refreshToken }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/** ========================= INVITATIONS ========================= */
+// GET /invitations/:token - Who an invitation link is for, before a password is chosen
+router.get('/invitations/:token', async (req, res, next) => {
+  try {
+    const invitation = await invitationService.describe(req.params.token);
+    res.json({
+      status: 'success',
+      message: 'Invitation is valid',
+      data: { invitation }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /invitations/accept - Create the invited user's account; they sign in afterwards
+router.post('/invitations/accept', validate(authSchemas.acceptInvitation), async (req, res, next) => {
+  try {
+    const { token, password } = req.validatedData.body;
+    const user = await invitationService.accept(token, password, req);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Account created successfully, you can now sign in',
+      data: { user: { id: user.id, email: user.email, role: user.role } }
     });
   } catch (error) {
     next(error);
@@ -80,61 +220,314 @@ router.post('/login', validate(authSchemas.login), async (req, res, next) => {
     const { email, password } = req.validatedData.body;
 
     // Find user
-    const user = await prisma.user.findUnique({
-      where: { email },
-      include: { employee: { include: { department: true, position: true } } }
-    });
+    const user = await loadLoginUser({ email });
 
-    if (!user || !user.isActive) {
+    // Service accounts only authenticate with their API key
+    if (!user || !user.isActive || user.isServiceAccount) {
+      await loginAttemptService.recordFailure({
+        user,
+        email,
+        reason: !user ? 'UNKNOWN_USER' : user.isServiceAccount ? 'SERVICE_ACCOUNT' : 'ACCOUNT_INACTIVE',
+        req
+      });
       throw new AuthenticationError('Invalid credentials', null, 'INVALID_CREDENTIALS');
     }
 
+    await loginAttemptService.assertNotLocked(user, { email, req });
+
     // Verify password
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      await loginAttemptService.recordFailure({ user, email, reason: 'INVALID_PASSWORD', req });
       throw new AuthenticationError('Invalid credentials', null, 'INVALID_CREDENTIALS');
     }
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens({ userId: user.id, role: user.role });
+    const challenge = await secondFactorChallenge(user);
+    if (challenge) {
+      return res.json({ status: 'success', ...challenge });
+    }
 
-    // Remove old tokens
-    await prisma.refreshToken.deleteMany({ where: { userId: user.id } });
+    const result = await finishAuthentication(user, req);
 
-    // Store new refresh token
-    await prisma.refreshToken.create({
-      data: {
-        token: refreshToken,
-        userId: user.id,
-        expiresAt: new Date(Date.now() + parseInt(getEnvVariable('REFRESH_TOKEN_EXPIRES_MS', '604800000')))
+    res.json({
+      status: 'success',
+      message: loginMessage(result),
+      data: result
+    });
+  } catch (error) {
+    logger.error('Login error', { 
+      error: error.message, 
+      email: req.validatedData?.body?.email 
+    });
+    next(error);
+  }
+});
+
+/** ========================= LOGIN: SSO =========================
+ * OpenID Connect authorization code flow with PKCE. The identity provider
+ * handles passwords; a verified ID token then goes through the same lockout
+ * and second factor checks as a password login.
+ */
+router.get('/sso/config', async (req, res, next) => {
+  try {
+    res.json({
+      status: 'success',
+      message: 'SSO configuration retrieved',
+      data: await ssoService.getPublicConfig()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/sso/start', async (req, res, next) => {
+  try {
+    res.json({
+      status: 'success',
+      message: 'Redirect to the identity provider',
+      data: await ssoService.start()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/sso/callback', validate(authSchemas.ssoCallback), async (req, res, next) => {
+  try {
+    const { id } = await ssoService.complete(req.validatedData.body, req);
+    const user = await loadLoginUser({ id });
+
+    await loginAttemptService.assertNotLocked(user, { req });
+
+    const challenge = await secondFactorChallenge(user, { sso: true });
+    if (challenge) {
+      return res.json({ status: 'success', ...challenge });
+    }
+
+    const result = await finishAuthentication(user, req, { sso: true });
+
+    res.json({
+      status: 'success',
+      message: loginMessage(result),
+      data: result
+    });
+  } catch (error) {
+    logger.error('SSO login error', { error: error.message, code: error.code });
+    next(error);
+  }
+});
+
+/** ========================= LOGIN: MFA STEP ========================= */
+router.post('/login/mfa', validate(authSchemas.mfaLogin), async (req, res, next) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.validatedData.body;
+
+    const decoded = verifyMfaToken(mfaToken);
+    if (decoded.enroll) {
+      throw new AuthenticationError('Two-factor authentication setup required', null, 'MFA_SETUP_REQUIRED');
+    }
+
+    const user = await loadLoginUser({ id: decoded.userId });
+    if (!user || !user.isActive) {
+      throw new AuthenticationError('Invalid credentials', null, 'INVALID_CREDENTIALS');
+    }
+
+    await loginAttemptService.assertNotLocked(user, { req });
+
+    // Wrong codes count towards lockout just like wrong passwords
+    const { method, remainingRecoveryCodes } = await mfaService
+      .verifySecondFactor(user, { code, recoveryCode })
+      .catch(async (error) => {
+        await loginAttemptService.recordFailure({ user, reason: error.code || 'INVALID_MFA_CODE', req });
+        throw error;
+      });
+    const result = await finishAuthentication(user, req, { sso: decoded.sso });
+
+    res.json({
+      status: 'success',
+      message: loginMessage(result),
+      data: { ...result, mfaMethod: method, remainingRecoveryCodes }
+    });
+  } catch (error) {
+    logger.error('MFA login error', { error: error.message, code: error.code });
+    next(error);
+  }
+});
+
+/** ========================= LOGIN: EXPIRED PASSWORD ========================= */
+router.post('/password/expired', validate(authSchemas.passwordExpired), async (req, res, next) => {
+  try {
+    const { passwordChangeToken, newPassword } = req.validatedData.body;
+    const { userId } = verifyPasswordChangeToken(passwordChangeToken);
+
+    const user = await loadLoginUser({ id: userId });
+    if (!user || !user.isActive) {
+      throw new AuthenticationError('Invalid credentials', null, 'INVALID_CREDENTIALS');
+    }
+    await loginAttemptService.assertNotLocked(user, { req });
+
+    const { data: passwordData } = await passwordPolicyService.preparePassword(newPassword, {
+      userId: user.id,
+      email: user.email
+    });
+
+    const updated = await prisma.$transaction(async (tx) => {
+      await passwordPolicyService.recordHistory(user.id, user.password, tx);
+      return tx.user.update({
+        where: { id: user.id },
+        data: passwordData,
+        include: { employee: { include: { department: true, position: true } } }
+      });
+    });
+
+    await createAuditLog(user.id, 'PASSWORD_CHANGE', 'users', user.id, null, { reason: 'PASSWORD_EXPIRED' }, req);
+
+    const session = await completeLogin(updated, req);
+
+    res.json({
+      status: 'success',
+      message: 'Password changed successfully',
+      data: session
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/** ========================= PASSWORD POLICY ========================= */
+// Public so the login and registration forms can describe the requirements
+router.get('/password-policy', async (req, res, next) => {
+  try {
+    const policy = await passwordPolicyService.getPolicy();
+    res.json({ status: 'success', data: { policy } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/** ========================= MFA MANAGEMENT ========================= */
+router.get('/mfa', authenticate, async (req, res, next) => {
+  try {
+    const mfa = await mfaService.getStatus(req.user.id);
+    res.json({ status: 'success', data: { mfa } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/mfa/setup', validate(authSchemas.mfaEnrollment), authenticateMfaEnrollment, forbidImpersonation, async (req, res, next) => {
+  try {
+    const userId = req.mfaEnrollment?.userId || req.user.id;
+    const enrollment = await mfaService.startEnrollment(userId);
+
+    res.json({
+      status: 'success',
+      message: 'Scan the QR code with your authenticator app',
+      data: enrollment
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/mfa/enable', validate(authSchemas.mfaConfirm), authenticateMfaEnrollment, forbidImpersonation, async (req, res, next) => {
+  try {
+    const userId = req.mfaEnrollment?.userId || req.user.id;
+    const { recoveryCodes } = await mfaService.confirmEnrollment(userId, req.validatedData.body.code, req);
+
+    // Enrollment forced during login finishes that login
+    let session = {};
+    if (req.mfaEnrollment) {
+      const user = await loadLoginUser({ id: userId });
+      if (!user || !user.isActive) {
+        throw new AuthenticationError('Invalid credentials', null, 'INVALID_CREDENTIALS');
       }
+      session = await finishAuthentication(user, req, { sso: req.mfaEnrollment.sso });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Two-factor authentication enabled',
+      data: { recoveryCodes, ...session }
     });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Update last login
-    await prisma.user.update({
-      where: { id: user.id },
-      data: { lastLoginAt: new Date() }
+router.post('/mfa/disable', authenticate, forbidImpersonation, validate(authSchemas.mfaDisable), async (req, res, next) => {
+  try {
+    await mfaService.disable(req.user.id, req.validatedData.body, req);
+    res.json({ status: 'success', message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/mfa/recovery-codes', authenticate, forbidImpersonation, validate(authSchemas.mfaCode), async (req, res, next) => {
+  try {
+    const { recoveryCodes } = await mfaService.regenerateRecoveryCodes(req.user.id, req.validatedData.body.code, req);
+    res.json({
+      status: 'success',
+      message: 'Recovery codes regenerated',
+      data: { recoveryCodes }
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/** ========================= REFRESH ========================= */
+router.post('/refresh', validate(authSchemas.refreshToken), async (req, res, next) => {
+  try {
+    const { refreshToken: presentedToken } = req.validatedData.body;
 
-    // Remove password
-    delete user.password;
+    const { user, accessToken, refreshToken } = await refreshTokenService.rotateRefreshToken(presentedToken, req);
 
-    logger.info('User logged in successfully', { 
-      userId: user.id, 
-      role: user.role, 
-      email: user.email 
+    logger.info('Refresh token rotated', { userId: user.id });
+
+    res.json({
+      status: 'success',
+      message: 'Token refreshed successfully',
+      data: { accessToken, refreshToken }
     });
+  } catch (error) {
+    logger.error('Token refresh error', { error: error.message, code: error.code });
+    next(error);
+  }
+});
+
+/** ========================= LOGOUT ========================= */
+router.post('/logout', authenticate, validate(authSchemas.refreshToken), async (req, res, next) => {
+  try {
+    const { refreshToken } = req.validatedData.body;
+
+    const revoked = await refreshTokenService.revokeRefreshToken(refreshToken, req.user.id);
+
+    await createAuditLog(req.user.id, 'LOGOUT', 'users', req.user.id, null, { scope: 'current', revoked }, req);
 
     res.json({
       status: 'success',
-      message: 'Login successful',
-      data: { user, accessToken, refreshToken }
+      message: 'Logged out successfully'
     });
   } catch (error) {
-    logger.error('Login error', { 
-      error: error.message, 
-      email: req.validatedData?.body?.email 
+    next(error);
+  }
+});
+
+/** ========================= LOGOUT ALL ========================= */
+router.post('/logout-all', authenticate, forbidImpersonation, async (req, res, next) => {
+  try {
+    const revoked = await refreshTokenService.revokeAllForUser(req.user.id);
+
+    await createAuditLog(req.user.id, 'LOGOUT', 'users', req.user.id, null, { scope: 'all', revoked }, req);
+
+    res.json({
+      status: 'success',
+      message: 'Logged out from all devices',
+      data: { revoked }
     });
+  } catch (error) {
     next(error);
   }
 });
@@ -159,16 +552,82 @@ router.get('/me', authenticate, async (req, res, next) => {
       throw new AuthenticationError('User not found', null, 'USER_NOT_FOUND');
     }
 
-    delete user.password;
-
     res.json({
       status: 'success',
       message: 'User profile retrieved successfully',
-      data: { user }
+      data: {
+        user: {
+          ...(await toSessionUser(user, req)),
+          ...(req.user.impersonator && { impersonator: req.user.impersonator })
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/** ========================= IMPERSONATION ========================= */
+// Admins can view the app as another user to see what they see. The token
+// lasts JWT_IMPERSONATION_EXPIRES_IN, cannot be refreshed, and audit logs
+// written with it carry both the impersonated user and the admin.
+router.post('/impersonate', authenticate, authorize('ADMIN'), forbidImpersonation, validate(authSchemas.impersonate), async (req, res, next) => {
+  try {
+    const { userId } = req.validatedData.body;
+    if (userId === req.user.id) {
+      throw new ValidationError('You cannot impersonate yourself', null, 'IMPERSONATION_SELF');
+    }
+
+    const target = await loadLoginUser({ id: userId });
+    if (!target) {
+      throw new NotFoundError('User not found', null, 'USER_NOT_FOUND');
+    }
+    if (!target.isActive || target.isServiceAccount) {
+      throw new ValidationError('Only active user accounts can be impersonated', null, 'USER_INACTIVE');
+    }
+    if (target.role === 'ADMIN') {
+      throw new AuthorizationError('Administrators cannot be impersonated', null, 'IMPERSONATION_FORBIDDEN');
+    }
+
+    const { accessToken, expiresAt } = generateImpersonationToken({
+      userId: target.id,
+      role: target.role,
+      impersonatorId: req.user.id
+    });
+
+    await createAuditLog(req.user.id, 'LOGIN', 'impersonation', target.id, null, { email: target.email, expiresAt }, req);
+    logger.warn('Impersonation started', { impersonatorId: req.user.id, userId: target.id });
+
+    res.json({
+      status: 'success',
+      message: `Now viewing as ${target.email}`,
+      data: {
+        user: {
+          ...(await toSessionUser(target, req)),
+          impersonator: { id: req.user.id, email: req.user.email }
+        },
+        accessToken,
+        expiresAt
+      }
     });
   } catch (error) {
     next(error);
   }
 });
 
+router.post('/impersonate/exit', authenticate, async (req, res, next) => {
+  try {
+    if (!req.user.impersonator) {
+      throw new ValidationError('No impersonation in progress', null, 'NOT_IMPERSONATING');
+    }
+
+    await createAuditLog(req.user.id, 'LOGOUT', 'impersonation', req.user.id, null, { email: req.user.email }, req);
+    logger.info('Impersonation ended', { impersonatorId: req.user.impersonator.id, userId: req.user.id });
+
+    res.json({ status: 'success', message: 'Impersonation ended' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
@@ -0,0 +1,114 @@
+import express from 'express';
+import { z } from 'zod';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validation.js';
+import { customFieldService } from '../services/customFieldService.js';
+
+const router = express.Router();
+
+const validationRules = z
+  .object({
+    min: z.union([z.number(), z.string()]).optional(),
+    max: z.union([z.number(), z.string()]).optional(),
+    maxLength: z.number().int().positive().max(10000).optional(),
+    pattern: z.string().max(500).optional(),
+    patternMessage: z.string().max(200).optional(),
+  })
+  .nullable()
+  .optional();
+
+const definitionFields = {
+  label: z.string().trim().min(1, 'Label is required').max(100),
+  description: z.string().trim().max(500).nullable().optional(),
+  options: z.array(z.string().trim().min(1).max(100)).max(100).optional(),
+  required: z.boolean().optional(),
+  validation: validationRules,
+  visibleToRoles: z.array(z.enum(['ADMIN', 'HR', 'MANAGER', 'EMPLOYEE'])).optional(),
+  sortOrder: z.number().int().min(0).max(10000).optional(),
+  isActive: z.boolean().optional(),
+};
+
+const customFieldSchemas = {
+  list: z.object({
+    query: z.object({
+      entity: z.enum(customFieldService.ENTITIES).optional().default('EMPLOYEE'),
+      includeInactive: z.enum(['true', 'false']).optional(),
+    }),
+  }),
+  create: z.object({
+    body: z.object({
+      entity: z.enum(customFieldService.ENTITIES),
+      key: z
+        .string()
+        .trim()
+        .regex(customFieldService.KEY_PATTERN, 'Key must start with a lowercase letter and contain only letters, digits and underscores'),
+      type: z.enum(customFieldService.TYPES),
+      ...definitionFields,
+    }),
+  }),
+  update: z.object({
+    params: z.object({ id: z.string().uuid('Invalid custom field ID') }),
+    body: z.object(definitionFields).partial(),
+  }),
+  id: z.object({
+    params: z.object({ id: z.string().uuid('Invalid custom field ID') }),
+  }),
+};
+
+// GET / - Custom fields of an entity the user can see; managers of
+// custom fields can include deactivated ones
+router.get('/', authenticate, validate(customFieldSchemas.list), async (req, res, next) => {
+  try {
+    const { entity, includeInactive } = req.validatedData.query;
+    const customFields = await customFieldService.listForUser(entity, req.user, {
+      includeInactive: includeInactive === 'true' && Boolean(req.user.permissions?.['customFields:manage']),
+    });
+    res.json({ success: true, message: 'Custom fields fetched successfully', data: { customFields } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /applications - Application fields open to everyone, for the public
+// application form
+router.get('/applications', async (req, res, next) => {
+  try {
+    const customFields = await customFieldService.listForUser('JOB_APPLICATION', null);
+    res.json({ success: true, message: 'Custom fields fetched successfully', data: { customFields } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST / - Define a custom field
+router.post('/', authenticate, requirePermission('customFields:manage'), validate(customFieldSchemas.create), async (req, res, next) => {
+  try {
+    const customField = await customFieldService.create(req.validatedData.body, req);
+    res.status(201).json({ success: true, message: 'Custom field created successfully', data: { customField } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /:id - Update a custom field; entity, key and type cannot change
+router.put('/:id', authenticate, requirePermission('customFields:manage'), validate(customFieldSchemas.update), async (req, res, next) => {
+  try {
+    const { params, body } = req.validatedData;
+    const customField = await customFieldService.update(params.id, body, req);
+    res.json({ success: true, message: 'Custom field updated successfully', data: { customField } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /:id - Delete a custom field and every value stored for it
+router.delete('/:id', authenticate, requirePermission('customFields:manage'), validate(customFieldSchemas.id), async (req, res, next) => {
+  try {
+    const customField = await customFieldService.remove(req.validatedData.params.id, req);
+    res.json({ success: true, message: 'Custom field deleted successfully', data: { customField } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,7 +1,7 @@
 // src/routes/departmentRoutes.js
 import express from 'express';
 import { z } from 'zod';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import { validate } from '../middleware/validation.js';
 import prisma from '../config/prisma.js';
 import { AppError, ValidationError } from '../utils/errors.js';
@@ -47,7 +47,7 @@ const listDepartmentsSchema = z.object({
 router.get(
   '/',
   authenticate,
-  authorize('ADMIN', 'HR', 'MANAGER'),
+  requirePermission('departments:read'),
   validate(listDepartmentsSchema),
   async (req, res, next) => {
     try {
@@ -100,7 +100,7 @@ router.get(
 );
 
 // GET /:id - Get department details
-router.get('/:id', authenticate, authorize('ADMIN', 'HR', 'MANAGER'), async (req, res, next) => {
+router.get('/:id', authenticate, requirePermission('departments:read'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -131,7 +131,7 @@ router.get('/:id', authenticate, authorize('ADMIN', 'HR', 'MANAGER'), async (req
 });
 
 // POST / - Create department
-router.post('/', authenticate, authorize('ADMIN', 'HR'), validate(departmentSchema), async (req, res, next) => {
+router.post('/', authenticate, requirePermission('departments:manage'), validate(departmentSchema), async (req, res, next) => {
   try {
     const { name, managerId, parentId, description } = req.validatedData.body;
 
@@ -169,7 +169,7 @@ router.post('/', authenticate, authorize('ADMIN', 'HR'), validate(departmentSche
 });
 
 // PUT /:id - Update department
-router.put('/:id', authenticate, authorize('ADMIN', 'HR'), validate(updateDepartmentSchema), async (req, res, next) => {
+router.put('/:id', authenticate, requirePermission('departments:manage'), validate(updateDepartmentSchema), async (req, res, next) => {
   try {
     const { id } = req.validatedData.params;
     const { name, managerId, parentId, isActive, description } = req.validatedData.body;
@@ -217,7 +217,7 @@ router.put('/:id', authenticate, authorize('ADMIN', 'HR'), validate(updateDepart
 });
 
 // DELETE /:id - Soft delete department
-router.delete('/:id', authenticate, authorize('ADMIN', 'HR'), async (req, res, next) => {
+router.delete('/:id', authenticate, requirePermission('departments:manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -1,6 +1,6 @@
 import express from 'express';
 import { z } from 'zod';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import { validate } from '../middleware/validation.js';
 import { createAuditLog } from '../middleware/auditMiddleware.js';
 import { AppError, ValidationError } from '../utils/errors.js';
@@ -46,7 +46,7 @@ const disciplinaryActionSchemas = {
 };
 
 // GET / - List actions
-router.get('/', authenticate, authorize('ADMIN', 'HR'), validate(disciplinaryActionSchemas.getAll), async (req, res, next) => {
+router.get('/', authenticate, requirePermission('disciplinary:manage'), validate(disciplinaryActionSchemas.getAll), async (req, res, next) => {
   try {
     const { page, limit, employeeId, type, severity } = req.validatedData.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -94,7 +94,7 @@ router.get('/', authenticate, authorize('ADMIN', 'HR'), validate(disciplinaryAct
 });
 
 // GET /:id - Get action details
-router.get('/:id', authenticate, authorize('ADMIN', 'HR'), async (req, res, next) => {
+router.get('/:id', authenticate, requirePermission('disciplinary:manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -121,7 +121,7 @@ router.get('/:id', authenticate, authorize('ADMIN', 'HR'), async (req, res, next
 });
 
 // POST / - Create action
-router.post('/', authenticate, authorize('ADMIN', 'HR'), validate(disciplinaryActionSchemas.create), async (req, res, next) => {
+router.post('/', authenticate, requirePermission('disciplinary:manage'), validate(disciplinaryActionSchemas.create), async (req, res, next) => {
   try {
     const { employeeId, type, reason, description, actionDate, severity, followUpDate, documents } = req.validatedData.body;
 
@@ -166,7 +166,7 @@ router.post('/', authenticate, authorize('ADMIN', 'HR'), validate(disciplinaryAc
 });
 
 // PUT /:id - Update action
-router.put('/:id', authenticate, authorize('ADMIN', 'HR'), validate(disciplinaryActionSchemas.update), async (req, res, next) => {
+router.put('/:id', authenticate, requirePermission('disciplinary:manage'), validate(disciplinaryActionSchemas.update), async (req, res, next) => {
   try {
     const { id } = req.validatedData.params;
     const updateData = req.validatedData.body;
@@ -205,7 +205,7 @@ router.put('/:id', authenticate, authorize('ADMIN', 'HR'), validate(disciplinary
 });
 
 // DELETE /:id - Delete action
-router.delete('/:id', authenticate, authorize('ADMIN', 'HR'), async (req, res, next) => {
+router.delete('/:id', authenticate, requirePermission('disciplinary:manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -2,7 +2,7 @@ import express from 'express';
 import { z } from 'zod';
 import {
   authenticate as authMiddleware,
-  authorize as roleMiddleware,
+  requirePermission as permissionMiddleware,
   authorizeEmployee as employeeOwnRecordMiddleware,
 } from '../middleware/auth.js';
 
@@ -29,7 +29,7 @@ const validateDocument = (req, res, next) => {
 router.get(
   '/',
   authMiddleware,
-  roleMiddleware('ADMIN', 'HR', 'EMPLOYEE'),
+  permissionMiddleware('documents:read'),
   employeeOwnRecordMiddleware,
   async (req, res) => {
     const { page = 1, limit = 10, employeeId, documentType } = req.query;
@@ -51,7 +51,7 @@ router.get(
 router.get(
   '/:id',
   authMiddleware,
-  roleMiddleware('ADMIN', 'HR', 'EMPLOYEE'),
+  permissionMiddleware('documents:read'),
   employeeOwnRecordMiddleware,
   async (req, res) => {
     const { id } = req.params;
@@ -69,7 +69,7 @@ router.get(
 router.post(
   '/',
   authMiddleware,
-  roleMiddleware('ADMIN', 'HR', 'EMPLOYEE'),
+  permissionMiddleware('documents:create'),
   validateDocument,
   async (req, res) => {
     const { employeeId, fileName, documentType } = req.body;
@@ -86,7 +86,7 @@ router.post(
 router.put(
   '/:id',
   authMiddleware,
-  roleMiddleware('ADMIN', 'HR'),
+  permissionMiddleware('documents:manage'),
   validateDocument,
   async (req, res) => {
     const { id } = req.params;
@@ -104,7 +104,7 @@ router.put(
 router.delete(
   '/:id',
   authMiddleware,
-  roleMiddleware('ADMIN', 'HR'),
+  permissionMiddleware('documents:manage'),
   async (req, res) => {
     const { id } = req.params;
     try {
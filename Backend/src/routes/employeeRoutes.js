@@ -1,11 +1,24 @@
 // src/routes/employeeRoutes.js - Complete fixed version
 import express from 'express';
+import multer from 'multer';
 import { z } from 'zod';
-import { authenticate, authorize, authorizeEmployee } from '../middleware/auth.js';
+import { authenticate, requirePermission, authorizeEmployee } from '../middleware/auth.js';
 import { validate } from '../middleware/validation.js';
 import { createAuditLog } from '../middleware/auditMiddleware.js';
 import { ValidationError, AppError } from '../utils/errors.js';
 import prisma from '../config/prisma.js';
+import { permissionService } from '../services/permissionService.js';
+import { fieldPolicyService } from '../services/fieldPolicyService.js';
+import { invitationService } from '../services/invitationService.js';
+import { reportingChainService } from '../services/reportingChainService.js';
+import { employeeImportService } from '../services/employeeImportService.js';
+import { employeeExportService } from '../services/employeeExportService.js';
+import { employmentHistoryService } from '../services/employmentHistoryService.js';
+import { employeeIdService } from '../services/employeeIdService.js';
+import { customFieldService } from '../services/customFieldService.js';
+import { terminationService } from '../services/terminationService.js';
+import { employeeMergeService } from '../services/employeeMergeService.js';
+import { SENSITIVE_FIELD_PERMISSION, SENSITIVE_FIELD_KEYS } from '../config/fieldPolicy.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -44,7 +57,8 @@ const listSchema = z.object({
 // Validation schemas for other operations
 const employeeSchema = z.object({
   body: z.object({
-    employeeId: z.string().min(1, 'Employee ID is required'),
+    // Optional when IDs are generated from the configured pattern
+    employeeId: z.string().trim().min(1, 'Employee ID is required').max(50, 'Employee ID too long').optional(),
     firstName: z.string().min(1, 'First name is required').max(50, 'First name too long'),
     lastName: z.string().min(1, 'Last name is required').max(50, 'Last name too long'),
     email: z.string().email('Invalid email format'),
@@ -66,6 +80,8 @@ const employeeSchema = z.object({
     hireDate: z.string().datetime('Invalid hire date format'),
     baseSalary: z.number().min(0, 'Salary must be positive').optional(),
     employmentStatus: z.enum(['ACTIVE', 'INACTIVE', 'TERMINATED', 'ON_LEAVE', 'PROBATION']).default('ACTIVE'),
+    // Checked against the custom field definitions by customFieldService
+    customFields: z.record(z.unknown()).optional(),
   }),
 });
 
@@ -89,8 +105,21 @@ const updateEmployeeSchema = z.object({
     positionId: z.string().uuid('Invalid position ID').optional(),
     managerId: z.string().uuid('Invalid manager ID').optional(),
     employmentType: z.enum(['FULL_TIME', 'PART_TIME', 'CONTRACT', 'INTERN', 'CONSULTANT']).optional(),
-    employmentStatus: z.enum(['ACTIVE', 'INACTIVE', 'TERMINATED', 'ON_LEAVE', 'PROBATION']).optional(),
+    // Terminations go through POST /:id/termination, which also closes the
+    // account, settles leave and flags the final payroll
+    employmentStatus: z.enum(['ACTIVE', 'INACTIVE', 'ON_LEAVE', 'PROBATION'], {
+      errorMap: () => ({ message: 'Invalid employment status; use POST /api/employees/:id/termination to terminate an employee' }),
+    }).optional(),
     baseSalary: z.number().min(0, 'Salary must be positive').optional(),
+    customFields: z.record(z.unknown()).optional(),
+  }),
+});
+
+const idPreviewSchema = z.object({
+  query: z.object({
+    departmentId: z.string().uuid('Invalid department ID').optional(),
+    country: z.string().max(100, 'Country too long').optional(),
+    hireDate: z.coerce.date({ invalid_type_error: 'Invalid hire date' }).optional(),
   }),
 });
 
@@ -100,17 +129,122 @@ const idSchema = z.object({
   }),
 });
 
+const invitationSchema = idSchema.extend({
+  body: z.object({
+    role: z.enum(['ADMIN', 'HR', 'MANAGER', 'EMPLOYEE']).optional().default('EMPLOYEE'),
+  }),
+});
+
+const importSchema = z.object({
+  query: z.object({
+    dryRun: z.enum(['true', 'false']).optional().default('false').transform((value) => value === 'true'),
+  }),
+});
+
+// Calendar day, stored as the date at UTC midnight
+const day = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Use YYYY-MM-DD').transform((value) => new Date(`${value}T00:00:00.000Z`));
+
+const historySchema = idSchema.extend({
+  query: z.object({
+    asOf: day.optional(),
+    includeSalary: z.enum(['true', 'false']).optional().default('false').transform((value) => value === 'true'),
+  }),
+});
+
+const employmentChangeSchema = idSchema.extend({
+  body: z.object({
+    effectiveDate: day,
+    reason: z.enum(['PROMOTION', 'TRANSFER', 'MERIT_INCREASE', 'DEMOTION', 'ADJUSTMENT']),
+    departmentId: z.string().uuid('Invalid department ID').nullable().optional(),
+    positionId: z.string().uuid('Invalid position ID').nullable().optional(),
+    managerId: z.string().uuid('Invalid manager ID').nullable().optional(),
+    employmentType: z.enum(['FULL_TIME', 'PART_TIME', 'CONTRACT', 'INTERN', 'CONSULTANT']).optional(),
+    baseSalary: z.number().min(0, 'Salary must be positive').optional(),
+    currency: z.string().length(3, 'Currency must be a 3-letter code').toUpperCase().optional(),
+    notes: z.string().max(500, 'Notes too long').optional(),
+  }),
+});
+
+const employmentRecordIdSchema = idSchema.extend({
+  params: z.object({
+    id: z.string().uuid('Invalid employee ID'),
+    recordId: z.string().uuid('Invalid record ID'),
+  }),
+});
+
+const terminationSchema = idSchema.extend({
+  body: z.object({
+    terminationDate: day,
+    reason: z.string().trim().min(1, 'Reason is required').max(500, 'Reason too long'),
+    notes: z.string().trim().max(2000, 'Notes too long').optional(),
+    templateId: z.string().uuid('Invalid template ID').optional(),
+  }),
+});
+
+const duplicatesSchema = z.object({
+  query: z.object({
+    minScore: z.coerce.number().int().min(1).max(100).optional(),
+    limit: z.coerce.number().int().min(1).max(200).optional(),
+  }),
+});
+
+const mergePairSchema = z.object({
+  primaryId: z.string().uuid('Invalid employee ID'),
+  duplicateId: z.string().uuid('Invalid employee ID'),
+});
+
+const mergePreviewSchema = z.object({ body: mergePairSchema });
+
+const mergeSchema = z.object({
+  body: mergePairSchema.extend({
+    fields: z
+      .record(z.enum(Object.keys(employeeMergeService.MERGE_FIELDS)), z.enum(['primary', 'duplicate']))
+      .optional()
+      .default({}),
+  }),
+});
+
+const exportSchema = z.object({
+  query: z.object({
+    format: z.enum(Object.keys(employeeExportService.EXPORT_FORMATS)).default('csv'),
+    columns: z.string().optional()
+      .transform((value) => (value ? value.split(',').map((column) => column.trim()) : employeeExportService.DEFAULT_EXPORT_COLUMNS))
+      .pipe(z.array(z.enum(employeeExportService.EXPORT_COLUMN_KEYS)).min(1, 'At least one column is required')),
+    search: z.string().trim().max(100).optional(),
+    departmentId: z.string().uuid('Invalid department ID').optional(),
+    employmentStatus: z.enum(['ACTIVE', 'INACTIVE', 'TERMINATED', 'ON_LEAVE', 'PROBATION']).optional(),
+    employmentType: z.enum(['FULL_TIME', 'PART_TIME', 'CONTRACT', 'INTERN', 'CONSULTANT']).optional(),
+  }),
+});
+
+// Spreadsheets are parsed in memory, one file per request
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) return cb(null, true);
+    cb(new ValidationError('Upload a .csv or .xlsx file', null, 'INVALID_IMPORT_FILE'));
+  },
+});
+
+const revealSchema = idSchema.extend({
+  body: z.object({
+    fields: z.array(z.enum(SENSITIVE_FIELD_KEYS)).min(1, 'At least one field is required'),
+  }),
+});
+
 /**
  * GET /api/employees - Get all employees with pagination
  * 
- * Returns a paginated list of employees with optional filtering.
- * Accessible to ADMIN, HR, and MANAGER roles.
- * Managers can only see their own subordinates and themselves.
+ * Returns a paginated list of employees with optional filtering, including
+ * `customFields[key]=value` filters on custom fields the user can see.
+ * Requires employees:read; results are limited to the user's scope
+ * (e.g. managers see their direct reports and themselves).
  */
 router.get(
   '/',
   authenticate,
-  authorize('ADMIN', 'HR', 'MANAGER'),
+  requirePermission('employees:read'),
   // Remove validation middleware and handle manually
   async (req, res, next) => {
     try {
@@ -195,29 +329,12 @@ router.get(
         ];
       }
 
-      // Role-based filtering for managers
-      if (req.user && req.user.role) {
-        const userRole = req.user.role.toUpperCase();
-        if (userRole === 'MANAGER' && req.user.employee) {
-          try {
-            const subordinates = await prisma.employee.findMany({
-              where: { managerId: req.user.employee.id },
-              select: { id: true },
-            });
-            const subordinateIds = subordinates.map(sub => sub.id);
-            subordinateIds.push(req.user.employee.id); // Include self
-            
-            filters.id = { in: subordinateIds };
-          } catch (managerError) {
-            logger.error('Error fetching manager subordinates', { 
-              error: managerError.message,
-              userId: req.user.id,
-              managerId: req.user.employee?.id
-            });
-            // Continue without manager filtering in case of error
-          }
-        }
-      }
+      const customFieldFilters = await customFieldService.buildFilters('EMPLOYEE', rawQuery.customFields, req.user);
+
+      // Limit to the employees the user may see (e.g. managers see their team)
+      const where = {
+        AND: [filters, ...customFieldFilters, await permissionService.scopeWhere(req.user, 'employees:read', { employee: true })],
+      };
 
       // Execute database queries with error handling
       let employees = [];
@@ -226,7 +343,7 @@ router.get(
       try {
         [employees, total] = await Promise.all([
           prisma.employee.findMany({
-            where: filters,
+            where,
             skip: (page - 1) * limit,
             take: limit,
             orderBy: { firstName: 'asc' },
@@ -245,13 +362,13 @@ router.get(
               },
             },
           }),
-          prisma.employee.count({ where: filters }),
+          prisma.employee.count({ where }),
         ]);
       } catch (dbError) {
         logger.error('Database error in employee query', {
           error: dbError.message,
           stack: dbError.stack,
-          filters,
+          where,
           userId: req.user?.id
         });
         throw new AppError('Database query failed', 500, null, 'DATABASE_ERROR');
@@ -301,6 +418,129 @@ router.get(
   }
 );
 
+/**
+ * GET /api/employees/export - Export the employee directory
+ *
+ * Streams the employees the user may read as CSV, XLSX or vCard, with the
+ * same search and filters as the list. `columns` is a comma-separated list
+ * of column keys for CSV and XLSX. Sensitive fields follow the field
+ * policy: masked when revealable, empty otherwise.
+ *
+ * Requires employees:read.
+ */
+router.get(
+  '/export',
+  authenticate,
+  requirePermission('employees:read'),
+  validate(exportSchema),
+  async (req, res, next) => {
+    const { format, columns, ...filters } = req.validatedData.query;
+    try {
+      await employeeExportService.exportEmployees(res, { format, columns, filters }, req);
+    } catch (error) {
+      if (!res.headersSent) return next(error);
+      // Part of the file is already sent; cut it off so it is not mistaken for complete
+      logger.error('Employee export failed while streaming', { error: error.message, userId: req.user?.id });
+      res.destroy(error);
+    }
+  }
+);
+
+/**
+ * GET /api/employees/id-preview - Preview the next generated employee ID
+ *
+ * Renders the configured ID pattern for the given department, country and
+ * hire date. Nothing is reserved; the ID is assigned when the employee is
+ * created. `generated` is false when IDs are entered by hand.
+ *
+ * Requires employees:create.
+ */
+router.get(
+  '/id-preview',
+  authenticate,
+  requirePermission('employees:create'),
+  validate(idPreviewSchema),
+  async (req, res, next) => {
+    try {
+      const preview = await employeeIdService.preview(req.validatedData.query);
+      res.json({ status: 'success', data: preview });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/employees/duplicates - Likely duplicate employees
+ * 
+ * Scores pairs of employees on matching tax ID, bank account, date of
+ * birth, name, phone number and email name, highest score first.
+ * 
+ * Requires employees:merge.
+ */
+router.get(
+  '/duplicates',
+  authenticate,
+  requirePermission('employees:merge'),
+  validate(duplicatesSchema),
+  async (req, res, next) => {
+    try {
+      const result = await employeeMergeService.findDuplicates(req.validatedData.query);
+      res.json({ status: 'success', data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/employees/merge/preview - Preview merging two employees
+ * 
+ * Returns both records, the field values to choose between and the
+ * records that would move to the primary. Nothing is saved.
+ * 
+ * Requires employees:merge.
+ */
+router.post(
+  '/merge/preview',
+  authenticate,
+  requirePermission('employees:merge'),
+  validate(mergePreviewSchema),
+  async (req, res, next) => {
+    try {
+      const { primaryId, duplicateId } = req.validatedData.body;
+      const preview = await employeeMergeService.preview(primaryId, duplicateId);
+      res.json({ status: 'success', data: preview });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/employees/merge - Merge a duplicate employee into the primary
+ * 
+ * Moves every record of the duplicate to the primary, applies the chosen
+ * field values and deletes the duplicate, all in one transaction.
+ * 
+ * Requires employees:merge.
+ */
+router.post(
+  '/merge',
+  authenticate,
+  requirePermission('employees:merge'),
+  validate(mergeSchema),
+  async (req, res, next) => {
+    try {
+      const { primaryId, duplicateId, fields } = req.validatedData.body;
+      const result = await employeeMergeService.merge(primaryId, duplicateId, fields, req);
+      res.json({ status: 'success', message: 'Employees merged successfully', data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * GET /api/employees/:id - Get single employee
  * 
@@ -310,12 +550,12 @@ router.get(
  * - Manager and subordinates
  * - Recent attendance and leave records
  * 
- * Accessible to ADMIN, HR, MANAGER, and the employee themselves.
+ * Requires employees:read for this employee.
  */
 router.get(
   '/:id',
   authenticate,
-  authorize('ADMIN', 'HR', 'MANAGER', 'EMPLOYEE'),
+  requirePermission('employees:read'),
   authorizeEmployee,
   validate(idSchema),
   async (req, res, next) => {
@@ -358,6 +598,11 @@ router.get(
         throw new AppError('Employee not found', 404, null, 'NOT_FOUND');
       }
 
+      // Account setup status for those who can invite
+      if (!employee.user && req.user.permissions['users:manage']) {
+        employee.pendingInvitation = await invitationService.getPending(id);
+      }
+
       await createAuditLog(req.user.id, 'READ', 'employees', id, null, null, req);
       res.json({ status: 'success', data: employee });
     } catch (error) {
@@ -371,6 +616,292 @@ router.get(
   }
 );
 
+/**
+ * GET /api/employees/:id/history - Employment history timeline
+ * 
+ * Returns the employee's effective-dated job records, newest first, and the
+ * record in effect on ?asOf=YYYY-MM-DD (today by default). Salaries are
+ * masked unless ?includeSalary=true, which requires employees:sensitive for
+ * this employee and is audited.
+ * 
+ * Requires employees:read for this employee.
+ */
+router.get(
+  '/:id/history',
+  authenticate,
+  requirePermission('employees:read'),
+  authorizeEmployee,
+  validate(historySchema),
+  async (req, res, next) => {
+    try {
+      const { params, query } = req.validatedData;
+      const history = await employmentHistoryService.getHistory(params.id, query, req);
+      res.json({ status: 'success', data: history });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/employees/:id/history - Record a job change
+ * 
+ * Promotions, transfers, pay changes and the like, effective from a date.
+ * Fields left out carry over. Changes dated today or earlier apply at once;
+ * future-dated ones are applied automatically on their effective date.
+ * 
+ * Requires employees:update for this employee.
+ */
+router.post(
+  '/:id/history',
+  authenticate,
+  requirePermission('employees:update'),
+  validate(employmentChangeSchema),
+  async (req, res, next) => {
+    try {
+      const { params, body } = req.validatedData;
+      const record = await employmentHistoryService.recordChange(params.id, body, req);
+      res.status(201).json({ status: 'success', data: record });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/employees/:id/history/:recordId - Cancel a scheduled change
+ * 
+ * Requires employees:update for this employee.
+ */
+router.delete(
+  '/:id/history/:recordId',
+  authenticate,
+  requirePermission('employees:update'),
+  validate(employmentRecordIdSchema),
+  async (req, res, next) => {
+    try {
+      const { id, recordId } = req.validatedData.params;
+      await employmentHistoryService.cancelChange(id, recordId, req);
+      res.json({ status: 'success', message: 'Scheduled change cancelled' });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/employees/:id/reveal - Reveal masked sensitive fields
+ * 
+ * Responses mask salary, bank account, tax ID and date of birth; this returns
+ * their clear values and records the disclosure in the audit log.
+ * 
+ * Requires employees:sensitive for this employee.
+ */
+router.post(
+  '/:id/reveal',
+  authenticate,
+  requirePermission(SENSITIVE_FIELD_PERMISSION),
+  validate(revealSchema),
+  async (req, res, next) => {
+    try {
+      const { params, body } = req.validatedData;
+      const values = await fieldPolicyService.reveal(req.user, params.id, body.fields, req);
+
+      res.locals.unmaskedResponse = true;
+      res.json({ status: 'success', data: values });
+    } catch (error) {
+      logger.error('Error revealing employee fields', {
+        error: error.message,
+        id: req.params.id,
+        userId: req.user?.id
+      });
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/employees/:id/invitation - Invite the employee to create an account
+ * 
+ * Emails a single-use, expiring link where the employee sets a password. The
+ * resulting user is linked to this employee with the invited role. Sending
+ * again replaces a pending invitation.
+ * 
+ * Requires users:manage.
+ */
+router.post(
+  '/:id/invitation',
+  authenticate,
+  requirePermission('users:manage'),
+  validate(invitationSchema),
+  async (req, res, next) => {
+    try {
+      const { params, body } = req.validatedData;
+      const invitation = await invitationService.invite(params.id, body, req);
+      res.status(201).json({ status: 'success', message: 'Invitation sent', data: invitation });
+    } catch (error) {
+      logger.error('Error sending invitation', {
+        error: error.message,
+        id: req.params.id,
+        userId: req.user?.id
+      });
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/employees/:id/invitation - Revoke the pending invitation
+ * 
+ * Requires users:manage.
+ */
+router.delete(
+  '/:id/invitation',
+  authenticate,
+  requirePermission('users:manage'),
+  validate(idSchema),
+  async (req, res, next) => {
+    try {
+      await invitationService.revoke(req.validatedData.params.id, req);
+      res.json({ status: 'success', message: 'Invitation revoked' });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/employees/:id/termination - Scheduled or completed termination
+ * 
+ * Returns null when the employee has none.
+ * 
+ * Requires employees:delete.
+ */
+router.get(
+  '/:id/termination',
+  authenticate,
+  requirePermission('employees:delete'),
+  validate(idSchema),
+  async (req, res, next) => {
+    try {
+      const termination = await terminationService.getCurrent(req.validatedData.params.id);
+      res.json({ status: 'success', data: termination });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/employees/:id/termination/preview - Preview a termination
+ * 
+ * Validates the termination like the real one and lists what it would do:
+ * offboarding tasks, account closure, leave settlement and final payroll.
+ * Nothing is saved.
+ * 
+ * Requires employees:delete.
+ */
+router.post(
+  '/:id/termination/preview',
+  authenticate,
+  requirePermission('employees:delete'),
+  validate(terminationSchema),
+  async (req, res, next) => {
+    try {
+      const { params, body } = req.validatedData;
+      const preview = await terminationService.preview(params.id, body, req);
+      res.json({ status: 'success', data: preview });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/employees/:id/termination - Terminate an employee
+ * 
+ * Records the last day and reason and creates offboarding tasks from the
+ * chosen template. On the last day the employee becomes TERMINATED, their
+ * user account is deactivated and signed out, leave balances are settled
+ * and the payroll record covering the day is flagged as final pay; a last
+ * day of today or earlier takes effect at once.
+ * 
+ * Requires employees:delete.
+ */
+router.post(
+  '/:id/termination',
+  authenticate,
+  requirePermission('employees:delete'),
+  validate(terminationSchema),
+  async (req, res, next) => {
+    try {
+      const { params, body } = req.validatedData;
+      const termination = await terminationService.schedule(params.id, body, req);
+      res.status(201).json({
+        status: 'success',
+        message: termination.status === 'COMPLETED' ? 'Employee terminated successfully' : 'Termination scheduled',
+        data: termination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/employees/:id/termination - Cancel a scheduled termination
+ * 
+ * Open offboarding tasks created for it are removed.
+ * 
+ * Requires employees:delete.
+ */
+router.delete(
+  '/:id/termination',
+  authenticate,
+  requirePermission('employees:delete'),
+  validate(idSchema),
+  async (req, res, next) => {
+    try {
+      await terminationService.cancel(req.validatedData.params.id, req);
+      res.json({ status: 'success', message: 'Termination cancelled' });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/employees/import - Import employees from a spreadsheet
+ *
+ * Takes a .csv or .xlsx file in the `file` field. Columns map to employee
+ * fields by header; department, position and manager are given by name
+ * (department name, position title, manager employee ID or email). With
+ * ?dryRun=true every row is validated and reported without saving;
+ * otherwise all rows are created in one transaction, and nothing is saved
+ * while any row has errors.
+ *
+ * Requires employees:create.
+ */
+router.post(
+  '/import',
+  authenticate,
+  requirePermission('employees:create'),
+  importUpload.single('file'),
+  validate(importSchema),
+  async (req, res, next) => {
+    try {
+      if (!req.file) {
+        throw new ValidationError('A spreadsheet file is required', null, 'FILE_REQUIRED');
+      }
+
+      const result = await employeeImportService.importEmployees(req.file, req.validatedData.query, req);
+      res.status(result.dryRun ? 200 : 201).json({ status: 'success', data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * POST /api/employees - Create a new employee
  * 
@@ -378,24 +909,29 @@ router.get(
  * - Unique employee ID and email
  * - Valid department, position, and manager references
  * 
- * Accessible only to ADMIN and HR roles.
+ * Without an employee ID one is generated from the configured pattern;
+ * a given ID is rejected when manual entry is switched off.
+ * 
+ * Requires employees:create.
  */
 router.post(
   '/',
   authenticate,
-  authorize('ADMIN', 'HR'),
+  requirePermission('employees:create'),
   validate(employeeSchema),
   async (req, res, next) => {
     try {
       const employeeData = req.validatedData.body;
 
       // Check if employee ID already exists
-      const existingEmployee = await prisma.employee.findUnique({
-        where: { employeeId: employeeData.employeeId },
-      });
+      if (employeeData.employeeId) {
+        const existingEmployee = await prisma.employee.findUnique({
+          where: { employeeId: employeeData.employeeId },
+        });
 
-      if (existingEmployee) {
-        throw new ValidationError('Employee ID already exists', null, 'DUPLICATE_EMPLOYEE_ID');
+        if (existingEmployee) {
+          throw new ValidationError('Employee ID already exists', null, 'DUPLICATE_EMPLOYEE_ID');
+        }
       }
 
       // Check if email already exists
@@ -437,9 +973,19 @@ router.post(
         }
       }
 
+      const customFields = await customFieldService.prepareValues('EMPLOYEE', employeeData.customFields, {
+        user: req.user,
+        isCreate: true,
+      });
+
+      // Generated last, so failed validations do not use up sequence numbers
+      const employeeId = await employeeIdService.assign(employeeData);
+
       const newEmployee = await prisma.employee.create({
         data: {
           ...employeeData,
+          employeeId,
+          customFields,
           dateOfBirth: employeeData.dateOfBirth ? new Date(employeeData.dateOfBirth) : null,
           hireDate: new Date(employeeData.hireDate),
           createdById: req.user.id,
@@ -451,6 +997,12 @@ router.post(
         },
       });
 
+      if (newEmployee.managerId) {
+        reportingChainService.clearCache();
+      }
+
+      await prisma.employmentRecord.create({ data: employmentHistoryService.hireRecordData(newEmployee, req.user.id) });
+
       await createAuditLog(req.user.id, 'CREATE', 'employees', newEmployee.id, null, newEmployee, req);
       res.status(201).json({ status: 'success', data: newEmployee });
     } catch (error) {
@@ -471,12 +1023,13 @@ router.post(
  * - Valid department, position, and manager references
  * - Prevents self-management
  * 
- * Accessible only to ADMIN and HR roles.
+ * Employees cannot be terminated here; see POST /api/employees/:id/termination.
+ * Requires employees:update.
  */
 router.put(
   '/:id',
   authenticate,
-  authorize('ADMIN', 'HR'),
+  requirePermission('employees:update'),
   validate(idSchema.merge(updateEmployeeSchema)),
   async (req, res, next) => {
     try {
@@ -491,6 +1044,8 @@ router.put(
         throw new AppError('Employee not found', 404, null, 'NOT_FOUND');
       }
 
+      await permissionService.assert(req.user, 'employees:update', { employeeId: id });
+
       // Check email uniqueness if email is being updated
       if (updateData.email && updateData.email !== existingEmployee.email) {
         const existingEmail = await prisma.employee.findUnique({
@@ -526,6 +1081,9 @@ router.put(
         if (updateData.managerId === id) {
           throw new ValidationError('Employee cannot be their own manager', null, 'INVALID_MANAGER');
         }
+        if ((await reportingChainService.getReportIds(id)).includes(updateData.managerId)) {
+          throw new ValidationError('Employee cannot report to someone in their own reporting chain', null, 'INVALID_MANAGER');
+        }
         const manager = await prisma.employee.findUnique({
           where: { id: updateData.managerId, employmentStatus: 'ACTIVE' },
         });
@@ -539,6 +1097,12 @@ router.put(
       if (updateData.dateOfBirth) {
         processedData.dateOfBirth = new Date(updateData.dateOfBirth);
       }
+      if (updateData.customFields) {
+        processedData.customFields = await customFieldService.prepareValues('EMPLOYEE', updateData.customFields, {
+          user: req.user,
+          existing: existingEmployee.customFields,
+        });
+      }
 
       const updatedEmployee = await prisma.employee.update({
         where: { id },
@@ -553,6 +1117,11 @@ router.put(
         },
       });
 
+      if (updateData.managerId !== undefined) {
+        reportingChainService.clearCache();
+      }
+
+      await employmentHistoryService.recordEdit(existingEmployee, updatedEmployee, req.user.id);
       await createAuditLog(req.user.id, 'UPDATE', 'employees', id, existingEmployee, updatedEmployee, req);
       res.json({ status: 'success', data: updatedEmployee });
     } catch (error) {
@@ -569,69 +1138,31 @@ router.put(
 /**
  * DELETE /api/employees/:id - Soft delete employee
  * 
- * Sets employment status to TERMINATED and deactivates associated user account.
+ * Terminates the employee with immediate effect, through the same workflow
+ * as POST /:id/termination with today as the last day.
  * Prevents termination if employee has active subordinates.
  * 
- * Accessible only to ADMIN and HR roles.
+ * Requires employees:delete.
  */
 router.delete(
   '/:id',
   authenticate,
-  authorize('ADMIN', 'HR'),
+  requirePermission('employees:delete'),
   validate(idSchema),
   async (req, res, next) => {
     try {
       const { id } = req.validatedData.params;
-      
-      const existingEmployee = await prisma.employee.findUnique({
-        where: { id },
-        include: {
-          subordinates: {
-            where: { employmentStatus: 'ACTIVE' },
-            select: { id: true, firstName: true, lastName: true },
-          },
-        },
-      });
-
-      if (!existingEmployee) {
-        throw new AppError('Employee not found', 404, null, 'NOT_FOUND');
-      }
-
-      if (existingEmployee.employmentStatus === 'TERMINATED') {
-        throw new ValidationError('Employee is already terminated', null, 'ALREADY_TERMINATED');
-      }
-
-      // Check if employee has active subordinates
-      if (existingEmployee.subordinates.length > 0) {
-        throw new ValidationError(
-          'Cannot terminate employee with active subordinates. Please reassign subordinates first.',
-          null,
-          'HAS_ACTIVE_SUBORDINATES'
-        );
-      }
-
-      const terminatedEmployee = await prisma.employee.update({
-        where: { id },
-        data: {
-          employmentStatus: 'TERMINATED',
-          terminationDate: new Date(),
-          updatedById: req.user.id,
-        },
-      });
-
-      // Also deactivate associated user account if exists
-      if (existingEmployee.userId) {
-        await prisma.user.update({
-          where: { id: existingEmployee.userId },
-          data: { isActive: false },
-        });
-      }
+      const now = new Date();
+      const termination = await terminationService.schedule(id, {
+        terminationDate: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())),
+        reason: 'Terminated',
+      }, req);
 
-      await createAuditLog(req.user.id, 'DELETE', 'employees', id, existingEmployee, terminatedEmployee, req);
+      const terminatedEmployee = await prisma.employee.findUnique({ where: { id } });
       res.json({ 
         status: 'success', 
         message: 'Employee terminated successfully',
-        data: terminatedEmployee 
+        data: { ...terminatedEmployee, termination }
       });
     } catch (error) {
       logger.error('Error deleting employee', { 
@@ -1,6 +1,6 @@
 import express from 'express';
 import { z } from 'zod';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import { validate } from '../middleware/validation.js';
 import { createAuditLog } from '../middleware/auditMiddleware.js';
 import { AppError, ValidationError } from '../utils/errors.js';
@@ -44,7 +44,7 @@ const interviewSchemas = {
 };
 
 // GET / - List interviews
-router.get('/', authenticate, authorize('ADMIN', 'HR'), validate(interviewSchemas.getAll), async (req, res, next) => {
+router.get('/', authenticate, requirePermission('recruitment:manage'), validate(interviewSchemas.getAll), async (req, res, next) => {
   try {
     const { page, limit, applicationId, status } = req.validatedData.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -96,7 +96,7 @@ router.get('/', authenticate, authorize('ADMIN', 'HR'), validate(interviewSchema
 });
 
 // GET /:id - Get interview details
-router.get('/:id', authenticate, authorize('ADMIN', 'HR'), async (req, res, next) => {
+router.get('/:id', authenticate, requirePermission('recruitment:manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -133,7 +133,7 @@ router.get('/:id', authenticate, authorize('ADMIN', 'HR'), async (req, res, next
 });
 
 // POST / - Create interview
-router.post('/', authenticate, authorize('ADMIN', 'HR'), validate(interviewSchemas.create), async (req, res, next) => {
+router.post('/', authenticate, requirePermission('recruitment:manage'), validate(interviewSchemas.create), async (req, res, next) => {
   try {
     const { applicationId, scheduledAt, duration, location, type, interviewers } = req.validatedData.body;
 
@@ -187,7 +187,7 @@ router.post('/', authenticate, authorize('ADMIN', 'HR'), validate(interviewSchem
 });
 
 // PUT /:id - Update interview
-router.put('/:id', authenticate, authorize('ADMIN', 'HR'), validate(interviewSchemas.update), async (req, res, next) => {
+router.put('/:id', authenticate, requirePermission('recruitment:manage'), validate(interviewSchemas.update), async (req, res, next) => {
   try {
     const { id } = req.validatedData.params;
     const updateData = req.validatedData.body;
@@ -235,7 +235,7 @@ router.put('/:id', authenticate, authorize('ADMIN', 'HR'), validate(interviewSch
 });
 
 // DELETE /:id - Delete interview
-router.delete('/:id', authenticate, authorize('ADMIN', 'HR'), async (req, res, next) => {
+router.delete('/:id', authenticate, requirePermission('recruitment:manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -1,10 +1,11 @@
 import express from 'express';
 import { z } from 'zod';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import { validate } from '../middleware/validation.js';
 import { createAuditLog } from '../middleware/auditMiddleware.js';
 import { AppError, ValidationError } from '../utils/errors.js';
 import prisma from '../config/prisma.js';
+import { customFieldService } from '../services/customFieldService.js';
 
 const router = express.Router();
 
@@ -19,6 +20,7 @@ const jobApplicationSchemas = {
       phone: z.string().optional(),
       resumeUrl: z.string().url().optional(),
       coverLetter: z.string().optional(),
+      customFields: z.record(z.unknown()).optional(),
     }),
   }),
   update: z.object({
@@ -29,6 +31,7 @@ const jobApplicationSchemas = {
       rating: z.number().min(1).max(5).optional(),
       screenedAt: z.string().datetime().optional(),
       interviewedAt: z.string().datetime().optional(),
+      customFields: z.record(z.unknown()).optional(),
     }),
   }),
   getAll: z.object({
@@ -37,19 +40,23 @@ const jobApplicationSchemas = {
       limit: z.string().regex(/^\d+$/).optional().default('10'),
       jobPostingId: z.string().uuid('Invalid job posting ID').optional(),
       status: z.enum(['APPLIED', 'SCREENING', 'INTERVIEW', 'ASSESSMENT', 'OFFER', 'HIRED', 'REJECTED']).optional(),
+      // customFields[key]=value filters, see customFieldService.buildFilters
+      customFields: z.record(z.unknown()).optional(),
     }),
   }),
 };
 
 // GET / - List applications (HR/Admin only)
-router.get('/', authenticate, authorize('ADMIN', 'HR'), validate(jobApplicationSchemas.getAll), async (req, res, next) => {
+router.get('/', authenticate, requirePermission('recruitment:manage'), validate(jobApplicationSchemas.getAll), async (req, res, next) => {
   try {
-    const { page, limit, jobPostingId, status } = req.validatedData.query;
+    const { page, limit, jobPostingId, status, customFields } = req.validatedData.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
     const where = {};
     if (jobPostingId) where.jobPostingId = jobPostingId;
     if (status) where.status = status;
+    const customFieldFilters = await customFieldService.buildFilters('JOB_APPLICATION', customFields, req.user);
+    if (customFieldFilters.length > 0) where.AND = customFieldFilters;
 
     const [applications, total] = await Promise.all([
       prisma.jobApplication.findMany({
@@ -90,7 +97,7 @@ router.get('/', authenticate, authorize('ADMIN', 'HR'), validate(jobApplicationS
 });
 
 // GET /:id - Get application details (HR/Admin only)
-router.get('/:id', authenticate, authorize('ADMIN', 'HR'), async (req, res, next) => {
+router.get('/:id', authenticate, requirePermission('recruitment:manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -117,7 +124,8 @@ router.get('/:id', authenticate, authorize('ADMIN', 'HR'), async (req, res, next
   }
 });
 
-// POST / - Create application (public endpoint)
+// POST / - Create application (public endpoint); applicants can only fill
+// custom fields without a role restriction
 router.post('/', validate(jobApplicationSchemas.create), async (req, res, next) => {
   try {
     const { jobPostingId, firstName, lastName, email, phone, resumeUrl, coverLetter } = req.validatedData.body;
@@ -141,6 +149,11 @@ router.post('/', validate(jobApplicationSchemas.create), async (req, res, next)
       throw new ValidationError('You have already applied for this position');
     }
 
+    const customFields = await customFieldService.prepareValues('JOB_APPLICATION', req.validatedData.body.customFields, {
+      user: null,
+      isCreate: true,
+    });
+
     const application = await prisma.jobApplication.create({
       data: {
         jobPostingId,
@@ -150,6 +163,7 @@ router.post('/', validate(jobApplicationSchemas.create), async (req, res, next)
         phone,
         resumeUrl,
         coverLetter,
+        customFields,
         status: 'APPLIED',
       },
       include: {
@@ -170,7 +184,7 @@ router.post('/', validate(jobApplicationSchemas.create), async (req, res, next)
 });
 
 // PUT /:id - Update application (HR/Admin only)
-router.put('/:id', authenticate, authorize('ADMIN', 'HR'), validate(jobApplicationSchemas.update), async (req, res, next) => {
+router.put('/:id', authenticate, requirePermission('recruitment:manage'), validate(jobApplicationSchemas.update), async (req, res, next) => {
   try {
     const { id } = req.validatedData.params;
     const updateData = req.validatedData.body;
@@ -182,6 +196,12 @@ router.put('/:id', authenticate, authorize('ADMIN', 'HR'), validate(jobApplicati
       ...updateData,
       screenedAt: updateData.screenedAt ? new Date(updateData.screenedAt) : undefined,
       interviewedAt: updateData.interviewedAt ? new Date(updateData.interviewedAt) : undefined,
+      customFields: updateData.customFields
+        ? await customFieldService.prepareValues('JOB_APPLICATION', updateData.customFields, {
+            user: req.user,
+            existing: existingApplication.customFields,
+          })
+        : undefined,
     };
 
     const application = await prisma.jobApplication.update({
@@ -207,7 +227,7 @@ router.put('/:id', authenticate, authorize('ADMIN', 'HR'), validate(jobApplicati
 });
 
 // DELETE /:id - Delete application (HR/Admin only)
-router.delete('/:id', authenticate, authorize('ADMIN', 'HR'), async (req, res, next) => {
+router.delete('/:id', authenticate, requirePermission('recruitment:manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -1,10 +1,11 @@
 import express from 'express';
 import { z } from 'zod';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import { validate } from '../middleware/validation.js';
 import { createAuditLog } from '../middleware/auditMiddleware.js';
 import { AppError, ValidationError } from '../utils/errors.js';
 import prisma from '../config/prisma.js';
+import { permissionService } from '../services/permissionService.js';
 
 const router = express.Router();
 
@@ -125,7 +126,7 @@ router.get('/:id', async (req, res, next) => {
         position: {
           select: { id: true, title: true, level: true, description: true },
         },
-        applications: req.user && ['ADMIN', 'HR'].includes(req.user.role) ? {
+        applications: (await permissionService.can(req.user, 'recruitment:manage')) ? {
           select: { id: true, firstName: true, lastName: true, email: true, status: true, appliedAt: true },
           orderBy: { appliedAt: 'desc' },
         } : false,
@@ -150,7 +151,7 @@ router.get('/:id', async (req, res, next) => {
 });
 
 // POST / - Create job posting
-router.post('/', authenticate, authorize('ADMIN', 'HR'), validate(jobPostingSchemas.create), async (req, res, next) => {
+router.post('/', authenticate, requirePermission('recruitment:manage'), validate(jobPostingSchemas.create), async (req, res, next) => {
   try {
     const postingData = req.validatedData.body;
 
@@ -205,7 +206,7 @@ router.post('/', authenticate, authorize('ADMIN', 'HR'), validate(jobPostingSche
 });
 
 // PUT /:id - Update job posting
-router.put('/:id', authenticate, authorize('ADMIN', 'HR'), validate(jobPostingSchemas.update), async (req, res, next) => {
+router.put('/:id', authenticate, requirePermission('recruitment:manage'), validate(jobPostingSchemas.update), async (req, res, next) => {
   try {
     const { id } = req.validatedData.params;
     const updateData = req.validatedData.body;
@@ -268,7 +269,7 @@ router.put('/:id', authenticate, authorize('ADMIN', 'HR'), validate(jobPostingSc
 });
 
 // DELETE /:id - Delete job posting
-router.delete('/:id', authenticate, authorize('ADMIN', 'HR'), async (req, res, next) => {
+router.delete('/:id', authenticate, requirePermission('recruitment:manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -1,10 +1,11 @@
 import express from 'express';
 import { z } from 'zod';
-import { authenticate, authorize, authorizeEmployee } from '../middleware/auth.js';
+import { authenticate, requirePermission, authorizeEmployee } from '../middleware/auth.js';
 import { validate } from '../middleware/validation.js';
 import { createAuditLog } from '../middleware/auditMiddleware.js';
 import { AppError, ValidationError } from '../utils/errors.js';
 import prisma from '../config/prisma.js';
+import { permissionService } from '../services/permissionService.js';
 
 const router = express.Router();
 
@@ -41,7 +42,7 @@ const leaveBalanceSchemas = {
 router.get(
   '/',
   authenticate,
-  authorize('ADMIN', 'HR', 'MANAGER', 'EMPLOYEE'),
+  requirePermission('leaveBalances:read'),
   validate(leaveBalanceSchemas.getAll),
   async (req, res, next) => {
     try {
@@ -52,27 +53,8 @@ router.get(
       if (employeeId) where.employeeId = employeeId;
       if (year) where.year = parseInt(year);
       
-      // Apply role-based filtering
-      if (req.user.role === 'EMPLOYEE' && req.user.employee) {
-        where.employeeId = req.user.employee.id;
-      } else if (req.user.role === 'MANAGER' && req.user.employee) {
-        // Manager can see balances for their subordinates
-        const subordinates = await prisma.employee.findMany({
-          where: { managerId: req.user.employee.id },
-          select: { id: true },
-        });
-        const subordinateIds = subordinates.map(sub => sub.id);
-        subordinateIds.push(req.user.employee.id); // Include self
-        
-        if (where.employeeId) {
-          // Check if requested employee is accessible
-          if (!subordinateIds.includes(where.employeeId)) {
-            throw new AppError('Access denied', 403);
-          }
-        } else {
-          where.employeeId = { in: subordinateIds };
-        }
-      }
+      // Limit to the employees the user may see
+      where.AND = [await permissionService.scopeWhere(req.user, 'leaveBalances:read')];
 
       const [balances, total] = await Promise.all([
         prisma.leaveBalance.findMany({
@@ -116,7 +98,7 @@ router.get(
 router.get(
   '/:id',
   authenticate,
-  authorize('ADMIN', 'HR', 'MANAGER', 'EMPLOYEE'),
+  requirePermission('leaveBalances:read'),
   async (req, res, next) => {
     try {
       const { id } = req.params;
@@ -136,9 +118,7 @@ router.get(
       if (!balance) throw new AppError('Leave balance not found', 404);
 
       // Check access permissions
-      if (req.user.role === 'EMPLOYEE' && req.user.employee?.id !== balance.employeeId) {
-        throw new AppError('Access denied', 403);
-      }
+      await permissionService.assert(req.user, 'leaveBalances:read', balance);
 
       await createAuditLog(req.user.id, 'READ', 'leave_balances', id, null, null, req);
 
@@ -153,7 +133,7 @@ router.get(
 router.post(
   '/',
   authenticate,
-  authorize('ADMIN', 'HR'),
+  requirePermission('leaveBalances:manage'),
   validate(leaveBalanceSchemas.create),
   async (req, res, next) => {
     try {
@@ -214,7 +194,7 @@ router.post(
 router.put(
   '/:id',
   authenticate,
-  authorize('ADMIN', 'HR'),
+  requirePermission('leaveBalances:manage'),
   validate(leaveBalanceSchemas.update),
   async (req, res, next) => {
     try {
@@ -267,7 +247,7 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  authorize('ADMIN', 'HR'),
+  requirePermission('leaveBalances:manage'),
   async (req, res, next) => {
     try {
       const { id } = req.params;
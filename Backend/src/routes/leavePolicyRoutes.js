@@ -1,6 +1,6 @@
 import express from 'express';
 import { z } from 'zod';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import { validate } from '../middleware/validation.js';
 import { createAuditLog } from '../middleware/auditMiddleware.js';
 import { AppError, ValidationError } from '../utils/errors.js';
@@ -45,7 +45,7 @@ const leavePolicySchemas = {
 router.get(
   '/',
   authenticate,
-  authorize('ADMIN', 'HR', 'MANAGER', 'EMPLOYEE'),
+  requirePermission('leavePolicies:read'),
   validate(leavePolicySchemas.getAll),
   async (req, res, next) => {
     try {
@@ -90,7 +90,7 @@ router.get(
 router.get(
   '/:id',
   authenticate,
-  authorize('ADMIN', 'HR', 'MANAGER', 'EMPLOYEE'),
+  requirePermission('leavePolicies:read'),
   async (req, res, next) => {
     try {
       const { id } = req.params;
@@ -132,7 +132,7 @@ router.get(
 router.post(
   '/',
   authenticate,
-  authorize('ADMIN', 'HR'),
+  requirePermission('leavePolicies:manage'),
   validate(leavePolicySchemas.create),
   async (req, res, next) => {
     try {
@@ -174,7 +174,7 @@ router.post(
 router.put(
   '/:id',
   authenticate,
-  authorize('ADMIN', 'HR'),
+  requirePermission('leavePolicies:manage'),
   validate(leavePolicySchemas.update),
   async (req, res, next) => {
     try {
@@ -214,7 +214,7 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  authorize('ADMIN', 'HR'),
+  requirePermission('leavePolicies:manage'),
   async (req, res, next) => {
     try {
       const { id } = req.params;
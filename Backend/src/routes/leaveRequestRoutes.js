@@ -1,5 +1,5 @@
 import express from 'express';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import { validate } from '../middleware/validation.js';
 import { createAuditLog } from '../middleware/auditMiddleware.js';
 import { z } from 'zod';
@@ -37,7 +37,7 @@ const leaveRequestSchemas = {
 };
 
 // Get all leave requests
-router.get('/', authenticate, authorize('ADMIN', 'HR', 'MANAGER'), validate(leaveRequestSchemas.getAll), async (req, res, next) => {
+router.get('/', authenticate, requirePermission('leave:read'), validate(leaveRequestSchemas.getAll), async (req, res, next) => {
   try {
     const { page, limit, status, employeeId } = req.validatedData.query;
     const leaveRequests = await leaveRequestService.getAllLeaveRequests({ page, limit, status, employeeId, user: req.user });
@@ -61,20 +61,21 @@ router.get('/:id', authenticate, async (req, res, next) => {
 });
 
 // Create leave request
-router.post('/', authenticate, validate(leaveRequestSchemas.create), async (req, res, next) => {
+router.post('/', authenticate, requirePermission('leave:create'), validate(leaveRequestSchemas.create), async (req, res, next) => {
   try {
-    const leaveRequest = await leaveRequestService.createLeaveRequest({ ...req.validatedData.body, employeeId: req.user.employeeId }, req);
+    const leaveRequest = await leaveRequestService.createLeaveRequest({ ...req.validatedData.body, employeeId: req.user.employee?.id }, req);
     res.status(201).json({ success: true, message: 'Leave request created successfully', data: { leaveRequest } });
   } catch (error) {
     next(error);
   }
 });
 
-// Update leave request (e.g., approve/reject)
-router.put('/:id', authenticate, authorize('ADMIN', 'HR', 'MANAGER'), validate(leaveRequestSchemas.update), async (req, res, next) => {
+// Update leave request (e.g., approve/reject). Delegates without leave:approve
+// of their own may decide on delegated requests, so the service checks access.
+router.put('/:id', authenticate, validate(leaveRequestSchemas.update), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const leaveRequest = await leaveRequestService.updateLeaveRequest(id, { ...req.validatedData.body, approvedById: req.user.employeeId }, req);
+    const leaveRequest = await leaveRequestService.updateLeaveRequest(id, { ...req.validatedData.body, approvedById: req.user.employee?.id }, req);
     res.json({ success: true, message: 'Leave request updated successfully', data: { leaveRequest } });
   } catch (error) {
     next(error);
@@ -82,7 +83,7 @@ router.put('/:id', authenticate, authorize('ADMIN', 'HR', 'MANAGER'), validate(l
 });
 
 // Delete leave request
-router.delete('/:id', authenticate, authorize('ADMIN', 'HR'), async (req, res, next) => {
+router.delete('/:id', authenticate, requirePermission('leave:delete'), async (req, res, next) => {
   try {
     const { id } = req.params;
     await leaveRequestService.deleteLeaveRequest(id, req);
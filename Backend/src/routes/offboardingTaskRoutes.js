@@ -1,6 +1,6 @@
 import express from 'express';
 import { z } from 'zod';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import { validate } from '../middleware/validation.js';
 import { createAuditLog } from '../middleware/auditMiddleware.js';
 import { AppError, ValidationError } from '../utils/errors.js';
@@ -42,7 +42,7 @@ const offboardingTaskSchemas = {
 };
 
 // GET / - List tasks
-router.get('/', authenticate, authorize('ADMIN', 'HR'), validate(offboardingTaskSchemas.getAll), async (req, res, next) => {
+router.get('/', authenticate, requirePermission('offboarding:manage'), validate(offboardingTaskSchemas.getAll), async (req, res, next) => {
   try {
     const { page, limit, employeeId, isCompleted } = req.validatedData.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -89,7 +89,7 @@ router.get('/', authenticate, authorize('ADMIN', 'HR'), validate(offboardingTask
 });
 
 // GET /:id - Get task details
-router.get('/:id', authenticate, authorize('ADMIN', 'HR'), async (req, res, next) => {
+router.get('/:id', authenticate, requirePermission('offboarding:manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -116,7 +116,7 @@ router.get('/:id', authenticate, authorize('ADMIN', 'HR'), async (req, res, next
 });
 
 // POST / - Create task
-router.post('/', authenticate, authorize('ADMIN', 'HR'), validate(offboardingTaskSchemas.create), async (req, res, next) => {
+router.post('/', authenticate, requirePermission('offboarding:manage'), validate(offboardingTaskSchemas.create), async (req, res, next) => {
   try {
     const { employeeId, assigneeId, title, description, dueDate, sortOrder } = req.validatedData.body;
 
@@ -167,7 +167,7 @@ router.post('/', authenticate, authorize('ADMIN', 'HR'), validate(offboardingTas
 });
 
 // PUT /:id - Update task
-router.put('/:id', authenticate, authorize('ADMIN', 'HR'), validate(offboardingTaskSchemas.update), async (req, res, next) => {
+router.put('/:id', authenticate, requirePermission('offboarding:manage'), validate(offboardingTaskSchemas.update), async (req, res, next) => {
   try {
     const { id } = req.validatedData.params;
     const updateData = req.validatedData.body;
@@ -213,7 +213,7 @@ router.put('/:id', authenticate, authorize('ADMIN', 'HR'), validate(offboardingT
 });
 
 // DELETE /:id - Delete task
-router.delete('/:id', authenticate, authorize('ADMIN', 'HR'), async (req, res, next) => {
+router.delete('/:id', authenticate, requirePermission('offboarding:manage'), async (req, res, next) => {
   const { id } = req.params;
   try {
     const { id } = req.params;
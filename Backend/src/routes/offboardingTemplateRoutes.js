@@ -0,0 +1,233 @@
+import express from 'express';
+import { z } from 'zod';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validation.js';
+import { createAuditLog } from '../middleware/auditMiddleware.js';
+import { AppError, ValidationError } from '../utils/errors.js';
+import prisma from '../config/prisma.js';
+
+const router = express.Router();
+
+// Tasks copied into offboarding tasks when an employee is terminated
+const templateTask = z.object({
+  title: z.string().trim().min(1, 'Task title is required').max(200),
+  description: z.string().trim().max(2000).optional(),
+  // Due this many days before the last day
+  daysBeforeLastDay: z.number().int().min(0).max(365).optional().default(0),
+  // Assign to the leaving employee's manager
+  assignToManager: z.boolean().optional().default(false),
+  sortOrder: z.number().int().min(0).optional(),
+});
+
+// Validation schema
+const offboardingTemplateSchemas = {
+  create: z.object({
+    body: z.object({
+      name: z.string().min(1, 'Name is required'),
+      description: z.string().optional(),
+      tasks: z.array(templateTask).max(100).optional().default([]),
+      isActive: z.boolean().optional().default(true),
+    }),
+  }),
+  update: z.object({
+    params: z.object({ id: z.string().uuid('Invalid template ID') }),
+    body: z.object({
+      name: z.string().min(1, 'Name is required').optional(),
+      description: z.string().optional(),
+      tasks: z.array(templateTask).max(100).optional(),
+      isActive: z.boolean().optional(),
+    }),
+  }),
+  getAll: z.object({
+    query: z.object({
+      page: z.string().regex(/^\d+$/).optional().default('1'),
+      limit: z.string().regex(/^\d+$/).optional().default('10'),
+      isActive: z.enum(['true', 'false']).optional(),
+    }),
+  }),
+};
+
+// GET / - List templates
+router.get(
+  '/',
+  authenticate,
+  requirePermission('offboarding:manage'),
+  validate(offboardingTemplateSchemas.getAll),
+  async (req, res, next) => {
+    try {
+      const { page, limit, isActive } = req.validatedData.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const where = {};
+      if (isActive !== undefined) where.isActive = isActive === 'true';
+
+      const [templates, total] = await Promise.all([
+        prisma.offboardingTemplate.findMany({
+          where,
+          skip,
+          take: parseInt(limit),
+          orderBy: { name: 'asc' },
+        }),
+        prisma.offboardingTemplate.count({ where }),
+      ]);
+
+      await createAuditLog(req.user.id, 'READ', 'offboarding_templates', null, null, null, req);
+
+      res.json({
+        success: true,
+        data: {
+          templates,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / parseInt(limit)),
+          },
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /:id - Get template details
+router.get(
+  '/:id',
+  authenticate,
+  requirePermission('offboarding:manage'),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const template = await prisma.offboardingTemplate.findUnique({
+        where: { id },
+        include: {
+          _count: {
+            select: { terminations: true },
+          },
+        },
+      });
+
+      if (!template) throw new AppError('Offboarding template not found', 404);
+
+      await createAuditLog(req.user.id, 'READ', 'offboarding_templates', id, null, null, req);
+
+      res.json({ success: true, data: { template } });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST / - Create template
+router.post(
+  '/',
+  authenticate,
+  requirePermission('offboarding:manage'),
+  validate(offboardingTemplateSchemas.create),
+  async (req, res, next) => {
+    try {
+      const { name, description, tasks, isActive } = req.validatedData.body;
+
+      // Check if template name already exists
+      const existingTemplate = await prisma.offboardingTemplate.findFirst({
+        where: { name },
+      });
+      if (existingTemplate) {
+        throw new ValidationError('Offboarding template name already exists');
+      }
+
+      const template = await prisma.offboardingTemplate.create({
+        data: {
+          name,
+          description,
+          tasks,
+          isActive,
+        },
+      });
+
+      await createAuditLog(req.user.id, 'CREATE', 'offboarding_templates', template.id, null, template, req);
+
+      res.status(201).json({
+        success: true,
+        message: 'Offboarding template created successfully',
+        data: { template },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// PUT /:id - Update template; tasks already created from it stay as they are
+router.put(
+  '/:id',
+  authenticate,
+  requirePermission('offboarding:manage'),
+  validate(offboardingTemplateSchemas.update),
+  async (req, res, next) => {
+    try {
+      const { id } = req.validatedData.params;
+      const updateData = req.validatedData.body;
+
+      const existingTemplate = await prisma.offboardingTemplate.findUnique({ where: { id } });
+      if (!existingTemplate) throw new AppError('Offboarding template not found', 404);
+
+      // Check name uniqueness if name is being updated
+      if (updateData.name && updateData.name !== existingTemplate.name) {
+        const nameConflict = await prisma.offboardingTemplate.findFirst({
+          where: { name: updateData.name },
+        });
+        if (nameConflict) throw new ValidationError('Offboarding template name already exists');
+      }
+
+      const template = await prisma.offboardingTemplate.update({
+        where: { id },
+        data: updateData,
+      });
+
+      await createAuditLog(req.user.id, 'UPDATE', 'offboarding_templates', id, existingTemplate, template, req);
+
+      res.json({
+        success: true,
+        message: 'Offboarding template updated successfully',
+        data: { template },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// DELETE /:id - Soft delete template
+router.delete(
+  '/:id',
+  authenticate,
+  requirePermission('offboarding:manage'),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const existingTemplate = await prisma.offboardingTemplate.findUnique({ where: { id } });
+      if (!existingTemplate) throw new AppError('Offboarding template not found', 404);
+
+      const template = await prisma.offboardingTemplate.update({
+        where: { id },
+        data: { isActive: false },
+      });
+
+      await createAuditLog(req.user.id, 'DELETE', 'offboarding_templates', id, existingTemplate, template, req);
+
+      res.json({
+        success: true,
+        message: 'Offboarding template deleted successfully',
+        data: { template },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
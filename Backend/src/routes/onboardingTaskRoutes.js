@@ -1,10 +1,11 @@
 import express from 'express';
 import { z } from 'zod';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import { validate } from '../middleware/validation.js';
 import { createAuditLog } from '../middleware/auditMiddleware.js';
 import { AppError, ValidationError } from '../utils/errors.js';
 import prisma from '../config/prisma.js';
+import { permissionService } from '../services/permissionService.js';
 
 const router = express.Router();
 
@@ -45,7 +46,7 @@ const onboardingTaskSchemas = {
 };
 
 // GET / - List tasks
-router.get('/', authenticate, authorize('ADMIN', 'HR', 'EMPLOYEE'), validate(onboardingTaskSchemas.getAll), async (req, res, next) => {
+router.get('/', authenticate, requirePermission('onboarding:read'), validate(onboardingTaskSchemas.getAll), async (req, res, next) => {
   try {
     const { page, limit, employeeId, templateId, status } = req.validatedData.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -55,10 +56,8 @@ router.get('/', authenticate, authorize('ADMIN', 'HR', 'EMPLOYEE'), validate(onb
     if (templateId) where.templateId = templateId;
     if (status) where.status = status;
 
-    // Apply role-based filtering
-    if (req.user.role === 'EMPLOYEE') {
-      where.employeeId = req.user.employee?.id;
-    }
+    // Limit to the employees the user may see
+    where.AND = [await permissionService.scopeWhere(req.user, 'onboarding:read')];
 
     const [tasks, total] = await Promise.all([
       prisma.onboardingTask.findMany({
@@ -101,7 +100,7 @@ router.get('/', authenticate, authorize('ADMIN', 'HR', 'EMPLOYEE'), validate(onb
 });
 
 // GET /:id - Get task details
-router.get('/:id', authenticate, authorize('ADMIN', 'HR', 'EMPLOYEE'), async (req, res, next) => {
+router.get('/:id', authenticate, requirePermission('onboarding:read'), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -122,10 +121,8 @@ router.get('/:id', authenticate, authorize('ADMIN', 'HR', 'EMPLOYEE'), async (re
 
     if (!task) throw new AppError('Onboarding task not found', 404);
 
-    // Check access permissions for employees
-    if (req.user.role === 'EMPLOYEE' && req.user.employee?.id !== task.employeeId) {
-      throw new AppError('Access denied', 403);
-    }
+    // Check access permissions
+    await permissionService.assert(req.user, 'onboarding:read', task);
 
     await createAuditLog(req.user.id, 'READ', 'onboarding_tasks', id, null, null, req);
 
@@ -136,7 +133,7 @@ router.get('/:id', authenticate, authorize('ADMIN', 'HR', 'EMPLOYEE'), async (re
 });
 
 // POST / - Create task
-router.post('/', authenticate, authorize('ADMIN', 'HR'), validate(onboardingTaskSchemas.create), async (req, res, next) => {
+router.post('/', authenticate, requirePermission('onboarding:manage'), validate(onboardingTaskSchemas.create), async (req, res, next) => {
   try {
     const { templateId, employeeId, assigneeId, title, description, dueDate, sortOrder } = req.validatedData.body;
 
@@ -201,7 +198,7 @@ router.post('/', authenticate, authorize('ADMIN', 'HR'), validate(onboardingTask
 });
 
 // PUT /:id - Update task
-router.put('/:id', authenticate, authorize('ADMIN', 'HR'), validate(onboardingTaskSchemas.update), async (req, res, next) => {
+router.put('/:id', authenticate, requirePermission('onboarding:manage'), validate(onboardingTaskSchemas.update), async (req, res, next) => {
   try {
     const { id } = req.validatedData.params;
     const updateData = req.validatedData.body;
@@ -249,7 +246,7 @@ router.put('/:id', authenticate, authorize('ADMIN', 'HR'), validate(onboardingTa
 });
 
 // DELETE /:id - Delete task
-router.delete('/:id', authenticate, authorize('ADMIN', 'HR'), async (req, res, next) => {
+router.delete('/:id', authenticate, requirePermission('onboarding:manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -1,6 +1,6 @@
 import express from 'express';
 import { z } from 'zod';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import { validate } from '../middleware/validation.js';
 import { createAuditLog } from '../middleware/auditMiddleware.js';
 import { AppError, ValidationError } from '../utils/errors.js';
@@ -38,7 +38,7 @@ const onboardingTemplateSchemas = {
 router.get(
   '/',
   authenticate,
-  authorize('ADMIN', 'HR'),
+  requirePermission('onboarding:manage'),
   validate(onboardingTemplateSchemas.getAll),
   async (req, res, next) => {
     try {
@@ -91,7 +91,7 @@ router.get(
 router.get(
   '/:id',
   authenticate,
-  authorize('ADMIN', 'HR'),
+  requirePermission('onboarding:manage'),
   async (req, res, next) => {
     try {
       const { id } = req.params;
@@ -128,7 +128,7 @@ router.get(
 router.post(
   '/',
   authenticate,
-  authorize('ADMIN', 'HR'),
+  requirePermission('onboarding:manage'),
   validate(onboardingTemplateSchemas.create),
   async (req, res, next) => {
     try {
@@ -167,7 +167,7 @@ router.post(
 router.put(
   '/:id',
   authenticate,
-  authorize('ADMIN', 'HR'),
+  requirePermission('onboarding:manage'),
   validate(onboardingTemplateSchemas.update),
   async (req, res, next) => {
     try {
@@ -207,7 +207,7 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  authorize('ADMIN', 'HR'),
+  requirePermission('onboarding:manage'),
   async (req, res, next) => {
     try {
       const { id } = req.params;
@@ -0,0 +1,83 @@
+import express from 'express';
+import { z } from 'zod';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validation.js';
+import { orgChartService } from '../services/orgChartService.js';
+
+const router = express.Router();
+
+const chartQuery = z.object({
+  depth: z.coerce.number().int().min(0).max(5).default(2),
+  focus: z.string().uuid('Invalid focus ID').optional(),
+});
+
+const orgChartSchemas = {
+  chart: z.object({ query: chartQuery }),
+  employee: z.object({
+    params: z.object({ id: z.string().uuid('Invalid employee ID') }),
+    query: chartQuery.omit({ focus: true }),
+  }),
+  department: z.object({
+    params: z.object({ id: z.string().uuid('Invalid department ID') }),
+    query: chartQuery.omit({ focus: true }),
+  }),
+  search: z.object({
+    query: z.object({
+      q: z.string().trim().min(1, 'Search term is required').max(100),
+      limit: z.coerce.number().int().min(1).max(50).default(10),
+    }),
+  }),
+};
+
+// GET /employees - Reporting lines from the top of the organization
+router.get('/employees', authenticate, requirePermission('orgChart:read'), validate(orgChartSchemas.chart), async (req, res, next) => {
+  try {
+    const chart = await orgChartService.getEmployeeChart(req.validatedData.query);
+    res.json({ success: true, message: 'Org chart fetched successfully', data: chart });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /employees/:id - Reporting lines below an employee
+router.get('/employees/:id', authenticate, requirePermission('orgChart:read'), validate(orgChartSchemas.employee), async (req, res, next) => {
+  try {
+    const chart = await orgChartService.getEmployeeChart({ employeeId: req.validatedData.params.id, ...req.validatedData.query });
+    res.json({ success: true, message: 'Org chart fetched successfully', data: chart });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /departments - Department hierarchy from the top-level departments
+router.get('/departments', authenticate, requirePermission('orgChart:read'), validate(orgChartSchemas.chart), async (req, res, next) => {
+  try {
+    const chart = await orgChartService.getDepartmentChart(req.validatedData.query);
+    res.json({ success: true, message: 'Org chart fetched successfully', data: chart });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /departments/:id - Department hierarchy below a department
+router.get('/departments/:id', authenticate, requirePermission('orgChart:read'), validate(orgChartSchemas.department), async (req, res, next) => {
+  try {
+    const chart = await orgChartService.getDepartmentChart({ departmentId: req.validatedData.params.id, ...req.validatedData.query });
+    res.json({ success: true, message: 'Org chart fetched successfully', data: chart });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /search - Find employees and departments on the chart
+router.get('/search', authenticate, requirePermission('orgChart:read'), validate(orgChartSchemas.search), async (req, res, next) => {
+  try {
+    const { q, limit } = req.validatedData.query;
+    const results = await orgChartService.search(q, limit);
+    res.json({ success: true, message: 'Search completed successfully', data: results });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
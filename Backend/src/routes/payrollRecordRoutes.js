@@ -1,12 +1,12 @@
 import express from 'express';
 import { z } from 'zod';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import { validate } from '../middleware/validation.js';
-import { PrismaClient } from '@prisma/client';
+import prisma from '../config/prisma.js';
 import { AppError, NotFoundError, ValidationError } from '../utils/errors.js';
 import { createAuditLog } from '../middleware/auditMiddleware.js';
+import { permissionService } from '../services/permissionService.js';
 
-const prisma = new PrismaClient();
 const router = express.Router();
 
 // Validation schemas
@@ -57,7 +57,7 @@ const listPayrollRecordsSchema = z.object({
 });
 
 // GET /: List payroll records
-router.get('/', authenticate, authorize('ADMIN', 'HR', 'EMPLOYEE'), validate(listPayrollRecordsSchema), async (req, res, next) => {
+router.get('/', authenticate, requirePermission('payroll:read'), validate(listPayrollRecordsSchema), async (req, res, next) => {
   try {
     const { page, limit, employeeId, status, startDate, endDate } = req.validatedData.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -71,9 +71,7 @@ router.get('/', authenticate, authorize('ADMIN', 'HR', 'EMPLOYEE'), validate(lis
       if (endDate) where.payPeriodStart.lte = new Date(endDate);
     }
 
-    if (req.user.role === 'EMPLOYEE' && req.user.employee) {
-      where.employeeId = req.user.employee.id;
-    }
+    where.AND = [await permissionService.scopeWhere(req.user, 'payroll:read')];
 
     const [records, total] = await Promise.all([
       prisma.payrollRecord.findMany({
@@ -116,7 +114,7 @@ router.get('/', authenticate, authorize('ADMIN', 'HR', 'EMPLOYEE'), validate(lis
 });
 
 // GET /:id
-router.get('/:id', authenticate, authorize('ADMIN', 'HR', 'EMPLOYEE'), async (req, res, next) => {
+router.get('/:id', authenticate, requirePermission('payroll:read'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -139,9 +137,7 @@ router.get('/:id', authenticate, authorize('ADMIN', 'HR', 'EMPLOYEE'), async (re
 
     if (!record) throw new NotFoundError('Payroll record not found');
 
-    if (req.user.role === 'EMPLOYEE' && req.user.employee?.id !== record.employeeId) {
-      throw new AppError('Access denied', 403);
-    }
+    await permissionService.assert(req.user, 'payroll:read', record);
 
     await createAuditLog(req.user.id, 'READ', 'payroll_records', id, null, null, req);
 
@@ -152,7 +148,7 @@ router.get('/:id', authenticate, authorize('ADMIN', 'HR', 'EMPLOYEE'), async (re
 });
 
 // POST /: Create payroll record
-router.post('/', authenticate, authorize('ADMIN', 'HR'), validate(payrollRecordSchema), async (req, res, next) => {
+router.post('/', authenticate, requirePermission('payroll:manage'), validate(payrollRecordSchema), async (req, res, next) => {
   try {
     const { employeeId, payPeriodStart, payPeriodEnd, baseSalary, overtime, bonuses, allowances, deductions, tax, status, notes } = req.validatedData.body;
 
@@ -162,11 +158,18 @@ router.post('/', authenticate, authorize('ADMIN', 'HR'), validate(payrollRecordS
     const grossPay = baseSalary + overtime + bonuses + allowances;
     const netPay = grossPay - deductions - tax;
 
+    // The period holding the employee's last day is their final pay
+    const periodStart = new Date(payPeriodStart);
+    const periodEnd = new Date(payPeriodEnd);
+    const isFinal = Boolean(employee.terminationDate)
+      && employee.terminationDate >= periodStart
+      && employee.terminationDate <= periodEnd;
+
     const record = await prisma.payrollRecord.create({
       data: {
         employeeId,
-        payPeriodStart: new Date(payPeriodStart),
-        payPeriodEnd: new Date(payPeriodEnd),
+        payPeriodStart: periodStart,
+        payPeriodEnd: periodEnd,
         baseSalary,
         overtime,
         bonuses,
@@ -176,6 +179,7 @@ router.post('/', authenticate, authorize('ADMIN', 'HR'), validate(payrollRecordS
         netPay,
         status,
         notes,
+        isFinal,
       },
       include: {
         employee: {
@@ -199,7 +203,7 @@ router.post('/', authenticate, authorize('ADMIN', 'HR'), validate(payrollRecordS
 });
 
 // PUT /:id
-router.put('/:id', authenticate, authorize('ADMIN', 'HR'), validate(updatePayrollRecordSchema), async (req, res, next) => {
+router.put('/:id', authenticate, requirePermission('payroll:manage'), validate(updatePayrollRecordSchema), async (req, res, next) => {
   try {
     const { id } = req.validatedData.params;
     const updateData = req.validatedData.body;
@@ -252,7 +256,7 @@ router.put('/:id', authenticate, authorize('ADMIN', 'HR'), validate(updatePayrol
 });
 
 // DELETE /:id
-router.delete('/:id', authenticate, authorize('ADMIN', 'HR'), async (req, res, next) => {
+router.delete('/:id', authenticate, requirePermission('payroll:manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
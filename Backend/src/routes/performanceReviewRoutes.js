@@ -1,6 +1,6 @@
 import express from 'express';
 import { z } from 'zod';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import { validate } from '../middleware/validation.js';
 import performanceReviewService from '../services/performanceReviewService.js';
 
@@ -19,13 +19,12 @@ const performanceReviewUpdateSchema = performanceReviewSchema.partial();
 router.get(
   '/',
   authenticate,
-  authorize('ADMIN', 'HR', 'MANAGER', 'EMPLOYEE'),
+  requirePermission('performance:read'),
   async (req, res, next) => {
     try {
       const { page = 1, limit = 10, employeeId, status } = req.query;
       const reviews = await performanceReviewService.getPerformanceReviews({
-        userRole: req.user.role,
-        userId: req.user.employee?.id,
+        user: req.user,
         page: Number(page),
         limit: Number(limit),
         employeeId,
@@ -42,13 +41,12 @@ router.get(
 router.get(
   '/:id',
   authenticate,
-  authorize('ADMIN', 'HR', 'MANAGER', 'EMPLOYEE'),
+  requirePermission('performance:read'),
   async (req, res, next) => {
     try {
       const review = await performanceReviewService.getPerformanceReviewById({
         id: req.params.id,
-        userRole: req.user.role,
-        userId: req.user.employee?.id,
+        user: req.user,
       });
       res.json({ success: true, data: review });
     } catch (error) {
@@ -61,13 +59,13 @@ router.get(
 router.post(
   '/',
   authenticate,
-  authorize('ADMIN', 'HR', 'MANAGER'),
+  requirePermission('performance:manage'),
   validate(z.object({ body: performanceReviewSchema })),
   async (req, res, next) => {
     try {
       const newReview = await performanceReviewService.createPerformanceReview({
         data: req.body,
-        userRole: req.user.role,
+        user: req.user,
       });
       res.status(201).json({ success: true, data: newReview });
     } catch (error) {
@@ -80,14 +78,14 @@ router.post(
 router.put(
   '/:id',
   authenticate,
-  authorize('ADMIN', 'HR', 'MANAGER'),
+  requirePermission('performance:manage'),
   validate(z.object({ body: performanceReviewUpdateSchema })),
   async (req, res, next) => {
     try {
       const updatedReview = await performanceReviewService.updatePerformanceReview({
         id: req.params.id,
         data: req.body,
-        userRole: req.user.role,
+        user: req.user,
       });
       res.json({ success: true, data: updatedReview });
     } catch (error) {
@@ -100,12 +98,12 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  authorize('ADMIN', 'HR'),
+  requirePermission('performance:delete'),
   async (req, res, next) => {
     try {
       await performanceReviewService.deletePerformanceReview({
         id: req.params.id,
-        userRole: req.user.role,
+        user: req.user,
       });
       res.json({ success: true, message: 'Performance review deleted' });
     } catch (error) {
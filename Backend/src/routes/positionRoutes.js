@@ -1,6 +1,6 @@
 import express from 'express';
 import { z } from 'zod';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import { validate } from '../middleware/validation.js';
 
 const router = express.Router();
@@ -29,7 +29,7 @@ const listPositionsSchema = z.object({
 router.get(
   '/',
   authenticate,
-  authorize('ADMIN', 'HR', 'MANAGER'),
+  requirePermission('positions:read'),
   validate(listPositionsSchema),
   async (req, res) => {
     try {
@@ -61,7 +61,7 @@ router.get(
 router.get(
   '/:id',
   authenticate,
-  authorize('ADMIN', 'HR', 'MANAGER'),
+  requirePermission('positions:read'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -78,7 +78,7 @@ router.get(
 router.post(
   '/',
   authenticate,
-  authorize('ADMIN', 'HR'),
+  requirePermission('positions:manage'),
   validate(z.object({ body: positionSchema })),
   async (req, res) => {
     try {
@@ -95,7 +95,7 @@ router.post(
 router.put(
   '/:id',
   authenticate,
-  authorize('ADMIN', 'HR'),
+  requirePermission('positions:manage'),
   validate(z.object({ body: updatePositionSchema })),
   async (req, res) => {
     try {
@@ -112,7 +112,7 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  authorize('ADMIN', 'HR'),
+  requirePermission('positions:manage'),
   async (req, res) => {
     try {
       const { id } = req.params;
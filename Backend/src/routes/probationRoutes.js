@@ -0,0 +1,78 @@
+import express from 'express';
+import { z } from 'zod';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validation.js';
+import { probationService } from '../services/probationService.js';
+
+const router = express.Router();
+
+const day = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Use YYYY-MM-DD').transform((value) => new Date(`${value}T00:00:00.000Z`));
+
+const probationSchemas = {
+  list: z.object({
+    query: z.object({
+      status: z.enum(['upcoming', 'overdue', 'all']).optional().default('all'),
+      days: z.coerce.number().int().min(0).max(365).optional(),
+    }),
+  }),
+  employee: z.object({
+    params: z.object({ id: z.string().uuid('Invalid employee ID') }),
+  }),
+  decision: z.object({
+    params: z.object({ id: z.string().uuid('Invalid employee ID') }),
+    body: z
+      .object({
+        decision: z.enum(['CONFIRM', 'EXTEND', 'TERMINATE']),
+        comments: z.string().trim().max(2000).optional(),
+        extendedTo: day.optional(),
+        terminationDate: day.optional(),
+      })
+      .refine((body) => body.decision !== 'EXTEND' || body.extendedTo, {
+        message: 'New probation end date is required',
+        path: ['extendedTo'],
+      }),
+  }),
+};
+
+// GET / - Employees on probation the user may review
+router.get('/', authenticate, requirePermission('probation:manage'), validate(probationSchemas.list), async (req, res, next) => {
+  try {
+    const result = await probationService.list(req.user, req.validatedData.query);
+    res.json({ success: true, message: 'Probation periods fetched successfully', data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /summary - Upcoming and overdue probation reviews for the dashboard
+router.get('/summary', authenticate, requirePermission('probation:manage'), async (req, res, next) => {
+  try {
+    const summary = await probationService.getSummary(req.user);
+    res.json({ success: true, message: 'Probation summary fetched successfully', data: summary });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /employees/:id/reviews - Probation reviews of an employee
+router.get('/employees/:id/reviews', authenticate, requirePermission('probation:manage'), validate(probationSchemas.employee), async (req, res, next) => {
+  try {
+    const result = await probationService.getReviews(req.validatedData.params.id, req.user);
+    res.json({ success: true, message: 'Probation reviews fetched successfully', data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /employees/:id/decision - Confirm, extend or end the employee's probation
+router.post('/employees/:id/decision', authenticate, requirePermission('probation:manage'), validate(probationSchemas.decision), async (req, res, next) => {
+  try {
+    const { params, body } = req.validatedData;
+    const review = await probationService.decide(params.id, body, req);
+    res.json({ success: true, message: 'Probation decision recorded successfully', data: { review } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,110 @@
+import express from 'express';
+import { z } from 'zod';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validation.js';
+import { PROFILE_CHANGE_PERMISSION, SELF_SERVICE_FIELDS } from '../config/selfServiceFields.js';
+import { profileChangeService } from '../services/profileChangeService.js';
+
+const router = express.Router();
+
+// One optional entry per self-service field; other fields are rejected
+const changesSchema = z
+  .object(
+    Object.fromEntries(
+      Object.entries(SELF_SERVICE_FIELDS).map(([field, { label, required, maxLength }]) => {
+        const text = z.string().trim().max(maxLength, `${label} must be at most ${maxLength} characters`);
+        return [field, (required ? text.min(1, `${label} is required`) : text.nullable()).optional()];
+      })
+    )
+  )
+  .strict()
+  .refine((changes) => Object.keys(changes).length > 0, { message: 'No changes given' });
+
+const profileChangeSchemas = {
+  submit: z.object({
+    body: z.object({
+      changes: changesSchema,
+      comment: z.string().trim().max(1000).optional(),
+    }),
+  }),
+  request: z.object({
+    params: z.object({ id: z.string().uuid('Invalid request ID') }),
+  }),
+  list: z.object({
+    query: z.object({
+      status: z.enum(['PENDING', 'APPROVED', 'REJECTED', 'CANCELLED', 'ALL']).optional().default('PENDING'),
+      page: z.coerce.number().int().min(1).optional().default(1),
+      limit: z.coerce.number().int().min(1).max(100).optional().default(20),
+    }),
+  }),
+  review: z.object({
+    params: z.object({ id: z.string().uuid('Invalid request ID') }),
+    body: z
+      .object({
+        decision: z.enum(['APPROVE', 'REJECT']),
+        note: z.string().trim().max(1000).optional(),
+      })
+      .refine((body) => body.decision !== 'REJECT' || body.note, {
+        message: 'A note is required when rejecting changes',
+        path: ['note'],
+      }),
+  }),
+};
+
+// GET /mine - Change requests of the user's own profile
+router.get('/mine', authenticate, async (req, res, next) => {
+  try {
+    const result = await profileChangeService.listOwn(req.user);
+    res.json({ success: true, message: 'Profile change requests fetched successfully', data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST / - Change the user's own profile; sensitive fields wait for approval
+router.post('/', authenticate, validate(profileChangeSchemas.submit), async (req, res, next) => {
+  try {
+    const { changes, comment } = req.validatedData.body;
+    const result = await profileChangeService.submit(changes, comment, req);
+    const message = result.request
+      ? 'Profile changes submitted for approval'
+      : 'Profile updated successfully';
+    res.status(result.request ? 201 : 200).json({ success: true, message, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /:id/cancel - Withdraw the user's own pending request
+router.post('/:id/cancel', authenticate, validate(profileChangeSchemas.request), async (req, res, next) => {
+  try {
+    const request = await profileChangeService.cancel(req.validatedData.params.id, req);
+    res.json({ success: true, message: 'Profile change request cancelled', data: { request } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET / - Approval queue
+router.get('/', authenticate, requirePermission(PROFILE_CHANGE_PERMISSION), validate(profileChangeSchemas.list), async (req, res, next) => {
+  try {
+    const result = await profileChangeService.list(req.validatedData.query, req.user);
+    res.json({ success: true, message: 'Profile change requests fetched successfully', data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /:id/review - Approve or reject a pending request
+router.post('/:id/review', authenticate, requirePermission(PROFILE_CHANGE_PERMISSION), validate(profileChangeSchemas.review), async (req, res, next) => {
+  try {
+    const { params, body } = req.validatedData;
+    const request = await profileChangeService.review(params.id, body, req);
+    const message = request.status === 'APPROVED' ? 'Profile changes approved and applied' : 'Profile changes rejected';
+    res.json({ success: true, message, data: { request } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
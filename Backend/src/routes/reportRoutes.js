@@ -1,10 +1,10 @@
 import express from 'express';
-import { PrismaClient } from '@prisma/client';
-import { authenticate, authorize } from '../middleware/auth.js';
+import prisma from '../config/prisma.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import { AppError } from '../utils/errors.js';
+import { permissionService } from '../services/permissionService.js';
 
 const router = express.Router();
-const prisma = new PrismaClient();
 
 // Helper: Validate date
 const parseDate = (value) => {
@@ -14,7 +14,7 @@ const parseDate = (value) => {
 };
 
 // Employee statistics
-router.get('/employees/stats', authenticate, authorize('ADMIN', 'HR', 'MANAGER'), async (req, res, next) => {
+router.get('/employees/stats', authenticate, requirePermission('reports:workforce'), async (req, res, next) => {
   try {
     const { departmentId, startDate, endDate } = req.query;
 
@@ -23,6 +23,7 @@ router.get('/employees/stats', authenticate, authorize('ADMIN', 'HR', 'MANAGER')
         departmentId ? { departmentId } : {},
         startDate ? { hireDate: { gte: parseDate(startDate) } } : {},
         endDate ? { hireDate: { lte: parseDate(endDate) } } : {},
+        await permissionService.scopeWhere(req.user, 'employees:read', { employee: true }),
       ]
     };
 
@@ -116,7 +117,7 @@ router.get('/employees/stats', authenticate, authorize('ADMIN', 'HR', 'MANAGER')
 });
 
 // Attendance report
-router.get('/attendance', authenticate, authorize('ADMIN', 'HR', 'MANAGER'), async (req, res, next) => {
+router.get('/attendance', authenticate, requirePermission('reports:workforce'), async (req, res, next) => {
   try {
     const { startDate, endDate, departmentId, employeeId } = req.query;
 
@@ -128,6 +129,7 @@ router.get('/attendance', authenticate, authorize('ADMIN', 'HR', 'MANAGER'), asy
         { date: { lte: parseDate(endDate) } },
         employeeId ? { employeeId } : {},
         departmentId ? { employee: { departmentId } } : {},
+        await permissionService.scopeWhere(req.user, 'attendance:read'),
       ]
     };
 
@@ -186,7 +188,7 @@ router.get('/attendance', authenticate, authorize('ADMIN', 'HR', 'MANAGER'), asy
 });
 
 // Leave report
-router.get('/leave', authenticate, authorize('ADMIN', 'HR', 'MANAGER'), async (req, res, next) => {
+router.get('/leave', authenticate, requirePermission('reports:workforce'), async (req, res, next) => {
   try {
     const { year = new Date().getFullYear(), departmentId, status } = req.query;
 
@@ -196,6 +198,7 @@ router.get('/leave', authenticate, authorize('ADMIN', 'HR', 'MANAGER'), async (r
         { startDate: { lt: new Date(`${parseInt(year) + 1}-01-01`) } },
         departmentId ? { employee: { departmentId } } : {},
         status ? { status } : {},
+        await permissionService.scopeWhere(req.user, 'leave:read'),
       ]
     };
 
@@ -239,7 +242,8 @@ router.get('/leave', authenticate, authorize('ADMIN', 'HR', 'MANAGER'), async (r
       prisma.leaveBalance.findMany({
         where: {
           year: parseInt(year),
-          ...(departmentId ? { employee: { departmentId } } : {})
+          ...(departmentId ? { employee: { departmentId } } : {}),
+          AND: [await permissionService.scopeWhere(req.user, 'leaveBalances:read')]
         },
         include: {
           employee: {
@@ -293,7 +297,7 @@ router.get('/leave', authenticate, authorize('ADMIN', 'HR', 'MANAGER'), async (r
 });
 
 // Payroll summary report
-router.get('/payroll', authenticate, authorize('ADMIN', 'HR'), async (req, res, next) => {
+router.get('/payroll', authenticate, requirePermission('reports:payroll'), async (req, res, next) => {
   try {
     const { startDate, endDate, departmentId } = req.query;
 
@@ -363,7 +367,7 @@ router.get('/payroll', authenticate, authorize('ADMIN', 'HR'), async (req, res,
 });
 
 // Audit logs report
-router.get('/audit', authenticate, authorize('ADMIN'), async (req, res, next) => {
+router.get('/audit', authenticate, requirePermission('reports:audit'), async (req, res, next) => {
   try {
     const { page = 1, limit = 50, userId, action, resource, startDate, endDate } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
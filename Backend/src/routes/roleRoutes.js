@@ -0,0 +1,105 @@
+import express from 'express';
+import { z } from 'zod';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validation.js';
+import { permissionService } from '../services/permissionService.js';
+
+const router = express.Router();
+
+// Permissions are sent as { 'resource:action': scope }; a null scope revokes it
+const permissionsSchema = z.record(z.enum(['OWN', 'TEAM', 'DEPARTMENT', 'ALL']).nullable());
+
+const roleSchemas = {
+  create: z.object({
+    body: z.object({
+      name: z.string().trim().min(2, 'Name must be at least 2 characters').max(50),
+      description: z.string().max(255).optional(),
+      permissions: permissionsSchema.optional().default({}),
+    }),
+  }),
+  update: z.object({
+    params: z.object({ id: z.string().uuid('Invalid role ID') }),
+    body: z.object({
+      name: z.string().trim().min(2, 'Name must be at least 2 characters').max(50).optional(),
+      description: z.string().max(255).nullable().optional(),
+      permissions: permissionsSchema.optional(),
+    }),
+  }),
+  id: z.object({
+    params: z.object({ id: z.string().uuid('Invalid role ID') }),
+  }),
+};
+
+// GET /me - Effective permissions of the current user
+router.get('/me', authenticate, async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      message: 'Permissions fetched successfully',
+      data: { role: req.user.role, accessRoleId: req.user.accessRoleId, permissions: req.user.permissions },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /catalog - All permissions and scopes that can be granted
+router.get('/catalog', authenticate, requirePermission('roles:manage'), async (req, res, next) => {
+  try {
+    res.json({ success: true, message: 'Permission catalog fetched successfully', data: permissionService.getCatalog() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET / - List roles with their permissions
+router.get('/', authenticate, requirePermission('roles:manage'), async (req, res, next) => {
+  try {
+    const roles = await permissionService.listRoles();
+    res.json({ success: true, message: 'Roles fetched successfully', data: { roles } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /:id - Get single role
+router.get('/:id', authenticate, requirePermission('roles:manage'), validate(roleSchemas.id), async (req, res, next) => {
+  try {
+    const role = await permissionService.getRole(req.validatedData.params.id);
+    res.json({ success: true, message: 'Role fetched successfully', data: { role } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST / - Create a custom role
+router.post('/', authenticate, requirePermission('roles:manage'), validate(roleSchemas.create), async (req, res, next) => {
+  try {
+    const role = await permissionService.createRole(req.validatedData.body, req);
+    res.status(201).json({ success: true, message: 'Role created successfully', data: { role } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /:id - Update a role; built-in roles can have their permissions changed but not be renamed
+router.put('/:id', authenticate, requirePermission('roles:manage'), validate(roleSchemas.update), async (req, res, next) => {
+  try {
+    const role = await permissionService.updateRole(req.validatedData.params.id, req.validatedData.body, req);
+    res.json({ success: true, message: 'Role updated successfully', data: { role } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /:id - Delete a custom role
+router.delete('/:id', authenticate, requirePermission('roles:manage'), validate(roleSchemas.id), async (req, res, next) => {
+  try {
+    await permissionService.deleteRole(req.validatedData.params.id, req);
+    res.json({ success: true, message: 'Role deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,10 +1,11 @@
 import express from 'express';
 import { z } from 'zod';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import { validate } from '../middleware/validation.js';
 import { createAuditLog } from '../middleware/auditMiddleware.js';
 import { AppError, ValidationError } from '../utils/errors.js';
 import prisma from '../config/prisma.js';
+import { employeeIdService } from '../services/employeeIdService.js';
 
 const router = express.Router();
 
@@ -29,6 +30,14 @@ const settingSchemas = {
       isPublic: z.boolean().optional(),
     }),
   }),
+  upsertByKey: z.object({
+    params: z.object({ key: z.string().min(1, 'Key is required') }),
+    body: z.object({
+      value: z.string(),
+      description: z.string().optional(),
+      category: z.string().optional(),
+    }),
+  }),
   getAll: z.object({
     query: z.object({
       page: z.string().regex(/^\d+$/).optional().default('1'),
@@ -40,7 +49,7 @@ const settingSchemas = {
 };
 
 // GET / - List settings
-router.get('/', authenticate, authorize('ADMIN'), validate(settingSchemas.getAll), async (req, res, next) => {
+router.get('/', authenticate, requirePermission('settings:manage'), validate(settingSchemas.getAll), async (req, res, next) => {
   try {
     const { page, limit, category, isPublic } = req.validatedData.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -79,7 +88,7 @@ router.get('/', authenticate, authorize('ADMIN'), validate(settingSchemas.getAll
 });
 
 // GET /:id - Get setting details
-router.get('/:id', authenticate, authorize('ADMIN'), async (req, res, next) => {
+router.get('/:id', authenticate, requirePermission('settings:manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -98,9 +107,10 @@ router.get('/:id', authenticate, authorize('ADMIN'), async (req, res, next) => {
 });
 
 // POST / - Create setting
-router.post('/', authenticate, authorize('ADMIN'), validate(settingSchemas.create), async (req, res, next) => {
+router.post('/', authenticate, requirePermission('settings:manage'), validate(settingSchemas.create), async (req, res, next) => {
   try {
     const { key, value, description, category, isPublic } = req.validatedData.body;
+    employeeIdService.validateSetting(key, value);
 
     // Check if setting key already exists
     const existingSetting = await prisma.setting.findFirst({
@@ -132,14 +142,51 @@ router.post('/', authenticate, authorize('ADMIN'), validate(settingSchemas.creat
   }
 });
 
+// PUT /key/:key - Create or update a setting by key
+router.put('/key/:key', authenticate, requirePermission('settings:manage'), validate(settingSchemas.upsertByKey), async (req, res, next) => {
+  try {
+    const { key } = req.validatedData.params;
+    const { value, description, category } = req.validatedData.body;
+    employeeIdService.validateSetting(key, value);
+
+    const existingSetting = await prisma.setting.findUnique({ where: { key } });
+
+    const setting = await prisma.setting.upsert({
+      where: { key },
+      update: { value, ...(description !== undefined && { description }), ...(category !== undefined && { category }) },
+      create: { key, value, description, category },
+    });
+
+    await createAuditLog(
+      req.user.id,
+      existingSetting ? 'UPDATE' : 'CREATE',
+      'settings',
+      setting.id,
+      existingSetting,
+      setting,
+      req
+    );
+
+    res.json({
+      success: true,
+      message: 'Setting saved successfully',
+      data: { setting },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // PUT /:id - Update setting
-router.put('/:id', authenticate, authorize('ADMIN'), validate(settingSchemas.update), async (req, res, next) => {
+router.put('/:id', authenticate, requirePermission('settings:manage'), validate(settingSchemas.update), async (req, res, next) => {
   try {
     const { id } = req.validatedData.params;
     const updateData = req.validatedData.body;
 
     const existingSetting = await prisma.setting.findUnique({ where: { id } });
     if (!existingSetting) throw new AppError('Setting not found', 404);
+    // A renamed setting is checked against the rules of its new key
+    employeeIdService.validateSetting(updateData.key ?? existingSetting.key, updateData.value ?? existingSetting.value);
 
     // Check key uniqueness if key is being updated
     if (updateData.key && updateData.key !== existingSetting.key) {
@@ -167,7 +214,7 @@ router.put('/:id', authenticate, authorize('ADMIN'), validate(settingSchemas.upd
 });
 
 // DELETE /:id - Delete setting
-router.delete('/:id', authenticate, authorize('ADMIN'), async (req, res, next) => {
+router.delete('/:id', authenticate, requirePermission('settings:manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
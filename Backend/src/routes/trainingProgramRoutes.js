@@ -1,6 +1,6 @@
 import express from 'express';
 import { z } from 'zod';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import { validate } from '../middleware/validation.js';
 import { createAuditLog } from '../middleware/auditMiddleware.js';
 import { AppError, ValidationError } from '../utils/errors.js';
@@ -40,7 +40,7 @@ const trainingProgramSchemas = {
 router.get(
   '/',
   authenticate,
-  authorize('ADMIN', 'HR', 'MANAGER', 'EMPLOYEE'),
+  requirePermission('training:read'),
   validate(trainingProgramSchemas.getAll),
   async (req, res, next) => {
     try {
@@ -92,7 +92,7 @@ router.get(
 router.get(
   '/:id',
   authenticate,
-  authorize('ADMIN', 'HR', 'MANAGER', 'EMPLOYEE'),
+  requirePermission('training:read'),
   async (req, res, next) => {
     try {
       const { id } = req.params;
@@ -126,7 +126,7 @@ router.get(
 router.post(
   '/',
   authenticate,
-  authorize('ADMIN', 'HR'),
+  requirePermission('training:manage'),
   validate(trainingProgramSchemas.create),
   async (req, res, next) => {
     try {
@@ -166,7 +166,7 @@ router.post(
 router.put(
   '/:id',
   authenticate,
-  authorize('ADMIN', 'HR'),
+  requirePermission('training:manage'),
   validate(trainingProgramSchemas.update),
   async (req, res, next) => {
     try {
@@ -206,7 +206,7 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  authorize('ADMIN', 'HR'),
+  requirePermission('training:manage'),
   async (req, res, next) => {
     try {
       const { id } = req.params;
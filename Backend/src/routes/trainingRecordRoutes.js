@@ -1,10 +1,11 @@
 import express from 'express';
 import { z } from 'zod';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import { validate } from '../middleware/validation.js';
 import { createAuditLog } from '../middleware/auditMiddleware.js';
 import { AppError, ValidationError } from '../utils/errors.js';
 import prisma from '../config/prisma.js';
+import { permissionService } from '../services/permissionService.js';
 
 const router = express.Router();
 
@@ -40,7 +41,7 @@ const trainingRecordSchemas = {
 router.get(
   '/',
   authenticate,
-  authorize('ADMIN', 'HR', 'EMPLOYEE'),
+  requirePermission('trainingRecords:read'),
   validate(trainingRecordSchemas.getAll),
   async (req, res, next) => {
     try {
@@ -51,10 +52,8 @@ router.get(
       if (employeeId) where.employeeId = employeeId;
       if (programId) where.programId = programId;
       
-      // Apply role-based filtering
-      if (req.user.role === 'EMPLOYEE' && req.user.employee) {
-        where.employeeId = req.user.employee.id;
-      }
+      // Limit to the employees the user may see
+      where.AND = [await permissionService.scopeWhere(req.user, 'trainingRecords:read')];
 
       const [records, total] = await Promise.all([
         prisma.trainingRecord.findMany({
@@ -98,7 +97,7 @@ router.get(
 router.get(
   '/:id',
   authenticate,
-  authorize('ADMIN', 'HR', 'EMPLOYEE'),
+  requirePermission('trainingRecords:read'),
   async (req, res, next) => {
     try {
       const { id } = req.params;
@@ -117,10 +116,8 @@ router.get(
 
       if (!record) throw new AppError('Training record not found', 404);
 
-      // Check access permissions for employees
-      if (req.user.role === 'EMPLOYEE' && req.user.employee?.id !== record.employeeId) {
-        throw new AppError('Access denied', 403);
-      }
+      // Check access permissions
+      await permissionService.assert(req.user, 'trainingRecords:read', record);
 
       await createAuditLog(req.user.id, 'READ', 'training_records', id, null, null, req);
 
@@ -135,7 +132,7 @@ router.get(
 router.post(
   '/',
   authenticate,
-  authorize('ADMIN', 'HR'),
+  requirePermission('trainingRecords:manage'),
   validate(trainingRecordSchemas.create),
   async (req, res, next) => {
     try {
@@ -193,7 +190,7 @@ router.post(
 router.put(
   '/:id',
   authenticate,
-  authorize('ADMIN', 'HR'),
+  requirePermission('trainingRecords:manage'),
   validate(trainingRecordSchemas.update),
   async (req, res, next) => {
     try {
@@ -239,7 +236,7 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  authorize('ADMIN', 'HR'),
+  requirePermission('trainingRecords:manage'),
   async (req, res, next) => {
     try {
       const { id } = req.params;
@@ -1,13 +1,15 @@
 import express from 'express';
 import { z } from 'zod';
-import { PrismaClient } from '@prisma/client';
-import { authenticate, authorize } from '../middleware/auth.js';
+import prisma from '../config/prisma.js';
+import { authenticate, requirePermission, forbidImpersonation } from '../middleware/auth.js';
 import { validate } from '../middleware/validation.js';
 import { createAuditLog } from '../middleware/auditMiddleware.js';
 import { userService } from '../services/userService.js';
+import { refreshTokenService } from '../services/refreshTokenService.js';
+import { loginAttemptService } from '../services/loginAttemptService.js';
+import { permissionService } from '../services/permissionService.js';
 import { AppError } from '../utils/errors.js';
 
-const prisma = new PrismaClient();
 const router = express.Router();
 
 // Validation schemas
@@ -15,7 +17,7 @@ const userSchemas = {
   create: z.object({
     body: z.object({
       email: z.string().email('Invalid email format'),
-      password: z.string().min(8, 'Password must be at least 8 characters'),
+      password: z.string().min(1, 'Password is required'),
       role: z.enum(['ADMIN', 'HR', 'MANAGER', 'EMPLOYEE']),
       employeeId: z.string().uuid().optional(),
     }),
@@ -41,7 +43,7 @@ const userSchemas = {
   changePassword: z.object({
     body: z.object({
       currentPassword: z.string().min(1, 'Current password is required'),
-      newPassword: z.string().min(8, 'New password must be at least 8 characters'),
+      newPassword: z.string().min(1, 'New password is required'),
     }),
   }),
   resetPasswordRequest: z.object({
@@ -49,16 +51,39 @@ const userSchemas = {
       email: z.string().email('Invalid email format'),
     }),
   }),
+  sessions: z.object({
+    params: z.object({ id: z.string().uuid('Invalid user ID') }),
+  }),
+  revokeSession: z.object({
+    params: z.object({
+      id: z.string().uuid('Invalid user ID'),
+      sessionId: z.string().uuid('Invalid session ID'),
+    }),
+  }),
+  loginAttempts: z.object({
+    params: z.object({ id: z.string().uuid('Invalid user ID') }),
+    query: z.object({
+      page: z.string().regex(/^\d+$/).optional().default('1'),
+      limit: z.string().regex(/^\d+$/).optional().default('20'),
+      success: z.enum(['true', 'false']).optional(),
+    }),
+  }),
+  accessRole: z.object({
+    params: z.object({ id: z.string().uuid('Invalid user ID') }),
+    body: z.object({
+      accessRoleId: z.string().uuid('Invalid role ID').nullable(),
+    }),
+  }),
   resetPassword: z.object({
     body: z.object({
       token: z.string().uuid(),
-      newPassword: z.string().min(8, 'New password must be at least 8 characters'),
+      newPassword: z.string().min(1, 'New password is required'),
     }),
   }),
 };
 
 // Get all users
-router.get('/', authenticate, authorize('ADMIN', 'HR'), validate(userSchemas.getAll), async (req, res, next) => {
+router.get('/', authenticate, requirePermission('users:read'), validate(userSchemas.getAll), async (req, res, next) => {
   try {
     const { page, limit, search, role, isActive } = req.validatedData.query;
     const users = await userService.getAllUsers({
@@ -82,7 +107,7 @@ router.get('/:id', authenticate, async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    if (id !== req.user.id && !['ADMIN', 'HR'].includes(req.user.role)) {
+    if (id !== req.user.id && !(await permissionService.can(req.user, 'users:read'))) {
       throw new AppError('Unauthorized access', 403);
     }
 
@@ -98,7 +123,7 @@ router.get('/:id', authenticate, async (req, res, next) => {
 });
 
 // Create user
-router.post('/', authenticate, authorize('ADMIN', 'HR'), validate(userSchemas.create), async (req, res, next) => {
+router.post('/', authenticate, requirePermission('users:manage'), validate(userSchemas.create), async (req, res, next) => {
   try {
     const user = await userService.createUser({ ...req.validatedData.body, createdById: req.user.id }, req);
     res.status(201).json({ success: true, message: 'User created successfully', data: { user } });
@@ -108,7 +133,7 @@ router.post('/', authenticate, authorize('ADMIN', 'HR'), validate(userSchemas.cr
 });
 
 // Update user
-router.put('/:id', authenticate, authorize('ADMIN', 'HR'), validate(userSchemas.update), async (req, res, next) => {
+router.put('/:id', authenticate, requirePermission('users:manage'), validate(userSchemas.update), async (req, res, next) => {
   try {
     const { id } = req.validatedData.params;
     const user = await userService.updateUser(id, req.validatedData.body, req);
@@ -119,7 +144,7 @@ router.put('/:id', authenticate, authorize('ADMIN', 'HR'), validate(userSchemas.
 });
 
 // Change own password
-router.patch('/change-password', authenticate, validate(userSchemas.changePassword), async (req, res, next) => {
+router.patch('/change-password', authenticate, forbidImpersonation, validate(userSchemas.changePassword), async (req, res, next) => {
   try {
     await userService.changePassword(req.user.id, req.validatedData.body, req);
     res.json({ success: true, message: 'Password changed successfully' });
@@ -149,7 +174,7 @@ router.patch('/reset-password', validate(userSchemas.resetPassword), async (req,
 });
 
 // Delete user (soft delete)
-router.delete('/:id', authenticate, authorize('ADMIN'), async (req, res, next) => {
+router.delete('/:id', authenticate, requirePermission('users:delete'), async (req, res, next) => {
   try {
     const { id } = req.params;
     await userService.deleteUser(id, req);
@@ -160,7 +185,7 @@ router.delete('/:id', authenticate, authorize('ADMIN'), async (req, res, next) =
 });
 
 // Get user activity logs
-router.get('/:id/activity', authenticate, authorize('ADMIN', 'HR'), async (req, res, next) => {
+router.get('/:id/activity', authenticate, requirePermission('users:read'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const page = parseInt(req.query.page) || 1;
@@ -176,4 +201,109 @@ router.get('/:id/activity', authenticate, authorize('ADMIN', 'HR'), async (req,
   }
 });
 
+// Sessions can be managed by the user themselves or by users with users:security
+const authorizeSessionAccess = async (req, res, next) => {
+  try {
+    if (req.params.id !== req.user.id && !(await permissionService.can(req.user, 'users:security'))) {
+      throw new AppError('Unauthorized access', 403);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List active sessions (signed-in devices)
+router.get('/:id/sessions', authenticate, forbidImpersonation, validate(userSchemas.sessions), authorizeSessionAccess, async (req, res, next) => {
+  try {
+    const { id } = req.validatedData.params;
+    const sessions = await refreshTokenService.listSessions(id, id === req.user.id ? req.user.sessionId : null);
+
+    res.json({ success: true, message: 'Sessions fetched successfully', data: { sessions } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke a single session
+router.delete('/:id/sessions/:sessionId', authenticate, forbidImpersonation, validate(userSchemas.revokeSession), authorizeSessionAccess, async (req, res, next) => {
+  try {
+    const { id, sessionId } = req.validatedData.params;
+    await refreshTokenService.revokeSession(id, sessionId);
+
+    await createAuditLog(req.user.id, 'LOGOUT', 'users', id, null, { scope: 'session', sessionId }, req);
+
+    res.json({ success: true, message: 'Session revoked successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke every session of a user
+router.delete('/:id/sessions', authenticate, forbidImpersonation, validate(userSchemas.sessions), authorizeSessionAccess, async (req, res, next) => {
+  try {
+    const { id } = req.validatedData.params;
+    const revoked = await refreshTokenService.revokeAllForUser(id);
+
+    await createAuditLog(req.user.id, 'LOGOUT', 'users', id, null, { scope: 'all', revoked }, req);
+
+    res.json({ success: true, message: 'All sessions revoked successfully', data: { revoked } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Login attempt history (successful and failed)
+router.get('/:id/login-attempts', authenticate, requirePermission('users:security'), validate(userSchemas.loginAttempts), async (req, res, next) => {
+  try {
+    const { id } = req.validatedData.params;
+    const { page, limit, success } = req.validatedData.query;
+
+    const attempts = await loginAttemptService.listAttempts({
+      userId: id,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      success: success === undefined ? undefined : success === 'true',
+    });
+
+    res.json({ success: true, message: 'Login attempts fetched successfully', data: attempts });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Clear a brute-force lockout
+router.post('/:id/unlock', authenticate, requirePermission('users:security'), validate(userSchemas.sessions), async (req, res, next) => {
+  try {
+    const { id } = req.validatedData.params;
+    const previous = await loginAttemptService.unlock(id);
+
+    await createAuditLog(
+      req.user.id,
+      'UPDATE',
+      'users',
+      id,
+      previous,
+      { lockedUntil: null, failedLoginAttempts: 0, lockoutCount: 0 },
+      req
+    );
+
+    res.json({ success: true, message: 'User unlocked successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Assign a custom role, or clear it to fall back to the built-in role
+router.put('/:id/access-role', authenticate, requirePermission('roles:manage'), validate(userSchemas.accessRole), async (req, res, next) => {
+  try {
+    const { id } = req.validatedData.params;
+    const user = await permissionService.assignRole(id, req.validatedData.body.accessRoleId, req);
+
+    res.json({ success: true, message: 'User role updated successfully', data: { user } });
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
@@ -0,0 +1,24 @@
+// scripts/generateJwtKey.js
+// Adds a new access token signing key to JWT_KEYS_DIR:
+//   npm run jwt:generate-key -- [--alg=RS256|ES256]
+// Rotation without logging anyone out:
+//   1. generate the key and pin JWT_SIGNING_KEY_ID to the current kid, restart,
+//      so the new public key is published in /.well-known/jwks.json first
+//   2. once verifiers have refreshed their JWKS, point JWT_SIGNING_KEY_ID at
+//      the new kid (or unset it, the newest key is the default) and restart
+//   3. after JWT_ACCESS_EXPIRES_IN has passed, delete the old key file
+import dotenv from 'dotenv';
+import { generateSigningKey } from '../utils/jwtKeys.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+const algorithm = process.argv.find((arg) => arg.startsWith('--alg='))?.split('=')[1] || 'RS256';
+
+if (!['RS256', 'ES256'].includes(algorithm)) {
+  logger.error(`Unsupported algorithm ${algorithm}, use RS256 or ES256`);
+  process.exit(1);
+}
+
+const kid = generateSigningKey({ algorithm });
+logger.info(`Generated ${algorithm} signing key ${kid}`);
@@ -0,0 +1,127 @@
+// scripts/mockOidcProvider.js
+// Minimal OpenID Connect provider for trying single sign-on locally:
+//   npm run sso:mock-idp
+// Then set security.ssoEnabled=true, security.ssoIssuer=http://localhost:4010
+// and security.ssoClientId=hrms-local. The authorize page asks for the email,
+// name and groups to put in the ID token, so role mapping can be exercised
+// without a real identity provider. Not for production use.
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { createHash, generateKeyPairSync, randomBytes } from 'crypto';
+import logger from '../utils/logger.js';
+
+const PORT = parseInt(process.env.MOCK_IDP_PORT || '4010', 10);
+const ISSUER = process.env.MOCK_IDP_ISSUER || `http://localhost:${PORT}`;
+const KEY_ID = 'mock-idp-key';
+const CODE_TTL_MS = 60 * 1000;
+
+// A fresh key pair per run; the backend fetches it through the JWKS endpoint
+const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const codes = new Map();
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile', 'groups'],
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Login form standing in for the provider's sign-in page
+app.get('/authorize', (req, res) => {
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('');
+
+  res.send(`<!doctype html>
+<title>Mock identity provider</title>
+<form method="post" action="/authorize" style="font-family:sans-serif;max-width:320px;margin:4rem auto;display:grid;gap:.75rem">
+  <h2>Mock identity provider</h2>
+  ${hidden}
+  <label>Email <input name="email" type="email" required style="width:100%"></label>
+  <label>Name <input name="name" style="width:100%"></label>
+  <label>Groups (comma separated) <input name="groups" style="width:100%"></label>
+  <button type="submit">Sign in</button>
+</form>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, email, name, groups } = req.body;
+  if (!redirect_uri || code_challenge_method !== 'S256' || !code_challenge) {
+    return res.status(400).send('PKCE with S256 and a redirect_uri are required');
+  }
+
+  const code = randomBytes(24).toString('base64url');
+  codes.set(code, {
+    clientId: client_id,
+    redirectUri: redirect_uri,
+    nonce,
+    codeChallenge: code_challenge,
+    expiresAt: Date.now() + CODE_TTL_MS,
+    claims: {
+      sub: createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24),
+      email: email.toLowerCase(),
+      email_verified: true,
+      name: name || undefined,
+      groups: (groups || '').split(',').map((group) => group.trim()).filter(Boolean),
+    },
+  });
+
+  const target = new URL(redirect_uri);
+  target.searchParams.set('code', code);
+  if (state) target.searchParams.set('state', state);
+  res.redirect(target.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type, code, redirect_uri, client_id, code_verifier } = req.body;
+  const grant = codes.get(code);
+  codes.delete(code);
+
+  const challenge = code_verifier && createHash('sha256').update(code_verifier).digest('base64url');
+  if (
+    grant_type !== 'authorization_code' ||
+    !grant ||
+    grant.expiresAt < Date.now() ||
+    grant.redirectUri !== redirect_uri ||
+    grant.clientId !== client_id ||
+    grant.codeChallenge !== challenge
+  ) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: client_id,
+    expiresIn: '5m',
+  });
+
+  res.json({
+    access_token: randomBytes(24).toString('base64url'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+app.listen(PORT, () => {
+  logger.info('Mock OIDC provider listening', { issuer: ISSUER });
+});
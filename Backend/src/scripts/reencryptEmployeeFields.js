@@ -0,0 +1,86 @@
+// scripts/reencryptEmployeeFields.js
+// Brings encrypted employee columns up to the current key version:
+//   npm run fields:reencrypt -- [--dry-run] [--batch-size=200]
+// Plaintext values (written before encryption was enabled) are encrypted,
+// values wrapped with an older key are re-wrapped and blind indexes are
+// recomputed, e.g. after FIELD_BLIND_INDEX_KEY changed. Keep the old key in
+// FIELD_ENCRYPTION_KEYS until this has completed.
+import dotenv from 'dotenv';
+import { PrismaClient } from '@prisma/client';
+import { decrypt, rewrap, blindIndex, needsReEncryption, getCurrentKeyVersion } from '../utils/encryption.js';
+import { fieldEncryptionService } from '../services/fieldEncryptionService.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+// Raw client: the shared one decrypts results, this needs the stored values
+const prisma = new PrismaClient();
+
+const { ENCRYPTED_EMPLOYEE_FIELDS, BLIND_INDEXES, BLIND_INDEX_FIELDS } = fieldEncryptionService;
+
+const parseArgs = (argv) => ({
+  dryRun: argv.includes('--dry-run'),
+  batchSize: Number(argv.find((arg) => arg.startsWith('--batch-size='))?.split('=')[1]) || 200,
+});
+
+// Changes needed to bring one employee up to date, or null when it is current
+const planUpdate = (employee) => {
+  const data = {};
+
+  for (const field of ENCRYPTED_EMPLOYEE_FIELDS) {
+    const value = employee[field];
+    if (value === null || value === '') continue;
+
+    if (needsReEncryption(value)) {
+      data[field] = rewrap(value);
+    }
+
+    const column = BLIND_INDEXES[field];
+    if (column) {
+      const hash = blindIndex(decrypt(value));
+      if (employee[column] !== hash) data[column] = hash;
+    }
+  }
+
+  return Object.keys(data).length > 0 ? data : null;
+};
+
+const run = async ({ dryRun, batchSize }) => {
+  const summary = { scanned: 0, updated: 0, keyVersion: getCurrentKeyVersion() };
+  let cursor = null;
+
+  for (;;) {
+    const employees = await prisma.employee.findMany({
+      select: { id: true, ...Object.fromEntries([...ENCRYPTED_EMPLOYEE_FIELDS, ...BLIND_INDEX_FIELDS].map((field) => [field, true])) },
+      orderBy: { id: 'asc' },
+      take: batchSize,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    });
+    if (employees.length === 0) break;
+
+    for (const employee of employees) {
+      const data = planUpdate(employee);
+      if (data && !dryRun) {
+        await prisma.employee.update({ where: { id: employee.id }, data });
+      }
+      if (data) summary.updated += 1;
+    }
+
+    summary.scanned += employees.length;
+    cursor = employees[employees.length - 1].id;
+    logger.info('Employee field re-encryption progress', { ...summary, dryRun });
+  }
+
+  return summary;
+};
+
+run(parseArgs(process.argv.slice(2)))
+  .then((summary) => {
+    logger.info('Employee field re-encryption finished', summary);
+    return prisma.$disconnect();
+  })
+  .catch(async (error) => {
+    logger.error('Employee field re-encryption failed', { error: error.message, stack: error.stack });
+    await prisma.$disconnect();
+    process.exitCode = 1;
+  });
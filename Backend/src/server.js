@@ -8,7 +8,15 @@ import prisma from './config/prisma.js'; // ✅ centralized Prisma
 import logger, { requestLogger } from './utils/logger.js';
 import errorHandler from './middleware/errorHandler.js';
 import { auditMiddleware } from './middleware/auditMiddleware.js';
+import { loadCustomFieldDefinitions, fieldMaskingMiddleware } from './middleware/fieldMasking.js';
 import { debugRoutes, logRegisteredRoutes } from './middleware/debugRoutes.js';
+import { assertJwtConfig } from './utils/authUtils.js';
+import { getJwks } from './utils/jwtKeys.js';
+import { assertMailConfig } from './utils/mailer.js';
+import { assertEncryptionConfig } from './utils/encryption.js';
+import { employmentHistoryService } from './services/employmentHistoryService.js';
+import { probationService } from './services/probationService.js';
+import { terminationService } from './services/terminationService.js';
 
 // Import route files
 import authRoutes from './routes/authRoutes.js';
@@ -31,10 +39,18 @@ import performanceReviewRoutes from './routes/performanceReviewRoutes.js';
 import onboardingTemplateRoutes from './routes/onboardingTemplateRoutes.js';
 import onboardingTaskRoutes from './routes/onboardingTaskRoutes.js';
 import offboardingTaskRoutes from './routes/offboardingTaskRoutes.js';
+import offboardingTemplateRoutes from './routes/offboardingTemplateRoutes.js';
 import trainingProgramRoutes from './routes/trainingProgramRoutes.js';
 import trainingRecordRoutes from './routes/trainingRecordRoutes.js';
 import disciplinaryActionRoutes from './routes/disciplinaryActionRoutes.js';
 import settingRoutes from './routes/settingRoutes.js';
+import roleRoutes from './routes/roleRoutes.js';
+import apiKeyRoutes from './routes/apiKeyRoutes.js';
+import approvalDelegationRoutes from './routes/approvalDelegationRoutes.js';
+import orgChartRoutes from './routes/orgChartRoutes.js';
+import customFieldRoutes from './routes/customFieldRoutes.js';
+import probationRoutes from './routes/probationRoutes.js';
+import profileChangeRoutes from './routes/profileChangeRoutes.js';
 
 // Load environment variables
 dotenv.config();
@@ -49,15 +65,32 @@ const getEnvVariable = (key, defaultValue) => {
   return value;
 };
 
-const app = express();
+// Refuse to start without usable token keys, or with default secrets in production
+try {
+  assertJwtConfig();
+} catch (error) {
+  logger.error('Invalid JWT configuration', { error: error.message });
+  process.exit(1);
+}
 
-// Log Prisma queries in development
-if (getEnvVariable('NODE_ENV', 'development') !== 'production') {
-  prisma.$on('query', (e) => {
-    logger.debug(`Prisma Query: ${e.query} ${e.params} [${e.duration}ms]`);
-  });
+// Employee bank and tax fields cannot be read or written without valid keys
+try {
+  assertEncryptionConfig();
+} catch (error) {
+  logger.error('Invalid field encryption configuration', { error: error.message });
+  process.exit(1);
 }
 
+// Production must deliver mail rather than drop it
+try {
+  assertMailConfig();
+} catch (error) {
+  logger.error('Invalid mail configuration', { error: error.message });
+  process.exit(1);
+}
+
+const app = express();
+
 // === CORS Configuration ===
 const ALLOWED_FRONTEND = getEnvVariable('FRONTEND_URL', 'http://localhost:5173');
 const corsOptions = {
@@ -71,7 +104,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'X-API-Key', 'X-Team-Scope'],
   maxAge: 86400,
 };
 
@@ -110,9 +143,12 @@ app.use(express.json({ limit: getEnvVariable('BODY_LIMIT', '10mb') }));
 app.use(express.urlencoded({ extended: true, limit: getEnvVariable('BODY_LIMIT', '10mb') }));
 app.use(requestLogger);
 app.use(auditMiddleware);
+app.use(loadCustomFieldDefinitions);
+app.use(fieldMaskingMiddleware);
 app.use(debugRoutes);
 
 // === API Routes ===
+app.use('/api/auth', authRoutes);
 app.use('/api/employees', employeeRoutes);
 app.use('/api/departments', departmentRoutes);
 app.use('/api/attendance', attendanceRoutes);
@@ -132,10 +168,25 @@ app.use('/api/performance-reviews', performanceReviewRoutes);
 app.use('/api/onboarding-templates', onboardingTemplateRoutes);
 app.use('/api/onboarding-tasks', onboardingTaskRoutes);
 app.use('/api/offboarding-tasks', offboardingTaskRoutes);
+app.use('/api/offboarding-templates', offboardingTemplateRoutes);
 app.use('/api/training-programs', trainingProgramRoutes);
 app.use('/api/training-records', trainingRecordRoutes);
 app.use('/api/disciplinary-actions', disciplinaryActionRoutes);
 app.use('/api/settings', settingRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/approval-delegations', approvalDelegationRoutes);
+app.use('/api/org-chart', orgChartRoutes);
+app.use('/api/custom-fields', customFieldRoutes);
+app.use('/api/probation', probationRoutes);
+app.use('/api/profile-changes', profileChangeRoutes);
+
+// === JWKS ===
+// Public keys of the access tokens, for services that verify HRMS tokens
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
+});
 
 // === Health Check ===
 app.get('/api/health', async (req, res) => {
@@ -170,9 +221,49 @@ app.use('/api/*', (req, res) => {
 // === Global Error Handler ===
 app.use(errorHandler);
 
+// === Scheduled Jobs ===
+// Future-dated employment changes take effect on their effective date
+const applyEmploymentChanges = () => {
+  employmentHistoryService.applyDueChanges().catch((error) => {
+    logger.error('Applying scheduled employment changes failed', { error: error.message });
+  });
+};
+const employmentChangesTimer = setInterval(
+  applyEmploymentChanges,
+  parseInt(getEnvVariable('EMPLOYMENT_CHANGES_INTERVAL_MINUTES', '60')) * 60 * 1000
+);
+employmentChangesTimer.unref();
+
+// Managers are asked for a decision before probation periods end
+const sendProbationReminders = () => {
+  probationService.sendReminders().catch((error) => {
+    logger.error('Sending probation reminders failed', { error: error.message });
+  });
+};
+const probationRemindersTimer = setInterval(
+  sendProbationReminders,
+  parseInt(getEnvVariable('PROBATION_REMINDERS_INTERVAL_MINUTES', '60')) * 60 * 1000
+);
+probationRemindersTimer.unref();
+
+// Scheduled terminations take effect on the employee's last day
+const completeTerminations = () => {
+  terminationService.completeDueTerminations().catch((error) => {
+    logger.error('Completing scheduled terminations failed', { error: error.message });
+  });
+};
+const terminationsTimer = setInterval(
+  completeTerminations,
+  parseInt(getEnvVariable('TERMINATIONS_INTERVAL_MINUTES', '60')) * 60 * 1000
+);
+terminationsTimer.unref();
+
 // === Graceful Shutdown ===
 const shutdown = async () => {
   logger.info('Shutting down server...');
+  clearInterval(employmentChangesTimer);
+  clearInterval(probationRemindersTimer);
+  clearInterval(terminationsTimer);
   try {
     await prisma.$disconnect();
     logger.info('Database disconnected');
@@ -207,6 +298,9 @@ const server = app.listen(PORT, () => {
   logger.info(`📊 Health check: http://localhost:${PORT}/api/health`);
   logger.info(`Frontend URL allowed: ${ALLOWED_FRONTEND}`);
   logRegisteredRoutes(app);
+  applyEmploymentChanges();
+  sendProbationReminders();
+  completeTerminations();
 });
 
 export { app, server };
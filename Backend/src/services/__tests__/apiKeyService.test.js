@@ -0,0 +1,96 @@
+import { jest } from '@jest/globals';
+import { createHash } from 'crypto';
+
+const prisma = {
+  apiKey: {
+    findUnique: jest.fn(),
+    update: jest.fn(async () => ({})),
+  },
+};
+
+jest.unstable_mockModule('../../config/prisma.js', () => ({ default: prisma }));
+jest.unstable_mockModule('../../middleware/auditMiddleware.js', () => ({ createAuditLog: jest.fn() }));
+
+const { apiKeyService } = await import('../apiKeyService.js');
+
+const KEY = 'hrms_0a1b2c3d4e5f_c2VjcmV0LXBhcnQtb2YtdGhlLWtleQ';
+
+const storedKey = (overrides = {}) => ({
+  id: 'key-1',
+  name: 'Payroll sync',
+  prefix: 'hrms_0a1b2c3d4e5f',
+  keyHash: createHash('sha256').update(KEY).digest('hex'),
+  permissions: ['employees:read', 'payroll:read'],
+  expiresAt: null,
+  revokedAt: null,
+  lastUsedAt: null,
+  serviceAccount: { id: 'user-service', email: 'hrms_0a1b2c3d4e5f@service-accounts.invalid', role: 'EMPLOYEE', accessRoleId: null, isActive: true },
+  ...overrides,
+});
+
+// Lookups are by hash, so only the stored key is ever found
+const store = (apiKey) => {
+  prisma.apiKey.findUnique.mockImplementation(async ({ where }) => (where.keyHash === apiKey.keyHash ? apiKey : null));
+};
+
+const req = { ip: '10.0.0.7' };
+
+describe('apiKeyService.authenticate', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('resolves a valid key to its service account with exactly the key\'s permissions', async () => {
+    store(storedKey());
+
+    const user = await apiKeyService.authenticate(KEY, req);
+
+    expect(user).toMatchObject({
+      id: 'user-service',
+      employee: null,
+      permissions: { 'employees:read': 'ALL', 'payroll:read': 'ALL' },
+      apiKey: { id: 'key-1', name: 'Payroll sync', prefix: 'hrms_0a1b2c3d4e5f' },
+    });
+    expect(Object.keys(user.permissions)).toHaveLength(2);
+    expect(prisma.apiKey.update).toHaveBeenCalledWith({
+      where: { id: 'key-1' },
+      data: { lastUsedAt: expect.any(Date), lastUsedIp: '10.0.0.7' },
+    });
+  });
+
+  it('records usage at most once a minute', async () => {
+    store(storedKey({ lastUsedAt: new Date(Date.now() - 10 * 1000) }));
+
+    await apiKeyService.authenticate(KEY, req);
+
+    expect(prisma.apiKey.update).not.toHaveBeenCalled();
+  });
+
+  it('rejects a revoked key', async () => {
+    store(storedKey({ revokedAt: new Date() }));
+
+    await expect(apiKeyService.authenticate(KEY, req)).rejects.toMatchObject({ statusCode: 401, code: 'INVALID_API_KEY' });
+  });
+
+  it('rejects a key whose service account was deactivated', async () => {
+    const apiKey = storedKey();
+    store({ ...apiKey, serviceAccount: { ...apiKey.serviceAccount, isActive: false } });
+
+    await expect(apiKeyService.authenticate(KEY, req)).rejects.toMatchObject({ code: 'INVALID_API_KEY' });
+  });
+
+  it('rejects an expired key', async () => {
+    store(storedKey({ expiresAt: new Date(Date.now() - 1000) }));
+
+    await expect(apiKeyService.authenticate(KEY, req)).rejects.toMatchObject({ statusCode: 401, code: 'API_KEY_EXPIRED' });
+    expect(prisma.apiKey.update).not.toHaveBeenCalled();
+  });
+
+  it('rejects unknown keys and keys without the prefix', async () => {
+    store(storedKey());
+
+    await expect(apiKeyService.authenticate(`${KEY}x`, req)).rejects.toMatchObject({ code: 'INVALID_API_KEY' });
+    await expect(apiKeyService.authenticate('not-a-key', req)).rejects.toMatchObject({ code: 'INVALID_API_KEY' });
+    expect(prisma.apiKey.findUnique).toHaveBeenCalledTimes(1);
+  });
+});
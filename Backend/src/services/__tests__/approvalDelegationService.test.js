@@ -0,0 +1,212 @@
+import { jest } from '@jest/globals';
+
+let tables = {};
+
+// Plain objects in a condition are relation filters on the nested record
+const compare = (value, condition) => {
+  if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+    return value instanceof Date || condition instanceof Date ? value?.valueOf() === condition?.valueOf() : value === condition;
+  }
+  return Object.entries(condition).every(([key, operand]) => {
+    if (key === 'in') return operand.includes(value);
+    if (key === 'not') return !compare(value, operand);
+    if (key === 'gte') return value >= operand;
+    if (key === 'lte') return value <= operand;
+    return value !== null && typeof value === 'object' && compare(value[key], operand);
+  });
+};
+
+const matches = (row, where = {}) => Object.entries(where).every(([field, condition]) => {
+  if (field === 'AND') return condition.every((branch) => matches(row, branch));
+  if (field === 'OR') return condition.some((branch) => matches(row, branch));
+  return compare(row[field], condition);
+});
+
+const employeeOf = (id) => {
+  const employee = tables.employee.find((row) => row.id === id);
+  return employee && { ...employee, user: tables.user.find((user) => user.id === employee.userId) || null };
+};
+
+const withRelations = (name, row) => {
+  if (name === 'leaveRequest') return { ...row, employee: employeeOf(row.employeeId), policy: { leaveType: row.leaveType } };
+  if (name === 'approvalDelegation') return { ...row, delegator: employeeOf(row.delegatorId) };
+  if (name === 'employee') return employeeOf(row.id);
+  return { ...row };
+};
+
+const find = (name, where) => tables[name].map((row) => withRelations(name, row)).filter((row) => matches(row, where));
+
+const model = (name) => ({
+  findUnique: jest.fn(async ({ where }) => find(name, where)[0] || null),
+  findFirst: jest.fn(async ({ where }) => find(name, where)[0] || null),
+  findMany: jest.fn(async ({ where } = {}) => find(name, where)),
+  count: jest.fn(async ({ where }) => find(name, where).length),
+  update: jest.fn(async ({ where, data }) => {
+    const row = tables[name].find((item) => item.id === where.id);
+    return withRelations(name, Object.assign(row, data));
+  }),
+  updateMany: jest.fn(async () => ({ count: 1 })),
+});
+
+const prisma = Object.fromEntries(['employee', 'approvalDelegation', 'leaveRequest', 'leaveBalance'].map((name) => [name, model(name)]));
+
+// Managers approve their direct reports, HR approves everyone
+const permissionService = {
+  getPermissions: jest.fn(async (user) => ({ 'leave:approve': user.role === 'HR_MANAGER' ? 'ALL' : 'TEAM' })),
+  getScope: jest.fn(async (user) => user.permissions?.['leave:approve'] || 'TEAM'),
+  scopeWhere: jest.fn(async (user) => (user.permissions['leave:approve'] === 'ALL' ? {} : { employee: { managerId: user.employee.id } })),
+  can: jest.fn(async (user, permission, record) => record?.employee?.managerId === user.employee?.id),
+};
+
+jest.unstable_mockModule('../../config/prisma.js', () => ({ default: prisma }));
+jest.unstable_mockModule('../../middleware/auditMiddleware.js', () => ({ createAuditLog: jest.fn() }));
+jest.unstable_mockModule('../permissionService.js', () => ({ permissionService }));
+
+const { approvalDelegationService } = await import('../approvalDelegationService.js');
+const { leaveRequestService } = await import('../leaveRequestService.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date();
+const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+const daysFromToday = (days) => new Date(today.getTime() + days * DAY_MS);
+
+// A fresh user per call, as delegated scopes are cached on the request user
+const bob = () => ({ id: 'u-bob', role: 'EMPLOYEE', employee: { id: 'emp-bob', managerId: 'emp-lead' }, permissions: { 'leave:approve': 'TEAM' } });
+
+const delegation = (overrides = {}) => ({
+  id: 'del-1',
+  delegatorId: 'emp-lead',
+  delegateId: 'emp-bob',
+  startDate: daysFromToday(-1),
+  endDate: daysFromToday(7),
+  leaveTypes: [],
+  revokedAt: null,
+  ...overrides,
+});
+
+const delegatedIds = async (user) => {
+  const ids = [];
+  for (const { id } of tables.leaveRequest) {
+    if (await approvalDelegationService.findDelegation(user, id)) ids.push(id);
+  }
+  return ids;
+};
+
+describe('approvalDelegationService', () => {
+  beforeEach(() => {
+    tables = {
+      user: [
+        { id: 'u-lead', role: 'MANAGER', isActive: true },
+        { id: 'u-hr', role: 'HR_MANAGER', isActive: true },
+        { id: 'u-bob', role: 'EMPLOYEE', isActive: true },
+      ],
+      employee: [
+        { id: 'emp-hr', userId: 'u-hr', managerId: null },
+        { id: 'emp-lead', userId: 'u-lead', managerId: 'emp-hr' },
+        { id: 'emp-ada', managerId: 'emp-lead' },
+        { id: 'emp-bob', userId: 'u-bob', managerId: 'emp-lead' },
+        { id: 'emp-carl', managerId: 'emp-hr' },
+      ],
+      approvalDelegation: [],
+      leaveRequest: [
+        { id: 'lr-ada-annual', employeeId: 'emp-ada', leaveType: 'ANNUAL', policyId: 'annual', days: 2, status: 'PENDING' },
+        { id: 'lr-ada-sick', employeeId: 'emp-ada', leaveType: 'SICK', policyId: 'sick', days: 1, status: 'PENDING' },
+        { id: 'lr-bob-annual', employeeId: 'emp-bob', leaveType: 'ANNUAL', policyId: 'annual', days: 3, status: 'PENDING' },
+        { id: 'lr-carl-annual', employeeId: 'emp-carl', leaveType: 'ANNUAL', policyId: 'annual', days: 1, status: 'PENDING' },
+        { id: 'lr-lead-annual', employeeId: 'emp-lead', leaveType: 'ANNUAL', policyId: 'annual', days: 5, status: 'PENDING' },
+      ],
+      leaveBalance: [],
+    };
+    jest.clearAllMocks();
+  });
+
+  describe('delegation scope', () => {
+    it('covers what the delegator could approve, except the delegate\'s own requests', async () => {
+      tables.approvalDelegation = [delegation()];
+
+      await expect(delegatedIds(bob())).resolves.toEqual(['lr-ada-annual', 'lr-ada-sick']);
+    });
+
+    it('is limited to the delegated leave types', async () => {
+      tables.approvalDelegation = [delegation({ leaveTypes: ['ANNUAL'] })];
+
+      await expect(delegatedIds(bob())).resolves.toEqual(['lr-ada-annual']);
+    });
+
+    it('never covers the delegator\'s own requests', async () => {
+      // HR approves everyone's leave, their own included
+      tables.approvalDelegation = [delegation({ delegatorId: 'emp-hr' })];
+      tables.leaveRequest.push({ id: 'lr-hr-annual', employeeId: 'emp-hr', leaveType: 'ANNUAL', policyId: 'annual', days: 1, status: 'PENDING' });
+
+      await expect(delegatedIds(bob())).resolves.toEqual(['lr-ada-annual', 'lr-ada-sick', 'lr-carl-annual', 'lr-lead-annual']);
+    });
+  });
+
+  describe('expiry', () => {
+    it('only applies delegations in effect today', async () => {
+      tables.approvalDelegation = [
+        delegation({ id: 'del-ended', startDate: daysFromToday(-10), endDate: daysFromToday(-1) }),
+        delegation({ id: 'del-scheduled', startDate: daysFromToday(1), endDate: daysFromToday(5) }),
+        delegation({ id: 'del-revoked', revokedAt: daysFromToday(-1) }),
+      ];
+
+      await expect(approvalDelegationService.getDelegatedScopes(bob())).resolves.toEqual([]);
+
+      tables.approvalDelegation.push(delegation({ id: 'del-today', startDate: today, endDate: today }));
+      const scopes = await approvalDelegationService.getDelegatedScopes(bob());
+      expect(scopes.map((scope) => scope.delegation.id)).toEqual(['del-today']);
+    });
+
+    it('lapses when the delegator can no longer sign in', async () => {
+      tables.approvalDelegation = [delegation()];
+      tables.user.find((user) => user.id === 'u-lead').isActive = false;
+
+      await expect(approvalDelegationService.getDelegatedScopes(bob())).resolves.toEqual([]);
+    });
+
+    it('cannot be revoked once ended', async () => {
+      tables.approvalDelegation = [delegation({ startDate: daysFromToday(-10), endDate: daysFromToday(-1) })];
+      const lead = { id: 'u-lead', employee: { id: 'emp-lead' }, permissions: { 'leave:approve': 'TEAM' } };
+
+      await expect(approvalDelegationService.revoke('del-1', { user: lead })).rejects.toMatchObject({ code: 'DELEGATION_INACTIVE' });
+    });
+  });
+
+  describe('deciding on behalf of the delegator', () => {
+    beforeEach(() => {
+      tables.approvalDelegation = [delegation()];
+    });
+
+    it('records the delegator on approvals and rejections', async () => {
+      await leaveRequestService.updateLeaveRequest('lr-ada-annual', { status: 'APPROVED', approvedById: 'emp-bob' }, { user: bob() });
+      await leaveRequestService.updateLeaveRequest('lr-ada-sick', { status: 'REJECTED', rejectionReason: 'Overlap' }, { user: bob() });
+
+      const [annual, sick] = tables.leaveRequest;
+      expect(annual).toMatchObject({ status: 'APPROVED', approvedById: 'emp-bob', onBehalfOfId: 'emp-lead' });
+      expect(sick).toMatchObject({ status: 'REJECTED', onBehalfOfId: 'emp-lead' });
+    });
+
+    it('records no delegator when approvers act on their own authority', async () => {
+      const lead = { id: 'u-lead', role: 'MANAGER', employee: { id: 'emp-lead' }, permissions: { 'leave:approve': 'TEAM' } };
+
+      await leaveRequestService.updateLeaveRequest('lr-ada-annual', { status: 'APPROVED', approvedById: 'emp-lead' }, { user: lead });
+
+      expect(tables.leaveRequest[0]).toMatchObject({ status: 'APPROVED', onBehalfOfId: null });
+    });
+
+    it('allows nothing beyond approving and rejecting', async () => {
+      await expect(
+        leaveRequestService.updateLeaveRequest('lr-ada-annual', { status: 'CANCELLED' }, { user: bob() })
+      ).rejects.toMatchObject({ code: 'ACCESS_DENIED' });
+      await expect(
+        leaveRequestService.updateLeaveRequest('lr-carl-annual', { status: 'APPROVED' }, { user: bob() })
+      ).rejects.toMatchObject({ code: 'ACCESS_DENIED' });
+    });
+
+    it('marks the requests shown to the delegate with the manager they act for', async () => {
+      const annotated = await approvalDelegationService.annotate(bob(), tables.leaveRequest.slice(0, 3));
+
+      expect(annotated.map((leaveRequest) => leaveRequest.delegatedBy?.id || null)).toEqual(['emp-lead', 'emp-lead', null]);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+import { jest } from '@jest/globals';
+
+let definitions = [];
+
+const prisma = {
+  customFieldDefinition: {
+    findMany: jest.fn(async () => definitions),
+    findUnique: jest.fn(async () => null),
+    create: jest.fn(async ({ data }) => ({ id: 'cf-new', ...data })),
+  },
+};
+
+jest.unstable_mockModule('../../config/prisma.js', () => ({ default: prisma }));
+jest.unstable_mockModule('../../middleware/auditMiddleware.js', () => ({ createAuditLog: jest.fn() }));
+
+const { customFieldService } = await import('../customFieldService.js');
+
+const definition = (key, type, extra = {}) => ({
+  id: `cf-${key}`,
+  entity: 'EMPLOYEE',
+  key,
+  label: key,
+  type,
+  options: [],
+  validation: null,
+  required: false,
+  isActive: true,
+  visibleToRoles: [],
+  ...extra,
+});
+
+const req = { user: { id: 'u-admin' } };
+const hr = { id: 'u-hr', role: 'HR_MANAGER', permissions: {} };
+const employee = { id: 'u-emp', role: 'EMPLOYEE', permissions: {} };
+const fieldManager = { id: 'u-fm', role: 'EMPLOYEE', permissions: { 'customFields:manage': true } };
+
+const problemsOf = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error.details;
+  }
+  throw new Error('Expected a validation error');
+};
+
+describe('customFieldService', () => {
+  beforeEach(() => {
+    definitions = [];
+    customFieldService.clearCache();
+  });
+
+  describe('create', () => {
+    const create = (validation) => customFieldService.create({ entity: 'EMPLOYEE', key: 'badge', label: 'Badge', type: 'TEXT', validation }, req);
+
+    it('stores safe patterns with the empty rules dropped', async () => {
+      const created = await create({ pattern: '^[A-Z]{2}-\\d{4}$', patternMessage: '', maxLength: 7 });
+      expect(created.validation).toEqual({ pattern: '^[A-Z]{2}-\\d{4}$', maxLength: 7 });
+    });
+
+    it.each([
+      ['(a+)+$', 'Repeated groups must not contain repetitions themselves'],
+      ['^(\\w*\\s?)*$', 'Repeated groups must not contain repetitions themselves'],
+      ['^((ab)*c)+$', 'Repeated groups must not contain repetitions themselves'],
+      ['^(a|aa)+$', 'Repeated groups must not contain alternatives'],
+      ['^(\\d|\\d\\d)*$', 'Repeated groups must not contain alternatives'],
+      ['^((a|b)c){2,}$', 'Repeated groups must not contain alternatives'],
+      ['^(a)\\1$', 'Back-references are not supported'],
+      ['^(?<x>a)\\k<x>$', 'Back-references are not supported'],
+      ['(', 'Not a valid regular expression'],
+      [`^${'a'.repeat(200)}$`, 'Must be at most 200 characters'],
+    ])('rejects the pattern %s', async (pattern, message) => {
+      expect(await problemsOf(create({ pattern }))).toEqual([{ path: 'validation.pattern', message }]);
+    });
+
+    it('accepts repetitions inside character classes, single repeated groups and plain alternatives', async () => {
+      await expect(create({ pattern: '^([a-z+*|])+$' })).resolves.toBeDefined();
+      await expect(create({ pattern: '^(ab|cd)?-(EU|US)\\(x+\\)$' })).resolves.toBeDefined();
+    });
+
+    it('limits the length of values checked against a pattern', async () => {
+      expect(await problemsOf(create({ pattern: '^a+$', maxLength: 1000 }))).toEqual([
+        { path: 'validation.maxLength', message: 'Fields with a pattern hold at most 255 characters' },
+      ]);
+    });
+
+    it('rejects rules of other field types', async () => {
+      const problems = await problemsOf(
+        customFieldService.create({ entity: 'EMPLOYEE', key: 'size', label: 'Size', type: 'SELECT', options: ['S', 'S'], validation: { min: 1 } }, req)
+      );
+      expect(problems).toEqual([
+        { path: 'options', message: 'Options must be unique' },
+        { path: 'validation.min', message: 'Not supported for select fields' },
+      ]);
+    });
+  });
+
+  describe('prepareValues', () => {
+    beforeEach(() => {
+      definitions = [
+        definition('badge', 'TEXT', { validation: { pattern: '^B\\d+$', patternMessage: 'Must look like B123' } }),
+        definition('shirt', 'SELECT', { options: ['S', 'M', 'L'], required: true }),
+        definition('languages', 'MULTI_SELECT', { options: ['en', 'de', 'fr'] }),
+        definition('seniority', 'NUMBER', { validation: { min: 0, max: 50 } }),
+        definition('salaryBand', 'TEXT', { visibleToRoles: ['HR_MANAGER'] }),
+      ];
+    });
+
+    it('normalises values and merges them into the stored ones', async () => {
+      const values = await customFieldService.prepareValues(
+        'EMPLOYEE',
+        { badge: ' B12 ', languages: ['en', 'de', 'en'], seniority: '' },
+        { user: hr, existing: { shirt: 'M', salaryBand: 'C', seniority: 3 } }
+      );
+      expect(values).toEqual({ badge: 'B12', languages: ['en', 'de'], shirt: 'M', salaryBand: 'C' });
+    });
+
+    it('keeps required fields from being cleared', async () => {
+      const problems = await problemsOf(customFieldService.prepareValues('EMPLOYEE', { shirt: '' }, { user: hr, existing: { shirt: 'M' } }));
+      expect(problems).toEqual([{ path: 'customFields.shirt', message: 'shirt is required' }]);
+    });
+
+    it('collects every invalid value', async () => {
+      const problems = await problemsOf(
+        customFieldService.prepareValues('EMPLOYEE', { badge: 'X1', seniority: 51, languages: ['es'], nickname: 'Al' }, { user: hr, isCreate: true })
+      );
+      expect(problems).toEqual([
+        { path: 'customFields.badge', message: 'badge: Must look like B123' },
+        { path: 'customFields.seniority', message: 'seniority: Must be at most 50' },
+        { path: 'customFields.languages', message: 'languages: Unknown options: es' },
+        { path: 'customFields.nickname', message: 'Unknown custom field' },
+        { path: 'customFields.shirt', message: 'shirt is required' },
+      ]);
+    });
+
+    it('caps the input checked against a pattern', async () => {
+      const problems = await problemsOf(customFieldService.prepareValues('EMPLOYEE', { badge: `B${'1'.repeat(300)}` }, { user: hr }));
+      expect(problems).toEqual([{ path: 'customFields.badge', message: 'badge: Must be at most 255 characters' }]);
+    });
+
+    it('treats fields hidden from the user as unknown', async () => {
+      const problems = await problemsOf(customFieldService.prepareValues('EMPLOYEE', { salaryBand: 'A' }, { user: employee }));
+      expect(problems).toEqual([{ path: 'customFields.salaryBand', message: 'Unknown custom field' }]);
+
+      await expect(customFieldService.prepareValues('EMPLOYEE', { salaryBand: 'A' }, { user: fieldManager })).resolves.toEqual({
+        salaryBand: 'A',
+      });
+    });
+  });
+
+  describe('buildFilters', () => {
+    it('builds JSON path conditions per field type', async () => {
+      definitions = [
+        definition('badge', 'TEXT'),
+        definition('languages', 'MULTI_SELECT', { options: ['en', 'de'] }),
+        definition('seniority', 'NUMBER'),
+        definition('since', 'DATE', { isActive: false }),
+      ];
+
+      const conditions = await customFieldService.buildFilters(
+        'EMPLOYEE',
+        { badge: 'b1', languages: 'en, de', seniority: { min: '2', max: '' }, since: '2026-01-01' },
+        hr
+      );
+      expect(conditions).toEqual([
+        { customFields: { path: ['badge'], string_contains: 'b1', mode: 'insensitive' } },
+        { customFields: { path: ['languages'], array_contains: ['en', 'de'] } },
+        { customFields: { path: ['seniority'], gte: 2 } },
+        { customFields: { path: ['since'], equals: '2026-01-01' } },
+      ]);
+    });
+
+    it('does not filter on fields hidden from the user', async () => {
+      definitions = [definition('salaryBand', 'TEXT', { visibleToRoles: ['HR_MANAGER'] })];
+
+      await expect(customFieldService.buildFilters('EMPLOYEE', { salaryBand: 'A' }, employee)).rejects.toMatchObject({
+        code: 'INVALID_CUSTOM_FIELD_FILTER',
+      });
+    });
+  });
+
+  describe('redact', () => {
+    it('removes hidden values from nested employee records only', () => {
+      const defs = [definition('salaryBand', 'TEXT', { visibleToRoles: ['HR_MANAGER'] })];
+      const payload = {
+        employee: { id: 'e1', employeeId: 'EMP-1', hireDate: '2026-01-01', email: 'a@example.com', customFields: { salaryBand: 'C', badge: 'B1' } },
+        setting: { customFields: { salaryBand: 'kept' } },
+      };
+
+      const redacted = customFieldService.redact(employee, defs, payload);
+      expect(redacted.employee.customFields).toEqual({ badge: 'B1' });
+      expect(redacted.setting.customFields).toEqual({ salaryBand: 'kept' });
+      expect(customFieldService.redact(hr, defs, payload)).toBe(payload);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import { jest } from '@jest/globals';
+import { PassThrough } from 'stream';
+import ExcelJS from 'exceljs';
+
+const employees = [
+  {
+    id: 'emp-1',
+    employeeId: 'EMP-1',
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    email: 'ada@example.com',
+    phone: '+1 555 0100',
+    address: '=HYPERLINK("https://evil.example.com","Click")',
+    city: '@SUM(A1:A9)',
+    state: '-2+3',
+    hireDate: new Date('2024-01-01T00:00:00Z'),
+    department: { name: 'Engineering, R&D' },
+  },
+];
+
+const prisma = { employee: { findMany: jest.fn(async ({ cursor }) => (cursor ? [] : employees)) } };
+
+jest.unstable_mockModule('../../config/prisma.js', () => ({ default: prisma }));
+jest.unstable_mockModule('../../middleware/auditMiddleware.js', () => ({ createAuditLog: jest.fn() }));
+jest.unstable_mockModule('../employeeService.js', () => ({ buildEmployeeFilters: jest.fn(async () => ({})) }));
+jest.unstable_mockModule('../fieldPolicyService.js', () => ({ fieldPolicyService: { maskEmployee: (user, employee) => employee } }));
+jest.unstable_mockModule('../settingService.js', () => ({ getSettingValue: jest.fn(async () => '') }));
+
+const { employeeExportService } = await import('../employeeExportService.js');
+
+const columns = ['employeeId', 'phone', 'address', 'city', 'state', 'department', 'hireDate'];
+
+// Collects the streamed export like an HTTP response would
+const exportTo = async (format) => {
+  const res = new PassThrough();
+  res.setHeader = jest.fn();
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  await employeeExportService.exportEmployees(res, { format, columns }, { user: { id: 'u-hr' } });
+  return Buffer.concat(chunks);
+};
+
+describe('employeeExportService', () => {
+  it('neutralises CSV cells a spreadsheet would run as formulas', async () => {
+    const [header, row] = (await exportTo('csv')).toString('utf8').replace(/^﻿/, '').split('\r\n');
+
+    expect(header).toBe('Employee ID,Phone,Address,City,State,Department,Hire Date');
+    expect(row).toBe(
+      `EMP-1,'+1 555 0100,"'=HYPERLINK(""https://evil.example.com"",""Click"")",'@SUM(A1:A9),'-2+3,"Engineering, R&D",2024-01-01`
+    );
+  });
+
+  it('writes XLSX values as text cells, never formulas', async () => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await exportTo('xlsx'));
+    const row = workbook.getWorksheet('Employees').getRow(2);
+
+    expect(row.getCell(3).type).toBe(ExcelJS.ValueType.String);
+    expect(row.getCell(3).value).toBe('=HYPERLINK("https://evil.example.com","Click")');
+    expect(row.getCell(4).value).toBe('@SUM(A1:A9)');
+    expect(row.getCell(2).value).toBe('+1 555 0100');
+  });
+});
@@ -0,0 +1,132 @@
+import { jest } from '@jest/globals';
+
+const sequences = new Map();
+let employees = [];
+
+// Mirrors the INSERT ... ON CONFLICT DO UPDATE of nextValue: the first call
+// of a scope inserts the given start, later calls increment
+const prisma = {
+  employeeIdSequence: {
+    findUnique: jest.fn(async ({ where }) => (sequences.has(where.scope) ? { scope: where.scope, value: sequences.get(where.scope) } : null)),
+  },
+  employee: {
+    findMany: jest.fn(async ({ where }) =>
+      employees
+        .filter((employeeId) => employeeId.startsWith(where.employeeId.startsWith) && employeeId.endsWith(where.employeeId.endsWith))
+        .map((employeeId) => ({ employeeId }))
+    ),
+    findUnique: jest.fn(async ({ where }) => (employees.includes(where.employeeId) ? { id: where.employeeId } : null)),
+  },
+  department: {
+    findUnique: jest.fn(async () => ({ name: 'Engineering' })),
+  },
+  $queryRaw: jest.fn(async (strings, scope, start) => {
+    const value = sequences.has(scope) ? sequences.get(scope) + 1 : start;
+    sequences.set(scope, value);
+    return [{ value: BigInt(value) }];
+  }),
+};
+
+const settings = {};
+
+jest.unstable_mockModule('../../config/prisma.js', () => ({ default: prisma }));
+jest.unstable_mockModule('../settingService.js', () => ({
+  getSettingValue: jest.fn(async (key, fallback) => settings[key] ?? fallback),
+  getSettingBoolean: jest.fn(async (key, fallback) => settings[key] ?? fallback),
+  getSettingList: jest.fn(async (key) => settings[key] ?? []),
+}));
+
+const { employeeIdService } = await import('../employeeIdService.js');
+
+const scheme = (pattern, extra = {}) => ({ pattern, allowManual: false, departmentCodes: {}, ...extra });
+
+describe('employeeIdService', () => {
+  beforeEach(() => {
+    sequences.clear();
+    employees = [];
+    Object.keys(settings).forEach((key) => delete settings[key]);
+  });
+
+  describe('parsePattern', () => {
+    it('accepts a pattern with one sequence', () => {
+      expect(employeeIdService.parsePattern('{COUNTRY}-{YYYY}-{SEQ:5}')).toEqual([
+        { token: 'COUNTRY' },
+        { literal: '-' },
+        { token: 'YYYY' },
+        { literal: '-' },
+        { token: 'SEQ', width: 5 },
+      ]);
+    });
+
+    it.each([
+      ['EMP-{YYYY}', 'The pattern needs exactly one {SEQ}'],
+      ['{SEQ}-{SEQ}', 'The pattern needs exactly one {SEQ}'],
+      ['{FOO}-{SEQ}', 'Unknown token {FOO}'],
+      ['{YYYY:2}-{SEQ}', '{YYYY} does not take a width'],
+      ['EMP {SEQ}', '"EMP " may only contain letters, digits and - _ . /'],
+      ['{SEQ:11}', '{SEQ} width must be between 1 and 10'],
+    ])('rejects %s', (pattern, problem) => {
+      expect(() => employeeIdService.parsePattern(pattern)).toThrow(
+        expect.objectContaining({ code: 'INVALID_ID_PATTERN', details: { problems: expect.arrayContaining([problem]) } })
+      );
+    });
+
+    it('validates only the pattern setting, and allows clearing it', () => {
+      expect(() => employeeIdService.validateSetting('employees.idPattern', 'EMP')).toThrow(
+        expect.objectContaining({ code: 'INVALID_ID_PATTERN' })
+      );
+      expect(() => employeeIdService.validateSetting('employees.idPattern', '  ')).not.toThrow();
+      expect(() => employeeIdService.validateSetting('employees.idAllowManual', 'EMP')).not.toThrow();
+    });
+  });
+
+  describe('assign', () => {
+    it('counts each scope on its own', async () => {
+      const options = { scheme: scheme('{DEPT}-{YYYY}-{SEQ:3}', { departmentCodes: { engineering: 'ENG' } }) };
+
+      expect(await employeeIdService.assign({ departmentId: 'd1', hireDate: '2026-03-01' }, options)).toBe('ENG-2026-001');
+      expect(await employeeIdService.assign({ departmentId: 'd1', hireDate: '2026-05-01' }, options)).toBe('ENG-2026-002');
+      expect(await employeeIdService.assign({ departmentId: 'd1', hireDate: '2027-01-01' }, options)).toBe('ENG-2027-001');
+    });
+
+    it('starts a new scope after the highest ID entered by hand', async () => {
+      employees = ['EMP-0007', 'EMP-0012', 'EMP-X', 'OTHER-0099'];
+
+      expect(await employeeIdService.assign({}, { scheme: scheme('EMP-{SEQ}') })).toBe('EMP-0013');
+      expect(prisma.$queryRaw.mock.calls.at(-1).slice(1)).toEqual(['EMP-{SEQ}', 13]);
+    });
+
+    it('skips numbers already taken once the scope exists', async () => {
+      sequences.set('EMP-{SEQ}', 2);
+      employees = ['EMP-0003', 'EMP-0004'];
+
+      expect(await employeeIdService.assign({}, { scheme: scheme('EMP-{SEQ}') })).toBe('EMP-0005');
+      expect(sequences.get('EMP-{SEQ}')).toBe(5);
+    });
+
+    it('keeps manual IDs only when they are allowed', async () => {
+      expect(await employeeIdService.assign({ employeeId: 'A-1' }, { scheme: scheme('EMP-{SEQ}', { allowManual: true }) })).toBe('A-1');
+      await expect(employeeIdService.assign({ employeeId: 'A-1' }, { scheme: scheme('EMP-{SEQ}') })).rejects.toMatchObject({
+        code: 'MANUAL_EMPLOYEE_ID_DISABLED',
+      });
+      await expect(employeeIdService.assign({}, { scheme: scheme(null, { allowManual: true }) })).rejects.toMatchObject({
+        code: 'EMPLOYEE_ID_REQUIRED',
+      });
+    });
+  });
+
+  describe('preview', () => {
+    it('shows the next ID without taking it', async () => {
+      settings['employees.idPattern'] = 'EMP-{SEQ:3}';
+      sequences.set('EMP-{SEQ}', 41);
+
+      expect(await employeeIdService.preview({})).toEqual({
+        generated: true,
+        allowManual: true,
+        pattern: 'EMP-{SEQ:3}',
+        employeeId: 'EMP-042',
+      });
+      expect(sequences.get('EMP-{SEQ}')).toBe(41);
+    });
+  });
+});
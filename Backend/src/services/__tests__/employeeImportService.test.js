@@ -0,0 +1,185 @@
+import { jest } from '@jest/globals';
+
+const created = new Map();
+const tx = {
+  employee: {
+    create: jest.fn(async ({ data }) => {
+      created.set(`emp-${data.employeeId}`, { id: `emp-${data.employeeId}`, ...data });
+      return created.get(`emp-${data.employeeId}`);
+    }),
+    update: jest.fn(async ({ where, data }) => Object.assign(created.get(where.id), data)),
+  },
+  employmentRecord: { create: jest.fn() },
+};
+
+const prisma = {
+  department: { findMany: jest.fn(async () => [{ id: 'dept-eng', name: 'Engineering' }, { id: 'dept-ops', name: 'Operations' }]) },
+  position: {
+    findMany: jest.fn(async () => [
+      { id: 'pos-eng-lead', title: 'Team Lead', departmentId: 'dept-eng' },
+      { id: 'pos-ops-lead', title: 'Team Lead', departmentId: 'dept-ops' },
+      { id: 'pos-dev', title: 'Developer', departmentId: 'dept-eng' },
+    ]),
+  },
+  employee: { findMany: jest.fn(async () => [{ id: 'emp-existing', employeeId: 'E900', email: 'boss@example.com' }]) },
+  $transaction: jest.fn(async (callback) => callback(tx)),
+};
+
+const validateEmployeeData = jest.fn(async () => []);
+const reportingChainService = { clearCache: jest.fn() };
+
+jest.unstable_mockModule('../../config/prisma.js', () => ({ default: prisma }));
+jest.unstable_mockModule('../../middleware/auditMiddleware.js', () => ({ createAuditLog: jest.fn() }));
+jest.unstable_mockModule('../employeeService.js', () => ({ validateEmployeeData }));
+jest.unstable_mockModule('../customFieldService.js', () => ({
+  customFieldService: { listForUser: jest.fn(async () => []), prepareValues: jest.fn(async () => ({})) },
+}));
+jest.unstable_mockModule('../employeeIdService.js', () => ({
+  employeeIdService: {
+    getScheme: jest.fn(async () => ({ pattern: null, allowManual: true })),
+    assign: jest.fn(async (data) => data.employeeId),
+  },
+}));
+jest.unstable_mockModule('../reportingChainService.js', () => ({ reportingChainService }));
+jest.unstable_mockModule('../employmentHistoryService.js', () => ({
+  employmentHistoryService: { hireRecordData: jest.fn((employee) => ({ employeeId: employee.id })) },
+}));
+
+const { employeeImportService } = await import('../employeeImportService.js');
+
+const req = { user: { id: 'user-admin', role: 'HR_MANAGER' } };
+
+const csv = (...lines) => ({ originalname: 'employees.csv', buffer: Buffer.from(lines.join('\n')) });
+
+const HEADER = 'Employee ID,First Name,Last Name,Email,Hire Date,Manager';
+
+const rowOf = (report, row) => report.rows.find((item) => item.row === row);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  created.clear();
+});
+
+describe('employeeImportService.importEmployees', () => {
+  it('maps header aliases to fields and lists the columns it ignores', async () => {
+    const file = csv(
+      'Staff ID,Given Name,Surname,E-mail Address,Start Date,Job Title,Department,Shoe Size',
+      '00123,Ada,Lovelace,ada@example.com,2024-03-01,Team Lead,Operations,38'
+    );
+
+    const report = await employeeImportService.importEmployees(file, { dryRun: true }, req);
+
+    expect(report.columns).toEqual(['employeeId', 'firstName', 'lastName', 'email', 'hireDate', 'position', 'department']);
+    expect(report.ignoredColumns).toEqual(['Shoe Size']);
+    expect(rowOf(report, 2).values).toMatchObject({ employeeId: '00123', firstName: 'Ada' });
+    expect(validateEmployeeData).toHaveBeenCalledWith(
+      expect.objectContaining({ employeeId: '00123', departmentId: 'dept-ops', positionId: 'pos-ops-lead' }),
+      false,
+      { dryRun: true }
+    );
+  });
+
+  it('rejects a file without the required columns', async () => {
+    const file = csv('First Name,Last Name', 'Ada,Lovelace');
+
+    await expect(employeeImportService.importEmployees(file, { dryRun: true }, req)).rejects.toMatchObject({
+      code: 'MISSING_IMPORT_COLUMNS',
+      details: { missingColumns: ['employeeId', 'email', 'hireDate'] },
+    });
+  });
+
+  it('reports every row in a dry run without creating anything', async () => {
+    const file = csv(
+      HEADER,
+      'E001,Ada,Lovelace,ada@example.com,2024-03-01,',
+      'E002,Grace,,not-an-email,yesterday,'
+    );
+
+    const report = await employeeImportService.importEmployees(file, { dryRun: true }, req);
+
+    expect(report).toMatchObject({ dryRun: true, total: 2, valid: 1, invalid: 1 });
+    expect(rowOf(report, 2).errors).toEqual([]);
+    expect(rowOf(report, 3).errors).toEqual(expect.arrayContaining([
+      { field: 'lastName', message: 'Last name is required' },
+      { field: 'email', message: 'Invalid email format' },
+      { field: 'hireDate', message: 'Invalid hire date' },
+    ]));
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('flags employee IDs and emails repeated within the file', async () => {
+    const file = csv(
+      HEADER,
+      'E001,Ada,Lovelace,ada@example.com,2024-03-01,',
+      'E001,Grace,Hopper,ADA@example.com,2024-03-01,'
+    );
+
+    const report = await employeeImportService.importEmployees(file, { dryRun: true }, req);
+
+    expect(rowOf(report, 3).errors).toEqual([
+      { field: 'employeeId', message: 'Duplicates row 2' },
+      { field: 'email', message: 'Duplicates row 2' },
+    ]);
+  });
+
+  it('resolves managers among existing employees and rows of the same file', async () => {
+    const file = csv(
+      HEADER,
+      'E001,Ada,Lovelace,ada@example.com,2024-03-01,boss@example.com',
+      'E002,Grace,Hopper,grace@example.com,2024-03-01,E001',
+      'E003,Alan,Turing,alan@example.com,2024-03-01,nobody@example.com'
+    );
+
+    const report = await employeeImportService.importEmployees(file, { dryRun: true }, req);
+
+    expect(rowOf(report, 2).errors).toEqual([]);
+    expect(rowOf(report, 3).errors).toEqual([]);
+    expect(rowOf(report, 4).errors).toEqual([{ field: 'manager', message: 'Manager "nobody@example.com" not found' }]);
+    expect(validateEmployeeData).toHaveBeenCalledWith(expect.objectContaining({ employeeId: 'E001', managerId: 'emp-existing' }), false, { dryRun: true });
+  });
+
+  it('detects reporting lines that loop within the file', async () => {
+    const file = csv(
+      HEADER,
+      'E001,Ada,Lovelace,ada@example.com,2024-03-01,E002',
+      'E002,Grace,Hopper,grace@example.com,2024-03-01,E001',
+      'E003,Alan,Turing,alan@example.com,2024-03-01,E003'
+    );
+
+    const report = await employeeImportService.importEmployees(file, { dryRun: true }, req);
+
+    const loop = { field: 'manager', message: 'Reporting line loops back to this employee' };
+    expect(rowOf(report, 2).errors).toEqual([loop]);
+    expect(rowOf(report, 3).errors).toEqual([loop]);
+    expect(rowOf(report, 4).errors).toEqual([{ field: 'manager', message: 'An employee cannot manage themselves' }]);
+  });
+
+  it('creates the employees and links managers from the same file', async () => {
+    const file = csv(
+      HEADER,
+      'E002,Grace,Hopper,grace@example.com,2024-03-01,E001',
+      'E001,Ada,Lovelace,ada@example.com,2024-03-01,'
+    );
+
+    const result = await employeeImportService.importEmployees(file, { dryRun: false }, req);
+
+    expect(result.created.map((employee) => employee.employeeId)).toEqual(['E002', 'E001']);
+    expect(tx.employee.update).toHaveBeenCalledWith({ where: { id: 'emp-E002' }, data: { managerId: 'emp-E001' } });
+    expect(tx.employmentRecord.create).toHaveBeenCalledTimes(2);
+    expect(reportingChainService.clearCache).toHaveBeenCalled();
+  });
+
+  it('creates nothing while any row has errors', async () => {
+    const file = csv(
+      HEADER,
+      'E001,Ada,Lovelace,ada@example.com,2024-03-01,',
+      'E002,Grace,Hopper,ada@example.com,2024-03-01,'
+    );
+
+    await expect(employeeImportService.importEmployees(file, { dryRun: false }, req)).rejects.toMatchObject({
+      code: 'IMPORT_HAS_ERRORS',
+      details: { total: 2, invalid: 1 },
+    });
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+});
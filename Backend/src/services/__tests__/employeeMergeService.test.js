@@ -0,0 +1,264 @@
+import { jest } from '@jest/globals';
+
+const MODELS = [
+  'employee', 'user', 'attendance', 'leaveRequest', 'leaveBalance', 'payrollRecord', 'performanceReview', 'document',
+  'trainingRecord', 'disciplinaryAction', 'onboardingTask', 'offboardingTask', 'employmentRecord', 'probationReview',
+  'termination', 'approvalDelegation', 'profileChangeRequest', 'invitation', 'department',
+];
+
+let tables = {};
+
+const sameValue = (a, b) => (a instanceof Date || b instanceof Date ? a?.valueOf() === b?.valueOf() : a === b);
+
+const matches = (row, where = {}) =>
+  Object.entries(where).every(([field, condition]) => {
+    if (field === 'OR') return condition.some((alternative) => matches(row, alternative));
+    if (condition && typeof condition === 'object' && 'in' in condition) return condition.in.some((value) => sameValue(row[field], value));
+    return sameValue(row[field], condition);
+  });
+
+const applyData = (row, data) => {
+  for (const [field, value] of Object.entries(data)) {
+    if (value && typeof value === 'object' && 'increment' in value) row[field] += value.increment;
+    else if (value && typeof value === 'object' && 'decrement' in value) row[field] -= value.decrement;
+    else row[field] = value;
+  }
+  return row;
+};
+
+const pick = (row, select) => (select ? Object.fromEntries(Object.keys(select).map((field) => [field, row[field]])) : { ...row });
+
+// Employees come with the relations of detailInclude the merge reads
+const withRelations = (row) => ({
+  ...row,
+  department: null,
+  position: null,
+  manager: null,
+  user: row.userId ? pick(tables.user.find((user) => user.id === row.userId), { id: true, email: true, isActive: true }) : null,
+});
+
+// In-memory tables behind the Prisma calls of the merge service
+const model = (name) => ({
+  findMany: jest.fn(async ({ where, select } = {}) => tables[name].filter((row) => matches(row, where)).map((row) => pick(row, select))),
+  findFirst: jest.fn(async ({ where, select }) => {
+    const row = tables[name].find((candidate) => matches(candidate, where));
+    return row ? pick(row, select) : null;
+  }),
+  findUnique: jest.fn(async ({ where }) => {
+    const row = tables[name].find((candidate) => matches(candidate, where));
+    return row ? withRelations(row) : null;
+  }),
+  count: jest.fn(async ({ where }) => tables[name].filter((row) => matches(row, where)).length),
+  update: jest.fn(async ({ where, data }) => {
+    const row = applyData(tables[name].find((candidate) => matches(candidate, where)), data);
+    return name === 'employee' ? withRelations(row) : row;
+  }),
+  updateMany: jest.fn(async ({ where, data }) => {
+    const rows = tables[name].filter((row) => matches(row, where));
+    rows.forEach((row) => applyData(row, data));
+    return { count: rows.length };
+  }),
+  delete: jest.fn(async ({ where }) => {
+    const row = tables[name].find((candidate) => matches(candidate, where));
+    tables[name] = tables[name].filter((candidate) => candidate !== row);
+    return row;
+  }),
+  deleteMany: jest.fn(async ({ where }) => {
+    const before = tables[name].length;
+    tables[name] = tables[name].filter((row) => !matches(row, where));
+    return { count: before - tables[name].length };
+  }),
+});
+
+const prisma = Object.fromEntries(MODELS.map((name) => [name, model(name)]));
+prisma.$transaction = jest.fn(async (callback) => callback(prisma));
+
+const revokeAllForUser = jest.fn();
+const clearCache = jest.fn();
+
+jest.unstable_mockModule('../../config/prisma.js', () => ({ default: prisma }));
+jest.unstable_mockModule('../../middleware/auditMiddleware.js', () => ({ createAuditLog: jest.fn() }));
+jest.unstable_mockModule('../refreshTokenService.js', () => ({ refreshTokenService: { revokeAllForUser } }));
+jest.unstable_mockModule('../reportingChainService.js', () => ({ reportingChainService: { clearCache } }));
+
+const { employeeMergeService } = await import('../employeeMergeService.js');
+
+const day = (value) => new Date(`${value}T00:00:00.000Z`);
+
+const employee = (id, extra = {}) => ({
+  id,
+  employeeId: `EMP-${id}`,
+  firstName: 'Ada',
+  middleName: null,
+  lastName: 'Lovelace',
+  email: `${id}@example.com`,
+  phone: null,
+  dateOfBirth: null,
+  employmentStatus: 'ACTIVE',
+  terminationDate: null,
+  terminationReason: null,
+  hireDate: day('2024-01-01'),
+  managerId: null,
+  userId: null,
+  taxIdHash: null,
+  bankAccountNumberHash: null,
+  skills: [],
+  qualifications: [],
+  customFields: null,
+  ...extra,
+});
+
+const req = { user: { id: 'u-hr' } };
+
+describe('employeeMergeService', () => {
+  beforeEach(() => {
+    tables = Object.fromEntries(MODELS.map((name) => [name, []]));
+    jest.clearAllMocks();
+  });
+
+  describe('findDuplicates', () => {
+    it('scores pairs sharing details and suggests the current record as primary', async () => {
+      tables.employee = [
+        employee('old', { taxIdHash: 'h1', dateOfBirth: day('1990-05-01'), employmentStatus: 'TERMINATED', hireDate: day('2025-01-01') }),
+        employee('new', { taxIdHash: 'h1', dateOfBirth: day('1990-05-01'), firstName: 'Ádá', email: 'ada.l@example.com' }),
+        employee('namesake', { email: 'ada@example.com' }),
+        employee('other', { firstName: 'Grace', lastName: 'Hopper', phone: '+1 555 0100 200' }),
+      ];
+
+      const { pairs, total } = await employeeMergeService.findDuplicates();
+
+      expect(total).toBe(1);
+      expect(pairs[0]).toMatchObject({
+        score: 85,
+        suggestedPrimaryId: 'new',
+        reasons: [
+          { signal: 'taxId', label: 'Same tax ID' },
+          { signal: 'dateOfBirth', label: 'Same date of birth' },
+          { signal: 'name', label: 'Same name' },
+        ],
+      });
+      expect(pairs[0].employees[0]).not.toHaveProperty('taxIdHash');
+      expect(pairs[0].employees[0]).not.toHaveProperty('dateOfBirth');
+
+      const all = await employeeMergeService.findDuplicates({ minScore: 0 });
+      expect(all.pairs.map((pair) => pair.score)).toEqual([85, 35, 25]);
+    });
+  });
+
+  describe('merge', () => {
+    beforeEach(() => {
+      tables.user = [
+        { id: 'u-primary', email: 'primary@example.com', isActive: true },
+        { id: 'u-duplicate', email: 'duplicate@example.com', isActive: true },
+      ];
+      tables.employee = [
+        employee('p', { userId: 'u-primary', phone: null, managerId: 'd', skills: ['sql'], customFields: { shirt: 'M' } }),
+        employee('d', {
+          userId: 'u-duplicate',
+          phone: '555-0100',
+          employmentStatus: 'TERMINATED',
+          terminationDate: day('2025-06-30'),
+          terminationReason: 'Re-hired',
+          skills: ['sql', 'go'],
+          customFields: { shirt: 'L', badge: 'B1' },
+        }),
+        employee('report', { managerId: 'd' }),
+      ];
+      tables.attendance = [
+        { id: 'a-p', employeeId: 'p', date: day('2026-03-02') },
+        { id: 'a-d-same', employeeId: 'd', date: day('2026-03-02') },
+        { id: 'a-d-other', employeeId: 'd', date: day('2026-03-03') },
+      ];
+      tables.leaveBalance = [
+        { id: 'lb-p', employeeId: 'p', policyId: 'annual', year: 2026, used: 2, remaining: 18 },
+        { id: 'lb-d', employeeId: 'd', policyId: 'annual', year: 2026, used: 3, remaining: 17 },
+        { id: 'lb-d-sick', employeeId: 'd', policyId: 'sick', year: 2026, used: 1, remaining: 9 },
+      ];
+      tables.trainingRecord = [
+        { id: 't-p', employeeId: 'p', programId: 'safety' },
+        { id: 't-d', employeeId: 'd', programId: 'safety' },
+      ];
+      tables.approvalDelegation = [{ id: 'del', delegatorId: 'p', delegateId: 'd' }];
+    });
+
+    it('previews the choices and the rows that would be dropped without changing anything', async () => {
+      const preview = await employeeMergeService.preview('p', 'd');
+
+      expect(preview.fields.find((entry) => entry.field === 'phone')).toMatchObject({ differs: true, default: 'duplicate' });
+      expect(preview.fields.find((entry) => entry.field === 'lastName')).toMatchObject({ differs: false, default: 'primary' });
+      expect(preview.moved).toMatchObject({ attendance: 2, leaveBalances: 2, trainingRecords: 1, subordinates: 2 });
+      expect(preview.dropped).toEqual({ attendance: 1, trainingRecords: 1, probationReviews: 0 });
+      expect(preview.combinedLeaveBalances).toBe(1);
+      expect(preview.account).toEqual({
+        kept: { id: 'u-primary', email: 'primary@example.com', isActive: true },
+        deactivated: { id: 'u-duplicate', email: 'duplicate@example.com', isActive: true },
+      });
+      expect(tables.attendance).toHaveLength(3);
+    });
+
+    it('drops colliding rows, moves the rest and combines leave balances', async () => {
+      const { moved, dropped } = await employeeMergeService.merge('p', 'd', {}, req);
+
+      expect(dropped).toEqual({ attendance: 1, trainingRecords: 1, probationReviews: 0, leaveBalances: 1 });
+      expect(moved).toMatchObject({ attendance: 1, leaveBalances: 1, trainingRecords: 0, subordinates: 2 });
+      expect(tables.attendance.map((row) => [row.id, row.employeeId])).toEqual([['a-p', 'p'], ['a-d-other', 'p']]);
+      expect(tables.trainingRecord.map((row) => row.id)).toEqual(['t-p']);
+      expect(tables.leaveBalance).toEqual([
+        { id: 'lb-p', employeeId: 'p', policyId: 'annual', year: 2026, used: 5, remaining: 15 },
+        { id: 'lb-d-sick', employeeId: 'p', policyId: 'sick', year: 2026, used: 1, remaining: 9 },
+      ]);
+      expect(tables.approvalDelegation).toEqual([]);
+      expect(tables.employee.map((row) => row.id)).toEqual(['p', 'report']);
+      expect(tables.employee[1].managerId).toBe('p');
+      expect(clearCache).toHaveBeenCalled();
+    });
+
+    it('takes the chosen values and combines lists and custom fields', async () => {
+      const { employee: merged } = await employeeMergeService.merge('p', 'd', { employmentStatus: 'duplicate', phone: 'primary' }, req);
+
+      expect(merged).toMatchObject({
+        phone: null,
+        employmentStatus: 'TERMINATED',
+        terminationDate: day('2025-06-30'),
+        terminationReason: 'Re-hired',
+        managerId: null,
+        skills: ['sql', 'go'],
+        customFields: { shirt: 'M', badge: 'B1' },
+        userId: 'u-primary',
+        updatedById: 'u-hr',
+      });
+    });
+
+    it('deactivates the duplicate account and ends its sessions', async () => {
+      await employeeMergeService.merge('p', 'd', {}, req);
+
+      expect(tables.user.find((user) => user.id === 'u-duplicate').isActive).toBe(false);
+      expect(revokeAllForUser).toHaveBeenCalledWith('u-duplicate');
+    });
+
+    it('hands the duplicate account over when the primary has none', async () => {
+      tables.employee[0].userId = null;
+
+      const { employee: merged } = await employeeMergeService.merge('p', 'd', {}, req);
+
+      expect(merged.userId).toBe('u-duplicate');
+      expect(tables.user.every((user) => user.isActive)).toBe(true);
+      expect(revokeAllForUser).not.toHaveBeenCalled();
+    });
+
+    it('refuses while a termination is scheduled', async () => {
+      tables.termination = [{ id: 'term', employeeId: 'd', status: 'SCHEDULED' }];
+
+      await expect(employeeMergeService.merge('p', 'd', {}, req)).rejects.toMatchObject({
+        code: 'TERMINATION_SCHEDULED',
+        details: { employeeId: 'd' },
+      });
+      expect(tables.employee).toHaveLength(3);
+    });
+
+    it('rejects merging a record into itself or a missing one', async () => {
+      await expect(employeeMergeService.merge('p', 'p', {}, req)).rejects.toMatchObject({ code: 'SAME_EMPLOYEE' });
+      await expect(employeeMergeService.preview('p', 'gone')).rejects.toMatchObject({ code: 'NOT_FOUND', details: { id: 'gone' } });
+    });
+  });
+});
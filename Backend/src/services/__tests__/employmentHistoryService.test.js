@@ -0,0 +1,202 @@
+import { jest } from '@jest/globals';
+
+const MODELS = ['employee', 'employmentRecord', 'department', 'position'];
+
+let tables = {};
+let sequence = 0;
+
+const compare = (value, condition) => {
+  if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+    return value instanceof Date || condition instanceof Date ? value?.valueOf() === condition?.valueOf() : value === condition;
+  }
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (operator === 'in') return operand.includes(value);
+    if (operator === 'not') return !compare(value, operand);
+    if (operator === 'gt') return value > operand;
+    if (operator === 'gte') return value >= operand;
+    if (operator === 'lt') return value < operand;
+    if (operator === 'lte') return value <= operand;
+    throw new Error(`Unsupported operator ${operator}`);
+  });
+};
+
+const matches = (row, where = {}) => Object.entries(where).every(([field, condition]) =>
+  field === 'OR' ? condition.some((branch) => matches(row, branch)) : compare(row[field], condition));
+
+const sortBy = (rows, orderBy = []) => [...rows].sort((a, b) => {
+  for (const [field, direction] of orderBy.flatMap(Object.entries)) {
+    if (a[field] < b[field]) return direction === 'asc' ? -1 : 1;
+    if (a[field] > b[field]) return direction === 'asc' ? 1 : -1;
+  }
+  return 0;
+});
+
+const find = (name, { where, orderBy } = {}) => sortBy(tables[name].filter((row) => matches(row, where)), orderBy);
+
+const model = (name) => ({
+  findUnique: jest.fn(async (args) => ({ ...find(name, args)[0] })),
+  findFirst: jest.fn(async (args) => {
+    const [row] = find(name, args);
+    return row ? { ...row } : null;
+  }),
+  findMany: jest.fn(async (args) => find(name, args).map((row) => ({ ...row }))),
+  count: jest.fn(async (args) => find(name, args).length),
+  create: jest.fn(async ({ data }) => {
+    sequence += 1;
+    const row = { id: `${name}-${sequence}`, appliedAt: null, createdAt: new Date(Date.UTC(2026, 0, 1, 0, 0, sequence)), ...data };
+    tables[name].push(row);
+    return { ...row };
+  }),
+  update: jest.fn(async ({ where, data }) => ({ ...Object.assign(find(name, { where })[0], data) })),
+  updateMany: jest.fn(async ({ where, data }) => {
+    const rows = find(name, { where });
+    rows.forEach((row) => Object.assign(row, data));
+    return { count: rows.length };
+  }),
+  delete: jest.fn(async ({ where }) => {
+    const [row] = find(name, { where });
+    tables[name] = tables[name].filter((other) => other !== row);
+    return row;
+  }),
+});
+
+const prisma = Object.fromEntries(MODELS.map((name) => [name, model(name)]));
+prisma.$transaction = jest.fn(async (work) => (typeof work === 'function' ? work(prisma) : Promise.all(work)));
+
+const reportingChainService = { getReportIds: jest.fn(async () => []), clearCache: jest.fn() };
+
+jest.unstable_mockModule('../../config/prisma.js', () => ({ default: prisma }));
+jest.unstable_mockModule('../../middleware/auditMiddleware.js', () => ({ createAuditLog: jest.fn() }));
+jest.unstable_mockModule('../permissionService.js', () => ({ permissionService: { assert: jest.fn() } }));
+jest.unstable_mockModule('../fieldPolicyService.js', () => ({ fieldPolicyService: { canReveal: jest.fn(() => true), MASK: '***' } }));
+jest.unstable_mockModule('../reportingChainService.js', () => ({ reportingChainService }));
+
+const { employmentHistoryService } = await import('../employmentHistoryService.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date();
+const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+const daysFromToday = (days) => new Date(today.getTime() + days * DAY_MS);
+
+const req = { user: { id: 'u-hr' } };
+
+const job = { departmentId: 'dept-eng', positionId: 'pos-dev', managerId: 'emp-lead', employmentType: 'FULL_TIME', baseSalary: 50000, currency: 'EUR' };
+
+const employee = () => tables.employee.find((row) => row.id === 'emp-ada');
+const records = () => sortBy(tables.employmentRecord, [{ effectiveDate: 'asc' }, { createdAt: 'asc' }]);
+
+describe('employmentHistoryService', () => {
+  beforeEach(() => {
+    sequence = 0;
+    tables = Object.fromEntries(MODELS.map((name) => [name, []]));
+    tables.department = [{ id: 'dept-eng', isActive: true }, { id: 'dept-ops', isActive: true }];
+    tables.position = [{ id: 'pos-dev', isActive: true }, { id: 'pos-lead', isActive: true }];
+    tables.employee = [
+      { id: 'emp-lead', employmentStatus: 'ACTIVE' },
+      { id: 'emp-boss', employmentStatus: 'ACTIVE' },
+      { id: 'emp-ada', employmentStatus: 'ACTIVE', ...job },
+    ];
+    tables.employmentRecord = [
+      { id: 'rec-hire', employeeId: 'emp-ada', effectiveDate: daysFromToday(-400), reason: 'HIRE', ...job, appliedAt: daysFromToday(-400), createdAt: daysFromToday(-400) },
+    ];
+    jest.clearAllMocks();
+  });
+
+  describe('recordChange', () => {
+    it('applies a change dated today at once, carrying over the fields not given', async () => {
+      const result = await employmentHistoryService.recordChange('emp-ada', { effectiveDate: today, reason: 'PROMOTION', positionId: 'pos-lead', baseSalary: 60000 }, req);
+
+      expect(result).toMatchObject({ status: 'APPLIED', positionId: 'pos-lead', departmentId: 'dept-eng', managerId: 'emp-lead', baseSalary: '***' });
+      expect(employee()).toMatchObject({ positionId: 'pos-lead', baseSalary: 60000, departmentId: 'dept-eng', updatedById: 'u-hr' });
+    });
+
+    it('schedules a future change and builds on the latest scheduled one', async () => {
+      await employmentHistoryService.recordChange('emp-ada', { effectiveDate: daysFromToday(10), reason: 'TRANSFER', departmentId: 'dept-ops' }, req);
+      const result = await employmentHistoryService.recordChange('emp-ada', { effectiveDate: daysFromToday(20), reason: 'PROMOTION', positionId: 'pos-lead' }, req);
+
+      expect(result).toMatchObject({ status: 'SCHEDULED', departmentId: 'dept-ops', positionId: 'pos-lead' });
+      expect(employee()).toMatchObject(job);
+    });
+
+    it('rejects a change dated before a later change', async () => {
+      await employmentHistoryService.recordChange('emp-ada', { effectiveDate: daysFromToday(10), reason: 'TRANSFER', departmentId: 'dept-ops' }, req);
+
+      await expect(
+        employmentHistoryService.recordChange('emp-ada', { effectiveDate: daysFromToday(5), reason: 'PROMOTION', positionId: 'pos-lead' }, req)
+      ).rejects.toMatchObject({ code: 'CHANGE_OUT_OF_ORDER', details: { latestEffectiveDate: daysFromToday(10) } });
+    });
+
+    it('rejects a change that alters nothing', async () => {
+      await expect(
+        employmentHistoryService.recordChange('emp-ada', { effectiveDate: today, reason: 'ADJUSTMENT', departmentId: 'dept-eng' }, req)
+      ).rejects.toMatchObject({ code: 'NO_CHANGES' });
+    });
+
+    it('rejects a manager from the employee\'s own reporting chain', async () => {
+      reportingChainService.getReportIds.mockResolvedValueOnce(['emp-boss']);
+
+      await expect(
+        employmentHistoryService.recordChange('emp-ada', { effectiveDate: today, reason: 'TRANSFER', managerId: 'emp-boss' }, req)
+      ).rejects.toMatchObject({ code: 'INVALID_MANAGER' });
+    });
+  });
+
+  describe('cancelChange', () => {
+    beforeEach(async () => {
+      await employmentHistoryService.recordChange('emp-ada', { effectiveDate: daysFromToday(10), reason: 'TRANSFER', departmentId: 'dept-ops' }, req);
+      await employmentHistoryService.recordChange('emp-ada', { effectiveDate: daysFromToday(10), reason: 'PROMOTION', positionId: 'pos-lead' }, req);
+    });
+
+    it('cancels only the latest scheduled change', async () => {
+      const [, first, second] = records();
+
+      await expect(employmentHistoryService.cancelChange('emp-ada', first.id, req)).rejects.toMatchObject({ code: 'CHANGE_OUT_OF_ORDER' });
+
+      await employmentHistoryService.cancelChange('emp-ada', second.id, req);
+      await employmentHistoryService.cancelChange('emp-ada', first.id, req);
+      expect(records().map((record) => record.id)).toEqual(['rec-hire']);
+    });
+
+    it('keeps applied records', async () => {
+      await expect(employmentHistoryService.cancelChange('emp-ada', 'rec-hire', req)).rejects.toMatchObject({ code: 'CHANGE_APPLIED' });
+    });
+  });
+
+  describe('recordEdit', () => {
+    it('records the edit and carries it into scheduled changes that kept the old value', async () => {
+      await employmentHistoryService.recordChange('emp-ada', { effectiveDate: daysFromToday(10), reason: 'PROMOTION', positionId: 'pos-lead' }, req);
+      await employmentHistoryService.recordChange('emp-ada', { effectiveDate: daysFromToday(20), reason: 'TRANSFER', managerId: 'emp-boss' }, req);
+
+      await employmentHistoryService.recordEdit({ id: 'emp-ada', ...job }, { id: 'emp-ada', ...job, managerId: 'emp-lead-2', baseSalary: 55000 }, 'u-hr');
+
+      const [, edit, promotion, transfer] = records();
+      expect(edit).toMatchObject({ reason: 'ADJUSTMENT', effectiveDate: today, managerId: 'emp-lead-2', baseSalary: 55000, appliedAt: expect.any(Date) });
+      expect(promotion).toMatchObject({ positionId: 'pos-lead', managerId: 'emp-lead-2', baseSalary: 55000 });
+      expect(transfer).toMatchObject({ positionId: 'pos-lead', managerId: 'emp-boss', baseSalary: 55000 });
+    });
+
+    it('records nothing when no job field changed', async () => {
+      await employmentHistoryService.recordEdit({ id: 'emp-ada', ...job }, { id: 'emp-ada', ...job, phone: '123' }, 'u-hr');
+
+      expect(records()).toHaveLength(1);
+    });
+  });
+
+  describe('applyDueChanges', () => {
+    it('applies due changes oldest first, once', async () => {
+      tables.employmentRecord.push(
+        { id: 'rec-manager', employeeId: 'emp-ada', effectiveDate: daysFromToday(-1), ...job, positionId: 'pos-lead', managerId: 'emp-boss', appliedAt: null, createdById: 'u-hr', createdAt: daysFromToday(-30) },
+        { id: 'rec-salary', employeeId: 'emp-ada', effectiveDate: today, ...job, positionId: 'pos-lead', managerId: 'emp-boss', baseSalary: 70000, appliedAt: null, createdById: 'u-hr', createdAt: daysFromToday(-20) },
+        { id: 'rec-future', employeeId: 'emp-ada', effectiveDate: daysFromToday(1), ...job, departmentId: 'dept-ops', appliedAt: null, createdById: 'u-hr', createdAt: daysFromToday(-10) },
+      );
+
+      await expect(employmentHistoryService.applyDueChanges()).resolves.toBe(2);
+
+      expect(employee()).toMatchObject({ positionId: 'pos-lead', managerId: 'emp-boss', baseSalary: 70000, departmentId: 'dept-eng' });
+      expect(reportingChainService.clearCache).toHaveBeenCalledTimes(1);
+      expect(tables.employmentRecord.find((record) => record.id === 'rec-future').appliedAt).toBeNull();
+
+      await expect(employmentHistoryService.applyDueChanges()).resolves.toBe(0);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import { randomBytes } from 'crypto';
+
+process.env.FIELD_ENCRYPTION_KEYS = `1:${randomBytes(32).toString('base64')}`;
+process.env.FIELD_BLIND_INDEX_KEY = randomBytes(32).toString('base64');
+
+const { fieldEncryptionService } = await import('../fieldEncryptionService.js');
+const { blindIndex, decrypt, encrypt, isEncrypted } = await import('../../utils/encryption.js');
+
+describe('fieldEncryptionService', () => {
+  it('encrypts employee writes and keeps the blind indexes in sync', () => {
+    const data = fieldEncryptionService.encryptData({ firstName: 'Ada', taxId: '123-456', bankName: 'Acme Bank', bankAccountNumber: { set: null } });
+
+    expect(data.firstName).toBe('Ada');
+    expect(isEncrypted(data.taxId)).toBe(true);
+    expect(decrypt(data.taxId)).toBe('123-456');
+    expect(data.taxIdHash).toBe(blindIndex('123456'));
+    expect(isEncrypted(data.bankName)).toBe(true);
+    expect(data).not.toHaveProperty('bankNameHash');
+    expect(data.bankAccountNumber).toBeNull();
+    expect(data.bankAccountNumberHash).toBeNull();
+  });
+
+  it('leaves already encrypted values alone', () => {
+    const sealed = encrypt('123456');
+    expect(fieldEncryptionService.encryptData({ taxId: sealed }).taxId).toBe(sealed);
+  });
+
+  it('turns exact-match filters into blind index lookups', () => {
+    const where = fieldEncryptionService.rewriteWhere({
+      isActive: true,
+      OR: [{ taxId: '123 456' }, { bankAccountNumber: { in: ['A1', 'B2'] } }],
+      NOT: { taxId: { not: null } },
+    });
+
+    expect(where).toEqual({
+      isActive: true,
+      OR: [{ taxIdHash: blindIndex('123456') }, { bankAccountNumberHash: { in: [blindIndex('A1'), blindIndex('B2')] } }],
+      NOT: { taxIdHash: { not: null } },
+    });
+  });
+
+  it('rewrites relation filters of other models', () => {
+    const where = fieldEncryptionService.rewriteWhere({
+      status: 'PAID',
+      employee: { taxId: '123456', department: { name: { contains: 'Eng' } } },
+      approvalDelegations: { some: { delegate: { is: { bankAccountNumber: 'A1' } } } },
+      createdAt: { gte: new Date('2026-01-01') },
+    });
+
+    expect(where).toEqual({
+      status: 'PAID',
+      employee: { taxIdHash: blindIndex('123456'), department: { name: { contains: 'Eng' } } },
+      approvalDelegations: { some: { delegate: { is: { bankAccountNumberHash: blindIndex('A1') } } } },
+      createdAt: { gte: new Date('2026-01-01') },
+    });
+  });
+
+  it('rejects filters a blind index cannot answer', () => {
+    for (const where of [{ taxId: { contains: '123' } }, { employee: { taxId: { startsWith: '12' } } }, { employee: { bankName: 'Acme' } }]) {
+      expect(() => fieldEncryptionService.rewriteWhere(where)).toThrow(expect.objectContaining({ code: 'ENCRYPTED_FIELD_FILTER' }));
+    }
+  });
+
+  it('decrypts results of any model, including nested relations', () => {
+    const result = fieldEncryptionService.decryptResult([
+      { id: 'pay-1', employee: { taxId: encrypt('123456'), manager: { bankAccountNumber: encrypt('DE89') } } },
+    ]);
+
+    expect(result[0].employee.taxId).toBe('123456');
+    expect(result[0].employee.manager.bankAccountNumber).toBe('DE89');
+  });
+
+  it('prepares where and data of employee operations only for writes', () => {
+    const read = fieldEncryptionService.prepareEmployeeArgs('findMany', { where: { taxId: '1' }, data: { taxId: '1' } });
+    expect(read.where).toEqual({ taxIdHash: blindIndex('1') });
+    expect(read.data).toEqual({ taxId: '1' });
+
+    const upsert = fieldEncryptionService.prepareEmployeeArgs('upsert', { create: { taxId: '1' }, update: { taxId: '2' } });
+    expect(decrypt(upsert.create.taxId)).toBe('1');
+    expect(upsert.update.taxIdHash).toBe(blindIndex('2'));
+  });
+});
@@ -0,0 +1,75 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../config/prisma.js', () => ({ default: {} }));
+
+const { fieldPolicyService } = await import('../fieldPolicyService.js');
+
+const employee = (overrides = {}) => ({
+  id: 'emp-2',
+  departmentId: 'dep-1',
+  hireDate: '2024-01-01',
+  baseSalary: 52000,
+  bankAccountNumber: 'DE89370400440532013000',
+  bankAccountNumberHash: 'hash',
+  taxId: '12345678901',
+  taxIdHash: 'hash',
+  dateOfBirth: '1990-05-17',
+  ...overrides,
+});
+const user = (scope, extra = {}) => ({
+  id: 'user-1',
+  employee: { id: 'emp-1', departmentId: 'dep-1' },
+  permissions: scope ? { 'employees:sensitive': scope } : {},
+  ...extra,
+});
+
+describe('fieldPolicyService', () => {
+  it('masks sensitive fields for users who may reveal them', () => {
+    const masked = fieldPolicyService.maskEmployee(user('ALL'), employee());
+
+    expect(masked).toMatchObject({
+      baseSalary: '••••',
+      bankAccountNumber: '••••3000',
+      taxId: '••••8901',
+      dateOfBirth: '••••',
+      maskedFields: ['baseSalary', 'bankAccountNumber', 'taxId', 'dateOfBirth'],
+    });
+    expect(masked).not.toHaveProperty('bankAccountNumberHash');
+    expect(masked).not.toHaveProperty('taxIdHash');
+  });
+
+  it('removes sensitive fields for everyone else', () => {
+    const masked = fieldPolicyService.maskEmployee(user('OWN'), employee());
+
+    ['baseSalary', 'bankAccountNumber', 'taxId', 'dateOfBirth', 'maskedFields'].forEach((field) => {
+      expect(masked).not.toHaveProperty(field);
+    });
+    expect(masked.hireDate).toBe('2024-01-01');
+  });
+
+  it.each([
+    ['OWN', user('OWN'), employee({ id: 'emp-1' }), true],
+    ['DEPARTMENT', user('DEPARTMENT'), employee(), true],
+    ['DEPARTMENT', user('DEPARTMENT'), employee({ departmentId: 'dep-2' }), false],
+    ['TEAM', user('TEAM', { teamIds: ['emp-2'] }), employee(), true],
+    ['TEAM', user('TEAM'), employee(), false],
+  ])('resolves %s scope for loaded records', (scope, viewer, record, expected) => {
+    expect(fieldPolicyService.canReveal(viewer, record)).toBe(expected);
+  });
+
+  it('applies the policy to employees nested anywhere in a payload', () => {
+    const payload = {
+      data: {
+        employees: [employee({ manager: employee({ id: 'emp-3' }) })],
+        payroll: { baseSalary: 1000, employee: { id: 'emp-4', firstName: 'Ada' } },
+      },
+    };
+
+    const { data } = fieldPolicyService.apply(user(null), payload);
+
+    expect(data.employees[0]).not.toHaveProperty('taxId');
+    expect(data.employees[0].manager).not.toHaveProperty('taxId');
+    // Payroll records carry their own salary and are not employee records
+    expect(data.payroll.baseSalary).toBe(1000);
+  });
+});
@@ -0,0 +1,59 @@
+import { jest } from '@jest/globals';
+
+let leaveRequest;
+
+const prisma = {
+  leaveRequest: {
+    findUnique: jest.fn(async () => leaveRequest),
+    update: jest.fn(async ({ data }) => ({ ...leaveRequest, ...data })),
+  },
+  leaveBalance: { updateMany: jest.fn(async () => ({ count: 1 })) },
+};
+const approvalDelegationService = { findDelegation: jest.fn(async () => null), getDelegatedScopes: jest.fn(async () => []) };
+const reportingChainService = { getReportIds: jest.fn(async () => ['emp-ada']) };
+
+jest.unstable_mockModule('../../config/prisma.js', () => ({ default: prisma }));
+jest.unstable_mockModule('../../middleware/auditMiddleware.js', () => ({ createAuditLog: jest.fn() }));
+jest.unstable_mockModule('../approvalDelegationService.js', () => ({ approvalDelegationService }));
+jest.unstable_mockModule('../reportingChainService.js', () => ({ reportingChainService }));
+
+const { leaveRequestService } = await import('../leaveRequestService.js');
+
+const manager = { id: 'u-lead', role: 'MANAGER', employee: { id: 'emp-lead' }, permissions: { 'leave:approve': 'TEAM' } };
+const approve = (user) => leaveRequestService.updateLeaveRequest('leave-1', { status: 'APPROVED', approvedById: user.employee.id }, { user });
+
+describe('leaveRequestService.updateLeaveRequest', () => {
+  beforeEach(() => {
+    leaveRequest = { id: 'leave-1', employeeId: 'emp-ada', policyId: 'annual', days: 2, status: 'PENDING' };
+    jest.clearAllMocks();
+  });
+
+  it('lets approvers decide on requests in their scope', async () => {
+    await expect(approve(manager)).resolves.toMatchObject({ status: 'APPROVED', approvedById: 'emp-lead', onBehalfOfId: null });
+    expect(prisma.leaveBalance.updateMany).toHaveBeenCalledWith({
+      where: { employeeId: 'emp-ada', policyId: 'annual', year: new Date().getFullYear() },
+      data: { used: { increment: 2 }, remaining: { decrement: 2 } },
+    });
+  });
+
+  it('never lets approvers decide on their own leave', async () => {
+    leaveRequest.employeeId = 'emp-lead';
+
+    for (const status of ['APPROVED', 'REJECTED']) {
+      await expect(leaveRequestService.updateLeaveRequest('leave-1', { status }, { user: manager })).rejects.toMatchObject({
+        code: 'ACCESS_DENIED',
+        statusCode: 403,
+      });
+    }
+    await expect(approve({ ...manager, permissions: { 'leave:approve': 'ALL' } })).rejects.toMatchObject({ code: 'ACCESS_DENIED' });
+    expect(prisma.leaveRequest.update).not.toHaveBeenCalled();
+  });
+
+  it('still lets employees cancel their own requests', async () => {
+    leaveRequest.employeeId = 'emp-lead';
+
+    await expect(
+      leaveRequestService.updateLeaveRequest('leave-1', { status: 'CANCELLED', cancellationReason: 'Plans changed' }, { user: manager })
+    ).resolves.toMatchObject({ status: 'CANCELLED' });
+  });
+});
@@ -0,0 +1,80 @@
+import { jest } from '@jest/globals';
+
+// One user row; `{ increment }` updates behave like the database
+let row;
+const applyUpdate = (data) => {
+  for (const [key, value] of Object.entries(data)) {
+    row[key] = value && typeof value === 'object' && 'increment' in value ? row[key] + value.increment : value;
+  }
+  return { ...row };
+};
+
+const settings = {};
+const prisma = {
+  user: { update: jest.fn(async ({ data }) => applyUpdate(data)) },
+  loginAttempt: { create: jest.fn(async ({ data }) => data) },
+  setting: { findUnique: jest.fn(async ({ where }) => (where.key in settings ? { value: settings[where.key] } : null)) },
+};
+
+jest.unstable_mockModule('../../config/prisma.js', () => ({ default: prisma }));
+jest.unstable_mockModule('../../middleware/auditMiddleware.js', () => ({ createAuditLog: jest.fn() }));
+
+const { loginAttemptService } = await import('../loginAttemptService.js');
+
+const minutesFromNow = (date) => Math.round((date.getTime() - Date.now()) / 60000);
+
+const failTimes = async (count) => {
+  let result;
+  for (let i = 0; i < count; i += 1) {
+    result = await loginAttemptService.recordFailure({ user: { ...row }, email: row.email, reason: 'INVALID_PASSWORD' });
+  }
+  return result;
+};
+
+describe('loginAttemptService', () => {
+  beforeEach(() => {
+    row = { id: 'user-1', email: 'ada@example.com', isActive: true, failedLoginAttempts: 0, lockoutCount: 0, lockedUntil: null };
+    Object.keys(settings).forEach((key) => delete settings[key]);
+    prisma.loginAttempt.create.mockClear();
+  });
+
+  it('locks the account once the attempt limit is reached', async () => {
+    expect((await failTimes(4)).lockedUntil).toBeNull();
+
+    const { lockedUntil } = await failTimes(1);
+    expect(minutesFromNow(lockedUntil)).toBe(15);
+    expect(row).toMatchObject({ failedLoginAttempts: 0, lockoutCount: 1, lockedUntil });
+  });
+
+  it('doubles each lockout up to the configured maximum', async () => {
+    Object.assign(settings, { 'security.maxLoginAttempts': '2', 'security.maxLockoutDurationMinutes': '50' });
+
+    expect(minutesFromNow((await failTimes(2)).lockedUntil)).toBe(15);
+    expect(minutesFromNow((await failTimes(2)).lockedUntil)).toBe(30);
+    expect(minutesFromNow((await failTimes(2)).lockedUntil)).toBe(50);
+  });
+
+  it('never locks unknown or inactive accounts', async () => {
+    await expect(loginAttemptService.recordFailure({ email: 'nobody@example.com', reason: 'USER_NOT_FOUND' })).resolves.toEqual({
+      lockedUntil: null,
+    });
+    row.isActive = false;
+    expect((await failTimes(5)).lockedUntil).toBeNull();
+    expect(prisma.loginAttempt.create).toHaveBeenCalledTimes(6);
+  });
+
+  it('rejects logins while locked and resets the counters on success', async () => {
+    const { lockedUntil } = await failTimes(5);
+
+    await expect(loginAttemptService.assertNotLocked({ ...row }, { email: row.email })).rejects.toMatchObject({
+      statusCode: 423,
+      code: 'ACCOUNT_LOCKED',
+      details: { lockedUntil },
+    });
+
+    row.lockedUntil = new Date(Date.now() - 1000);
+    await expect(loginAttemptService.assertNotLocked({ ...row }, { email: row.email })).resolves.toBeUndefined();
+    await loginAttemptService.recordSuccess({ ...row });
+    expect(row).toMatchObject({ failedLoginAttempts: 0, lockoutCount: 0, lockedUntil: null });
+  });
+});
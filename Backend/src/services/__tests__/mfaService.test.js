@@ -0,0 +1,75 @@
+import { jest } from '@jest/globals';
+import bcrypt from 'bcryptjs';
+
+const prisma = { user: { updateMany: jest.fn(async () => ({ count: 1 })) } };
+
+jest.unstable_mockModule('../../config/prisma.js', () => ({ default: prisma }));
+jest.unstable_mockModule('../../middleware/auditMiddleware.js', () => ({ createAuditLog: jest.fn() }));
+
+const { mfaService } = await import('../mfaService.js');
+const { generateSecret, generateTotp, getTimeStep } = await import('../../utils/totp.js');
+
+describe('mfaService.verifySecondFactor', () => {
+  const secret = generateSecret();
+  const enrolled = (overrides = {}) => ({ id: 'user-1', mfaEnabled: true, mfaSecret: secret, mfaLastUsedStep: null, mfaRecoveryCodes: [], ...overrides });
+
+  beforeEach(() => {
+    prisma.user.updateMany.mockClear();
+  });
+
+  it('accepts a current code and records its time step', async () => {
+    await expect(mfaService.verifySecondFactor(enrolled(), { code: generateTotp(secret) })).resolves.toEqual({ method: 'totp' });
+    expect(prisma.user.updateMany).toHaveBeenCalledWith({
+      where: { id: 'user-1', OR: [{ mfaLastUsedStep: null }, { mfaLastUsedStep: { lt: expect.any(Number) } }] },
+      data: { mfaLastUsedStep: expect.any(Number) },
+    });
+  });
+
+  it('rejects a code whose time step was already used', async () => {
+    const user = enrolled({ mfaLastUsedStep: getTimeStep() });
+
+    await expect(mfaService.verifySecondFactor(user, { code: generateTotp(secret) })).rejects.toMatchObject({
+      code: 'INVALID_MFA_CODE',
+    });
+    expect(prisma.user.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('consumes a recovery code, ignoring case and separators', async () => {
+    const hashes = await Promise.all(['abcde12345', 'fghij67890'].map((code) => bcrypt.hash(code, 4)));
+    const user = enrolled({ mfaRecoveryCodes: hashes });
+
+    await expect(mfaService.verifySecondFactor(user, { recoveryCode: 'ABCDE-12345' })).resolves.toEqual({
+      method: 'recovery_code',
+      remainingRecoveryCodes: 1,
+    });
+    expect(prisma.user.updateMany).toHaveBeenCalledWith({
+      where: { id: 'user-1', mfaRecoveryCodes: { equals: hashes } },
+      data: { mfaRecoveryCodes: [hashes[1]] },
+    });
+  });
+
+  it('rejects a code whose time step a concurrent request claimed first', async () => {
+    prisma.user.updateMany.mockResolvedValueOnce({ count: 0 });
+
+    await expect(mfaService.verifySecondFactor(enrolled(), { code: generateTotp(secret) })).rejects.toMatchObject({
+      code: 'INVALID_MFA_CODE',
+    });
+  });
+
+  it('rejects a recovery code consumed by a concurrent request', async () => {
+    const user = enrolled({ mfaRecoveryCodes: [await bcrypt.hash('abcde12345', 4)] });
+    prisma.user.updateMany.mockResolvedValueOnce({ count: 0 });
+
+    await expect(mfaService.verifySecondFactor(user, { recoveryCode: 'abcde-12345' })).rejects.toMatchObject({
+      code: 'INVALID_MFA_CODE',
+    });
+  });
+
+  it('rejects an unknown recovery code', async () => {
+    const user = enrolled({ mfaRecoveryCodes: [await bcrypt.hash('abcde12345', 4)] });
+
+    await expect(mfaService.verifySecondFactor(user, { recoveryCode: 'zzzzz-zzzzz' })).rejects.toMatchObject({
+      code: 'INVALID_MFA_CODE',
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import { jest } from '@jest/globals';
+import bcrypt from 'bcryptjs';
+
+const settings = {};
+const prisma = {
+  setting: { findUnique: jest.fn(async ({ where }) => (where.key in settings ? { value: settings[where.key] } : null)) },
+  user: { findUnique: jest.fn(async () => null) },
+  passwordHistory: { findMany: jest.fn(async () => []) },
+};
+
+jest.unstable_mockModule('../../config/prisma.js', () => ({ default: prisma }));
+
+const { passwordPolicyService } = await import('../passwordPolicyService.js');
+
+const codes = async (password, options) => (await passwordPolicyService.validate(password, options)).map((violation) => violation.code);
+
+describe('passwordPolicyService', () => {
+  beforeEach(() => {
+    Object.keys(settings).forEach((key) => delete settings[key]);
+  });
+
+  it('accepts a password meeting the default policy', async () => {
+    await expect(codes('Harbour7Lantern')).resolves.toEqual([]);
+  });
+
+  it('reports every rule a password breaks', async () => {
+    settings['security.passwordRequireSpecial'] = 'true';
+
+    await expect(codes('abc')).resolves.toEqual([
+      'PASSWORD_TOO_SHORT',
+      'PASSWORD_MISSING_UPPERCASE',
+      'PASSWORD_MISSING_NUMBER',
+      'PASSWORD_MISSING_SPECIAL',
+    ]);
+  });
+
+  it('blocks common passwords and ones containing the email name', async () => {
+    await expect(codes('Password1')).resolves.toContain('PASSWORD_TOO_COMMON');
+    await expect(codes('Adalovelace9', { email: 'adalovelace@example.com' })).resolves.toEqual(['PASSWORD_CONTAINS_EMAIL']);
+
+    settings['security.passwordBlockCommon'] = 'false';
+    await expect(codes('Password1')).resolves.toEqual([]);
+  });
+
+  it('rejects the current and recent passwords', async () => {
+    prisma.user.findUnique.mockResolvedValue({ password: await bcrypt.hash('Current7Password', 4) });
+    prisma.passwordHistory.findMany.mockResolvedValue([{ passwordHash: await bcrypt.hash('Older7Password', 4) }]);
+
+    await expect(codes('Current7Password', { userId: 'user-1' })).resolves.toEqual(['PASSWORD_REUSED']);
+    await expect(codes('Older7Password', { userId: 'user-1' })).resolves.toEqual(['PASSWORD_REUSED']);
+    await expect(codes('Brand7NewPassword', { userId: 'user-1' })).resolves.toEqual([]);
+    expect(prisma.passwordHistory.findMany).toHaveBeenLastCalledWith(expect.objectContaining({ take: 4 }));
+  });
+
+  it('expires passwords only when a maximum age is set', async () => {
+    const user = { passwordChangedAt: new Date(Date.now() - 31 * 24 * 60 * 60 * 1000) };
+    await expect(passwordPolicyService.isExpired(user)).resolves.toBe(false);
+
+    settings['security.passwordMaxAgeDays'] = '30';
+    await expect(passwordPolicyService.isExpired(user)).resolves.toBe(true);
+    await expect(passwordPolicyService.isExpired({ passwordChangedAt: new Date() })).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,108 @@
+import { jest } from '@jest/globals';
+
+const prisma = {
+  accessRole: { findUnique: jest.fn(async () => null) },
+  employee: { findUnique: jest.fn() },
+};
+const reportingChainService = { getReportIds: jest.fn(async () => ['emp-report-1', 'emp-report-2']) };
+
+jest.unstable_mockModule('../../config/prisma.js', () => ({ default: prisma }));
+jest.unstable_mockModule('../reportingChainService.js', () => ({ reportingChainService }));
+
+const { permissionService } = await import('../permissionService.js');
+
+const NO_MATCH = { id: { in: [] } };
+const self = { id: 'emp-self', departmentId: 'dep-1', managerId: null };
+const withPermissions = (permissions, employee = self) => ({ id: 'user-1', role: 'EMPLOYEE', employee, permissions });
+
+describe('permissionService', () => {
+  beforeEach(() => {
+    permissionService.clearCache();
+    prisma.accessRole.findUnique.mockReset().mockResolvedValue(null);
+    reportingChainService.getReportIds.mockClear();
+  });
+
+  describe('getPermissions', () => {
+    it('falls back to the code defaults of a built-in role', async () => {
+      const permissions = await permissionService.getPermissions({ role: 'MANAGER' });
+      expect(permissions['employees:read']).toBe('TEAM');
+      expect(permissions['users:manage']).toBeUndefined();
+    });
+
+    it('prefers the stored permissions of an edited or custom role', async () => {
+      prisma.accessRole.findUnique.mockResolvedValue({ permissions: [{ permission: 'employees:read', scope: 'DEPARTMENT' }] });
+
+      await expect(permissionService.getPermissions({ role: 'EMPLOYEE', accessRoleId: 'role-1' })).resolves.toEqual({
+        'employees:read': 'DEPARTMENT',
+      });
+      expect(prisma.accessRole.findUnique).toHaveBeenCalledWith(expect.objectContaining({ where: { id: 'role-1' } }));
+    });
+
+    it('caches resolved permissions per role', async () => {
+      await permissionService.getPermissions({ role: 'HR' });
+      await permissionService.getPermissions({ role: 'HR' });
+      expect(prisma.accessRole.findUnique).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('scopeWhere', () => {
+    it.each([
+      ['ALL', {}],
+      ['OWN', { employeeId: 'emp-self' }],
+      ['DEPARTMENT', { OR: [{ employeeId: 'emp-self' }, { employee: { departmentId: 'dep-1' } }] }],
+      ['TEAM', { OR: [{ employeeId: 'emp-self' }, { employeeId: { in: ['emp-report-1', 'emp-report-2'] } }] }],
+    ])('limits records to the %s scope', async (scope, expected) => {
+      await expect(permissionService.scopeWhere(withPermissions({ 'leave:read': scope }), 'leave:read')).resolves.toEqual(expected);
+    });
+
+    it('matches employees themselves by id', async () => {
+      const user = withPermissions({ 'employees:read': 'DEPARTMENT' });
+      await expect(permissionService.scopeWhere(user, 'employees:read', { employee: true })).resolves.toEqual({
+        OR: [{ id: 'emp-self' }, { departmentId: 'dep-1' }],
+      });
+    });
+
+    it('matches nothing without the permission or an employee record', async () => {
+      await expect(permissionService.scopeWhere(withPermissions({}), 'leave:read')).resolves.toEqual(NO_MATCH);
+      await expect(permissionService.scopeWhere(withPermissions({ 'leave:read': 'TEAM' }, null), 'leave:read')).resolves.toEqual(NO_MATCH);
+    });
+  });
+
+  describe('can', () => {
+    it('checks team scope against the reporting chain', async () => {
+      const user = withPermissions({ 'leave:approve': 'TEAM' });
+
+      await expect(permissionService.can(user, 'leave:approve', { employeeId: 'emp-report-2' })).resolves.toBe(true);
+      await expect(permissionService.can(user, 'leave:approve', { employeeId: 'emp-other' })).resolves.toBe(false);
+      expect(reportingChainService.getReportIds).toHaveBeenCalledTimes(1);
+    });
+
+    it('covers the whole reporting chain unless the user asked for direct reports only', async () => {
+      await permissionService.can(withPermissions({ 'leave:approve': 'TEAM' }), 'leave:approve', { employeeId: 'emp-report-1' });
+      await permissionService.can({ ...withPermissions({ 'leave:approve': 'TEAM' }), teamScope: 'direct' }, 'leave:approve', {
+        employeeId: 'emp-report-1',
+      });
+
+      expect(reportingChainService.getReportIds.mock.calls).toEqual([
+        ['emp-self', { transitive: true }],
+        ['emp-self', { transitive: false }],
+      ]);
+    });
+
+    it('loads the department of a record owner when it is missing', async () => {
+      const user = withPermissions({ 'employees:read': 'DEPARTMENT' });
+      prisma.employee.findUnique.mockResolvedValueOnce({ id: 'emp-other', departmentId: 'dep-1' });
+      prisma.employee.findUnique.mockResolvedValueOnce({ id: 'emp-far', departmentId: 'dep-2' });
+
+      await expect(permissionService.can(user, 'employees:read', { employeeId: 'emp-other' })).resolves.toBe(true);
+      await expect(permissionService.can(user, 'employees:read', { employeeId: 'emp-far' })).resolves.toBe(false);
+    });
+
+    it('throws an access error from assert', async () => {
+      await expect(permissionService.assert(withPermissions({}), 'payroll:read', { employeeId: 'emp-self' })).rejects.toMatchObject({
+        statusCode: 403,
+        code: 'ACCESS_DENIED',
+      });
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import { jest } from '@jest/globals';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const today = new Date(Date.UTC(new Date().getUTCFullYear(), new Date().getUTCMonth(), new Date().getUTCDate()));
+const endDate = new Date(today.getTime() + 7 * DAY_MS);
+
+let employee;
+let scheduledTermination;
+
+// Writes inside a transaction go to `tx`, so tests can tell them from writes outside of one
+const tx = {
+  probationReview: { upsert: jest.fn(async ({ create }) => ({ id: 'review-1', ...create })) },
+  employee: { update: jest.fn(async ({ data }) => ({ ...employee, ...data })) },
+  employmentRecord: { create: jest.fn() },
+};
+const prisma = {
+  employee: { findUnique: jest.fn(async () => employee) },
+  termination: { findFirst: jest.fn(async () => scheduledTermination) },
+  probationReview: { upsert: jest.fn() },
+  $transaction: jest.fn(async (callback) => callback(tx)),
+};
+
+const terminationService = {
+  schedule: jest.fn(async (employeeId, input, req, { withinTransaction }) => prisma.$transaction((client) => withinTransaction(client, { id: 'term-1' }))),
+};
+const permissionService = { assert: jest.fn() };
+const employmentHistoryService = { confirmationRecordData: jest.fn(() => ({ changeType: 'CONFIRMATION' })) };
+
+jest.unstable_mockModule('../../config/prisma.js', () => ({ default: prisma }));
+jest.unstable_mockModule('../../middleware/auditMiddleware.js', () => ({ createAuditLog: jest.fn() }));
+jest.unstable_mockModule('../../utils/mailer.js', () => ({ sendMail: jest.fn() }));
+jest.unstable_mockModule('../permissionService.js', () => ({ permissionService }));
+jest.unstable_mockModule('../employmentHistoryService.js', () => ({ employmentHistoryService }));
+jest.unstable_mockModule('../terminationService.js', () => ({ terminationService }));
+jest.unstable_mockModule('../settingService.js', () => ({ getSettingNumber: jest.fn(async (key, fallback) => fallback) }));
+
+const { probationService } = await import('../probationService.js');
+
+const req = { user: { id: 'u-lead', employee: { id: 'emp-lead' } } };
+
+describe('probationService.decide', () => {
+  beforeEach(() => {
+    employee = { id: 'emp-ada', employmentStatus: 'PROBATION', probationEndDate: endDate, managerId: 'emp-lead' };
+    scheduledTermination = null;
+    jest.clearAllMocks();
+  });
+
+  it('confirms the employee and records it in the history in one transaction', async () => {
+    const review = await probationService.decide('emp-ada', { decision: 'CONFIRM', comments: 'Well done' }, req);
+
+    expect(review).toMatchObject({ decision: 'CONFIRM', endDate, reviewerId: 'emp-lead', decidedById: 'u-lead' });
+    expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+    expect(tx.employee.update).toHaveBeenCalledWith({ where: { id: 'emp-ada' }, data: { employmentStatus: 'ACTIVE', updatedById: 'u-lead' } });
+    expect(tx.employmentRecord.create).toHaveBeenCalledWith({ data: { changeType: 'CONFIRMATION' } });
+  });
+
+  it('saves a failed probation inside the termination transaction', async () => {
+    const review = await probationService.decide('emp-ada', { decision: 'TERMINATE', comments: 'Missed targets' }, req);
+
+    expect(terminationService.schedule).toHaveBeenCalledWith(
+      'emp-ada',
+      { terminationDate: today, reason: 'Probation not passed: Missed targets' },
+      req,
+      { withinTransaction: expect.any(Function) }
+    );
+    expect(tx.probationReview.upsert).toHaveBeenCalledTimes(1);
+    expect(prisma.probationReview.upsert).not.toHaveBeenCalled();
+    expect(tx.employee.update).not.toHaveBeenCalled();
+    expect(review).toMatchObject({ id: 'review-1', decision: 'TERMINATE' });
+  });
+
+  it('keeps no review when the termination is refused', async () => {
+    terminationService.schedule.mockRejectedValueOnce(Object.assign(new Error('Reassign the direct reports first'), { code: 'HAS_SUBORDINATES' }));
+
+    await expect(probationService.decide('emp-ada', { decision: 'TERMINATE' }, req)).rejects.toMatchObject({ code: 'HAS_SUBORDINATES' });
+    expect(tx.probationReview.upsert).not.toHaveBeenCalled();
+    expect(prisma.probationReview.upsert).not.toHaveBeenCalled();
+  });
+
+  it('only extends to a date after the current end', async () => {
+    await expect(probationService.decide('emp-ada', { decision: 'EXTEND', extendedTo: endDate }, req)).rejects.toMatchObject({
+      code: 'INVALID_EXTENSION',
+    });
+
+    const extendedTo = new Date(endDate.getTime() + 30 * DAY_MS);
+    await probationService.decide('emp-ada', { decision: 'EXTEND', extendedTo }, req);
+    expect(tx.employee.update).toHaveBeenCalledWith({ where: { id: 'emp-ada' }, data: { probationEndDate: extendedTo, updatedById: 'u-lead' } });
+  });
+
+  it('refuses decisions on one\'s own probation, finished probations and pending terminations', async () => {
+    await expect(
+      probationService.decide('emp-ada', { decision: 'CONFIRM' }, { user: { id: 'u-ada', employee: { id: 'emp-ada' } } })
+    ).rejects.toMatchObject({ code: 'ACCESS_DENIED' });
+
+    employee.employmentStatus = 'ACTIVE';
+    await expect(probationService.decide('emp-ada', { decision: 'CONFIRM' }, req)).rejects.toMatchObject({ code: 'NOT_ON_PROBATION' });
+
+    employee.employmentStatus = 'PROBATION';
+    scheduledTermination = { id: 'term-1' };
+    await expect(probationService.decide('emp-ada', { decision: 'CONFIRM' }, req)).rejects.toMatchObject({ code: 'TERMINATION_SCHEDULED' });
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,148 @@
+import { jest } from '@jest/globals';
+import { randomBytes } from 'crypto';
+
+process.env.FIELD_ENCRYPTION_KEYS = `1:${randomBytes(32).toString('base64')}`;
+process.env.FIELD_BLIND_INDEX_KEY = randomBytes(32).toString('base64');
+
+let requests = [];
+
+const matches = (row, where) => Object.entries(where).every(([field, value]) => row[field] === value);
+
+const prisma = {
+  employee: {
+    findUnique: jest.fn(async () => ({ id: 'emp-ada', firstName: 'Ada', lastName: 'Lovelace', phone: '555-0100', bankAccountNumber: null, employmentStatus: 'ACTIVE' })),
+  },
+  profileChangeRequest: {
+    findFirst: jest.fn(async ({ where }) => requests.find((row) => matches(row, where)) || null),
+    findUnique: jest.fn(async ({ where }) => requests.find((row) => row.id === where.id) || null),
+    findMany: jest.fn(async () => requests),
+    count: jest.fn(async () => requests.length),
+    create: jest.fn(async ({ data }) => {
+      const request = { id: `pcr-${requests.length + 1}`, status: 'PENDING', ...data };
+      requests.push(request);
+      // Like the encryption extension of the shared client, results come back decrypted
+      return fieldEncryptionService.decryptResult(JSON.parse(JSON.stringify(request)));
+    }),
+    update: jest.fn(async ({ where, data }) => Object.assign(requests.find((row) => row.id === where.id), data)),
+    updateMany: jest.fn(async ({ where, data }) => {
+      const rows = requests.filter((row) => matches(row, where));
+      rows.forEach((row) => Object.assign(row, data));
+      return { count: rows.length };
+    }),
+  },
+};
+
+const employeeService = { updateEmployee: jest.fn() };
+const reportingChainService = { getReportIds: jest.fn(async () => ['emp-ada']) };
+
+jest.unstable_mockModule('../../config/prisma.js', () => ({ default: prisma }));
+jest.unstable_mockModule('../../middleware/auditMiddleware.js', () => ({ createAuditLog: jest.fn() }));
+jest.unstable_mockModule('../employeeService.js', () => ({ employeeService }));
+jest.unstable_mockModule('../reportingChainService.js', () => ({ reportingChainService }));
+
+const { profileChangeService } = await import('../profileChangeService.js');
+const { fieldEncryptionService } = await import('../fieldEncryptionService.js');
+const { decrypt } = await import('../../utils/encryption.js');
+
+const ada = { id: 'u-ada', role: 'EMPLOYEE', employee: { id: 'emp-ada' }, permissions: {} };
+const manager = { id: 'u-lead', role: 'MANAGER', employee: { id: 'emp-lead' }, permissions: { 'profileChanges:approve': 'TEAM' } };
+const outsider = { id: 'u-other', role: 'MANAGER', employee: { id: 'emp-other' }, permissions: { 'profileChanges:approve': 'TEAM' } };
+
+const pending = (extra = {}) => ({
+  id: 'pcr-1',
+  employeeId: 'emp-ada',
+  requestedById: 'u-ada',
+  status: 'PENDING',
+  changes: { lastName: 'King' },
+  previous: { lastName: 'Lovelace' },
+  ...extra,
+});
+
+describe('profileChangeService', () => {
+  beforeEach(() => {
+    requests = [];
+    jest.clearAllMocks();
+  });
+
+  describe('submit', () => {
+    it('applies contact details right away and queues reviewed fields with sealed values', async () => {
+      const { applied, request } = await profileChangeService.submit(
+        { phone: '555-0199', lastName: 'King', bankAccountNumber: 'DE89370400440532013000', firstName: 'Ada' },
+        'Married',
+        { user: ada }
+      );
+
+      expect(applied).toEqual(['phone']);
+      expect(employeeService.updateEmployee).toHaveBeenCalledWith('emp-ada', { phone: '555-0199' }, { user: ada });
+      expect(decrypt(requests[0].changes.bankAccountNumber)).toBe('DE89370400440532013000');
+      expect(requests[0].changes.bankAccountNumber).not.toBe('DE89370400440532013000');
+      expect(request.diff).toEqual([
+        { field: 'lastName', label: 'Last name', from: 'Lovelace', to: 'King' },
+        { field: 'bankAccountNumber', label: 'Bank account number', from: null, to: expect.stringMatching(/3000$/) },
+      ]);
+    });
+
+    it('changes nothing while another request is pending', async () => {
+      requests = [pending()];
+
+      await expect(profileChangeService.submit({ phone: '555-0199', taxId: '123' }, null, { user: ada })).rejects.toMatchObject({
+        code: 'CHANGE_REQUEST_PENDING',
+      });
+      expect(employeeService.updateEmployee).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('list', () => {
+    it('limits the approval queue to the reviewer scope', async () => {
+      await profileChangeService.list({}, manager);
+
+      expect(prisma.profileChangeRequest.findMany.mock.calls[0][0].where).toEqual({
+        OR: [{ employeeId: 'emp-lead' }, { employeeId: { in: ['emp-ada'] } }],
+        status: 'PENDING',
+      });
+    });
+  });
+
+  describe('review', () => {
+    it('applies approved changes as the reviewer', async () => {
+      requests = [pending()];
+      const req = { user: manager };
+
+      const view = await profileChangeService.review('pcr-1', { decision: 'APPROVE' }, req);
+
+      expect(employeeService.updateEmployee).toHaveBeenCalledWith('emp-ada', { lastName: 'King' }, req);
+      expect(view).toMatchObject({ status: 'APPROVED', reviewedById: 'u-lead' });
+    });
+
+    it('refuses reviewers outside the employee scope', async () => {
+      requests = [pending()];
+      reportingChainService.getReportIds.mockResolvedValueOnce([]);
+
+      await expect(profileChangeService.review('pcr-1', { decision: 'APPROVE' }, { user: outsider })).rejects.toMatchObject({
+        code: 'ACCESS_DENIED',
+        statusCode: 403,
+      });
+      expect(requests[0].status).toBe('PENDING');
+    });
+
+    it('refuses reviews of one\'s own profile and rejections without a note', async () => {
+      requests = [pending()];
+      const self = { ...ada, permissions: { 'profileChanges:approve': 'ALL' } };
+
+      await expect(profileChangeService.review('pcr-1', { decision: 'APPROVE' }, { user: self })).rejects.toMatchObject({
+        code: 'ACCESS_DENIED',
+      });
+      await expect(profileChangeService.review('pcr-1', { decision: 'REJECT' }, { user: manager })).rejects.toMatchObject({
+        code: 'NOTE_REQUIRED',
+      });
+    });
+
+    it('puts the request back in the queue when the changes cannot be applied', async () => {
+      requests = [pending()];
+      employeeService.updateEmployee.mockRejectedValueOnce(new Error('Email already in use'));
+
+      await expect(profileChangeService.review('pcr-1', { decision: 'APPROVE' }, { user: manager })).rejects.toThrow('Email already in use');
+      expect(requests[0]).toMatchObject({ status: 'PENDING', reviewedById: null, reviewedAt: null });
+    });
+  });
+});
@@ -0,0 +1,114 @@
+import { jest } from '@jest/globals';
+
+// In-memory refresh_tokens table, enough for rotation and revocation
+const tokens = [];
+const matches = (row, where) =>
+  Object.entries(where).every(([key, value]) => {
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      if ('gt' in value) return row[key] > value.gt;
+      return false;
+    }
+    return row[key] === value;
+  });
+
+const prisma = {
+  refreshToken: {
+    create: jest.fn(async ({ data }) => {
+      const row = { id: `rt-${tokens.length + 1}`, revokedAt: null, replacedById: null, ...data };
+      tokens.push(row);
+      return row;
+    }),
+    findUnique: jest.fn(async ({ where, include }) => {
+      const row = tokens.find((item) => matches(item, where));
+      return row && include?.user ? { ...row, user: { id: row.userId, email: 'ada@example.com', role: 'EMPLOYEE', isActive: true } } : row || null;
+    }),
+    findFirst: jest.fn(async ({ where }) => tokens.find((item) => matches(item, where)) || null),
+    findMany: jest.fn(async ({ where, select }) =>
+      tokens
+        .filter((item) => matches(item, where))
+        .map((item) => Object.fromEntries(Object.keys(select).map((key) => [key, item[key]])))
+    ),
+    update: jest.fn(async ({ where, data }) => Object.assign(tokens.find((item) => item.id === where.id), data)),
+    updateMany: jest.fn(async ({ where, data }) => {
+      const rows = tokens.filter((item) => matches(item, where));
+      rows.forEach((row) => Object.assign(row, data));
+      return { count: rows.length };
+    }),
+  },
+  $transaction: jest.fn(async (callback) => callback(prisma)),
+};
+
+jest.unstable_mockModule('../../config/prisma.js', () => ({ default: prisma }));
+jest.unstable_mockModule('../../middleware/auditMiddleware.js', () => ({ createAuditLog: jest.fn() }));
+
+const { refreshTokenService } = await import('../refreshTokenService.js');
+
+const user = { id: '4f1c2a9e-8a3b-4c2d-9e1f-0a1b2c3d4e5f', role: 'EMPLOYEE' };
+
+describe('refreshTokenService', () => {
+  beforeEach(() => {
+    tokens.length = 0;
+  });
+
+  it('rotates a refresh token within its family', async () => {
+    const first = await refreshTokenService.issueTokens(user);
+    const rotated = await refreshTokenService.rotateRefreshToken(first.refreshToken);
+
+    expect(rotated.refreshToken).not.toBe(first.refreshToken);
+    expect(tokens).toHaveLength(2);
+    expect(tokens[1].familyId).toBe(tokens[0].familyId);
+    expect(tokens[0].revokedAt).toBeInstanceOf(Date);
+    expect(tokens[0].replacedById).toBe(tokens[1].id);
+    expect(tokens[1].revokedAt).toBeNull();
+  });
+
+  it('revokes the whole family when a rotated token is presented again', async () => {
+    const first = await refreshTokenService.issueTokens(user);
+    await refreshTokenService.rotateRefreshToken(first.refreshToken);
+
+    await expect(refreshTokenService.rotateRefreshToken(first.refreshToken)).rejects.toMatchObject({
+      code: 'TOKEN_REUSE_DETECTED',
+    });
+    expect(tokens.every((row) => row.revokedAt)).toBe(true);
+  });
+
+  it('leaves other sessions alone when a token is reused', async () => {
+    const stolen = await refreshTokenService.issueTokens(user);
+    await refreshTokenService.issueTokens(user);
+    await refreshTokenService.rotateRefreshToken(stolen.refreshToken);
+
+    await expect(refreshTokenService.rotateRefreshToken(stolen.refreshToken)).rejects.toThrow('reuse');
+    expect(tokens.filter((row) => !row.revokedAt)).toHaveLength(1);
+    expect(tokens.find((row) => !row.revokedAt).familyId).not.toBe(tokens[0].familyId);
+  });
+
+  it('rejects tokens it did not issue', async () => {
+    const { refreshToken } = await refreshTokenService.issueTokens(user);
+    tokens.length = 0;
+
+    await expect(refreshTokenService.rotateRefreshToken(refreshToken)).rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+  });
+
+  it('lists one session per family and revokes it with its access tokens', async () => {
+    const laptop = await refreshTokenService.issueTokens(user);
+    const phone = await refreshTokenService.issueTokens(user);
+    await refreshTokenService.rotateRefreshToken(laptop.refreshToken);
+
+    const sessions = await refreshTokenService.listSessions(user.id, phone.record.familyId);
+    expect(sessions.map((session) => session.id).sort()).toEqual([laptop.record.familyId, phone.record.familyId].sort());
+    expect(sessions.find((session) => session.current).id).toBe(phone.record.familyId);
+
+    await refreshTokenService.revokeSession(user.id, laptop.record.familyId);
+    expect(await refreshTokenService.isSessionActive(laptop.record.familyId)).toBe(false);
+    expect(await refreshTokenService.isSessionActive(phone.record.familyId)).toBe(true);
+  });
+
+  it('does not revoke sessions of other users', async () => {
+    const { record } = await refreshTokenService.issueTokens(user);
+
+    await expect(refreshTokenService.revokeSession('someone-else', record.familyId)).rejects.toMatchObject({
+      code: 'SESSION_NOT_FOUND',
+    });
+    expect(await refreshTokenService.isSessionActive(record.familyId)).toBe(true);
+  });
+});
@@ -0,0 +1,45 @@
+import { jest } from '@jest/globals';
+
+const prisma = {
+  $queryRaw: jest.fn(async () => [{ id: 'emp-lead' }, { id: 'emp-dev-1' }, { id: 'emp-dev-2' }]),
+  employee: { findMany: jest.fn(async () => [{ id: 'emp-lead' }]) },
+};
+
+jest.unstable_mockModule('../../config/prisma.js', () => ({ default: prisma }));
+
+const { reportingChainService } = await import('../reportingChainService.js');
+
+describe('reportingChainService', () => {
+  beforeEach(() => {
+    reportingChainService.clearCache();
+    jest.clearAllMocks();
+  });
+
+  it('resolves the whole chain below a manager, leaving the manager out', async () => {
+    await expect(reportingChainService.getReportIds('emp-head')).resolves.toEqual(['emp-lead', 'emp-dev-1', 'emp-dev-2']);
+
+    const [strings, ...values] = prisma.$queryRaw.mock.calls[0];
+    expect(strings.join('?')).toMatch(/WITH RECURSIVE chain AS[\s\S]*UNION[\s\S]*"id" <> \?/);
+    expect(values).toEqual(['emp-head', 'emp-head']);
+  });
+
+  it('resolves only direct reports when asked to', async () => {
+    await expect(reportingChainService.getReportIds('emp-head', { transitive: false })).resolves.toEqual(['emp-lead']);
+
+    expect(prisma.employee.findMany).toHaveBeenCalledWith({ where: { managerId: 'emp-head' }, select: { id: true } });
+    expect(prisma.$queryRaw).not.toHaveBeenCalled();
+  });
+
+  it('caches chains per manager and depth until cleared', async () => {
+    await reportingChainService.getReportIds('emp-head');
+    await reportingChainService.getReportIds('emp-head');
+    await reportingChainService.getReportIds('emp-head', { transitive: false });
+    await reportingChainService.getReportIds('emp-other');
+    expect(prisma.$queryRaw).toHaveBeenCalledTimes(2);
+    expect(prisma.employee.findMany).toHaveBeenCalledTimes(1);
+
+    reportingChainService.clearCache();
+    await reportingChainService.getReportIds('emp-head');
+    expect(prisma.$queryRaw).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,115 @@
+import { jest } from '@jest/globals';
+
+process.env.BCRYPT_ROUNDS = '4';
+
+let users = [];
+
+const prisma = {
+  user: {
+    findUnique: jest.fn(async ({ where }) =>
+      users.find((user) =>
+        where.email
+          ? user.email === where.email
+          : user.ssoIssuer === where.ssoIssuer_ssoSubject.ssoIssuer && user.ssoSubject === where.ssoIssuer_ssoSubject.ssoSubject
+      ) || null
+    ),
+    update: jest.fn(async ({ where, data }) => Object.assign(users.find((user) => user.id === where.id), data)),
+    create: jest.fn(async ({ data }) => {
+      const user = { id: `u-${users.length + 1}`, isActive: true, ...data };
+      users.push(user);
+      return user;
+    }),
+  },
+  employee: { updateMany: jest.fn(async () => ({ count: 1 })) },
+};
+prisma.$transaction = jest.fn(async (callback) => callback(prisma));
+
+jest.unstable_mockModule('../../config/prisma.js', () => ({ default: prisma }));
+jest.unstable_mockModule('../../middleware/auditMiddleware.js', () => ({ createAuditLog: jest.fn() }));
+
+const { ssoService } = await import('../ssoService.js');
+
+const ISSUER = 'https://idp.example.com';
+
+const config = (extra = {}) => ({
+  groupsClaim: 'groups',
+  roleMapping: {},
+  defaultRole: 'EMPLOYEE',
+  autoProvision: true,
+  allowedDomains: [],
+  ...extra,
+});
+
+const claims = (extra = {}) => ({ iss: ISSUER, sub: 'sub-1', email: 'Ada@Example.com', email_verified: true, ...extra });
+
+describe('ssoService.resolveUser', () => {
+  beforeEach(() => {
+    users = [];
+    jest.clearAllMocks();
+  });
+
+  it('links an existing account by verified email on the first sign-in', async () => {
+    users = [{ id: 'u-ada', email: 'ada@example.com', role: 'HR', isActive: true, ssoIssuer: null, ssoSubject: null }];
+
+    const user = await ssoService.resolveUser(claims(), config(), {});
+
+    expect(user).toMatchObject({ id: 'u-ada', role: 'HR', ssoIssuer: ISSUER, ssoSubject: 'sub-1' });
+  });
+
+  it('never matches or provisions by an unverified email', async () => {
+    users = [{ id: 'u-ada', email: 'ada@example.com', role: 'ADMIN', isActive: true, ssoIssuer: null, ssoSubject: null }];
+
+    for (const emailVerified of [false, 'true', undefined]) {
+      await expect(ssoService.resolveUser(claims({ email_verified: emailVerified }), config(), {})).rejects.toMatchObject({
+        code: 'SSO_EMAIL_REQUIRED',
+        statusCode: 401,
+      });
+    }
+    expect(users[0].ssoSubject).toBeNull();
+    expect(prisma.user.create).not.toHaveBeenCalled();
+  });
+
+  it('lets linked accounts sign in whatever the email claim says', async () => {
+    users = [{ id: 'u-ada', email: 'ada@example.com', role: 'EMPLOYEE', isActive: true, ssoIssuer: ISSUER, ssoSubject: 'sub-1' }];
+
+    await expect(ssoService.resolveUser(claims({ email_verified: false }), config(), {})).resolves.toMatchObject({ id: 'u-ada' });
+  });
+
+  it('refuses an email already linked to another subject', async () => {
+    users = [{ id: 'u-ada', email: 'ada@example.com', role: 'EMPLOYEE', isActive: true, ssoIssuer: ISSUER, ssoSubject: 'sub-0' }];
+
+    await expect(ssoService.resolveUser(claims(), config(), {})).rejects.toMatchObject({ code: 'SSO_ACCOUNT_MISMATCH' });
+  });
+
+  it('provisions new users with the most privileged mapped role', async () => {
+    const mapped = config({ roleMapping: { staff: 'EMPLOYEE', 'people-leads': 'MANAGER', 'hr-team': 'HR' } });
+
+    const user = await ssoService.resolveUser(claims({ groups: ['staff', 'hr-team', 'people-leads'] }), mapped, {});
+
+    expect(user).toMatchObject({ email: 'ada@example.com', role: 'HR', ssoIssuer: ISSUER, ssoSubject: 'sub-1' });
+    expect(prisma.employee.updateMany).toHaveBeenCalledWith({ where: { email: 'ada@example.com', userId: null }, data: { userId: user.id } });
+  });
+
+  it('keeps roles in sync with the groups once a mapping is configured', async () => {
+    users = [{ id: 'u-ada', email: 'ada@example.com', role: 'HR', isActive: true, ssoIssuer: ISSUER, ssoSubject: 'sub-1' }];
+
+    const user = await ssoService.resolveUser(claims({ groups: [] }), config({ roleMapping: { 'hr-team': 'HR' } }), {});
+
+    expect(user.role).toBe('EMPLOYEE');
+  });
+
+  it('respects the allowed domains and the provisioning switch', async () => {
+    await expect(ssoService.resolveUser(claims(), config({ allowedDomains: ['example.org'] }), {})).rejects.toMatchObject({
+      code: 'SSO_DOMAIN_NOT_ALLOWED',
+    });
+    await expect(ssoService.resolveUser(claims(), config({ autoProvision: false }), {})).rejects.toMatchObject({
+      code: 'SSO_USER_NOT_FOUND',
+    });
+  });
+
+  it('rejects inactive accounts', async () => {
+    users = [{ id: 'u-ada', email: 'ada@example.com', role: 'EMPLOYEE', isActive: false, ssoIssuer: ISSUER, ssoSubject: 'sub-1' }];
+
+    await expect(ssoService.resolveUser(claims(), config(), {})).rejects.toMatchObject({ code: 'ACCOUNT_INACTIVE' });
+  });
+});
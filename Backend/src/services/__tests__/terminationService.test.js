@@ -0,0 +1,259 @@
+import { jest } from '@jest/globals';
+
+const MODELS = ['employee', 'user', 'leaveBalance', 'leaveRequest', 'payrollRecord', 'refreshToken', 'termination', 'offboardingTask', 'offboardingTemplate'];
+
+let tables = {};
+
+const compare = (value, condition) => {
+  if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+    return value instanceof Date || condition instanceof Date ? value?.valueOf() === condition?.valueOf() : value === condition;
+  }
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (operator === 'in') return operand.includes(value);
+    if (operator === 'not') return !compare(value, operand);
+    if (operator === 'gt') return value > operand;
+    if (operator === 'gte') return value >= operand;
+    if (operator === 'lt') return value < operand;
+    if (operator === 'lte') return value <= operand;
+    throw new Error(`Unsupported operator ${operator}`);
+  });
+};
+
+const matches = (row, where = {}) => Object.entries(where).every(([field, condition]) => compare(row[field], condition));
+
+const find = (name, where) => tables[name].filter((row) => matches(row, where));
+
+// Relations the termination service includes, resolved from the other tables
+const withRelations = (name, row) => {
+  if (name === 'employee') {
+    return {
+      ...row,
+      manager: tables.employee.find((other) => other.id === row.managerId) || null,
+      subordinates: find('employee', { managerId: row.id, employmentStatus: 'ACTIVE' }),
+      user: tables.user.find((user) => user.id === row.userId) || null,
+    };
+  }
+  if (name === 'leaveBalance' || name === 'leaveRequest') {
+    return { ...row, policy: { id: row.policyId, name: row.policyId, leaveType: row.policyId.toUpperCase() } };
+  }
+  return { ...row };
+};
+
+const model = (name) => ({
+  findUnique: jest.fn(async ({ where }) => {
+    const [row] = find(name, where);
+    return row ? withRelations(name, row) : null;
+  }),
+  findFirst: jest.fn(async ({ where }) => {
+    const [row] = find(name, where);
+    return row ? withRelations(name, row) : null;
+  }),
+  findMany: jest.fn(async ({ where } = {}) => find(name, where).map((row) => withRelations(name, row))),
+  count: jest.fn(async ({ where }) => find(name, where).length),
+  create: jest.fn(async ({ data }) => {
+    const row = { id: `${name}-${tables[name].length + 1}`, status: 'SCHEDULED', ...data };
+    tables[name].push(row);
+    return { ...row };
+  }),
+  createMany: jest.fn(async ({ data }) => {
+    data.forEach((row, index) => tables[name].push({ id: `${name}-${index + 1}`, isCompleted: false, ...row }));
+    return { count: data.length };
+  }),
+  update: jest.fn(async ({ where, data }) => ({ ...Object.assign(find(name, where)[0], data) })),
+  updateMany: jest.fn(async ({ where, data }) => {
+    const rows = find(name, where);
+    rows.forEach((row) => Object.assign(row, data));
+    return { count: rows.length };
+  }),
+  deleteMany: jest.fn(async ({ where }) => {
+    const before = tables[name].length;
+    tables[name] = tables[name].filter((row) => !matches(row, where));
+    return { count: before - tables[name].length };
+  }),
+});
+
+const prisma = Object.fromEntries(MODELS.map((name) => [name, model(name)]));
+prisma.$transaction = jest.fn(async (callback) => callback(prisma));
+
+const revokeAllForUser = jest.fn();
+
+jest.unstable_mockModule('../../config/prisma.js', () => ({ default: prisma }));
+jest.unstable_mockModule('../../middleware/auditMiddleware.js', () => ({ createAuditLog: jest.fn() }));
+jest.unstable_mockModule('../refreshTokenService.js', () => ({ refreshTokenService: { revokeAllForUser } }));
+
+const { terminationService } = await import('../terminationService.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const day = (value) => new Date(`${value}T00:00:00.000Z`);
+const now = new Date();
+const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+const req = { user: { id: 'u-hr', employee: { id: 'emp-hr' } } };
+
+describe('terminationService', () => {
+  beforeEach(() => {
+    tables = Object.fromEntries(MODELS.map((name) => [name, []]));
+    tables.user = [{ id: 'u-ada', email: 'ada@example.com', isActive: true }];
+    tables.employee = [
+      { id: 'emp-lead', employmentStatus: 'ACTIVE', hireDate: day('2018-01-01'), managerId: null },
+      { id: 'emp-ada', employeeId: 'EMP-1', employmentStatus: 'ACTIVE', hireDate: day('2020-02-01'), managerId: 'emp-lead', userId: 'u-ada' },
+    ];
+    jest.clearAllMocks();
+  });
+
+  describe('preview', () => {
+    beforeEach(() => {
+      tables.leaveBalance = [
+        { id: 'lb-annual', employeeId: 'emp-ada', policyId: 'annual', year: 2026, allocated: 20, carryForward: 2, used: 8 },
+        { id: 'lb-sick', employeeId: 'emp-ada', policyId: 'sick', year: 2026, allocated: 10, carryForward: 0, used: 7 },
+      ];
+      tables.leaveRequest = [
+        { id: 'lr-july', employeeId: 'emp-ada', policyId: 'annual', status: 'APPROVED', startDate: day('2026-07-06'), days: 3 },
+        { id: 'lr-pending', employeeId: 'emp-ada', policyId: 'annual', status: 'PENDING', startDate: day('2026-08-03'), days: 2 },
+        { id: 'lr-june', employeeId: 'emp-ada', policyId: 'annual', status: 'APPROVED', startDate: day('2026-06-01'), days: 5 },
+      ];
+    });
+
+    it('settles leave pro rata for the part of the year employed', async () => {
+      const { leave } = await terminationService.preview('emp-ada', { terminationDate: day('2026-06-30') }, req);
+
+      // 181 of 365 days employed: 20 allocated accrue 9 days, plus 2 carried
+      // forward; the 3 approved days in July are given back
+      expect(leave.settlement).toEqual([
+        { balanceId: 'lb-annual', policyId: 'annual', policyName: 'annual', leaveType: 'ANNUAL', year: 2026, allocated: 20, accrued: 11, used: 5, days: 6 },
+        { balanceId: 'lb-sick', policyId: 'sick', policyName: 'sick', leaveType: 'SICK', year: 2026, allocated: 10, accrued: 4, used: 7, days: -3 },
+      ]);
+      expect(leave.cancelledRequests.map((request) => request.id)).toEqual(['lr-july', 'lr-pending']);
+    });
+
+    it('accrues from the hire date for employees hired that year', async () => {
+      tables.employee[1].hireDate = day('2026-03-01');
+
+      const { leave } = await terminationService.preview('emp-ada', { terminationDate: day('2026-06-30') }, req);
+
+      // 122 of 365 days employed
+      expect(leave.settlement[0]).toMatchObject({ accrued: 8, used: 5, days: 3 });
+    });
+
+    it('rejects terminations the workflow cannot carry out', async () => {
+      await expect(terminationService.preview('emp-lead', { terminationDate: today }, req)).rejects.toMatchObject({
+        code: 'HAS_ACTIVE_SUBORDINATES',
+      });
+      await expect(terminationService.preview('emp-ada', { terminationDate: day('2019-12-31') }, req)).rejects.toMatchObject({
+        code: 'INVALID_TERMINATION_DATE',
+      });
+      await expect(
+        terminationService.preview('emp-ada', { terminationDate: today }, { user: { id: 'u-ada', employee: { id: 'emp-ada' } } })
+      ).rejects.toMatchObject({ code: 'ACCESS_DENIED' });
+    });
+  });
+
+  describe('schedule', () => {
+    it('completes a termination on a past last day at once', async () => {
+      tables.leaveBalance = [{ id: 'lb-annual', employeeId: 'emp-ada', policyId: 'annual', year: 2026, allocated: 20, carryForward: 0, used: 4 }];
+      tables.leaveRequest = [{ id: 'lr-july', employeeId: 'emp-ada', policyId: 'annual', status: 'APPROVED', startDate: day('2026-07-06'), days: 3 }];
+      tables.payrollRecord = [
+        { id: 'pay-june', employeeId: 'emp-ada', payPeriodStart: day('2026-06-01'), payPeriodEnd: day('2026-06-30'), status: 'DRAFT', isFinal: false },
+        { id: 'pay-may', employeeId: 'emp-ada', payPeriodStart: day('2026-05-01'), payPeriodEnd: day('2026-05-31'), status: 'PAID', isFinal: false },
+      ];
+
+      const termination = await terminationService.schedule('emp-ada', { terminationDate: day('2026-06-30'), reason: 'Resigned' }, req);
+
+      expect(termination).toMatchObject({ status: 'COMPLETED', finalPayrollId: 'pay-june' });
+      expect(termination.leaveSettlement).toEqual([expect.objectContaining({ balanceId: 'lb-annual', accrued: 9, used: 1, days: 8 })]);
+      expect(tables.leaveRequest[0]).toMatchObject({ status: 'CANCELLED', cancellationReason: 'Employment ends on 2026-06-30' });
+      expect(tables.leaveBalance[0]).toMatchObject({ used: 1, remaining: 0 });
+      expect(tables.payrollRecord.map((record) => record.isFinal)).toEqual([true, false]);
+      expect(tables.employee[1]).toMatchObject({
+        employmentStatus: 'TERMINATED',
+        terminationDate: day('2026-06-30'),
+        terminationReason: 'Resigned',
+        updatedById: 'u-hr',
+      });
+      expect(tables.user[0].isActive).toBe(false);
+      expect(revokeAllForUser).toHaveBeenCalledWith('u-ada');
+    });
+
+    it('keeps a future termination scheduled with its offboarding tasks', async () => {
+      const lastDay = new Date(today.getTime() + 10 * DAY_MS);
+      tables.offboardingTemplate = [
+        {
+          id: 'tpl',
+          isActive: true,
+          tasks: [
+            { title: 'Return laptop', daysBeforeLastDay: 0, assignToManager: true },
+            { title: 'Knowledge transfer', daysBeforeLastDay: 30 },
+          ],
+        },
+      ];
+
+      const termination = await terminationService.schedule('emp-ada', { terminationDate: lastDay, reason: 'Resigned', templateId: 'tpl' }, req);
+
+      expect(termination.status).toBe('SCHEDULED');
+      expect(tables.offboardingTask).toEqual([
+        expect.objectContaining({ title: 'Return laptop', dueDate: lastDay, assigneeId: 'emp-lead', terminationId: termination.id }),
+        expect.objectContaining({ title: 'Knowledge transfer', dueDate: today, assigneeId: null }),
+      ]);
+      expect(tables.employee[1]).toMatchObject({ employmentStatus: 'ACTIVE', terminationDate: lastDay });
+      expect(tables.user[0].isActive).toBe(true);
+    });
+
+    it('refuses a second termination while one is scheduled', async () => {
+      tables.termination = [{ id: 'term-1', employeeId: 'emp-ada', status: 'SCHEDULED' }];
+
+      await expect(terminationService.schedule('emp-ada', { terminationDate: today }, req)).rejects.toMatchObject({
+        code: 'TERMINATION_SCHEDULED',
+      });
+    });
+  });
+
+  describe('completeDueTerminations', () => {
+    it('completes due terminations once, even when another run claimed one first', async () => {
+      const due = { id: 'term-1', employeeId: 'emp-ada', status: 'SCHEDULED', terminationDate: day('2026-06-30'), reason: 'Resigned', createdById: 'u-hr' };
+      tables.termination = [due, { ...due, id: 'term-2', terminationDate: new Date(today.getTime() + DAY_MS) }];
+      // Another instance claims the termination between the lookup and the claim
+      prisma.termination.updateMany.mockImplementationOnce(async () => ({ count: 0 }));
+
+      await expect(terminationService.completeDueTerminations()).resolves.toBe(0);
+      expect(tables.employee[1].employmentStatus).toBe('ACTIVE');
+      expect(revokeAllForUser).not.toHaveBeenCalled();
+
+      await expect(terminationService.completeDueTerminations()).resolves.toBe(1);
+      expect(tables.termination.map((termination) => termination.status)).toEqual(['COMPLETED', 'SCHEDULED']);
+      await expect(terminationService.completeDueTerminations()).resolves.toBe(0);
+    });
+  });
+
+  describe('cancel', () => {
+    beforeEach(() => {
+      tables.termination = [{ id: 'term-1', employeeId: 'emp-ada', status: 'SCHEDULED', terminationDate: day('2026-12-31') }];
+      tables.offboardingTask = [
+        { id: 'task-done', terminationId: 'term-1', isCompleted: true },
+        { id: 'task-open', terminationId: 'term-1', isCompleted: false },
+      ];
+      tables.payrollRecord = [
+        { id: 'pay-dec', employeeId: 'emp-ada', payPeriodStart: day('2026-12-01'), payPeriodEnd: day('2026-12-31'), isFinal: true },
+      ];
+      Object.assign(tables.employee[1], { terminationDate: day('2026-12-31'), terminationReason: 'Resigned' });
+    });
+
+    it('drops open tasks, the final pay flag and the recorded last day', async () => {
+      await terminationService.cancel('emp-ada', req);
+
+      expect(tables.termination[0].status).toBe('CANCELLED');
+      expect(tables.offboardingTask.map((task) => task.id)).toEqual(['task-done']);
+      expect(tables.payrollRecord[0].isFinal).toBe(false);
+      expect(tables.employee[1]).toMatchObject({ terminationDate: null, terminationReason: null });
+    });
+
+    it('refuses once the termination has taken effect', async () => {
+      prisma.termination.updateMany.mockImplementationOnce(async () => ({ count: 0 }));
+
+      await expect(terminationService.cancel('emp-ada', req)).rejects.toMatchObject({ code: 'TERMINATION_COMPLETED' });
+      expect(tables.offboardingTask).toHaveLength(2);
+
+      tables.termination[0].status = 'COMPLETED';
+      await expect(terminationService.cancel('emp-ada', req)).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    });
+  });
+});
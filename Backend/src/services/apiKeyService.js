@@ -0,0 +1,159 @@
+import bcrypt from 'bcryptjs';
+import { createHash, randomBytes } from 'crypto';
+import prisma from '../config/prisma.js';
+import { PERMISSIONS, PERMISSION_KEYS } from '../config/permissions.js';
+import { AuthenticationError, AuthorizationError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { createAuditLog } from '../middleware/auditMiddleware.js';
+import logger from '../utils/logger.js';
+
+// Keys look like "hrms_<prefix>_<secret>"; the prefix part is stored in clear
+const KEY_PREFIX = 'hrms';
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+// A key can never create keys or edit roles, so it cannot widen its own access
+const NON_DELEGABLE_PERMISSIONS = ['apiKeys:manage', 'roles:manage'];
+
+const hashKey = (key) => createHash('sha256').update(key).digest('hex');
+
+const apiKeySelect = {
+  id: true,
+  name: true,
+  description: true,
+  prefix: true,
+  permissions: true,
+  expiresAt: true,
+  revokedAt: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  createdAt: true,
+  createdBy: { select: { id: true, email: true } },
+};
+
+const getStatus = (apiKey) => {
+  if (apiKey.revokedAt) return 'REVOKED';
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) return 'EXPIRED';
+  return 'ACTIVE';
+};
+
+const toApiKeyResponse = (apiKey) => ({ ...apiKey, status: getStatus(apiKey) });
+
+const apiKeyService = {
+  // Permissions that can be put on a key
+  getGrantablePermissions() {
+    return PERMISSIONS.filter((permission) => !NON_DELEGABLE_PERMISSIONS.includes(permission.key));
+  },
+
+  async list() {
+    const apiKeys = await prisma.apiKey.findMany({ select: apiKeySelect, orderBy: { createdAt: 'desc' } });
+    return apiKeys.map(toApiKeyResponse);
+  },
+
+  /**
+   * Create a key together with its service account. The clear key is only
+   * returned here; afterwards just its hash is known.
+   */
+  async create({ name, description, permissions, expiresAt }, req) {
+    const unknown = permissions.filter((permission) => !PERMISSION_KEYS.includes(permission));
+    if (unknown.length > 0) {
+      throw new ValidationError('Unknown permissions', { permissions: unknown }, 'UNKNOWN_PERMISSION');
+    }
+    const blocked = permissions.filter((permission) => NON_DELEGABLE_PERMISSIONS.includes(permission));
+    if (blocked.length > 0) {
+      throw new ValidationError('These permissions cannot be given to an API key', { permissions: blocked }, 'PERMISSION_NOT_DELEGABLE');
+    }
+    // Keys act on all records, so the creator must hold every permission for all records too
+    const missing = permissions.filter((permission) => req.user.permissions?.[permission] !== 'ALL');
+    if (missing.length > 0) {
+      throw new AuthorizationError('You cannot grant permissions you do not hold', { permissions: missing }, 'ACCESS_DENIED');
+    }
+    if (expiresAt && expiresAt <= new Date()) {
+      throw new ValidationError('Expiry must be in the future', null, 'INVALID_EXPIRY');
+    }
+
+    const prefix = `${KEY_PREFIX}_${randomBytes(6).toString('hex')}`;
+    const key = `${prefix}_${randomBytes(32).toString('base64url')}`;
+    const password = await bcrypt.hash(randomBytes(32).toString('hex'), parseInt(process.env.BCRYPT_ROUNDS) || 12);
+
+    const apiKey = await prisma.$transaction(async (tx) => {
+      const serviceAccount = await tx.user.create({
+        data: { email: `${prefix}@service-accounts.invalid`, password, isServiceAccount: true },
+      });
+      return tx.apiKey.create({
+        data: {
+          name,
+          description,
+          prefix,
+          keyHash: hashKey(key),
+          permissions: [...new Set(permissions)],
+          expiresAt: expiresAt || null,
+          serviceAccountId: serviceAccount.id,
+          createdById: req.user.id,
+        },
+        select: apiKeySelect,
+      });
+    });
+
+    await createAuditLog(req.user.id, 'CREATE', 'api_keys', apiKey.id, null, { name, prefix, permissions: apiKey.permissions, expiresAt: apiKey.expiresAt }, req);
+    logger.info('API key created', { apiKeyId: apiKey.id, prefix, createdBy: req.user.id });
+
+    return { apiKey: toApiKeyResponse(apiKey), key };
+  },
+
+  // Revoking also deactivates the service account behind the key
+  async revoke(id, req) {
+    const existing = await prisma.apiKey.findUnique({ where: { id }, select: { id: true, revokedAt: true, serviceAccountId: true } });
+    if (!existing) {
+      throw new NotFoundError('API key not found', null, 'NOT_FOUND');
+    }
+    if (existing.revokedAt) {
+      throw new ValidationError('API key is already revoked', null, 'API_KEY_REVOKED');
+    }
+
+    const [apiKey] = await prisma.$transaction([
+      prisma.apiKey.update({ where: { id }, data: { revokedAt: new Date() }, select: apiKeySelect }),
+      prisma.user.update({ where: { id: existing.serviceAccountId }, data: { isActive: false } }),
+    ]);
+
+    await createAuditLog(req.user.id, 'UPDATE', 'api_keys', id, { revokedAt: null }, { revokedAt: apiKey.revokedAt }, req);
+    logger.info('API key revoked', { apiKeyId: id, revokedBy: req.user.id });
+
+    return toApiKeyResponse(apiKey);
+  },
+
+  /**
+   * Resolve the X-API-Key header to the request user: the key's service
+   * account with exactly the permissions of the key.
+   */
+  async authenticate(key, req) {
+    if (!key.startsWith(`${KEY_PREFIX}_`)) {
+      throw new AuthenticationError('Invalid API key', null, 'INVALID_API_KEY');
+    }
+
+    const apiKey = await prisma.apiKey.findUnique({
+      where: { keyHash: hashKey(key) },
+      include: { serviceAccount: { select: { id: true, email: true, role: true, accessRoleId: true, isActive: true } } },
+    });
+    if (!apiKey || apiKey.revokedAt || !apiKey.serviceAccount.isActive) {
+      throw new AuthenticationError('Invalid API key', null, 'INVALID_API_KEY');
+    }
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+      throw new AuthenticationError('API key expired', null, 'API_KEY_EXPIRED');
+    }
+
+    // Usage is recorded at most once a minute per key
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_INTERVAL_MS) {
+      prisma.apiKey
+        .update({ where: { id: apiKey.id }, data: { lastUsedAt: new Date(), lastUsedIp: req.ip || null } })
+        .catch((error) => logger.error('Failed to record API key usage', { apiKeyId: apiKey.id, error: error.message }));
+    }
+
+    return {
+      ...apiKey.serviceAccount,
+      employee: null,
+      permissions: Object.fromEntries(apiKey.permissions.map((permission) => [permission, 'ALL'])),
+      apiKey: { id: apiKey.id, name: apiKey.name, prefix: apiKey.prefix },
+    };
+  },
+};
+
+export { apiKeyService };
@@ -0,0 +1,230 @@
+import prisma from '../config/prisma.js';
+import { AuthorizationError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { createAuditLog } from '../middleware/auditMiddleware.js';
+import { permissionService } from './permissionService.js';
+import logger from '../utils/logger.js';
+
+const personSelect = { id: true, firstName: true, lastName: true, employeeId: true };
+
+const delegationInclude = {
+  delegator: { select: personSelect },
+  delegate: { select: personSelect },
+};
+
+// Delegations run on calendar days, stored as dates at UTC midnight
+const startOfToday = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+};
+
+// A delegation ends by itself once its end date has passed
+const getStatus = (delegation) => {
+  const today = startOfToday();
+  if (delegation.revokedAt) return 'REVOKED';
+  if (delegation.endDate < today) return 'ENDED';
+  if (delegation.startDate > today) return 'SCHEDULED';
+  return 'ACTIVE';
+};
+
+const toDelegationResponse = (delegation) => ({ ...delegation, status: getStatus(delegation) });
+
+/**
+ * The delegator as a request user, so their own approval scope can be
+ * evaluated. Null when they have no active account.
+ */
+const loadDelegatorUser = async (employeeId) => {
+  const employee = await prisma.employee.findUnique({
+    where: { id: employeeId },
+    select: {
+      id: true,
+      departmentId: true,
+      positionId: true,
+      managerId: true,
+      user: { select: { id: true, role: true, accessRoleId: true, isActive: true } },
+    },
+  });
+  if (!employee?.user?.isActive) return null;
+
+  const { user, ...self } = employee;
+  const delegatorUser = { ...user, employee: self };
+  return { ...delegatorUser, permissions: await permissionService.getPermissions(delegatorUser) };
+};
+
+const approvalDelegationService = {
+  /**
+   * Delegations given or received by the user; holders of leave:approve for
+   * all records see every delegation.
+   */
+  async list(user) {
+    const seesAll = (await permissionService.getScope(user, 'leave:approve')) === 'ALL';
+    if (!seesAll && !user.employee) return [];
+
+    const delegations = await prisma.approvalDelegation.findMany({
+      where: seesAll ? {} : { OR: [{ delegatorId: user.employee.id }, { delegateId: user.employee.id }] },
+      include: delegationInclude,
+      orderBy: [{ startDate: 'desc' }, { createdAt: 'desc' }],
+    });
+    return delegations.map(toDelegationResponse);
+  },
+
+  // Employees who can receive a delegation: active and able to sign in
+  async getCandidates(user, search) {
+    return prisma.employee.findMany({
+      where: {
+        employmentStatus: 'ACTIVE',
+        user: { isActive: true },
+        ...(user.employee && { id: { not: user.employee.id } }),
+        ...(search && {
+          OR: [
+            { firstName: { contains: search, mode: 'insensitive' } },
+            { lastName: { contains: search, mode: 'insensitive' } },
+            { employeeId: { contains: search, mode: 'insensitive' } },
+          ],
+        }),
+      },
+      select: { ...personSelect, position: { select: { title: true } }, department: { select: { name: true } } },
+      orderBy: [{ firstName: 'asc' }, { lastName: 'asc' }],
+      take: 20,
+    });
+  },
+
+  /**
+   * Delegate the approval authority of `delegatorId` (the current user unless
+   * an approver for all records sets it up for someone else).
+   */
+  async create({ delegatorId, delegateId, startDate, endDate, leaveTypes = [], reason }, req) {
+    const ownId = req.user.employee?.id;
+    delegatorId = delegatorId || ownId;
+    if (!delegatorId) {
+      throw new ValidationError('Only employees can delegate approvals', null, 'NO_EMPLOYEE_PROFILE');
+    }
+    if (delegatorId !== ownId && (await permissionService.getScope(req.user, 'leave:approve')) !== 'ALL') {
+      throw new AuthorizationError('You can only delegate your own approvals', null, 'ACCESS_DENIED');
+    }
+    if (delegateId === delegatorId) {
+      throw new ValidationError('Approvals cannot be delegated to the same person', null, 'INVALID_DELEGATE');
+    }
+    if (startDate > endDate) {
+      throw new ValidationError('Start date cannot be after end date', null, 'INVALID_DATE_RANGE');
+    }
+    if (endDate < startOfToday()) {
+      throw new ValidationError('The delegation must not end in the past', null, 'INVALID_DATE_RANGE');
+    }
+
+    const delegator = await loadDelegatorUser(delegatorId);
+    if (!delegator || !(await permissionService.can(delegator, 'leave:approve'))) {
+      throw new ValidationError('The delegator cannot approve leave requests', null, 'DELEGATOR_CANNOT_APPROVE');
+    }
+    const delegate = await prisma.employee.findFirst({
+      where: { id: delegateId, employmentStatus: 'ACTIVE', user: { isActive: true } },
+      select: { id: true },
+    });
+    if (!delegate) {
+      throw new ValidationError('The delegate must be an active employee with a user account', null, 'INVALID_DELEGATE');
+    }
+
+    const delegation = await prisma.approvalDelegation.create({
+      data: { delegatorId, delegateId, startDate, endDate, leaveTypes: [...new Set(leaveTypes)], reason },
+      include: delegationInclude,
+    });
+
+    await createAuditLog(req.user.id, 'CREATE', 'approval_delegations', delegation.id, null, delegation, req);
+    logger.info('Approval delegation created', { delegationId: delegation.id, delegatorId, delegateId, userId: req.user.id });
+
+    return toDelegationResponse(delegation);
+  },
+
+  async revoke(id, req) {
+    const existing = await prisma.approvalDelegation.findUnique({ where: { id } });
+    if (!existing) {
+      throw new NotFoundError('Delegation not found', null, 'NOT_FOUND');
+    }
+    if (existing.delegatorId !== req.user.employee?.id && (await permissionService.getScope(req.user, 'leave:approve')) !== 'ALL') {
+      throw new AuthorizationError('You can only revoke your own delegations', null, 'ACCESS_DENIED');
+    }
+    if (['REVOKED', 'ENDED'].includes(getStatus(existing))) {
+      throw new ValidationError('The delegation is no longer in effect', null, 'DELEGATION_INACTIVE');
+    }
+
+    const delegation = await prisma.approvalDelegation.update({
+      where: { id },
+      data: { revokedAt: new Date() },
+      include: delegationInclude,
+    });
+
+    await createAuditLog(req.user.id, 'UPDATE', 'approval_delegations', id, { revokedAt: null }, { revokedAt: delegation.revokedAt }, req);
+    return toDelegationResponse(delegation);
+  },
+
+  /**
+   * Leave request filters the user may act on through delegations in effect
+   * today, one per delegation: what the delegator could approve, limited to
+   * the delegated leave types and never the delegator's or the delegate's
+   * own requests.
+   * Resolved once per request and kept on the user object.
+   */
+  async getDelegatedScopes(user) {
+    if (user.delegatedScopes) return user.delegatedScopes;
+    if (!user.employee) return [];
+
+    const today = startOfToday();
+    const delegations = await prisma.approvalDelegation.findMany({
+      where: { delegateId: user.employee.id, revokedAt: null, startDate: { lte: today }, endDate: { gte: today } },
+      include: { delegator: { select: personSelect } },
+    });
+
+    const scopes = [];
+    for (const delegation of delegations) {
+      const delegator = await loadDelegatorUser(delegation.delegatorId);
+      if (!delegator) continue;
+      scopes.push({
+        delegation,
+        where: {
+          AND: [
+            await permissionService.scopeWhere(delegator, 'leave:approve'),
+            delegation.leaveTypes.length > 0 ? { policy: { leaveType: { in: delegation.leaveTypes } } } : {},
+            { employeeId: { not: delegation.delegatorId } },
+            { employeeId: { not: user.employee.id } },
+          ],
+        },
+      });
+    }
+
+    user.delegatedScopes = scopes;
+    return scopes;
+  },
+
+  // The delegation allowing the user to decide on a leave request, if any
+  async findDelegation(user, leaveRequestId) {
+    for (const scope of await this.getDelegatedScopes(user)) {
+      const match = await prisma.leaveRequest.count({ where: { AND: [{ id: leaveRequestId }, scope.where] } });
+      if (match > 0) return scope.delegation;
+    }
+    return null;
+  },
+
+  /**
+   * Mark the leave requests the user can only decide on through a delegation
+   * with `delegatedBy`, the manager they act for.
+   */
+  async annotate(user, leaveRequests) {
+    const scopes = await this.getDelegatedScopes(user);
+    if (scopes.length === 0 || leaveRequests.length === 0) return leaveRequests;
+
+    const ids = leaveRequests.map((leaveRequest) => leaveRequest.id);
+    const own = await prisma.leaveRequest.findMany({
+      where: { AND: [{ id: { in: ids } }, await permissionService.scopeWhere(user, 'leave:approve')] },
+      select: { id: true },
+    });
+    const delegatedBy = new Map(own.map((row) => [row.id, null]));
+
+    for (const scope of scopes) {
+      const rows = await prisma.leaveRequest.findMany({ where: { AND: [{ id: { in: ids } }, scope.where] }, select: { id: true } });
+      rows.filter((row) => !delegatedBy.has(row.id)).forEach((row) => delegatedBy.set(row.id, scope.delegation.delegator));
+    }
+
+    return leaveRequests.map((leaveRequest) => ({ ...leaveRequest, delegatedBy: delegatedBy.get(leaveRequest.id) || null }));
+  },
+};
+
+export { approvalDelegationService };
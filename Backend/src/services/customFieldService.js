@@ -0,0 +1,443 @@
+import prisma from '../config/prisma.js';
+import { AppError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { fieldPolicyService } from './fieldPolicyService.js';
+import { createAuditLog } from '../middleware/auditMiddleware.js';
+import logger from '../utils/logger.js';
+
+const ENTITIES = ['EMPLOYEE', 'JOB_APPLICATION'];
+const TYPES = ['TEXT', 'NUMBER', 'DATE', 'SELECT', 'MULTI_SELECT'];
+const OPTION_TYPES = ['SELECT', 'MULTI_SELECT'];
+
+// Tables holding the values, for clearing them when a definition is deleted
+const VALUE_TABLES = {
+  EMPLOYEE: 'employees',
+  JOB_APPLICATION: 'job_applications',
+};
+
+const KEY_PATTERN = /^[a-z][a-zA-Z0-9_]{0,49}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_MAX_LENGTH = 1000;
+
+// Patterns come from admins but run against public job application input, so
+// they are kept short and tested against short values only
+const MAX_PATTERN_LENGTH = 200;
+const MAX_PATTERN_INPUT_LENGTH = 255;
+
+// Definitions are read on every response, so they are cached; edits clear the
+// cache, the TTL bounds staleness when several instances share the database
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null;
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+const isValidDate = (value) =>
+  typeof value === 'string' && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+
+// Job applications are recognised by columns no other model combines
+const isApplicationRecord = (value) => 'jobPostingId' in value && 'appliedAt' in value;
+
+const recordEntity = (value) => {
+  if (fieldPolicyService.isEmployeeRecord(value)) return 'EMPLOYEE';
+  if (isApplicationRecord(value)) return 'JOB_APPLICATION';
+  return null;
+};
+
+/**
+ * Whether a user may see and edit a field. Users who manage custom fields see
+ * every field, others those open to their role; anonymous callers (public
+ * job applications) only those without a role restriction.
+ */
+const isVisibleTo = (definition, user) =>
+  definition.visibleToRoles.length === 0 ||
+  Boolean(user?.permissions?.['customFields:manage']) ||
+  definition.visibleToRoles.includes(user?.role);
+
+/**
+ * Reasons a pattern could backtrack catastrophically: back-references and
+ * quantified groups that contain a quantifier or an alternation themselves,
+ * like `(a+)+`, `(\w*\s?)*` or `(a|aa)+`. Returns null for patterns that are
+ * safe to run.
+ */
+const unsafePatternReason = (pattern) => {
+  const groups = [];
+  let group = { quantified: false, alternation: false };
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    if (char === '\\') {
+      if (!inClass && /[1-9k]/.test(pattern[i + 1] || '')) return 'Back-references are not supported';
+      i += 1;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(group);
+      group = { quantified: false, alternation: false };
+    } else if (char === ')') {
+      const inner = group;
+      group = groups.pop() ?? { quantified: false, alternation: false };
+      const repeated = /[*+{]/.test(pattern[i + 1] || '');
+      if (repeated && inner.quantified) return 'Repeated groups must not contain repetitions themselves';
+      if (repeated && inner.alternation) return 'Repeated groups must not contain alternatives';
+      group.quantified = group.quantified || inner.quantified;
+      group.alternation = group.alternation || inner.alternation;
+    } else if (char === '|') {
+      group.alternation = true;
+    } else if (char === '*' || char === '+' || char === '{') {
+      group.quantified = true;
+    }
+  }
+  return null;
+};
+
+/**
+ * Check a value against its definition and return it normalised: trimmed
+ * text, numbers, "YYYY-MM-DD" dates and de-duplicated option lists.
+ */
+const normalizeValue = (definition, raw) => {
+  const rules = definition.validation || {};
+
+  switch (definition.type) {
+    case 'TEXT': {
+      if (typeof raw !== 'string' && typeof raw !== 'number') return { message: 'Must be text' };
+      const value = String(raw).trim();
+      const maxLength = rules.pattern
+        ? Math.min(rules.maxLength ?? MAX_PATTERN_INPUT_LENGTH, MAX_PATTERN_INPUT_LENGTH)
+        : (rules.maxLength ?? DEFAULT_MAX_LENGTH);
+      if (value.length > maxLength) {
+        return { message: `Must be at most ${maxLength} characters` };
+      }
+      if (rules.pattern && !new RegExp(rules.pattern).test(value)) {
+        return { message: rules.patternMessage || 'Has an invalid format' };
+      }
+      return { value };
+    }
+    case 'NUMBER': {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { message: 'Must be a number' };
+      if (rules.min !== undefined && value < rules.min) return { message: `Must be at least ${rules.min}` };
+      if (rules.max !== undefined && value > rules.max) return { message: `Must be at most ${rules.max}` };
+      return { value };
+    }
+    case 'DATE': {
+      const value = typeof raw === 'string' ? raw.slice(0, 10) : raw;
+      if (!isValidDate(value)) return { message: 'Must be a date (YYYY-MM-DD)' };
+      if (rules.min && value < rules.min) return { message: `Must be on or after ${rules.min}` };
+      if (rules.max && value > rules.max) return { message: `Must be on or before ${rules.max}` };
+      return { value };
+    }
+    case 'SELECT':
+      if (!definition.options.includes(raw)) return { message: `Must be one of: ${definition.options.join(', ')}` };
+      return { value: raw };
+    case 'MULTI_SELECT': {
+      if (!Array.isArray(raw)) return { message: 'Must be a list of options' };
+      const invalid = raw.filter((item) => !definition.options.includes(item));
+      if (invalid.length > 0) return { message: `Unknown options: ${invalid.join(', ')}` };
+      return { value: [...new Set(raw)] };
+    }
+    default:
+      return { message: 'Unsupported field type' };
+  }
+};
+
+/**
+ * Check the type specific parts of a definition: options only for select
+ * fields, min/max only for numbers and dates, maxLength/pattern only for text.
+ */
+const checkDefinition = ({ type, options = [], validation }) => {
+  const problems = [];
+  const rules = validation || {};
+
+  if (OPTION_TYPES.includes(type)) {
+    if (options.length === 0) problems.push({ path: 'options', message: 'Select fields need at least one option' });
+    if (new Set(options).size !== options.length) problems.push({ path: 'options', message: 'Options must be unique' });
+  } else if (options.length > 0) {
+    problems.push({ path: 'options', message: 'Only select fields have options' });
+  }
+
+  const allowed = { TEXT: ['maxLength', 'pattern', 'patternMessage'], NUMBER: ['min', 'max'], DATE: ['min', 'max'] }[type] || [];
+  Object.keys(rules)
+    .filter((rule) => rules[rule] !== undefined && !allowed.includes(rule))
+    .forEach((rule) => problems.push({ path: `validation.${rule}`, message: `Not supported for ${type.toLowerCase()} fields` }));
+
+  if (type === 'NUMBER' && ['min', 'max'].some((rule) => rules[rule] !== undefined && typeof rules[rule] !== 'number')) {
+    problems.push({ path: 'validation', message: 'Limits of number fields must be numbers' });
+  }
+  if (type === 'DATE' && ['min', 'max'].some((rule) => rules[rule] !== undefined && !isValidDate(rules[rule]))) {
+    problems.push({ path: 'validation', message: 'Limits of date fields must be dates (YYYY-MM-DD)' });
+  }
+  if (rules.min !== undefined && rules.max !== undefined && rules.min > rules.max) {
+    problems.push({ path: 'validation', message: 'The minimum must not exceed the maximum' });
+  }
+  if (rules.pattern) {
+    try {
+      new RegExp(rules.pattern);
+      const reason =
+        rules.pattern.length > MAX_PATTERN_LENGTH
+          ? `Must be at most ${MAX_PATTERN_LENGTH} characters`
+          : unsafePatternReason(rules.pattern);
+      if (reason) problems.push({ path: 'validation.pattern', message: reason });
+    } catch {
+      problems.push({ path: 'validation.pattern', message: 'Not a valid regular expression' });
+    }
+    if (rules.maxLength > MAX_PATTERN_INPUT_LENGTH) {
+      problems.push({
+        path: 'validation.maxLength',
+        message: `Fields with a pattern hold at most ${MAX_PATTERN_INPUT_LENGTH} characters`,
+      });
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ValidationError('Invalid custom field definition', problems, 'INVALID_CUSTOM_FIELD_DEFINITION');
+  }
+};
+
+// Drop rules without a value so stored definitions stay minimal
+const compactRules = (validation) => {
+  if (!validation) return null;
+  const rules = Object.fromEntries(Object.entries(validation).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+  return Object.keys(rules).length > 0 ? rules : null;
+};
+
+const customFieldService = {
+  ENTITIES,
+  TYPES,
+  KEY_PATTERN,
+  isVisibleTo,
+
+  clearCache() {
+    cache = null;
+  },
+
+  // Every definition, active or not, ordered for display
+  async getDefinitions() {
+    if (cache && cache.expiresAt > Date.now()) {
+      return cache.definitions;
+    }
+    const definitions = await prisma.customFieldDefinition.findMany({
+      orderBy: [{ sortOrder: 'asc' }, { label: 'asc' }],
+    });
+    cache = { definitions, expiresAt: Date.now() + CACHE_TTL_MS };
+    return definitions;
+  },
+
+  /**
+   * Definitions of an entity the user can see. Inactive fields are left out
+   * unless asked for: their values are kept but no longer edited.
+   */
+  async listForUser(entity, user, { includeInactive = false } = {}) {
+    const definitions = await this.getDefinitions();
+    return definitions.filter(
+      (definition) => definition.entity === entity && (includeInactive || definition.isActive) && isVisibleTo(definition, user)
+    );
+  },
+
+  async create(data, req) {
+    checkDefinition(data);
+    const existing = await prisma.customFieldDefinition.findUnique({
+      where: { entity_key: { entity: data.entity, key: data.key } },
+    });
+    if (existing) {
+      throw new AppError('A custom field with this key already exists', 409, { field: 'key' }, 'DUPLICATE_CUSTOM_FIELD');
+    }
+
+    const definition = await prisma.customFieldDefinition.create({
+      data: { ...data, validation: compactRules(data.validation), createdById: req.user.id },
+    });
+    this.clearCache();
+
+    await createAuditLog(req.user.id, 'CREATE', 'custom_field_definitions', definition.id, null, definition, req);
+    logger.info('Custom field created', { customFieldId: definition.id, entity: definition.entity, key: definition.key });
+    return definition;
+  },
+
+  /**
+   * Update a definition. Entity, key and type are fixed once values may
+   * exist; narrowing options or limits only affects values entered later.
+   */
+  async update(id, data, req) {
+    const current = await prisma.customFieldDefinition.findUnique({ where: { id } });
+    if (!current) {
+      throw new NotFoundError('Custom field not found', null, 'NOT_FOUND');
+    }
+
+    const validation = data.validation === undefined ? current.validation : compactRules(data.validation);
+    checkDefinition({ type: current.type, options: data.options ?? current.options, validation });
+
+    const definition = await prisma.customFieldDefinition.update({
+      where: { id },
+      data: { ...data, ...(data.validation !== undefined && { validation }) },
+    });
+    this.clearCache();
+
+    await createAuditLog(req.user.id, 'UPDATE', 'custom_field_definitions', id, current, definition, req);
+    logger.info('Custom field updated', { customFieldId: id });
+    return definition;
+  },
+
+  // Delete a definition together with the values stored under its key
+  async remove(id, req) {
+    const current = await prisma.customFieldDefinition.findUnique({ where: { id } });
+    if (!current) {
+      throw new NotFoundError('Custom field not found', null, 'NOT_FOUND');
+    }
+
+    const table = VALUE_TABLES[current.entity];
+    await prisma.$transaction([
+      prisma.$executeRawUnsafe(
+        `UPDATE "${table}" SET "customFields" = "customFields" - $1 WHERE "customFields" -> $1 IS NOT NULL`,
+        current.key
+      ),
+      prisma.customFieldDefinition.delete({ where: { id } }),
+    ]);
+    this.clearCache();
+
+    await createAuditLog(req.user.id, 'DELETE', 'custom_field_definitions', id, current, null, req);
+    logger.info('Custom field deleted', { customFieldId: id, entity: current.entity, key: current.key });
+    return current;
+  },
+
+  /**
+   * Validate submitted custom field values and merge them into the stored
+   * ones. Fields hidden from the user cannot be set, but keep their stored
+   * values; an empty value clears a field. Required fields must be filled
+   * on creation and cannot be cleared later.
+   */
+  async prepareValues(entity, input, { user = null, existing = {}, isCreate = false } = {}) {
+    const definitions = await this.listForUser(entity, user);
+    const byKey = new Map(definitions.map((definition) => [definition.key, definition]));
+    const values = { ...(existing || {}) };
+    const problems = [];
+    const submitted = input || {};
+
+    for (const [key, raw] of Object.entries(submitted)) {
+      const definition = byKey.get(key);
+      if (!definition) {
+        problems.push({ path: `customFields.${key}`, message: 'Unknown custom field' });
+        continue;
+      }
+      if (isEmpty(raw)) {
+        delete values[key];
+        continue;
+      }
+      const { value, message } = normalizeValue(definition, raw);
+      if (message) {
+        problems.push({ path: `customFields.${key}`, message: `${definition.label}: ${message}` });
+      } else {
+        values[key] = value;
+      }
+    }
+
+    definitions
+      .filter((definition) => definition.required && (isCreate || definition.key in submitted))
+      .filter((definition) => isEmpty(values[definition.key]) && !problems.some((problem) => problem.path === `customFields.${definition.key}`))
+      .forEach((definition) => problems.push({ path: `customFields.${definition.key}`, message: `${definition.label} is required` }));
+
+    if (problems.length > 0) {
+      throw new ValidationError('Invalid custom fields', problems, 'INVALID_CUSTOM_FIELDS');
+    }
+    return values;
+  },
+
+  /**
+   * Prisma conditions for `customFields[key]=value` query filters. Text
+   * matches partially, select and date fields exactly, multi-select fields
+   * need every listed option and numbers take an exact value or
+   * `[min]`/`[max]` bounds.
+   */
+  async buildFilters(entity, filters, user) {
+    if (!filters || typeof filters !== 'object') return [];
+
+    const definitions = await this.listForUser(entity, user, { includeInactive: true });
+    const byKey = new Map(definitions.map((definition) => [definition.key, definition]));
+    const problems = [];
+    const conditions = [];
+
+    for (const [key, raw] of Object.entries(filters)) {
+      const definition = byKey.get(key);
+      if (!definition) {
+        problems.push({ path: `customFields.${key}`, message: 'Unknown custom field' });
+        continue;
+      }
+      if (isEmpty(raw)) continue;
+      const path = [key];
+
+      if (definition.type === 'NUMBER') {
+        const bounds = typeof raw === 'object' && !Array.isArray(raw) ? raw : { equals: raw };
+        const condition = { path };
+        for (const [bound, operator] of [['equals', 'equals'], ['min', 'gte'], ['max', 'lte']]) {
+          if (isEmpty(bounds[bound])) continue;
+          const value = Number(bounds[bound]);
+          if (!Number.isFinite(value)) {
+            problems.push({ path: `customFields.${key}`, message: 'Must be a number' });
+          } else {
+            condition[operator] = value;
+          }
+        }
+        if (Object.keys(condition).length > 1) conditions.push({ customFields: condition });
+        continue;
+      }
+
+      if (typeof raw !== 'string' && !Array.isArray(raw)) {
+        problems.push({ path: `customFields.${key}`, message: 'Invalid filter value' });
+        continue;
+      }
+      if (definition.type === 'TEXT') {
+        conditions.push({ customFields: { path, string_contains: String(raw), mode: 'insensitive' } });
+      } else if (definition.type === 'MULTI_SELECT') {
+        const options = Array.isArray(raw) ? raw : raw.split(',').map((option) => option.trim()).filter(Boolean);
+        conditions.push({ customFields: { path, array_contains: options } });
+      } else if (definition.type === 'DATE' && !isValidDate(raw)) {
+        problems.push({ path: `customFields.${key}`, message: 'Must be a date (YYYY-MM-DD)' });
+      } else {
+        conditions.push({ customFields: { path, equals: raw } });
+      }
+    }
+
+    if (problems.length > 0) {
+      throw new ValidationError('Invalid custom field filter', problems, 'INVALID_CUSTOM_FIELD_FILTER');
+    }
+    return conditions;
+  },
+
+  /**
+   * Remove values of fields hidden from the user from every employee
+   * and job application in a response payload.
+   */
+  redact(user, definitions, payload) {
+    const hidden = new Map(
+      ENTITIES.map((entity) => [
+        entity,
+        new Set(
+          definitions
+            .filter((definition) => definition.entity === entity && !isVisibleTo(definition, user))
+            .map((definition) => definition.key)
+        ),
+      ])
+    );
+    if ([...hidden.values()].every((keys) => keys.size === 0)) {
+      return payload;
+    }
+
+    const walk = (value) => {
+      if (Array.isArray(value)) return value.map(walk);
+      if (value === null || typeof value !== 'object' || Object.getPrototypeOf(value) !== Object.prototype) return value;
+
+      const walked = Object.fromEntries(Object.entries(value).map(([key, item]) => [key, walk(item)]));
+      const entity = recordEntity(walked);
+      if (entity && walked.customFields && typeof walked.customFields === 'object') {
+        walked.customFields = Object.fromEntries(
+          Object.entries(walked.customFields).filter(([key]) => !hidden.get(entity).has(key))
+        );
+      }
+      return walked;
+    };
+    return walk(payload);
+  },
+};
+
+export { customFieldService };
@@ -0,0 +1,182 @@
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import prisma from '../config/prisma.js';
+import { createAuditLog } from '../middleware/auditMiddleware.js';
+import { buildEmployeeFilters } from './employeeService.js';
+import { fieldPolicyService } from './fieldPolicyService.js';
+import { getSettingValue } from './settingService.js';
+import logger from '../utils/logger.js';
+
+const BATCH_SIZE = 500;
+
+const fullName = (person) => (person ? `${person.firstName} ${person.lastName}` : '');
+
+const formatDate = (value) => (value instanceof Date ? value.toISOString().slice(0, 10) : value);
+
+/**
+ * Exportable columns. Values are read after the field policy has been
+ * applied, so sensitive fields come out masked or empty as they would in
+ * the API.
+ */
+const EXPORT_COLUMNS = {
+  employeeId: { label: 'Employee ID', value: (employee) => employee.employeeId },
+  firstName: { label: 'First Name', value: (employee) => employee.firstName },
+  middleName: { label: 'Middle Name', value: (employee) => employee.middleName },
+  lastName: { label: 'Last Name', value: (employee) => employee.lastName },
+  email: { label: 'Email', value: (employee) => employee.email },
+  phone: { label: 'Phone', value: (employee) => employee.phone },
+  department: { label: 'Department', value: (employee) => employee.department?.name },
+  position: { label: 'Position', value: (employee) => employee.position?.title },
+  manager: { label: 'Manager', value: (employee) => fullName(employee.manager) },
+  employmentType: { label: 'Employment Type', value: (employee) => employee.employmentType },
+  employmentStatus: { label: 'Employment Status', value: (employee) => employee.employmentStatus },
+  hireDate: { label: 'Hire Date', value: (employee) => formatDate(employee.hireDate) },
+  address: { label: 'Address', value: (employee) => employee.address },
+  city: { label: 'City', value: (employee) => employee.city },
+  state: { label: 'State', value: (employee) => employee.state },
+  country: { label: 'Country', value: (employee) => employee.country },
+  zipCode: { label: 'Zip Code', value: (employee) => employee.zipCode },
+  dateOfBirth: { label: 'Date of Birth', value: (employee) => formatDate(employee.dateOfBirth) },
+  baseSalary: { label: 'Base Salary', value: (employee) => employee.baseSalary?.toString() },
+  currency: { label: 'Currency', value: (employee) => employee.currency },
+};
+
+const EXPORT_COLUMN_KEYS = Object.keys(EXPORT_COLUMNS);
+
+const DEFAULT_EXPORT_COLUMNS = [
+  'employeeId', 'firstName', 'lastName', 'email', 'phone', 'department', 'position', 'manager', 'employmentStatus', 'hireDate',
+];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  vcf: { contentType: 'text/vcard; charset=utf-8', extension: 'vcf' },
+};
+
+const exportInclude = {
+  department: { select: { id: true, name: true } },
+  position: { select: { id: true, title: true } },
+  manager: { select: { id: true, firstName: true, lastName: true } },
+};
+
+// Employees in pages, so large directories never sit in memory at once
+async function* employeeBatches(where) {
+  let cursor = null;
+  while (true) {
+    const batch = await prisma.employee.findMany({
+      where,
+      include: exportInclude,
+      orderBy: [{ lastName: 'asc' }, { firstName: 'asc' }, { id: 'asc' }],
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+    if (batch.length === 0) return;
+    yield batch;
+    if (batch.length < BATCH_SIZE) return;
+    cursor = batch[batch.length - 1].id;
+  }
+}
+
+const write = async (stream, chunk) => {
+  if (!stream.write(chunk)) await once(stream, 'drain');
+};
+
+// Employees edit fields like their address and phone themselves, so text a
+// spreadsheet would run as a formula is prefixed with an apostrophe
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  const raw = value === undefined || value === null ? '' : String(value);
+  const text = FORMULA_START.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// vCard 3.0 text values escape backslashes, commas, semicolons and newlines
+const vcardText = (value) => String(value ?? '').replace(/\\/g, '\\\\').replace(/[,;]/g, '\\$&').replace(/\r?\n/g, '\\n');
+
+const toVCard = (employee, companyName) => {
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `N:${[employee.lastName, employee.firstName, employee.middleName, '', ''].map(vcardText).join(';')}`,
+    `FN:${vcardText(fullName(employee))}`,
+  ];
+  if (companyName || employee.department) {
+    lines.push(`ORG:${[companyName, employee.department?.name].filter(Boolean).map(vcardText).join(';')}`);
+  }
+  if (employee.position) lines.push(`TITLE:${vcardText(employee.position.title)}`);
+  lines.push(`EMAIL;TYPE=INTERNET,WORK:${vcardText(employee.email)}`);
+  if (employee.phone) lines.push(`TEL;TYPE=WORK,VOICE:${vcardText(employee.phone)}`);
+  lines.push(`UID:${vcardText(employee.employeeId)}`, 'END:VCARD');
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+const writers = {
+  async csv(stream, batches, columns) {
+    // The byte order mark makes Excel read the file as UTF-8
+    await write(stream, `\uFEFF${columns.map((key) => csvCell(EXPORT_COLUMNS[key].label)).join(',')}\r\n`);
+    for await (const batch of batches) {
+      const lines = batch.map((employee) => columns.map((key) => csvCell(EXPORT_COLUMNS[key].value(employee))).join(','));
+      await write(stream, `${lines.join('\r\n')}\r\n`);
+    }
+  },
+
+  async xlsx(stream, batches, columns) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useSharedStrings: false });
+    const worksheet = workbook.addWorksheet('Employees');
+    worksheet.columns = columns.map((key) => ({ header: EXPORT_COLUMNS[key].label, key, width: 20 }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).commit();
+    // Values are plain strings, which ExcelJS writes as text cells; only
+    // `{ formula }` objects become formulas
+    for await (const batch of batches) {
+      batch.forEach((employee) => {
+        worksheet.addRow(Object.fromEntries(columns.map((key) => [key, EXPORT_COLUMNS[key].value(employee) ?? null]))).commit();
+      });
+    }
+    worksheet.commit();
+    await workbook.commit();
+  },
+
+  async vcf(stream, batches) {
+    const companyName = await getSettingValue('general.companyName', '');
+    for await (const batch of batches) {
+      await write(stream, batch.map((employee) => toVCard(employee, companyName)).join(''));
+    }
+  },
+};
+
+const employeeExportService = {
+  EXPORT_COLUMN_KEYS,
+  DEFAULT_EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+
+  /**
+   * Stream the employees the user may read, filtered like the directory,
+   * into `res` as CSV, XLSX or vCard. vCards always carry the contact
+   * fields; `columns` applies to CSV and XLSX.
+   */
+  async exportEmployees(res, { format, columns = DEFAULT_EXPORT_COLUMNS, filters = {} }, req) {
+    const where = await buildEmployeeFilters(req.user, filters);
+    const { contentType, extension } = EXPORT_FORMATS[format];
+
+    let count = 0;
+    const batches = (async function* masked() {
+      for await (const batch of employeeBatches(where)) {
+        count += batch.length;
+        yield batch.map((employee) => fieldPolicyService.maskEmployee(req.user, employee));
+      }
+    })();
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="employees-${new Date().toISOString().slice(0, 10)}.${extension}"`);
+
+    await writers[format](res, batches, columns);
+    if (!res.writableEnded) res.end();
+
+    await createAuditLog(req.user.id, 'READ', 'employees', null, null, { export: format, columns, filters, count }, req);
+    logger.info('Employees exported', { format, count, userId: req.user.id });
+  },
+};
+
+export { employeeExportService };
@@ -0,0 +1,209 @@
+import prisma from '../config/prisma.js';
+import { ValidationError } from '../utils/errors.js';
+import { getSettingBoolean, getSettingList, getSettingValue } from './settingService.js';
+import logger from '../utils/logger.js';
+
+// Setting keys, all stored under the "employees" category. Without a pattern
+// employee IDs are entered by hand.
+const ID_SETTINGS = {
+  pattern: 'employees.idPattern',
+  allowManual: 'employees.idAllowManual',
+  departmentCodes: 'employees.idDepartmentCodes',
+};
+
+const TOKEN = /\{([A-Z]+)(?::(\d+))?\}/g;
+const TOKENS = ['SEQ', 'YYYY', 'YY', 'MM', 'DEPT', 'COUNTRY'];
+const LITERAL = /^[A-Za-z0-9\-_./]*$/;
+const DEFAULT_SEQ_WIDTH = 4;
+const MAX_ID_LENGTH = 50;
+const MAX_ATTEMPTS = 100;
+
+// Pattern rendered with the sequence left in, e.g. "ENG-2026-{SEQ}"; each
+// scope counts on its own
+const SEQ_PLACEHOLDER = '{SEQ}';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const normalizeCode = (value) => String(value ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Split a pattern such as "{COUNTRY}-{YYYY}-{SEQ:5}" into literal text and
+ * tokens. The pattern needs exactly one {SEQ}.
+ */
+const parsePattern = (pattern) => {
+  const parts = [];
+  const problems = [];
+  let last = 0;
+
+  for (const match of pattern.matchAll(TOKEN)) {
+    if (match.index > last) parts.push({ literal: pattern.slice(last, match.index) });
+    const [, token, width] = match;
+    if (!TOKENS.includes(token)) {
+      problems.push(`Unknown token {${token}}`);
+    } else if (width !== undefined && token !== 'SEQ') {
+      problems.push(`{${token}} does not take a width`);
+    }
+    parts.push(token === 'SEQ' ? { token, width: width === undefined ? DEFAULT_SEQ_WIDTH : Number(width) } : { token });
+    last = match.index + match[0].length;
+  }
+  if (last < pattern.length) parts.push({ literal: pattern.slice(last) });
+
+  parts.filter((part) => 'literal' in part && !LITERAL.test(part.literal)).forEach((part) => {
+    problems.push(`"${part.literal}" may only contain letters, digits and - _ . /`);
+  });
+  const sequences = parts.filter((part) => part.token === 'SEQ');
+  if (sequences.length !== 1) problems.push('The pattern needs exactly one {SEQ}');
+  if (sequences.some((part) => part.width < 1 || part.width > 10)) problems.push('{SEQ} width must be between 1 and 10');
+
+  if (problems.length > 0) {
+    throw new ValidationError('Invalid employee ID pattern', { problems }, 'INVALID_ID_PATTERN');
+  }
+  return parts;
+};
+
+// "Department name=CODE" pairs, e.g. "Engineering=ENG,Human Resources=HR"
+const parseDepartmentCodes = (entries) =>
+  entries.reduce((codes, entry) => {
+    const separator = entry.lastIndexOf('=');
+    const name = entry.slice(0, separator).trim().toLowerCase();
+    const code = normalizeCode(entry.slice(separator + 1));
+    if (separator > 0 && name && code) codes[name] = code;
+    return codes;
+  }, {});
+
+// Mapped code of the department, else the first letters of its name
+const departmentCode = (department, codes) => {
+  if (!department) return 'GEN';
+  return codes[department.name.toLowerCase()] || normalizeCode(department.name).slice(0, 3) || 'GEN';
+};
+
+const renderScope = (parts, { departmentCode: dept, country, hireDate }) => {
+  const date = hireDate ? new Date(hireDate) : new Date();
+  const values = {
+    YYYY: String(date.getUTCFullYear()),
+    YY: String(date.getUTCFullYear()).slice(-2),
+    MM: String(date.getUTCMonth() + 1).padStart(2, '0'),
+    DEPT: dept,
+    COUNTRY: normalizeCode(country) || 'XX',
+  };
+  return parts.map((part) => ('literal' in part ? part.literal : part.token === 'SEQ' ? SEQ_PLACEHOLDER : values[part.token])).join('');
+};
+
+const renderId = (scope, width, value) => scope.replace(SEQ_PLACEHOLDER, String(value).padStart(width, '0'));
+
+// Highest number already used in a scope, so IDs entered by hand before the
+// pattern was configured are not handed out again
+const existingMaximum = async (client, scope) => {
+  const [prefix, suffix] = scope.split(SEQ_PLACEHOLDER);
+  const matcher = new RegExp(`^${escapeRegExp(prefix)}(\\d+)${escapeRegExp(suffix)}$`);
+  const employees = await client.employee.findMany({
+    where: { employeeId: { startsWith: prefix, endsWith: suffix } },
+    select: { employeeId: true },
+  });
+  return employees.reduce((max, { employeeId }) => {
+    const match = employeeId.match(matcher);
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0);
+};
+
+/**
+ * Take the next number of a scope. The upsert increments atomically, so
+ * concurrent creations never get the same number; a new scope starts after
+ * the highest existing ID.
+ */
+const nextValue = async (client, scope) => {
+  const sequence = await client.employeeIdSequence.findUnique({ where: { scope } });
+  const start = sequence ? 0 : await existingMaximum(client, scope);
+  const [row] = await client.$queryRaw`
+    INSERT INTO "employee_id_sequences" ("scope", "value", "updatedAt")
+    VALUES (${scope}, ${start + 1}, NOW())
+    ON CONFLICT ("scope") DO UPDATE SET "value" = "employee_id_sequences"."value" + 1, "updatedAt" = NOW()
+    RETURNING "value"`;
+  return Number(row.value);
+};
+
+const employeeIdService = {
+  ID_SETTINGS,
+  parsePattern,
+
+  // Reject malformed ID settings before they are stored
+  validateSetting(key, value) {
+    if (key === ID_SETTINGS.pattern && value.trim()) {
+      parsePattern(value.trim());
+    }
+  },
+
+  async getScheme() {
+    const [pattern, allowManual, codes] = await Promise.all([
+      getSettingValue(ID_SETTINGS.pattern, ''),
+      getSettingBoolean(ID_SETTINGS.allowManual, true),
+      getSettingList(ID_SETTINGS.departmentCodes),
+    ]);
+    return {
+      pattern: pattern.trim() || null,
+      allowManual: pattern.trim() ? allowManual : true,
+      departmentCodes: parseDepartmentCodes(codes),
+    };
+  },
+
+  async resolveScope(scheme, { departmentId, country, hireDate }, client = prisma) {
+    const parts = parsePattern(scheme.pattern);
+    const department = departmentId
+      ? await client.department.findUnique({ where: { id: departmentId }, select: { name: true } })
+      : null;
+    const scope = renderScope(parts, { departmentCode: departmentCode(department, scheme.departmentCodes), country, hireDate });
+    return { scope, width: parts.find((part) => part.token === 'SEQ').width };
+  },
+
+  /**
+   * The ID the next employee with these details would get. Nothing is
+   * reserved, so a concurrent creation can still take it first.
+   */
+  async preview(details) {
+    const scheme = await this.getScheme();
+    if (!scheme.pattern) {
+      return { generated: false, allowManual: true, pattern: null, employeeId: null };
+    }
+
+    const { scope, width } = await this.resolveScope(scheme, details);
+    const sequence = await prisma.employeeIdSequence.findUnique({ where: { scope } });
+    const current = sequence ? sequence.value : await existingMaximum(prisma, scope);
+    return { generated: true, allowManual: scheme.allowManual, pattern: scheme.pattern, employeeId: renderId(scope, width, current + 1) };
+  },
+
+  /**
+   * Employee ID for a new employee: the one given, when manual entry is
+   * allowed, or the next one from the configured pattern. Numbers taken by
+   * a failed creation are not reused.
+   */
+  async assign(data, { scheme, client = prisma } = {}) {
+    const { pattern, allowManual, departmentCodes } = scheme || (await this.getScheme());
+
+    if (data.employeeId) {
+      if (!allowManual) {
+        throw new ValidationError('Employee IDs are generated automatically', { field: 'employeeId' }, 'MANUAL_EMPLOYEE_ID_DISABLED');
+      }
+      return data.employeeId;
+    }
+    if (!pattern) {
+      throw new ValidationError('Employee ID is required', { field: 'employeeId' }, 'EMPLOYEE_ID_REQUIRED');
+    }
+
+    const { scope, width } = await this.resolveScope({ pattern, departmentCodes }, data, client);
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt += 1) {
+      const employeeId = renderId(scope, width, await nextValue(client, scope));
+      if (employeeId.length > MAX_ID_LENGTH) {
+        throw new ValidationError('Generated employee ID is too long', { employeeId }, 'INVALID_ID_PATTERN');
+      }
+      // Skip numbers already given out by hand
+      if (!(await client.employee.findUnique({ where: { employeeId }, select: { id: true } }))) {
+        return employeeId;
+      }
+    }
+
+    logger.error('No free employee ID found', { scope });
+    throw new ValidationError('Could not generate a free employee ID', { scope }, 'EMPLOYEE_ID_EXHAUSTED');
+  },
+};
+
+export { employeeIdService };
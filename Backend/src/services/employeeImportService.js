@@ -0,0 +1,432 @@
+import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+import { z } from 'zod';
+import prisma from '../config/prisma.js';
+import { ValidationError } from '../utils/errors.js';
+import { createAuditLog } from '../middleware/auditMiddleware.js';
+import { validateEmployeeData } from './employeeService.js';
+import { customFieldService } from './customFieldService.js';
+import { employeeIdService } from './employeeIdService.js';
+import { reportingChainService } from './reportingChainService.js';
+import { employmentHistoryService } from './employmentHistoryService.js';
+import logger from '../utils/logger.js';
+
+const MAX_ROWS = 1000;
+
+/**
+ * Accepted spreadsheet headers per employee field, compared without case,
+ * spaces or punctuation. Department, position and manager are resolved by
+ * name: department name, position title, manager employee ID or email.
+ */
+const COLUMNS = {
+  employeeId: ['employeeid', 'employeeno', 'employeenumber', 'staffid'],
+  firstName: ['firstname', 'givenname'],
+  middleName: ['middlename'],
+  lastName: ['lastname', 'surname', 'familyname'],
+  email: ['email', 'emailaddress', 'workemail'],
+  phone: ['phone', 'phonenumber', 'mobile'],
+  dateOfBirth: ['dateofbirth', 'birthdate', 'dob'],
+  gender: ['gender'],
+  maritalStatus: ['maritalstatus'],
+  nationality: ['nationality'],
+  address: ['address'],
+  city: ['city'],
+  state: ['state', 'province', 'region'],
+  country: ['country'],
+  zipCode: ['zipcode', 'zip', 'postalcode', 'postcode'],
+  employmentType: ['employmenttype'],
+  employmentStatus: ['employmentstatus', 'status'],
+  hireDate: ['hiredate', 'startdate', 'joindate'],
+  baseSalary: ['basesalary', 'salary'],
+  currency: ['currency'],
+  department: ['department', 'departmentname'],
+  position: ['position', 'positiontitle', 'jobtitle'],
+  manager: ['manager', 'manageremployeeid', 'manageremail', 'reportsto'],
+};
+
+// The employee ID column is optional when IDs are generated
+const REQUIRED_COLUMNS = ['employeeId', 'firstName', 'lastName', 'email', 'hireDate'];
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const FIELD_BY_HEADER = new Map(
+  Object.entries(COLUMNS).flatMap(([field, headers]) => headers.map((header) => [header, field]))
+);
+
+// Custom fields are matched by key or label, like the fixed columns
+const CUSTOM_FIELD_PREFIX = 'customFields.';
+
+// Field reported for problems found by validateEmployeeData
+const REFERENCE_FIELDS = { departmentId: 'department', positionId: 'position', managerId: 'manager' };
+
+// Plain value of a cell: formulas give their result, rich text and links their text
+const cellValue = (value) => {
+  if (value === null || value === undefined) return undefined;
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if ('result' in value) return cellValue(value.result);
+    if ('richText' in value) return cellValue(value.richText.map((part) => part.text).join(''));
+    if ('text' in value) return cellValue(value.text);
+    return undefined;
+  }
+  const text = String(value).trim();
+  return text === '' ? undefined : text;
+};
+
+const toDate = (value) => {
+  if (value instanceof Date || typeof value !== 'string') return value;
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00.000Z` : value);
+  return Number.isNaN(date.getTime()) ? value : date;
+};
+
+// "Full time" and "full-time" both mean FULL_TIME
+const toEnum = (value) => (typeof value === 'string' ? value.toUpperCase().replace(/[\s-]+/g, '_') : value);
+
+// Custom field cells in the shape customFieldService.prepareValues expects:
+// dates as "YYYY-MM-DD", multi-select options separated by commas
+const toCustomValue = (definition, value) => {
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (definition.type === 'MULTI_SELECT') return String(value).split(',').map((option) => option.trim()).filter(Boolean);
+  return value;
+};
+
+const toNumber = (value) => {
+  if (typeof value !== 'string') return value;
+  const number = Number(value.replace(/[,\s]/g, ''));
+  return Number.isNaN(number) ? value : number;
+};
+
+const optionalText = (max, label) => z.string().max(max, `${label} too long`).optional();
+
+const rowSchema = z.object({
+  employeeId: z.string().max(50, 'Employee ID too long').optional(),
+  firstName: z.string({ required_error: 'First name is required' }).max(50, 'First name too long'),
+  middleName: optionalText(50, 'Middle name'),
+  lastName: z.string({ required_error: 'Last name is required' }).max(50, 'Last name too long'),
+  email: z.string({ required_error: 'Email is required' }).email('Invalid email format'),
+  phone: z.string().regex(/^\+?[\d\s\-\(\)]+$/, 'Invalid phone format').optional(),
+  dateOfBirth: z.preprocess(toDate, z.date({ invalid_type_error: 'Invalid date of birth' }).optional()),
+  gender: z.preprocess(toEnum, z.enum(['MALE', 'FEMALE', 'OTHER']).optional()),
+  maritalStatus: z.preprocess(toEnum, z.enum(['SINGLE', 'MARRIED', 'DIVORCED', 'WIDOWED']).optional()),
+  nationality: optionalText(50, 'Nationality'),
+  address: optionalText(500, 'Address'),
+  city: optionalText(100, 'City'),
+  state: optionalText(100, 'State'),
+  country: optionalText(100, 'Country'),
+  zipCode: optionalText(20, 'ZIP code'),
+  employmentType: z.preprocess(toEnum, z.enum(['FULL_TIME', 'PART_TIME', 'CONTRACT', 'INTERN', 'CONSULTANT']).default('FULL_TIME')),
+  employmentStatus: z.preprocess(toEnum, z.enum(['ACTIVE', 'INACTIVE', 'TERMINATED', 'ON_LEAVE', 'PROBATION']).default('ACTIVE')),
+  hireDate: z.preprocess(toDate, z.date({ required_error: 'Hire date is required', invalid_type_error: 'Invalid hire date' })),
+  baseSalary: z.preprocess(toNumber, z.number({ invalid_type_error: 'Salary must be a number' }).min(0, 'Salary must be positive').optional()),
+  currency: z.preprocess(toEnum, z.string().length(3, 'Currency must be a 3-letter code').optional()),
+  department: optionalText(100, 'Department'),
+  position: optionalText(100, 'Position'),
+  manager: optionalText(100, 'Manager'),
+});
+
+/**
+ * First worksheet of an uploaded .xlsx or .csv file. CSV values are kept as
+ * text so employee IDs like 00123 survive.
+ */
+const readWorksheet = async (file) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    if (/\.csv$/i.test(file.originalname)) {
+      return await workbook.csv.read(Readable.from(file.buffer), { map: (value) => value });
+    }
+    await workbook.xlsx.load(file.buffer);
+  } catch (error) {
+    logger.warn('Unreadable employee import file', { fileName: file.originalname, error: error.message });
+    throw new ValidationError('The file could not be read as a spreadsheet', null, 'INVALID_IMPORT_FILE');
+  }
+  return workbook.worksheets[0];
+};
+
+// Raw rows keyed by employee field, with their spreadsheet row number. Custom
+// field columns are keyed "customFields.<key>".
+const readRows = async (file, scheme, customFields) => {
+  const worksheet = await readWorksheet(file);
+  if (!worksheet || worksheet.actualRowCount < 2) {
+    throw new ValidationError('The file contains no employee rows', null, 'EMPTY_IMPORT_FILE');
+  }
+
+  const customFieldByHeader = new Map(
+    customFields.flatMap((definition) =>
+      [definition.key, definition.label].map((header) => [normalizeHeader(header), `${CUSTOM_FIELD_PREFIX}${definition.key}`])
+    )
+  );
+  const fields = [];
+  const ignoredColumns = [];
+  worksheet.getRow(1).eachCell((cell, column) => {
+    const header = cellValue(cell.value);
+    if (header === undefined) return;
+    const field = FIELD_BY_HEADER.get(normalizeHeader(header)) || customFieldByHeader.get(normalizeHeader(header));
+    if (field && !fields.includes(field)) fields[column] = field;
+    else ignoredColumns.push(String(header));
+  });
+
+  const missing = REQUIRED_COLUMNS
+    .filter((field) => field !== 'employeeId' || !scheme.pattern)
+    .filter((field) => !fields.includes(field));
+  if (missing.length > 0) {
+    throw new ValidationError('Required columns are missing', { missingColumns: missing }, 'MISSING_IMPORT_COLUMNS');
+  }
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = {};
+    row.eachCell((cell, column) => {
+      const value = cellValue(cell.value);
+      if (fields[column] && value !== undefined) values[fields[column]] = value;
+    });
+    if (Object.keys(values).length > 0) rows.push({ row: rowNumber, values });
+  });
+
+  if (rows.length === 0) {
+    throw new ValidationError('The file contains no employee rows', null, 'EMPTY_IMPORT_FILE');
+  }
+  if (rows.length > MAX_ROWS) {
+    throw new ValidationError(`Import at most ${MAX_ROWS} employees at a time`, { rows: rows.length }, 'IMPORT_TOO_LARGE');
+  }
+
+  return { rows, columns: fields.filter(Boolean), ignoredColumns };
+};
+
+/**
+ * Lookups for department names, position titles and manager references,
+ * loaded once for the whole file.
+ */
+const loadReferences = async (rows) => {
+  const managerRefs = [...new Set(rows.map(({ values }) => values.manager).filter(Boolean))];
+  const [departments, positions, managers] = await Promise.all([
+    prisma.department.findMany({ where: { isActive: true }, select: { id: true, name: true } }),
+    prisma.position.findMany({ where: { isActive: true }, select: { id: true, title: true, departmentId: true } }),
+    managerRefs.length > 0
+      ? prisma.employee.findMany({
+        where: {
+          OR: [
+            { employeeId: { in: managerRefs } },
+            { email: { in: managerRefs, mode: 'insensitive' } },
+          ],
+        },
+        select: { id: true, employeeId: true, email: true },
+      })
+      : [],
+  ]);
+
+  const existingManagers = new Map();
+  managers.forEach((manager) => {
+    existingManagers.set(manager.employeeId, manager.id);
+    existingManagers.set(manager.email.toLowerCase(), manager.id);
+  });
+
+  return {
+    departments: new Map(departments.map((department) => [department.name.toLowerCase(), department.id])),
+    positions,
+    existingManagers,
+  };
+};
+
+const resolvePosition = (positions, title, departmentId) => {
+  const matches = positions.filter((position) => position.title.toLowerCase() === title.toLowerCase());
+  const inDepartment = departmentId ? matches.filter((position) => position.departmentId === departmentId) : [];
+  const candidates = inDepartment.length > 0 ? inDepartment : matches;
+  if (candidates.length === 0) return { error: `Position "${title}" not found` };
+  if (candidates.length > 1) return { error: `Position "${title}" exists in several departments; add a department` };
+  return { id: candidates[0].id };
+};
+
+// Rows whose managers, followed within the file, lead back to themselves
+const findManagerLoops = (entries) => {
+  const managerRowOf = new Map(entries.map((entry) => [entry.row, entry.managerRow]));
+  return new Set(entries.filter((entry) => {
+    const seen = new Set([entry.row]);
+    let next = entry.managerRow;
+    while (next) {
+      if (seen.has(next)) return next === entry.row;
+      seen.add(next);
+      next = managerRowOf.get(next);
+    }
+    return false;
+  }).map((entry) => entry.row));
+};
+
+/**
+ * Validate every row: field formats, custom fields as on the employee form,
+ * duplicates within the file, name resolution, then validateEmployeeData in
+ * dry-run mode
+ */
+const buildImport = async (file, user) => {
+  const scheme = await employeeIdService.getScheme();
+  const customFields = await customFieldService.listForUser('EMPLOYEE', user);
+  const { rows, columns, ignoredColumns } = await readRows(file, scheme, customFields);
+  const references = await loadReferences(rows);
+
+  // Rows by employee ID and email, to spot duplicates and managers created by the same file
+  const fileKeys = new Map();
+  const entries = [];
+
+  for (const { row, values } of rows) {
+    const errors = [];
+    const parsed = rowSchema.safeParse(values);
+    if (!parsed.success) {
+      parsed.error.errors.forEach((issue) => errors.push({ field: issue.path.join('.'), message: issue.message }));
+    }
+    const { department, position, manager, ...data } = parsed.success ? parsed.data : {};
+
+    const customInput = Object.fromEntries(
+      customFields
+        .filter((definition) => values[`${CUSTOM_FIELD_PREFIX}${definition.key}`] !== undefined)
+        .map((definition) => [definition.key, toCustomValue(definition, values[`${CUSTOM_FIELD_PREFIX}${definition.key}`])])
+    );
+    try {
+      data.customFields = await customFieldService.prepareValues('EMPLOYEE', customInput, { user, isCreate: true });
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      error.details.forEach(({ path, message }) => errors.push({ field: path, message }));
+    }
+
+    if (!values.employeeId && !scheme.pattern) {
+      errors.push({ field: 'employeeId', message: 'Employee ID is required' });
+    } else if (values.employeeId && !scheme.allowManual) {
+      errors.push({ field: 'employeeId', message: 'Employee IDs are generated automatically; leave it empty' });
+    }
+
+    for (const [field, key] of [['employeeId', values.employeeId], ['email', values.email?.toLowerCase()]]) {
+      if (!key) continue;
+      if (fileKeys.has(key)) {
+        errors.push({ field, message: `Duplicates row ${fileKeys.get(key)}` });
+      } else {
+        fileKeys.set(key, row);
+      }
+    }
+
+    let departmentId;
+    if (department) {
+      departmentId = references.departments.get(department.toLowerCase());
+      if (!departmentId) errors.push({ field: 'department', message: `Department "${department}" not found` });
+    }
+
+    let positionId;
+    if (position) {
+      const resolved = resolvePosition(references.positions, position, departmentId);
+      if (resolved.error) errors.push({ field: 'position', message: resolved.error });
+      positionId = resolved.id;
+    }
+
+    entries.push({ row, values, data, departmentId, positionId, manager, errors });
+  }
+
+  for (const entry of entries) {
+    if (entry.manager) {
+      const key = entry.manager.toLowerCase();
+      entry.managerId = references.existingManagers.get(entry.manager) || references.existingManagers.get(key);
+      if (!entry.managerId) {
+        entry.managerRow = fileKeys.get(entry.manager) || fileKeys.get(key);
+        if (!entry.managerRow) {
+          entry.errors.push({ field: 'manager', message: `Manager "${entry.manager}" not found` });
+        } else if (entry.managerRow === entry.row) {
+          entry.errors.push({ field: 'manager', message: 'An employee cannot manage themselves' });
+          entry.managerRow = undefined;
+        }
+      }
+    }
+
+    const problems = await validateEmployeeData({
+      employeeId: entry.values.employeeId,
+      email: entry.values.email,
+      departmentId: entry.departmentId,
+      positionId: entry.positionId,
+      managerId: entry.managerId,
+    }, false, { dryRun: true });
+    problems.forEach(({ field, message }) => entry.errors.push({ field: REFERENCE_FIELDS[field] || field, message }));
+  }
+
+  const loops = findManagerLoops(entries.filter((entry) => entry.managerRow));
+  entries
+    .filter((entry) => loops.has(entry.row))
+    .forEach((entry) => entry.errors.push({ field: 'manager', message: 'Reporting line loops back to this employee' }));
+
+  return { entries, columns, ignoredColumns, scheme };
+};
+
+const toReport = ({ entries, columns, ignoredColumns }) => {
+  const invalid = entries.filter((entry) => entry.errors.length > 0).length;
+  return {
+    total: entries.length,
+    valid: entries.length - invalid,
+    invalid,
+    columns,
+    ignoredColumns,
+    rows: entries.map(({ row, values, errors }) => ({ row, values, errors })),
+  };
+};
+
+const employeeImportService = {
+  /**
+   * Validate a spreadsheet of employees. Without `dryRun` the employees are
+   * created in one transaction, and only when every row is valid.
+   */
+  async importEmployees(file, { dryRun }, req) {
+    const result = await buildImport(file, req.user);
+    const report = toReport(result);
+
+    if (dryRun) {
+      return { dryRun: true, ...report };
+    }
+    if (report.invalid > 0) {
+      throw new ValidationError(`${report.invalid} of ${report.total} rows have errors`, report, 'IMPORT_HAS_ERRORS');
+    }
+
+    const employees = await prisma.$transaction(async (tx) => {
+      const created = new Map();
+      for (const entry of result.entries) {
+        const employee = await tx.employee.create({
+          data: {
+            ...entry.data,
+            employeeId: await employeeIdService.assign(entry.data, { scheme: result.scheme, client: tx }),
+            departmentId: entry.departmentId,
+            positionId: entry.positionId,
+            managerId: entry.managerId,
+            createdById: req.user.id,
+            updatedById: req.user.id,
+          },
+        });
+        created.set(entry.row, employee);
+      }
+
+      // Managers created by this import are linked once everyone exists
+      for (const entry of result.entries.filter((item) => item.managerRow)) {
+        const employee = await tx.employee.update({
+          where: { id: created.get(entry.row).id },
+          data: { managerId: created.get(entry.managerRow).id },
+        });
+        created.set(entry.row, employee);
+      }
+
+      for (const employee of created.values()) {
+        await tx.employmentRecord.create({ data: employmentHistoryService.hireRecordData(employee, req.user.id) });
+      }
+
+      return [...created.values()];
+    }, { timeout: 120000 });
+
+    if (employees.some((employee) => employee.managerId)) {
+      reportingChainService.clearCache();
+    }
+
+    for (const employee of employees) {
+      await createAuditLog(req.user.id, 'CREATE', 'employees', employee.id, null, employee, req);
+    }
+    logger.info('Employees imported', { count: employees.length, fileName: file.originalname, userId: req.user.id });
+
+    return {
+      dryRun: false,
+      ...report,
+      created: employees.map(({ id, employeeId, firstName, lastName, email }) => ({ id, employeeId, firstName, lastName, email })),
+    };
+  },
+};
+
+export { employeeImportService, MAX_ROWS };
@@ -0,0 +1,441 @@
+import prisma from '../config/prisma.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { createAuditLog } from '../middleware/auditMiddleware.js';
+import { EMPLOYEE_SUMMARY_SELECT } from '../config/fieldPolicy.js';
+import { refreshTokenService } from './refreshTokenService.js';
+import { reportingChainService } from './reportingChainService.js';
+import logger from '../utils/logger.js';
+
+// Pairs scoring below this are not reported unless asked for
+const DEFAULT_MIN_SCORE = 50;
+
+// Blocks larger than this (a very common name, a shared switchboard number)
+// say little about any single pair and are not expanded
+const MAX_BLOCK_SIZE = 50;
+
+// Employee columns whose surviving value HR picks; `terminationDate` and
+// `terminationReason` follow `employmentStatus`
+const MERGE_FIELDS = {
+  employeeId: 'Employee ID',
+  firstName: 'First name',
+  middleName: 'Middle name',
+  lastName: 'Last name',
+  email: 'Email',
+  phone: 'Phone',
+  dateOfBirth: 'Date of birth',
+  gender: 'Gender',
+  maritalStatus: 'Marital status',
+  nationality: 'Nationality',
+  address: 'Address',
+  city: 'City',
+  state: 'State',
+  country: 'Country',
+  zipCode: 'ZIP code',
+  emergencyContactName: 'Emergency contact name',
+  emergencyContactPhone: 'Emergency contact phone',
+  emergencyContactRelation: 'Emergency contact relation',
+  departmentId: 'Department',
+  positionId: 'Position',
+  managerId: 'Manager',
+  employmentType: 'Employment type',
+  employmentStatus: 'Employment status',
+  hireDate: 'Hire date',
+  probationEndDate: 'Probation end date',
+  baseSalary: 'Base salary',
+  currency: 'Currency',
+  bankAccountNumber: 'Bank account number',
+  bankName: 'Bank name',
+  bankBranch: 'Bank branch',
+  taxId: 'Tax ID',
+  profilePicture: 'Profile picture',
+  bio: 'Bio',
+};
+
+const TIED_FIELDS = { employmentStatus: ['terminationDate', 'terminationReason'] };
+
+// Every foreign key pointing at an employee; `key` groups the moved counts
+const EMPLOYEE_REFERENCES = [
+  { key: 'attendance', model: 'attendance', field: 'employeeId' },
+  { key: 'leaveRequests', model: 'leaveRequest', field: 'employeeId' },
+  { key: 'leaveRequests', model: 'leaveRequest', field: 'approvedById' },
+  { key: 'leaveRequests', model: 'leaveRequest', field: 'onBehalfOfId' },
+  { key: 'leaveBalances', model: 'leaveBalance', field: 'employeeId' },
+  { key: 'payrollRecords', model: 'payrollRecord', field: 'employeeId' },
+  { key: 'performanceReviews', model: 'performanceReview', field: 'employeeId' },
+  { key: 'performanceReviews', model: 'performanceReview', field: 'reviewerId' },
+  { key: 'documents', model: 'document', field: 'employeeId' },
+  { key: 'documents', model: 'document', field: 'uploadedById' },
+  { key: 'trainingRecords', model: 'trainingRecord', field: 'employeeId' },
+  { key: 'disciplinaryActions', model: 'disciplinaryAction', field: 'employeeId' },
+  { key: 'disciplinaryActions', model: 'disciplinaryAction', field: 'issuedById' },
+  { key: 'onboardingTasks', model: 'onboardingTask', field: 'employeeId' },
+  { key: 'onboardingTasks', model: 'onboardingTask', field: 'assigneeId' },
+  { key: 'offboardingTasks', model: 'offboardingTask', field: 'employeeId' },
+  { key: 'offboardingTasks', model: 'offboardingTask', field: 'assigneeId' },
+  { key: 'employmentRecords', model: 'employmentRecord', field: 'employeeId' },
+  { key: 'employmentRecords', model: 'employmentRecord', field: 'managerId' },
+  { key: 'probationReviews', model: 'probationReview', field: 'employeeId' },
+  { key: 'probationReviews', model: 'probationReview', field: 'reviewerId' },
+  { key: 'terminations', model: 'termination', field: 'employeeId' },
+  { key: 'approvalDelegations', model: 'approvalDelegation', field: 'delegatorId' },
+  { key: 'approvalDelegations', model: 'approvalDelegation', field: 'delegateId' },
+  { key: 'profileChangeRequests', model: 'profileChangeRequest', field: 'employeeId' },
+  { key: 'invitations', model: 'invitation', field: 'employeeId' },
+  { key: 'managedDepartments', model: 'department', field: 'managerId' },
+  { key: 'subordinates', model: 'employee', field: 'managerId' },
+];
+
+const candidateSelect = {
+  ...EMPLOYEE_SUMMARY_SELECT,
+  middleName: true,
+  phone: true,
+  dateOfBirth: true,
+  hireDate: true,
+  taxIdHash: true,
+  bankAccountNumberHash: true,
+  department: { select: { id: true, name: true } },
+};
+
+const detailInclude = {
+  department: { select: { id: true, name: true } },
+  position: { select: { id: true, title: true } },
+  manager: { select: { id: true, firstName: true, lastName: true } },
+  user: { select: { id: true, email: true, isActive: true } },
+};
+
+const normalizeName = (value) =>
+  (value || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z]/g, '');
+
+const phoneDigits = (value) => {
+  const digits = (value || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : '';
+};
+
+const emailLocalPart = (value) => (value || '').toLowerCase().split('@')[0].replace(/[.+].*$/, '');
+
+const sameDay = (a, b) => Boolean(a && b) && a.toISOString().slice(0, 10) === b.toISOString().slice(0, 10);
+
+// Matching signals of a pair with their weight; the score is their sum, capped at 100
+const scorePair = (a, b) => {
+  const reasons = [];
+  if (a.taxIdHash && a.taxIdHash === b.taxIdHash) reasons.push({ signal: 'taxId', label: 'Same tax ID', weight: 40 });
+  if (a.bankAccountNumberHash && a.bankAccountNumberHash === b.bankAccountNumberHash) {
+    reasons.push({ signal: 'bankAccount', label: 'Same bank account', weight: 20 });
+  }
+  if (sameDay(a.dateOfBirth, b.dateOfBirth)) reasons.push({ signal: 'dateOfBirth', label: 'Same date of birth', weight: 20 });
+
+  const [firstA, firstB] = [normalizeName(a.firstName), normalizeName(b.firstName)];
+  const [lastA, lastB] = [normalizeName(a.lastName), normalizeName(b.lastName)];
+  if (firstA && firstA === firstB && lastA === lastB) {
+    reasons.push({ signal: 'name', label: 'Same name', weight: 25 });
+  } else if (lastA && lastA === lastB && firstA[0] === firstB[0]) {
+    reasons.push({ signal: 'name', label: 'Similar name', weight: 10 });
+  }
+
+  if (phoneDigits(a.phone) && phoneDigits(a.phone) === phoneDigits(b.phone)) {
+    reasons.push({ signal: 'phone', label: 'Same phone number', weight: 10 });
+  }
+  if (emailLocalPart(a.email) && emailLocalPart(a.email) === emailLocalPart(b.email)) {
+    reasons.push({ signal: 'email', label: 'Similar email address', weight: 10 });
+  }
+
+  return { score: Math.min(100, reasons.reduce((sum, reason) => sum + reason.weight, 0)), reasons };
+};
+
+// Keys under which likely duplicates meet, so only employees sharing one are compared
+const blockingKeys = (employee) =>
+  [
+    employee.taxIdHash && `tax:${employee.taxIdHash}`,
+    employee.bankAccountNumberHash && `bank:${employee.bankAccountNumberHash}`,
+    normalizeName(employee.lastName) && `name:${normalizeName(employee.lastName)}:${normalizeName(employee.firstName)[0] || ''}`,
+    employee.dateOfBirth && `dob:${employee.dateOfBirth.toISOString().slice(0, 10)}`,
+    phoneDigits(employee.phone) && `phone:${phoneDigits(employee.phone)}`,
+    emailLocalPart(employee.email) && `email:${emailLocalPart(employee.email)}`,
+  ].filter(Boolean);
+
+// The record to keep by default: the current one over a terminated one, then the latest hire
+const suggestPrimary = (a, b) => {
+  if ((a.employmentStatus === 'TERMINATED') !== (b.employmentStatus === 'TERMINATED')) {
+    return a.employmentStatus === 'TERMINATED' ? b.id : a.id;
+  }
+  return a.hireDate >= b.hireDate ? a.id : b.id;
+};
+
+// Candidate view of an employee; hashes and the date of birth only serve the scoring
+const toCandidate = ({ taxIdHash, bankAccountNumberHash, dateOfBirth, ...employee }) => employee;
+
+// Audit entries hold the employee columns only
+const withoutRelations = ({ department, position, manager, user, ...employee }) => employee;
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+const sameValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date) return String(a?.valueOf()) === String(b?.valueOf());
+  return String(a ?? '') === String(b ?? '');
+};
+
+const loadPair = async (primaryId, duplicateId) => {
+  if (primaryId === duplicateId) {
+    throw new ValidationError('An employee cannot be merged into themselves', null, 'SAME_EMPLOYEE');
+  }
+  const [primary, duplicate] = await Promise.all([
+    prisma.employee.findUnique({ where: { id: primaryId }, include: detailInclude }),
+    prisma.employee.findUnique({ where: { id: duplicateId }, include: detailInclude }),
+  ]);
+  if (!primary || !duplicate) {
+    throw new NotFoundError('Employee not found', { id: primary ? duplicateId : primaryId }, 'NOT_FOUND');
+  }
+  return { primary, duplicate };
+};
+
+// Rows of the duplicate that collide with a unique key the primary already
+// holds; the primary's row is kept
+const findConflicts = async (client, primaryId, duplicateId) => {
+  const [attendance, balances, training, reviews] = await Promise.all([
+    client.attendance.findMany({ where: { employeeId: primaryId }, select: { date: true } }),
+    client.leaveBalance.findMany({ where: { employeeId: primaryId }, select: { id: true, policyId: true, year: true } }),
+    client.trainingRecord.findMany({ where: { employeeId: primaryId }, select: { programId: true } }),
+    client.probationReview.findMany({ where: { employeeId: primaryId }, select: { endDate: true } }),
+  ]);
+
+  const duplicateBalances = await client.leaveBalance.findMany({
+    where: { employeeId: duplicateId, OR: balances.map(({ policyId, year }) => ({ policyId, year })) },
+  });
+
+  const [attendanceIds, trainingIds, reviewIds] = await Promise.all([
+    client.attendance.findMany({
+      where: { employeeId: duplicateId, date: { in: attendance.map((row) => row.date) } },
+      select: { id: true },
+    }),
+    client.trainingRecord.findMany({
+      where: { employeeId: duplicateId, programId: { in: training.map((row) => row.programId) } },
+      select: { id: true },
+    }),
+    client.probationReview.findMany({
+      where: { employeeId: duplicateId, endDate: { in: reviews.map((row) => row.endDate) } },
+      select: { id: true },
+    }),
+  ]);
+
+  return {
+    attendance: attendanceIds.map((row) => row.id),
+    trainingRecords: trainingIds.map((row) => row.id),
+    probationReviews: reviewIds.map((row) => row.id),
+    // Each paired with the primary's balance of the same policy and year
+    leaveBalances: balances.length === 0 ? [] : duplicateBalances.map((balance) => ({
+      ...balance,
+      primaryBalanceId: balances.find((row) => row.policyId === balance.policyId && row.year === balance.year).id,
+    })),
+  };
+};
+
+const countReferences = async (employeeId) => {
+  const counts = await Promise.all(
+    EMPLOYEE_REFERENCES.map(({ model, field }) => prisma[model].count({ where: { [field]: employeeId } }))
+  );
+  return EMPLOYEE_REFERENCES.reduce((result, { key }, index) => {
+    result[key] = (result[key] || 0) + counts[index];
+    return result;
+  }, {});
+};
+
+// The primary's value unless it is empty and the duplicate has one
+const defaultChoice = (field, primary, duplicate) =>
+  isEmpty(primary[field]) && !isEmpty(duplicate[field]) ? 'duplicate' : 'primary';
+
+const employeeMergeService = {
+  MERGE_FIELDS,
+
+  /**
+   * Pairs of employees that are probably the same person, highest score
+   * first. Employees are only compared when they share a tax ID, bank
+   * account, date of birth, phone number, email name or last name and
+   * initial, so the scan stays close to linear in the number of employees.
+   */
+  async findDuplicates({ minScore = DEFAULT_MIN_SCORE, limit = 50 } = {}) {
+    const employees = await prisma.employee.findMany({ select: candidateSelect });
+    const byId = new Map(employees.map((employee) => [employee.id, employee]));
+
+    const blocks = new Map();
+    for (const employee of employees) {
+      for (const key of blockingKeys(employee)) {
+        if (!blocks.has(key)) blocks.set(key, []);
+        blocks.get(key).push(employee.id);
+      }
+    }
+
+    const seen = new Set();
+    const pairs = [];
+    for (const ids of blocks.values()) {
+      if (ids.length < 2 || ids.length > MAX_BLOCK_SIZE) continue;
+      for (let i = 0; i < ids.length; i += 1) {
+        for (let j = i + 1; j < ids.length; j += 1) {
+          const pairKey = [ids[i], ids[j]].sort().join(':');
+          if (seen.has(pairKey)) continue;
+          seen.add(pairKey);
+
+          const [a, b] = [byId.get(ids[i]), byId.get(ids[j])];
+          const { score, reasons } = scorePair(a, b);
+          if (score < minScore) continue;
+          pairs.push({
+            score,
+            reasons: reasons.map(({ signal, label }) => ({ signal, label })),
+            suggestedPrimaryId: suggestPrimary(a, b),
+            employees: [toCandidate(a), toCandidate(b)],
+          });
+        }
+      }
+    }
+
+    pairs.sort((a, b) => b.score - a.score);
+    return { pairs: pairs.slice(0, limit), total: pairs.length, minScore };
+  },
+
+  /**
+   * Both records side by side with the field choices HR has to make, the
+   * records that would move to the primary and the duplicate's rows that
+   * are dropped because the primary already has one for the same day,
+   * program or probation period. Nothing is changed.
+   */
+  async preview(primaryId, duplicateId) {
+    const { primary, duplicate } = await loadPair(primaryId, duplicateId);
+    const [moved, conflicts] = await Promise.all([
+      countReferences(duplicateId),
+      findConflicts(prisma, primaryId, duplicateId),
+    ]);
+
+    return {
+      primary,
+      duplicate,
+      fields: Object.entries(MERGE_FIELDS).map(([field, label]) => ({
+        field,
+        label,
+        differs: !sameValue(primary[field], duplicate[field]),
+        default: defaultChoice(field, primary, duplicate),
+      })),
+      moved,
+      dropped: {
+        attendance: conflicts.attendance.length,
+        trainingRecords: conflicts.trainingRecords.length,
+        probationReviews: conflicts.probationReviews.length,
+      },
+      // Days used on the duplicate's balance are added to the primary's
+      combinedLeaveBalances: conflicts.leaveBalances.length,
+      account: {
+        kept: primary.user || duplicate.user || null,
+        deactivated: primary.user && duplicate.user ? duplicate.user : null,
+      },
+    };
+  },
+
+  /**
+   * Merge `duplicateId` into `primaryId` in one transaction: every record
+   * referencing the duplicate is moved to the primary, the primary takes
+   * the chosen field values (`fields` maps a field to 'primary' or
+   * 'duplicate'; unlisted fields use the preview's default) and the
+   * duplicate is deleted. Its user account moves over when the primary has
+   * none and is deactivated otherwise.
+   */
+  async merge(primaryId, duplicateId, fields = {}, req) {
+    const { primary, duplicate } = await loadPair(primaryId, duplicateId);
+
+    const scheduled = await prisma.termination.findFirst({
+      where: { employeeId: { in: [primaryId, duplicateId] }, status: 'SCHEDULED' },
+      select: { employeeId: true },
+    });
+    if (scheduled) {
+      throw new ValidationError(
+        'Cancel the scheduled termination before merging these employees',
+        { employeeId: scheduled.employeeId },
+        'TERMINATION_SCHEDULED'
+      );
+    }
+
+    const taken = Object.keys(MERGE_FIELDS).filter(
+      (field) => (fields[field] || defaultChoice(field, primary, duplicate)) === 'duplicate'
+    );
+    const data = Object.fromEntries(
+      taken.flatMap((field) => [field, ...(TIED_FIELDS[field] || [])]).map((field) => [field, duplicate[field]])
+    );
+    // A manager pointing at either record would point at the merged employee itself
+    const managerId = 'managerId' in data ? data.managerId : primary.managerId;
+    data.managerId = [primaryId, duplicateId].includes(managerId) ? null : managerId;
+    data.skills = [...new Set([...primary.skills, ...duplicate.skills])];
+    data.qualifications = [...new Set([...primary.qualifications, ...duplicate.qualifications])];
+    data.customFields = { ...(duplicate.customFields || {}), ...(primary.customFields || {}) };
+    if (!primary.userId && duplicate.userId) data.userId = duplicate.userId;
+
+    const deactivatedUserId = primary.userId && duplicate.userId ? duplicate.userId : null;
+
+    const { after, moved, dropped } = await prisma.$transaction(async (tx) => {
+      const conflicts = await findConflicts(tx, primaryId, duplicateId);
+
+      await tx.attendance.deleteMany({ where: { id: { in: conflicts.attendance } } });
+      await tx.trainingRecord.deleteMany({ where: { id: { in: conflicts.trainingRecords } } });
+      await tx.probationReview.deleteMany({ where: { id: { in: conflicts.probationReviews } } });
+      for (const balance of conflicts.leaveBalances) {
+        await tx.leaveBalance.update({
+          where: { id: balance.primaryBalanceId },
+          data: { used: { increment: balance.used }, remaining: { decrement: balance.used } },
+        });
+        await tx.leaveBalance.delete({ where: { id: balance.id } });
+      }
+
+      const movedCounts = {};
+      for (const { key, model, field } of EMPLOYEE_REFERENCES) {
+        const { count } = await tx[model].updateMany({
+          where: { [field]: duplicateId },
+          data: { [field]: primaryId },
+        });
+        movedCounts[key] = (movedCounts[key] || 0) + count;
+      }
+      // Delegations between the two records would now delegate to oneself
+      await tx.approvalDelegation.deleteMany({ where: { delegatorId: primaryId, delegateId: primaryId } });
+
+      if (deactivatedUserId) {
+        await tx.user.update({ where: { id: deactivatedUserId }, data: { isActive: false } });
+      }
+
+      // Deleted first, so the primary can take over its unique email, employee ID and user
+      await tx.employee.delete({ where: { id: duplicateId } });
+      const updated = await tx.employee.update({
+        where: { id: primaryId },
+        data: { ...data, updatedById: req.user.id },
+        include: detailInclude,
+      });
+
+      return {
+        after: updated,
+        moved: movedCounts,
+        dropped: {
+          attendance: conflicts.attendance.length,
+          trainingRecords: conflicts.trainingRecords.length,
+          probationReviews: conflicts.probationReviews.length,
+          leaveBalances: conflicts.leaveBalances.length,
+        },
+      };
+    });
+
+    // Reports of the duplicate now report to the primary, which may also
+    // have taken the duplicate's manager
+    reportingChainService.clearCache();
+
+    if (deactivatedUserId) {
+      await refreshTokenService.revokeAllForUser(deactivatedUserId);
+    }
+
+    await createAuditLog(req.user.id, 'UPDATE', 'employees', primaryId, withoutRelations(primary), withoutRelations(after), req);
+    await createAuditLog(req.user.id, 'DELETE', 'employees', duplicateId, withoutRelations(duplicate), {
+      mergedInto: primaryId,
+      fieldsTaken: taken,
+      moved,
+      dropped,
+      deactivatedUserId,
+    }, req);
+    logger.info('Employees merged', { primaryId, duplicateId, userId: req.user.id });
+
+    return { employee: after, moved, dropped };
+  },
+};
+
+export { employeeMergeService };
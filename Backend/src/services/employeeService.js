@@ -1,13 +1,22 @@
-import { PrismaClient } from '@prisma/client';
+import prisma from '../config/prisma.js';
 import { AppError, NotFoundError, ValidationError } from '../utils/errors.js';
 import { createAuditLog } from '../middleware/auditMiddleware.js';
+import { permissionService } from './permissionService.js';
 import logger from '../utils/logger.js';
 
-const prisma = new PrismaClient();
-
 // Utility functions for employee service
-const validateEmployeeData = async (data, isUpdate = false) => {
+/**
+ * Check uniqueness and references of employee data. Throws the first problem
+ * as a ValidationError; in dry-run mode every problem is returned instead,
+ * as `{ field, message, code }`.
+ */
+const validateEmployeeData = async (data, isUpdate = false, { dryRun = false } = {}) => {
   const { employeeId, email, departmentId, positionId, managerId } = data;
+  const problems = [];
+  const fail = (field, message, code) => {
+    if (!dryRun) throw new ValidationError(message, null, code);
+    problems.push({ field, message, code });
+  };
 
   // Check for existing employee ID (only for create or if employeeId is being changed)
   if (!isUpdate && employeeId) {
@@ -15,7 +24,7 @@ const validateEmployeeData = async (data, isUpdate = false) => {
       where: { employeeId }
     });
     if (existingEmployee) {
-      throw new ValidationError('Employee ID already exists', null, 'DUPLICATE_EMPLOYEE_ID');
+      fail('employeeId', 'Employee ID already exists', 'DUPLICATE_EMPLOYEE_ID');
     }
   }
 
@@ -25,7 +34,7 @@ const validateEmployeeData = async (data, isUpdate = false) => {
       where: { email }
     });
     if (existingEmail && (!isUpdate || existingEmail.id !== data.id)) {
-      throw new ValidationError('Email already exists', null, 'DUPLICATE_EMAIL');
+      fail('email', 'Email already exists', 'DUPLICATE_EMAIL');
     }
   }
 
@@ -35,7 +44,7 @@ const validateEmployeeData = async (data, isUpdate = false) => {
       where: { id: departmentId, isActive: true },
     });
     if (!department) {
-      throw new ValidationError('Department not found or inactive', null, 'DEPARTMENT_NOT_FOUND');
+      fail('departmentId', 'Department not found or inactive', 'DEPARTMENT_NOT_FOUND');
     }
   }
 
@@ -45,7 +54,7 @@ const validateEmployeeData = async (data, isUpdate = false) => {
       where: { id: positionId, isActive: true },
     });
     if (!position) {
-      throw new ValidationError('Position not found or inactive', null, 'POSITION_NOT_FOUND');
+      fail('positionId', 'Position not found or inactive', 'POSITION_NOT_FOUND');
     }
   }
 
@@ -55,12 +64,18 @@ const validateEmployeeData = async (data, isUpdate = false) => {
       where: { id: managerId, employmentStatus: 'ACTIVE' },
     });
     if (!manager) {
-      throw new ValidationError('Manager not found or inactive', null, 'MANAGER_NOT_FOUND');
+      fail('managerId', 'Manager not found or inactive', 'MANAGER_NOT_FOUND');
     }
   }
+
+  return problems;
 };
 
-const buildEmployeeFilters = (user, filters = {}) => {
+/**
+ * Prisma filter for an employee listing: search and filters, limited to the
+ * employees the user may read
+ */
+const buildEmployeeFilters = async (user, filters = {}) => {
   const { search, departmentId, employmentStatus, employmentType } = filters;
   
   const where = {
@@ -79,16 +94,8 @@ const buildEmployeeFilters = (user, filters = {}) => {
     ],
   };
 
-  // Apply role-based filtering for managers
-  const userRole = user.role.toUpperCase();
-  if (userRole === 'MANAGER' && user.employee) {
-    where.AND.push({
-      OR: [
-        { managerId: user.employee.id }, // Subordinates
-        { id: user.employee.id }         // Self
-      ]
-    });
-  }
+  // Apply the read scope, e.g. managers see their team and themselves
+  where.AND.push(await permissionService.scopeWhere(user, 'employees:read', { employee: true }));
 
   return where;
 };
@@ -117,7 +124,7 @@ const formatEmployeeData = (data) => {
 const getAllEmployees = async ({ page, limit, search, departmentId, employmentStatus, employmentType, user }) => {
   try {
     const skip = (page - 1) * limit;
-    const where = buildEmployeeFilters(user, { search, departmentId, employmentStatus, employmentType });
+    const where = await buildEmployeeFilters(user, { search, departmentId, employmentStatus, employmentType });
 
     const [employees, total] = await Promise.all([
       prisma.employee.findMany({
@@ -412,4 +419,6 @@ export const employeeService = {
   deleteEmployee,
 };
 
+export { validateEmployeeData, buildEmployeeFilters };
+
 export default employeeService;
\ No newline at end of file
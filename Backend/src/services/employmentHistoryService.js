@@ -0,0 +1,300 @@
+import prisma from '../config/prisma.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { createAuditLog } from '../middleware/auditMiddleware.js';
+import { SENSITIVE_FIELD_PERMISSION } from '../config/fieldPolicy.js';
+import { permissionService } from './permissionService.js';
+import { fieldPolicyService } from './fieldPolicyService.js';
+import { reportingChainService } from './reportingChainService.js';
+import logger from '../utils/logger.js';
+
+// Employee columns an employment record carries
+const JOB_FIELDS = ['departmentId', 'positionId', 'managerId', 'employmentType', 'baseSalary', 'currency'];
+
+const pickJobFieldsSelect = Object.fromEntries(JOB_FIELDS.map((field) => [field, true]));
+
+const recordInclude = {
+  department: { select: { id: true, name: true } },
+  position: { select: { id: true, title: true, level: true } },
+  manager: { select: { id: true, firstName: true, lastName: true } },
+  createdBy: { select: { id: true, email: true } },
+};
+
+// Records run on calendar days, stored as dates at UTC midnight
+const startOfToday = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+};
+
+const pickJobFields = (source) => Object.fromEntries(JOB_FIELDS.map((field) => [field, source[field] ?? null]));
+
+const sameValue = (a, b) => String(a ?? '') === String(b ?? '');
+
+// Salaries follow the field policy: masked for users who may reveal them, removed for others
+const toRecordResponse = (record, { revealable, clear = false }) => {
+  const result = { ...record, status: record.appliedAt ? 'APPLIED' : 'SCHEDULED' };
+  if (clear || result.baseSalary === null) return result;
+  if (revealable) return { ...result, baseSalary: fieldPolicyService.MASK };
+  const { baseSalary, ...rest } = result;
+  return rest;
+};
+
+const loadEmployee = async (employeeId) => {
+  const employee = await prisma.employee.findUnique({
+    where: { id: employeeId },
+    select: { id: true, ...pickJobFieldsSelect },
+  });
+  if (!employee) {
+    throw new NotFoundError('Employee not found', null, 'NOT_FOUND');
+  }
+  return employee;
+};
+
+/**
+ * Copy an applied record onto the employee. The record is claimed first, so
+ * concurrent runs apply it once.
+ */
+const applyRecord = async (record) => {
+  const applied = await prisma.$transaction(async (tx) => {
+    const claimed = await tx.employmentRecord.updateMany({
+      where: { id: record.id, appliedAt: null },
+      data: { appliedAt: new Date() },
+    });
+    if (claimed.count === 0) return null;
+
+    const before = await tx.employee.findUnique({ where: { id: record.employeeId }, select: pickJobFieldsSelect });
+    const after = await tx.employee.update({
+      where: { id: record.employeeId },
+      data: { ...pickJobFields(record), updatedById: record.createdById },
+      select: pickJobFieldsSelect,
+    });
+    return { before, after };
+  });
+
+  if (!applied) return false;
+  if (!sameValue(applied.before.managerId, applied.after.managerId)) {
+    reportingChainService.clearCache();
+  }
+  await createAuditLog(record.createdById, 'UPDATE', 'employees', record.employeeId, applied.before, applied.after);
+  return true;
+};
+
+const employmentHistoryService = {
+  JOB_FIELDS,
+
+  /**
+   * Employment records of an employee, newest first, with the record in
+   * effect on `asOf` (today by default). With `includeSalary` salaries are
+   * disclosed in clear and the disclosure audited.
+   */
+  async getHistory(employeeId, { asOf, includeSalary = false }, req) {
+    const employee = await loadEmployee(employeeId);
+
+    if (includeSalary) {
+      await permissionService.assert(req.user, SENSITIVE_FIELD_PERMISSION, { employee });
+    }
+    const revealable = fieldPolicyService.canReveal(req.user, employee);
+
+    const records = await prisma.employmentRecord.findMany({
+      where: { employeeId },
+      include: recordInclude,
+      orderBy: [{ effectiveDate: 'desc' }, { createdAt: 'desc' }],
+    });
+
+    const date = asOf || startOfToday();
+    const current = records.find((record) => record.effectiveDate <= date) || null;
+
+    const present = (record) => toRecordResponse(record, { revealable, clear: includeSalary });
+
+    if (includeSalary) {
+      await createAuditLog(req.user.id, 'READ', 'employees', employeeId, null, { revealedFields: ['baseSalary'], history: true }, req);
+      logger.info('Salary history revealed', { userId: req.user.id, employeeId });
+    }
+
+    return {
+      records: records.map(present),
+      current: current && present(current),
+      asOf: date,
+      salaryRevealable: revealable,
+    };
+  },
+
+  /**
+   * Record a job change from `effectiveDate`. Fields not given carry over
+   * from the record in effect before it. Changes dated today or earlier
+   * apply to the employee at once, later ones on their effective date.
+   */
+  async recordChange(employeeId, { effectiveDate, reason, notes, ...changes }, req) {
+    const employee = await loadEmployee(employeeId);
+    await permissionService.assert(req.user, 'employees:update', { employee });
+
+    const later = await prisma.employmentRecord.findFirst({
+      where: { employeeId, effectiveDate: { gt: effectiveDate } },
+      select: { effectiveDate: true },
+    });
+    if (later) {
+      throw new ValidationError(
+        'A change cannot be dated before an existing change; cancel the later change first',
+        { latestEffectiveDate: later.effectiveDate },
+        'CHANGE_OUT_OF_ORDER'
+      );
+    }
+
+    if (changes.managerId) {
+      if (changes.managerId === employeeId) {
+        throw new ValidationError('Employee cannot be their own manager', null, 'INVALID_MANAGER');
+      }
+      if ((await reportingChainService.getReportIds(employeeId)).includes(changes.managerId)) {
+        throw new ValidationError('Employee cannot report to someone in their own reporting chain', null, 'INVALID_MANAGER');
+      }
+    }
+    await this.assertReferences(changes);
+
+    const previous = await prisma.employmentRecord.findFirst({
+      where: { employeeId },
+      orderBy: [{ effectiveDate: 'desc' }, { createdAt: 'desc' }],
+    });
+    const base = pickJobFields(previous || employee);
+    const job = { ...base, ...Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined)) };
+
+    if (JOB_FIELDS.every((field) => sameValue(job[field], base[field]))) {
+      throw new ValidationError('The change does not alter any job details', null, 'NO_CHANGES');
+    }
+
+    const record = await prisma.employmentRecord.create({
+      data: { employeeId, effectiveDate, reason, notes, ...job, createdById: req.user.id },
+      include: recordInclude,
+    });
+    await createAuditLog(req.user.id, 'CREATE', 'employment_records', record.id, null, record, req);
+
+    const revealable = fieldPolicyService.canReveal(req.user, employee);
+    if (effectiveDate <= startOfToday()) {
+      await applyRecord(record);
+      const applied = await prisma.employmentRecord.findUnique({ where: { id: record.id }, include: recordInclude });
+      return toRecordResponse(applied, { revealable });
+    }
+
+    logger.info('Employment change scheduled', { recordId: record.id, employeeId, effectiveDate, userId: req.user.id });
+    return toRecordResponse(record, { revealable });
+  },
+
+  // Cancel a scheduled change; only the latest one, as later records build on earlier ones
+  async cancelChange(employeeId, recordId, req) {
+    const record = await prisma.employmentRecord.findFirst({ where: { id: recordId, employeeId } });
+    if (!record) {
+      throw new NotFoundError('Employment record not found', null, 'NOT_FOUND');
+    }
+    await permissionService.assert(req.user, 'employees:update', { employee: await loadEmployee(employeeId) });
+
+    if (record.appliedAt) {
+      throw new ValidationError('Applied changes are part of the history and cannot be cancelled', null, 'CHANGE_APPLIED');
+    }
+    const later = await prisma.employmentRecord.count({
+      where: {
+        employeeId,
+        id: { not: recordId },
+        OR: [
+          { effectiveDate: { gt: record.effectiveDate } },
+          { effectiveDate: record.effectiveDate, createdAt: { gt: record.createdAt } },
+        ],
+      },
+    });
+    if (later > 0) {
+      throw new ValidationError('Cancel the later scheduled changes first', null, 'CHANGE_OUT_OF_ORDER');
+    }
+
+    await prisma.employmentRecord.delete({ where: { id: recordId } });
+    await createAuditLog(req.user.id, 'DELETE', 'employment_records', recordId, record, null, req);
+  },
+
+  /**
+   * Keep history in step with a direct edit of the employee: record the new
+   * job details as of today, and carry the edited fields into scheduled
+   * changes that did not plan to change them.
+   */
+  async recordEdit(before, after, userId) {
+    const changed = JOB_FIELDS.filter((field) => !sameValue(before[field], after[field]));
+    if (changed.length === 0) return;
+
+    const today = startOfToday();
+    await prisma.$transaction([
+      prisma.employmentRecord.create({
+        data: {
+          employeeId: after.id,
+          effectiveDate: today,
+          reason: 'ADJUSTMENT',
+          notes: 'Edited on the employee profile',
+          ...pickJobFields(after),
+          appliedAt: new Date(),
+          createdById: userId,
+        },
+      }),
+      ...changed.map((field) => prisma.employmentRecord.updateMany({
+        where: { employeeId: after.id, appliedAt: null, effectiveDate: { gt: today }, [field]: before[field] ?? null },
+        data: { [field]: after[field] ?? null },
+      })),
+    ]);
+  },
+
+  // Opening record of a new employee, effective from the hire date
+  hireRecordData(employee, userId) {
+    return {
+      employeeId: employee.id,
+      effectiveDate: employee.hireDate,
+      reason: 'HIRE',
+      ...pickJobFields(employee),
+      appliedAt: new Date(),
+      createdById: userId,
+    };
+  },
+
+  // Record of a passed probation as of today; the job details stay as they are
+  confirmationRecordData(employee, { notes, userId }) {
+    return {
+      employeeId: employee.id,
+      effectiveDate: startOfToday(),
+      reason: 'CONFIRMATION',
+      notes,
+      ...pickJobFields(employee),
+      appliedAt: new Date(),
+      createdById: userId,
+    };
+  },
+
+  async assertReferences({ departmentId, positionId, managerId }) {
+    if (departmentId && !(await prisma.department.findFirst({ where: { id: departmentId, isActive: true } }))) {
+      throw new ValidationError('Department not found', null, 'DEPARTMENT_NOT_FOUND');
+    }
+    if (positionId && !(await prisma.position.findFirst({ where: { id: positionId, isActive: true } }))) {
+      throw new ValidationError('Position not found', null, 'POSITION_NOT_FOUND');
+    }
+    if (managerId && !(await prisma.employee.findFirst({ where: { id: managerId, employmentStatus: 'ACTIVE' } }))) {
+      throw new ValidationError('Manager not found', null, 'MANAGER_NOT_FOUND');
+    }
+  },
+
+  /**
+   * Apply scheduled changes whose effective date has come, oldest first.
+   * Runs periodically from the server; safe to run from several instances.
+   */
+  async applyDueChanges() {
+    const due = await prisma.employmentRecord.findMany({
+      where: { appliedAt: null, effectiveDate: { lte: startOfToday() } },
+      orderBy: [{ effectiveDate: 'asc' }, { createdAt: 'asc' }],
+    });
+
+    let applied = 0;
+    for (const record of due) {
+      try {
+        if (await applyRecord(record)) applied += 1;
+      } catch (error) {
+        logger.error('Failed to apply employment change', { recordId: record.id, employeeId: record.employeeId, error: error.message });
+      }
+    }
+    if (applied > 0) {
+      logger.info('Scheduled employment changes applied', { count: applied });
+    }
+    return applied;
+  },
+};
+
+export { employmentHistoryService };
@@ -0,0 +1,135 @@
+import { Prisma } from '@prisma/client';
+import { encrypt, decrypt, isEncrypted, blindIndex } from '../utils/encryption.js';
+import { ValidationError } from '../utils/errors.js';
+
+// Employee columns encrypted at rest, and the blind index kept for the ones
+// that must support exact-match lookups
+const ENCRYPTED_EMPLOYEE_FIELDS = ['bankAccountNumber', 'bankName', 'taxId'];
+const BLIND_INDEXES = { bankAccountNumber: 'bankAccountNumberHash', taxId: 'taxIdHash' };
+
+const WRITE_OPERATIONS = ['create', 'update', 'upsert', 'createMany', 'createManyAndReturn', 'updateMany', 'updateManyAndReturn'];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+// `{ taxId: 'X' }` becomes `{ taxIdHash: hmac('X') }`; only equality can be
+// answered by a blind index
+const toIndexFilter = (field, filter) => {
+  const column = BLIND_INDEXES[field];
+  if (filter === null || typeof filter === 'string') {
+    return { [column]: blindIndex(filter) };
+  }
+  if (isPlainObject(filter)) {
+    if ('equals' in filter) return { [column]: blindIndex(filter.equals) };
+    if ('in' in filter) return { [column]: { in: filter.in.map(blindIndex) } };
+    if ('not' in filter && (filter.not === null || typeof filter.not === 'string')) {
+      return { [column]: { not: blindIndex(filter.not) } };
+    }
+  }
+  throw new ValidationError(`${field} can only be searched by exact match`, null, 'ENCRYPTED_FIELD_FILTER');
+};
+
+const encryptValue = (value) => (value === null || value === '' || isEncrypted(value) ? value : encrypt(value));
+
+const fieldEncryptionService = {
+  ENCRYPTED_EMPLOYEE_FIELDS,
+  BLIND_INDEXES,
+  BLIND_INDEX_FIELDS: Object.values(BLIND_INDEXES),
+
+  // Encrypt sensitive fields of employee write data and keep blind indexes in sync
+  encryptData(data) {
+    if (Array.isArray(data)) return data.map((item) => this.encryptData(item));
+    if (!isPlainObject(data)) return data;
+
+    const result = { ...data };
+    for (const field of ENCRYPTED_EMPLOYEE_FIELDS) {
+      if (result[field] === undefined) continue;
+
+      const value = isPlainObject(result[field]) ? result[field].set : result[field];
+      if (value === undefined) continue;
+
+      result[field] = encryptValue(value);
+      if (BLIND_INDEXES[field]) {
+        result[BLIND_INDEXES[field]] = value === null || value === '' ? null : blindIndex(value);
+      }
+    }
+    return result;
+  },
+
+  /**
+   * Rewrite filters on encrypted fields to their blind index, at any depth:
+   * combinators as well as relation filters such as `{ employee: { taxId } }`
+   * on other models. Encrypted fields without an index cannot be filtered on.
+   */
+  rewriteWhere(where) {
+    if (Array.isArray(where)) return where.map((item) => this.rewriteWhere(item));
+    if (!isPlainObject(where)) return where;
+
+    return Object.entries(where).reduce((result, [key, value]) => {
+      if (BLIND_INDEXES[key]) {
+        Object.assign(result, toIndexFilter(key, value));
+      } else if (ENCRYPTED_EMPLOYEE_FIELDS.includes(key)) {
+        throw new ValidationError(`${key} cannot be searched`, null, 'ENCRYPTED_FIELD_FILTER');
+      } else {
+        result[key] = this.rewriteWhere(value);
+      }
+      return result;
+    }, {});
+  },
+
+  // Decrypt every encrypted field in a query result, including nested relations
+  decryptResult(value) {
+    if (Array.isArray(value)) return value.map((item) => this.decryptResult(item));
+    if (!isPlainObject(value)) return value;
+
+    for (const [key, item] of Object.entries(value)) {
+      if (ENCRYPTED_EMPLOYEE_FIELDS.includes(key) && isEncrypted(item)) {
+        value[key] = decrypt(item);
+      } else if (item !== null && typeof item === 'object') {
+        value[key] = this.decryptResult(item);
+      }
+    }
+    return value;
+  },
+
+  prepareEmployeeArgs(operation, args = {}) {
+    const prepared = { ...args };
+    if (prepared.where) {
+      prepared.where = this.rewriteWhere(prepared.where);
+    }
+    if (WRITE_OPERATIONS.includes(operation)) {
+      if (prepared.data) prepared.data = this.encryptData(prepared.data);
+      if (prepared.create) prepared.create = this.encryptData(prepared.create);
+      if (prepared.update) prepared.update = this.encryptData(prepared.update);
+    }
+    return prepared;
+  },
+};
+
+/**
+ * Prisma client extension that makes employee field encryption transparent:
+ * writes through the employee model are encrypted, exact-match filters of
+ * any model go through the blind index and results of any model are
+ * decrypted. Nested writes (e.g. `user.create({ data: { employee: { create } } })`)
+ * are not covered, so sensitive fields must be written through the employee
+ * model.
+ */
+const fieldEncryptionExtension = Prisma.defineExtension({
+  name: 'fieldEncryption',
+  query: {
+    $allModels: {
+      async $allOperations({ model, operation, args, query }) {
+        let prepared = args;
+        if (model === 'Employee') {
+          prepared = fieldEncryptionService.prepareEmployeeArgs(operation, args);
+        } else if (args?.where) {
+          // Other models reach employee columns through relation filters
+          prepared = { ...args, where: fieldEncryptionService.rewriteWhere(args.where) };
+        }
+        return fieldEncryptionService.decryptResult(await query(prepared));
+      },
+    },
+  },
+});
+
+export { fieldEncryptionService, fieldEncryptionExtension };
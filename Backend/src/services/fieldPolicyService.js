@@ -0,0 +1,130 @@
+import prisma from '../config/prisma.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import {
+  SENSITIVE_FIELD_PERMISSION,
+  SENSITIVE_EMPLOYEE_FIELDS,
+  SENSITIVE_FIELD_KEYS,
+} from '../config/fieldPolicy.js';
+import { permissionService } from './permissionService.js';
+import { fieldEncryptionService } from './fieldEncryptionService.js';
+import { createAuditLog } from '../middleware/auditMiddleware.js';
+import logger from '../utils/logger.js';
+
+const MASK = '••••';
+
+// Columns only the Employee model has; `baseSalary` alone is not enough since
+// payroll records carry their own
+const EMPLOYEE_MARKERS = ['hireDate', 'bankAccountNumber', 'taxId', 'dateOfBirth'];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const isEmployeeRecord = (value) => EMPLOYEE_MARKERS.some((key) => key in value);
+
+const maskValue = (field, value) => {
+  if (SENSITIVE_EMPLOYEE_FIELDS[field].mask === 'last4') {
+    const text = String(value);
+    return text.length > 4 ? `${MASK}${text.slice(-4)}` : MASK;
+  }
+  return MASK;
+};
+
+// Synchronous counterpart of permissionService.can for records that are
+// already loaded; an employee missing the columns a scope needs is denied, as
+// is a TEAM scope whose members were not resolved beforehand
+const canReveal = (user, employee) => {
+  const scope = user.permissions?.[SENSITIVE_FIELD_PERMISSION];
+  if (!scope) return false;
+  if (scope === 'ALL') return true;
+
+  const self = user.employee;
+  if (!self || !employee.id) return false;
+  if (employee.id === self.id) return true;
+
+  if (scope === 'TEAM') return Boolean(user.teamIds?.includes(employee.id));
+  if (scope === 'DEPARTMENT') return Boolean(self.departmentId) && employee.departmentId === self.departmentId;
+  return false;
+};
+
+const fieldPolicyService = {
+  MASK,
+  canReveal,
+  isEmployeeRecord,
+
+  /**
+   * Apply the field policy to a single employee. Revealable fields are
+   * replaced by a mask and listed in `maskedFields`, the rest are removed.
+   */
+  maskEmployee(user, employee) {
+    const revealable = canReveal(user, employee);
+    const result = { ...employee };
+    const maskedFields = [];
+
+    // Blind indexes are internal lookup columns
+    for (const field of fieldEncryptionService.BLIND_INDEX_FIELDS) {
+      delete result[field];
+    }
+
+    for (const field of SENSITIVE_FIELD_KEYS) {
+      if (!(field in result)) continue;
+      if (result[field] === null) continue;
+
+      if (revealable) {
+        result[field] = maskValue(field, result[field]);
+        maskedFields.push(field);
+      } else {
+        delete result[field];
+      }
+    }
+
+    if (maskedFields.length > 0) {
+      result.maskedFields = maskedFields;
+    }
+    return result;
+  },
+
+  /**
+   * Walk a response payload and apply the policy to every embedded employee,
+   * e.g. `data.employees[]`, `record.employee` or `employee.manager`.
+   */
+  apply(user, payload) {
+    if (Array.isArray(payload)) {
+      return payload.map((item) => this.apply(user, item));
+    }
+    if (!isPlainObject(payload)) {
+      return payload;
+    }
+
+    const walked = Object.fromEntries(
+      Object.entries(payload).map(([key, value]) => [key, this.apply(user, value)])
+    );
+    return isEmployeeRecord(walked) ? this.maskEmployee(user, walked) : walked;
+  },
+
+  /**
+   * Return the clear values of sensitive fields. Every reveal is written to
+   * the audit log with the fields that were disclosed.
+   */
+  async reveal(user, employeeId, fields, req) {
+    const unknown = fields.filter((field) => !SENSITIVE_FIELD_KEYS.includes(field));
+    if (unknown.length > 0) {
+      throw new ValidationError('Unknown sensitive fields', { fields: unknown }, 'UNKNOWN_FIELD');
+    }
+
+    const employee = await prisma.employee.findUnique({
+      where: { id: employeeId },
+      select: { id: true, departmentId: true, managerId: true, ...Object.fromEntries(fields.map((field) => [field, true])) },
+    });
+    if (!employee) {
+      throw new NotFoundError('Employee not found', null, 'NOT_FOUND');
+    }
+
+    await permissionService.assert(user, SENSITIVE_FIELD_PERMISSION, { employee });
+    await createAuditLog(user.id, 'READ', 'employees', employeeId, null, { revealedFields: fields }, req);
+    logger.info('Sensitive employee fields revealed', { userId: user.id, employeeId, fields });
+
+    return Object.fromEntries(fields.map((field) => [field, employee[field]]));
+  },
+};
+
+export { fieldPolicyService };
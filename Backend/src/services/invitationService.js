@@ -0,0 +1,198 @@
+import prisma from '../config/prisma.js';
+import { AuthenticationError, AuthorizationError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { generateInvitationToken, verifyInvitationToken } from '../utils/authUtils.js';
+import { sendMail } from '../utils/mailer.js';
+import { getSettingList, getSettingNumber } from './settingService.js';
+import { passwordPolicyService } from './passwordPolicyService.js';
+import { permissionService } from './permissionService.js';
+import { createAuditLog } from '../middleware/auditMiddleware.js';
+import logger from '../utils/logger.js';
+
+const EXPIRY_HOURS_KEY = 'security.invitationExpiryHours';
+const REGISTRATION_DOMAINS_KEY = 'security.registrationDomains';
+
+const invitationSelect = { id: true, email: true, role: true, expiresAt: true, createdAt: true };
+
+// Pending = neither accepted, revoked nor expired
+const pendingWhere = () => ({ acceptedAt: null, revokedAt: null, expiresAt: { gt: new Date() } });
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+const buildInviteLink = (token) => {
+  const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+  return `${baseUrl}/accept-invite?token=${encodeURIComponent(token)}`;
+};
+
+// Resolve a token to an invitation that can still be accepted
+const findUsableInvitation = async (token) => {
+  const { invitationId } = verifyInvitationToken(token);
+  const invitation = await prisma.invitation.findUnique({
+    where: { id: invitationId },
+    include: { employee: { select: { id: true, firstName: true, lastName: true, userId: true } } },
+  });
+
+  if (!invitation || invitation.revokedAt) {
+    throw new AuthenticationError('Invalid invitation link', null, 'INVALID_INVITATION');
+  }
+  if (invitation.acceptedAt) {
+    throw new AuthenticationError('This invitation has already been used', null, 'INVITATION_USED');
+  }
+  if (invitation.expiresAt <= new Date()) {
+    throw new AuthenticationError('This invitation has expired', null, 'INVITATION_EXPIRED');
+  }
+  if (invitation.employee.userId) {
+    throw new ValidationError('This employee already has an account', null, 'EMPLOYEE_HAS_ACCOUNT');
+  }
+  return invitation;
+};
+
+const invitationService = {
+  async getPending(employeeId) {
+    return prisma.invitation.findFirst({
+      where: { employeeId, ...pendingWhere() },
+      select: invitationSelect,
+      orderBy: { createdAt: 'desc' },
+    });
+  },
+
+  /**
+   * Invite an employee to create their account. Sending again replaces any
+   * pending invitation, so only the most recent link works.
+   */
+  async invite(employeeId, { role = 'EMPLOYEE' }, req) {
+    const employee = await prisma.employee.findUnique({
+      where: { id: employeeId },
+      select: { id: true, email: true, firstName: true, userId: true, employmentStatus: true },
+    });
+    if (!employee) {
+      throw new NotFoundError('Employee not found', null, 'NOT_FOUND');
+    }
+    if (employee.userId) {
+      throw new ValidationError('This employee already has an account', null, 'EMPLOYEE_HAS_ACCOUNT');
+    }
+    if (employee.employmentStatus === 'TERMINATED') {
+      throw new ValidationError('Terminated employees cannot be invited', null, 'EMPLOYEE_TERMINATED');
+    }
+    if (await prisma.user.findUnique({ where: { email: employee.email }, select: { id: true } })) {
+      throw new ValidationError('A user with this email already exists', null, 'USER_EXISTS');
+    }
+    // Administrator accounts are only handed out by those who manage roles
+    if (role === 'ADMIN' && !(await permissionService.can(req.user, 'roles:manage'))) {
+      throw new AuthorizationError('Only administrators can invite administrators', null, 'ACCESS_DENIED');
+    }
+
+    const expiryHours = await getSettingNumber(EXPIRY_HOURS_KEY, 72);
+    const expiresAt = new Date(Date.now() + expiryHours * 60 * 60 * 1000);
+
+    const invitation = await prisma.$transaction(async (tx) => {
+      await tx.invitation.updateMany({
+        where: { employeeId, acceptedAt: null, revokedAt: null },
+        data: { revokedAt: new Date() },
+      });
+      return tx.invitation.create({
+        data: { employeeId, email: employee.email, role, expiresAt, invitedById: req.user.id },
+        select: invitationSelect,
+      });
+    });
+
+    const link = buildInviteLink(generateInvitationToken({ invitationId: invitation.id, expiresAt }));
+    await sendMail({
+      to: employee.email,
+      subject: 'You have been invited to the HR portal',
+      text: [
+        `Hi ${employee.firstName},`,
+        '',
+        'An account has been prepared for you. Open the link below to choose your password:',
+        link,
+        '',
+        `The link can be used once and expires on ${expiresAt.toUTCString()}.`,
+      ].join('\n'),
+      html: `<p>Hi ${escapeHtml(employee.firstName)},</p>`
+        + '<p>An account has been prepared for you. Open the link below to choose your password:</p>'
+        + `<p><a href="${link}">Set up your account</a></p>`
+        + `<p>The link can be used once and expires on ${expiresAt.toUTCString()}.</p>`,
+    });
+
+    await createAuditLog(req.user.id, 'CREATE', 'invitations', invitation.id, null, { employeeId, email: invitation.email, role }, req);
+    logger.info('Invitation sent', { invitationId: invitation.id, employeeId, invitedBy: req.user.id });
+
+    return invitation;
+  },
+
+  async revoke(employeeId, req) {
+    const { count } = await prisma.invitation.updateMany({
+      where: { employeeId, acceptedAt: null, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+    if (count === 0) {
+      throw new NotFoundError('No pending invitation', null, 'INVITATION_NOT_FOUND');
+    }
+    await createAuditLog(req.user.id, 'UPDATE', 'invitations', null, { employeeId }, { revoked: count }, req);
+  },
+
+  // What the accept page shows before a password is chosen
+  async describe(token) {
+    const invitation = await findUsableInvitation(token);
+    return {
+      email: invitation.email,
+      firstName: invitation.employee.firstName,
+      lastName: invitation.employee.lastName,
+      expiresAt: invitation.expiresAt,
+    };
+  },
+
+  /**
+   * Create the user account of an invitation and link it to the employee.
+   * The invitation is claimed inside the transaction, so a link works once.
+   */
+  async accept(token, password, req) {
+    const invitation = await findUsableInvitation(token);
+    if (await prisma.user.findUnique({ where: { email: invitation.email }, select: { id: true } })) {
+      throw new ValidationError('A user with this email already exists', null, 'USER_EXISTS');
+    }
+
+    const { data: passwordData } = await passwordPolicyService.preparePassword(password, { email: invitation.email });
+
+    const user = await prisma.$transaction(async (tx) => {
+      const claimed = await tx.invitation.updateMany({
+        where: { id: invitation.id, acceptedAt: null, revokedAt: null },
+        data: { acceptedAt: new Date() },
+      });
+      if (claimed.count === 0) {
+        throw new AuthenticationError('This invitation has already been used', null, 'INVITATION_USED');
+      }
+
+      const created = await tx.user.create({
+        data: { email: invitation.email, ...passwordData, role: invitation.role },
+        select: { id: true, email: true, role: true, isActive: true, createdAt: true },
+      });
+      await tx.employee.update({ where: { id: invitation.employeeId }, data: { userId: created.id } });
+      await tx.invitation.update({ where: { id: invitation.id }, data: { userId: created.id } });
+      return created;
+    });
+
+    await createAuditLog(user.id, 'CREATE', 'users', user.id, null, { ...user, employeeId: invitation.employeeId, invitationId: invitation.id }, req);
+    logger.info('Invitation accepted', { invitationId: invitation.id, userId: user.id });
+
+    return user;
+  },
+
+  /**
+   * Self-registration is closed unless the email's domain is allow-listed
+   * in the `security.registrationDomains` setting.
+   */
+  async assertRegistrationAllowed(email) {
+    const domains = (await getSettingList(REGISTRATION_DOMAINS_KEY, [])).map((domain) => domain.toLowerCase());
+    const domain = email.split('@').pop().toLowerCase();
+
+    if (domains.length === 0) {
+      throw new AuthorizationError('Self-registration is disabled, ask HR for an invitation', null, 'REGISTRATION_DISABLED');
+    }
+    if (!domains.includes(domain)) {
+      throw new AuthorizationError('Registration is not open for this email domain', null, 'REGISTRATION_DOMAIN_NOT_ALLOWED');
+    }
+  },
+};
+
+export { invitationService };
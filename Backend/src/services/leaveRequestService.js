@@ -1,8 +1,16 @@
 
-import { PrismaClient } from '@prisma/client';
-import { AppError, NotFoundError } from '../utils/errors.js';
+import prisma from '../config/prisma.js';
+import { AppError, AuthorizationError, NotFoundError } from '../utils/errors.js';
+import { permissionService } from './permissionService.js';
+import { createAuditLog } from '../middleware/auditMiddleware.js';
+import { approvalDelegationService } from './approvalDelegationService.js';
 
-const prisma = new PrismaClient();
+// Leave requests the user can see: their read scope plus whatever is delegated to them
+const visibleWhere = async (user) => {
+  const delegated = await approvalDelegationService.getDelegatedScopes(user);
+  const readable = await permissionService.scopeWhere(user, 'leave:read');
+  return delegated.length > 0 ? { OR: [readable, ...delegated.map((scope) => scope.where)] } : readable;
+};
 
 const leaveRequestService = {
   async getAllLeaveRequests({ page, limit, status, employeeId, user }) {
@@ -11,12 +19,7 @@ const leaveRequestService = {
       AND: [
         status ? { status } : {},
         employeeId ? { employeeId } : {},
-        user.role === 'MANAGER' ? { 
-          employee: { managerId: user.employee?.id } 
-        } : {},
-        user.role === 'EMPLOYEE' ? { 
-          employeeId: user.employee?.id 
-        } : {},
+        await visibleWhere(user),
       ],
     };
 
@@ -37,6 +40,7 @@ const leaveRequestService = {
           appliedAt: true,
           approvedAt: true,
           approvedBy: { select: { id: true, firstName: true, lastName: true } },
+          onBehalfOf: { select: { id: true, firstName: true, lastName: true } },
         },
         orderBy: { appliedAt: 'desc' },
       }),
@@ -44,7 +48,7 @@ const leaveRequestService = {
     ]);
 
     return { 
-      leaveRequests, 
+      leaveRequests: await approvalDelegationService.annotate(user, leaveRequests), 
       pagination: { 
         page: parseInt(page), 
         limit: parseInt(limit), 
@@ -55,26 +59,7 @@ const leaveRequestService = {
   },
 
   async getLeaveRequest(id, user) {
-    const where = { id };
-    
-    // Apply access control based on user role
-    if (user.role === 'EMPLOYEE') {
-      where.employeeId = user.employee?.id;
-    } else if (user.role === 'MANAGER') {
-      // Manager can see requests from their subordinates
-      const managerCheck = await prisma.leaveRequest.findFirst({
-        where: {
-          id,
-          OR: [
-            { employee: { managerId: user.employee?.id } },
-            { employeeId: user.employee?.id } // Manager can see their own requests
-          ]
-        }
-      });
-      if (!managerCheck) {
-        throw new NotFoundError('Leave request not found or unauthorized');
-      }
-    }
+    const where = { AND: [{ id }, await visibleWhere(user)] };
 
     const leaveRequest = await prisma.leaveRequest.findFirst({
       where,
@@ -105,6 +90,7 @@ const leaveRequestService = {
         appliedAt: true,
         approvedAt: true,
         approvedBy: { select: { id: true, firstName: true, lastName: true } },
+        onBehalfOf: { select: { id: true, firstName: true, lastName: true } },
         rejectedAt: true,
         rejectionReason: true,
         cancelledAt: true,
@@ -117,7 +103,8 @@ const leaveRequestService = {
       throw new NotFoundError('Leave request not found or unauthorized');
     }
 
-    return leaveRequest;
+    const [annotated] = await approvalDelegationService.annotate(user, [leaveRequest]);
+    return annotated;
   },
 
   async createLeaveRequest({ employeeId, policyId, startDate, endDate, reason, attachments }, req) {
@@ -239,6 +226,21 @@ const leaveRequestService = {
       throw new NotFoundError('Leave request not found');
     }
 
+    // Approvers never decide on their own leave, whatever their scope
+    if (['APPROVED', 'REJECTED'].includes(status) && existing.employeeId === req.user.employee?.id) {
+      throw new AuthorizationError('You cannot approve or reject your own leave request', null, 'ACCESS_DENIED');
+    }
+
+    // Approvers act on their own authority; a delegate may approve or reject
+    // what an active delegation covers, on behalf of the delegator
+    let delegation = null;
+    if (!(await permissionService.can(req.user, 'leave:approve', existing))) {
+      delegation = await approvalDelegationService.findDelegation(req.user, id);
+      if (!delegation || !['APPROVED', 'REJECTED'].includes(status)) {
+        throw new AuthorizationError('Access denied', { permission: 'leave:approve' }, 'ACCESS_DENIED');
+      }
+    }
+
     // Validate status transitions
     if (existing.status === 'APPROVED' && status !== 'CANCELLED') {
       throw new AppError('Approved leave requests can only be cancelled', 400);
@@ -249,6 +251,9 @@ const leaveRequestService = {
     }
 
     const data = { status, updatedAt: new Date() };
+    if (status === 'APPROVED' || status === 'REJECTED') {
+      data.onBehalfOfId = delegation?.delegatorId || null;
+    }
 
     if (status === 'APPROVED') {
       data.approvedAt = new Date();
@@ -303,6 +308,8 @@ const leaveRequestService = {
         days: true, 
         status: true,
         approvedAt: true,
+        approvedBy: { select: { id: true, firstName: true, lastName: true } },
+        onBehalfOf: { select: { id: true, firstName: true, lastName: true } },
         rejectedAt: true,
         cancelledAt: true
       },
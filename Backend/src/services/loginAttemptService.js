@@ -0,0 +1,147 @@
+import prisma from '../config/prisma.js';
+import { AppError, NotFoundError } from '../utils/errors.js';
+import { getSettingNumber } from './settingService.js';
+import { createAuditLog } from '../middleware/auditMiddleware.js';
+import logger from '../utils/logger.js';
+
+const MAX_ATTEMPTS_KEY = 'security.maxLoginAttempts';
+const LOCKOUT_MINUTES_KEY = 'security.lockoutDurationMinutes';
+const MAX_LOCKOUT_MINUTES_KEY = 'security.maxLockoutDurationMinutes';
+
+const getClientContext = (req) => ({
+  ipAddress: req?.ip || null,
+  userAgent: req?.get?.('User-Agent') || null,
+});
+
+const loginAttemptService = {
+  async getPolicy() {
+    const [maxAttempts, lockoutMinutes, maxLockoutMinutes] = await Promise.all([
+      getSettingNumber(MAX_ATTEMPTS_KEY, 5),
+      getSettingNumber(LOCKOUT_MINUTES_KEY, 15),
+      getSettingNumber(MAX_LOCKOUT_MINUTES_KEY, 1440),
+    ]);
+    return { maxAttempts, lockoutMinutes, maxLockoutMinutes };
+  },
+
+  async recordAttempt({ user = null, email, success, reason = null, req = null }) {
+    return prisma.loginAttempt.create({
+      data: {
+        userId: user?.id || null,
+        email: (email || user?.email || '').toLowerCase(),
+        success,
+        reason,
+        ...getClientContext(req),
+      },
+    });
+  },
+
+  // Reject the login early while the account is locked; the attempt is still logged
+  async assertNotLocked(user, { email, req }) {
+    if (!user?.lockedUntil || user.lockedUntil <= new Date()) {
+      return;
+    }
+
+    await this.recordAttempt({ user, email, success: false, reason: 'ACCOUNT_LOCKED', req });
+    await createAuditLog(user.id, 'LOGIN', 'users', user.id, null, { success: false, reason: 'ACCOUNT_LOCKED' }, req);
+
+    throw new AppError(
+      'Account is temporarily locked due to too many failed login attempts',
+      423,
+      { lockedUntil: user.lockedUntil },
+      'ACCOUNT_LOCKED'
+    );
+  },
+
+  /**
+   * Log a failed login and, for known accounts, count it towards lockout.
+   * Each lockout doubles the previous duration, up to the configured maximum.
+   */
+  async recordFailure({ user = null, email, reason, req = null }) {
+    await this.recordAttempt({ user, email, success: false, reason, req });
+    await createAuditLog(user?.id || null, 'LOGIN', 'users', user?.id || null, null, { success: false, reason, email: email || user?.email }, req);
+
+    if (!user || !user.isActive) {
+      return { lockedUntil: null };
+    }
+
+    const { failedLoginAttempts, lockoutCount } = await prisma.user.update({
+      where: { id: user.id },
+      data: { failedLoginAttempts: { increment: 1 } },
+      select: { failedLoginAttempts: true, lockoutCount: true },
+    });
+
+    const { maxAttempts, lockoutMinutes, maxLockoutMinutes } = await this.getPolicy();
+    if (maxAttempts <= 0 || failedLoginAttempts < maxAttempts) {
+      return { lockedUntil: null };
+    }
+
+    const minutes = Math.min(lockoutMinutes * 2 ** lockoutCount, maxLockoutMinutes);
+    const lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { lockedUntil, failedLoginAttempts: 0, lockoutCount: { increment: 1 } },
+    });
+
+    logger.warn('Account locked after repeated failed logins', {
+      userId: user.id,
+      email: user.email,
+      lockedUntil,
+      lockoutCount: lockoutCount + 1,
+      ip: req?.ip,
+    });
+
+    return { lockedUntil };
+  },
+
+  async recordSuccess(user, req) {
+    await this.recordAttempt({ user, success: true, req });
+    await createAuditLog(user.id, 'LOGIN', 'users', user.id, null, { success: true }, req);
+
+    if (user.failedLoginAttempts || user.lockoutCount || user.lockedUntil) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { failedLoginAttempts: 0, lockoutCount: 0, lockedUntil: null },
+      });
+    }
+  },
+
+  async unlock(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, lockedUntil: true, failedLoginAttempts: true, lockoutCount: true },
+    });
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { failedLoginAttempts: 0, lockoutCount: 0, lockedUntil: null },
+    });
+
+    return user;
+  },
+
+  async listAttempts({ userId, page = 1, limit = 20, success }) {
+    const where = { userId };
+    if (success !== undefined) where.success = success;
+
+    const [attempts, total] = await Promise.all([
+      prisma.loginAttempt.findMany({
+        where,
+        skip: (page - 1) * limit,
+        take: limit,
+        orderBy: { createdAt: 'desc' },
+      }),
+      prisma.loginAttempt.count({ where }),
+    ]);
+
+    return {
+      attempts,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    };
+  },
+};
+
+export { loginAttemptService };
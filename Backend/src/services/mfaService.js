@@ -0,0 +1,195 @@
+import bcrypt from 'bcryptjs';
+import { randomBytes } from 'crypto';
+import QRCode from 'qrcode';
+import prisma from '../config/prisma.js';
+import { AuthenticationError, AuthorizationError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { generateSecret, verifyTotp, buildOtpAuthUri } from '../utils/totp.js';
+import { getSettingList } from './settingService.js';
+import { createAuditLog } from '../middleware/auditMiddleware.js';
+import logger from '../utils/logger.js';
+
+const MFA_REQUIRED_ROLES_KEY = 'security.mfaRequiredRoles';
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are shown as "xxxxx-xxxxx" but compared without separators
+const normalizeRecoveryCode = (code) => code.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const generateRecoveryCodes = async () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  const hashes = await Promise.all(codes.map((code) => bcrypt.hash(normalizeRecoveryCode(code), 10)));
+  return { codes, hashes };
+};
+
+const findUser = async (userId) => {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  return user;
+};
+
+const mfaService = {
+  async getRequiredRoles() {
+    return getSettingList(MFA_REQUIRED_ROLES_KEY, []);
+  },
+
+  async isRequiredForRole(role) {
+    const roles = await this.getRequiredRoles();
+    return roles.includes(role);
+  },
+
+  // Step 1 of enrollment: create a pending secret and its provisioning URI
+  async startEnrollment(userId) {
+    const user = await findUser(userId);
+    if (user.mfaEnabled) {
+      throw new ValidationError('Two-factor authentication is already enabled', null, 'MFA_ALREADY_ENABLED');
+    }
+
+    const secret = generateSecret();
+    await prisma.user.update({
+      where: { id: userId },
+      data: { mfaSecret: secret, mfaLastUsedStep: null },
+    });
+
+    const otpauthUrl = buildOtpAuthUri({
+      secret,
+      accountName: user.email,
+      issuer: process.env.MFA_ISSUER || 'HRMS',
+    });
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    return { secret, otpauthUrl, qrCode };
+  },
+
+  // Step 2 of enrollment: prove possession of the secret, then hand out recovery codes once
+  async confirmEnrollment(userId, code, req) {
+    const user = await findUser(userId);
+    if (user.mfaEnabled) {
+      throw new ValidationError('Two-factor authentication is already enabled', null, 'MFA_ALREADY_ENABLED');
+    }
+    if (!user.mfaSecret) {
+      throw new ValidationError('Two-factor enrollment has not been started', null, 'MFA_NOT_STARTED');
+    }
+
+    const step = verifyTotp(code, user.mfaSecret);
+    if (step === null) {
+      throw new ValidationError('Invalid verification code', null, 'INVALID_MFA_CODE');
+    }
+
+    const { codes, hashes } = await generateRecoveryCodes();
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        mfaEnabled: true,
+        mfaEnabledAt: new Date(),
+        mfaRecoveryCodes: hashes,
+        mfaLastUsedStep: step,
+      },
+    });
+
+    await createAuditLog(req?.user?.id || userId, 'UPDATE', 'users', userId, { mfaEnabled: false }, { mfaEnabled: true }, req);
+    logger.info('MFA enabled', { userId });
+
+    return { recoveryCodes: codes };
+  },
+
+  /**
+   * Check a TOTP code or a recovery code for a user with MFA enabled.
+   * TOTP codes are rejected when their time step was already used, and
+   * recovery codes are consumed on use. Both are claimed with a conditional
+   * update, so of two concurrent requests with the same code only one wins.
+   */
+  async verifySecondFactor(user, { code, recoveryCode }) {
+    if (!user.mfaEnabled || !user.mfaSecret) {
+      throw new ValidationError('Two-factor authentication is not enabled', null, 'MFA_NOT_ENABLED');
+    }
+
+    if (code) {
+      const step = verifyTotp(code, user.mfaSecret);
+      if (step !== null && (user.mfaLastUsedStep === null || step > user.mfaLastUsedStep)) {
+        const { count } = await prisma.user.updateMany({
+          where: { id: user.id, OR: [{ mfaLastUsedStep: null }, { mfaLastUsedStep: { lt: step } }] },
+          data: { mfaLastUsedStep: step },
+        });
+        if (count === 1) {
+          return { method: 'totp' };
+        }
+      }
+    } else if (recoveryCode) {
+      const normalized = normalizeRecoveryCode(recoveryCode);
+      for (const hash of user.mfaRecoveryCodes) {
+        if (await bcrypt.compare(normalized, hash)) {
+          const remaining = user.mfaRecoveryCodes.filter((item) => item !== hash);
+          // Only replace the list that was checked; a concurrent use of any
+          // code changes it, and writing a stale copy would revive that code
+          const { count } = await prisma.user.updateMany({
+            where: { id: user.id, mfaRecoveryCodes: { equals: user.mfaRecoveryCodes } },
+            data: { mfaRecoveryCodes: remaining },
+          });
+          if (count === 0) {
+            break;
+          }
+          logger.warn('MFA recovery code used', { userId: user.id, remaining: remaining.length });
+          return { method: 'recovery_code', remainingRecoveryCodes: remaining.length };
+        }
+      }
+    }
+
+    throw new AuthenticationError('Invalid verification code', null, 'INVALID_MFA_CODE');
+  },
+
+  async disable(userId, { password, code }, req) {
+    const user = await findUser(userId);
+
+    if (await this.isRequiredForRole(user.role)) {
+      throw new AuthorizationError('Two-factor authentication is mandatory for your role', null, 'MFA_REQUIRED');
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      throw new AuthenticationError('Invalid credentials', null, 'INVALID_CREDENTIALS');
+    }
+    await this.verifySecondFactor(user, { code });
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        mfaEnabled: false,
+        mfaSecret: null,
+        mfaRecoveryCodes: [],
+        mfaEnabledAt: null,
+        mfaLastUsedStep: null,
+      },
+    });
+
+    await createAuditLog(userId, 'UPDATE', 'users', userId, { mfaEnabled: true }, { mfaEnabled: false }, req);
+    logger.info('MFA disabled', { userId });
+  },
+
+  async regenerateRecoveryCodes(userId, code, req) {
+    const user = await findUser(userId);
+    await this.verifySecondFactor(user, { code });
+
+    const { codes, hashes } = await generateRecoveryCodes();
+    await prisma.user.update({ where: { id: userId }, data: { mfaRecoveryCodes: hashes } });
+
+    await createAuditLog(userId, 'UPDATE', 'users', userId, null, { mfaRecoveryCodesRegenerated: true }, req);
+
+    return { recoveryCodes: codes };
+  },
+
+  async getStatus(userId) {
+    const user = await findUser(userId);
+    return {
+      enabled: user.mfaEnabled,
+      enabledAt: user.mfaEnabledAt,
+      required: await this.isRequiredForRole(user.role),
+      remainingRecoveryCodes: user.mfaRecoveryCodes.length,
+    };
+  },
+};
+
+export { mfaService };
@@ -0,0 +1,338 @@
+import prisma from '../config/prisma.js';
+import { NotFoundError } from '../utils/errors.js';
+
+// Employees who count towards the organization; terminated and inactive ones drop out
+const MEMBER_STATUSES = ['ACTIVE', 'ON_LEAVE', 'PROBATION'];
+
+// Postings still being filled show up as vacancies
+const VACANCY_STATUSES = ['OPEN', 'IN_PROGRESS'];
+
+// The chart only exposes directory details
+const personSelect = {
+  id: true,
+  employeeId: true,
+  firstName: true,
+  lastName: true,
+  email: true,
+  profilePicture: true,
+  position: { select: { id: true, title: true } },
+  department: { select: { id: true, name: true } },
+};
+
+const pushTo = (map, key, value) => {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(value);
+};
+
+/**
+ * Reporting lines, department hierarchy and open postings as lookup maps.
+ * Only ids and parent links are loaded, so this stays small for large
+ * organizations; node details are fetched for the part of the tree returned.
+ */
+const loadStructure = async () => {
+  const [employees, departments, postings] = await Promise.all([
+    prisma.employee.findMany({
+      where: { employmentStatus: { in: MEMBER_STATUSES } },
+      select: { id: true, managerId: true, departmentId: true },
+    }),
+    prisma.department.findMany({
+      where: { isActive: true },
+      select: { id: true, name: true, parentId: true, managerId: true },
+      orderBy: { name: 'asc' },
+    }),
+    prisma.jobPosting.findMany({
+      where: { status: { in: VACANCY_STATUSES }, departmentId: { not: null } },
+      select: {
+        id: true,
+        title: true,
+        departmentId: true,
+        employmentType: true,
+        location: true,
+        postedAt: true,
+        position: { select: { id: true, title: true } },
+      },
+      orderBy: { postedAt: 'asc' },
+    }),
+  ]);
+
+  const memberIds = new Set(employees.map((employee) => employee.id));
+  const departmentById = new Map(departments.map((department) => [department.id, department]));
+
+  const managerOf = new Map();
+  const reportsOf = new Map();
+  const membersOf = new Map();
+  const employeeRoots = [];
+  for (const employee of employees) {
+    // Someone whose manager left the organization heads their own branch
+    if (employee.managerId && memberIds.has(employee.managerId)) {
+      managerOf.set(employee.id, employee.managerId);
+      pushTo(reportsOf, employee.managerId, employee.id);
+    } else {
+      employeeRoots.push(employee.id);
+    }
+    if (employee.departmentId) pushTo(membersOf, employee.departmentId, employee.id);
+  }
+
+  const parentOf = new Map();
+  const subDepartmentsOf = new Map();
+  const departmentRoots = [];
+  for (const department of departments) {
+    if (department.parentId && departmentById.has(department.parentId)) {
+      parentOf.set(department.id, department.parentId);
+      pushTo(subDepartmentsOf, department.parentId, department.id);
+    } else {
+      departmentRoots.push(department.id);
+    }
+  }
+
+  const vacanciesOf = new Map();
+  for (const posting of postings) {
+    if (departmentById.has(posting.departmentId)) pushTo(vacanciesOf, posting.departmentId, posting);
+  }
+
+  // Vacancies of a department are placed under its manager in the reporting view
+  const managedVacanciesOf = new Map();
+  for (const department of departments) {
+    if (department.managerId && memberIds.has(department.managerId)) {
+      (vacanciesOf.get(department.id) || []).forEach((posting) => pushTo(managedVacanciesOf, department.managerId, posting));
+    }
+  }
+
+  return {
+    memberIds,
+    departmentById,
+    managerOf,
+    reportsOf,
+    membersOf,
+    employeeRoots,
+    parentOf,
+    subDepartmentsOf,
+    departmentRoots,
+    vacanciesOf,
+    managedVacanciesOf,
+    headcounts: new Map(),
+    departmentHeadcounts: new Map(),
+  };
+};
+
+// Everyone below an employee in the reporting chain. An entry is null while
+// it is being counted, so a cycle in the manager data stops there.
+const headcountOf = (structure, id) => {
+  if (structure.headcounts.has(id)) return structure.headcounts.get(id) ?? 0;
+  structure.headcounts.set(id, null);
+  const total = (structure.reportsOf.get(id) || []).reduce(
+    (sum, reportId) => (structure.headcounts.get(reportId) === null ? sum : sum + 1 + headcountOf(structure, reportId)),
+    0
+  );
+  structure.headcounts.set(id, total);
+  return total;
+};
+
+// Members of a department and all of its sub-departments
+const departmentHeadcountOf = (structure, id) => {
+  if (structure.departmentHeadcounts.has(id)) return structure.departmentHeadcounts.get(id) ?? 0;
+  structure.departmentHeadcounts.set(id, null);
+  const total = (structure.subDepartmentsOf.get(id) || []).reduce(
+    (sum, childId) => sum + departmentHeadcountOf(structure, childId),
+    (structure.membersOf.get(id) || []).length
+  );
+  structure.departmentHeadcounts.set(id, total);
+  return total;
+};
+
+// Ids from the top of the chart down to `id`
+const pathTo = (parents, id) => {
+  const path = [id];
+  const seen = new Set(path);
+  let current = parents.get(id);
+  while (current && !seen.has(current)) {
+    path.unshift(current);
+    seen.add(current);
+    current = parents.get(current);
+  }
+  return path;
+};
+
+const toVacancyNode = (posting) => ({
+  type: 'vacancy',
+  id: posting.id,
+  title: posting.title,
+  position: posting.position,
+  employmentType: posting.employmentType,
+  location: posting.location,
+  postedAt: posting.postedAt,
+});
+
+const loadPeople = async (ids) => {
+  const people = await prisma.employee.findMany({ where: { id: { in: [...ids] } }, select: personSelect });
+  return new Map(people.map((person) => [person.id, person]));
+};
+
+/**
+ * Collect the nodes of a tree that are returned expanded: `depth` levels
+ * below the roots, plus every node listed in `expand`.
+ */
+const expandedNodes = (rootIds, childrenOf, { depth, expand }) => {
+  const expanded = new Set();
+  const visit = (id, level) => {
+    if (expanded.has(id)) return;
+    if (level >= depth && !expand.has(id)) return;
+    expanded.add(id);
+    (childrenOf.get(id) || []).forEach((childId) => visit(childId, level + 1));
+  };
+  rootIds.forEach((id) => visit(id, 0));
+  return expanded;
+};
+
+const buildEmployeeTree = async (structure, rootIds, { depth, focus }) => {
+  const expand = new Set(focus ? pathTo(structure.managerOf, focus).slice(0, -1) : []);
+  const expanded = expandedNodes(rootIds, structure.reportsOf, { depth, expand });
+
+  const shown = new Set(rootIds);
+  expanded.forEach((id) => (structure.reportsOf.get(id) || []).forEach((reportId) => shown.add(reportId)));
+  const people = await loadPeople(shown);
+
+  const build = (id, trail) => {
+    const reportIds = structure.reportsOf.get(id) || [];
+    const vacancies = structure.managedVacanciesOf.get(id) || [];
+    const isExpanded = expanded.has(id);
+    const next = new Set(trail).add(id);
+
+    return {
+      type: 'employee',
+      ...people.get(id),
+      directReports: reportIds.length,
+      headcount: headcountOf(structure, id),
+      vacancyCount: vacancies.length,
+      childCount: reportIds.length + vacancies.length,
+      children: isExpanded
+        ? [
+            ...reportIds
+              .filter((reportId) => people.has(reportId) && !next.has(reportId))
+              .map((reportId) => build(reportId, next))
+              .sort((a, b) => a.lastName.localeCompare(b.lastName) || a.firstName.localeCompare(b.firstName)),
+            ...vacancies.map(toVacancyNode),
+          ]
+        : null,
+    };
+  };
+
+  return rootIds.filter((id) => people.has(id)).map((id) => build(id, new Set()));
+};
+
+const buildDepartmentTree = async (structure, rootIds, { depth, focus }) => {
+  const expand = new Set(focus ? pathTo(structure.parentOf, focus).slice(0, -1) : []);
+  const expanded = expandedNodes(rootIds, structure.subDepartmentsOf, { depth, expand });
+
+  const shown = new Set(rootIds);
+  expanded.forEach((id) => (structure.subDepartmentsOf.get(id) || []).forEach((childId) => shown.add(childId)));
+  const managerIds = [...shown]
+    .map((id) => structure.departmentById.get(id).managerId)
+    .filter((managerId) => managerId && structure.memberIds.has(managerId));
+  const managers = await loadPeople(managerIds);
+
+  const build = (id, trail) => {
+    const department = structure.departmentById.get(id);
+    const childIds = structure.subDepartmentsOf.get(id) || [];
+    const isExpanded = expanded.has(id);
+    const next = new Set(trail).add(id);
+
+    return {
+      type: 'department',
+      id,
+      name: department.name,
+      manager: managers.get(department.managerId) || null,
+      headcount: (structure.membersOf.get(id) || []).length,
+      totalHeadcount: departmentHeadcountOf(structure, id),
+      vacancies: (structure.vacanciesOf.get(id) || []).map(toVacancyNode),
+      childCount: childIds.length,
+      children: isExpanded ? childIds.filter((childId) => !next.has(childId)).map((childId) => build(childId, next)) : null,
+    };
+  };
+
+  return rootIds.map((id) => build(id, new Set()));
+};
+
+const orgChartService = {
+  MEMBER_STATUSES,
+
+  /**
+   * Reporting-line chart. Without `employeeId` the chart starts at everyone
+   * without a manager. Nodes `depth` levels down come with `children: null`
+   * and are loaded on demand; `focus` additionally expands the path down to
+   * that employee.
+   */
+  async getEmployeeChart({ employeeId, depth, focus }) {
+    const structure = await loadStructure();
+    if (employeeId && !structure.memberIds.has(employeeId)) {
+      throw new NotFoundError('Employee not found', null, 'NOT_FOUND');
+    }
+
+    const rootIds = employeeId ? [employeeId] : structure.employeeRoots;
+    const nodes = await buildEmployeeTree(structure, rootIds, {
+      depth,
+      focus: focus && structure.memberIds.has(focus) ? focus : null,
+    });
+    return {
+      nodes,
+      totalHeadcount: structure.memberIds.size,
+      ...(employeeId && { path: pathTo(structure.managerOf, employeeId) }),
+    };
+  },
+
+  /**
+   * Department chart following `Department.parentId`, with headcounts and
+   * open postings per department. Lazy loading works as for employees.
+   */
+  async getDepartmentChart({ departmentId, depth, focus }) {
+    const structure = await loadStructure();
+    if (departmentId && !structure.departmentById.has(departmentId)) {
+      throw new NotFoundError('Department not found', null, 'NOT_FOUND');
+    }
+
+    const rootIds = departmentId ? [departmentId] : structure.departmentRoots;
+    const nodes = await buildDepartmentTree(structure, rootIds, {
+      depth,
+      focus: focus && structure.departmentById.has(focus) ? focus : null,
+    });
+    return {
+      nodes,
+      totalHeadcount: structure.memberIds.size,
+      ...(departmentId && { path: pathTo(structure.parentOf, departmentId) }),
+    };
+  },
+
+  // Employees and departments matching `query`, each with its path from the top of the chart
+  async search(query, limit = 10) {
+    const [structure, employees, departments] = await Promise.all([
+      loadStructure(),
+      prisma.employee.findMany({
+        where: {
+          employmentStatus: { in: MEMBER_STATUSES },
+          OR: [
+            { firstName: { contains: query, mode: 'insensitive' } },
+            { lastName: { contains: query, mode: 'insensitive' } },
+            { email: { contains: query, mode: 'insensitive' } },
+            { employeeId: { contains: query, mode: 'insensitive' } },
+          ],
+        },
+        select: personSelect,
+        orderBy: [{ lastName: 'asc' }, { firstName: 'asc' }],
+        take: limit,
+      }),
+      prisma.department.findMany({
+        where: { isActive: true, name: { contains: query, mode: 'insensitive' } },
+        select: { id: true, name: true },
+        orderBy: { name: 'asc' },
+        take: limit,
+      }),
+    ]);
+
+    return {
+      employees: employees.map((employee) => ({ ...employee, path: pathTo(structure.managerOf, employee.id) })),
+      departments: departments.map((department) => ({ ...department, path: pathTo(structure.parentOf, department.id) })),
+    };
+  },
+};
+
+export { orgChartService };
@@ -0,0 +1,197 @@
+import bcrypt from 'bcryptjs';
+import { readFileSync } from 'fs';
+import prisma from '../config/prisma.js';
+import { ValidationError } from '../utils/errors.js';
+import { getSettingNumber, getSettingBoolean } from './settingService.js';
+import logger from '../utils/logger.js';
+
+// Setting keys, all stored under the "security" category
+const POLICY_SETTINGS = {
+  minLength: 'security.passwordMinLength',
+  requireUppercase: 'security.passwordRequireUppercase',
+  requireLowercase: 'security.passwordRequireLowercase',
+  requireNumber: 'security.passwordRequireNumber',
+  requireSpecial: 'security.passwordRequireSpecial',
+  historyCount: 'security.passwordHistoryCount',
+  maxAgeDays: 'security.passwordMaxAgeDays',
+  blockCommon: 'security.passwordBlockCommon',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let commonPasswords = null;
+
+// Loaded on first use so startup does not depend on the file
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    try {
+      const content = readFileSync(new URL('../config/common-passwords.txt', import.meta.url), 'utf8');
+      commonPasswords = new Set(
+        content
+          .split(/\r?\n/)
+          .map((line) => line.trim().toLowerCase())
+          .filter((line) => line && !line.startsWith('#'))
+      );
+    } catch (error) {
+      logger.error('Failed to load common password list', { error: error.message });
+      commonPasswords = new Set();
+    }
+  }
+  return commonPasswords;
+};
+
+const hashPassword = (password) => bcrypt.hash(password, parseInt(process.env.BCRYPT_ROUNDS) || 12);
+
+const passwordPolicyService = {
+  async getPolicy() {
+    const [
+      minLength,
+      requireUppercase,
+      requireLowercase,
+      requireNumber,
+      requireSpecial,
+      historyCount,
+      maxAgeDays,
+      blockCommon,
+    ] = await Promise.all([
+      getSettingNumber(POLICY_SETTINGS.minLength, 8),
+      getSettingBoolean(POLICY_SETTINGS.requireUppercase, true),
+      getSettingBoolean(POLICY_SETTINGS.requireLowercase, true),
+      getSettingBoolean(POLICY_SETTINGS.requireNumber, true),
+      getSettingBoolean(POLICY_SETTINGS.requireSpecial, false),
+      getSettingNumber(POLICY_SETTINGS.historyCount, 5),
+      getSettingNumber(POLICY_SETTINGS.maxAgeDays, 0),
+      getSettingBoolean(POLICY_SETTINGS.blockCommon, true),
+    ]);
+
+    return {
+      minLength,
+      requireUppercase,
+      requireLowercase,
+      requireNumber,
+      requireSpecial,
+      historyCount,
+      maxAgeDays,
+      blockCommon,
+    };
+  },
+
+  /**
+   * Check a candidate password against the policy.
+   * Returns a list of { code, message } violations, empty when the password is acceptable.
+   */
+  async validate(password, { userId = null, email = null } = {}) {
+    const policy = await this.getPolicy();
+    const violations = [];
+
+    if (password.length < policy.minLength) {
+      violations.push({
+        code: 'PASSWORD_TOO_SHORT',
+        message: `Password must be at least ${policy.minLength} characters`,
+      });
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+      violations.push({ code: 'PASSWORD_MISSING_UPPERCASE', message: 'Password must contain an uppercase letter' });
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+      violations.push({ code: 'PASSWORD_MISSING_LOWERCASE', message: 'Password must contain a lowercase letter' });
+    }
+    if (policy.requireNumber && !/\d/.test(password)) {
+      violations.push({ code: 'PASSWORD_MISSING_NUMBER', message: 'Password must contain a number' });
+    }
+    if (policy.requireSpecial && !/[^A-Za-z0-9]/.test(password)) {
+      violations.push({ code: 'PASSWORD_MISSING_SPECIAL', message: 'Password must contain a special character' });
+    }
+
+    if (policy.blockCommon) {
+      const lowered = password.toLowerCase();
+      const emailName = email?.split('@')[0]?.toLowerCase();
+      if (getCommonPasswords().has(lowered)) {
+        violations.push({ code: 'PASSWORD_TOO_COMMON', message: 'Password is too common, choose a less predictable one' });
+      } else if (emailName && emailName.length >= 3 && lowered.includes(emailName)) {
+        violations.push({ code: 'PASSWORD_CONTAINS_EMAIL', message: 'Password must not contain your email address' });
+      }
+    }
+
+    // The current password is always checked, even with history disabled
+    const historyCount = Math.max(policy.historyCount, 1);
+    if (userId && (await this.isReused(userId, password, historyCount))) {
+      violations.push({
+        code: 'PASSWORD_REUSED',
+        message: historyCount > 1
+          ? `Password must differ from your last ${historyCount} passwords`
+          : 'New password must differ from your current password',
+      });
+    }
+
+    return violations;
+  },
+
+  async assertValid(password, options) {
+    const violations = await this.validate(password, options);
+    if (violations.length > 0) {
+      throw new ValidationError('Password does not meet the password policy', violations, 'PASSWORD_POLICY_VIOLATION');
+    }
+  },
+
+  // Compare against the last `count` passwords, the current one included
+  async isReused(userId, password, count) {
+    const [user, history] = await Promise.all([
+      prisma.user.findUnique({ where: { id: userId }, select: { password: true } }),
+      count > 1
+        ? prisma.passwordHistory.findMany({
+            where: { userId },
+            orderBy: { createdAt: 'desc' },
+            take: count - 1,
+            select: { passwordHash: true },
+          })
+        : [],
+    ]);
+
+    const hashes = [user?.password, ...history.map((entry) => entry.passwordHash)].filter(Boolean);
+    for (const hash of hashes) {
+      if (await bcrypt.compare(password, hash)) {
+        return true;
+      }
+    }
+    return false;
+  },
+
+  /**
+   * Validate and hash a new password. Returns the hash plus the user fields to
+   * write alongside it; call recordHistory in the same transaction.
+   */
+  async preparePassword(password, { userId = null, email = null } = {}) {
+    await this.assertValid(password, { userId, email });
+    const hash = await hashPassword(password);
+    return { hash, data: { password: hash, passwordChangedAt: new Date() } };
+  },
+
+  // Keep the replaced hash so it cannot be chosen again; trims entries beyond the configured history
+  async recordHistory(userId, previousHash, db = prisma) {
+    if (!previousHash) return;
+
+    await db.passwordHistory.create({ data: { userId, passwordHash: previousHash } });
+
+    const historyCount = await getSettingNumber(POLICY_SETTINGS.historyCount, 5);
+    const stale = await db.passwordHistory.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      skip: Math.max(historyCount, 0),
+      select: { id: true },
+    });
+    if (stale.length > 0) {
+      await db.passwordHistory.deleteMany({ where: { id: { in: stale.map((entry) => entry.id) } } });
+    }
+  },
+
+  async isExpired(user) {
+    const maxAgeDays = await getSettingNumber(POLICY_SETTINGS.maxAgeDays, 0);
+    if (maxAgeDays <= 0 || !user.passwordChangedAt) {
+      return false;
+    }
+    return Date.now() - new Date(user.passwordChangedAt).getTime() > maxAgeDays * DAY_MS;
+  },
+};
+
+export { passwordPolicyService, POLICY_SETTINGS };
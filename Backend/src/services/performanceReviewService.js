@@ -1,8 +1,7 @@
 import { z } from 'zod';
-import { PrismaClient } from '@prisma/client';
-import { NotFoundError, AuthenticationError, AuthorizationError, ValidationError } from '../utils/errors.js';
-
-const prisma = new PrismaClient();
+import prisma from '../config/prisma.js';
+import { NotFoundError, AuthenticationError, ValidationError } from '../utils/errors.js';
+import { permissionService } from './permissionService.js';
 
 const performanceReviewSchema = z.object({
   employeeId: z.string().uuid(),
@@ -11,11 +10,9 @@ const performanceReviewSchema = z.object({
   status: z.enum(['DRAFT', 'SUBMITTED', 'COMPLETED']).optional(),
 });
 
-export const getPerformanceReviews = async ({ userRole, userId, page = 1, limit = 10, employeeId, status }) => {
-  if (!['ADMIN', 'HR', 'MANAGER', 'EMPLOYEE'].includes(userRole)) throw new AuthorizationError('Unauthorized');
+export const getPerformanceReviews = async ({ user, page = 1, limit = 10, employeeId, status }) => {
   const skip = (page - 1) * limit;
-  const where = { employeeId, status };
-  if (userRole === 'EMPLOYEE') where.employeeId = userId;
+  const where = { employeeId, status, AND: [await permissionService.scopeWhere(user, 'performance:read')] };
   return prisma.performanceReview.findMany({
     where,
     skip,
@@ -24,39 +21,41 @@ export const getPerformanceReviews = async ({ userRole, userId, page = 1, limit
   });
 };
 
-export const getPerformanceReviewById = async ({ id, userRole, userId }) => {
-  if (!['ADMIN', 'HR', 'MANAGER', 'EMPLOYEE'].includes(userRole)) throw new AuthorizationError('Unauthorized');
+export const getPerformanceReviewById = async ({ id, user }) => {
   const review = await prisma.performanceReview.findUnique({
     where: { id },
     include: { employee: true, reviewer: true },
   });
   if (!review) throw new NotFoundError('Performance review not found');
-  if (userRole === 'EMPLOYEE' && review.employeeId !== userId) throw new AuthorizationError('Unauthorized');
+  await permissionService.assert(user, 'performance:read', review);
   return review;
 };
 
-export const createPerformanceReview = async ({ data, userRole }) => {
-  if (!['ADMIN', 'HR', 'MANAGER'].includes(userRole)) throw new AuthorizationError('Unauthorized');
+export const createPerformanceReview = async ({ data, user }) => {
   const validatedData = performanceReviewSchema.parse(data);
   const employee = await prisma.employee.findUnique({ where: { id: validatedData.employeeId } });
   if (!employee) throw new ValidationError('Invalid employeeId');
+  await permissionService.assert(user, 'performance:manage', { employee });
   const reviewer = await prisma.employee.findUnique({ where: { id: validatedData.reviewerId } });
   if (!reviewer) throw new ValidationError('Invalid reviewerId');
   return prisma.performanceReview.create({ data: validatedData });
 };
 
-export const updatePerformanceReview = async ({ id, data, userRole }) => {
-  if (!['ADMIN', 'HR', 'MANAGER'].includes(userRole)) throw new AuthorizationError('Unauthorized');
+export const updatePerformanceReview = async ({ id, data, user }) => {
   const validatedData = performanceReviewSchema.partial().parse(data);
   const review = await prisma.performanceReview.findUnique({ where: { id } });
   if (!review) throw new NotFoundError('Performance review not found');
+  await permissionService.assert(user, 'performance:manage', review);
+  if (validatedData.employeeId && validatedData.employeeId !== review.employeeId) {
+    await permissionService.assert(user, 'performance:manage', { employeeId: validatedData.employeeId });
+  }
   return prisma.performanceReview.update({ where: { id }, data: validatedData });
 };
 
-export const deletePerformanceReview = async ({ id, userRole }) => {
-  if (!['ADMIN', 'HR'].includes(userRole)) throw new AuthorizationError('Unauthorized');
+export const deletePerformanceReview = async ({ id, user }) => {
   const review = await prisma.performanceReview.findUnique({ where: { id } });
   if (!review) throw new NotFoundError('Performance review not found');
+  await permissionService.assert(user, 'performance:delete', review);
   return prisma.performanceReview.delete({ where: { id } });
 };
 
@@ -0,0 +1,337 @@
+import prisma from '../config/prisma.js';
+import { AuthorizationError, NotFoundError, ValidationError } from '../utils/errors.js';
+import {
+  PERMISSIONS,
+  PERMISSION_KEYS,
+  PERMISSION_SCOPES,
+  SYSTEM_ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  isScopedPermission,
+} from '../config/permissions.js';
+import { createAuditLog } from '../middleware/auditMiddleware.js';
+import { reportingChainService } from './reportingChainService.js';
+import logger from '../utils/logger.js';
+
+// Resolved permission sets are cached per role; edits clear the cache, the TTL
+// bounds staleness when several instances share the database
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+// Filter that matches no rows, used when a user has no access at all
+const NO_MATCH = { id: { in: [] } };
+
+const roleInclude = {
+  permissions: { select: { permission: true, scope: true }, orderBy: { permission: 'asc' } },
+  _count: { select: { users: true } },
+};
+
+const toPermissionMap = (rows) => Object.fromEntries(rows.map((row) => [row.permission, row.scope]));
+
+const toRoleResponse = ({ permissions, _count, ...role }) => ({
+  ...role,
+  permissions: toPermissionMap(permissions),
+  userCount: _count?.users ?? 0,
+});
+
+// Accepts { permission: scope } and drops unknown keys, rejecting invalid scopes
+const normalizePermissions = (permissions = {}) => {
+  const unknown = Object.keys(permissions).filter((key) => !PERMISSION_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new ValidationError('Unknown permissions', { permissions: unknown }, 'UNKNOWN_PERMISSION');
+  }
+
+  return Object.entries(permissions)
+    .filter(([, scope]) => scope)
+    .map(([permission, scope]) => {
+      if (!PERMISSION_SCOPES.includes(scope)) {
+        throw new ValidationError(`Invalid scope for ${permission}`, { permission, scope }, 'INVALID_PERMISSION_SCOPE');
+      }
+      return { permission, scope: isScopedPermission(permission) ? scope : 'ALL' };
+    });
+};
+
+// The employee a record belongs to. Records carry either an `employee` relation
+// or an `employeeId`; an employee itself is passed as { employeeId: employee.id }.
+const loadOwner = async (record, fields) => {
+  const owner = record.employee || (record.employeeId ? { id: record.employeeId } : null);
+  if (!owner?.id) return null;
+  if (fields.every((field) => owner[field] !== undefined)) return owner;
+
+  return prisma.employee.findUnique({
+    where: { id: owner.id },
+    select: { id: true, departmentId: true, managerId: true },
+  });
+};
+
+const permissionService = {
+  clearCache() {
+    cache.clear();
+  },
+
+  /**
+   * Effective permissions of a user as { permission: scope }. A custom role
+   * takes precedence over the Role enum; built-in roles use their stored
+   * permission set once edited and the code defaults until then.
+   */
+  async getPermissions(user) {
+    if (!user) return {};
+    if (user.permissions) return user.permissions;
+
+    const cacheKey = user.accessRoleId || user.role;
+    const cached = cache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.permissions;
+    }
+
+    const role = await prisma.accessRole.findUnique({
+      where: user.accessRoleId ? { id: user.accessRoleId } : { name: user.role },
+      include: { permissions: { select: { permission: true, scope: true } } },
+    });
+    const permissions = role ? toPermissionMap(role.permissions) : { ...(DEFAULT_ROLE_PERMISSIONS[user.role] || {}) };
+
+    cache.set(cacheKey, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+    return permissions;
+  },
+
+  /**
+   * Employees in the user's team: the whole reporting chain below them, or
+   * only direct reports when the user chose the "direct" team scope. Resolved
+   * once per request and kept on the user object.
+   */
+  async getTeamIds(user) {
+    if (user.teamIds) return user.teamIds;
+    if (!user.employee) return [];
+
+    user.teamIds = await reportingChainService.getReportIds(user.employee.id, { transitive: user.teamScope !== 'direct' });
+    return user.teamIds;
+  },
+
+  async getScope(user, permission) {
+    const permissions = await this.getPermissions(user);
+    return permissions[permission] || null;
+  },
+
+  /**
+   * Whether the user holds `permission` for `record`. Without a record this
+   * only checks the permission is granted at some scope.
+   */
+  async can(user, permission, record = null) {
+    const scope = await this.getScope(user, permission);
+    if (!scope) return false;
+    if (scope === 'ALL' || !record) return true;
+
+    const self = user.employee;
+    if (!self) return false;
+
+    const fields = scope === 'DEPARTMENT' ? ['departmentId'] : [];
+    const owner = await loadOwner(record, fields);
+    if (!owner) return false;
+    if (owner.id === self.id) return true;
+
+    if (scope === 'TEAM') {
+      return (await this.getTeamIds(user)).includes(owner.id);
+    }
+    if (scope === 'DEPARTMENT') {
+      return Boolean(self.departmentId) && owner.departmentId === self.departmentId;
+    }
+    return false;
+  },
+
+  async assert(user, permission, record = null) {
+    if (!(await this.can(user, permission, record))) {
+      logger.warn('Permission denied', { userId: user?.id, permission, record: record?.id || record?.employeeId });
+      throw new AuthorizationError('Access denied', { permission }, 'ACCESS_DENIED');
+    }
+  },
+
+  /**
+   * Prisma filter limiting a query to the records the user may access under
+   * `permission`. Use `{ employee: true }` when querying the employee model
+   * itself, otherwise records are matched through `field`/`relation`.
+   */
+  async scopeWhere(user, permission, { field = 'employeeId', relation = 'employee', employee = false } = {}) {
+    const scope = await this.getScope(user, permission);
+    if (!scope) return NO_MATCH;
+    if (scope === 'ALL') return {};
+
+    const self = user.employee;
+    if (!self) return NO_MATCH;
+
+    const own = employee ? { id: self.id } : { [field]: self.id };
+    const related = (where) => (employee ? where : { [relation]: where });
+
+    if (scope === 'TEAM') {
+      const teamIds = await this.getTeamIds(user);
+      return { OR: [own, employee ? { id: { in: teamIds } } : { [field]: { in: teamIds } }] };
+    }
+    if (scope === 'DEPARTMENT' && self.departmentId) {
+      return { OR: [own, related({ departmentId: self.departmentId })] };
+    }
+    return own;
+  },
+
+  getCatalog() {
+    return { permissions: PERMISSIONS, scopes: PERMISSION_SCOPES };
+  },
+
+  // Built-in roles are materialised with their defaults so they can be edited like any other
+  async ensureSystemRoles() {
+    const existing = await prisma.accessRole.findMany({
+      where: { name: { in: SYSTEM_ROLES } },
+      select: { name: true },
+    });
+    const missing = SYSTEM_ROLES.filter((name) => !existing.some((role) => role.name === name));
+
+    for (const name of missing) {
+      await prisma.accessRole.create({
+        data: {
+          name,
+          isSystem: true,
+          permissions: { create: normalizePermissions(DEFAULT_ROLE_PERMISSIONS[name]) },
+        },
+      });
+    }
+  },
+
+  async listRoles() {
+    await this.ensureSystemRoles();
+    const roles = await prisma.accessRole.findMany({
+      include: roleInclude,
+      orderBy: [{ isSystem: 'desc' }, { name: 'asc' }],
+    });
+
+    // Users on a built-in role are linked by their Role enum, not accessRoleId
+    const enumCounts = await prisma.user.groupBy({
+      by: ['role'],
+      where: { accessRoleId: null },
+      _count: { _all: true },
+    });
+
+    return roles.map((role) => {
+      const response = toRoleResponse(role);
+      if (role.isSystem) {
+        response.userCount += enumCounts.find((row) => row.role === role.name)?._count._all || 0;
+      }
+      return response;
+    });
+  },
+
+  async getRole(id) {
+    const role = await prisma.accessRole.findUnique({ where: { id }, include: roleInclude });
+    if (!role) {
+      throw new NotFoundError('Role not found', null, 'ROLE_NOT_FOUND');
+    }
+    return toRoleResponse(role);
+  },
+
+  async createRole({ name, description, permissions }, req) {
+    const trimmed = name.trim();
+    if (SYSTEM_ROLES.includes(trimmed.toUpperCase())) {
+      throw new ValidationError('Role name is reserved', null, 'ROLE_NAME_RESERVED');
+    }
+    if (await prisma.accessRole.findUnique({ where: { name: trimmed } })) {
+      throw new ValidationError('A role with this name already exists', null, 'ROLE_EXISTS');
+    }
+
+    const role = await prisma.accessRole.create({
+      data: {
+        name: trimmed,
+        description,
+        permissions: { create: normalizePermissions(permissions) },
+      },
+      include: roleInclude,
+    });
+
+    await createAuditLog(req.user.id, 'CREATE', 'access_roles', role.id, null, { name: role.name, permissions }, req);
+    this.clearCache();
+    return toRoleResponse(role);
+  },
+
+  async updateRole(id, { name, description, permissions }, req) {
+    const existing = await this.getRole(id);
+
+    const data = {};
+    if (description !== undefined) data.description = description;
+    if (name !== undefined && name.trim() !== existing.name) {
+      if (existing.isSystem) {
+        throw new ValidationError('Built-in roles cannot be renamed', null, 'SYSTEM_ROLE_READONLY');
+      }
+      const trimmed = name.trim();
+      if (SYSTEM_ROLES.includes(trimmed.toUpperCase())) {
+        throw new ValidationError('Role name is reserved', null, 'ROLE_NAME_RESERVED');
+      }
+      if (await prisma.accessRole.findUnique({ where: { name: trimmed } })) {
+        throw new ValidationError('A role with this name already exists', null, 'ROLE_EXISTS');
+      }
+      data.name = trimmed;
+    }
+
+    let rows = null;
+    if (permissions !== undefined) {
+      rows = normalizePermissions(permissions);
+      // Keep administrators from locking everyone out of role management
+      if (existing.name === 'ADMIN' && !rows.some((row) => row.permission === 'roles:manage')) {
+        throw new ValidationError('The ADMIN role must keep the roles:manage permission', null, 'ADMIN_ROLE_LOCKOUT');
+      }
+    }
+
+    const role = await prisma.$transaction(async (tx) => {
+      if (rows) {
+        await tx.rolePermission.deleteMany({ where: { roleId: id } });
+        await tx.rolePermission.createMany({ data: rows.map((row) => ({ ...row, roleId: id })) });
+      }
+      return tx.accessRole.update({ where: { id }, data, include: roleInclude });
+    });
+
+    await createAuditLog(
+      req.user.id,
+      'UPDATE',
+      'access_roles',
+      id,
+      { name: existing.name, description: existing.description, permissions: existing.permissions },
+      { name: role.name, description: role.description, permissions: toPermissionMap(role.permissions) },
+      req
+    );
+    this.clearCache();
+    logger.info('Role permissions updated', { roleId: id, name: role.name, userId: req.user.id });
+
+    return toRoleResponse(role);
+  },
+
+  // Users on a deleted custom role fall back to their built-in role
+  async deleteRole(id, req) {
+    const existing = await this.getRole(id);
+    if (existing.isSystem) {
+      throw new ValidationError('Built-in roles cannot be deleted', null, 'SYSTEM_ROLE_READONLY');
+    }
+
+    await prisma.accessRole.delete({ where: { id } });
+    await createAuditLog(req.user.id, 'DELETE', 'access_roles', id, { name: existing.name, permissions: existing.permissions }, null, req);
+    this.clearCache();
+  },
+
+  async assignRole(userId, accessRoleId, req) {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true, accessRoleId: true } });
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (accessRoleId) {
+      const role = await this.getRole(accessRoleId);
+      if (role.isSystem) {
+        throw new ValidationError('Assign built-in roles through the user role instead', null, 'SYSTEM_ROLE_ASSIGNMENT');
+      }
+    }
+
+    const updated = await prisma.user.update({
+      where: { id: userId },
+      data: { accessRoleId: accessRoleId || null },
+      select: { id: true, email: true, role: true, accessRoleId: true, accessRole: { select: { id: true, name: true } } },
+    });
+
+    await createAuditLog(req.user.id, 'UPDATE', 'users', userId, { accessRoleId: user.accessRoleId }, { accessRoleId: updated.accessRoleId }, req);
+    return updated;
+  },
+};
+
+export { permissionService };
@@ -0,0 +1,295 @@
+import prisma from '../config/prisma.js';
+import { AuthorizationError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { createAuditLog } from '../middleware/auditMiddleware.js';
+import { sendMail } from '../utils/mailer.js';
+import { permissionService } from './permissionService.js';
+import { employmentHistoryService } from './employmentHistoryService.js';
+import { terminationService } from './terminationService.js';
+import { getSettingNumber } from './settingService.js';
+import logger from '../utils/logger.js';
+
+const PERMISSION = 'probation:manage';
+
+// Days before the end of a probation period the manager is asked for a decision
+const REMINDER_DAYS_KEY = 'probation.reminderDays';
+const DEFAULT_REMINDER_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+// Probation periods run on calendar days, stored as dates at UTC midnight
+const startOfToday = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+const employeeSelect = {
+  id: true,
+  employeeId: true,
+  firstName: true,
+  lastName: true,
+  email: true,
+  hireDate: true,
+  probationEndDate: true,
+  employmentStatus: true,
+  department: { select: { id: true, name: true } },
+  position: { select: { id: true, title: true } },
+  manager: { select: { id: true, firstName: true, lastName: true, email: true } },
+};
+
+const reviewInclude = {
+  reviewer: { select: { id: true, firstName: true, lastName: true } },
+  decidedBy: { select: { id: true, email: true } },
+};
+
+const buildEmployeeLink = (employeeId) => {
+  const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+  return `${baseUrl}/employees/${employeeId}`;
+};
+
+// Employee on probation with the open review of the current period, if any
+const toProbationEntry = (employee, openReviews, today) => ({
+  ...employee,
+  daysRemaining: Math.round((employee.probationEndDate - today) / DAY_MS),
+  overdue: employee.probationEndDate < today,
+  review: openReviews.get(`${employee.id}:${formatDay(employee.probationEndDate)}`) || null,
+});
+
+const notifyReviewer = async (employee, manager) => {
+  const name = `${employee.firstName} ${employee.lastName}`;
+  const endDate = formatDay(employee.probationEndDate);
+  const link = buildEmployeeLink(employee.id);
+
+  await sendMail({
+    to: manager.email,
+    subject: `Probation review due for ${name}`,
+    text: [
+      `Hi ${manager.firstName},`,
+      '',
+      `The probation period of ${name} ends on ${endDate}.`,
+      'Please confirm the employment, extend the probation or end the employment, and add your comments:',
+      link,
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(manager.firstName)},</p>`
+      + `<p>The probation period of ${escapeHtml(name)} ends on ${endDate}.</p>`
+      + '<p>Please confirm the employment, extend the probation or end the employment, and add your comments:</p>'
+      + `<p><a href="${link}">Review probation</a></p>`,
+  });
+};
+
+const probationService = {
+  REMINDER_DAYS_KEY,
+
+  getReminderDays() {
+    return getSettingNumber(REMINDER_DAYS_KEY, DEFAULT_REMINDER_DAYS);
+  },
+
+  /**
+   * Employees on probation the user may review, soonest end date first.
+   * `upcoming` are those ending within `days` (the reminder window by
+   * default), `overdue` those past their end date without a decision.
+   */
+  async list(user, { status = 'all', days } = {}) {
+    const today = startOfToday();
+    const window = days ?? (await this.getReminderDays());
+    const endDate = {
+      upcoming: { gte: today, lte: addDays(today, window) },
+      overdue: { lt: today },
+      all: { not: null },
+    }[status];
+
+    const employees = await prisma.employee.findMany({
+      where: {
+        AND: [
+          { employmentStatus: 'PROBATION', probationEndDate: endDate, terminations: { none: { status: 'SCHEDULED' } } },
+          // Nobody decides on their own probation
+          ...(user.employee ? [{ id: { not: user.employee.id } }] : []),
+          await permissionService.scopeWhere(user, PERMISSION, { employee: true }),
+        ],
+      },
+      select: employeeSelect,
+      orderBy: [{ probationEndDate: 'asc' }, { lastName: 'asc' }],
+    });
+
+    const reviews = await prisma.probationReview.findMany({
+      where: { employeeId: { in: employees.map((employee) => employee.id) }, decidedAt: null },
+      include: reviewInclude,
+    });
+    const openReviews = new Map(reviews.map((review) => [`${review.employeeId}:${formatDay(review.endDate)}`, review]));
+
+    return { employees: employees.map((employee) => toProbationEntry(employee, openReviews, today)), days: window };
+  },
+
+  // Upcoming and overdue reviews for the dashboard
+  async getSummary(user) {
+    const [upcoming, overdue] = await Promise.all([
+      this.list(user, { status: 'upcoming' }),
+      this.list(user, { status: 'overdue' }),
+    ]);
+    return { upcoming: upcoming.employees, overdue: overdue.employees, reminderDays: upcoming.days };
+  },
+
+  // Past and open reviews of an employee, newest period first
+  async getReviews(employeeId, user) {
+    const employee = await prisma.employee.findUnique({ where: { id: employeeId }, select: employeeSelect });
+    if (!employee) {
+      throw new NotFoundError('Employee not found', null, 'NOT_FOUND');
+    }
+    await permissionService.assert(user, PERMISSION, { employeeId });
+
+    const reviews = await prisma.probationReview.findMany({
+      where: { employeeId },
+      include: reviewInclude,
+      orderBy: { endDate: 'desc' },
+    });
+    return { employee, reviews };
+  },
+
+  /**
+   * Close the current probation period. CONFIRM makes the employee ACTIVE
+   * and records the confirmation in the employment history, EXTEND moves
+   * the end date to `extendedTo`, TERMINATE terminates the employee with
+   * `terminationDate` (today by default) as the last day.
+   */
+  async decide(employeeId, { decision, comments, extendedTo, terminationDate }, req) {
+    const employee = await prisma.employee.findUnique({ where: { id: employeeId } });
+    if (!employee) {
+      throw new NotFoundError('Employee not found', null, 'NOT_FOUND');
+    }
+    await permissionService.assert(req.user, PERMISSION, { employeeId });
+    if (req.user.employee?.id === employeeId) {
+      throw new AuthorizationError('You cannot decide on your own probation', null, 'ACCESS_DENIED');
+    }
+    if (employee.employmentStatus !== 'PROBATION') {
+      throw new ValidationError('Employee is not on probation', { employmentStatus: employee.employmentStatus }, 'NOT_ON_PROBATION');
+    }
+
+    if (await prisma.termination.findFirst({ where: { employeeId, status: 'SCHEDULED' }, select: { id: true } })) {
+      throw new ValidationError('The employment is already being terminated', null, 'TERMINATION_SCHEDULED');
+    }
+
+    const today = startOfToday();
+    const endDate = employee.probationEndDate || today;
+    if (decision === 'EXTEND' && !(extendedTo > (endDate > today ? endDate : today))) {
+      throw new ValidationError('The probation can only be extended to a later date', { field: 'extendedTo' }, 'INVALID_EXTENSION');
+    }
+
+    const employeeChanges = {
+      CONFIRM: { employmentStatus: 'ACTIVE' },
+      EXTEND: { probationEndDate: extendedTo },
+      TERMINATE: null,
+    }[decision];
+
+    const decided = {
+      decision,
+      comments,
+      extendedTo: decision === 'EXTEND' ? extendedTo : null,
+      decidedById: req.user.id,
+      decidedAt: new Date(),
+    };
+
+    const saveReview = (tx) => tx.probationReview.upsert({
+      where: { employeeId_endDate: { employeeId, endDate } },
+      create: { employeeId, endDate, reviewerId: employee.managerId, ...decided },
+      update: decided,
+      include: reviewInclude,
+    });
+
+    // Ending the employment goes through the termination workflow, which
+    // also checks for subordinates, starts offboarding and closes the account.
+    // The review is saved in its transaction, so neither is kept without the other.
+    let review;
+    let updated = null;
+    if (decision === 'TERMINATE') {
+      await terminationService.schedule(employeeId, {
+        terminationDate: terminationDate || today,
+        reason: comments ? `Probation not passed: ${comments}` : 'Probation not passed',
+      }, req, {
+        withinTransaction: async (tx) => {
+          review = await saveReview(tx);
+        },
+      });
+    } else {
+      ({ review, updated } = await prisma.$transaction(async (tx) => {
+        const saved = await saveReview(tx);
+        const after = await tx.employee.update({
+          where: { id: employeeId },
+          data: { ...employeeChanges, updatedById: req.user.id },
+        });
+        if (decision === 'CONFIRM') {
+          await tx.employmentRecord.create({
+            data: employmentHistoryService.confirmationRecordData(after, { notes: comments, userId: req.user.id }),
+          });
+        }
+        return { review: saved, updated: after };
+      }));
+    }
+
+    if (employeeChanges) {
+      const before = Object.fromEntries(Object.keys(employeeChanges).map((field) => [field, employee[field]]));
+      const after = Object.fromEntries(Object.keys(employeeChanges).map((field) => [field, updated[field]]));
+      await createAuditLog(req.user.id, 'UPDATE', 'employees', employeeId, before, after, req);
+    }
+    await createAuditLog(req.user.id, 'UPDATE', 'probation_reviews', review.id, null, decided, req);
+    logger.info('Probation decided', { employeeId, decision, userId: req.user.id });
+
+    return review;
+  },
+
+  /**
+   * Ask managers for a decision on probation periods ending within the
+   * reminder window. Each period is reminded once; periods of employees
+   * without a manager only show up in the probation report. Runs
+   * periodically from the server.
+   */
+  async sendReminders() {
+    const today = startOfToday();
+    const days = await this.getReminderDays();
+
+    const due = await prisma.employee.findMany({
+      where: {
+        employmentStatus: 'PROBATION',
+        probationEndDate: { lte: addDays(today, days) },
+        terminations: { none: { status: 'SCHEDULED' } },
+      },
+      select: employeeSelect,
+    });
+
+    let sent = 0;
+    for (const employee of due) {
+      try {
+        const key = { employeeId: employee.id, endDate: employee.probationEndDate };
+        const review = await prisma.probationReview.upsert({
+          where: { employeeId_endDate: key },
+          create: { ...key, reviewerId: employee.manager?.id || null },
+          update: {},
+        });
+        if (review.notifiedAt || review.decidedAt || !employee.manager) continue;
+
+        // Claim the reminder first, so concurrent runs send it once
+        const claimed = await prisma.probationReview.updateMany({
+          where: { id: review.id, notifiedAt: null },
+          data: { notifiedAt: new Date(), reviewerId: employee.manager.id },
+        });
+        if (claimed.count === 0) continue;
+
+        await notifyReviewer(employee, employee.manager);
+        sent += 1;
+      } catch (error) {
+        logger.error('Failed to send probation reminder', { employeeId: employee.id, error: error.message });
+      }
+    }
+    if (sent > 0) {
+      logger.info('Probation reminders sent', { count: sent });
+    }
+    return sent;
+  },
+};
+
+export { probationService };
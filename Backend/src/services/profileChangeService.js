@@ -0,0 +1,231 @@
+import prisma from '../config/prisma.js';
+import { AuthorizationError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { encrypt } from '../utils/encryption.js';
+import { createAuditLog } from '../middleware/auditMiddleware.js';
+import { SENSITIVE_EMPLOYEE_FIELDS, EMPLOYEE_SUMMARY_SELECT } from '../config/fieldPolicy.js';
+import { PROFILE_CHANGE_PERMISSION, SELF_SERVICE_FIELDS } from '../config/selfServiceFields.js';
+import { employeeService } from './employeeService.js';
+import { fieldEncryptionService } from './fieldEncryptionService.js';
+import { fieldPolicyService } from './fieldPolicyService.js';
+import { permissionService } from './permissionService.js';
+import logger from '../utils/logger.js';
+
+const requestInclude = {
+  employee: { select: EMPLOYEE_SUMMARY_SELECT },
+  requestedBy: { select: { id: true, email: true } },
+  reviewedBy: { select: { id: true, email: true } },
+};
+
+// Empty strings clear optional fields
+const normalize = (value) => (value === undefined || value === null || value === '' ? null : value);
+
+// Values of encrypted employee columns are stored encrypted in the request as
+// well; query results decrypt them again
+const seal = (values) =>
+  Object.fromEntries(
+    Object.entries(values).map(([field, value]) => [
+      field,
+      fieldEncryptionService.ENCRYPTED_EMPLOYEE_FIELDS.includes(field) && value ? encrypt(value) : value,
+    ])
+  );
+
+// Sensitive values are shown with their last characters only, like masked
+// employee records
+const maskValue = (field, value) => {
+  if (value === null || !SENSITIVE_EMPLOYEE_FIELDS[field]) return value;
+  const text = String(value);
+  return text.length > 4 ? `${fieldPolicyService.MASK}${text.slice(-4)}` : fieldPolicyService.MASK;
+};
+
+// Request without the raw values, with a per-field diff instead
+const toView = ({ changes, previous, ...request }) => ({
+  ...request,
+  diff: Object.keys(changes).map((field) => ({
+    field,
+    label: SELF_SERVICE_FIELDS[field]?.label || field,
+    from: maskValue(field, normalize(previous[field])),
+    to: maskValue(field, normalize(changes[field])),
+  })),
+});
+
+const findPending = (employeeId) => prisma.profileChangeRequest.findFirst({ where: { employeeId, status: 'PENDING' } });
+
+const profileChangeService = {
+  /**
+   * Submit changes to the user's own employee record. Fields that need no
+   * review are written right away; the others are queued as one pending
+   * request. Only one request per employee may be pending at a time.
+   */
+  async submit(changes, comment, req) {
+    if (!req.user.employee) {
+      throw new ValidationError('Your account is not linked to an employee record', null, 'NO_EMPLOYEE_PROFILE');
+    }
+    const employee = await prisma.employee.findUnique({ where: { id: req.user.employee.id } });
+    if (!employee) {
+      throw new NotFoundError('Employee not found', null, 'NOT_FOUND');
+    }
+    if (employee.employmentStatus === 'TERMINATED') {
+      throw new ValidationError('Terminated employees cannot change their profile', null, 'EMPLOYEE_TERMINATED');
+    }
+
+    const immediate = {};
+    const reviewed = {};
+    for (const [field, value] of Object.entries(changes)) {
+      if (!SELF_SERVICE_FIELDS[field] || normalize(value) === normalize(employee[field])) continue;
+      (SELF_SERVICE_FIELDS[field].review ? reviewed : immediate)[field] = normalize(value);
+    }
+    if (Object.keys(immediate).length === 0 && Object.keys(reviewed).length === 0) {
+      throw new ValidationError('Nothing was changed', null, 'NO_CHANGES');
+    }
+    // Checked before anything is written, so a rejected submission changes nothing
+    if (Object.keys(reviewed).length > 0 && (await findPending(employee.id))) {
+      throw new ValidationError(
+        'You already have profile changes waiting for approval; cancel them to submit new ones',
+        null,
+        'CHANGE_REQUEST_PENDING'
+      );
+    }
+
+    if (Object.keys(immediate).length > 0) {
+      await employeeService.updateEmployee(employee.id, immediate, req);
+    }
+
+    let request = null;
+    if (Object.keys(reviewed).length > 0) {
+      const previous = Object.fromEntries(Object.keys(reviewed).map((field) => [field, normalize(employee[field])]));
+      request = await prisma.profileChangeRequest.create({
+        data: {
+          employeeId: employee.id,
+          requestedById: req.user.id,
+          changes: seal(reviewed),
+          previous: seal(previous),
+          comment,
+        },
+        include: requestInclude,
+      });
+      await createAuditLog(req.user.id, 'CREATE', 'profile_change_requests', request.id, null, { fields: Object.keys(reviewed) }, req);
+    }
+
+    logger.info('Profile changes submitted', {
+      employeeId: employee.id,
+      applied: Object.keys(immediate),
+      pending: Object.keys(reviewed),
+    });
+
+    return { applied: Object.keys(immediate), request: request && toView(request) };
+  },
+
+  // Requests of the user's own employee record, newest first
+  async listOwn(user) {
+    if (!user.employee) return { requests: [] };
+
+    const requests = await prisma.profileChangeRequest.findMany({
+      where: { employeeId: user.employee.id },
+      include: requestInclude,
+      orderBy: { createdAt: 'desc' },
+      take: 20,
+    });
+    return { requests: requests.map(toView) };
+  },
+
+  // Withdraw a pending request of the user's own employee record
+  async cancel(id, req) {
+    const request = await prisma.profileChangeRequest.findUnique({ where: { id } });
+    if (!request || request.employeeId !== req.user.employee?.id) {
+      throw new NotFoundError('Profile change request not found', null, 'NOT_FOUND');
+    }
+
+    const { count } = await prisma.profileChangeRequest.updateMany({
+      where: { id, status: 'PENDING' },
+      data: { status: 'CANCELLED' },
+    });
+    if (count === 0) {
+      throw new ValidationError('Only pending requests can be cancelled', { status: request.status }, 'REQUEST_NOT_PENDING');
+    }
+
+    await createAuditLog(req.user.id, 'UPDATE', 'profile_change_requests', id, { status: 'PENDING' }, { status: 'CANCELLED' }, req);
+
+    return toView(await prisma.profileChangeRequest.findUnique({ where: { id }, include: requestInclude }));
+  },
+
+  // Approval queue of the employees in the user's scope, oldest request first
+  async list({ status = 'PENDING', page = 1, limit = 20 } = {}, user) {
+    const where = {
+      ...(await permissionService.scopeWhere(user, PROFILE_CHANGE_PERMISSION)),
+      ...(status !== 'ALL' && { status }),
+    };
+    const [requests, total] = await Promise.all([
+      prisma.profileChangeRequest.findMany({
+        where,
+        include: requestInclude,
+        orderBy: { createdAt: status === 'PENDING' ? 'asc' : 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.profileChangeRequest.count({ where }),
+    ]);
+
+    return {
+      requests: requests.map(toView),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    };
+  },
+
+  /**
+   * Approve or reject a pending request. Approved changes are written to the
+   * employee record as the reviewer; a rejection needs a note for the
+   * employee.
+   */
+  async review(id, { decision, note }, req) {
+    const request = await prisma.profileChangeRequest.findUnique({ where: { id } });
+    if (!request) {
+      throw new NotFoundError('Profile change request not found', null, 'NOT_FOUND');
+    }
+    await permissionService.assert(req.user, PROFILE_CHANGE_PERMISSION, request);
+    if (request.requestedById === req.user.id || request.employeeId === req.user.employee?.id) {
+      throw new AuthorizationError('You cannot review changes to your own profile', null, 'ACCESS_DENIED');
+    }
+    if (decision === 'REJECT' && !note) {
+      throw new ValidationError('A note is required when rejecting changes', { field: 'note' }, 'NOTE_REQUIRED');
+    }
+
+    const status = decision === 'APPROVE' ? 'APPROVED' : 'REJECTED';
+    const reviewed = { status, reviewNote: note || null, reviewedById: req.user.id, reviewedAt: new Date() };
+
+    // Claim the request first, so concurrent reviews apply it once
+    const { count } = await prisma.profileChangeRequest.updateMany({
+      where: { id, status: 'PENDING' },
+      data: reviewed,
+    });
+    if (count === 0) {
+      throw new ValidationError('This request has already been handled', { status: request.status }, 'REQUEST_NOT_PENDING');
+    }
+
+    if (decision === 'APPROVE') {
+      try {
+        await employeeService.updateEmployee(request.employeeId, request.changes, req);
+      } catch (error) {
+        await prisma.profileChangeRequest.update({
+          where: { id },
+          data: { status: 'PENDING', reviewNote: null, reviewedById: null, reviewedAt: null },
+        });
+        throw error;
+      }
+    }
+
+    await createAuditLog(
+      req.user.id,
+      'UPDATE',
+      'profile_change_requests',
+      id,
+      { status: 'PENDING' },
+      { status, reviewNote: reviewed.reviewNote },
+      req
+    );
+    logger.info('Profile change request reviewed', { requestId: id, status, userId: req.user.id });
+
+    return toView(await prisma.profileChangeRequest.findUnique({ where: { id }, include: requestInclude }));
+  },
+};
+
+export { profileChangeService };
@@ -1,23 +1,269 @@
-import { PrismaClient } from '@prisma/client';
+import { randomUUID } from 'crypto';
+import prisma from '../config/prisma.js';
+import { generateTokens, verifyRefreshToken } from '../utils/authUtils.js';
+import { AuthenticationError, NotFoundError } from '../utils/errors.js';
+import { createAuditLog } from '../middleware/auditMiddleware.js';
+import logger from '../utils/logger.js';
 
-const prisma = new PrismaClient();
+const getEnvVariable = (key, defaultValue) => {
+  const value = process.env[key];
+  if (!value) {
+    logger.warn(`Environment variable ${key} not set, using default: ${defaultValue}`);
+    return defaultValue;
+  }
+  return value;
+};
+
+const getRefreshTokenExpiry = () =>
+  new Date(Date.now() + parseInt(getEnvVariable('REFRESH_TOKEN_EXPIRES_MS', '604800000')));
+
+// Human readable device label, e.g. "Chrome on Windows"
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+  ];
+  const systems = [
+    ['Windows', /Windows/],
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/],
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const os = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (!browser && !os) return userAgent.slice(0, 100);
+  return [browser || 'Unknown browser', os].filter(Boolean).join(' on ');
+};
+
+const getClientContext = (req) => {
+  const userAgent = req?.get?.('User-Agent') || null;
+  return {
+    ipAddress: req?.ip || null,
+    userAgent,
+    deviceName: describeDevice(userAgent),
+  };
+};
+
+const sessionSelect = {
+  familyId: true,
+  deviceName: true,
+  ipAddress: true,
+  userAgent: true,
+  lastUsedAt: true,
+  expiresAt: true,
+  createdAt: true,
+};
 
 export const refreshTokenService = {
   async createRefreshToken(data) {
-    const { token, userId, expiresAt } = data;
-    return prisma.refresh_tokens.create({
-      data: { token, userId, expiresAt: new Date(expiresAt) },
+    const { token, userId, expiresAt, familyId = randomUUID() } = data;
+    return prisma.refreshToken.create({
+      data: { token, userId, familyId, expiresAt: new Date(expiresAt) },
     });
   },
 
   async getRefreshToken(id) {
-    return prisma.refresh_tokens.findUnique({
+    return prisma.refreshToken.findUnique({
       where: { id },
-      select: { id: true, token: true, userId: true, expiresAt: true, createdAt: true },
+      select: {
+        id: true,
+        token: true,
+        userId: true,
+        familyId: true,
+        expiresAt: true,
+        revokedAt: true,
+        createdAt: true,
+      },
     });
   },
 
   async deleteRefreshToken(id) {
-    return prisma.refresh_tokens.delete({ where: { id } });
+    return prisma.refreshToken.delete({ where: { id } });
+  },
+
+  /**
+   * Issue an access/refresh token pair and persist the refresh token.
+   * A new token family (session) is started unless `familyId` is given (rotation).
+   * The family ID travels in the access token as `sessionId`.
+   */
+  async issueTokens(user, { familyId = randomUUID(), db = prisma, req = null } = {}) {
+    const { accessToken, refreshToken } = generateTokens({
+      userId: user.id,
+      role: user.role,
+      sessionId: familyId,
+    });
+
+    const record = await db.refreshToken.create({
+      data: {
+        token: refreshToken,
+        userId: user.id,
+        familyId,
+        expiresAt: getRefreshTokenExpiry(),
+        lastUsedAt: new Date(),
+        ...getClientContext(req),
+      },
+    });
+
+    return { accessToken, refreshToken, record };
+  },
+
+  /**
+   * Exchange a refresh token for a new pair. The presented token is revoked and
+   * linked to its replacement; presenting an already-rotated token again revokes
+   * the whole family, since it means the token was copied.
+   */
+  async rotateRefreshToken(token, req) {
+    const decoded = verifyRefreshToken(token);
+
+    const stored = await prisma.refreshToken.findUnique({
+      where: { token },
+      include: { user: { select: { id: true, email: true, role: true, isActive: true } } },
+    });
+
+    if (!stored || stored.userId !== decoded.userId) {
+      throw new AuthenticationError('Invalid refresh token', null, 'INVALID_TOKEN');
+    }
+
+    if (stored.revokedAt) {
+      await this.handleTokenReuse(stored, req);
+    }
+
+    if (stored.expiresAt < new Date()) {
+      throw new AuthenticationError('Refresh token expired', null, 'TOKEN_EXPIRED');
+    }
+
+    if (!stored.user.isActive) {
+      await this.revokeFamily(stored.familyId);
+      throw new AuthenticationError('User not found or inactive', null, 'USER_NOT_FOUND');
+    }
+
+    const rotated = await prisma.$transaction(async (tx) => {
+      // Guard against two concurrent refreshes with the same token
+      const { count } = await tx.refreshToken.updateMany({
+        where: { id: stored.id, revokedAt: null },
+        data: { revokedAt: new Date() },
+      });
+      if (count === 0) return null;
+
+      const tokens = await this.issueTokens(stored.user, { familyId: stored.familyId, db: tx, req });
+      await tx.refreshToken.update({
+        where: { id: stored.id },
+        data: { replacedById: tokens.record.id },
+      });
+      return tokens;
+    });
+
+    if (!rotated) {
+      await this.handleTokenReuse(stored, req);
+    }
+
+    return {
+      user: stored.user,
+      accessToken: rotated.accessToken,
+      refreshToken: rotated.refreshToken,
+    };
+  },
+
+  async handleTokenReuse(stored, req) {
+    const revoked = await this.revokeFamily(stored.familyId);
+
+    logger.warn('Refresh token reuse detected, token family revoked', {
+      userId: stored.userId,
+      familyId: stored.familyId,
+      revoked,
+      ip: req?.ip,
+    });
+
+    await createAuditLog(
+      stored.userId,
+      'LOGOUT',
+      'refresh_tokens',
+      stored.id,
+      null,
+      { reason: 'TOKEN_REUSE_DETECTED', familyId: stored.familyId },
+      req
+    );
+
+    throw new AuthenticationError('Refresh token reuse detected', null, 'TOKEN_REUSE_DETECTED');
+  },
+
+  // Revoke the session (token family) the given refresh token belongs to
+  async revokeRefreshToken(token, userId) {
+    const stored = await prisma.refreshToken.findFirst({ where: { token, userId } });
+    if (!stored) {
+      return 0;
+    }
+    return this.revokeFamily(stored.familyId);
+  },
+
+  async revokeFamily(familyId) {
+    const { count } = await prisma.refreshToken.updateMany({
+      where: { familyId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+    return count;
+  },
+
+  async revokeAllForUser(userId) {
+    const { count } = await prisma.refreshToken.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+    return count;
+  },
+
+  /**
+   * Active sessions of a user. Only the newest token of a family is unrevoked,
+   * so each row returned is one signed-in device, identified by its family ID.
+   */
+  async listSessions(userId, currentSessionId = null) {
+    const tokens = await prisma.refreshToken.findMany({
+      where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+      select: sessionSelect,
+      orderBy: { lastUsedAt: 'desc' },
+    });
+
+    return tokens.map(({ familyId, ...session }) => ({
+      id: familyId,
+      ...session,
+      current: familyId === currentSessionId,
+    }));
+  },
+
+  // A session lives while its family still has a usable refresh token
+  async isSessionActive(sessionId) {
+    const token = await prisma.refreshToken.findFirst({
+      where: { familyId: sessionId, revokedAt: null, expiresAt: { gt: new Date() } },
+      select: { id: true },
+    });
+    return Boolean(token);
+  },
+
+  async revokeSession(userId, sessionId) {
+    const session = await prisma.refreshToken.findFirst({
+      where: { userId, familyId: sessionId },
+      select: { id: true },
+    });
+    if (!session) {
+      throw new NotFoundError('Session not found', null, 'SESSION_NOT_FOUND');
+    }
+    return this.revokeFamily(sessionId);
+  },
+
+  // Drop tokens that can no longer be used; rotated tokens are kept until they
+  // expire so that reuse can still be detected
+  async pruneExpired(userId) {
+    const { count } = await prisma.refreshToken.deleteMany({
+      where: { userId, expiresAt: { lt: new Date() } },
+    });
+    return count;
   },
 };
@@ -0,0 +1,45 @@
+import prisma from '../config/prisma.js';
+
+// Resolved chains are cached per manager; manager changes clear the cache, the
+// TTL bounds staleness when several instances share the database
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+const reportingChainService = {
+  clearCache() {
+    cache.clear();
+  },
+
+  /**
+   * IDs of the employees reporting to `managerId`: only direct reports, or
+   * (transitive) everyone below them in the reporting chain. UNION drops rows
+   * already seen, so a cycle in the manager data ends the recursion.
+   */
+  async getReportIds(managerId, { transitive = true } = {}) {
+    const cacheKey = `${managerId}:${transitive ? 'all' : 'direct'}`;
+    const cached = cache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.ids;
+    }
+
+    let ids;
+    if (transitive) {
+      const rows = await prisma.$queryRaw`
+        WITH RECURSIVE chain AS (
+          SELECT "id" FROM "employees" WHERE "managerId" = ${managerId}
+          UNION
+          SELECT e."id" FROM "employees" e JOIN chain c ON e."managerId" = c."id"
+        )
+        SELECT "id" FROM chain WHERE "id" <> ${managerId}`;
+      ids = rows.map((row) => row.id);
+    } else {
+      const rows = await prisma.employee.findMany({ where: { managerId }, select: { id: true } });
+      ids = rows.map((row) => row.id);
+    }
+
+    cache.set(cacheKey, { ids, expiresAt: Date.now() + CACHE_TTL_MS });
+    return ids;
+  },
+};
+
+export { reportingChainService };
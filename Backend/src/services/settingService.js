@@ -1,6 +1,6 @@
 import { z } from 'zod';
-import prisma from '../prisma/client';
-import { NotFoundError, UnauthorizedError } from '../utils/errors';
+import prisma from '../config/prisma.js';
+import { NotFoundError, AuthorizationError as UnauthorizedError } from '../utils/errors.js';
 
 const settingSchema = z.object({
   key: z.string().min(1),
@@ -45,4 +45,36 @@ export const deleteSetting = async ({ id, userRole }) => {
   const setting = await prisma.setting.findUnique({ where: { id } });
   if (!setting) throw new NotFoundError('Setting not found');
   return prisma.setting.delete({ where: { id } });
-};
\ No newline at end of file
+};
+
+// Typed readers for configuration stored in the settings table. A missing row
+// falls back to the given default so features work before an admin configures them.
+export const getSettingValue = async (key, defaultValue = null) => {
+  const setting = await prisma.setting.findUnique({ where: { key } });
+  return setting ? setting.value : defaultValue;
+};
+
+export const getSettingNumber = async (key, defaultValue) => {
+  const value = parseInt(await getSettingValue(key), 10);
+  return Number.isNaN(value) ? defaultValue : value;
+};
+
+export const getSettingBoolean = async (key, defaultValue = false) => {
+  const value = await getSettingValue(key);
+  return value === null ? defaultValue : value === 'true';
+};
+
+// Comma separated list, e.g. "ADMIN,HR"
+export const getSettingList = async (key, defaultValue = []) => {
+  const value = await getSettingValue(key);
+  if (value === null) return defaultValue;
+  return value.split(',').map((item) => item.trim()).filter(Boolean);
+};
+
+export const setSettingValue = async (key, value, { category, description, isPublic } = {}) => {
+  return prisma.setting.upsert({
+    where: { key },
+    update: { value: String(value) },
+    create: { key, value: String(value), category, description, isPublic },
+  });
+};
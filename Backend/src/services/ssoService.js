@@ -0,0 +1,313 @@
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import { createHash, createPublicKey, randomBytes } from 'crypto';
+import prisma from '../config/prisma.js';
+import { AppError, AuthenticationError, AuthorizationError, ValidationError } from '../utils/errors.js';
+import { getSettingBoolean, getSettingList, getSettingValue } from './settingService.js';
+import { createAuditLog } from '../middleware/auditMiddleware.js';
+import logger from '../utils/logger.js';
+
+// Setting keys, all stored under the "security" category. The client secret is
+// read from OIDC_CLIENT_SECRET so it never shows up in the settings screens.
+const SSO_SETTINGS = {
+  enabled: 'security.ssoEnabled',
+  issuer: 'security.ssoIssuer',
+  clientId: 'security.ssoClientId',
+  redirectUri: 'security.ssoRedirectUri',
+  scopes: 'security.ssoScopes',
+  groupsClaim: 'security.ssoGroupsClaim',
+  roleMapping: 'security.ssoRoleMapping',
+  defaultRole: 'security.ssoDefaultRole',
+  autoProvision: 'security.ssoAutoProvision',
+  allowedDomains: 'security.ssoAllowedDomains',
+  buttonLabel: 'security.ssoButtonLabel',
+};
+
+const ROLES = ['EMPLOYEE', 'MANAGER', 'HR', 'ADMIN'];
+const LOGIN_REQUEST_TTL_MS = 10 * 60 * 1000;
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const JWKS_REFRESH_MIN_MS = 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+// "idp-group=ROLE" pairs, e.g. "hr-team=HR,people-leads=MANAGER"
+const parseRoleMapping = (entries) =>
+  entries.reduce((mapping, entry) => {
+    const [group, role] = entry.split('=').map((part) => part.trim());
+    if (group && ROLES.includes(role?.toUpperCase())) {
+      mapping[group] = role.toUpperCase();
+    }
+    return mapping;
+  }, {});
+
+const fetchJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(10000) });
+  } catch (error) {
+    logger.error('Identity provider request failed', { url, error: error.message });
+    throw new AppError('Identity provider is unavailable', 502, null, 'SSO_PROVIDER_ERROR');
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    logger.error('Identity provider returned an error', { url, status: response.status, error: body?.error });
+    throw new AppError('Identity provider rejected the request', 502, { error: body?.error }, 'SSO_PROVIDER_ERROR');
+  }
+  return body;
+};
+
+const getMetadata = async (issuer) => {
+  const cached = metadataCache.get(issuer);
+  if (cached && Date.now() - cached.fetchedAt < METADATA_TTL_MS) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  metadataCache.set(issuer, { metadata, fetchedAt: Date.now() });
+  return metadata;
+};
+
+// Signing key of an ID token; the key set is fetched again when the provider
+// has rotated to a key id we have not seen yet
+const getSigningKey = async (jwksUri, kid) => {
+  let cached = jwksCache.get(jwksUri);
+  const findKey = () => cached.keys.find((key) => (kid ? key.kid === kid : key.use !== 'enc'));
+
+  if (!cached || (!findKey() && Date.now() - cached.fetchedAt > JWKS_REFRESH_MIN_MS)) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    cached = { keys, fetchedAt: Date.now() };
+    jwksCache.set(jwksUri, cached);
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw new AuthenticationError('Unknown signing key', null, 'SSO_INVALID_TOKEN');
+  }
+  return createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const resolveRole = (groups, config) => {
+  const mapped = groups.map((group) => config.roleMapping[group]).filter(Boolean);
+  if (mapped.length === 0) return config.defaultRole;
+  // Several matching groups grant the most privileged role among them
+  return mapped.reduce((best, role) => (ROLES.indexOf(role) > ROLES.indexOf(best) ? role : best));
+};
+
+const ssoService = {
+  async getConfig() {
+    const [enabled, issuer, clientId, redirectUri, scopes, groupsClaim, roleMapping, defaultRole, autoProvision, allowedDomains, buttonLabel] =
+      await Promise.all([
+        getSettingBoolean(SSO_SETTINGS.enabled, false),
+        getSettingValue(SSO_SETTINGS.issuer, ''),
+        getSettingValue(SSO_SETTINGS.clientId, ''),
+        getSettingValue(SSO_SETTINGS.redirectUri, null),
+        getSettingList(SSO_SETTINGS.scopes, ['openid', 'email', 'profile']),
+        getSettingValue(SSO_SETTINGS.groupsClaim, 'groups'),
+        getSettingList(SSO_SETTINGS.roleMapping, []),
+        getSettingValue(SSO_SETTINGS.defaultRole, 'EMPLOYEE'),
+        getSettingBoolean(SSO_SETTINGS.autoProvision, true),
+        getSettingList(SSO_SETTINGS.allowedDomains, []),
+        getSettingValue(SSO_SETTINGS.buttonLabel, 'Sign in with SSO'),
+      ]);
+
+    const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+    return {
+      enabled: enabled && Boolean(issuer) && Boolean(clientId),
+      issuer: issuer.replace(/\/$/, ''),
+      clientId,
+      clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+      redirectUri: redirectUri || `${frontendUrl}/sso/callback`,
+      scopes: scopes.includes('openid') ? scopes : ['openid', ...scopes],
+      groupsClaim,
+      roleMapping: parseRoleMapping(roleMapping),
+      defaultRole: ROLES.includes(defaultRole) ? defaultRole : 'EMPLOYEE',
+      autoProvision,
+      allowedDomains: allowedDomains.map((domain) => domain.toLowerCase()),
+      buttonLabel,
+    };
+  },
+
+  // What the login page needs to offer the SSO button
+  async getPublicConfig() {
+    const { enabled, buttonLabel } = await this.getConfig();
+    return { enabled, buttonLabel };
+  },
+
+  /**
+   * Begin an authorization code flow with PKCE. Returns the provider URL the
+   * browser is sent to; state, nonce and verifier are kept for the callback.
+   */
+  async start() {
+    const config = await this.getConfig();
+    if (!config.enabled) {
+      throw new ValidationError('Single sign-on is not enabled', null, 'SSO_DISABLED');
+    }
+    const metadata = await getMetadata(config.issuer);
+
+    const state = base64url(randomBytes(32));
+    const nonce = base64url(randomBytes(32));
+    const codeVerifier = base64url(randomBytes(32));
+    const codeChallenge = base64url(createHash('sha256').update(codeVerifier).digest());
+
+    await prisma.ssoLoginRequest.deleteMany({ where: { expiresAt: { lt: new Date() } } });
+    await prisma.ssoLoginRequest.create({
+      data: { state, nonce, codeVerifier, expiresAt: new Date(Date.now() + LOGIN_REQUEST_TTL_MS) },
+    });
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: config.clientId,
+      redirect_uri: config.redirectUri,
+      scope: config.scopes.join(' '),
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+    });
+    return { authorizationUrl: `${metadata.authorization_endpoint}?${params}` };
+  },
+
+  /**
+   * Finish the flow: redeem the code, validate the ID token and return the
+   * linked user, creating it when just-in-time provisioning is on.
+   */
+  async complete({ code, state }, req) {
+    const config = await this.getConfig();
+    if (!config.enabled) {
+      throw new ValidationError('Single sign-on is not enabled', null, 'SSO_DISABLED');
+    }
+
+    // Deleting the row claims it, so a state cannot be replayed
+    const request = await prisma.ssoLoginRequest.findUnique({ where: { state } });
+    const { count } = request
+      ? await prisma.ssoLoginRequest.deleteMany({ where: { id: request.id } })
+      : { count: 0 };
+    if (count === 0 || request.expiresAt <= new Date()) {
+      throw new AuthenticationError('Sign-in request expired, please try again', null, 'SSO_INVALID_STATE');
+    }
+
+    const metadata = await getMetadata(config.issuer);
+    const tokens = await fetchJson(metadata.token_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: config.redirectUri,
+        client_id: config.clientId,
+        code_verifier: request.codeVerifier,
+        ...(config.clientSecret && { client_secret: config.clientSecret }),
+      }),
+    });
+    if (!tokens.id_token) {
+      throw new AuthenticationError('Identity provider returned no ID token', null, 'SSO_INVALID_TOKEN');
+    }
+
+    const claims = await this.verifyIdToken(tokens.id_token, { metadata, config, nonce: request.nonce });
+    return this.resolveUser(claims, config, req);
+  },
+
+  async verifyIdToken(idToken, { metadata, config, nonce }) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw new AuthenticationError('Malformed ID token', null, 'SSO_INVALID_TOKEN');
+    }
+
+    const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: metadata.issuer,
+        audience: config.clientId,
+      });
+    } catch (error) {
+      throw new AuthenticationError('Invalid ID token', [error.message], 'SSO_INVALID_TOKEN');
+    }
+
+    if (!nonce || claims.nonce !== nonce) {
+      throw new AuthenticationError('Invalid ID token', ['Nonce mismatch'], 'SSO_INVALID_TOKEN');
+    }
+    return claims;
+  },
+
+  /**
+   * Map ID token claims to a local user. Accounts are matched by issuer and
+   * subject, then by email for users signing in with SSO for the first time;
+   * matching or provisioning by email needs the provider to mark the email
+   * verified. The role follows the groups claim whenever a role mapping is
+   * configured.
+   */
+  async resolveUser(claims, config, req) {
+    const email = claims.email?.toLowerCase();
+    if (!email) {
+      throw new AuthenticationError('Your identity provider did not share a verified email', null, 'SSO_EMAIL_REQUIRED');
+    }
+    if (config.allowedDomains.length > 0 && !config.allowedDomains.includes(email.split('@').pop())) {
+      throw new AuthorizationError('Single sign-on is not open for this email domain', null, 'SSO_DOMAIN_NOT_ALLOWED');
+    }
+
+    const groups = [].concat(claims[config.groupsClaim] ?? []).map(String);
+    const role = resolveRole(groups, config);
+    const syncRole = Object.keys(config.roleMapping).length > 0;
+    const identity = { ssoIssuer: claims.iss, ssoSubject: String(claims.sub) };
+
+    let user = await prisma.user.findUnique({ where: { ssoIssuer_ssoSubject: identity } });
+    if (!user) {
+      // An unverified email could claim someone else's account or HR record
+      if (claims.email_verified !== true) {
+        throw new AuthenticationError('Your identity provider did not share a verified email', null, 'SSO_EMAIL_REQUIRED');
+      }
+      user = await prisma.user.findUnique({ where: { email } });
+    }
+
+    if (user?.ssoSubject && (user.ssoIssuer !== identity.ssoIssuer || user.ssoSubject !== identity.ssoSubject)) {
+      throw new AuthenticationError('This email is linked to another SSO account', null, 'SSO_ACCOUNT_MISMATCH');
+    }
+
+    if (!user) {
+      if (!config.autoProvision) {
+        throw new AuthorizationError('No account exists for this email, ask HR for access', null, 'SSO_USER_NOT_FOUND');
+      }
+      user = await this.provisionUser({ email, role, identity }, req);
+    } else {
+      const updates = {};
+      if (!user.ssoSubject) Object.assign(updates, identity);
+      if (syncRole && user.role !== role) updates.role = role;
+
+      if (Object.keys(updates).length > 0) {
+        user = await prisma.user.update({ where: { id: user.id }, data: updates });
+        await createAuditLog(user.id, 'UPDATE', 'users', user.id, null, { ...updates, source: 'sso' }, req);
+      }
+    }
+
+    if (!user.isActive) {
+      throw new AuthenticationError('Account is inactive', null, 'ACCOUNT_INACTIVE');
+    }
+    return user;
+  },
+
+  // Just-in-time account; the random password is never shown, so the account
+  // can only sign in through the identity provider until a reset sets one
+  async provisionUser({ email, role, identity }, req) {
+    const password = await bcrypt.hash(randomBytes(32).toString('hex'), parseInt(process.env.BCRYPT_ROUNDS) || 12);
+
+    const user = await prisma.$transaction(async (tx) => {
+      const created = await tx.user.create({ data: { email, password, role, ...identity } });
+      // Link the HR record of the same person when it has no account yet
+      await tx.employee.updateMany({ where: { email, userId: null }, data: { userId: created.id } });
+      return created;
+    });
+
+    await createAuditLog(user.id, 'CREATE', 'users', user.id, null, { email, role, source: 'sso' }, req);
+    logger.info('User provisioned through SSO', { userId: user.id, email, role });
+    return user;
+  },
+};
+
+export { ssoService };
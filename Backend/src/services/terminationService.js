@@ -0,0 +1,400 @@
+import prisma from '../config/prisma.js';
+import { AuthorizationError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { createAuditLog } from '../middleware/auditMiddleware.js';
+import { refreshTokenService } from './refreshTokenService.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Terminations run on calendar days, stored as dates at UTC midnight
+const startOfToday = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+};
+
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const personSelect = { id: true, firstName: true, lastName: true };
+
+const terminationInclude = {
+  template: { select: { id: true, name: true } },
+  finalPayroll: { select: { id: true, payPeriodStart: true, payPeriodEnd: true, status: true, isFinal: true } },
+  createdBy: { select: { id: true, email: true } },
+  offboardingTasks: {
+    include: { assignee: { select: personSelect } },
+    orderBy: [{ sortOrder: 'asc' }, { createdAt: 'asc' }],
+  },
+};
+
+/**
+ * Everything a termination on `terminationDate` touches, read through
+ * `client` so completion can work inside its transaction.
+ */
+const loadContext = async (client, employeeId, terminationDate) => {
+  const employee = await client.employee.findUnique({
+    where: { id: employeeId },
+    include: {
+      manager: { select: personSelect },
+      subordinates: { where: { employmentStatus: 'ACTIVE' }, select: personSelect },
+      user: { select: { id: true, email: true, isActive: true } },
+    },
+  });
+  if (!employee) {
+    throw new NotFoundError('Employee not found', null, 'NOT_FOUND');
+  }
+
+  const year = terminationDate.getUTCFullYear();
+  const [balances, laterLeave, finalPayroll, activeSessions] = await Promise.all([
+    client.leaveBalance.findMany({
+      where: { employeeId, year },
+      include: { policy: { select: { id: true, name: true, leaveType: true } } },
+    }),
+    client.leaveRequest.findMany({
+      where: { employeeId, startDate: { gt: terminationDate }, status: { in: ['PENDING', 'APPROVED'] } },
+      include: { policy: { select: { id: true, name: true } } },
+      orderBy: { startDate: 'asc' },
+    }),
+    client.payrollRecord.findFirst({
+      where: {
+        employeeId,
+        payPeriodStart: { lte: terminationDate },
+        payPeriodEnd: { gte: terminationDate },
+        status: { not: 'CANCELLED' },
+      },
+      orderBy: { payPeriodStart: 'desc' },
+    }),
+    employee.userId
+      ? client.refreshToken.count({ where: { userId: employee.userId, revokedAt: null, expiresAt: { gt: new Date() } } })
+      : 0,
+  ]);
+
+  return { employee, year, balances, laterLeave, finalPayroll, activeSessions };
+};
+
+/**
+ * Leave earned in the year of the last day, pro rata for the part of the
+ * year employed, against leave used up to the last day. Positive days are
+ * owed to the employee, negative days were taken in advance.
+ */
+const settleLeave = ({ employee, year, balances, laterLeave }, terminationDate) => {
+  const yearStart = Date.UTC(year, 0, 1);
+  const yearDays = (Date.UTC(year + 1, 0, 1) - yearStart) / DAY_MS;
+  const employedFrom = Math.max(yearStart, startOfDay(employee.hireDate).getTime());
+  const employedDays = Math.max(0, (terminationDate.getTime() - employedFrom) / DAY_MS + 1);
+
+  return balances.map((balance) => {
+    // Approved leave after the last day is cancelled, and given back
+    const refunded = laterLeave
+      .filter((request) => request.status === 'APPROVED' && request.policyId === balance.policyId
+        && request.startDate.getUTCFullYear() === year)
+      .reduce((sum, request) => sum + request.days, 0);
+    const accrued = Math.floor((balance.allocated * employedDays) / yearDays) + balance.carryForward;
+    const used = Math.max(0, balance.used - refunded);
+
+    return {
+      balanceId: balance.id,
+      policyId: balance.policyId,
+      policyName: balance.policy.name,
+      leaveType: balance.policy.leaveType,
+      year,
+      allocated: balance.allocated,
+      accrued,
+      used,
+      days: accrued - used,
+    };
+  });
+};
+
+// Offboarding tasks a template yields for a last day; none fall due in the past
+const planTasks = (template, employee, terminationDate) => {
+  const today = startOfToday();
+  return (Array.isArray(template?.tasks) ? template.tasks : []).map((task, index) => {
+    const dueDate = addDays(terminationDate, -(task.daysBeforeLastDay || 0));
+    return {
+      title: task.title,
+      description: task.description || null,
+      dueDate: dueDate < today ? today : dueDate,
+      assigneeId: task.assignToManager ? employee.managerId : null,
+      sortOrder: task.sortOrder ?? index,
+    };
+  });
+};
+
+const loadTemplate = async (templateId) => {
+  if (!templateId) return null;
+  const template = await prisma.offboardingTemplate.findFirst({ where: { id: templateId, isActive: true } });
+  if (!template) {
+    throw new ValidationError('Offboarding template not found or inactive', null, 'TEMPLATE_NOT_FOUND');
+  }
+  return template;
+};
+
+/**
+ * Check a termination can be scheduled and gather what it will do. Shared
+ * by the preview and the termination itself, so both reject the same input.
+ */
+const prepare = async (employeeId, { terminationDate, templateId }, req) => {
+  const context = await loadContext(prisma, employeeId, terminationDate);
+  const { employee } = context;
+
+  if (req.user.employee?.id === employeeId) {
+    throw new AuthorizationError('You cannot terminate your own employment', null, 'ACCESS_DENIED');
+  }
+  if (employee.employmentStatus === 'TERMINATED') {
+    throw new ValidationError('Employee is already terminated', null, 'ALREADY_TERMINATED');
+  }
+  if (await prisma.termination.findFirst({ where: { employeeId, status: 'SCHEDULED' }, select: { id: true } })) {
+    throw new ValidationError('A termination is already scheduled; cancel it first', null, 'TERMINATION_SCHEDULED');
+  }
+  if (terminationDate < startOfDay(employee.hireDate)) {
+    throw new ValidationError('The termination date cannot be before the hire date', { field: 'terminationDate' }, 'INVALID_TERMINATION_DATE');
+  }
+  if (employee.subordinates.length > 0) {
+    throw new ValidationError(
+      'Cannot terminate employee with active subordinates. Please reassign subordinates first.',
+      { subordinates: employee.subordinates },
+      'HAS_ACTIVE_SUBORDINATES'
+    );
+  }
+
+  const template = await loadTemplate(templateId);
+  return { context, template, tasks: planTasks(template, employee, terminationDate) };
+};
+
+/**
+ * Carry out a termination on its last day. The termination is claimed
+ * first, so concurrent runs complete it once.
+ */
+const complete = async (termination) => {
+  const result = await prisma.$transaction(async (tx) => {
+    const claimed = await tx.termination.updateMany({
+      where: { id: termination.id, status: 'SCHEDULED' },
+      data: { status: 'COMPLETED', completedAt: new Date() },
+    });
+    if (claimed.count === 0) return null;
+
+    const context = await loadContext(tx, termination.employeeId, termination.terminationDate);
+    const { employee, laterLeave, finalPayroll } = context;
+    const settlement = settleLeave(context, termination.terminationDate);
+    const cancellationReason = `Employment ends on ${termination.terminationDate.toISOString().slice(0, 10)}`;
+
+    if (laterLeave.length > 0) {
+      await tx.leaveRequest.updateMany({
+        where: { id: { in: laterLeave.map((request) => request.id) } },
+        data: { status: 'CANCELLED', cancelledAt: new Date(), cancellationReason },
+      });
+    }
+    for (const entry of settlement) {
+      await tx.leaveBalance.update({ where: { id: entry.balanceId }, data: { used: entry.used, remaining: 0 } });
+    }
+    if (finalPayroll) {
+      await tx.payrollRecord.update({ where: { id: finalPayroll.id }, data: { isFinal: true } });
+    }
+
+    await tx.termination.update({
+      where: { id: termination.id },
+      data: { leaveSettlement: settlement, finalPayrollId: finalPayroll?.id || null },
+    });
+    const updated = await tx.employee.update({
+      where: { id: employee.id },
+      data: {
+        employmentStatus: 'TERMINATED',
+        terminationDate: termination.terminationDate,
+        terminationReason: termination.reason,
+        updatedById: termination.createdById,
+      },
+    });
+    if (employee.userId) {
+      await tx.user.update({ where: { id: employee.userId }, data: { isActive: false } });
+    }
+    return { before: employee, after: updated };
+  });
+
+  if (!result) return false;
+
+  if (result.before.userId) {
+    await refreshTokenService.revokeAllForUser(result.before.userId);
+  }
+  await createAuditLog(
+    termination.createdById,
+    'UPDATE',
+    'employees',
+    termination.employeeId,
+    { employmentStatus: result.before.employmentStatus },
+    { employmentStatus: result.after.employmentStatus, terminationDate: result.after.terminationDate },
+  );
+  logger.info('Termination completed', { terminationId: termination.id, employeeId: termination.employeeId });
+  return true;
+};
+
+const terminationService = {
+  /**
+   * What terminating the employee on `terminationDate` would do, without
+   * changing anything: the offboarding tasks created, the account closed,
+   * how leave is settled and the payroll record flagged as final pay.
+   */
+  async preview(employeeId, input, req) {
+    const { context, template, tasks } = await prepare(employeeId, input, req);
+    const { employee, laterLeave, finalPayroll, activeSessions } = context;
+
+    return {
+      employee: {
+        id: employee.id,
+        employeeId: employee.employeeId,
+        firstName: employee.firstName,
+        lastName: employee.lastName,
+        employmentStatus: employee.employmentStatus,
+      },
+      terminationDate: input.terminationDate,
+      reason: input.reason,
+      immediate: input.terminationDate <= startOfToday(),
+      template: template && { id: template.id, name: template.name },
+      offboardingTasks: tasks.map(({ assigneeId, ...task }) => ({
+        ...task,
+        assignee: assigneeId ? employee.manager : null,
+      })),
+      account: employee.user && { email: employee.user.email, isActive: employee.user.isActive, activeSessions },
+      leave: {
+        settlement: settleLeave(context, input.terminationDate),
+        cancelledRequests: laterLeave.map((request) => ({
+          id: request.id,
+          policyName: request.policy.name,
+          startDate: request.startDate,
+          endDate: request.endDate,
+          days: request.days,
+          status: request.status,
+        })),
+      },
+      finalPayroll,
+    };
+  },
+
+  /**
+   * Terminate the employee on `terminationDate`, their last day. The date
+   * and reason are recorded on the employee and the offboarding tasks
+   * created at once; the rest happens on the last day, straight away when
+   * that is today or earlier. `withinTransaction(tx, termination)` lets the
+   * caller write its own records atomically with the termination.
+   */
+  async schedule(employeeId, input, req, { withinTransaction } = {}) {
+    const { terminationDate, reason, notes, templateId } = input;
+    const { tasks } = await prepare(employeeId, input, req);
+
+    const termination = await prisma.$transaction(async (tx) => {
+      const created = await tx.termination.create({
+        data: { employeeId, terminationDate, reason, notes, templateId, createdById: req.user.id },
+      });
+      if (tasks.length > 0) {
+        await tx.offboardingTask.createMany({
+          data: tasks.map((task) => ({ ...task, employeeId, terminationId: created.id })),
+        });
+      }
+      await tx.employee.update({
+        where: { id: employeeId },
+        data: { terminationDate, terminationReason: reason, updatedById: req.user.id },
+      });
+      if (withinTransaction) {
+        await withinTransaction(tx, created);
+      }
+      return created;
+    });
+
+    await createAuditLog(req.user.id, 'CREATE', 'terminations', termination.id, null, termination, req);
+    logger.info('Termination scheduled', {
+      terminationId: termination.id,
+      employeeId,
+      terminationDate,
+      userId: req.user.id,
+    });
+
+    if (terminationDate <= startOfToday()) {
+      await complete(termination);
+    }
+
+    return prisma.termination.findUnique({ where: { id: termination.id }, include: terminationInclude });
+  },
+
+  // The employee's scheduled or completed termination, if any
+  async getCurrent(employeeId) {
+    const employee = await prisma.employee.findUnique({ where: { id: employeeId }, select: { employmentStatus: true } });
+    if (!employee) {
+      throw new NotFoundError('Employee not found', null, 'NOT_FOUND');
+    }
+    // A completed termination merged in from an earlier record of a rehired
+    // employee is history, not their current state
+    return prisma.termination.findFirst({
+      where: { employeeId, status: employee.employmentStatus === 'TERMINATED' ? { not: 'CANCELLED' } : 'SCHEDULED' },
+      include: terminationInclude,
+      orderBy: { createdAt: 'desc' },
+    });
+  },
+
+  // Call off a scheduled termination; its open offboarding tasks go with it
+  async cancel(employeeId, req) {
+    const termination = await prisma.termination.findFirst({ where: { employeeId, status: 'SCHEDULED' } });
+    if (!termination) {
+      throw new NotFoundError('No scheduled termination found', null, 'NOT_FOUND');
+    }
+
+    const cancelled = await prisma.$transaction(async (tx) => {
+      const claimed = await tx.termination.updateMany({
+        where: { id: termination.id, status: 'SCHEDULED' },
+        data: { status: 'CANCELLED', cancelledAt: new Date() },
+      });
+      if (claimed.count === 0) return false;
+
+      await tx.offboardingTask.deleteMany({ where: { terminationId: termination.id, isCompleted: false } });
+      await tx.payrollRecord.updateMany({
+        where: {
+          employeeId,
+          isFinal: true,
+          payPeriodStart: { lte: termination.terminationDate },
+          payPeriodEnd: { gte: termination.terminationDate },
+        },
+        data: { isFinal: false },
+      });
+      await tx.employee.update({
+        where: { id: employeeId },
+        data: { terminationDate: null, terminationReason: null, updatedById: req.user.id },
+      });
+      return true;
+    });
+    if (!cancelled) {
+      throw new ValidationError('The termination has already taken effect', null, 'TERMINATION_COMPLETED');
+    }
+
+    await createAuditLog(req.user.id, 'UPDATE', 'terminations', termination.id, { status: 'SCHEDULED' }, { status: 'CANCELLED' }, req);
+  },
+
+  /**
+   * Complete terminations whose last day has come, oldest first. Runs
+   * periodically from the server; safe to run from several instances.
+   */
+  async completeDueTerminations() {
+    const due = await prisma.termination.findMany({
+      where: { status: 'SCHEDULED', terminationDate: { lte: startOfToday() } },
+      orderBy: [{ terminationDate: 'asc' }, { createdAt: 'asc' }],
+    });
+
+    let completed = 0;
+    for (const termination of due) {
+      try {
+        if (await complete(termination)) completed += 1;
+      } catch (error) {
+        logger.error('Failed to complete termination', {
+          terminationId: termination.id,
+          employeeId: termination.employeeId,
+          error: error.message,
+        });
+      }
+    }
+    if (completed > 0) {
+      logger.info('Scheduled terminations completed', { count: completed });
+    }
+    return completed;
+  },
+};
+
+export { terminationService };
@@ -1,10 +1,10 @@
 
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
-import { PrismaClient } from '@prisma/client';
+import prisma from '../config/prisma.js';
 import { AppError, NotFoundError } from '../utils/errors.js';
-
-const prisma = new PrismaClient();
+import { createAuditLog } from '../middleware/auditMiddleware.js';
+import { passwordPolicyService } from './passwordPolicyService.js';
 
 const userService = {
   async getAllUsers({ page, limit, search, role, isActive }) {
@@ -24,6 +24,8 @@ const userService = {
         } : {},
         role ? { role } : {},
         isActive !== undefined ? { isActive: isActive === 'true' } : {},
+        // Service accounts are managed with their API keys
+        { isServiceAccount: false },
       ],
     };
 
@@ -36,8 +38,10 @@ const userService = {
           id: true,
           email: true,
           role: true,
+          accessRole: { select: { id: true, name: true } },
           isActive: true,
           lastLoginAt: true,
+          lockedUntil: true,
           createdAt: true,
           updatedAt: true,
           employee: { 
@@ -74,8 +78,11 @@ const userService = {
         id: true,
         email: true,
         role: true,
+        accessRole: { select: { id: true, name: true } },
         isActive: true,
         lastLoginAt: true,
+        lockedUntil: true,
+        failedLoginAttempts: true,
         createdAt: true,
         updatedAt: true,
         employee: { 
@@ -125,11 +132,11 @@ const userService = {
       }
     }
 
-    const hashedPassword = await bcrypt.hash(password, parseInt(process.env.BCRYPT_ROUNDS) || 12);
+    const { data: passwordData } = await passwordPolicyService.preparePassword(password, { email });
     
     const user = await prisma.$transaction(async (tx) => {
       const newUser = await tx.user.create({
-        data: { email, password: hashedPassword, role },
+        data: { email, ...passwordData, role },
         select: { id: true, email: true, role: true, isActive: true, createdAt: true },
       });
 
@@ -221,18 +228,19 @@ const userService = {
 
     const isValid = await bcrypt.compare(currentPassword, user.password);
     if (!isValid) {
-      throw new AppError('Current password is incorrect', 400);
+      throw new AppError('Current password is incorrect', 400, null, 'INVALID_CURRENT_PASSWORD');
     }
 
-    const hashedPassword = await bcrypt.hash(newPassword, parseInt(process.env.BCRYPT_ROUNDS) || 12);
+    const { data: passwordData } = await passwordPolicyService.preparePassword(newPassword, {
+      userId,
+      email: user.email,
+    });
     
-    await prisma.$transaction([
-      prisma.user.update({ 
-        where: { id: userId }, 
-        data: { password: hashedPassword } 
-      }),
-      prisma.refreshToken.deleteMany({ where: { userId } }),
-    ]);
+    await prisma.$transaction(async (tx) => {
+      await passwordPolicyService.recordHistory(userId, user.password, tx);
+      await tx.user.update({ where: { id: userId }, data: passwordData });
+      await tx.refreshToken.deleteMany({ where: { userId } });
+    });
 
     await createAuditLog(userId, 'PASSWORD_CHANGE', 'users', userId, null, null, req);
   },
@@ -270,21 +278,25 @@ const userService = {
       throw new AppError('Invalid or expired reset token', 400);
     }
 
-    const hashedPassword = await bcrypt.hash(newPassword, parseInt(process.env.BCRYPT_ROUNDS) || 12);
+    const { data: passwordData } = await passwordPolicyService.preparePassword(newPassword, {
+      userId: user.id,
+      email: user.email,
+    });
     
-    await prisma.$transaction([
-      prisma.user.update({ 
+    await prisma.$transaction(async (tx) => {
+      await passwordPolicyService.recordHistory(user.id, user.password, tx);
+      await tx.user.update({ 
         where: { id: user.id }, 
         data: { 
-          password: hashedPassword, 
+          ...passwordData, 
           passwordResetToken: null, 
           passwordResetExpires: null 
         } 
-      }),
-      prisma.refreshToken.deleteMany({ where: { userId: user.id } }),
-    ]);
+      });
+      await tx.refreshToken.deleteMany({ where: { userId: user.id } });
+    });
 
-    await createAuditLog(null, 'PASSWORD_RESET', 'users', user.id, null, null, req);
+    await createAuditLog(null, 'PASSWORD_CHANGE', 'users', user.id, null, { reason: 'PASSWORD_RESET' }, req);
   },
 
   async deleteUser(id, req) {
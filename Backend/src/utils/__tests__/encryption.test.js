@@ -0,0 +1,86 @@
+import { jest } from '@jest/globals';
+import { randomBytes } from 'crypto';
+
+const KEY_1 = randomBytes(32).toString('base64');
+const KEY_2 = randomBytes(32).toString('base64');
+
+// The keyring is read once per module instance, so each configuration gets a fresh import
+const loadWithKeys = async (keys, version) => {
+  process.env.FIELD_ENCRYPTION_KEYS = keys;
+  if (version) process.env.FIELD_ENCRYPTION_KEY_VERSION = version;
+  else delete process.env.FIELD_ENCRYPTION_KEY_VERSION;
+  jest.resetModules();
+  return import('../encryption.js');
+};
+
+describe('encryption', () => {
+  beforeAll(() => {
+    process.env.FIELD_BLIND_INDEX_KEY = randomBytes(32).toString('base64');
+  });
+
+  it('round-trips values and uses a fresh data key each time', async () => {
+    const { encrypt, decrypt, isEncrypted } = await loadWithKeys(`1:${KEY_1}`);
+
+    const first = encrypt('DE89370400440532013000');
+    const second = encrypt('DE89370400440532013000');
+
+    expect(isEncrypted(first)).toBe(true);
+    expect(first).toMatch(/^enc:v1:/);
+    expect(first).not.toBe(second);
+    expect(decrypt(first)).toBe('DE89370400440532013000');
+    expect(decrypt('legacy plaintext')).toBe('legacy plaintext');
+  });
+
+  it('rejects tampered ciphertext', async () => {
+    const { encrypt, decrypt } = await loadWithKeys(`1:${KEY_1}`);
+    const value = encrypt('12345678901');
+    const tampered = `${value.slice(0, -4)}AAAA`;
+
+    expect(() => decrypt(tampered)).toThrow(expect.objectContaining({ code: 'DECRYPTION_FAILED' }));
+  });
+
+  it('re-wraps values of a retired key without touching the ciphertext', async () => {
+    const old = (await loadWithKeys(`1:${KEY_1}`)).encrypt('12345678901');
+    const { rewrap, decrypt, needsReEncryption } = await loadWithKeys(`1:${KEY_1},2:${KEY_2}`);
+
+    expect(needsReEncryption(old)).toBe(true);
+    const rewrapped = rewrap(old);
+    expect(rewrapped).toMatch(/^enc:v2:/);
+    expect(rewrapped.split(':')[3]).toBe(old.split(':')[3]);
+    expect(decrypt(rewrapped)).toBe('12345678901');
+    expect(needsReEncryption(rewrapped)).toBe(false);
+    expect(needsReEncryption('plaintext')).toBe(true);
+  });
+
+  it('refuses to start without valid keys', async () => {
+    const { encrypt } = await loadWithKeys(`1:${randomBytes(16).toString('base64')}`);
+    expect(() => encrypt('x')).toThrow(expect.objectContaining({ code: 'ENCRYPTION_NOT_CONFIGURED' }));
+  });
+
+  it('checks both keys at startup', async () => {
+    const { assertEncryptionConfig } = await loadWithKeys(`1:${KEY_1}`);
+    expect(() => assertEncryptionConfig()).not.toThrow();
+
+    const blindKey = process.env.FIELD_BLIND_INDEX_KEY;
+    try {
+      process.env.FIELD_BLIND_INDEX_KEY = randomBytes(8).toString('base64');
+      expect(() => assertEncryptionConfig()).toThrow('FIELD_BLIND_INDEX_KEY must be at least 32 bytes');
+      delete process.env.FIELD_BLIND_INDEX_KEY;
+      expect(() => assertEncryptionConfig()).toThrow('FIELD_BLIND_INDEX_KEY is not set');
+    } finally {
+      process.env.FIELD_BLIND_INDEX_KEY = blindKey;
+    }
+
+    const missing = await loadWithKeys('');
+    expect(() => missing.assertEncryptionConfig()).toThrow('FIELD_ENCRYPTION_KEYS is not set');
+  });
+
+  it('builds blind indexes that ignore formatting but not content', async () => {
+    const { blindIndex } = await loadWithKeys(`1:${KEY_1}`);
+
+    expect(blindIndex('de89 3704-0044')).toBe(blindIndex('DE8937040044'));
+    expect(blindIndex('DE8937040044')).not.toBe(blindIndex('DE8937040045'));
+    expect(blindIndex('DE8937040044')).toMatch(/^[0-9a-f]{64}$/);
+    expect(blindIndex(null)).toBeNull();
+  });
+});
@@ -0,0 +1,124 @@
+import { jest } from '@jest/globals';
+import { generateKeyPairSync } from 'crypto';
+import { mkdtempSync, readFileSync, rmSync, unlinkSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+
+const payload = { userId: '4f1c2a9e-8a3b-4c2d-9e1f-0a1b2c3d4e5f', role: 'EMPLOYEE' };
+
+let dir;
+
+// The keyring is read once per process, so every "restart" is a fresh import
+const restart = async () => {
+  jest.resetModules();
+  const keys = await import('../jwtKeys.js');
+  const auth = await import('../authUtils.js');
+  return { ...keys, ...auth };
+};
+
+const writeKey = (kid, { type = 'rsa', publicOnly = false } = {}) => {
+  const { privateKey, publicKey } = type === 'ec'
+    ? generateKeyPairSync('ec', { namedCurve: 'prime256v1' })
+    : generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const pem = publicOnly
+    ? publicKey.export({ type: 'spki', format: 'pem' })
+    : privateKey.export({ type: 'pkcs8', format: 'pem' });
+  writeFileSync(path.join(dir, `${kid}.pem`), pem);
+  return { privateKey, publicKey };
+};
+
+const kidOf = (token) => jwt.decode(token, { complete: true }).header.kid;
+
+describe('JWT signing keys', () => {
+  const { JWT_KEYS_DIR } = process.env;
+
+  afterAll(() => {
+    process.env.JWT_KEYS_DIR = JWT_KEYS_DIR;
+  });
+
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(os.tmpdir(), 'hrms-jwt-keys-'));
+    process.env.JWT_KEYS_DIR = dir;
+    delete process.env.JWT_SIGNING_KEY_ID;
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('generates a development key when none exist and publishes it', async () => {
+    const { getSigningKey, getJwks } = await restart();
+
+    const { kid, algorithm } = getSigningKey();
+
+    expect(readFileSync(path.join(dir, `${kid}.pem`), 'utf8')).toContain('PRIVATE KEY');
+    expect(algorithm).toBe('RS256');
+    expect(getJwks().keys).toEqual([expect.objectContaining({ kid, kty: 'RSA', use: 'sig', alg: 'RS256' })]);
+    expect(getJwks().keys[0]).not.toHaveProperty('d');
+  });
+
+  it('looks keys up by kid', async () => {
+    writeKey('2026-01');
+    writeKey('2026-02', { type: 'ec' });
+    const { getSigningKey, getVerificationKey } = await restart();
+
+    expect(getSigningKey().kid).toBe('2026-02');
+    expect(getVerificationKey('2026-01')).toMatchObject({ kid: '2026-01', algorithm: 'RS256' });
+    expect(getVerificationKey('2026-02')).toMatchObject({ kid: '2026-02', algorithm: 'ES256' });
+    expect(getVerificationKey('2025-12')).toBeNull();
+    expect(getVerificationKey(undefined)).toBeNull();
+  });
+
+  it('signs with the configured key and refuses one without a private half', async () => {
+    writeKey('2026-01');
+    writeKey('2026-02', { publicOnly: true });
+
+    process.env.JWT_SIGNING_KEY_ID = '2026-01';
+    expect((await restart()).getSigningKey().kid).toBe('2026-01');
+
+    process.env.JWT_SIGNING_KEY_ID = '2026-02';
+    const { getSigningKey } = await restart();
+    expect(() => getSigningKey()).toThrow(expect.objectContaining({ code: 'JWT_KEYS_NOT_CONFIGURED' }));
+  });
+
+  it('verifies tokens signed before a rotation and rejects them once the key is gone', async () => {
+    const { publicKey } = writeKey('2026-01');
+    const { accessToken } = (await restart()).generateTokens(payload);
+    expect(kidOf(accessToken)).toBe('2026-01');
+
+    // Rotation: a new key signs, the old one stays as its public half
+    writeFileSync(path.join(dir, '2026-01.pem'), publicKey.export({ type: 'spki', format: 'pem' }));
+    writeKey('2026-02');
+    const rotated = await restart();
+
+    expect(rotated.getSigningKey().kid).toBe('2026-02');
+    expect(rotated.verifyAccessToken(accessToken)).toMatchObject(payload);
+    expect(rotated.verifyAccessToken(rotated.generateTokens(payload).accessToken)).toMatchObject(payload);
+    expect(rotated.getJwks().keys.map((key) => key.kid).sort()).toEqual(['2026-01', '2026-02']);
+
+    unlinkSync(path.join(dir, '2026-01.pem'));
+    const retired = await restart();
+
+    expect(() => retired.verifyAccessToken(accessToken)).toThrow(
+      expect.objectContaining({ code: 'INVALID_TOKEN', details: ['Unknown signing key'] })
+    );
+  });
+
+  it('rejects tokens with an unknown kid, a forged signature or no kid at all', async () => {
+    writeKey('2026-01');
+    const { verifyAccessToken } = await restart();
+    const { privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const sign = (options) => jwt.sign(payload, privateKey, { algorithm: 'RS256', issuer: 'hrms-backend', audience: 'hrms-client', ...options });
+
+    expect(() => verifyAccessToken(sign({ keyid: 'other' }))).toThrow(
+      expect.objectContaining({ code: 'INVALID_TOKEN', details: ['Unknown signing key'] })
+    );
+    expect(() => verifyAccessToken(sign({ keyid: '2026-01' }))).toThrow(
+      expect.objectContaining({ code: 'INVALID_TOKEN', details: ['invalid signature'] })
+    );
+    expect(() => verifyAccessToken(jwt.sign(payload, 'shared-secret', { issuer: 'hrms-backend', audience: 'hrms-client' }))).toThrow(
+      expect.objectContaining({ code: 'INVALID_TOKEN', details: ['Unknown signing key'] })
+    );
+  });
+});
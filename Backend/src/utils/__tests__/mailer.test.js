@@ -0,0 +1,39 @@
+import { jest } from '@jest/globals';
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+jest.unstable_mockModule('../logger.js', () => ({ default: logger }));
+
+const { assertMailConfig, sendMail } = await import('../mailer.js');
+
+describe('mailer', () => {
+  const { NODE_ENV, SMTP_HOST } = process.env;
+
+  afterEach(() => {
+    process.env.NODE_ENV = NODE_ENV;
+    if (SMTP_HOST === undefined) delete process.env.SMTP_HOST;
+    else process.env.SMTP_HOST = SMTP_HOST;
+  });
+
+  it('logs only the recipient and subject of mail it cannot send', async () => {
+    delete process.env.SMTP_HOST;
+
+    await sendMail({ to: 'ada@example.com', subject: 'You are invited', text: 'Accept: https://hrms.example.com/invite?token=secret' });
+
+    expect(logger.info).toHaveBeenCalledWith('Email not sent (no SMTP configured)', { to: 'ada@example.com', subject: 'You are invited' });
+    expect(JSON.stringify(logger.info.mock.calls)).not.toContain('secret');
+  });
+
+  it('requires an SMTP server in production', () => {
+    delete process.env.SMTP_HOST;
+    process.env.NODE_ENV = 'production';
+    expect(() => assertMailConfig()).toThrow(expect.objectContaining({ code: 'MAIL_NOT_CONFIGURED' }));
+
+    process.env.SMTP_HOST = 'smtp.example.com';
+    expect(() => assertMailConfig()).not.toThrow();
+
+    delete process.env.SMTP_HOST;
+    process.env.NODE_ENV = 'development';
+    expect(() => assertMailConfig()).not.toThrow();
+  });
+});
@@ -0,0 +1,35 @@
+import { base32Decode, base32Encode, generateTotp, verifyTotp } from '../totp.js';
+
+// RFC 6238 appendix B, SHA-1 with the 20-byte ASCII secret "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('totp', () => {
+  it('round-trips base32', () => {
+    const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+    expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  it.each([
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+  ])('matches the RFC test vector at %i seconds', (seconds, expected) => {
+    expect(generateTotp(RFC_SECRET, { time: seconds * 1000, digits: 8 })).toBe(expected);
+  });
+
+  it('accepts one step of clock drift and returns the matched step', () => {
+    const time = 1111111109 * 1000;
+    const previous = generateTotp(RFC_SECRET, { time: time - 30000 });
+
+    expect(verifyTotp(previous, RFC_SECRET, { time })).toBe(Math.floor(1111111109 / 30) - 1);
+    expect(verifyTotp(previous, RFC_SECRET, { time: time + 30000 })).toBeNull();
+  });
+
+  it('rejects malformed codes', () => {
+    expect(verifyTotp('12345', RFC_SECRET)).toBeNull();
+    expect(verifyTotp('12a456', RFC_SECRET)).toBeNull();
+    expect(verifyTotp(123456, RFC_SECRET)).toBeNull();
+  });
+});
@@ -1,6 +1,7 @@
 import jwt from 'jsonwebtoken';
-import { randomBytes } from 'crypto';
-import { ValidationError, AuthenticationError } from './errors.js';
+import { randomBytes, randomUUID } from 'crypto';
+import { AppError, ValidationError, AuthenticationError } from './errors.js';
+import { getSigningKey, getVerificationKey } from './jwtKeys.js';
 import logger from './logger.js';
 
 // Payload validation schema for JWT generation
@@ -40,27 +41,57 @@ const getEnvVariable = (key, defaultValue) => {
   return value;
 };
 
+// Secrets of the tokens only this server reads (refresh, MFA, invitation), with
+// the development defaults that must never be used in production
+const TOKEN_SECRETS = {
+  JWT_REFRESH_SECRET: 'default_refresh_secret',
+  JWT_MFA_SECRET: 'default_mfa_secret',
+  JWT_INVITE_SECRET: 'default_invite_secret',
+};
+
+const getSecret = (key) => getEnvVariable(key, TOKEN_SECRETS[key]);
+
+// Check the token configuration at startup: the signing keys must load and, in
+// production, none of the secrets may be missing or left at its default
+export const assertJwtConfig = () => {
+  if (process.env.NODE_ENV === 'production') {
+    const defaults = Object.entries(TOKEN_SECRETS)
+      .filter(([key, fallback]) => !process.env[key] || process.env[key] === fallback)
+      .map(([key]) => key);
+    if (defaults.length > 0) {
+      throw new AppError(`Default JWT secrets are not allowed in production: ${defaults.join(', ')}`, 500, null, 'JWT_KEYS_NOT_CONFIGURED');
+    }
+  }
+  getSigningKey();
+};
+
+// Access tokens are signed with the current private key and carry its kid, so
+// they verify against any key still published in the JWKS
+const signAccessToken = (payload, expiresIn) => {
+  const { kid, algorithm, privateKey } = getSigningKey();
+  return jwt.sign(payload, privateKey, {
+    algorithm,
+    keyid: kid,
+    expiresIn,
+    issuer: 'hrms-backend',
+    audience: 'hrms-client',
+  });
+};
+
 // Generate access and refresh tokens
 export const generateTokens = (payload) => {
   validatePayload(payload, payloadSchema.generate);
 
-  const accessToken = jwt.sign(
-    payload,
-    getEnvVariable('JWT_ACCESS_SECRET', 'default_access_secret'),
-    {
-      expiresIn: getEnvVariable('JWT_ACCESS_EXPIRES_IN', '15m'),
-      issuer: 'hrms-backend',
-      audience: 'hrms-client',
-    }
-  );
+  const accessToken = signAccessToken(payload, getEnvVariable('JWT_ACCESS_EXPIRES_IN', '15m'));
 
   const refreshToken = jwt.sign(
     payload,
-    getEnvVariable('JWT_REFRESH_SECRET', 'default_refresh_secret'),
+    getSecret('JWT_REFRESH_SECRET'),
     {
       expiresIn: getEnvVariable('JWT_REFRESH_EXPIRES_IN', '7d'),
       issuer: 'hrms-backend',
       audience: 'hrms-client',
+      jwtid: randomUUID(), // Keeps rotated tokens unique even within the same second
     }
   );
 
@@ -72,8 +103,14 @@ export const verifyAccessToken = (token) => {
   if (!token || typeof token !== 'string') {
     throw new AuthenticationError('Invalid access token', ['Token is missing or not a string'], 'INVALID_TOKEN');
   }
+  // Tokens of a key that has since been removed (or older HMAC tokens) have no known kid
+  const key = getVerificationKey(jwt.decode(token, { complete: true })?.header?.kid);
+  if (!key) {
+    throw new AuthenticationError('Invalid access token', ['Unknown signing key'], 'INVALID_TOKEN');
+  }
   try {
-    return jwt.verify(token, getEnvVariable('JWT_ACCESS_SECRET', 'default_access_secret'), {
+    return jwt.verify(token, key.publicKey, {
+      algorithms: [key.algorithm],
       issuer: 'hrms-backend',
       audience: 'hrms-client',
     });
@@ -91,7 +128,7 @@ export const verifyRefreshToken = (token) => {
     throw new AuthenticationError('Invalid refresh token', ['Token is missing or not a string'], 'INVALID_TOKEN');
   }
   try {
-    return jwt.verify(token, getEnvVariable('JWT_REFRESH_SECRET', 'default_refresh_secret'), {
+    return jwt.verify(token, getSecret('JWT_REFRESH_SECRET'), {
       issuer: 'hrms-backend',
       audience: 'hrms-client',
     });
@@ -103,6 +140,131 @@ export const verifyRefreshToken = (token) => {
   }
 };
 
+// Generate short-lived "MFA pending" token, issued after the password check (or an
+// SSO callback, flagged by `sso`) and exchanged for real tokens once the second
+// factor is verified. It is signed with its own secret so it can never pass as an
+// access token.
+export const generateMfaToken = ({ userId, enroll = false, sso = false }) => {
+  return jwt.sign(
+    { userId, purpose: 'mfa', enroll, sso },
+    getSecret('JWT_MFA_SECRET'),
+    {
+      expiresIn: getEnvVariable('JWT_MFA_EXPIRES_IN', '5m'),
+      issuer: 'hrms-backend',
+      audience: 'hrms-client',
+    }
+  );
+};
+
+// Verify MFA pending token
+export const verifyMfaToken = (token) => {
+  if (!token || typeof token !== 'string') {
+    throw new AuthenticationError('Invalid MFA token', ['Token is missing or not a string'], 'INVALID_MFA_TOKEN');
+  }
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getSecret('JWT_MFA_SECRET'), {
+      issuer: 'hrms-backend',
+      audience: 'hrms-client',
+    });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new AuthenticationError('MFA session expired, please sign in again', null, 'MFA_TOKEN_EXPIRED');
+    }
+    throw new AuthenticationError('Invalid MFA token', [error.message], 'INVALID_MFA_TOKEN');
+  }
+  if (decoded.purpose !== 'mfa') {
+    throw new AuthenticationError('Invalid MFA token', null, 'INVALID_MFA_TOKEN');
+  }
+  return decoded;
+};
+
+// Generate short-lived token for a login blocked by an expired password. It only
+// allows setting a new password, after which the login completes.
+export const generatePasswordChangeToken = ({ userId }) => {
+  return jwt.sign(
+    { userId, purpose: 'password_change' },
+    getSecret('JWT_MFA_SECRET'),
+    {
+      expiresIn: getEnvVariable('JWT_PASSWORD_CHANGE_EXPIRES_IN', '10m'),
+      issuer: 'hrms-backend',
+      audience: 'hrms-client',
+    }
+  );
+};
+
+// Verify password change token
+export const verifyPasswordChangeToken = (token) => {
+  if (!token || typeof token !== 'string') {
+    throw new AuthenticationError('Invalid password change token', ['Token is missing or not a string'], 'INVALID_PASSWORD_CHANGE_TOKEN');
+  }
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getSecret('JWT_MFA_SECRET'), {
+      issuer: 'hrms-backend',
+      audience: 'hrms-client',
+    });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new AuthenticationError('Password change session expired, please sign in again', null, 'PASSWORD_CHANGE_TOKEN_EXPIRED');
+    }
+    throw new AuthenticationError('Invalid password change token', [error.message], 'INVALID_PASSWORD_CHANGE_TOKEN');
+  }
+  if (decoded.purpose !== 'password_change') {
+    throw new AuthenticationError('Invalid password change token', null, 'INVALID_PASSWORD_CHANGE_TOKEN');
+  }
+  return decoded;
+};
+
+// Generate the signed token of an invitation link. The invitation row decides
+// whether it is still usable, the signature and expiry keep links unguessable.
+export const generateInvitationToken = ({ invitationId, expiresAt }) => {
+  return jwt.sign(
+    { invitationId, purpose: 'invitation' },
+    getSecret('JWT_INVITE_SECRET'),
+    {
+      expiresIn: Math.max(Math.floor((expiresAt.getTime() - Date.now()) / 1000), 1),
+      issuer: 'hrms-backend',
+      audience: 'hrms-client',
+    }
+  );
+};
+
+// Verify invitation token
+export const verifyInvitationToken = (token) => {
+  if (!token || typeof token !== 'string') {
+    throw new AuthenticationError('Invalid invitation link', ['Token is missing or not a string'], 'INVALID_INVITATION');
+  }
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getSecret('JWT_INVITE_SECRET'), {
+      issuer: 'hrms-backend',
+      audience: 'hrms-client',
+    });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new AuthenticationError('This invitation has expired', null, 'INVITATION_EXPIRED');
+    }
+    throw new AuthenticationError('Invalid invitation link', [error.message], 'INVALID_INVITATION');
+  }
+  if (decoded.purpose !== 'invitation') {
+    throw new AuthenticationError('Invalid invitation link', null, 'INVALID_INVITATION');
+  }
+  return decoded;
+};
+
+// Generate the access token of an impersonation ("view as user") session. It is
+// an ordinary access token for the impersonated user that also names the admin
+// behind it; no refresh token is issued, so the session ends when it expires.
+export const generateImpersonationToken = ({ userId, role, impersonatorId }) => {
+  validatePayload({ userId, role }, payloadSchema.generate);
+
+  const expiresIn = getEnvVariable('JWT_IMPERSONATION_EXPIRES_IN', '30m');
+  const accessToken = signAccessToken({ userId, role, impersonatorId, purpose: 'impersonation' }, expiresIn);
+
+  return { accessToken, expiresAt: new Date(jwt.decode(accessToken).exp * 1000) };
+};
+
 // Generate password reset token
 export const generatePasswordResetToken = () => {
   const token = randomBytes(32).toString('hex');
@@ -0,0 +1,155 @@
+// encryption.js - Envelope encryption for sensitive columns (AES-256-GCM)
+//
+// Every value gets its own random data key; the data key is wrapped with the
+// key-encryption key (KEK) from the environment. Stored values look like
+//   enc:v<keyVersion>:<wrapped data key>:<ciphertext>
+// where both parts are base64 of iv (12 bytes) | auth tag (16 bytes) | ciphertext.
+// Rotating the KEK only requires re-wrapping the data keys (see rewrap).
+//
+// FIELD_ENCRYPTION_KEYS        comma separated `version:base64key` pairs, keys are 32 bytes
+// FIELD_ENCRYPTION_KEY_VERSION version used for new values, defaults to the highest
+// FIELD_BLIND_INDEX_KEY        base64 HMAC key for exact-match lookups, at least 32 bytes
+import { createCipheriv, createDecipheriv, createHmac, randomBytes } from 'crypto';
+import { AppError } from './errors.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+const PREFIX = 'enc';
+
+let keyring = null;
+
+const configError = (message) => new AppError(message, 500, null, 'ENCRYPTION_NOT_CONFIGURED');
+
+// Parsed lazily so the environment is read after dotenv has loaded it
+const getKeyring = () => {
+  if (keyring) return keyring;
+
+  const keys = new Map();
+  for (const entry of (process.env.FIELD_ENCRYPTION_KEYS || '').split(',').map((item) => item.trim()).filter(Boolean)) {
+    const [version, encoded] = entry.split(':');
+    const key = Buffer.from(encoded || '', 'base64');
+    if (!/^\d+$/.test(version) || key.length !== KEY_LENGTH) {
+      throw configError(`Invalid FIELD_ENCRYPTION_KEYS entry for version ${version}`);
+    }
+    keys.set(Number(version), key);
+  }
+  if (keys.size === 0) {
+    throw configError('FIELD_ENCRYPTION_KEYS is not set');
+  }
+
+  const current = Number(process.env.FIELD_ENCRYPTION_KEY_VERSION || Math.max(...keys.keys()));
+  if (!keys.has(current)) {
+    throw configError(`No key configured for FIELD_ENCRYPTION_KEY_VERSION ${current}`);
+  }
+
+  keyring = { keys, current };
+  return keyring;
+};
+
+const seal = (key, plaintext) => {
+  const iv = randomBytes(IV_LENGTH);
+  const cipher = createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+};
+
+const open = (key, sealed) => {
+  const buffer = Buffer.from(sealed, 'base64');
+  const decipher = createDecipheriv(ALGORITHM, key, buffer.subarray(0, IV_LENGTH));
+  decipher.setAuthTag(buffer.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([decipher.update(buffer.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+};
+
+const parse = (value) => {
+  const [prefix, version, wrappedKey, payload] = value.split(':');
+  if (prefix !== PREFIX || !/^v\d+$/.test(version || '') || !wrappedKey || !payload) {
+    throw new AppError('Malformed encrypted value', 500, null, 'DECRYPTION_FAILED');
+  }
+  return { version: Number(version.slice(1)), wrappedKey, payload };
+};
+
+const getKey = (version) => {
+  const key = getKeyring().keys.get(version);
+  if (!key) {
+    throw configError(`No key configured for version ${version}`);
+  }
+  return key;
+};
+
+export const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+
+export const getCurrentKeyVersion = () => getKeyring().current;
+
+export const encrypt = (plaintext) => {
+  if (plaintext === null || plaintext === undefined) return plaintext;
+
+  const { current } = getKeyring();
+  const dataKey = randomBytes(KEY_LENGTH);
+  const payload = seal(dataKey, Buffer.from(String(plaintext), 'utf8'));
+  return `${PREFIX}:v${current}:${seal(getKey(current), dataKey)}:${payload}`;
+};
+
+// Values written before encryption was enabled are returned unchanged
+export const decrypt = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const { version, wrappedKey, payload } = parse(value);
+  try {
+    const dataKey = open(getKey(version), wrappedKey);
+    return open(dataKey, payload).toString('utf8');
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    throw new AppError('Failed to decrypt value', 500, null, 'DECRYPTION_FAILED');
+  }
+};
+
+// Whether a stored value is plaintext or wrapped with a key other than the current one
+export const needsReEncryption = (value) => {
+  if (value === null || value === undefined) return false;
+  if (!isEncrypted(value)) return true;
+  return parse(value).version !== getCurrentKeyVersion();
+};
+
+// Re-wrap the data key of an encrypted value with the current KEK; plaintext is encrypted
+export const rewrap = (value) => {
+  if (value === null || value === undefined) return value;
+  if (!isEncrypted(value)) return encrypt(value);
+
+  const { version, wrappedKey, payload } = parse(value);
+  const { current } = getKeyring();
+  if (version === current) return value;
+
+  const dataKey = open(getKey(version), wrappedKey);
+  return `${PREFIX}:v${current}:${seal(getKey(current), dataKey)}:${payload}`;
+};
+
+const getBlindIndexKey = () => {
+  if (!process.env.FIELD_BLIND_INDEX_KEY) {
+    throw configError('FIELD_BLIND_INDEX_KEY is not set');
+  }
+  const key = Buffer.from(process.env.FIELD_BLIND_INDEX_KEY, 'base64');
+  if (key.length < KEY_LENGTH) {
+    throw configError(`FIELD_BLIND_INDEX_KEY must be at least ${KEY_LENGTH} bytes`);
+  }
+  return key;
+};
+
+/**
+ * Deterministic keyed hash used to look up encrypted values by exact match.
+ * Input is normalised (case, spaces and dashes) so formatting differences
+ * still match.
+ */
+export const blindIndex = (value) => {
+  if (value === null || value === undefined) return value;
+
+  const normalised = String(value).replace(/[\s-]/g, '').toUpperCase();
+  return createHmac('sha256', getBlindIndexKey()).update(normalised).digest('hex');
+};
+
+// Check both keys at startup, rather than on the first employee read or write
+export const assertEncryptionConfig = () => {
+  getKeyring();
+  getBlindIndexKey();
+};
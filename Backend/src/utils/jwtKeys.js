@@ -0,0 +1,120 @@
+// jwtKeys.js - Asymmetric signing keys for access tokens
+//
+// Each key is a PEM file in JWT_KEYS_DIR; the file name without ".pem" is the
+// key ID put in the token's `kid` header. A private key signs and verifies, a
+// public key only verifies: that is how a retired key stays around until the
+// last token it signed has expired. All of them are published as the JWKS, so
+// other services can verify HRMS tokens without sharing a secret.
+//
+// JWT_KEYS_DIR        directory holding the key files, defaults to ./keys/jwt
+// JWT_SIGNING_KEY_ID  kid used for new tokens, defaults to the highest private key
+//
+// RSA keys sign with RS256, P-256 keys with ES256 (jsonwebtoken has no EdDSA).
+// Keys are read once at startup, so a rotation takes effect on restart.
+import { createPrivateKey, createPublicKey, generateKeyPairSync, randomBytes } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, readdirSync, writeFileSync } from 'fs';
+import path from 'path';
+import { AppError } from './errors.js';
+import logger from './logger.js';
+
+const KEY_ID_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+let keyring = null;
+
+const configError = (message) => new AppError(message, 500, null, 'JWT_KEYS_NOT_CONFIGURED');
+
+const getKeysDir = () => path.resolve(process.env.JWT_KEYS_DIR || 'keys/jwt');
+
+const getAlgorithm = (publicKey) => {
+  if (publicKey.asymmetricKeyType === 'rsa') return 'RS256';
+  if (publicKey.asymmetricKeyType === 'ec' && publicKey.asymmetricKeyDetails?.namedCurve === 'prime256v1') return 'ES256';
+  return null;
+};
+
+// Parse one PEM file: private keys also yield their public half
+const loadKey = (kid, pem) => {
+  let privateKey = null;
+  let publicKey;
+  if (pem.includes('PRIVATE KEY')) {
+    privateKey = createPrivateKey(pem);
+    publicKey = createPublicKey(privateKey);
+  } else {
+    publicKey = createPublicKey(pem);
+  }
+
+  const algorithm = getAlgorithm(publicKey);
+  if (!algorithm) {
+    throw configError(`Unsupported JWT key type for key ${kid}, use RSA or EC P-256`);
+  }
+  return { kid, algorithm, privateKey, publicKey };
+};
+
+/**
+ * Write a new private key to the keys directory and return its kid. Key IDs
+ * start with the date, so the newest key sorts last and becomes the default.
+ */
+export const generateSigningKey = ({ algorithm = 'RS256', dir = getKeysDir() } = {}) => {
+  const { privateKey } = algorithm === 'ES256'
+    ? generateKeyPairSync('ec', { namedCurve: 'prime256v1' })
+    : generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  const kid = `${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${randomBytes(3).toString('hex')}`;
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(path.join(dir, `${kid}.pem`), privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  return kid;
+};
+
+// Loaded lazily so the environment is read after dotenv has loaded it
+const getKeyring = () => {
+  if (keyring) return keyring;
+
+  const dir = getKeysDir();
+  const readKeys = () => (existsSync(dir) ? readdirSync(dir) : [])
+    .filter((file) => file.endsWith('.pem'))
+    .map((file) => {
+      const kid = file.slice(0, -'.pem'.length);
+      if (!KEY_ID_PATTERN.test(kid)) {
+        throw configError(`Invalid JWT key file name ${file}`);
+      }
+      return loadKey(kid, readFileSync(path.join(dir, file), 'utf8'));
+    });
+
+  let keys = readKeys();
+  if (keys.length === 0) {
+    if (process.env.NODE_ENV === 'production') {
+      throw configError(`No JWT signing keys found in ${dir}`);
+    }
+    // Development convenience: create a key once, so restarts keep sessions valid
+    const kid = generateSigningKey({ dir });
+    logger.warn(`No JWT signing keys found, generated development key ${kid} in ${dir}`);
+    keys = readKeys();
+  }
+
+  const byId = new Map(keys.map((key) => [key.kid, key]));
+  const signingKeyId = process.env.JWT_SIGNING_KEY_ID ||
+    keys.filter((key) => key.privateKey).map((key) => key.kid).sort().pop();
+  const signingKey = byId.get(signingKeyId);
+  if (!signingKey?.privateKey) {
+    throw configError(`No private key found for JWT_SIGNING_KEY_ID ${signingKeyId}`);
+  }
+
+  keyring = { keys: byId, signingKey };
+  logger.info('JWT signing keys loaded', { signingKeyId, keyIds: [...byId.keys()] });
+  return keyring;
+};
+
+// Key used for new tokens
+export const getSigningKey = () => getKeyring().signingKey;
+
+// Key that verifies a token with the given kid, if it is still known
+export const getVerificationKey = (kid) => (kid ? getKeyring().keys.get(kid) || null : null);
+
+// Public keys in JWK Set format, served at /.well-known/jwks.json
+export const getJwks = () => ({
+  keys: [...getKeyring().keys.values()].map(({ kid, algorithm, publicKey }) => ({
+    ...publicKey.export({ format: 'jwk' }),
+    kid,
+    use: 'sig',
+    alg: algorithm,
+  })),
+});
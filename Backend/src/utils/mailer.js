@@ -0,0 +1,55 @@
+// mailer.js - Outgoing email through nodemailer
+//
+// SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS configure the transport
+// and MAIL_FROM the sender. Without SMTP_HOST messages are dropped and only
+// their recipient and subject logged, which keeps development setups working
+// without a mail server; production refuses to start without one.
+import nodemailer from 'nodemailer';
+import { AppError } from './errors.js';
+import logger from './logger.js';
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (transporter) return transporter;
+
+  if (process.env.SMTP_HOST) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  } else {
+    logger.warn('SMTP_HOST not set, emails are not sent');
+    transporter = nodemailer.createTransport({ jsonTransport: true });
+  }
+  return transporter;
+};
+
+// Check at startup that production can deliver mail, such as invitations and probation reminders
+export const assertMailConfig = () => {
+  if (process.env.NODE_ENV === 'production' && !process.env.SMTP_HOST) {
+    throw new AppError('SMTP_HOST must be set in production', 500, null, 'MAIL_NOT_CONFIGURED');
+  }
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.MAIL_FROM || 'HRMS <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html,
+  });
+
+  // The body is never logged: invitations carry their accept link with the invite token
+  if (!process.env.SMTP_HOST) {
+    logger.info('Email not sent (no SMTP configured)', { to, subject });
+  } else {
+    logger.info('Email sent', { to, subject, messageId: info.messageId });
+  }
+  return info;
+};
+
+export default { sendMail, assertMailConfig };
@@ -0,0 +1,114 @@
+// totp.js - RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30s step)
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DEFAULT_STEP_SECONDS = 30;
+const DEFAULT_DIGITS = 6;
+
+// RFC 4648 base32 without padding, as expected by authenticator apps
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// 160-bit secret, the size recommended by RFC 4226
+export const generateSecret = (size = 20) => base32Encode(randomBytes(size));
+
+const hotp = (key, counter, digits) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+export const getTimeStep = (time = Date.now(), step = DEFAULT_STEP_SECONDS) =>
+  Math.floor(time / 1000 / step);
+
+export const generateTotp = (secret, { time = Date.now(), step = DEFAULT_STEP_SECONDS, digits = DEFAULT_DIGITS } = {}) =>
+  hotp(base32Decode(secret), getTimeStep(time, step), digits);
+
+/**
+ * Verify a code against the secret, accepting `window` steps of clock drift
+ * either side. Returns the matched time step (for replay protection) or null.
+ */
+export const verifyTotp = (code, secret, { time = Date.now(), step = DEFAULT_STEP_SECONDS, digits = DEFAULT_DIGITS, window = 1 } = {}) => {
+  if (typeof code !== 'string' || !/^\d+$/.test(code) || code.length !== digits) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const currentStep = getTimeStep(time, step);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = hotp(key, currentStep + offset, digits);
+    if (timingSafeEqual(Buffer.from(candidate), Buffer.from(code))) {
+      return currentStep + offset;
+    }
+  }
+  return null;
+};
+
+// Provisioning URI rendered as a QR code by the client
+export const buildOtpAuthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DEFAULT_DIGITS),
+    period: String(DEFAULT_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export default {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpAuthUri,
+};
@@ -5,11 +5,14 @@ import ProtectedRoute from './components/Layout/ProtectedRoute';
 import ErrorBoundary from './components/Layout/ErrorBoundary';
 import LandingPage from './pages/LandingPage';
 import Login from './pages/Auth/Login';
+import AcceptInvite from './pages/Auth/AcceptInvite';
+import SsoCallback from './pages/Auth/SsoCallback';
 import Dashboard from './pages/Dashboard/Dashboard';
 import Employees from './pages/Employees/Employees';
 import EmployeeDetail from './pages/Employees/EmployeeDetail';
 import CreateEmployee from './pages/Employees/CreateEmployee';
 import Departments from './pages/Departments/Departments';
+import OrgChart from './pages/OrgChart/OrgChart';
 import Attendance from './pages/Attendance/Attendance';
 import LeaveRequests from './pages/Leave/LeaveRequests';
 import Payroll from './pages/Payroll/Payroll';
@@ -36,6 +39,8 @@ function App() {
         <Routes>
           <Route path="/" element={<LandingPage />} />
           <Route path="/login" element={<Login />} />
+          <Route path="/accept-invite" element={<AcceptInvite />} />
+          <Route path="/sso/callback" element={<SsoCallback />} />
           <Route path="*" element={<Navigate to="/" replace />} />
         </Routes>
       </ErrorBoundary>
@@ -51,7 +56,7 @@ function App() {
           <Route 
             path="/employees" 
             element={
-              <ProtectedRoute requiredRoles={['ADMIN', 'HR', 'MANAGER']}>
+              <ProtectedRoute permissions={['employees:read']} scopes={['TEAM', 'DEPARTMENT', 'ALL']}>
                 <Employees />
               </ProtectedRoute>
             } 
@@ -59,7 +64,7 @@ function App() {
           <Route 
             path="/employees/create" 
             element={
-              <ProtectedRoute requiredRoles={['ADMIN', 'HR']}>
+              <ProtectedRoute permissions={['employees:create']}>
                 <CreateEmployee />
               </ProtectedRoute>
             } 
@@ -68,17 +73,25 @@ function App() {
           <Route 
             path="/departments" 
             element={
-              <ProtectedRoute requiredRoles={['ADMIN', 'HR', 'MANAGER']}>
+              <ProtectedRoute permissions={['departments:read']}>
                 <Departments />
               </ProtectedRoute>
             } 
           />
+          <Route 
+            path="/org-chart" 
+            element={
+              <ProtectedRoute permissions={['orgChart:read']}>
+                <OrgChart />
+              </ProtectedRoute>
+            } 
+          />
           <Route path="/attendance" element={<Attendance />} />
           <Route path="/leave" element={<LeaveRequests />} />
           <Route 
             path="/payroll" 
             element={
-              <ProtectedRoute requiredRoles={['ADMIN', 'HR', 'EMPLOYEE']}>
+              <ProtectedRoute permissions={['payroll:read']}>
                 <Payroll />
               </ProtectedRoute>
             } 
@@ -86,7 +99,7 @@ function App() {
           <Route 
             path="/performance" 
             element={
-              <ProtectedRoute requiredRoles={['ADMIN', 'HR', 'MANAGER', 'EMPLOYEE']}>
+              <ProtectedRoute permissions={['performance:read']}>
                 <Performance />
               </ProtectedRoute>
             } 
@@ -94,7 +107,7 @@ function App() {
           <Route 
             path="/reports" 
             element={
-              <ProtectedRoute requiredRoles={['ADMIN', 'HR', 'MANAGER']}>
+              <ProtectedRoute permissions={['reports:workforce', 'reports:payroll', 'reports:audit']}>
                 <Reports />
               </ProtectedRoute>
             } 
@@ -102,7 +115,7 @@ function App() {
           <Route 
             path="/settings" 
             element={
-              <ProtectedRoute requiredRoles={['ADMIN']}>
+              <ProtectedRoute permissions={['settings:manage', 'roles:manage', 'customFields:manage']}>
                 <Settings />
               </ProtectedRoute>
             } 
@@ -0,0 +1,426 @@
+import { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from 'react-query'
+import { PlusIcon } from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { customFieldAPI } from '../../services/api'
+import LoadingSpinner from '../UI/LoadingSpinner'
+import Badge from '../UI/Badge'
+import Button from '../UI/Button'
+
+const ENTITIES = [
+  { id: 'EMPLOYEE', name: 'Employees' },
+  { id: 'JOB_APPLICATION', name: 'Job Applications' }
+]
+
+const TYPES = [
+  { id: 'TEXT', name: 'Text' },
+  { id: 'NUMBER', name: 'Number' },
+  { id: 'DATE', name: 'Date' },
+  { id: 'SELECT', name: 'Select' },
+  { id: 'MULTI_SELECT', name: 'Multi-select' }
+]
+
+const ROLES = ['HR', 'MANAGER', 'EMPLOYEE']
+
+const NEW_FIELD = {
+  label: '',
+  key: '',
+  type: 'TEXT',
+  description: '',
+  options: '',
+  required: false,
+  visibleToRoles: [],
+  min: '',
+  max: '',
+  maxLength: '',
+  pattern: '',
+  sortOrder: 0,
+  isActive: true
+}
+
+// "T-shirt size" -> "tShirtSize"
+const keyFromLabel = (label) => label
+  .replace(/[^A-Za-z0-9]+/g, ' ')
+  .trim()
+  .split(' ')
+  .filter(Boolean)
+  .map((word, index) => (index === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase()))
+  .join('')
+  .replace(/^[^a-z]+/, '')
+  .slice(0, 50)
+
+const toDraft = (field) => ({
+  ...NEW_FIELD,
+  ...field,
+  description: field.description || '',
+  options: field.options.join('\n'),
+  min: field.validation?.min ?? '',
+  max: field.validation?.max ?? '',
+  maxLength: field.validation?.maxLength ?? '',
+  pattern: field.validation?.pattern ?? ''
+})
+
+// Only the rules that apply to the field type
+const toValidation = (draft) => {
+  if (draft.type === 'TEXT') {
+    return {
+      maxLength: draft.maxLength === '' ? undefined : Number(draft.maxLength),
+      pattern: draft.pattern || undefined
+    }
+  }
+  if (draft.type === 'NUMBER') {
+    return {
+      min: draft.min === '' ? undefined : Number(draft.min),
+      max: draft.max === '' ? undefined : Number(draft.max)
+    }
+  }
+  if (draft.type === 'DATE') {
+    return { min: draft.min || undefined, max: draft.max || undefined }
+  }
+  return null
+}
+
+const toPayload = (draft) => ({
+  label: draft.label,
+  description: draft.description || null,
+  options: ['SELECT', 'MULTI_SELECT'].includes(draft.type)
+    ? draft.options.split('\n').map((option) => option.trim()).filter(Boolean)
+    : [],
+  required: draft.required,
+  validation: toValidation(draft),
+  visibleToRoles: draft.visibleToRoles,
+  sortOrder: Number(draft.sortOrder) || 0,
+  isActive: draft.isActive
+})
+
+/**
+ * Custom fields of employees and job applications: type, validation,
+ * whether they are required and which roles see them
+ */
+const CustomFieldsPanel = () => {
+  const queryClient = useQueryClient()
+  const [entity, setEntity] = useState('EMPLOYEE')
+  const [draft, setDraft] = useState(null)
+
+  const { data, isLoading } = useQuery(
+    ['custom-fields', entity, 'all'],
+    () => customFieldAPI.getAll({ entity, includeInactive: 'true' })
+  )
+  const fields = data?.data?.customFields || []
+
+  const onError = (fallback) => (error) => {
+    const details = Array.isArray(error.errors) ? error.errors.map((problem) => problem.message).join('. ') : null
+    toast.error(details || error.message || fallback)
+  }
+
+  const saveMutation = useMutation(
+    (values) => (values.id
+      ? customFieldAPI.update(values.id, toPayload(values))
+      : customFieldAPI.create({ ...toPayload(values), entity, key: values.key, type: values.type })),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('custom-fields')
+        setDraft(null)
+        toast.success('Custom field saved')
+      },
+      onError: onError('Failed to save custom field')
+    }
+  )
+
+  const deleteMutation = useMutation(
+    (id) => customFieldAPI.delete(id),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('custom-fields')
+        toast.success('Custom field deleted')
+      },
+      onError: onError('Failed to delete custom field')
+    }
+  )
+
+  const handleDelete = (field) => {
+    if (window.confirm(`Delete "${field.label}"? Values stored for it are deleted as well; deactivate it to keep them.`)) {
+      deleteMutation.mutate(field.id)
+    }
+  }
+
+  const toggleRole = (role) => {
+    const visibleToRoles = draft.visibleToRoles.includes(role)
+      ? draft.visibleToRoles.filter((item) => item !== role)
+      : [...draft.visibleToRoles, role]
+    setDraft({ ...draft, visibleToRoles })
+  }
+
+  const changeLabel = (label) => {
+    // The key follows the label until it is edited or the field is saved
+    const followsLabel = !draft.id && draft.key === keyFromLabel(draft.label)
+    setDraft({ ...draft, label, ...(followsLabel && { key: keyFromLabel(label) }) })
+  }
+
+  const hasOptions = draft && ['SELECT', 'MULTI_SELECT'].includes(draft.type)
+
+  return (
+    <div className="space-y-6">
+      <div className="card">
+        <div className="card-header flex items-center justify-between">
+          <div className="flex items-center space-x-4">
+            <h3 className="text-lg font-medium text-gray-900">Custom Fields</h3>
+            <select
+              className="input w-auto"
+              value={entity}
+              onChange={(e) => {
+                setEntity(e.target.value)
+                setDraft(null)
+              }}
+            >
+              {ENTITIES.map((item) => (
+                <option key={item.id} value={item.id}>{item.name}</option>
+              ))}
+            </select>
+          </div>
+          {!draft && (
+            <Button size="sm" onClick={() => setDraft(NEW_FIELD)}>
+              <PlusIcon className="h-4 w-4 mr-1" />
+              New Field
+            </Button>
+          )}
+        </div>
+        <div className="card-content p-0">
+          {isLoading ? (
+            <div className="p-6"><LoadingSpinner size="lg" /></div>
+          ) : fields.length === 0 ? (
+            <p className="px-6 py-4 text-sm text-gray-500">No custom fields yet</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {fields.map((field) => (
+                <li key={field.id} className="flex items-start justify-between px-6 py-4">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {field.label}
+                      <Badge variant="info" size="sm" className="ml-2">
+                        {TYPES.find((type) => type.id === field.type)?.name}
+                      </Badge>
+                      {field.required && <Badge variant="primary" size="sm" className="ml-2">Required</Badge>}
+                      {!field.isActive && <Badge variant="warning" size="sm" className="ml-2">Inactive</Badge>}
+                    </p>
+                    <p className="text-xs text-gray-500 font-mono">{field.key}</p>
+                    {field.description && <p className="text-sm text-gray-600">{field.description}</p>}
+                    {field.options.length > 0 && (
+                      <p className="mt-1 text-xs text-gray-500">Options: {field.options.join(', ')}</p>
+                    )}
+                    <p className="text-xs text-gray-500">
+                      {field.visibleToRoles.length > 0
+                        ? `Visible to field managers, ${field.visibleToRoles.join(', ')}`
+                        : 'Visible to everyone'}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-4">
+                    <button
+                      onClick={() => setDraft(toDraft(field))}
+                      className="text-sm font-medium text-primary-600 hover:text-primary-800"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleDelete(field)}
+                      disabled={deleteMutation.isLoading}
+                      className="text-sm font-medium text-red-600 hover:text-red-800"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      {draft && (
+        <div className="card">
+          <div className="card-header">
+            <h3 className="text-lg font-medium text-gray-900">{draft.id ? `Edit ${draft.label}` : 'New Custom Field'}</h3>
+          </div>
+          <div className="card-content space-y-6">
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Label</label>
+                <input
+                  type="text"
+                  className="input mt-1"
+                  placeholder="T-shirt size"
+                  value={draft.label}
+                  onChange={(e) => changeLabel(e.target.value)}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Key</label>
+                <input
+                  type="text"
+                  className="input mt-1 font-mono"
+                  value={draft.key}
+                  disabled={Boolean(draft.id)}
+                  onChange={(e) => setDraft({ ...draft, key: e.target.value })}
+                />
+                <p className="mt-1 text-xs text-gray-500">Used in the API and filters; cannot change later</p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Type</label>
+                <select
+                  className="input mt-1"
+                  value={draft.type}
+                  disabled={Boolean(draft.id)}
+                  onChange={(e) => setDraft({ ...draft, type: e.target.value, min: '', max: '' })}
+                >
+                  {TYPES.map((type) => (
+                    <option key={type.id} value={type.id}>{type.name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Description</label>
+              <input
+                type="text"
+                className="input mt-1"
+                placeholder="Shown below the input"
+                value={draft.description}
+                onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+              />
+            </div>
+
+            {hasOptions && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Options</label>
+                <textarea
+                  rows={4}
+                  className="input mt-1"
+                  placeholder={'S\nM\nL'}
+                  value={draft.options}
+                  onChange={(e) => setDraft({ ...draft, options: e.target.value })}
+                />
+                <p className="mt-1 text-xs text-gray-500">One option per line</p>
+              </div>
+            )}
+
+            {draft.type === 'TEXT' && (
+              <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Maximum Length</label>
+                  <input
+                    type="number"
+                    min={1}
+                    className="input mt-1"
+                    value={draft.maxLength}
+                    onChange={(e) => setDraft({ ...draft, maxLength: e.target.value })}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Pattern</label>
+                  <input
+                    type="text"
+                    className="input mt-1 font-mono"
+                    placeholder="^[A-Z]{2}\d{6}[A-D]$"
+                    value={draft.pattern}
+                    onChange={(e) => setDraft({ ...draft, pattern: e.target.value })}
+                  />
+                  <p className="mt-1 text-xs text-gray-500">Regular expression values must match</p>
+                </div>
+              </div>
+            )}
+
+            {['NUMBER', 'DATE'].includes(draft.type) && (
+              <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Minimum</label>
+                  <input
+                    type={draft.type === 'DATE' ? 'date' : 'number'}
+                    className="input mt-1"
+                    value={draft.min}
+                    onChange={(e) => setDraft({ ...draft, min: e.target.value })}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Maximum</label>
+                  <input
+                    type={draft.type === 'DATE' ? 'date' : 'number'}
+                    className="input mt-1"
+                    value={draft.max}
+                    onChange={(e) => setDraft({ ...draft, max: e.target.value })}
+                  />
+                </div>
+              </div>
+            )}
+
+            <div>
+              <h4 className="text-sm font-medium text-gray-900 mb-2">Visible To</h4>
+              <div className="flex flex-wrap gap-4">
+                {ROLES.map((role) => (
+                  <label key={role} className="inline-flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                      checked={draft.visibleToRoles.includes(role)}
+                      onChange={() => toggleRole(role)}
+                    />
+                    <span className="ml-2">{role}</span>
+                  </label>
+                ))}
+              </div>
+              <p className="mt-1 text-xs text-gray-500">
+                Leave all unchecked to show the field to everyone, including applicants. Users who manage custom fields always see every field.
+              </p>
+            </div>
+
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+              <label className="inline-flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                  checked={draft.required}
+                  onChange={(e) => setDraft({ ...draft, required: e.target.checked })}
+                />
+                <span className="ml-2">Required</span>
+              </label>
+              <label className="inline-flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                  checked={draft.isActive}
+                  onChange={(e) => setDraft({ ...draft, isActive: e.target.checked })}
+                />
+                <span className="ml-2">Active</span>
+              </label>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Sort Order</label>
+                <input
+                  type="number"
+                  min={0}
+                  className="input mt-1"
+                  value={draft.sortOrder}
+                  onChange={(e) => setDraft({ ...draft, sortOrder: e.target.value })}
+                />
+              </div>
+            </div>
+
+            <div className="flex justify-end space-x-3">
+              <Button variant="outline" onClick={() => setDraft(null)}>
+                Cancel
+              </Button>
+              <Button
+                onClick={() => saveMutation.mutate(draft)}
+                loading={saveMutation.isLoading}
+                disabled={!draft.label.trim() || !draft.key}
+              >
+                Save
+              </Button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CustomFieldsPanel
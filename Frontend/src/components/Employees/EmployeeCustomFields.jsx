@@ -0,0 +1,92 @@
+import { useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { useQuery, useMutation, useQueryClient } from 'react-query'
+import { PencilIcon } from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { customFieldAPI, employeeAPI } from '../../services/api'
+import { usePermissions } from '../../hooks/usePermissions'
+import CustomFieldInputs, { customFieldDefaults, formatCustomFieldValue } from '../Forms/CustomFieldInputs'
+import Button from '../UI/Button'
+import Modal from '../UI/Modal'
+
+/**
+ * Custom field values of an employee, editable by users who may update the
+ * employee. Only fields visible to the user's role are listed.
+ */
+const EmployeeCustomFields = ({ employee }) => {
+  const queryClient = useQueryClient()
+  const { can } = usePermissions()
+  const [editing, setEditing] = useState(false)
+  const { control, handleSubmit, reset } = useForm()
+
+  const { data } = useQuery(
+    ['custom-fields', 'EMPLOYEE'],
+    () => customFieldAPI.getAll({ entity: 'EMPLOYEE' }),
+    { staleTime: 5 * 60 * 1000 }
+  )
+  const definitions = data?.data?.customFields || []
+
+  const updateMutation = useMutation(
+    (customFields) => employeeAPI.update(employee.id, { customFields }),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['employee', employee.id])
+        toast.success('Additional information saved')
+        setEditing(false)
+      },
+      onError: (error) => {
+        const problems = error.code === 'INVALID_CUSTOM_FIELDS' ? error.errors?.map((problem) => problem.message) : null
+        toast.error(problems?.join('. ') || error.message || 'Failed to save additional information')
+      }
+    }
+  )
+
+  if (definitions.length === 0) return null
+
+  const startEditing = () => {
+    reset({ customFields: customFieldDefaults(definitions, employee.customFields) })
+    setEditing(true)
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-medium text-gray-900">Additional Information</h3>
+        {can('employees:update', employee) && (
+          <Button variant="outline" size="sm" onClick={startEditing}>
+            <PencilIcon className="h-4 w-4 mr-1" />
+            Edit
+          </Button>
+        )}
+      </div>
+      <dl className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+        {definitions.map((definition) => (
+          <div key={definition.id}>
+            <dt className="text-sm font-medium text-gray-500">{definition.label}</dt>
+            <dd className="text-sm text-gray-900">
+              {formatCustomFieldValue(definition, employee.customFields?.[definition.key]) || (
+                <span className="text-gray-400">Not set</span>
+              )}
+            </dd>
+          </div>
+        ))}
+      </dl>
+
+      <Modal open={editing} onClose={() => setEditing(false)} title="Edit Additional Information" size="lg">
+        <form onSubmit={handleSubmit((values) => updateMutation.mutate(values.customFields))} className="space-y-6">
+          <CustomFieldInputs definitions={definitions} control={control} />
+          <div className="flex justify-end space-x-3 pt-2">
+            <Button type="button" variant="outline" onClick={() => setEditing(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={updateMutation.isLoading}>
+              Save
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  )
+}
+
+export default EmployeeCustomFields
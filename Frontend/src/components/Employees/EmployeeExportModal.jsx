@@ -0,0 +1,160 @@
+import { useState } from 'react'
+import toast from 'react-hot-toast'
+import { employeeAPI } from '../../services/api'
+import { usePermissions } from '../../hooks/usePermissions'
+import Button from '../UI/Button'
+import Modal from '../UI/Modal'
+
+const FORMATS = [
+  { id: 'csv', name: 'CSV', description: 'Spreadsheet-friendly text file' },
+  { id: 'xlsx', name: 'Excel', description: 'Excel workbook (.xlsx)' },
+  { id: 'vcf', name: 'vCard', description: 'Contacts for address books' }
+]
+
+const COLUMNS = [
+  { id: 'employeeId', name: 'Employee ID' },
+  { id: 'firstName', name: 'First Name' },
+  { id: 'middleName', name: 'Middle Name' },
+  { id: 'lastName', name: 'Last Name' },
+  { id: 'email', name: 'Email' },
+  { id: 'phone', name: 'Phone' },
+  { id: 'department', name: 'Department' },
+  { id: 'position', name: 'Position' },
+  { id: 'manager', name: 'Manager' },
+  { id: 'employmentType', name: 'Employment Type' },
+  { id: 'employmentStatus', name: 'Employment Status' },
+  { id: 'hireDate', name: 'Hire Date' },
+  { id: 'address', name: 'Address' },
+  { id: 'city', name: 'City' },
+  { id: 'state', name: 'State' },
+  { id: 'country', name: 'Country' },
+  { id: 'zipCode', name: 'Zip Code' },
+  { id: 'dateOfBirth', name: 'Date of Birth', sensitive: true },
+  { id: 'baseSalary', name: 'Base Salary', sensitive: true },
+  { id: 'currency', name: 'Currency' }
+]
+
+const DEFAULT_COLUMNS = ['employeeId', 'firstName', 'lastName', 'email', 'phone', 'department', 'position', 'manager', 'employmentStatus', 'hireDate']
+
+/**
+ * Export the employee directory with the page's current search and filters
+ * @param {boolean} open - Whether the dialog is shown
+ * @param {Function} onClose - Called when the dialog is dismissed
+ * @param {object} filters - Search and filters applied on the directory
+ */
+const EmployeeExportModal = ({ open, onClose, filters }) => {
+  const { scopeOf } = usePermissions()
+  const [format, setFormat] = useState('csv')
+  const [columns, setColumns] = useState(DEFAULT_COLUMNS)
+  const [exporting, setExporting] = useState(false)
+
+  // Sensitive columns are exported masked, so they only help users who may reveal them
+  const available = COLUMNS.filter((column) => !column.sensitive || scopeOf('employees:sensitive'))
+
+  const toggleColumn = (id) => {
+    setColumns((current) => current.includes(id)
+      ? current.filter((item) => item !== id)
+      : COLUMNS.map((column) => column.id).filter((item) => item === id || current.includes(item)))
+  }
+
+  const handleExport = async () => {
+    setExporting(true)
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value))
+      const blob = await employeeAPI.exportEmployees({
+        ...params,
+        format,
+        ...(format !== 'vcf' && { columns: columns.join(',') })
+      })
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `employees-${new Date().toISOString().slice(0, 10)}.${format}`
+      link.click()
+      URL.revokeObjectURL(url)
+      onClose()
+    } catch (error) {
+      toast.error(error.message || 'Failed to export employees')
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  return (
+    <Modal open={open} onClose={onClose} title="Export Employees" size="lg">
+      <div className="space-y-5">
+        <p className="text-sm text-gray-600">
+          Exports every employee matching the current search and filters.
+        </p>
+
+        <div className="grid grid-cols-1 gap-3 sm:grid-cols-3">
+          {FORMATS.map((option) => (
+            <label
+              key={option.id}
+              className={`flex cursor-pointer flex-col rounded-md border p-3 ${format === option.id ? 'border-indigo-500 ring-1 ring-indigo-500' : 'border-gray-300'}`}
+            >
+              <input
+                type="radio"
+                name="format"
+                value={option.id}
+                checked={format === option.id}
+                onChange={() => setFormat(option.id)}
+                className="sr-only"
+              />
+              <span className="text-sm font-medium text-gray-900">{option.name}</span>
+              <span className="text-xs text-gray-500">{option.description}</span>
+            </label>
+          ))}
+        </div>
+
+        {format === 'vcf' ? (
+          <p className="text-sm text-gray-500">
+            Each contact carries name, email, phone, department and position.
+          </p>
+        ) : (
+          <div>
+            <div className="flex items-center justify-between">
+              <label className="block text-sm font-medium text-gray-700">Columns</label>
+              <div className="space-x-3 text-xs">
+                <button type="button" className="text-indigo-600 hover:text-indigo-800" onClick={() => setColumns(available.map((column) => column.id))}>
+                  All
+                </button>
+                <button type="button" className="text-indigo-600 hover:text-indigo-800" onClick={() => setColumns(DEFAULT_COLUMNS)}>
+                  Default
+                </button>
+              </div>
+            </div>
+            <div className="mt-2 grid grid-cols-2 gap-2 sm:grid-cols-3">
+              {available.map((column) => (
+                <label key={column.id} className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded mr-2"
+                    checked={columns.includes(column.id)}
+                    onChange={() => toggleColumn(column.id)}
+                  />
+                  {column.name}
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-3 pt-2">
+          <Button variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleExport}
+            loading={exporting}
+            disabled={format !== 'vcf' && columns.length === 0}
+          >
+            Export
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  )
+}
+
+export default EmployeeExportModal
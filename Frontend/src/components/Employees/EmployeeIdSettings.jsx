@@ -0,0 +1,132 @@
+import { useQuery, useMutation, useQueryClient } from 'react-query'
+import toast from 'react-hot-toast'
+import { employeeAPI, settingAPI } from '../../services/api'
+
+const PATTERN_KEY = 'employees.idPattern'
+const ALLOW_MANUAL_KEY = 'employees.idAllowManual'
+const DEPARTMENT_CODES_KEY = 'employees.idDepartmentCodes'
+
+const TOKENS = [
+  { token: '{SEQ:5}', description: 'Running number, zero-padded to 5 digits' },
+  { token: '{YYYY} / {YY} / {MM}', description: 'Hire year and month' },
+  { token: '{DEPT}', description: 'Department code' },
+  { token: '{COUNTRY}', description: 'Country of the employee' }
+]
+
+/**
+ * Pattern employee IDs are generated from, with a preview of the next ID
+ */
+const EmployeeIdSettings = () => {
+  const queryClient = useQueryClient()
+
+  const { data } = useQuery(
+    ['settings', 'employees'],
+    () => settingAPI.getAll({ category: 'employees', limit: '100' })
+  )
+  const { data: previewData } = useQuery(
+    ['employee-id-preview'],
+    () => employeeAPI.getIdPreview({})
+  )
+
+  const getSetting = (key) => data?.data?.settings?.find((setting) => setting.key === key)?.value
+  const pattern = getSetting(PATTERN_KEY) || ''
+  const allowManual = getSetting(ALLOW_MANUAL_KEY) !== 'false'
+  const preview = previewData?.data
+
+  const saveMutation = useMutation(
+    ({ key, value }) => settingAPI.saveByKey(key, { value, category: 'employees' }),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['settings', 'employees'])
+        queryClient.invalidateQueries('employee-id-preview')
+        toast.success('Setting saved')
+      },
+      onError: (error) => {
+        const problems = error.errors?.problems
+        toast.error(problems ? problems.join('. ') : error.message || 'Failed to save setting')
+      }
+    }
+  )
+
+  const saveText = (key, value) => {
+    if (value.trim() === (getSetting(key) || '')) return
+    saveMutation.mutate({ key, value: value.trim() })
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900">Employee IDs</h3>
+      </div>
+      <div className="card-content">
+        <div className="space-y-4">
+          <div>
+            <label htmlFor={PATTERN_KEY} className="block text-sm font-medium text-gray-700">
+              ID Pattern
+            </label>
+            <input
+              id={PATTERN_KEY}
+              key={`${PATTERN_KEY}-${pattern}`}
+              type="text"
+              className="input mt-1 font-mono"
+              placeholder="{COUNTRY}-{YYYY}-{SEQ:5}"
+              defaultValue={pattern}
+              onBlur={(e) => saveText(PATTERN_KEY, e.target.value)}
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              Leave empty to type employee IDs by hand. Each combination of the other tokens keeps its own running number.
+            </p>
+            <dl className="mt-2 grid grid-cols-1 gap-1 text-xs sm:grid-cols-2">
+              {TOKENS.map(({ token, description }) => (
+                <div key={token}>
+                  <dt className="inline font-mono text-gray-700">{token}</dt>
+                  <dd className="inline text-gray-500"> – {description}</dd>
+                </div>
+              ))}
+            </dl>
+          </div>
+
+          <div>
+            <label htmlFor={DEPARTMENT_CODES_KEY} className="block text-sm font-medium text-gray-700">
+              Department Codes
+            </label>
+            <input
+              id={DEPARTMENT_CODES_KEY}
+              key={`${DEPARTMENT_CODES_KEY}-${getSetting(DEPARTMENT_CODES_KEY)}`}
+              type="text"
+              className="input mt-1"
+              placeholder="Engineering=ENG,Human Resources=HR"
+              defaultValue={getSetting(DEPARTMENT_CODES_KEY) || ''}
+              onBlur={(e) => saveText(DEPARTMENT_CODES_KEY, e.target.value)}
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              Comma separated department=CODE pairs; other departments use the first letters of their name
+            </p>
+          </div>
+
+          <div className="flex items-center">
+            <input
+              id={ALLOW_MANUAL_KEY}
+              type="checkbox"
+              className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+              checked={allowManual}
+              disabled={saveMutation.isLoading}
+              onChange={(e) => saveMutation.mutate({ key: ALLOW_MANUAL_KEY, value: String(e.target.checked) })}
+            />
+            <label htmlFor={ALLOW_MANUAL_KEY} className="ml-2 block text-sm text-gray-900">
+              Allow entering IDs by hand, e.g. when migrating existing employees
+            </label>
+          </div>
+
+          {preview?.generated && (
+            <p className="text-sm text-gray-600">
+              Next ID without a department: <span className="font-mono font-medium text-gray-900">{preview.employeeId}</span>
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default EmployeeIdSettings
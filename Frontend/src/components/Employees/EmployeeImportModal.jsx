@@ -0,0 +1,218 @@
+import { useState } from 'react'
+import { useMutation, useQuery, useQueryClient } from 'react-query'
+import { ArrowDownTrayIcon, CheckCircleIcon, ExclamationCircleIcon } from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { customFieldAPI, employeeAPI } from '../../services/api'
+import Badge from '../UI/Badge'
+import Button from '../UI/Button'
+import Modal from '../UI/Modal'
+
+const TEMPLATE_COLUMNS = [
+  'Employee ID', 'First Name', 'Middle Name', 'Last Name', 'Email', 'Phone', 'Date of Birth', 'Gender',
+  'Marital Status', 'Nationality', 'Address', 'City', 'State', 'Country', 'Zip Code', 'Employment Type',
+  'Employment Status', 'Hire Date', 'Base Salary', 'Currency', 'Department', 'Position', 'Manager'
+]
+
+const PREVIEW_COLUMNS = ['employeeId', 'firstName', 'lastName', 'email', 'department', 'position', 'manager', 'hireDate']
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const downloadCsv = (fileName, rows) => {
+  const text = rows.map((row) => row.map(csvCell).join(',')).join('\n')
+  const url = URL.createObjectURL(new Blob([text], { type: 'text/csv' }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+const formatValue = (value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) return value.slice(0, 10)
+  return value ?? ''
+}
+
+/**
+ * Import wizard for employees: pick a spreadsheet, review the dry-run
+ * validation row by row, then import every row at once
+ * @param {boolean} open - Whether the wizard is shown
+ * @param {Function} onClose - Called when the wizard is dismissed
+ */
+const EmployeeImportModal = ({ open, onClose }) => {
+  const queryClient = useQueryClient()
+  const [file, setFile] = useState(null)
+  const [report, setReport] = useState(null)
+
+  const { data: customFieldData } = useQuery(
+    ['custom-fields', 'EMPLOYEE'],
+    () => customFieldAPI.getAll({ entity: 'EMPLOYEE' }),
+    { enabled: open, staleTime: 5 * 60 * 1000 }
+  )
+  const customFields = customFieldData?.data?.customFields || []
+
+  const reset = () => {
+    setFile(null)
+    setReport(null)
+  }
+
+  const handleClose = () => {
+    reset()
+    onClose()
+  }
+
+  const previewMutation = useMutation(
+    (selected) => employeeAPI.importEmployees(selected, { dryRun: true }),
+    {
+      onSuccess: (response) => setReport(response.data),
+      onError: (error) => toast.error(error.message || 'Failed to read the file')
+    }
+  )
+
+  const importMutation = useMutation(
+    () => employeeAPI.importEmployees(file, { dryRun: false }),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries('employees')
+        toast.success(`${response.data.created.length} employees imported`)
+        handleClose()
+      },
+      onError: (error) => {
+        // Rows may have changed since the preview, e.g. an email taken meanwhile
+        if (error.code === 'IMPORT_HAS_ERRORS' && error.errors) setReport(error.errors)
+        toast.error(error.message || 'Failed to import employees')
+      }
+    }
+  )
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files?.[0]
+    e.target.value = ''
+    if (!selected) return
+    setFile(selected)
+    setReport(null)
+    previewMutation.mutate(selected)
+  }
+
+  const downloadTemplate = () =>
+    downloadCsv('employee-import-template.csv', [[...TEMPLATE_COLUMNS, ...customFields.map((field) => field.label)]])
+
+  const downloadErrorReport = () => {
+    const rows = report.rows.flatMap((row) => row.errors.map((error) => [
+      row.row, row.values.employeeId, row.values.email, error.field, error.message
+    ]))
+    downloadCsv('employee-import-errors.csv', [['Row', 'Employee ID', 'Email', 'Field', 'Error'], ...rows])
+  }
+
+  return (
+    <Modal open={open} onClose={handleClose} title="Import Employees" size="full">
+      <div className="space-y-4">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+          <p className="text-sm text-gray-600">
+            Upload a .csv or .xlsx file with one employee per row. Departments, positions and
+            managers are matched by name, title and employee ID or email; custom fields by label,
+            with multiple options separated by commas.
+          </p>
+          <button
+            type="button"
+            onClick={downloadTemplate}
+            className="inline-flex items-center text-sm font-medium text-indigo-600 hover:text-indigo-800 whitespace-nowrap"
+          >
+            <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+            Template
+          </button>
+        </div>
+
+        <label className="flex flex-col items-center justify-center px-6 py-6 border-2 border-dashed border-gray-300 rounded-md cursor-pointer hover:border-indigo-400">
+          <span className="text-sm font-medium text-gray-700">{file ? file.name : 'Choose a spreadsheet'}</span>
+          <span className="text-xs text-gray-500">{previewMutation.isLoading ? 'Validating...' : 'CSV or XLSX, up to 5 MB'}</span>
+          <input
+            type="file"
+            accept=".csv,.xlsx"
+            className="sr-only"
+            onChange={handleFileChange}
+            disabled={previewMutation.isLoading || importMutation.isLoading}
+          />
+        </label>
+
+        {report && (
+          <>
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="text-gray-700">{report.total} rows</span>
+              <Badge variant="success" size="sm">{report.valid} valid</Badge>
+              {report.invalid > 0 && <Badge variant="error" size="sm">{report.invalid} with errors</Badge>}
+              {report.ignoredColumns?.length > 0 && (
+                <span className="text-xs text-gray-500">Ignored columns: {report.ignoredColumns.join(', ')}</span>
+              )}
+              {report.invalid > 0 && (
+                <button
+                  type="button"
+                  onClick={downloadErrorReport}
+                  className="ml-auto inline-flex items-center text-sm font-medium text-red-600 hover:text-red-800"
+                >
+                  <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+                  Error report
+                </button>
+              )}
+            </div>
+
+            <div className="max-h-96 overflow-auto border border-gray-200 rounded-md">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-medium text-gray-500">Row</th>
+                    {PREVIEW_COLUMNS.map((column) => (
+                      <th key={column} className="px-3 py-2 text-left font-medium text-gray-500">{column}</th>
+                    ))}
+                    <th className="px-3 py-2 text-left font-medium text-gray-500">Result</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200 bg-white">
+                  {report.rows.map((row) => (
+                    <tr key={row.row} className={row.errors.length > 0 ? 'bg-red-50' : undefined}>
+                      <td className="px-3 py-2 text-gray-500">{row.row}</td>
+                      {PREVIEW_COLUMNS.map((column) => (
+                        <td key={column} className="px-3 py-2 text-gray-900 whitespace-nowrap">{formatValue(row.values[column])}</td>
+                      ))}
+                      <td className="px-3 py-2">
+                        {row.errors.length === 0 ? (
+                          <CheckCircleIcon className="h-5 w-5 text-green-500" />
+                        ) : (
+                          <ul className="space-y-0.5">
+                            {row.errors.map((error, index) => (
+                              <li key={index} className="flex items-start text-xs text-red-700">
+                                <ExclamationCircleIcon className="h-4 w-4 mr-1 flex-shrink-0" />
+                                {error.field ? `${error.field}: ` : ''}{error.message}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        <div className="flex justify-end space-x-3 pt-2">
+          <Button variant="outline" onClick={handleClose}>
+            Cancel
+          </Button>
+          <Button
+            onClick={() => importMutation.mutate()}
+            loading={importMutation.isLoading}
+            disabled={!report || report.invalid > 0 || previewMutation.isLoading}
+          >
+            {report ? `Import ${report.total} employees` : 'Import'}
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  )
+}
+
+export default EmployeeImportModal
@@ -0,0 +1,285 @@
+import { useEffect, useState } from 'react'
+import { useMutation, useQuery, useQueryClient } from 'react-query'
+import { ArrowsRightLeftIcon } from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { employeeAPI } from '../../services/api'
+import Alert from '../UI/Alert'
+import Badge from '../UI/Badge'
+import Button from '../UI/Button'
+import LoadingSpinner from '../UI/LoadingSpinner'
+import Modal from '../UI/Modal'
+import { formatDay } from './TerminationModal'
+
+const DATE_FIELDS = ['dateOfBirth', 'hireDate', 'probationEndDate']
+
+const MOVED_LABELS = {
+  attendance: 'attendance records',
+  leaveRequests: 'leave requests',
+  leaveBalances: 'leave balances',
+  payrollRecords: 'payroll records',
+  performanceReviews: 'performance reviews',
+  documents: 'documents',
+  trainingRecords: 'training records',
+  disciplinaryActions: 'disciplinary actions',
+  onboardingTasks: 'onboarding tasks',
+  offboardingTasks: 'offboarding tasks',
+  employmentRecords: 'employment history entries',
+  probationReviews: 'probation reviews',
+  terminations: 'terminations',
+  approvalDelegations: 'approval delegations',
+  profileChangeRequests: 'profile change requests',
+  invitations: 'invitations',
+  managedDepartments: 'managed departments',
+  subordinates: 'direct reports'
+}
+
+// Masked and hidden values come through as the server sends them
+const displayValue = (employee, field) => {
+  if (field === 'departmentId') return employee.department?.name
+  if (field === 'positionId') return employee.position?.title
+  if (field === 'managerId') return employee.manager && `${employee.manager.firstName} ${employee.manager.lastName}`
+  const value = employee[field]
+  if (value && DATE_FIELDS.includes(field) && /^\d{4}-\d{2}-\d{2}/.test(value)) return formatDay(value)
+  return value
+}
+
+const describeEmployee = (employee) =>
+  `${employee.firstName} ${employee.lastName} · ${employee.employeeId} · ${employee.email}`
+
+const Choice = ({ checked, onChange, value }) => (
+  <label className={`flex items-start gap-2 cursor-pointer ${checked ? 'text-gray-900' : 'text-gray-500'}`}>
+    <input type="radio" className="mt-0.5" checked={checked} onChange={onChange} />
+    <span className="break-all">{value ?? '—'}</span>
+  </label>
+)
+
+// Field choices and consequences of merging `duplicateId` into `primaryId`
+const MergeReview = ({ pair, onSwap, onBack, onMerged }) => {
+  const queryClient = useQueryClient()
+  const [choices, setChoices] = useState({})
+  const [showAll, setShowAll] = useState(false)
+
+  const { data, isLoading } = useQuery(
+    ['employee-merge', pair.primaryId, pair.duplicateId],
+    () => employeeAPI.previewMerge(pair),
+    {
+      onError: (error) => toast.error(error.message || 'Failed to load the merge preview')
+    }
+  )
+  const preview = data?.data
+
+  useEffect(() => {
+    if (preview) setChoices(Object.fromEntries(preview.fields.map((entry) => [entry.field, entry.default])))
+  }, [preview])
+
+  const mergeMutation = useMutation(
+    () => employeeAPI.merge({ ...pair, fields: choices }),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries('employees')
+        queryClient.invalidateQueries('employee-duplicates')
+        queryClient.invalidateQueries(['employee', pair.primaryId])
+        toast.success(response.message || 'Employees merged')
+        onMerged()
+      },
+      onError: (error) => toast.error(error.message || 'Failed to merge the employees')
+    }
+  )
+
+  if (isLoading || !preview) {
+    return (
+      <div className="flex justify-center py-10">
+        <LoadingSpinner />
+      </div>
+    )
+  }
+
+  const { primary, duplicate } = preview
+  const fields = preview.fields.filter((entry) => showAll || entry.differs)
+  const moved = Object.entries(preview.moved).filter(([, count]) => count > 0)
+  const dropped = Object.entries(preview.dropped).filter(([, count]) => count > 0)
+
+  return (
+    <div className="space-y-5">
+      <div className="flex items-center justify-between gap-4">
+        <p className="text-sm text-gray-700">
+          <strong>{describeEmployee(duplicate)}</strong> is merged into{' '}
+          <strong>{describeEmployee(primary)}</strong> and then deleted.
+        </p>
+        <Button type="button" variant="outline" size="sm" onClick={onSwap}>
+          <ArrowsRightLeftIcon className="h-4 w-4 mr-1" />
+          Swap
+        </Button>
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h4 className="text-sm font-medium text-gray-900">Values to keep</h4>
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            <input type="checkbox" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} />
+            Show identical fields
+          </label>
+        </div>
+        {fields.length > 0 ? (
+          <div className="max-h-80 overflow-y-auto border border-gray-200 rounded-md">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr className="text-left text-gray-500">
+                  <th className="font-medium px-3 py-2 w-1/4">Field</th>
+                  <th className="font-medium px-3 py-2">Primary</th>
+                  <th className="font-medium px-3 py-2">Duplicate</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {fields.map((entry) => (
+                  <tr key={entry.field}>
+                    <td className="px-3 py-2 text-gray-700">{entry.label}</td>
+                    <td className="px-3 py-2">
+                      <Choice
+                        checked={choices[entry.field] === 'primary'}
+                        onChange={() => setChoices({ ...choices, [entry.field]: 'primary' })}
+                        value={displayValue(primary, entry.field)}
+                      />
+                    </td>
+                    <td className="px-3 py-2">
+                      <Choice
+                        checked={choices[entry.field] === 'duplicate'}
+                        onChange={() => setChoices({ ...choices, [entry.field]: 'duplicate' })}
+                        value={displayValue(duplicate, entry.field)}
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">Both records hold the same values.</p>
+        )}
+        <p className="mt-2 text-xs text-gray-500">Skills, qualifications and custom fields of both records are combined.</p>
+      </div>
+
+      <Alert variant="info" title="What happens">
+        <ul className="list-disc pl-5 space-y-1">
+          <li>
+            {moved.length > 0
+              ? `Moved to the primary: ${moved.map(([key, count]) => `${count} ${MOVED_LABELS[key] || key}`).join(', ')}.`
+              : 'The duplicate has no related records.'}
+          </li>
+          {dropped.length > 0 && (
+            <li>
+              Dropped as the primary already has them for the same day, program or period:{' '}
+              {dropped.map(([key, count]) => `${count} ${MOVED_LABELS[key] || key}`).join(', ')}.
+            </li>
+          )}
+          {preview.combinedLeaveBalances > 0 && (
+            <li>
+              Days used on {preview.combinedLeaveBalances} leave balance{preview.combinedLeaveBalances === 1 ? '' : 's'} are
+              added to the primary&apos;s balance for the same policy and year.
+            </li>
+          )}
+          {preview.account.deactivated ? (
+            <li>
+              The user account {preview.account.deactivated.email} of the duplicate is deactivated;{' '}
+              {preview.account.kept.email} stays.
+            </li>
+          ) : (
+            preview.account.kept && <li>The user account {preview.account.kept.email} belongs to the merged employee.</li>
+          )}
+        </ul>
+      </Alert>
+
+      <div className="flex justify-end space-x-3">
+        <Button type="button" variant="outline" onClick={onBack}>
+          Back
+        </Button>
+        <Button variant="danger" loading={mergeMutation.isLoading} onClick={() => mergeMutation.mutate()}>
+          Merge employees
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+const PairRow = ({ pair, onReview }) => (
+  <li className="flex items-center justify-between gap-4 py-3">
+    <div className="min-w-0 space-y-1">
+      {pair.employees.map((employee) => (
+        <p key={employee.id} className="text-sm text-gray-900 truncate">
+          {describeEmployee(employee)}
+          {employee.employmentStatus === 'TERMINATED' && (
+            <Badge variant="default" size="sm" className="ml-2">Terminated</Badge>
+          )}
+        </p>
+      ))}
+      <p className="text-xs text-gray-500">{pair.reasons.map((reason) => reason.label).join(' · ')}</p>
+    </div>
+    <div className="flex items-center space-x-3 flex-shrink-0">
+      <Badge variant={pair.score >= 80 ? 'error' : 'warning'} size="sm">
+        {pair.score}%
+      </Badge>
+      <Button variant="outline" size="sm" onClick={() => onReview(pair)}>
+        Review
+      </Button>
+    </div>
+  </li>
+)
+
+/**
+ * Likely duplicate employees, scored by matching details, and the merge of
+ * a chosen pair into one record
+ * @param {boolean} open - Whether the modal is shown
+ * @param {Function} onClose - Called when the modal is dismissed
+ */
+const EmployeeMergeModal = ({ open, onClose }) => {
+  const [pair, setPair] = useState(null)
+
+  useEffect(() => {
+    if (open) setPair(null)
+  }, [open])
+
+  const { data, isLoading } = useQuery(
+    ['employee-duplicates'],
+    () => employeeAPI.findDuplicates(),
+    { enabled: open, staleTime: 60 * 1000 }
+  )
+  const pairs = data?.data?.pairs || []
+
+  const review = (candidate) => {
+    const duplicate = candidate.employees.find((employee) => employee.id !== candidate.suggestedPrimaryId)
+    setPair({ primaryId: candidate.suggestedPrimaryId, duplicateId: duplicate.id })
+  }
+
+  return (
+    <Modal open={open} onClose={onClose} title={pair ? 'Merge employees' : 'Possible duplicates'} size="xl">
+      {pair ? (
+        <MergeReview
+          pair={pair}
+          onSwap={() => setPair({ primaryId: pair.duplicateId, duplicateId: pair.primaryId })}
+          onBack={() => setPair(null)}
+          onMerged={() => setPair(null)}
+        />
+      ) : isLoading ? (
+        <div className="flex justify-center py-10">
+          <LoadingSpinner />
+        </div>
+      ) : pairs.length > 0 ? (
+        <div>
+          <p className="text-sm text-gray-500">
+            Employees sharing a tax ID, bank account, date of birth, name, phone number or email name. Review a pair
+            to choose which record stays and which values it keeps.
+          </p>
+          <ul className="divide-y divide-gray-200 mt-2">
+            {pairs.map((candidate) => (
+              <PairRow key={candidate.employees.map((employee) => employee.id).join(':')} pair={candidate} onReview={review} />
+            ))}
+          </ul>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500 py-4">No likely duplicates found.</p>
+      )}
+    </Modal>
+  )
+}
+
+export default EmployeeMergeModal
@@ -0,0 +1,328 @@
+import { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from 'react-query'
+import { EyeIcon, EyeSlashIcon, PlusIcon } from '@heroicons/react/24/outline'
+import { format } from 'date-fns'
+import toast from 'react-hot-toast'
+import { employeeAPI, departmentAPI, positionAPI } from '../../services/api'
+import { usePermissions } from '../../hooks/usePermissions'
+import Badge from '../UI/Badge'
+import Button from '../UI/Button'
+import Modal from '../UI/Modal'
+
+const REASONS = {
+  HIRE: { label: 'Hire', variant: 'primary' },
+  PROMOTION: { label: 'Promotion', variant: 'success' },
+  TRANSFER: { label: 'Transfer', variant: 'info' },
+  MERIT_INCREASE: { label: 'Merit increase', variant: 'success' },
+  DEMOTION: { label: 'Demotion', variant: 'warning' },
+  ADJUSTMENT: { label: 'Adjustment', variant: 'default' },
+  CONFIRMATION: { label: 'Probation confirmed', variant: 'success' }
+}
+
+const CHANGE_REASONS = ['PROMOTION', 'TRANSFER', 'MERIT_INCREASE', 'DEMOTION', 'ADJUSTMENT']
+
+const EMPLOYMENT_TYPES = ['FULL_TIME', 'PART_TIME', 'CONTRACT', 'INTERN', 'CONSULTANT']
+
+const NEW_CHANGE = {
+  effectiveDate: format(new Date(), 'yyyy-MM-dd'),
+  reason: 'PROMOTION',
+  departmentId: '',
+  positionId: '',
+  managerId: '',
+  employmentType: '',
+  baseSalary: '',
+  notes: ''
+}
+
+// Dates are calendar days at UTC midnight
+const formatDay = (value) => format(new Date(value.slice(0, 10) + 'T00:00:00'), 'MMM dd, yyyy')
+
+const fullName = (person) => `${person.firstName} ${person.lastName}`
+
+/**
+ * Effective-dated job records of an employee: promotions, transfers and pay
+ * changes, with scheduled changes that apply on their effective date
+ * @param {object} employee - Employee whose history is shown
+ */
+const EmploymentHistory = ({ employee }) => {
+  const { can } = usePermissions()
+  const queryClient = useQueryClient()
+  const [showSalary, setShowSalary] = useState(false)
+  const [draft, setDraft] = useState(null)
+  const [managerSearch, setManagerSearch] = useState('')
+
+  const canEdit = can('employees:update', employee)
+
+  const { data, isLoading } = useQuery(
+    ['employee-history', employee.id, showSalary],
+    () => employeeAPI.getHistory(employee.id, { includeSalary: showSalary || undefined }),
+    { onError: (error) => toast.error(error.message || 'Failed to load employment history') }
+  )
+  const { data: departmentsData } = useQuery(
+    'departments',
+    () => departmentAPI.getAll({ limit: 100, isActive: true }),
+    { enabled: Boolean(draft), staleTime: 10 * 60 * 1000 }
+  )
+  const { data: positionsData } = useQuery(
+    ['positions', draft?.departmentId],
+    () => positionAPI.getAll({ limit: 100, isActive: true, departmentId: draft.departmentId || undefined }),
+    { enabled: Boolean(draft) }
+  )
+  const { data: managersData } = useQuery(
+    ['employees', 'manager-options', managerSearch],
+    () => employeeAPI.getAll({ search: managerSearch || undefined, employmentStatus: 'ACTIVE', limit: 20 }),
+    { enabled: Boolean(draft), keepPreviousData: true }
+  )
+
+  const history = data?.data
+  const records = history?.records || []
+  const departments = departmentsData?.data?.departments || []
+  const positions = positionsData?.positions || []
+  const managers = (managersData?.data?.employees || []).filter((item) => item.id !== employee.id)
+
+  const invalidate = () => {
+    queryClient.invalidateQueries(['employee-history', employee.id])
+    queryClient.invalidateQueries(['employee', employee.id])
+  }
+
+  const createMutation = useMutation(
+    (values) => employeeAPI.recordChange(employee.id, {
+      effectiveDate: values.effectiveDate,
+      reason: values.reason,
+      departmentId: values.departmentId || undefined,
+      positionId: values.positionId || undefined,
+      managerId: values.managerId || undefined,
+      employmentType: values.employmentType || undefined,
+      baseSalary: values.baseSalary === '' ? undefined : Number(values.baseSalary),
+      notes: values.notes || undefined
+    }),
+    {
+      onSuccess: (response) => {
+        invalidate()
+        toast.success(response.data.status === 'SCHEDULED' ? 'Change scheduled' : 'Change recorded')
+        setDraft(null)
+      },
+      onError: (error) => toast.error(error.message || 'Failed to record change')
+    }
+  )
+
+  const cancelMutation = useMutation(
+    (recordId) => employeeAPI.cancelChange(employee.id, recordId),
+    {
+      onSuccess: () => {
+        invalidate()
+        toast.success('Scheduled change cancelled')
+      },
+      onError: (error) => toast.error(error.message || 'Failed to cancel change')
+    }
+  )
+
+  const handleCancel = (record) => {
+    if (window.confirm(`Cancel the change planned for ${formatDay(record.effectiveDate)}?`)) {
+      cancelMutation.mutate(record.id)
+    }
+  }
+
+  const formatSalary = (record) => {
+    if (record.baseSalary === undefined || record.baseSalary === null) return null
+    const amount = showSalary ? Number(record.baseSalary).toLocaleString() : record.baseSalary
+    return `${record.currency || 'USD'} ${amount}`
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-medium text-gray-900">Employment History</h3>
+        <div className="flex items-center space-x-3">
+          {history?.salaryRevealable && (
+            <button
+              type="button"
+              onClick={() => setShowSalary((value) => !value)}
+              className="inline-flex items-center text-sm text-indigo-600 hover:text-indigo-800"
+            >
+              {showSalary ? <EyeSlashIcon className="h-4 w-4 mr-1" /> : <EyeIcon className="h-4 w-4 mr-1" />}
+              {showSalary ? 'Hide salaries' : 'Show salaries'}
+            </button>
+          )}
+          {canEdit && (
+            <Button size="sm" onClick={() => setDraft(NEW_CHANGE)}>
+              <PlusIcon className="h-4 w-4 mr-1" />
+              Record change
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {isLoading ? (
+        <p className="text-gray-500">Loading history...</p>
+      ) : records.length === 0 ? (
+        <p className="text-gray-500">No employment records found</p>
+      ) : (
+        <ol className="relative border-l border-gray-200 ml-2">
+          {records.map((record) => {
+            const isCurrent = history.current?.id === record.id
+            const salary = formatSalary(record)
+            return (
+              <li key={record.id} className="mb-6 ml-6">
+                <span className={`absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full border border-white ${record.status === 'SCHEDULED' ? 'bg-gray-300' : isCurrent ? 'bg-indigo-600' : 'bg-indigo-300'}`} />
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="text-sm font-medium text-gray-900">{formatDay(record.effectiveDate)}</span>
+                  <Badge variant={REASONS[record.reason]?.variant} size="sm">{REASONS[record.reason]?.label || record.reason}</Badge>
+                  {record.status === 'SCHEDULED' && <Badge variant="warning" size="sm">Scheduled</Badge>}
+                  {isCurrent && <Badge variant="info" size="sm">Current</Badge>}
+                  {record.status === 'SCHEDULED' && canEdit && (
+                    <button
+                      type="button"
+                      onClick={() => handleCancel(record)}
+                      disabled={cancelMutation.isLoading}
+                      className="text-xs font-medium text-red-600 hover:text-red-800"
+                    >
+                      Cancel
+                    </button>
+                  )}
+                </div>
+                <dl className="mt-1 grid grid-cols-1 gap-x-6 gap-y-1 text-sm text-gray-600 sm:grid-cols-2">
+                  <div><dt className="inline text-gray-500">Position: </dt><dd className="inline">{record.position?.title || '—'}</dd></div>
+                  <div><dt className="inline text-gray-500">Department: </dt><dd className="inline">{record.department?.name || '—'}</dd></div>
+                  <div><dt className="inline text-gray-500">Manager: </dt><dd className="inline">{record.manager ? fullName(record.manager) : '—'}</dd></div>
+                  <div><dt className="inline text-gray-500">Type: </dt><dd className="inline">{record.employmentType.replace('_', ' ')}</dd></div>
+                  {salary && (
+                    <div><dt className="inline text-gray-500">Salary: </dt><dd className="inline font-mono">{salary}</dd></div>
+                  )}
+                </dl>
+                {record.notes && <p className="mt-1 text-xs text-gray-500">{record.notes}</p>}
+              </li>
+            )
+          })}
+        </ol>
+      )}
+
+      <Modal open={Boolean(draft)} onClose={() => setDraft(null)} title="Record Job Change" size="lg">
+        {draft && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-500">
+              Fields left empty keep their current value. Future dates are applied automatically on that day.
+            </p>
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Effective date *</label>
+                <input
+                  type="date"
+                  className="input mt-1"
+                  value={draft.effectiveDate}
+                  onChange={(e) => setDraft({ ...draft, effectiveDate: e.target.value })}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Reason *</label>
+                <select
+                  className="input mt-1"
+                  value={draft.reason}
+                  onChange={(e) => setDraft({ ...draft, reason: e.target.value })}
+                >
+                  {CHANGE_REASONS.map((reason) => (
+                    <option key={reason} value={reason}>{REASONS[reason].label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Department</label>
+                <select
+                  className="input mt-1"
+                  value={draft.departmentId}
+                  onChange={(e) => setDraft({ ...draft, departmentId: e.target.value, positionId: '' })}
+                >
+                  <option value="">Unchanged</option>
+                  {departments.map((department) => (
+                    <option key={department.id} value={department.id}>{department.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Position</label>
+                <select
+                  className="input mt-1"
+                  value={draft.positionId}
+                  onChange={(e) => setDraft({ ...draft, positionId: e.target.value })}
+                >
+                  <option value="">Unchanged</option>
+                  {positions.map((position) => (
+                    <option key={position.id} value={position.id}>{position.title}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Manager</label>
+                <input
+                  type="text"
+                  className="input mt-1"
+                  placeholder="Search employees..."
+                  value={managerSearch}
+                  onChange={(e) => setManagerSearch(e.target.value)}
+                />
+                <select
+                  className="input mt-2"
+                  value={draft.managerId}
+                  onChange={(e) => setDraft({ ...draft, managerId: e.target.value })}
+                >
+                  <option value="">Unchanged</option>
+                  {managers.map((manager) => (
+                    <option key={manager.id} value={manager.id}>{fullName(manager)} ({manager.employeeId})</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Employment type</label>
+                <select
+                  className="input mt-1"
+                  value={draft.employmentType}
+                  onChange={(e) => setDraft({ ...draft, employmentType: e.target.value })}
+                >
+                  <option value="">Unchanged</option>
+                  {EMPLOYMENT_TYPES.map((type) => (
+                    <option key={type} value={type}>{type.replace('_', ' ')}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Base salary</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  className="input mt-1"
+                  placeholder="Unchanged"
+                  value={draft.baseSalary}
+                  onChange={(e) => setDraft({ ...draft, baseSalary: e.target.value })}
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Notes</label>
+              <textarea
+                rows={2}
+                className="input mt-1"
+                value={draft.notes}
+                onChange={(e) => setDraft({ ...draft, notes: e.target.value })}
+              />
+            </div>
+            <div className="flex justify-end space-x-3 pt-2">
+              <Button variant="outline" onClick={() => setDraft(null)}>
+                Cancel
+              </Button>
+              <Button
+                onClick={() => createMutation.mutate(draft)}
+                loading={createMutation.isLoading}
+                disabled={!draft.effectiveDate}
+              >
+                Save
+              </Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </div>
+  )
+}
+
+export default EmploymentHistory
@@ -0,0 +1,236 @@
+import { useEffect, useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { useMutation, useQuery, useQueryClient } from 'react-query'
+import { format } from 'date-fns'
+import toast from 'react-hot-toast'
+import { employeeAPI, offboardingTemplateAPI } from '../../services/api'
+import { usePermissions } from '../../hooks/usePermissions'
+import FormField from '../Forms/FormField'
+import Alert from '../UI/Alert'
+import Button from '../UI/Button'
+import Modal from '../UI/Modal'
+
+// Calendar days come back as UTC midnight; show them as the same day locally
+export const formatDay = (value) => format(new Date(`${String(value).slice(0, 10)}T00:00:00`), 'MMM dd, yyyy')
+
+const emptyForm = () => ({ terminationDate: format(new Date(), 'yyyy-MM-dd'), reason: '', templateId: '', notes: '' })
+
+const Section = ({ title, children }) => (
+  <div>
+    <h4 className="text-sm font-medium text-gray-900 mb-2">{title}</h4>
+    {children}
+  </div>
+)
+
+const describeLeave = (days) => {
+  if (days > 0) return `${days} day${days === 1 ? '' : 's'} to pay out`
+  if (days < 0) return `${-days} day${days === -1 ? '' : 's'} taken in advance`
+  return 'Settled'
+}
+
+// What the termination will do, as reported by the server
+const TerminationPreview = ({ preview }) => (
+  <div className="space-y-5">
+    <Alert variant={preview.immediate ? 'warning' : 'info'}>
+      Last day: <strong>{formatDay(preview.terminationDate)}</strong>.{' '}
+      {preview.immediate
+        ? 'The termination takes effect immediately.'
+        : 'The date and reason are recorded now; the changes below happen on the last day.'}
+    </Alert>
+
+    <Section title="Offboarding tasks">
+      {preview.offboardingTasks.length > 0 ? (
+        <ul className="divide-y divide-gray-100 text-sm">
+          {preview.offboardingTasks.map((task) => (
+            <li key={`${task.sortOrder}-${task.title}`} className="flex justify-between py-1.5">
+              <span className="text-gray-900">{task.title}</span>
+              <span className="text-gray-500">
+                Due {formatDay(task.dueDate)}
+                {task.assignee && ` · ${task.assignee.firstName} ${task.assignee.lastName}`}
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500">
+          {preview.template ? 'The template has no tasks.' : 'No template chosen; no tasks are created.'}
+        </p>
+      )}
+    </Section>
+
+    <Section title="User account">
+      <p className="text-sm text-gray-700">
+        {preview.account
+          ? `${preview.account.email} is deactivated and ${preview.account.activeSessions} active session${preview.account.activeSessions === 1 ? '' : 's'} signed out.`
+          : 'The employee has no user account.'}
+      </p>
+    </Section>
+
+    <Section title="Leave">
+      {preview.leave.settlement.length > 0 ? (
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="font-medium py-1">Policy</th>
+              <th className="font-medium py-1">Earned</th>
+              <th className="font-medium py-1">Used</th>
+              <th className="font-medium py-1">Settlement</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {preview.leave.settlement.map((entry) => (
+              <tr key={entry.balanceId}>
+                <td className="py-1 text-gray-900">{entry.policyName}</td>
+                <td className="py-1 text-gray-700">{entry.accrued} of {entry.allocated}</td>
+                <td className="py-1 text-gray-700">{entry.used}</td>
+                <td className={`py-1 ${entry.days < 0 ? 'text-red-600' : 'text-gray-900'}`}>{describeLeave(entry.days)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p className="text-sm text-gray-500">No leave balances for the year of the last day.</p>
+      )}
+      {preview.leave.cancelledRequests.length > 0 && (
+        <p className="text-sm text-gray-700 mt-2">
+          Cancelled as they fall after the last day:{' '}
+          {preview.leave.cancelledRequests
+            .map((request) => `${request.policyName} ${formatDay(request.startDate)} – ${formatDay(request.endDate)}`)
+            .join('; ')}
+        </p>
+      )}
+    </Section>
+
+    <Section title="Final payroll">
+      <p className="text-sm text-gray-700">
+        {preview.finalPayroll
+          ? `The ${preview.finalPayroll.status.toLowerCase()} payroll for ${formatDay(preview.finalPayroll.payPeriodStart)} – ${formatDay(preview.finalPayroll.payPeriodEnd)} is flagged as final pay.`
+          : 'No payroll record covers the last day yet; it is flagged as final pay when created.'}
+      </p>
+    </Section>
+  </div>
+)
+
+/**
+ * Termination of an employee: enter the last day, reason and offboarding
+ * template, review what the termination will do, then confirm
+ * @param {object} employee - Employee to terminate
+ * @param {boolean} open - Whether the modal is shown
+ * @param {Function} onClose - Called when the modal is dismissed
+ */
+const TerminationModal = ({ employee, open, onClose }) => {
+  const queryClient = useQueryClient()
+  const { can } = usePermissions()
+  const [preview, setPreview] = useState(null)
+  const { control, handleSubmit, reset, getValues } = useForm({ defaultValues: emptyForm() })
+
+  useEffect(() => {
+    if (open) {
+      reset(emptyForm())
+      setPreview(null)
+    }
+  }, [open, reset])
+
+  const { data: templatesData } = useQuery(
+    ['offboarding-templates', 'active'],
+    () => offboardingTemplateAPI.getAll({ isActive: 'true', limit: '100' }),
+    { enabled: open && can('offboarding:manage'), staleTime: 5 * 60 * 1000 }
+  )
+  const templates = templatesData?.data?.templates || []
+
+  const toPayload = ({ terminationDate, reason, templateId, notes }) => ({
+    terminationDate,
+    reason,
+    templateId: templateId || undefined,
+    notes: notes || undefined
+  })
+
+  const previewMutation = useMutation(
+    (values) => employeeAPI.previewTermination(employee.id, toPayload(values)),
+    {
+      onSuccess: (response) => setPreview(response.data),
+      onError: (error) => toast.error(error.message || 'Failed to preview the termination')
+    }
+  )
+
+  const terminateMutation = useMutation(
+    () => employeeAPI.terminate(employee.id, toPayload(getValues())),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries('employees')
+        queryClient.invalidateQueries(['employee', employee.id])
+        queryClient.invalidateQueries(['termination', employee.id])
+        toast.success(response.message || 'Termination recorded')
+        onClose()
+      },
+      onError: (error) => toast.error(error.message || 'Failed to terminate employee')
+    }
+  )
+
+  return (
+    <Modal open={open} onClose={onClose} title={`Terminate ${employee.firstName} ${employee.lastName}`} size="lg">
+      {preview ? (
+        <div className="space-y-6">
+          <TerminationPreview preview={preview} />
+          <div className="flex justify-end space-x-3 pt-2">
+            <Button type="button" variant="outline" onClick={() => setPreview(null)}>
+              Back
+            </Button>
+            <Button variant="danger" loading={terminateMutation.isLoading} onClick={() => terminateMutation.mutate()}>
+              Confirm termination
+            </Button>
+          </div>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit((values) => previewMutation.mutate(values))} className="space-y-4">
+          <FormField
+            name="terminationDate"
+            control={control}
+            type="date"
+            label="Last day of employment"
+            required
+            rules={{ required: 'Last day is required' }}
+          />
+          <FormField
+            name="reason"
+            control={control}
+            label="Reason"
+            required
+            rules={{
+              required: 'Reason is required',
+              maxLength: { value: 500, message: 'Reason must be at most 500 characters' }
+            }}
+          />
+          {templates.length > 0 && (
+            <FormField
+              name="templateId"
+              control={control}
+              type="select"
+              label="Offboarding template"
+              placeholder="No offboarding tasks"
+              options={templates.map((template) => ({ value: template.id, label: template.name }))}
+            />
+          )}
+          <FormField
+            name="notes"
+            control={control}
+            type="textarea"
+            label="Notes"
+            rows={3}
+            rules={{ maxLength: { value: 2000, message: 'Notes must be at most 2000 characters' } }}
+          />
+          <div className="flex justify-end space-x-3 pt-2">
+            <Button type="button" variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={previewMutation.isLoading}>
+              Preview
+            </Button>
+          </div>
+        </form>
+      )}
+    </Modal>
+  )
+}
+
+export default TerminationModal
@@ -0,0 +1,76 @@
+import { useMutation, useQuery, useQueryClient } from 'react-query'
+import toast from 'react-hot-toast'
+import { employeeAPI } from '../../services/api'
+import Alert from '../UI/Alert'
+import Button from '../UI/Button'
+import { formatDay } from './TerminationModal'
+
+/**
+ * Scheduled or completed termination of an employee, with the option to
+ * call off a scheduled one
+ * @param {object} employee - Employee shown on the page
+ */
+const TerminationNotice = ({ employee }) => {
+  const queryClient = useQueryClient()
+
+  const { data } = useQuery(
+    ['termination', employee.id],
+    () => employeeAPI.getTermination(employee.id),
+    { staleTime: 60 * 1000 }
+  )
+  const termination = data?.data
+
+  const cancelMutation = useMutation(
+    () => employeeAPI.cancelTermination(employee.id),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['termination', employee.id])
+        queryClient.invalidateQueries(['employee', employee.id])
+        queryClient.invalidateQueries('employees')
+        toast.success('Termination cancelled')
+      },
+      onError: (error) => toast.error(error.message || 'Failed to cancel the termination')
+    }
+  )
+
+  if (!termination) return null
+
+  const openTasks = termination.offboardingTasks.filter((task) => !task.isCompleted).length
+  const paidOut = (termination.leaveSettlement || []).reduce((sum, entry) => sum + entry.days, 0)
+
+  if (termination.status === 'SCHEDULED') {
+    return (
+      <Alert variant="warning" title={`Leaving on ${formatDay(termination.terminationDate)}`}>
+        <div className="flex items-start justify-between gap-4">
+          <p>
+            {termination.reason}. {openTasks} open offboarding task{openTasks === 1 ? '' : 's'}.
+            The account is closed, leave settled and the final payroll flagged on the last day.
+          </p>
+          <Button
+            variant="outline"
+            size="sm"
+            loading={cancelMutation.isLoading}
+            onClick={() => cancelMutation.mutate()}
+          >
+            Cancel termination
+          </Button>
+        </div>
+      </Alert>
+    )
+  }
+
+  return (
+    <Alert variant="info" title={`Terminated, last day ${formatDay(termination.terminationDate)}`}>
+      <p>
+        {termination.reason}.
+        {openTasks > 0 && ` ${openTasks} offboarding task${openTasks === 1 ? '' : 's'} still open.`}
+        {termination.leaveSettlement && ` Leave settled: ${Math.abs(paidOut)} day${Math.abs(paidOut) === 1 ? '' : 's'} ${paidOut < 0 ? 'taken in advance' : 'to pay out'}.`}
+        {termination.finalPayroll
+          ? ` Final pay: payroll for ${formatDay(termination.finalPayroll.payPeriodStart)} – ${formatDay(termination.finalPayroll.payPeriodEnd)}.`
+          : ' No payroll covered the last day yet; it is flagged as final pay when created.'}
+      </p>
+    </Alert>
+  )
+}
+
+export default TerminationNotice
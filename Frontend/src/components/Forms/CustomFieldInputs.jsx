@@ -0,0 +1,115 @@
+import { Controller } from 'react-hook-form';
+import { format } from 'date-fns';
+import FormField from './FormField';
+
+const INPUT_TYPES = { TEXT: 'text', NUMBER: 'number', DATE: 'date', SELECT: 'select' };
+
+const isEmpty = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+// Client-side mirror of the checks the server runs on custom field values
+const fieldRules = (definition) => {
+  const rules = definition.validation || {};
+  return {
+    validate: (value) => {
+      if (isEmpty(value)) {
+        return definition.required ? `${definition.label} is required` : true;
+      }
+      if (definition.type === 'TEXT') {
+        if (rules.maxLength && value.length > rules.maxLength) return `${definition.label} must be at most ${rules.maxLength} characters`;
+        if (rules.pattern && !new RegExp(rules.pattern).test(value.trim())) return rules.patternMessage || `${definition.label} has an invalid format`;
+      }
+      if (definition.type === 'NUMBER' || definition.type === 'DATE') {
+        const compared = definition.type === 'NUMBER' ? Number(value) : value;
+        if (rules.min !== undefined && compared < rules.min) return `${definition.label} must be at least ${rules.min}`;
+        if (rules.max !== undefined && compared > rules.max) return `${definition.label} must be at most ${rules.max}`;
+      }
+      return true;
+    }
+  };
+};
+
+// Stored values as shown on detail pages
+export const formatCustomFieldValue = (definition, value) => {
+  if (isEmpty(value)) return null;
+  if (definition.type === 'MULTI_SELECT') return value.join(', ');
+  if (definition.type === 'DATE') return format(new Date(`${value}T00:00:00`), 'MMM dd, yyyy');
+  if (definition.type === 'NUMBER') return Number(value).toLocaleString();
+  return String(value);
+};
+
+// Form values of stored custom fields, e.g. for editing
+export const customFieldDefaults = (definitions, values = {}) =>
+  Object.fromEntries(
+    definitions.map((definition) => [
+      definition.key,
+      values?.[definition.key] ?? (definition.type === 'MULTI_SELECT' ? [] : '')
+    ])
+  );
+
+const MultiSelectField = ({ definition, control }) => (
+  <Controller
+    name={`customFields.${definition.key}`}
+    control={control}
+    rules={fieldRules(definition)}
+    defaultValue={[]}
+    render={({ field, fieldState }) => (
+      <fieldset className="space-y-1">
+        <legend className="block text-sm font-medium text-gray-700">
+          {definition.label}
+          {definition.required && <span className="text-red-500 ml-1">*</span>}
+        </legend>
+        <div className="flex flex-wrap gap-x-4 gap-y-2 pt-1">
+          {definition.options.map((option) => (
+            <label key={option} className="inline-flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                checked={(field.value || []).includes(option)}
+                onChange={(e) => field.onChange(
+                  e.target.checked
+                    ? [...(field.value || []), option]
+                    : (field.value || []).filter((item) => item !== option)
+                )}
+              />
+              <span className="ml-2">{option}</span>
+            </label>
+          ))}
+        </div>
+        {fieldState.error && <p className="text-sm text-red-600">{fieldState.error.message}</p>}
+        {definition.description && !fieldState.error && <p className="text-sm text-gray-500">{definition.description}</p>}
+      </fieldset>
+    )}
+  />
+);
+
+/**
+ * Inputs for admin-defined custom fields, registered as `customFields.<key>`
+ * in the surrounding react-hook-form form.
+ */
+const CustomFieldInputs = ({ definitions, control }) => (
+  <div className="grid grid-cols-1 gap-6 sm:grid-cols-2">
+    {definitions.map((definition) => (
+      definition.type === 'MULTI_SELECT' ? (
+        <MultiSelectField key={definition.id} definition={definition} control={control} />
+      ) : (
+        <FormField
+          key={definition.id}
+          name={`customFields.${definition.key}`}
+          control={control}
+          type={INPUT_TYPES[definition.type]}
+          label={definition.label}
+          placeholder={definition.type === 'SELECT' ? 'Select...' : undefined}
+          options={definition.options.map((option) => ({ value: option, label: option }))}
+          required={definition.required}
+          helperText={definition.description || undefined}
+          rules={fieldRules(definition)}
+          min={definition.type === 'DATE' ? definition.validation?.min : undefined}
+          max={definition.type === 'DATE' ? definition.validation?.max : undefined}
+          step={definition.type === 'NUMBER' ? 'any' : undefined}
+        />
+      )
+    ))}
+  </div>
+);
+
+export default CustomFieldInputs;
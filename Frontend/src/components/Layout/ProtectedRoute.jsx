@@ -1,9 +1,12 @@
 import { Navigate, useLocation } from 'react-router-dom'
 import { useAuth } from '../../contexts/AuthContext'
+import { usePermissions } from '../../hooks/usePermissions'
 import LoadingSpinner from '../UI/LoadingSpinner'
 
-const ProtectedRoute = ({ children, requiredRoles = [] }) => {
+// `permissions` passes when any is granted; `scopes` further limits the scope it must be granted at
+const ProtectedRoute = ({ children, requiredRoles = [], permissions = [], scopes = null }) => {
   const { user, loading, hasPermission } = useAuth()
+  const { hasAccess } = usePermissions()
   const location = useLocation()
 
   if (loading) {
@@ -24,6 +27,10 @@ const ProtectedRoute = ({ children, requiredRoles = [] }) => {
     return <Navigate to="/dashboard" replace />
   }
 
+  if (permissions.length > 0 && !hasAccess(permissions, scopes)) {
+    return <Navigate to="/dashboard" replace />
+  }
+
   return children
 }
 
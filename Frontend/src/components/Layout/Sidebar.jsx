@@ -6,6 +6,7 @@ import {
   HomeIcon,
   UsersIcon,
   BuildingOfficeIcon,
+  RectangleGroupIcon,
   ClockIcon,
   CalendarDaysIcon,
   CurrencyDollarIcon,
@@ -18,28 +19,33 @@ import {
   ChevronDoubleRightIcon
 } from '@heroicons/react/24/outline'
 import { useAuth } from '../../contexts/AuthContext'
+import { usePermissions } from '../../hooks/usePermissions'
 import { cn } from '../../utils/cn'
 
+// Items without a permission are shown to everyone; `scopes` hides pages that
+// would only list the user's own record
 const navigation = [
-  { name: 'Dashboard', href: '/dashboard', icon: HomeIcon, roles: ['ADMIN', 'HR', 'MANAGER', 'EMPLOYEE'] },
-  { name: 'Employees', href: '/employees', icon: UsersIcon, roles: ['ADMIN', 'HR', 'MANAGER'] },
-  { name: 'Departments', href: '/departments', icon: BuildingOfficeIcon, roles: ['ADMIN', 'HR', 'MANAGER'] },
-  { name: 'Attendance', href: '/attendance', icon: ClockIcon, roles: ['ADMIN', 'HR', 'MANAGER', 'EMPLOYEE'] },
-  { name: 'Leave Requests', href: '/leave', icon: CalendarDaysIcon, roles: ['ADMIN', 'HR', 'MANAGER', 'EMPLOYEE'] },
-  { name: 'Payroll', href: '/payroll', icon: CurrencyDollarIcon, roles: ['ADMIN', 'HR'] },
-  { name: 'Performance', href: '/performance', icon: ChartPieIcon, roles: ['ADMIN', 'HR', 'MANAGER', 'EMPLOYEE'] },
-  { name: 'Reports', href: '/reports', icon: ChartBarIcon, roles: ['ADMIN', 'HR', 'MANAGER'] },
-  { name: 'Settings', href: '/settings', icon: CogIcon, roles: ['ADMIN'] },
+  { name: 'Dashboard', href: '/dashboard', icon: HomeIcon },
+  { name: 'Employees', href: '/employees', icon: UsersIcon, permissions: ['employees:read'], scopes: ['TEAM', 'DEPARTMENT', 'ALL'] },
+  { name: 'Departments', href: '/departments', icon: BuildingOfficeIcon, permissions: ['departments:read'] },
+  { name: 'Org Chart', href: '/org-chart', icon: RectangleGroupIcon, permissions: ['orgChart:read'] },
+  { name: 'Attendance', href: '/attendance', icon: ClockIcon, permissions: ['attendance:read'] },
+  { name: 'Leave Requests', href: '/leave', icon: CalendarDaysIcon, permissions: ['leave:read', 'leave:create'] },
+  { name: 'Payroll', href: '/payroll', icon: CurrencyDollarIcon, permissions: ['payroll:read'], scopes: ['TEAM', 'DEPARTMENT', 'ALL'] },
+  { name: 'Performance', href: '/performance', icon: ChartPieIcon, permissions: ['performance:read'] },
+  { name: 'Reports', href: '/reports', icon: ChartBarIcon, permissions: ['reports:workforce', 'reports:payroll', 'reports:audit'] },
+  { name: 'Settings', href: '/settings', icon: CogIcon, permissions: ['settings:manage', 'roles:manage', 'customFields:manage'] },
 ]
 
 const Sidebar = ({ open, setOpen }) => {
   const location = useLocation()
   const navigate = useNavigate()
-  const { user, hasPermission, logout } = useAuth()
+  const { user, logout } = useAuth()
+  const { hasAccess } = usePermissions()
   const [collapsed, setCollapsed] = useState(false)
 
-  const filteredNavigation = navigation.filter(item => 
-    hasPermission(item.roles)
+  const filteredNavigation = navigation.filter(item =>
+    !item.permissions || hasAccess(item.permissions, item.scopes)
   );
   
   const handleLogout = async () => {
@@ -0,0 +1,257 @@
+import { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from 'react-query'
+import { ArrowsRightLeftIcon, PlusIcon } from '@heroicons/react/24/outline'
+import { format } from 'date-fns'
+import toast from 'react-hot-toast'
+import { leaveAPI } from '../../services/api'
+import { useAuth } from '../../contexts/AuthContext'
+import { usePermissions } from '../../hooks/usePermissions'
+import Badge from '../UI/Badge'
+import Button from '../UI/Button'
+import Modal from '../UI/Modal'
+
+const LEAVE_TYPES = ['ANNUAL', 'SICK', 'MATERNITY', 'PATERNITY', 'EMERGENCY', 'UNPAID', 'SABBATICAL']
+
+const STATUS_VARIANTS = {
+  ACTIVE: 'success',
+  SCHEDULED: 'info',
+  ENDED: 'default',
+  REVOKED: 'error'
+}
+
+const NEW_DELEGATION = { delegateId: '', startDate: '', endDate: '', leaveTypes: [], reason: '' }
+
+const fullName = (person) => `${person.firstName} ${person.lastName}`
+
+const formatType = (type) => type.charAt(0) + type.slice(1).toLowerCase()
+
+/**
+ * Approval delegations of the current user: who approves for them while they
+ * are away, and whose approvals they currently handle
+ */
+const ApprovalDelegationsPanel = () => {
+  const { user } = useAuth()
+  const { can, scopeOf } = usePermissions()
+  const queryClient = useQueryClient()
+  const [draft, setDraft] = useState(null)
+  const [search, setSearch] = useState('')
+
+  const canDelegate = can('leave:approve') && Boolean(user?.employee)
+
+  const { data } = useQuery('approval-delegations', () => leaveAPI.getDelegations())
+  const { data: candidatesData } = useQuery(
+    ['delegation-candidates', search],
+    () => leaveAPI.getDelegationCandidates({ search: search || undefined }),
+    { enabled: Boolean(draft), keepPreviousData: true }
+  )
+
+  const delegations = data?.data?.delegations || []
+  const candidates = candidatesData?.data?.employees || []
+
+  const createMutation = useMutation(
+    (values) => leaveAPI.createDelegation({
+      delegateId: values.delegateId,
+      startDate: values.startDate,
+      endDate: values.endDate,
+      leaveTypes: values.leaveTypes,
+      reason: values.reason || undefined
+    }),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('approval-delegations')
+        toast.success('Approvals delegated')
+        setDraft(null)
+        setSearch('')
+      },
+      onError: (error) => toast.error(error.message || 'Failed to delegate approvals')
+    }
+  )
+
+  const revokeMutation = useMutation(
+    (id) => leaveAPI.revokeDelegation(id),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('approval-delegations')
+        queryClient.invalidateQueries('leave-requests')
+        toast.success('Delegation ended')
+      },
+      onError: (error) => toast.error(error.message || 'Failed to end delegation')
+    }
+  )
+
+  const toggleType = (type) => {
+    const leaveTypes = draft.leaveTypes.includes(type)
+      ? draft.leaveTypes.filter((item) => item !== type)
+      : [...draft.leaveTypes, type]
+    setDraft({ ...draft, leaveTypes })
+  }
+
+  const handleRevoke = (delegation) => {
+    if (window.confirm(`End the delegation to ${fullName(delegation.delegate)}?`)) {
+      revokeMutation.mutate(delegation.id)
+    }
+  }
+
+  const closeModal = () => {
+    setDraft(null)
+    setSearch('')
+  }
+
+  if (!canDelegate && delegations.length === 0) return null
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Approval Delegations</h3>
+          <p className="text-sm text-gray-500">Hand over leave approvals while you are away</p>
+        </div>
+        {canDelegate && (
+          <Button size="sm" onClick={() => setDraft(NEW_DELEGATION)}>
+            <PlusIcon className="h-4 w-4 mr-1" />
+            Delegate
+          </Button>
+        )}
+      </div>
+      <div className="card-content p-0">
+        {delegations.length === 0 ? (
+          <p className="px-6 py-4 text-sm text-gray-500">No delegations</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {delegations.map((delegation) => {
+              const received = delegation.delegate.id === user?.employee?.id
+              const revocable = ['ACTIVE', 'SCHEDULED'].includes(delegation.status) &&
+                (delegation.delegator.id === user?.employee?.id || scopeOf('leave:approve') === 'ALL')
+              return (
+                <li key={delegation.id} className="flex items-start justify-between px-6 py-4">
+                  <div className="flex items-start">
+                    <ArrowsRightLeftIcon className="h-5 w-5 text-gray-400 mt-0.5 mr-3" />
+                    <div>
+                      <p className="text-sm text-gray-900">
+                        {received
+                          ? <>You approve for <span className="font-medium">{fullName(delegation.delegator)}</span></>
+                          : <><span className="font-medium">{fullName(delegation.delegate)}</span> approves for {delegation.delegator.id === user?.employee?.id ? 'you' : fullName(delegation.delegator)}</>}
+                        <Badge variant={STATUS_VARIANTS[delegation.status]} size="sm" className="ml-2">{delegation.status}</Badge>
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {format(new Date(delegation.startDate), 'MMM dd, yyyy')} – {format(new Date(delegation.endDate), 'MMM dd, yyyy')}
+                        {' · '}
+                        {delegation.leaveTypes.length > 0 ? delegation.leaveTypes.map(formatType).join(', ') : 'All leave types'}
+                      </p>
+                      {delegation.reason && <p className="text-xs text-gray-500">{delegation.reason}</p>}
+                    </div>
+                  </div>
+                  {revocable && (
+                    <button
+                      onClick={() => handleRevoke(delegation)}
+                      disabled={revokeMutation.isLoading}
+                      className="text-sm font-medium text-red-600 hover:text-red-800"
+                    >
+                      End
+                    </button>
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+        )}
+      </div>
+
+      <Modal open={Boolean(draft)} onClose={closeModal} title="Delegate Approvals" size="lg">
+        {draft && (
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Delegate to *</label>
+              <input
+                type="text"
+                className="input mt-1"
+                placeholder="Search employees..."
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+              />
+              <select
+                className="input mt-2"
+                size={5}
+                value={draft.delegateId}
+                onChange={(e) => setDraft({ ...draft, delegateId: e.target.value })}
+              >
+                {candidates.map((employee) => (
+                  <option key={employee.id} value={employee.id}>
+                    {fullName(employee)} ({employee.employeeId}){employee.position ? ` – ${employee.position.title}` : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">From *</label>
+                <input
+                  type="date"
+                  className="input mt-1"
+                  min={format(new Date(), 'yyyy-MM-dd')}
+                  value={draft.startDate}
+                  onChange={(e) => setDraft({ ...draft, startDate: e.target.value })}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Until *</label>
+                <input
+                  type="date"
+                  className="input mt-1"
+                  min={draft.startDate || format(new Date(), 'yyyy-MM-dd')}
+                  value={draft.endDate}
+                  onChange={(e) => setDraft({ ...draft, endDate: e.target.value })}
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Leave types</label>
+              <p className="text-xs text-gray-500">Leave none selected to delegate every type</p>
+              <div className="mt-2 grid grid-cols-2 gap-2 sm:grid-cols-4">
+                {LEAVE_TYPES.map((type) => (
+                  <label key={type} className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded mr-2"
+                      checked={draft.leaveTypes.includes(type)}
+                      onChange={() => toggleType(type)}
+                    />
+                    {formatType(type)}
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Reason</label>
+              <input
+                type="text"
+                className="input mt-1"
+                placeholder="e.g. Annual leave"
+                value={draft.reason}
+                onChange={(e) => setDraft({ ...draft, reason: e.target.value })}
+              />
+            </div>
+
+            <div className="flex justify-end space-x-3 pt-4">
+              <Button variant="outline" onClick={closeModal}>
+                Cancel
+              </Button>
+              <Button
+                onClick={() => createMutation.mutate(draft)}
+                loading={createMutation.isLoading}
+                disabled={!draft.delegateId || !draft.startDate || !draft.endDate}
+              >
+                Delegate
+              </Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </div>
+  )
+}
+
+export default ApprovalDelegationsPanel
@@ -0,0 +1,198 @@
+import { forwardRef, useMemo } from 'react'
+
+const NODE_WIDTH = 220
+const NODE_HEIGHT = 76
+const H_GAP = 24
+const V_GAP = 48
+const PADDING = 24
+const FONT = 'Inter, ui-sans-serif, system-ui, sans-serif'
+
+const truncate = (text, length) => (text && text.length > length ? `${text.slice(0, length - 1)}…` : text || '')
+
+const initials = (person) => `${person.firstName?.[0] || ''}${person.lastName?.[0] || ''}`.toUpperCase()
+
+// Department vacancies are shown as placeholder children next to sub-departments
+export const childrenOf = (node) => {
+  if (node.type === 'department') return [...(node.children || []), ...(node.children ? node.vacancies : [])]
+  return node.children || []
+}
+
+export const hasChildren = (node) => node.childCount > 0 || (node.type === 'department' && node.vacancies.length > 0)
+
+/**
+ * Tidy tree layout: leaves are placed left to right, parents centered above
+ * their children. Collapsed and not yet loaded nodes show no children.
+ */
+const layoutTree = (roots, collapsed) => {
+  const items = []
+  const links = []
+  let cursor = 0
+  let depth = 0
+
+  const place = (node, level, parent) => {
+    const key = `${node.type}:${node.id}`
+    const children = collapsed.has(key) ? [] : childrenOf(node)
+    depth = Math.max(depth, level)
+
+    let x
+    if (children.length === 0) {
+      x = cursor
+      cursor += NODE_WIDTH + H_GAP
+    } else {
+      const placed = children.map((child) => place(child, level + 1, key))
+      x = (placed[0].x + placed[placed.length - 1].x) / 2
+    }
+
+    const item = { key, node, x, y: level * (NODE_HEIGHT + V_GAP), expanded: children.length > 0 }
+    items.push(item)
+    if (parent) links.push({ from: parent, to: key })
+    return item
+  }
+
+  roots.forEach((root) => place(root, 0, null))
+
+  const byKey = new Map(items.map((item) => [item.key, item]))
+  return {
+    items,
+    links: links.map(({ from, to }) => ({ key: `${from}-${to}`, from: byKey.get(from), to: byKey.get(to) })),
+    width: Math.max(cursor - H_GAP, NODE_WIDTH) + PADDING * 2,
+    height: (depth + 1) * NODE_HEIGHT + depth * V_GAP + PADDING * 2
+  }
+}
+
+const Toggle = ({ item, loading, onToggle }) => {
+  const { node, expanded } = item
+  if (!hasChildren(node)) return null
+  const count = node.type === 'department' ? node.childCount + node.vacancies.length : node.childCount
+  return (
+    <g
+      transform={`translate(${NODE_WIDTH / 2}, ${NODE_HEIGHT})`}
+      onClick={(event) => {
+        event.stopPropagation()
+        onToggle(item)
+      }}
+      style={{ cursor: 'pointer' }}
+    >
+      <rect x={-22} y={-10} width={44} height={20} rx={10} fill="#ffffff" stroke="#a5b4fc" />
+      <text textAnchor="middle" y={4} fontSize={11} fontFamily={FONT} fill="#4f46e5">
+        {loading ? '…' : expanded ? '−' : `+${count}`}
+      </text>
+    </g>
+  )
+}
+
+const EmployeeCard = ({ node, highlighted }) => (
+  <>
+    <rect width={NODE_WIDTH} height={NODE_HEIGHT} rx={8} fill="#ffffff" stroke={highlighted ? '#4f46e5' : '#e5e7eb'} strokeWidth={highlighted ? 2.5 : 1} />
+    <circle cx={30} cy={NODE_HEIGHT / 2} r={18} fill="#e0e7ff" />
+    <text x={30} y={NODE_HEIGHT / 2 + 4} textAnchor="middle" fontSize={12} fontWeight={600} fontFamily={FONT} fill="#4338ca">
+      {initials(node)}
+    </text>
+    <text x={58} y={22} fontSize={13} fontWeight={600} fontFamily={FONT} fill="#111827">
+      {truncate(`${node.firstName} ${node.lastName}`, 22)}
+    </text>
+    <text x={58} y={39} fontSize={11} fontFamily={FONT} fill="#4b5563">
+      {truncate(node.position?.title || 'No position', 26)}
+    </text>
+    <text x={58} y={55} fontSize={10} fontFamily={FONT} fill="#6b7280">
+      {truncate(node.department?.name || 'No department', 18)}
+      {node.headcount > 0 && ` · ${node.headcount} in org`}
+    </text>
+  </>
+)
+
+const DepartmentCard = ({ node, highlighted }) => (
+  <>
+    <rect width={NODE_WIDTH} height={NODE_HEIGHT} rx={8} fill="#f5f3ff" stroke={highlighted ? '#4f46e5' : '#ddd6fe'} strokeWidth={highlighted ? 2.5 : 1} />
+    <text x={14} y={22} fontSize={13} fontWeight={600} fontFamily={FONT} fill="#111827">
+      {truncate(node.name, 28)}
+    </text>
+    <text x={14} y={39} fontSize={11} fontFamily={FONT} fill="#4b5563">
+      {node.manager ? truncate(`Head: ${node.manager.firstName} ${node.manager.lastName}`, 32) : 'No manager'}
+    </text>
+    <text x={14} y={55} fontSize={10} fontFamily={FONT} fill="#6b7280">
+      {node.headcount === node.totalHeadcount
+        ? `${node.headcount} employees`
+        : `${node.headcount} employees · ${node.totalHeadcount} incl. sub-departments`}
+    </text>
+  </>
+)
+
+const VacancyCard = ({ node }) => (
+  <>
+    <rect width={NODE_WIDTH} height={NODE_HEIGHT} rx={8} fill="#f9fafb" stroke="#9ca3af" strokeDasharray="5 4" />
+    <text x={14} y={22} fontSize={10} fontWeight={600} fontFamily={FONT} fill="#059669">
+      OPEN POSITION
+    </text>
+    <text x={14} y={39} fontSize={13} fontWeight={600} fontFamily={FONT} fill="#374151">
+      {truncate(node.title, 28)}
+    </text>
+    <text x={14} y={55} fontSize={10} fontFamily={FONT} fill="#6b7280">
+      {truncate([node.employmentType?.replace('_', ' '), node.location].filter(Boolean).join(' · '), 34)}
+    </text>
+  </>
+)
+
+const CARDS = { employee: EmployeeCard, department: DepartmentCard, vacancy: VacancyCard }
+
+/**
+ * Org chart drawn as a self-contained SVG, so it can be exported as is
+ * @param {Array} roots - Top-level chart nodes
+ * @param {Set} collapsed - Keys (`type:id`) of nodes the user collapsed
+ * @param {Set} loading - Keys of nodes whose children are being fetched
+ * @param {string} highlight - Key of the node to emphasize
+ * @param {number} zoom - Display scale
+ * @param {Function} onToggle - Called with a layout item to expand or collapse it
+ */
+const OrgChartTree = forwardRef(({ roots, collapsed, loading, highlight, zoom = 1, onToggle }, ref) => {
+  const layout = useMemo(() => layoutTree(roots, collapsed), [roots, collapsed])
+
+  return (
+    <svg
+      ref={ref}
+      viewBox={`0 0 ${layout.width} ${layout.height}`}
+      width={layout.width * zoom}
+      height={layout.height * zoom}
+      role="img"
+      aria-label="Organization chart"
+    >
+      <rect width={layout.width} height={layout.height} fill="#ffffff" />
+      <g transform={`translate(${PADDING}, ${PADDING})`}>
+        {layout.links.map(({ key, from, to }) => {
+          const startX = from.x + NODE_WIDTH / 2
+          const startY = from.y + NODE_HEIGHT + 10
+          const endX = to.x + NODE_WIDTH / 2
+          const midY = to.y - V_GAP / 2
+          return (
+            <path
+              key={key}
+              d={`M ${startX} ${startY} V ${midY} H ${endX} V ${to.y}`}
+              fill="none"
+              stroke="#cbd5e1"
+              strokeWidth={1.5}
+            />
+          )
+        })}
+        {layout.items.map((item) => {
+          const Card = CARDS[item.node.type]
+          return (
+            <g
+              key={item.key}
+              data-key={item.key}
+              transform={`translate(${item.x}, ${item.y})`}
+              onClick={() => hasChildren(item.node) && onToggle(item)}
+              style={{ cursor: hasChildren(item.node) ? 'pointer' : 'default' }}
+            >
+              <Card node={item.node} highlighted={highlight === item.key} />
+              <Toggle item={item} loading={loading.has(item.key)} onToggle={onToggle} />
+            </g>
+          )
+        })}
+      </g>
+    </svg>
+  )
+})
+
+OrgChartTree.displayName = 'OrgChartTree'
+
+export default OrgChartTree
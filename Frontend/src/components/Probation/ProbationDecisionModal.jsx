@@ -0,0 +1,121 @@
+import { useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { useMutation, useQueryClient } from 'react-query'
+import { format } from 'date-fns'
+import toast from 'react-hot-toast'
+import { probationAPI } from '../../services/api'
+import FormField from '../Forms/FormField'
+import Button from '../UI/Button'
+import Modal from '../UI/Modal'
+
+const DECISIONS = [
+  { value: 'CONFIRM', label: 'Confirm employment' },
+  { value: 'EXTEND', label: 'Extend probation' },
+  { value: 'TERMINATE', label: 'End employment' }
+]
+
+const SUCCESS_MESSAGES = {
+  CONFIRM: 'Employment confirmed',
+  EXTEND: 'Probation extended',
+  TERMINATE: 'Employment ended'
+}
+
+/**
+ * Decision on an employee's probation period: confirm, extend to a new end
+ * date or end the employment, with the reviewer's comments.
+ */
+const ProbationDecisionModal = ({ employee, open, onClose }) => {
+  const queryClient = useQueryClient()
+  const { control, handleSubmit, reset, watch } = useForm({
+    defaultValues: { decision: 'CONFIRM', comments: '', extendedTo: '', terminationDate: '' }
+  })
+  const decision = watch('decision')
+
+  useEffect(() => {
+    if (open) reset({ decision: 'CONFIRM', comments: '', extendedTo: '', terminationDate: '' })
+  }, [open, reset])
+
+  const decideMutation = useMutation(
+    ({ decision, comments, extendedTo, terminationDate }) => probationAPI.decide(employee.id, {
+      decision,
+      comments: comments || undefined,
+      extendedTo: decision === 'EXTEND' ? extendedTo : undefined,
+      terminationDate: decision === 'TERMINATE' && terminationDate ? terminationDate : undefined
+    }),
+    {
+      onSuccess: (_, { decision }) => {
+        queryClient.invalidateQueries('probation')
+        queryClient.invalidateQueries(['employee', employee.id])
+        queryClient.invalidateQueries(['employee-history', employee.id])
+        toast.success(SUCCESS_MESSAGES[decision])
+        onClose()
+      },
+      onError: (error) => {
+        toast.error(error.message || 'Failed to record the probation decision')
+      }
+    }
+  )
+
+  if (!employee) return null
+
+  const endDate = employee.probationEndDate ? format(new Date(employee.probationEndDate), 'MMM dd, yyyy') : null
+
+  return (
+    <Modal open={open} onClose={onClose} title={`Probation review: ${employee.firstName} ${employee.lastName}`}>
+      <form onSubmit={handleSubmit((values) => decideMutation.mutate(values))} className="space-y-4">
+        {endDate && (
+          <p className="text-sm text-gray-500">Probation ends on {endDate}.</p>
+        )}
+        <FormField
+          name="decision"
+          control={control}
+          type="select"
+          label="Decision"
+          options={DECISIONS}
+          required
+        />
+        {decision === 'EXTEND' && (
+          <FormField
+            name="extendedTo"
+            control={control}
+            type="date"
+            label="New probation end date"
+            required
+            rules={{ required: 'New probation end date is required' }}
+          />
+        )}
+        {decision === 'TERMINATE' && (
+          <FormField
+            name="terminationDate"
+            control={control}
+            type="date"
+            label="Last day of employment"
+            helperText="Defaults to today"
+          />
+        )}
+        <FormField
+          name="comments"
+          control={control}
+          type="textarea"
+          label="Comments"
+          rows={4}
+          rules={{ maxLength: { value: 2000, message: 'Comments must be at most 2000 characters' } }}
+        />
+        <div className="flex justify-end space-x-3 pt-2">
+          <Button type="button" variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button
+            type="submit"
+            variant={decision === 'TERMINATE' ? 'danger' : 'primary'}
+            loading={decideMutation.isLoading}
+          >
+            Save decision
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  )
+}
+
+export default ProbationDecisionModal
@@ -0,0 +1,84 @@
+import { useState } from 'react'
+import { useQuery } from 'react-query'
+import { Link } from 'react-router-dom'
+import { format } from 'date-fns'
+import { probationAPI } from '../../services/api'
+import Badge from '../UI/Badge'
+import Button from '../UI/Button'
+import Card from '../UI/Card'
+import LoadingSpinner from '../UI/LoadingSpinner'
+import ProbationDecisionModal from './ProbationDecisionModal'
+
+const describeDue = (daysRemaining) => {
+  if (daysRemaining < 0) return `${-daysRemaining} day${daysRemaining === -1 ? '' : 's'} overdue`
+  if (daysRemaining === 0) return 'Ends today'
+  return `${daysRemaining} day${daysRemaining === 1 ? '' : 's'} left`
+}
+
+const ReviewRow = ({ entry, onDecide }) => (
+  <li className="flex items-center justify-between py-3">
+    <div className="min-w-0">
+      <Link to={`/employees/${entry.id}`} className="text-sm font-medium text-gray-900 hover:text-indigo-600">
+        {entry.firstName} {entry.lastName}
+      </Link>
+      <p className="text-xs text-gray-500 truncate">
+        {[entry.position?.title, entry.department?.name].filter(Boolean).join(' · ') || entry.employeeId}
+        {' · '}
+        Ends {format(new Date(entry.probationEndDate), 'MMM dd, yyyy')}
+      </p>
+    </div>
+    <div className="flex items-center space-x-3 flex-shrink-0 ml-4">
+      <Badge variant={entry.overdue ? 'error' : 'warning'} size="sm">
+        {describeDue(entry.daysRemaining)}
+      </Badge>
+      <Button variant="outline" size="sm" onClick={() => onDecide(entry)}>
+        Review
+      </Button>
+    </div>
+  </li>
+)
+
+/**
+ * Probation periods ending within the reminder window and those past their
+ * end date without a decision, for the employees the user may review.
+ */
+const ProbationReviewsCard = () => {
+  const [selected, setSelected] = useState(null)
+
+  const { data, isLoading } = useQuery(
+    ['probation', 'summary'],
+    () => probationAPI.getSummary(),
+    { staleTime: 5 * 60 * 1000 }
+  )
+  const summary = data?.data
+
+  return (
+    <Card>
+      <Card.Header>
+        <h3 className="text-lg font-medium text-gray-900">Probation Reviews</h3>
+        <p className="text-sm text-gray-500">
+          Overdue reviews and probation periods ending in the next {summary?.reminderDays ?? 14} days
+        </p>
+      </Card.Header>
+      <Card.Content>
+        {isLoading ? (
+          <div className="flex justify-center py-6">
+            <LoadingSpinner />
+          </div>
+        ) : summary?.overdue.length || summary?.upcoming.length ? (
+          <ul className="divide-y divide-gray-200">
+            {[...summary.overdue, ...summary.upcoming].map((entry) => (
+              <ReviewRow key={entry.id} entry={entry} onDecide={setSelected} />
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500">No probation reviews due.</p>
+        )}
+      </Card.Content>
+
+      <ProbationDecisionModal employee={selected} open={Boolean(selected)} onClose={() => setSelected(null)} />
+    </Card>
+  )
+}
+
+export default ProbationReviewsCard
@@ -0,0 +1,26 @@
+/**
+ * Field-by-field view of a profile change request
+ * @param {Array} diff - `{ field, label, from, to }` entries from the server
+ */
+const ProfileChangeDiff = ({ diff }) => (
+  <table className="min-w-full text-sm">
+    <thead>
+      <tr className="text-left text-gray-500">
+        <th className="font-medium py-1 pr-4">Field</th>
+        <th className="font-medium py-1 pr-4">Current</th>
+        <th className="font-medium py-1">Requested</th>
+      </tr>
+    </thead>
+    <tbody className="divide-y divide-gray-100">
+      {diff.map((entry) => (
+        <tr key={entry.field}>
+          <td className="py-1 pr-4 text-gray-700">{entry.label}</td>
+          <td className="py-1 pr-4 text-red-700 line-through decoration-red-300">{entry.from ?? '—'}</td>
+          <td className="py-1 text-green-700">{entry.to ?? '—'}</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+)
+
+export default ProfileChangeDiff
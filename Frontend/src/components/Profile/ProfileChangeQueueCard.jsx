@@ -0,0 +1,141 @@
+import { useState } from 'react'
+import { useMutation, useQuery, useQueryClient } from 'react-query'
+import { Link } from 'react-router-dom'
+import { format } from 'date-fns'
+import toast from 'react-hot-toast'
+import { profileChangeAPI } from '../../services/api'
+import { useAuth } from '../../contexts/AuthContext'
+import Button from '../UI/Button'
+import Card from '../UI/Card'
+import LoadingSpinner from '../UI/LoadingSpinner'
+import Modal from '../UI/Modal'
+import Textarea from '../UI/Textarea'
+import ProfileChangeDiff from './ProfileChangeDiff'
+
+/**
+ * Profile changes employees submitted that wait for approval, oldest first,
+ * each with its diff and approve / reject actions
+ */
+const ProfileChangeQueueCard = () => {
+  const queryClient = useQueryClient()
+  const { user } = useAuth()
+  const [rejecting, setRejecting] = useState(null)
+  const [note, setNote] = useState('')
+
+  const { data, isLoading } = useQuery(
+    ['profile-changes', 'queue'],
+    () => profileChangeAPI.getAll({ status: 'PENDING', limit: 50 }),
+    { staleTime: 60 * 1000 }
+  )
+  const requests = data?.data?.requests || []
+
+  const reviewMutation = useMutation(
+    ({ id, decision, note }) => profileChangeAPI.review(id, { decision, note: note || undefined }),
+    {
+      onSuccess: (response, { id }) => {
+        const employeeId = requests.find((request) => request.id === id)?.employeeId
+        queryClient.invalidateQueries('profile-changes')
+        if (employeeId) queryClient.invalidateQueries(['employee', employeeId])
+        toast.success(response.message || 'Request reviewed')
+        setRejecting(null)
+      },
+      onError: (error) => toast.error(error.message || 'Failed to review the request')
+    }
+  )
+
+  const openReject = (request) => {
+    setNote('')
+    setRejecting(request)
+  }
+
+  return (
+    <Card>
+      <Card.Header>
+        <h3 className="text-lg font-medium text-gray-900">Profile Changes</h3>
+        <p className="text-sm text-gray-500">Name, bank and tax changes employees submitted for approval</p>
+      </Card.Header>
+      <Card.Content>
+        {isLoading ? (
+          <div className="flex justify-center py-6">
+            <LoadingSpinner />
+          </div>
+        ) : requests.length > 0 ? (
+          <ul className="divide-y divide-gray-200">
+            {requests.map((request) => {
+              const ownRequest = request.requestedBy?.id === user?.id
+              const busy = reviewMutation.isLoading && reviewMutation.variables?.id === request.id
+
+              return (
+                <li key={request.id} className="py-4 first:pt-0 last:pb-0 space-y-3">
+                  <div className="flex items-center justify-between">
+                    <div className="min-w-0">
+                      <Link
+                        to={`/employees/${request.employee.id}`}
+                        className="text-sm font-medium text-gray-900 hover:text-indigo-600"
+                      >
+                        {request.employee.firstName} {request.employee.lastName}
+                      </Link>
+                      <p className="text-xs text-gray-500">
+                        {request.employee.employeeId} · Submitted {format(new Date(request.createdAt), 'MMM dd, yyyy')}
+                      </p>
+                    </div>
+                    {!ownRequest && (
+                      <div className="flex items-center space-x-2 flex-shrink-0 ml-4">
+                        <Button variant="outline" size="sm" disabled={busy} onClick={() => openReject(request)}>
+                          Reject
+                        </Button>
+                        <Button
+                          size="sm"
+                          loading={busy}
+                          onClick={() => reviewMutation.mutate({ id: request.id, decision: 'APPROVE' })}
+                        >
+                          Approve
+                        </Button>
+                      </div>
+                    )}
+                  </div>
+                  <ProfileChangeDiff diff={request.diff} />
+                  {request.comment && (
+                    <p className="text-sm text-gray-700">
+                      <span className="font-medium">Note:</span> {request.comment}
+                    </p>
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500">No profile changes waiting for approval.</p>
+        )}
+      </Card.Content>
+
+      <Modal open={Boolean(rejecting)} onClose={() => setRejecting(null)} title="Reject profile changes" size="sm">
+        <form
+          className="space-y-4"
+          onSubmit={(e) => {
+            e.preventDefault()
+            reviewMutation.mutate({ id: rejecting.id, decision: 'REJECT', note: note.trim() })
+          }}
+        >
+          <Textarea
+            label="Reason for the employee"
+            required
+            maxLength={1000}
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+          />
+          <div className="flex justify-end space-x-3">
+            <Button type="button" variant="outline" onClick={() => setRejecting(null)}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="danger" disabled={!note.trim()} loading={reviewMutation.isLoading}>
+              Reject
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </Card>
+  )
+}
+
+export default ProfileChangeQueueCard
@@ -0,0 +1,82 @@
+import { useMutation, useQueryClient } from 'react-query'
+import { format } from 'date-fns'
+import toast from 'react-hot-toast'
+import { profileChangeAPI } from '../../services/api'
+import Badge from '../UI/Badge'
+import Button from '../UI/Button'
+import Card from '../UI/Card'
+import ProfileChangeDiff from './ProfileChangeDiff'
+
+export const STATUS_BADGES = {
+  PENDING: { variant: 'warning', label: 'Waiting for approval' },
+  APPROVED: { variant: 'success', label: 'Approved' },
+  REJECTED: { variant: 'error', label: 'Rejected' },
+  CANCELLED: { variant: 'default', label: 'Cancelled' }
+}
+
+/**
+ * Name, bank and tax changes the signed-in user submitted, with the option
+ * to withdraw one that is still waiting for approval
+ * @param {Array} requests - The user's change requests, newest first
+ */
+const ProfileChangeRequests = ({ requests }) => {
+  const queryClient = useQueryClient()
+
+  const cancelMutation = useMutation(
+    (id) => profileChangeAPI.cancel(id),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('profile-changes')
+        toast.success('Request cancelled')
+      },
+      onError: (error) => toast.error(error.message || 'Failed to cancel the request')
+    }
+  )
+
+  if (requests.length === 0) return null
+
+  return (
+    <Card>
+      <Card.Header>
+        <h3 className="text-lg font-medium text-gray-900">Requested Changes</h3>
+        <p className="text-sm text-gray-500">Name, bank and tax changes are applied once HR approves them</p>
+      </Card.Header>
+      <Card.Content>
+        <ul className="divide-y divide-gray-200">
+          {requests.map((request) => (
+            <li key={request.id} className="py-4 first:pt-0 last:pb-0 space-y-3">
+              <div className="flex items-center justify-between">
+                <div className="flex items-center space-x-3">
+                  <Badge variant={STATUS_BADGES[request.status].variant} size="sm">
+                    {STATUS_BADGES[request.status].label}
+                  </Badge>
+                  <span className="text-xs text-gray-500">
+                    Submitted {format(new Date(request.createdAt), 'MMM dd, yyyy')}
+                  </span>
+                </div>
+                {request.status === 'PENDING' && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    loading={cancelMutation.isLoading && cancelMutation.variables === request.id}
+                    onClick={() => cancelMutation.mutate(request.id)}
+                  >
+                    Cancel request
+                  </Button>
+                )}
+              </div>
+              <ProfileChangeDiff diff={request.diff} />
+              {request.reviewNote && (
+                <p className="text-sm text-gray-700">
+                  <span className="font-medium">HR note:</span> {request.reviewNote}
+                </p>
+              )}
+            </li>
+          ))}
+        </ul>
+      </Card.Content>
+    </Card>
+  )
+}
+
+export default ProfileChangeRequests
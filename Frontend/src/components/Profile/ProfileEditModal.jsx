@@ -0,0 +1,163 @@
+import { useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { useMutation, useQueryClient } from 'react-query'
+import toast from 'react-hot-toast'
+import { profileChangeAPI } from '../../services/api'
+import FormField from '../Forms/FormField'
+import Alert from '../UI/Alert'
+import Button from '../UI/Button'
+import Modal from '../UI/Modal'
+
+// Mirrors the self-service fields of the server; `review` fields wait for HR
+const SECTIONS = [
+  {
+    title: 'Contact',
+    fields: [
+      { name: 'phone', label: 'Phone' },
+      { name: 'address', label: 'Address' },
+      { name: 'city', label: 'City' },
+      { name: 'state', label: 'State' },
+      { name: 'country', label: 'Country' },
+      { name: 'zipCode', label: 'ZIP code' }
+    ]
+  },
+  {
+    title: 'Emergency contact',
+    fields: [
+      { name: 'emergencyContactName', label: 'Name' },
+      { name: 'emergencyContactPhone', label: 'Phone' },
+      { name: 'emergencyContactRelation', label: 'Relation' }
+    ]
+  },
+  {
+    title: 'Legal name',
+    review: true,
+    fields: [
+      { name: 'firstName', label: 'First name', required: true },
+      { name: 'middleName', label: 'Middle name' },
+      { name: 'lastName', label: 'Last name', required: true }
+    ]
+  },
+  {
+    title: 'Bank and tax details',
+    review: true,
+    fields: [
+      { name: 'bankName', label: 'Bank name' },
+      { name: 'bankBranch', label: 'Bank branch' },
+      { name: 'bankAccountNumber', label: 'Bank account number', masked: true },
+      { name: 'taxId', label: 'Tax ID', masked: true }
+    ]
+  }
+]
+
+const FIELDS = SECTIONS.flatMap((section) => section.fields)
+
+// Masked values cannot be edited in place, so those inputs start empty and
+// are only sent when something is typed
+const toDefaults = (employee) => ({
+  ...Object.fromEntries(FIELDS.map(({ name, masked }) => [name, masked ? '' : employee?.[name] ?? ''])),
+  comment: ''
+})
+
+/**
+ * Employee's edit form for their own profile. Contact details are saved
+ * right away; name, bank and tax changes are sent to HR for approval.
+ * @param {object} employee - Employee record of the signed-in user
+ * @param {boolean} hasPendingRequest - Whether changes already wait for approval
+ * @param {boolean} open - Whether the modal is shown
+ * @param {Function} onClose - Called when the modal is dismissed
+ */
+const ProfileEditModal = ({ employee, hasPendingRequest, open, onClose }) => {
+  const queryClient = useQueryClient()
+  const { control, handleSubmit, reset } = useForm({ defaultValues: toDefaults(employee) })
+
+  useEffect(() => {
+    if (open) reset(toDefaults(employee))
+  }, [open, employee, reset])
+
+  const submitMutation = useMutation(
+    (data) => profileChangeAPI.submit(data),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries('profile')
+        queryClient.invalidateQueries('profile-changes')
+        queryClient.invalidateQueries(['employee', employee.id])
+        toast.success(response.message || 'Profile updated')
+        onClose()
+      },
+      onError: (error) => toast.error(error.message || 'Failed to update your profile')
+    }
+  )
+
+  const onSubmit = ({ comment, ...values }) => {
+    const defaults = toDefaults(employee)
+    const changes = Object.fromEntries(
+      FIELDS
+        .filter(({ name, masked }) => values[name].trim() !== defaults[name] && (!masked || values[name].trim()))
+        .map(({ name }) => [name, values[name].trim()])
+    )
+    if (Object.keys(changes).length === 0) {
+      toast('Nothing was changed')
+      return
+    }
+    submitMutation.mutate({ changes, comment: comment || undefined })
+  }
+
+  if (!employee) return null
+
+  return (
+    <Modal open={open} onClose={onClose} title="Edit Profile" size="lg">
+      <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+        {SECTIONS.map((section) => (
+          <div key={section.title}>
+            <h4 className="text-sm font-medium text-gray-900">{section.title}</h4>
+            <p className="text-xs text-gray-500 mb-3">
+              {section.review ? 'Changes are applied once HR approves them.' : 'Changes are saved right away.'}
+            </p>
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+              {section.fields.map((field) => (
+                <FormField
+                  key={field.name}
+                  name={field.name}
+                  control={control}
+                  label={field.label}
+                  required={field.required}
+                  disabled={section.review && hasPendingRequest}
+                  placeholder={field.masked && employee[field.name] ? `${employee[field.name]} (unchanged)` : undefined}
+                  rules={field.required ? { validate: (value) => value.trim() !== '' || `${field.label} is required` } : {}}
+                />
+              ))}
+            </div>
+          </div>
+        ))}
+
+        {hasPendingRequest ? (
+          <Alert variant="info">
+            Your earlier name, bank or tax changes are still waiting for approval. Cancel them to request new ones.
+          </Alert>
+        ) : (
+          <FormField
+            name="comment"
+            control={control}
+            type="textarea"
+            label="Note for HR"
+            rows={2}
+            helperText="Sent along with name, bank or tax changes"
+            rules={{ maxLength: { value: 1000, message: 'Note must be at most 1000 characters' } }}
+          />
+        )}
+
+        <div className="flex justify-end space-x-3 pt-2">
+          <Button type="button" variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button type="submit" loading={submitMutation.isLoading}>
+            Save
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  )
+}
+
+export default ProfileEditModal
@@ -0,0 +1,245 @@
+import { useMemo, useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from 'react-query'
+import { ClipboardDocumentIcon, PlusIcon } from '@heroicons/react/24/outline'
+import { format, formatDistanceToNow } from 'date-fns'
+import toast from 'react-hot-toast'
+import { apiKeyAPI } from '../../services/api'
+import LoadingSpinner from '../UI/LoadingSpinner'
+import Badge from '../UI/Badge'
+import Button from '../UI/Button'
+
+const STATUS_VARIANTS = {
+  ACTIVE: 'success',
+  EXPIRED: 'warning',
+  REVOKED: 'error'
+}
+
+const NEW_KEY = { name: '', description: '', expiresAt: '', permissions: [] }
+
+/**
+ * API keys of system integrations: create a key with the permissions it
+ * needs, show it once, and revoke it when the integration is retired
+ */
+const ApiKeysPanel = () => {
+  const queryClient = useQueryClient()
+  const [draft, setDraft] = useState(null)
+  const [createdKey, setCreatedKey] = useState(null)
+
+  const { data, isLoading } = useQuery('apiKeys', () => apiKeyAPI.getAll())
+  const { data: catalogData } = useQuery('apiKeyCatalog', () => apiKeyAPI.getCatalog(), { staleTime: Infinity })
+
+  const apiKeys = data?.data?.apiKeys || []
+  const catalog = catalogData?.data?.permissions || []
+
+  // Permissions grouped by resource, in catalog order
+  const groups = useMemo(() => catalog.reduce((result, permission) => {
+    const group = result.find((item) => item.resource === permission.resource)
+    if (group) {
+      group.permissions.push(permission)
+    } else {
+      result.push({ resource: permission.resource, permissions: [permission] })
+    }
+    return result
+  }, []), [catalog])
+
+  const createMutation = useMutation(
+    (values) => apiKeyAPI.create({
+      name: values.name,
+      description: values.description || undefined,
+      permissions: values.permissions,
+      expiresAt: values.expiresAt ? new Date(values.expiresAt).toISOString() : undefined
+    }),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries('apiKeys')
+        setCreatedKey(response.data.key)
+        setDraft(null)
+        toast.success('API key created')
+      },
+      onError: (error) => toast.error(error.message || 'Failed to create API key')
+    }
+  )
+
+  const revokeMutation = useMutation(
+    (id) => apiKeyAPI.revoke(id),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('apiKeys')
+        toast.success('API key revoked')
+      },
+      onError: (error) => toast.error(error.message || 'Failed to revoke API key')
+    }
+  )
+
+  const togglePermission = (key) => {
+    const permissions = draft.permissions.includes(key)
+      ? draft.permissions.filter((item) => item !== key)
+      : [...draft.permissions, key]
+    setDraft({ ...draft, permissions })
+  }
+
+  const handleRevoke = (apiKey) => {
+    if (window.confirm(`Revoke "${apiKey.name}"? Integrations using it stop working immediately.`)) {
+      revokeMutation.mutate(apiKey.id)
+    }
+  }
+
+  const copyKey = async () => {
+    await navigator.clipboard.writeText(createdKey)
+    toast.success('Copied to clipboard')
+  }
+
+  if (isLoading) return <LoadingSpinner size="lg" />
+
+  return (
+    <div className="space-y-6">
+      {createdKey && (
+        <div className="rounded-lg border border-green-200 bg-green-50 p-4">
+          <p className="text-sm font-medium text-green-800">
+            Copy the key now, it will not be shown again.
+          </p>
+          <div className="mt-2 flex items-center space-x-2">
+            <code className="flex-1 break-all rounded bg-white px-3 py-2 text-sm text-gray-900">{createdKey}</code>
+            <button onClick={copyKey} className="text-green-700 hover:text-green-900" title="Copy">
+              <ClipboardDocumentIcon className="h-5 w-5" />
+            </button>
+          </div>
+          <p className="mt-2 text-xs text-green-700">
+            Send it in the <code>X-API-Key</code> header.{' '}
+            <button onClick={() => setCreatedKey(null)} className="underline">Done</button>
+          </p>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header flex items-center justify-between">
+          <h3 className="text-lg font-medium text-gray-900">API Keys</h3>
+          {!draft && (
+            <Button size="sm" onClick={() => setDraft(NEW_KEY)}>
+              <PlusIcon className="h-4 w-4 mr-1" />
+              New Key
+            </Button>
+          )}
+        </div>
+        <div className="card-content p-0">
+          {apiKeys.length === 0 ? (
+            <p className="px-6 py-4 text-sm text-gray-500">No API keys yet</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {apiKeys.map((apiKey) => (
+                <li key={apiKey.id} className="flex items-start justify-between px-6 py-4">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {apiKey.name}
+                      <Badge variant={STATUS_VARIANTS[apiKey.status]} size="sm" className="ml-2">{apiKey.status}</Badge>
+                    </p>
+                    <p className="text-xs text-gray-500 font-mono">{apiKey.prefix}_…</p>
+                    {apiKey.description && <p className="text-sm text-gray-600">{apiKey.description}</p>}
+                    <p className="mt-1 text-xs text-gray-500">{apiKey.permissions.join(', ')}</p>
+                    <p className="text-xs text-gray-500">
+                      Created {format(new Date(apiKey.createdAt), 'MMM dd, yyyy')}
+                      {apiKey.createdBy && ` by ${apiKey.createdBy.email}`}
+                      {' · '}
+                      {apiKey.expiresAt ? `Expires ${format(new Date(apiKey.expiresAt), 'MMM dd, yyyy')}` : 'Never expires'}
+                      {' · '}
+                      {apiKey.lastUsedAt
+                        ? `Last used ${formatDistanceToNow(new Date(apiKey.lastUsedAt), { addSuffix: true })}${apiKey.lastUsedIp ? ` from ${apiKey.lastUsedIp}` : ''}`
+                        : 'Never used'}
+                    </p>
+                  </div>
+                  {apiKey.status !== 'REVOKED' && (
+                    <button
+                      onClick={() => handleRevoke(apiKey)}
+                      disabled={revokeMutation.isLoading}
+                      className="text-sm font-medium text-red-600 hover:text-red-800"
+                    >
+                      Revoke
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      {draft && (
+        <div className="card">
+          <div className="card-header">
+            <h3 className="text-lg font-medium text-gray-900">New API Key</h3>
+          </div>
+          <div className="card-content space-y-6">
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Name</label>
+                <input
+                  type="text"
+                  className="input mt-1"
+                  placeholder="Payroll bureau"
+                  value={draft.name}
+                  onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Description</label>
+                <input
+                  type="text"
+                  className="input mt-1"
+                  value={draft.description}
+                  onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Expires</label>
+                <input
+                  type="date"
+                  className="input mt-1"
+                  value={draft.expiresAt}
+                  onChange={(e) => setDraft({ ...draft, expiresAt: e.target.value })}
+                />
+                <p className="mt-1 text-xs text-gray-500">Leave empty for a key that does not expire</p>
+              </div>
+            </div>
+
+            {groups.map((group) => (
+              <div key={group.resource}>
+                <h4 className="text-sm font-medium text-gray-900 mb-2">{group.resource}</h4>
+                <div className="divide-y divide-gray-100 border border-gray-200 rounded-md">
+                  {group.permissions.map((permission) => (
+                    <label key={permission.key} className="flex items-center px-3 py-2">
+                      <input
+                        type="checkbox"
+                        className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                        checked={draft.permissions.includes(permission.key)}
+                        onChange={() => togglePermission(permission.key)}
+                      />
+                      <span className="ml-3">
+                        <span className="block text-sm text-gray-900">{permission.description}</span>
+                        <span className="block text-xs text-gray-500">{permission.key}</span>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            ))}
+
+            <div className="flex justify-end space-x-3">
+              <Button variant="outline" onClick={() => setDraft(null)}>
+                Cancel
+              </Button>
+              <Button
+                onClick={() => createMutation.mutate(draft)}
+                loading={createMutation.isLoading}
+                disabled={draft.name.trim().length < 2 || draft.permissions.length === 0}
+              >
+                Create Key
+              </Button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ApiKeysPanel
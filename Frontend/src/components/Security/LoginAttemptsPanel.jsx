@@ -0,0 +1,99 @@
+import { useState } from 'react'
+import { useQuery } from 'react-query'
+import { format } from 'date-fns'
+import { userAPI } from '../../services/api'
+import LoadingSpinner from '../UI/LoadingSpinner'
+import Badge from '../UI/Badge'
+import Pagination from '../UI/Pagination'
+
+const PAGE_SIZE = 10
+
+const reasonLabels = {
+  INVALID_PASSWORD: 'Wrong password',
+  INVALID_MFA_CODE: 'Wrong verification code',
+  ACCOUNT_LOCKED: 'Account locked',
+  ACCOUNT_INACTIVE: 'Account inactive'
+}
+
+/**
+ * Sign-in history of a user, newest first
+ * @param {string} userId - User whose login attempts are shown
+ */
+const LoginAttemptsPanel = ({ userId }) => {
+  const [page, setPage] = useState(1)
+  const [failedOnly, setFailedOnly] = useState(false)
+
+  const { data, isLoading } = useQuery(
+    ['loginAttempts', userId, page, failedOnly],
+    () => userAPI.getLoginAttempts(userId, {
+      page: String(page),
+      limit: String(PAGE_SIZE),
+      ...(failedOnly && { success: 'false' })
+    }),
+    { enabled: !!userId, keepPreviousData: true }
+  )
+
+  const attempts = data?.data?.attempts || []
+  const pagination = data?.data?.pagination
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h3 className="text-lg font-medium text-gray-900">Login History</h3>
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            className="h-4 w-4 mr-2 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+            checked={failedOnly}
+            onChange={(e) => {
+              setFailedOnly(e.target.checked)
+              setPage(1)
+            }}
+          />
+          Failed only
+        </label>
+      </div>
+      <div className="card-content">
+        {isLoading ? (
+          <LoadingSpinner size="md" />
+        ) : attempts.length === 0 ? (
+          <p className="text-sm text-gray-500">No login attempts recorded</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {attempts.map((attempt) => (
+              <li key={attempt.id} className="flex items-center justify-between py-3">
+                <div>
+                  <p className="text-sm text-gray-900">
+                    {format(new Date(attempt.createdAt), 'MMM dd, yyyy HH:mm:ss')}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {attempt.ipAddress || 'Unknown IP'} · {attempt.userAgent || 'Unknown client'}
+                  </p>
+                </div>
+                {attempt.success ? (
+                  <Badge variant="success" size="sm">Success</Badge>
+                ) : (
+                  <Badge variant="error" size="sm">
+                    {reasonLabels[attempt.reason] || attempt.reason || 'Failed'}
+                  </Badge>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        {pagination && pagination.pages > 1 && (
+          <Pagination
+            currentPage={pagination.page}
+            totalPages={pagination.pages}
+            totalItems={pagination.total}
+            itemsPerPage={pagination.limit}
+            onPageChange={setPage}
+            className="mt-4"
+          />
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default LoginAttemptsPanel
@@ -0,0 +1,100 @@
+import { useState } from 'react'
+import { useQuery } from 'react-query'
+import { authAPI } from '../../services/api'
+import LoadingSpinner from '../UI/LoadingSpinner'
+
+/**
+ * Authenticator app enrollment: shows the QR code and asks for a first code
+ * @param {string} mfaToken - Enrollment token when MFA setup is forced during login
+ * @param {Function} onConfirm - Called with the 6-digit code, resolves to true on success
+ * @param {Function} onCancel - Optional cancel handler
+ */
+const MfaSetup = ({ mfaToken, onConfirm, onCancel }) => {
+  const [code, setCode] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+
+  // Every setup call generates a new secret, so never refetch in the background
+  const { data, isLoading, isError, error } = useQuery(
+    ['mfaSetup', mfaToken],
+    () => authAPI.mfaSetup(mfaToken),
+    { staleTime: Infinity, cacheTime: 0, refetchOnWindowFocus: false, retry: false }
+  )
+
+  const enrollment = data?.data
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+    try {
+      const confirmed = await onConfirm(code)
+      if (!confirmed) setCode('')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-8">
+        <LoadingSpinner />
+      </div>
+    )
+  }
+
+  if (isError) {
+    return (
+      <p className="text-sm text-red-600">
+        {error?.message || 'Unable to start two-factor setup'}
+      </p>
+    )
+  }
+
+  return (
+    <form className="space-y-4" onSubmit={handleSubmit}>
+      <p className="text-sm text-gray-600">
+        Scan this QR code with an authenticator app such as Google Authenticator,
+        Microsoft Authenticator or 1Password, then enter the 6-digit code it shows.
+      </p>
+      <div className="flex justify-center">
+        <img src={enrollment?.qrCode} alt="Authenticator QR code" className="h-48 w-48" />
+      </div>
+      <div>
+        <p className="text-xs text-gray-500">Can't scan it? Enter this key manually:</p>
+        <code className="block mt-1 p-2 bg-gray-100 rounded text-sm break-all">
+          {enrollment?.secret}
+        </code>
+      </div>
+      <div>
+        <label htmlFor="mfa-setup-code" className="block text-sm font-medium text-gray-700">
+          Verification code
+        </label>
+        <input
+          id="mfa-setup-code"
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          maxLength={6}
+          className="input mt-1 tracking-widest"
+          value={code}
+          onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+        />
+      </div>
+      <div className="flex justify-end space-x-3">
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="btn-outline">
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={code.length !== 6 || submitting}
+          className="btn-primary"
+        >
+          {submitting ? 'Verifying...' : 'Verify and enable'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default MfaSetup
@@ -0,0 +1,59 @@
+import { useQuery } from 'react-query'
+import { CheckCircleIcon, XCircleIcon } from '@heroicons/react/24/outline'
+import { authAPI } from '../../services/api'
+
+const describePolicy = (policy) => [
+  `At least ${policy.minLength} characters`,
+  policy.requireUppercase && 'An uppercase letter',
+  policy.requireLowercase && 'A lowercase letter',
+  policy.requireNumber && 'A number',
+  policy.requireSpecial && 'A special character',
+  policy.blockCommon && 'Not a commonly used password',
+  policy.historyCount > 0 && `Different from your last ${policy.historyCount} passwords`
+].filter(Boolean)
+
+/**
+ * Password requirements from the configured policy, plus any violations
+ * returned by the server for the last attempt
+ * @param {Array<{code: string, message: string}>} violations - PASSWORD_POLICY_VIOLATION details
+ */
+const PasswordRequirements = ({ violations = [] }) => {
+  const { data } = useQuery('passwordPolicy', () => authAPI.passwordPolicy(), {
+    staleTime: 5 * 60 * 1000
+  })
+
+  const policy = data?.data?.policy
+
+  return (
+    <div className="space-y-2">
+      {violations.length > 0 && (
+        <ul className="space-y-1">
+          {violations.map((violation) => (
+            <li key={violation.code} className="flex items-center text-sm text-red-600">
+              <XCircleIcon className="h-4 w-4 mr-1 flex-shrink-0" />
+              {violation.message}
+            </li>
+          ))}
+        </ul>
+      )}
+      {policy && violations.length === 0 && (
+        <ul className="space-y-1">
+          {describePolicy(policy).map((rule) => (
+            <li key={rule} className="flex items-center text-xs text-gray-500">
+              <CheckCircleIcon className="h-4 w-4 mr-1 flex-shrink-0" />
+              {rule}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Pull the per-rule violations out of a rejected API error
+ */
+export const getPasswordViolations = (error) =>
+  error?.code === 'PASSWORD_POLICY_VIOLATION' && Array.isArray(error.errors) ? error.errors : []
+
+export default PasswordRequirements
@@ -0,0 +1,55 @@
+import toast from 'react-hot-toast'
+
+/**
+ * One-time display of freshly generated recovery codes
+ * @param {string[]} codes - Plain recovery codes, only available right after generation
+ * @param {Function} onDone - Called once the user has saved the codes
+ */
+const RecoveryCodes = ({ codes = [], onDone }) => {
+  const text = codes.join('\n')
+
+  const copyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(text)
+      toast.success('Recovery codes copied')
+    } catch {
+      toast.error('Unable to copy to clipboard')
+    }
+  }
+
+  const downloadCodes = () => {
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = 'hrms-recovery-codes.txt'
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Save these recovery codes somewhere safe. Each code can be used once to sign in
+        if you lose access to your authenticator app. They will not be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 p-4 bg-gray-100 rounded font-mono text-sm">
+        {codes.map((code) => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+      <div className="flex justify-end space-x-3">
+        <button type="button" onClick={copyCodes} className="btn-outline">
+          Copy
+        </button>
+        <button type="button" onClick={downloadCodes} className="btn-outline">
+          Download
+        </button>
+        <button type="button" onClick={onDone} className="btn-primary">
+          I've saved them
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default RecoveryCodes
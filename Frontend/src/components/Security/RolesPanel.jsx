@@ -0,0 +1,216 @@
+import { useEffect, useMemo, useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from 'react-query'
+import { PlusIcon } from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { roleAPI } from '../../services/api'
+import LoadingSpinner from '../UI/LoadingSpinner'
+import Badge from '../UI/Badge'
+import Button from '../UI/Button'
+
+const SCOPE_LABELS = {
+  OWN: 'Own records',
+  TEAM: 'Team',
+  DEPARTMENT: 'Department',
+  ALL: 'All'
+}
+
+const NEW_ROLE = { id: null, name: '', description: '', isSystem: false, permissions: {} }
+
+/**
+ * Lists built-in and custom roles and edits the permissions each one grants
+ */
+const RolesPanel = () => {
+  const queryClient = useQueryClient()
+  const [selectedId, setSelectedId] = useState(null)
+  const [draft, setDraft] = useState(null)
+
+  const { data: rolesData, isLoading } = useQuery('roles', () => roleAPI.getAll())
+  const { data: catalogData } = useQuery('permissionCatalog', () => roleAPI.getCatalog(), { staleTime: Infinity })
+
+  const roles = rolesData?.data?.roles || []
+  const catalog = catalogData?.data?.permissions || []
+  const scopes = catalogData?.data?.scopes || []
+
+  // Permissions grouped by resource, in catalog order
+  const groups = useMemo(() => catalog.reduce((result, permission) => {
+    const group = result.find((item) => item.resource === permission.resource)
+    if (group) {
+      group.permissions.push(permission)
+    } else {
+      result.push({ resource: permission.resource, permissions: [permission] })
+    }
+    return result
+  }, []), [catalog])
+
+  useEffect(() => {
+    if (!draft && roles.length > 0) {
+      setSelectedId(roles[0].id)
+      setDraft({ ...roles[0] })
+    }
+  }, [roles, draft])
+
+  const selectRole = (role) => {
+    setSelectedId(role.id)
+    setDraft({ ...role })
+  }
+
+  const onSaved = (message, role = null) => {
+    queryClient.invalidateQueries('roles')
+    toast.success(message)
+    if (role) selectRole(role)
+  }
+
+  const saveMutation = useMutation(
+    ({ id, name, description, permissions }) => (id
+      ? roleAPI.update(id, { name, description, permissions })
+      : roleAPI.create({ name, description: description || undefined, permissions })),
+    {
+      onSuccess: (response, variables) => onSaved(variables.id ? 'Role updated' : 'Role created', response.data.role),
+      onError: (error) => toast.error(error.message || 'Failed to save role')
+    }
+  )
+
+  const deleteMutation = useMutation(
+    (id) => roleAPI.delete(id),
+    {
+      onSuccess: () => {
+        setDraft(null)
+        onSaved('Role deleted')
+      },
+      onError: (error) => toast.error(error.message || 'Failed to delete role')
+    }
+  )
+
+  const setScope = (key, scope) => {
+    setDraft((current) => ({
+      ...current,
+      permissions: { ...current.permissions, [key]: scope || null }
+    }))
+  }
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete the role "${draft.name}"? Its users fall back to their built-in role.`)) {
+      deleteMutation.mutate(draft.id)
+    }
+  }
+
+  if (isLoading) return <LoadingSpinner size="lg" />
+
+  return (
+    <div className="flex flex-col lg:flex-row lg:space-x-6">
+      <div className="lg:w-56 lg:flex-shrink-0">
+        <div className="card">
+          <div className="card-header flex items-center justify-between">
+            <h3 className="text-lg font-medium text-gray-900">Roles</h3>
+            <button
+              onClick={() => selectRole(NEW_ROLE)}
+              className="text-primary-600 hover:text-primary-800"
+              title="New role"
+            >
+              <PlusIcon className="h-5 w-5" />
+            </button>
+          </div>
+          <div className="card-content p-0">
+            <nav className="space-y-1">
+              {roles.map((role) => (
+                <button
+                  key={role.id}
+                  onClick={() => selectRole(role)}
+                  className={`w-full flex items-center justify-between px-3 py-2 text-sm font-medium rounded-md ${
+                    selectedId === role.id
+                      ? 'bg-primary-100 text-primary-700'
+                      : 'text-gray-600 hover:bg-gray-50 hover:text-gray-900'
+                  }`}
+                >
+                  <span>{role.name}</span>
+                  <span className="text-xs text-gray-500">{role.userCount}</span>
+                </button>
+              ))}
+            </nav>
+          </div>
+        </div>
+      </div>
+
+      {draft && (
+        <div className="flex-1 mt-6 lg:mt-0">
+          <div className="card">
+            <div className="card-header flex items-center justify-between">
+              <h3 className="text-lg font-medium text-gray-900">
+                {draft.id ? draft.name : 'New Role'}
+              </h3>
+              {draft.isSystem && <Badge variant="default" size="sm">Built-in</Badge>}
+            </div>
+            <div className="card-content space-y-6">
+              <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Name</label>
+                  <input
+                    type="text"
+                    className="input mt-1"
+                    value={draft.name}
+                    disabled={draft.isSystem}
+                    onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Description</label>
+                  <input
+                    type="text"
+                    className="input mt-1"
+                    value={draft.description || ''}
+                    onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+                  />
+                </div>
+              </div>
+
+              {groups.map((group) => (
+                <div key={group.resource}>
+                  <h4 className="text-sm font-medium text-gray-900 mb-2">{group.resource}</h4>
+                  <div className="divide-y divide-gray-100 border border-gray-200 rounded-md">
+                    {group.permissions.map((permission) => (
+                      <div key={permission.key} className="flex items-center justify-between px-3 py-2">
+                        <div>
+                          <p className="text-sm text-gray-900">{permission.description}</p>
+                          <p className="text-xs text-gray-500">{permission.key}</p>
+                        </div>
+                        <select
+                          className="text-sm border-gray-300 rounded-md"
+                          value={draft.permissions[permission.key] || ''}
+                          onChange={(e) => setScope(permission.key, e.target.value)}
+                        >
+                          <option value="">No access</option>
+                          {(permission.scoped ? scopes : ['ALL']).map((scope) => (
+                            <option key={scope} value={scope}>
+                              {permission.scoped ? SCOPE_LABELS[scope] : 'Allowed'}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+
+              <div className="flex justify-end space-x-3">
+                {draft.id && !draft.isSystem && (
+                  <Button variant="outline" onClick={handleDelete} loading={deleteMutation.isLoading}>
+                    Delete
+                  </Button>
+                )}
+                <Button
+                  onClick={() => saveMutation.mutate(draft)}
+                  loading={saveMutation.isLoading}
+                  disabled={!draft.name.trim()}
+                >
+                  Save Role
+                </Button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RolesPanel
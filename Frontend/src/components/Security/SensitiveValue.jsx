@@ -0,0 +1,57 @@
+import { useState } from 'react'
+import { useMutation } from 'react-query'
+import { EyeIcon, EyeSlashIcon } from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { employeeAPI } from '../../services/api'
+
+/**
+ * Shows a sensitive employee field as the server masked it, with a reveal
+ * action for users allowed to see it. Each reveal is audited server-side.
+ * @param {object} employee - Employee carrying the field and `maskedFields`
+ * @param {string} field - Field name, e.g. 'taxId'
+ * @param {function} [formatValue] - Formats the revealed value
+ */
+const SensitiveValue = ({ employee, field, formatValue = (value) => value }) => {
+  const [revealed, setRevealed] = useState(null)
+  const masked = employee.maskedFields?.includes(field)
+
+  const revealMutation = useMutation(
+    () => employeeAPI.reveal(employee.id, [field]),
+    {
+      onSuccess: (response) => setRevealed(response.data[field]),
+      onError: (error) => toast.error(error.message || 'Failed to reveal value')
+    }
+  )
+
+  if (!masked) return <span>{formatValue(employee[field])}</span>
+
+  return (
+    <span className="inline-flex items-center space-x-2">
+      <span className={revealed === null ? 'font-mono tracking-wider' : ''}>
+        {revealed === null ? employee[field] : formatValue(revealed)}
+      </span>
+      {revealed === null ? (
+        <button
+          type="button"
+          onClick={() => revealMutation.mutate()}
+          disabled={revealMutation.isLoading}
+          className="inline-flex items-center text-xs font-medium text-primary-600 hover:text-primary-800"
+        >
+          <EyeIcon className="h-4 w-4 mr-1" />
+          Reveal
+        </button>
+      ) : (
+        <button
+          type="button"
+          onClick={() => setRevealed(null)}
+          className="inline-flex items-center text-xs font-medium text-gray-500 hover:text-gray-700"
+        >
+          <EyeSlashIcon className="h-4 w-4 mr-1" />
+          Hide
+        </button>
+      )}
+    </span>
+  )
+}
+
+export default SensitiveValue
@@ -0,0 +1,107 @@
+import { useQuery, useMutation, useQueryClient } from 'react-query'
+import { ComputerDesktopIcon, DevicePhoneMobileIcon } from '@heroicons/react/24/outline'
+import { formatDistanceToNow } from 'date-fns'
+import toast from 'react-hot-toast'
+import { userAPI } from '../../services/api'
+import LoadingSpinner from '../UI/LoadingSpinner'
+import Badge from '../UI/Badge'
+
+const isMobile = (session) => /Android|iOS/.test(session.deviceName || '')
+
+/**
+ * Lists the signed-in devices of a user and lets them be revoked
+ * @param {string} userId - User whose sessions are shown
+ * @param {string} title - Card title
+ */
+const SessionsPanel = ({ userId, title = 'Active Sessions' }) => {
+  const queryClient = useQueryClient()
+
+  const { data, isLoading } = useQuery(
+    ['sessions', userId],
+    () => userAPI.getSessions(userId),
+    { enabled: !!userId }
+  )
+
+  const onRevoked = (message) => {
+    queryClient.invalidateQueries(['sessions', userId])
+    toast.success(message)
+  }
+
+  const revokeSessionMutation = useMutation(
+    (sessionId) => userAPI.revokeSession(userId, sessionId),
+    {
+      onSuccess: () => onRevoked('Session revoked'),
+      onError: (error) => toast.error(error.message || 'Failed to revoke session')
+    }
+  )
+
+  const revokeAllMutation = useMutation(
+    () => userAPI.revokeAllSessions(userId),
+    {
+      onSuccess: () => onRevoked('All sessions revoked'),
+      onError: (error) => toast.error(error.message || 'Failed to revoke sessions')
+    }
+  )
+
+  const sessions = data?.data?.sessions || []
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h3 className="text-lg font-medium text-gray-900">{title}</h3>
+        {sessions.length > 0 && (
+          <button
+            onClick={() => revokeAllMutation.mutate()}
+            disabled={revokeAllMutation.isLoading}
+            className="text-sm font-medium text-red-600 hover:text-red-800"
+          >
+            Sign out all devices
+          </button>
+        )}
+      </div>
+      <div className="card-content">
+        {isLoading ? (
+          <LoadingSpinner size="md" />
+        ) : sessions.length === 0 ? (
+          <p className="text-sm text-gray-500">No active sessions</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {sessions.map((session) => {
+              const DeviceIcon = isMobile(session) ? DevicePhoneMobileIcon : ComputerDesktopIcon
+              return (
+                <li key={session.id} className="flex items-center justify-between py-3">
+                  <div className="flex items-center space-x-3">
+                    <DeviceIcon className="h-6 w-6 text-gray-400" />
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">
+                        {session.deviceName || 'Unknown device'}
+                        {session.current && (
+                          <Badge variant="success" size="sm" className="ml-2">This device</Badge>
+                        )}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {session.ipAddress || 'Unknown IP'} · Last active{' '}
+                        {formatDistanceToNow(new Date(session.lastUsedAt), { addSuffix: true })}
+                      </p>
+                    </div>
+                  </div>
+                  {!session.current && (
+                    <button
+                      onClick={() => revokeSessionMutation.mutate(session.id)}
+                      disabled={revokeSessionMutation.isLoading}
+                      className="btn-outline text-sm"
+                    >
+                      Revoke
+                    </button>
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default SessionsPanel
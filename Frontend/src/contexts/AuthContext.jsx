@@ -1,6 +1,9 @@
 import { createContext, useContext, useState, useEffect } from 'react'
+import { useQueryClient } from 'react-query'
+import { useNavigate } from 'react-router-dom'
 import toast from 'react-hot-toast'
-import { authAPI } from '../services/api'
+import { authAPI, impersonationStorage, teamScopeStorage } from '../services/api'
+import { getPasswordViolations } from '../components/Security/PasswordRequirements'
 
 const AuthContext = createContext({})
 
@@ -15,6 +18,9 @@ export const useAuth = () => {
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null)
   const [loading, setLoading] = useState(true)
+  const [teamScope, setTeamScope] = useState(teamScopeStorage.get())
+  const queryClient = useQueryClient()
+  const navigate = useNavigate()
 
   useEffect(() => {
     const token = localStorage.getItem('accessToken')
@@ -39,34 +45,160 @@ export const AuthProvider = ({ children }) => {
     }
   }
 
+  const getErrorMessage = (error, fallback) =>
+    error.response?.data?.message || error.message || fallback
+
+  const startSession = ({ user, accessToken, refreshToken } = {}) => {
+    if (!accessToken || !refreshToken || !user) {
+      throw new Error('Invalid login response')
+    }
+
+    localStorage.setItem('accessToken', accessToken)
+    localStorage.setItem('refreshToken', refreshToken)
+    setUser(user)
+  }
+
+  // A completed login step either starts the session or asks for a new password
+  const handleLoginPayload = (payload) => {
+    if (payload?.passwordChangeRequired) {
+      toast('Your password has expired. Please choose a new one.')
+      return {
+        success: false,
+        passwordChangeRequired: true,
+        passwordChangeToken: payload.passwordChangeToken
+      }
+    }
+
+    startSession(payload)
+
+    toast.success('Login successful!')
+    return { success: true }
+  }
+
   const login = async (credentials) => {
     try {
       const response = await authAPI.login(credentials)
       const payload = response.data?.data || response.data
-      const { user, accessToken, refreshToken } = payload || {}
 
-      if (!accessToken || !refreshToken || !user) {
-        throw new Error('Invalid login response')
+      // Password accepted, but a second factor (or its setup) is still needed
+      if (payload?.mfaRequired || payload?.mfaSetupRequired) {
+        return {
+          success: false,
+          mfaRequired: !!payload.mfaRequired,
+          mfaSetupRequired: !!payload.mfaSetupRequired,
+          mfaToken: payload.mfaToken
+        }
       }
 
-      localStorage.setItem('accessToken', accessToken)
-      localStorage.setItem('refreshToken', refreshToken)
-      setUser(user)
+      return handleLoginPayload(payload)
+    } catch (error) {
+      const message = getErrorMessage(error, 'Login failed')
+      toast.error(message)
+      return { success: false, error: message, code: error.code, details: error.errors }
+    }
+  }
 
-      toast.success('Login successful!')
-      return { success: true }
+  const verifyMfa = async ({ mfaToken, code, recoveryCode }) => {
+    try {
+      const response = await authAPI.verifyMfa({ mfaToken, code, recoveryCode })
+      const payload = response.data?.data || response.data
+
+      if (payload.mfaMethod === 'recovery_code') {
+        toast(`Recovery code used. ${payload.remainingRecoveryCodes} remaining.`)
+      }
+      return handleLoginPayload(payload)
     } catch (error) {
-      const message = error.response?.data?.message || error.message || 'Login failed'
+      const message = getErrorMessage(error, 'Verification failed')
+      toast.error(message)
+      return { success: false, error: message, code: error.code }
+    }
+  }
+
+  // Mandatory enrollment during login. The session is returned rather than
+  // started so the recovery codes can be shown first; call startSession after.
+  const completeMfaEnrollment = async ({ mfaToken, code }) => {
+    try {
+      const response = await authAPI.mfaEnable({ mfaToken, code })
+      const { recoveryCodes, ...session } = response.data?.data || response.data
+      return { success: true, recoveryCodes, session }
+    } catch (error) {
+      const message = getErrorMessage(error, 'Verification failed')
       toast.error(message)
       return { success: false, error: message }
     }
   }
 
-  const logout = () => {
-    localStorage.removeItem('accessToken')
-    localStorage.removeItem('refreshToken')
-    setUser(null)
-    toast.success('Logged out successfully')
+  const changeExpiredPassword = async ({ passwordChangeToken, newPassword }) => {
+    try {
+      const response = await authAPI.changeExpiredPassword({ passwordChangeToken, newPassword })
+      startSession(response.data?.data || response.data)
+      toast.success('Password changed successfully')
+      return { success: true }
+    } catch (error) {
+      const message = getErrorMessage(error, 'Failed to change password')
+      toast.error(message)
+      return { success: false, error: message, code: error.code, violations: getPasswordViolations(error) }
+    }
+  }
+
+  // View the app as another user; the admin's session is restored on exit
+  const impersonate = async (userId) => {
+    try {
+      const response = await authAPI.impersonate(userId)
+      const { user: impersonated, accessToken } = response.data?.data || response.data
+      impersonationStorage.start(accessToken)
+      // Cached queries belong to the admin and must not leak into the other view
+      queryClient.clear()
+      setUser(impersonated)
+      navigate('/dashboard')
+      toast.success(response.message || 'Impersonation started')
+      return { success: true }
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to impersonate user'))
+      return { success: false }
+    }
+  }
+
+  const exitImpersonation = async () => {
+    try {
+      await authAPI.exitImpersonation()
+    } catch {
+      // The token may already have expired; the admin session is restored anyway
+    }
+    impersonationStorage.end()
+    queryClient.clear()
+    setLoading(true)
+    await fetchUser()
+    navigate('/dashboard')
+  }
+
+  // Switch between direct reports and the whole reporting chain as the team;
+  // the user is reloaded for the team members record checks rely on
+  const changeTeamScope = async (scope) => {
+    teamScopeStorage.set(scope)
+    setTeamScope(scope)
+    queryClient.invalidateQueries()
+    await fetchUser()
+  }
+
+  const logout = async ({ allDevices = false } = {}) => {
+    // Signing out during impersonation ends the admin's own session
+    impersonationStorage.end()
+    const refreshToken = localStorage.getItem('refreshToken')
+    try {
+      if (allDevices) {
+        await authAPI.logoutAll()
+      } else if (refreshToken) {
+        await authAPI.logout(refreshToken)
+      }
+    } catch {
+      // The session is cleared locally even if the server could not be reached
+    } finally {
+      localStorage.removeItem('accessToken')
+      localStorage.removeItem('refreshToken')
+      setUser(null)
+      toast.success('Logged out successfully')
+    }
   }
 
   const hasPermission = (requiredRoles) => {
@@ -81,7 +213,15 @@ export const AuthProvider = ({ children }) => {
         user,
         loading,
         login,
+        verifyMfa,
+        completeMfaEnrollment,
+        changeExpiredPassword,
+        startSession,
         logout,
+        impersonate,
+        exitImpersonation,
+        teamScope,
+        changeTeamScope,
         hasPermission,
         refetchUser: fetchUser
       }}
@@ -1,11 +1,77 @@
 import { useAuth } from '../contexts/AuthContext'
 
+/**
+ * Resolve the employee a record belongs to, mirroring the backend:
+ * records carry an `employee` relation or an `employeeId`
+ * @param {object} record - Record to inspect
+ * @returns {object|null} - Owning employee ({ id, departmentId? })
+ */
+const getOwner = (record) => {
+  if (!record) return null
+  if (record.employee?.id) return record.employee
+  return record.employeeId ? { id: record.employeeId } : null
+}
+
 /**
  * Custom hook for checking user permissions
  * @returns {object} - Permission checking functions
  */
 export const usePermissions = () => {
   const { user } = useAuth()
+  const permissions = user?.permissions || {}
+
+  /**
+   * Get the scope a permission is granted at
+   * @param {string} permission - Permission key, e.g. 'employees:read'
+   * @returns {string|null} - OWN, TEAM, DEPARTMENT, ALL or null when not granted
+   */
+  const scopeOf = (permission) => {
+    return permissions[permission] || null
+  }
+
+  /**
+   * Check if user holds a permission, optionally for a specific record.
+   * Without a record any scope counts; the server remains the authority.
+   * @param {string} permission - Permission key, e.g. 'payroll:read'
+   * @param {object} [record] - Record with `employee` or `employeeId`
+   * @returns {boolean} - Whether user has permission
+   */
+  const can = (permission, record = null) => {
+    const scope = scopeOf(permission)
+    if (!scope) return false
+    if (scope === 'ALL' || !record) return true
+
+    const self = user?.employee
+    const owner = getOwner(record)
+    if (!self || !owner) return false
+    if (owner.id === self.id) return true
+
+    if (scope === 'TEAM') return Boolean(user.teamIds?.includes(owner.id))
+    if (scope === 'DEPARTMENT') return Boolean(self.departmentId) && owner.departmentId === self.departmentId
+    return false
+  }
+
+  /**
+   * Check if user holds any of the given permissions
+   * @param {string[]} keys - Permission keys
+   * @returns {boolean} - Whether user has at least one
+   */
+  const canAny = (keys) => {
+    return keys.some((key) => can(key))
+  }
+
+  /**
+   * Check if user holds any of the given permissions at one of the given scopes
+   * @param {string[]} keys - Permission keys
+   * @param {string[]} [scopes] - Accepted scopes, any scope when omitted
+   * @returns {boolean} - Whether user has access
+   */
+  const hasAccess = (keys, scopes = null) => {
+    return keys.some((key) => {
+      const scope = scopeOf(key)
+      return Boolean(scope) && (!scopes || scopes.includes(scope))
+    })
+  }
 
   /**
    * Check if user has any of the required roles
@@ -54,7 +120,7 @@ export const usePermissions = () => {
    * @returns {boolean} - Whether user can manage employees
    */
   const canManageEmployees = () => {
-    return hasRole(['ADMIN', 'HR'])
+    return can('employees:create')
   }
 
   /**
@@ -62,7 +128,7 @@ export const usePermissions = () => {
    * @returns {boolean} - Whether user can view reports
    */
   const canViewReports = () => {
-    return hasRole(['ADMIN', 'HR', 'MANAGER'])
+    return canAny(['reports:workforce', 'reports:payroll', 'reports:audit'])
   }
 
   /**
@@ -70,15 +136,16 @@ export const usePermissions = () => {
    * @returns {boolean} - Whether user can manage payroll
    */
   const canManagePayroll = () => {
-    return hasRole(['ADMIN', 'HR'])
+    return can('payroll:manage')
   }
 
   /**
    * Check if user can approve leave requests
+   * @param {object} [request] - Leave request to check
    * @returns {boolean} - Whether user can approve leave requests
    */
-  const canApproveLeave = () => {
-    return hasRole(['ADMIN', 'HR', 'MANAGER'])
+  const canApproveLeave = (request = null) => {
+    return can('leave:approve', request)
   }
 
   /**
@@ -86,10 +153,15 @@ export const usePermissions = () => {
    * @returns {boolean} - Whether user can access settings
    */
   const canAccessSettings = () => {
-    return hasRole(['ADMIN'])
+    return canAny(['settings:manage', 'roles:manage', 'customFields:manage'])
   }
 
   return {
+    permissions,
+    scopeOf,
+    can,
+    canAny,
+    hasAccess,
     hasRole,
     isAdmin,
     isHR,
@@ -103,4 +175,4 @@ export const usePermissions = () => {
   }
 }
 
-export default usePermissions
\ No newline at end of file
+export default usePermissions
@@ -0,0 +1,150 @@
+import { useState } from 'react'
+import { useQuery } from 'react-query'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import toast from 'react-hot-toast'
+import { authAPI } from '../../services/api'
+import LoadingSpinner from '../../components/UI/LoadingSpinner'
+import PasswordRequirements, { getPasswordViolations } from '../../components/Security/PasswordRequirements'
+
+const inputClassName = 'w-full px-4 py-3 rounded-lg border border-gray-300 focus:ring-indigo-500 focus:border-indigo-500 focus:ring-2 focus:outline-none transition duration-200'
+
+/**
+ * Landing page of an invitation email: the invited employee chooses a
+ * password, which creates their account, and then signs in
+ */
+const AcceptInvite = () => {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const navigate = useNavigate()
+  const [form, setForm] = useState({ password: '', confirm: '' })
+  const [violations, setViolations] = useState([])
+  const [saving, setSaving] = useState(false)
+
+  const { data, isLoading, error } = useQuery(
+    ['invitation', token],
+    () => authAPI.getInvitation(token),
+    { enabled: !!token, retry: false }
+  )
+
+  const invitation = data?.data?.invitation
+
+  const onSubmit = async (e) => {
+    e.preventDefault()
+    if (form.password !== form.confirm) {
+      setViolations([{ code: 'PASSWORD_MISMATCH', message: 'Passwords do not match' }])
+      return
+    }
+
+    setSaving(true)
+    try {
+      await authAPI.acceptInvitation({ token, password: form.password })
+      toast.success('Account created, you can now sign in')
+      navigate('/login', { replace: true })
+    } catch (err) {
+      const passwordViolations = getPasswordViolations(err)
+      setViolations(passwordViolations)
+      if (passwordViolations.length === 0) {
+        toast.error(err.message || 'Failed to create account')
+      }
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const renderContent = () => {
+    if (isLoading) {
+      return <LoadingSpinner size="lg" />
+    }
+
+    if (!token || error) {
+      return (
+        <div className="space-y-6">
+          <div className="rounded-lg bg-red-50 p-4 text-sm text-red-700">
+            {error?.message || 'This invitation link is incomplete.'}
+          </div>
+          <p className="text-sm text-gray-600">
+            Ask HR to send you a new invitation.
+          </p>
+          <Link to="/login" className="block text-sm font-medium text-indigo-600 hover:text-indigo-500">
+            Back to sign in
+          </Link>
+        </div>
+      )
+    }
+
+    return (
+      <form className="space-y-6" onSubmit={onSubmit}>
+        <p className="text-sm text-gray-600">
+          Hi {invitation.firstName}, choose a password for <span className="font-medium">{invitation.email}</span>.
+        </p>
+        <div className="space-y-4">
+          <div>
+            <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
+              Password
+            </label>
+            <input
+              id="password"
+              type="password"
+              autoComplete="new-password"
+              className={inputClassName}
+              value={form.password}
+              onChange={(e) => setForm({ ...form, password: e.target.value })}
+            />
+          </div>
+          <div>
+            <label htmlFor="confirm-password" className="block text-sm font-medium text-gray-700 mb-1">
+              Confirm password
+            </label>
+            <input
+              id="confirm-password"
+              type="password"
+              autoComplete="new-password"
+              className={inputClassName}
+              value={form.confirm}
+              onChange={(e) => setForm({ ...form, confirm: e.target.value })}
+            />
+          </div>
+          <PasswordRequirements violations={violations} />
+        </div>
+
+        <button
+          type="submit"
+          disabled={saving || !form.password || !form.confirm}
+          className="w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-colors duration-200 disabled:opacity-70 disabled:cursor-not-allowed"
+        >
+          {saving ? (
+            <>
+              <LoadingSpinner size="sm" className="mr-2" />
+              Creating account...
+            </>
+          ) : (
+            'Create account'
+          )}
+        </button>
+      </form>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <div className="w-full max-w-md">
+        <div className="bg-white rounded-2xl shadow-xl overflow-hidden">
+          <div className="bg-indigo-600 py-6 px-8">
+            <h2 className="text-center text-3xl font-bold text-white">
+              Welcome
+            </h2>
+            <p className="mt-2 text-center text-indigo-100">
+              Set up your HRMS account
+            </p>
+          </div>
+
+          <div className="p-8">
+            {renderContent()}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default AcceptInvite
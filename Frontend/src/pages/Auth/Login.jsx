@@ -1,20 +1,56 @@
 import { useState } from 'react'
+import { useQuery } from 'react-query'
 import { useForm } from 'react-hook-form'
 import { EyeIcon, EyeSlashIcon } from '@heroicons/react/24/outline'
 import { useAuth } from '../../contexts/AuthContext'
+import { authAPI } from '../../services/api'
 import { useNavigate, useLocation } from 'react-router-dom'
 import LoadingSpinner from '../../components/UI/LoadingSpinner'
+import MfaSetup from '../../components/Security/MfaSetup'
+import RecoveryCodes from '../../components/Security/RecoveryCodes'
+import PasswordRequirements from '../../components/Security/PasswordRequirements'
 
 const Login = () => {
   const [showPassword, setShowPassword] = useState(false)
   const [loading, setLoading] = useState(false)
-  const { login } = useAuth()
-  const navigate = useNavigate()
+  const [loginError, setLoginError] = useState(null)
   const location = useLocation()
+  // Second step after the password: { mfaToken, setup } when a code or enrollment is needed.
+  // SSO logins arrive here with it already set by the callback page.
+  const [mfaStep, setMfaStep] = useState(location.state?.mfaStep || null)
+  const [mfaCode, setMfaCode] = useState('')
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false)
+  const [enrolled, setEnrolled] = useState(null)
+  // Expired password: token allowing a new password to be set before the login completes
+  const [passwordChangeToken, setPasswordChangeToken] = useState(null)
+  const [newPassword, setNewPassword] = useState({ password: '', confirm: '' })
+  const [passwordViolations, setPasswordViolations] = useState([])
+  const { login, verifyMfa, completeMfaEnrollment, changeExpiredPassword, startSession } = useAuth()
+  const navigate = useNavigate()
 
   // Get redirect path (default: /dashboard)
   const from = location.state?.from?.pathname || '/dashboard'
 
+  const { data: ssoConfig } = useQuery('sso-config', authAPI.ssoConfig, {
+    retry: false,
+    staleTime: 5 * 60 * 1000
+  })
+  const [ssoLoading, setSsoLoading] = useState(false)
+
+  // Leaves the app for the identity provider, which returns to /sso/callback
+  const startSso = async () => {
+    setSsoLoading(true)
+    setLoginError(null)
+    try {
+      const response = await authAPI.ssoStart()
+      sessionStorage.setItem('ssoRedirect', from)
+      window.location.assign(response.data.authorizationUrl)
+    } catch (error) {
+      setLoginError(error.message || 'Single sign-on is unavailable')
+      setSsoLoading(false)
+    }
+  }
+
   const {
     register,
     handleSubmit,
@@ -23,16 +59,250 @@ const Login = () => {
 
   const onSubmit = async (data) => {
     setLoading(true)
+    setLoginError(null)
     try {
       const result = await login(data)
-      if (result.success) {
+      if (result.code === 'ACCOUNT_LOCKED') {
+        const lockedUntil = result.details?.lockedUntil
+        setLoginError(
+          lockedUntil
+            ? `Too many failed attempts. Try again after ${new Date(lockedUntil).toLocaleTimeString()}.`
+            : result.error
+        )
+      } else if (result.success) {
         navigate(from, { replace: true }) // Redirect after successful login
+      } else if (result.mfaToken) {
+        setMfaStep({ mfaToken: result.mfaToken, setup: result.mfaSetupRequired })
+      } else if (result.passwordChangeRequired) {
+        setPasswordChangeToken(result.passwordChangeToken)
       }
     } finally {
       setLoading(false)
     }
   }
 
+  const resetMfa = () => {
+    setMfaStep(null)
+    setMfaCode('')
+    setUseRecoveryCode(false)
+    setEnrolled(null)
+  }
+
+  const resetPasswordChange = () => {
+    setPasswordChangeToken(null)
+    setNewPassword({ password: '', confirm: '' })
+    setPasswordViolations([])
+  }
+
+  const requirePasswordChange = (token) => {
+    resetMfa()
+    setPasswordChangeToken(token)
+  }
+
+  const onVerifyMfa = async (e) => {
+    e.preventDefault()
+    setLoading(true)
+    try {
+      const result = await verifyMfa({
+        mfaToken: mfaStep.mfaToken,
+        ...(useRecoveryCode ? { recoveryCode: mfaCode } : { code: mfaCode })
+      })
+      if (result.success) {
+        navigate(from, { replace: true })
+      } else if (result.passwordChangeRequired) {
+        requirePasswordChange(result.passwordChangeToken)
+      } else if (result.code === 'MFA_TOKEN_EXPIRED') {
+        resetMfa()
+      } else {
+        setMfaCode('')
+      }
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const onConfirmEnrollment = async (code) => {
+    const result = await completeMfaEnrollment({ mfaToken: mfaStep.mfaToken, code })
+    if (result.success) {
+      setEnrolled(result)
+    }
+    return result.success
+  }
+
+  const finishEnrollment = () => {
+    if (enrolled.session.passwordChangeRequired) {
+      requirePasswordChange(enrolled.session.passwordChangeToken)
+      return
+    }
+    startSession(enrolled.session)
+    navigate(from, { replace: true })
+  }
+
+  const onChangeExpiredPassword = async (e) => {
+    e.preventDefault()
+    if (newPassword.password !== newPassword.confirm) {
+      setPasswordViolations([{ code: 'PASSWORD_MISMATCH', message: 'Passwords do not match' }])
+      return
+    }
+
+    setLoading(true)
+    try {
+      const result = await changeExpiredPassword({
+        passwordChangeToken,
+        newPassword: newPassword.password
+      })
+      if (result.success) {
+        navigate(from, { replace: true })
+      } else if (result.code === 'PASSWORD_CHANGE_TOKEN_EXPIRED') {
+        resetPasswordChange()
+      } else {
+        setPasswordViolations(result.violations)
+      }
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const renderPasswordChange = () => (
+    <form className="space-y-6" onSubmit={onChangeExpiredPassword}>
+      <p className="text-sm text-gray-600">
+        Your password has expired. Choose a new password to continue.
+      </p>
+      <div className="space-y-4">
+        <div>
+          <label htmlFor="new-password" className="block text-sm font-medium text-gray-700 mb-1">
+            New password
+          </label>
+          <input
+            id="new-password"
+            type="password"
+            autoComplete="new-password"
+            className="w-full px-4 py-3 rounded-lg border border-gray-300 focus:ring-indigo-500 focus:border-indigo-500 focus:ring-2 focus:outline-none transition duration-200"
+            value={newPassword.password}
+            onChange={(e) => setNewPassword({ ...newPassword, password: e.target.value })}
+          />
+        </div>
+        <div>
+          <label htmlFor="confirm-password" className="block text-sm font-medium text-gray-700 mb-1">
+            Confirm new password
+          </label>
+          <input
+            id="confirm-password"
+            type="password"
+            autoComplete="new-password"
+            className="w-full px-4 py-3 rounded-lg border border-gray-300 focus:ring-indigo-500 focus:border-indigo-500 focus:ring-2 focus:outline-none transition duration-200"
+            value={newPassword.confirm}
+            onChange={(e) => setNewPassword({ ...newPassword, confirm: e.target.value })}
+          />
+        </div>
+        <PasswordRequirements violations={passwordViolations} />
+      </div>
+
+      <button
+        type="submit"
+        disabled={loading || !newPassword.password || !newPassword.confirm}
+        className="w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-colors duration-200 disabled:opacity-70 disabled:cursor-not-allowed"
+      >
+        {loading ? (
+          <>
+            <LoadingSpinner size="sm" className="mr-2" />
+            Saving...
+          </>
+        ) : (
+          'Change password and sign in'
+        )}
+      </button>
+
+      <div className="text-sm text-right">
+        <button
+          type="button"
+          className="font-medium text-gray-500 hover:text-gray-700 transition-colors"
+          onClick={resetPasswordChange}
+        >
+          Back to sign in
+        </button>
+      </div>
+    </form>
+  )
+
+  const renderMfaStep = () => {
+    if (enrolled) {
+      return <RecoveryCodes codes={enrolled.recoveryCodes} onDone={finishEnrollment} />
+    }
+
+    if (mfaStep.setup) {
+      return (
+        <div className="space-y-4">
+          <p className="text-sm font-medium text-gray-900">
+            Your organization requires two-factor authentication for your account.
+          </p>
+          <MfaSetup mfaToken={mfaStep.mfaToken} onConfirm={onConfirmEnrollment} onCancel={resetMfa} />
+        </div>
+      )
+    }
+
+    return (
+      <form className="space-y-6" onSubmit={onVerifyMfa}>
+        <div>
+          <label htmlFor="mfa-code" className="block text-sm font-medium text-gray-700 mb-1">
+            {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+          </label>
+          <input
+            id="mfa-code"
+            type="text"
+            autoFocus
+            autoComplete="one-time-code"
+            inputMode={useRecoveryCode ? 'text' : 'numeric'}
+            placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+            className="w-full px-4 py-3 rounded-lg border border-gray-300 focus:ring-indigo-500 focus:border-indigo-500 focus:ring-2 focus:outline-none transition duration-200 tracking-widest"
+            value={mfaCode}
+            onChange={(e) => setMfaCode(useRecoveryCode ? e.target.value : e.target.value.replace(/\D/g, '').slice(0, 6))}
+          />
+          <p className="mt-2 text-sm text-gray-500">
+            {useRecoveryCode
+              ? 'Enter one of the recovery codes you saved when enabling two-factor authentication.'
+              : 'Enter the 6-digit code from your authenticator app.'}
+          </p>
+        </div>
+
+        <button
+          type="submit"
+          disabled={loading || !mfaCode}
+          className="w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-colors duration-200 disabled:opacity-70 disabled:cursor-not-allowed"
+        >
+          {loading ? (
+            <>
+              <LoadingSpinner size="sm" className="mr-2" />
+              Verifying...
+            </>
+          ) : (
+            'Verify'
+          )}
+        </button>
+
+        <div className="flex items-center justify-between text-sm">
+          <button
+            type="button"
+            className="font-medium text-indigo-600 hover:text-indigo-500 transition-colors"
+            onClick={() => {
+              setUseRecoveryCode(!useRecoveryCode)
+              setMfaCode('')
+            }}
+          >
+            {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+          </button>
+          <button
+            type="button"
+            className="font-medium text-gray-500 hover:text-gray-700 transition-colors"
+            onClick={resetMfa}
+          >
+            Back to sign in
+          </button>
+        </div>
+      </form>
+    )
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
       <div className="w-full max-w-md">
@@ -48,152 +318,179 @@ const Login = () => {
           </div>
 
           <div className="p-8">
-            <form className="space-y-6" onSubmit={handleSubmit(onSubmit)}>
-              <div className="space-y-5">
-                {/* Email Field */}
-                <div>
-                  <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
-                    Email address
-                  </label>
-                  <div className="relative">
-                    <input
-                      id="email"
-                      type="email"
-                      autoComplete="email"
-                      placeholder="you@example.com"
-                      className={`w-full px-4 py-3 rounded-lg border ${errors.email ? 'border-red-300 focus:ring-red-500 focus:border-red-500' : 'border-gray-300 focus:ring-indigo-500 focus:border-indigo-500'} focus:ring-2 focus:outline-none transition duration-200`}
-                      {...register('email', {
-                        required: 'Email is required',
-                        pattern: {
-                          value: /^\S+@\S+$/i,
-                          message: 'Invalid email address',
-                        },
-                      })}
-                    />
+            {passwordChangeToken ? renderPasswordChange() : mfaStep ? renderMfaStep() : (
+              <>
+                {loginError && (
+                  <div className="mb-6 rounded-lg bg-red-50 p-4 text-sm text-red-700">
+                    {loginError}
                   </div>
-                  {errors.email && (
-                    <p className="mt-2 text-sm text-red-600">{errors.email.message}</p>
-                  )}
-                </div>
+                )}
+                <form className="space-y-6" onSubmit={handleSubmit(onSubmit)}>
+                  <div className="space-y-5">
+                    {/* Email Field */}
+                    <div>
+                      <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+                        Email address
+                      </label>
+                      <div className="relative">
+                        <input
+                          id="email"
+                          type="email"
+                          autoComplete="email"
+                          placeholder="you@example.com"
+                          className={`w-full px-4 py-3 rounded-lg border ${errors.email ? 'border-red-300 focus:ring-red-500 focus:border-red-500' : 'border-gray-300 focus:ring-indigo-500 focus:border-indigo-500'} focus:ring-2 focus:outline-none transition duration-200`}
+                          {...register('email', {
+                            required: 'Email is required',
+                            pattern: {
+                              value: /^\S+@\S+$/i,
+                              message: 'Invalid email address',
+                            },
+                          })}
+                        />
+                      </div>
+                      {errors.email && (
+                        <p className="mt-2 text-sm text-red-600">{errors.email.message}</p>
+                      )}
+                    </div>
 
-                {/* Password Field */}
-                <div>
-                  <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
-                    Password
-                  </label>
-                  <div className="relative">
-                    <input
-                      id="password"
-                      type={showPassword ? 'text' : 'password'}
-                      autoComplete="current-password"
-                      placeholder="••••••••"
-                      className={`w-full px-4 py-3 rounded-lg border ${errors.password ? 'border-red-300 focus:ring-red-500 focus:border-red-500' : 'border-gray-300 focus:ring-indigo-500 focus:border-indigo-500'} focus:ring-2 focus:outline-none transition duration-200 pr-12`}
-                      {...register('password', {
-                        required: 'Password is required',
-                        minLength: {
-                          value: 6,
-                          message: 'Password must be at least 6 characters',
-                        },
-                      })}
-                    />
+                    {/* Password Field */}
+                    <div>
+                      <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
+                        Password
+                      </label>
+                      <div className="relative">
+                        <input
+                          id="password"
+                          type={showPassword ? 'text' : 'password'}
+                          autoComplete="current-password"
+                          placeholder="••••••••"
+                          className={`w-full px-4 py-3 rounded-lg border ${errors.password ? 'border-red-300 focus:ring-red-500 focus:border-red-500' : 'border-gray-300 focus:ring-indigo-500 focus:border-indigo-500'} focus:ring-2 focus:outline-none transition duration-200 pr-12`}
+                          {...register('password', {
+                            required: 'Password is required',
+                            minLength: {
+                              value: 6,
+                              message: 'Password must be at least 6 characters',
+                            },
+                          })}
+                        />
+                        <button
+                          type="button"
+                          className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                          onClick={() => setShowPassword(!showPassword)}
+                        >
+                          {showPassword ? (
+                            <EyeSlashIcon className="h-5 w-5 text-gray-400 hover:text-gray-500 transition-colors" />
+                          ) : (
+                            <EyeIcon className="h-5 w-5 text-gray-400 hover:text-gray-500 transition-colors" />
+                          )}
+                        </button>
+                      </div>
+                      {errors.password && (
+                        <p className="mt-2 text-sm text-red-600">{errors.password.message}</p>
+                      )}
+                    </div>
+                  </div>
+
+                  {/* Remember me & Forgot password */}
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center">
+                      <input
+                        id="remember-me"
+                        name="remember-me"
+                        type="checkbox"
+                        className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+                      />
+                      <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-700">
+                        Remember me
+                      </label>
+                    </div>
+
+                    <div className="text-sm">
+                      <a href="#" className="font-medium text-indigo-600 hover:text-indigo-500 transition-colors">
+                        Forgot password?
+                      </a>
+                    </div>
+                  </div>
+
+                  {/* Submit Button */}
+                  <div>
                     <button
-                      type="button"
-                      className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                      onClick={() => setShowPassword(!showPassword)}
+                      type="submit"
+                      disabled={loading}
+                      className="w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-colors duration-200 disabled:opacity-70 disabled:cursor-not-allowed"
                     >
-                      {showPassword ? (
-                        <EyeSlashIcon className="h-5 w-5 text-gray-400 hover:text-gray-500 transition-colors" />
+                      {loading ? (
+                        <>
+                          <LoadingSpinner size="sm" className="mr-2" />
+                          Signing in...
+                        </>
                       ) : (
-                        <EyeIcon className="h-5 w-5 text-gray-400 hover:text-gray-500 transition-colors" />
+                        'Sign in'
                       )}
                     </button>
                   </div>
-                  {errors.password && (
-                    <p className="mt-2 text-sm text-red-600">{errors.password.message}</p>
-                  )}
-                </div>
-              </div>
-
-              {/* Remember me & Forgot password */}
-              <div className="flex items-center justify-between">
-                <div className="flex items-center">
-                  <input
-                    id="remember-me"
-                    name="remember-me"
-                    type="checkbox"
-                    className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
-                  />
-                  <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-700">
-                    Remember me
-                  </label>
-                </div>
+                </form>
 
-                <div className="text-sm">
-                  <a href="#" className="font-medium text-indigo-600 hover:text-indigo-500 transition-colors">
-                    Forgot password?
-                  </a>
-                </div>
-              </div>
-
-              {/* Submit Button */}
-              <div>
-                <button
-                  type="submit"
-                  disabled={loading}
-                  className="w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-colors duration-200 disabled:opacity-70 disabled:cursor-not-allowed"
-                >
-                  {loading ? (
-                    <>
-                      <LoadingSpinner size="sm" className="mr-2" />
-                      Signing in...
-                    </>
-                  ) : (
-                    'Sign in'
-                  )}
-                </button>
-              </div>
-            </form>
-
-            {/* Divider */}
-            <div className="mt-6">
-              <div className="relative">
-                <div className="absolute inset-0 flex items-center">
-                  <div className="w-full border-t border-gray-300" />
+                {/* Divider */}
+                <div className="mt-6">
+                  <div className="relative">
+                    <div className="absolute inset-0 flex items-center">
+                      <div className="w-full border-t border-gray-300" />
+                    </div>
+                    <div className="relative flex justify-center text-sm">
+                      <span className="px-2 bg-white text-gray-500">
+                        Or continue with
+                      </span>
+                    </div>
+                  </div>
                 </div>
-                <div className="relative flex justify-center text-sm">
-                  <span className="px-2 bg-white text-gray-500">
-                    Or continue with
-                  </span>
+
+                {ssoConfig?.data?.enabled && (
+                  <button
+                    type="button"
+                    onClick={startSso}
+                    disabled={ssoLoading}
+                    className="mt-6 w-full flex justify-center items-center py-3 px-4 border border-indigo-600 rounded-lg shadow-sm text-sm font-medium text-indigo-600 bg-white hover:bg-indigo-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-colors duration-200 disabled:opacity-70 disabled:cursor-not-allowed"
+                  >
+                    {ssoLoading ? (
+                      <>
+                        <LoadingSpinner size="sm" className="mr-2" />
+                        Redirecting...
+                      </>
+                    ) : (
+                      ssoConfig.data.buttonLabel || 'Sign in with SSO'
+                    )}
+                  </button>
+                )}
+
+                {/* Social login options */}
+                <div className="mt-6 grid grid-cols-2 gap-3">
+                  <div>
+                    <a
+                      href="#"
+                      className="w-full inline-flex justify-center py-2 px-4 border border-gray-300 rounded-lg shadow-sm bg-white text-sm font-medium text-gray-500 hover:bg-gray-50 transition-colors"
+                    >
+                      <span className="sr-only">Sign in with Google</span>
+                      <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20" aria-hidden="true">
+                        <path d="M10 0C4.477 0 0 4.477 0 10c0 4.42 2.865 8.166 6.839 9.489.5.092.682-.217.682-.482 0-.237-.008-.866-.013-1.7-2.782.603-3.369-1.34-3.369-1.34-.454-1.156-1.11-1.462-1.11-1.462-.908-.62.069-.608.069-.608 1.003.07 1.531 1.03 1.531 1.03.892 1.529 2.341 1.087 2.91.832.092-.647.35-1.088.636-1.338-2.22-.253-4.555-1.11-4.555-4.943 0-1.091.39-1.984 1.029-2.683-.103-.253-.446-1.27.098-2.647 0 0 .84-.269 2.75 1.025A9.564 9.564 0 0110 4.844c.85.004 1.705.114 2.504.336 1.909-1.294 2.747-1.025 2.747-1.025.546 1.377.203 2.394.1 2.647.64.699 1.028 1.592 1.028 2.683 0 3.842-2.339 4.687-4.566 4.933.359.309.678.919.678 1.852 0 1.336-.012 2.415-.012 2.743 0 .267.18.578.688.48C17.14 18.163 20 14.418 20 10c0-5.523-4.477-10-10-10z" />
+                      </svg>
+                    </a>
+                  </div>
+
+                  <div>
+                    <a
+                      href="#"
+                      className="w-full inline-flex justify-center py-2 px-4 border border-gray-300 rounded-lg shadow-sm bg-white text-sm font-medium text-gray-500 hover:bg-gray-50 transition-colors"
+                    >
+                      <span className="sr-only">Sign in with Microsoft</span>
+                      <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 21 21" aria-hidden="true">
+                        <path d="M10.5 10.5h-10v10h10v-10zm10 0h-10v10h10v-10zm-10-10h-10v10h10v-10zm10 0h-10v10h10v-10z" />
+                      </svg>
+                    </a>
+                  </div>
                 </div>
-              </div>
-            </div>
-
-            {/* Social login options */}
-            <div className="mt-6 grid grid-cols-2 gap-3">
-              <div>
-                <a
-                  href="#"
-                  className="w-full inline-flex justify-center py-2 px-4 border border-gray-300 rounded-lg shadow-sm bg-white text-sm font-medium text-gray-500 hover:bg-gray-50 transition-colors"
-                >
-                  <span className="sr-only">Sign in with Google</span>
-                  <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20" aria-hidden="true">
-                    <path d="M10 0C4.477 0 0 4.477 0 10c0 4.42 2.865 8.166 6.839 9.489.5.092.682-.217.682-.482 0-.237-.008-.866-.013-1.7-2.782.603-3.369-1.34-3.369-1.34-.454-1.156-1.11-1.462-1.11-1.462-.908-.62.069-.608.069-.608 1.003.07 1.531 1.03 1.531 1.03.892 1.529 2.341 1.087 2.91.832.092-.647.35-1.088.636-1.338-2.22-.253-4.555-1.11-4.555-4.943 0-1.091.39-1.984 1.029-2.683-.103-.253-.446-1.27.098-2.647 0 0 .84-.269 2.75 1.025A9.564 9.564 0 0110 4.844c.85.004 1.705.114 2.504.336 1.909-1.294 2.747-1.025 2.747-1.025.546 1.377.203 2.394.1 2.647.64.699 1.028 1.592 1.028 2.683 0 3.842-2.339 4.687-4.566 4.933.359.309.678.919.678 1.852 0 1.336-.012 2.415-.012 2.743 0 .267.18.578.688.48C17.14 18.163 20 14.418 20 10c0-5.523-4.477-10-10-10z" />
-                  </svg>
-                </a>
-              </div>
-
-              <div>
-                <a
-                  href="#"
-                  className="w-full inline-flex justify-center py-2 px-4 border border-gray-300 rounded-lg shadow-sm bg-white text-sm font-medium text-gray-500 hover:bg-gray-50 transition-colors"
-                >
-                  <span className="sr-only">Sign in with Microsoft</span>
-                  <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 21 21" aria-hidden="true">
-                    <path d="M10.5 10.5h-10v10h10v-10zm10 0h-10v10h10v-10zm-10-10h-10v10h10v-10zm10 0h-10v10h10v-10z" />
-                  </svg>
-                </a>
-              </div>
-            </div>
+              </>
+            )}
           </div>
 
           {/* Footer */}
@@ -0,0 +1,72 @@
+import { useEffect, useRef, useState } from 'react'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import toast from 'react-hot-toast'
+import { authAPI } from '../../services/api'
+import { useAuth } from '../../contexts/AuthContext'
+import LoadingSpinner from '../../components/UI/LoadingSpinner'
+
+/**
+ * Return address of the identity provider: exchanges the authorization code
+ * for a session and continues to the page the user started from. A second
+ * factor (or its setup) is completed on the login page.
+ */
+const SsoCallback = () => {
+  const [searchParams] = useSearchParams()
+  const navigate = useNavigate()
+  const { startSession } = useAuth()
+  const [error, setError] = useState(null)
+  // The state is single use, so the exchange must not run twice (StrictMode)
+  const exchanged = useRef(false)
+
+  useEffect(() => {
+    if (exchanged.current) return
+    exchanged.current = true
+
+    const code = searchParams.get('code')
+    const state = searchParams.get('state')
+    if (!code || !state) {
+      setError(searchParams.get('error_description') || searchParams.get('error') || 'The sign-in response is incomplete.')
+      return
+    }
+
+    authAPI.ssoCallback({ code, state })
+      .then((response) => {
+        const redirect = sessionStorage.getItem('ssoRedirect') || '/dashboard'
+        sessionStorage.removeItem('ssoRedirect')
+        const { mfaRequired, mfaSetupRequired, mfaToken } = response.data
+        if (mfaRequired || mfaSetupRequired) {
+          navigate('/login', {
+            replace: true,
+            state: { from: { pathname: redirect }, mfaStep: { mfaToken, setup: Boolean(mfaSetupRequired) } }
+          })
+          return
+        }
+        startSession(response.data)
+        toast.success('Login successful!')
+        navigate(redirect, { replace: true })
+      })
+      .catch((err) => setError(err.message || 'Single sign-on failed'))
+  }, [searchParams, navigate, startSession])
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <div className="w-full max-w-md bg-white rounded-2xl shadow-xl p-8">
+        {error ? (
+          <div className="space-y-6">
+            <div className="rounded-lg bg-red-50 p-4 text-sm text-red-700">{error}</div>
+            <Link to="/login" className="block text-sm font-medium text-indigo-600 hover:text-indigo-500">
+              Back to sign in
+            </Link>
+          </div>
+        ) : (
+          <div className="flex flex-col items-center space-y-4">
+            <LoadingSpinner size="lg" />
+            <p className="text-sm text-gray-600">Signing you in...</p>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default SsoCallback
@@ -10,19 +10,23 @@ import {
 } from '@heroicons/react/24/outline'
 import { reportsAPI } from '../../services/api'
 import LoadingSpinner from '../../components/UI/LoadingSpinner'
+import ProbationReviewsCard from '../../components/Probation/ProbationReviewsCard'
+import ProfileChangeQueueCard from '../../components/Profile/ProfileChangeQueueCard'
 import Card from '../../components/UI/Card'
 import { useAuth } from '../../contexts/AuthContext'
+import { usePermissions } from '../../hooks/usePermissions'
 import { Link } from 'react-router-dom'
 import { format } from 'date-fns'
 
 const Dashboard = () => {
   const { user } = useAuth()
+  const { can, canViewReports } = usePermissions()
 
   const { data: employeeStats, isLoading } = useQuery(
     'employee-stats',
     () => reportsAPI.getEmployeeStats(),
     {
-      enabled: user?.role !== 'EMPLOYEE',
+      enabled: can('reports:workforce'),
       staleTime: 5 * 60 * 1000, // 5 minutes
     }
   )
@@ -75,7 +79,7 @@ const Dashboard = () => {
       icon: ClockIcon,
       href: '/attendance',
       color: 'bg-blue-500',
-      roles: ['EMPLOYEE']
+      visible: user?.role === 'EMPLOYEE'
     },
     {
       title: 'Request Leave',
@@ -83,7 +87,7 @@ const Dashboard = () => {
       icon: CalendarDaysIcon,
       href: '/leave',
       color: 'bg-green-500',
-      roles: ['EMPLOYEE']
+      visible: user?.role === 'EMPLOYEE' && can('leave:create')
     },
     {
       title: 'Add Employee',
@@ -91,7 +95,7 @@ const Dashboard = () => {
       icon: PlusIcon,
       href: '/employees/create',
       color: 'bg-indigo-500',
-      roles: ['ADMIN', 'HR']
+      visible: can('employees:create')
     },
     {
       title: 'View Reports',
@@ -99,13 +103,11 @@ const Dashboard = () => {
       icon: ChartBarIcon,
       href: '/reports',
       color: 'bg-purple-500',
-      roles: ['ADMIN', 'HR', 'MANAGER']
+      visible: canViewReports()
     }
   ]
 
-  const filteredQuickActions = quickActions.filter(action => 
-    action.roles.includes(user?.role)
-  )
+  const filteredQuickActions = quickActions.filter(action => action.visible)
 
   if (isLoading) {
     return (
@@ -139,7 +141,7 @@ const Dashboard = () => {
       </div>
 
       {/* Stats Grid */}
-      {user?.role !== 'EMPLOYEE' && (
+      {can('reports:workforce') && (
         <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-4">
           {dashboardCards.map((card) => (
             <Link key={card.title} to={card.href} className="group">
@@ -253,8 +255,14 @@ const Dashboard = () => {
         </Card>
       </div>
 
+      {/* Probation Reviews */}
+      {can('probation:manage') && <ProbationReviewsCard />}
+
+      {/* Profile Changes */}
+      {can('profileChanges:approve') && <ProfileChangeQueueCard />}
+
       {/* Department Overview */}
-      {user?.role !== 'EMPLOYEE' && stats?.byDepartment && (
+      {can('reports:workforce') && stats?.byDepartment && (
         <Card>
           <Card.Header>
             <h3 className="text-lg font-medium text-gray-900">Department Overview</h3>
@@ -6,7 +6,7 @@ import Table from '../../components/UI/Table'
 import Badge from '../../components/UI/Badge'
 import LoadingSpinner from '../../components/UI/LoadingSpinner'
 import Modal from '../../components/UI/Modal'
-import { useAuth } from '../../contexts/AuthContext'
+import { usePermissions } from '../../hooks/usePermissions'
 import { useForm } from 'react-hook-form'
 import toast from 'react-hot-toast'
 
@@ -15,7 +15,7 @@ const Departments = () => {
   const [page, setPage] = useState(1)
   const [showModal, setShowModal] = useState(false)
   const [editingDepartment, setEditingDepartment] = useState(null)
-  const { hasPermission } = useAuth()
+  const { can } = usePermissions()
   const queryClient = useQueryClient()
 
   const {
@@ -130,7 +130,7 @@ const Departments = () => {
             Manage your organization's departments and teams
           </p>
         </div>
-        {hasPermission(['ADMIN', 'HR']) && (
+        {can('departments:manage') && (
           <button 
             onClick={() => setShowModal(true)} 
             className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-colors duration-150"
@@ -170,7 +170,7 @@ const Departments = () => {
                 <Table.Head className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Manager</Table.Head>
                 <Table.Head className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Employees</Table.Head>
                 <Table.Head className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</Table.Head>
-                {hasPermission(['ADMIN', 'HR']) && (
+                {can('departments:manage') && (
                   <Table.Head className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</Table.Head>
                 )}
               </Table.Row>
@@ -206,7 +206,7 @@ const Departments = () => {
                       {department.isActive ? 'Active' : 'Inactive'}
                     </Badge>
                   </Table.Cell>
-                  {hasPermission(['ADMIN', 'HR']) && (
+                  {can('departments:manage') && (
                     <Table.Cell className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                       <div className="flex justify-end space-x-3">
                         <button
@@ -234,7 +234,7 @@ const Departments = () => {
           {departments.length === 0 && (
             <div className="text-center py-12 bg-gray-50">
               <p className="text-gray-500">No departments found</p>
-              {hasPermission(['ADMIN', 'HR']) && (
+              {can('departments:manage') && (
                 <button 
                   onClick={() => setShowModal(true)} 
                   className="mt-4 inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-colors duration-150"
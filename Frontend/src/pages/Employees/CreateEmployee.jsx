@@ -3,10 +3,11 @@ import { useForm, Controller } from 'react-hook-form';
 import { Link, useNavigate } from 'react-router-dom';
 import { useMutation, useQuery } from 'react-query';
 import { ArrowLeftIcon, UserPlusIcon } from '@heroicons/react/24/outline';
-import { employeeAPI, departmentAPI } from '../../services/api';
+import { employeeAPI, departmentAPI, customFieldAPI } from '../../services/api';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
 import Alert from '../../components/UI/Alert';
 import FormField from '../../components/Forms/FormField';
+import CustomFieldInputs, { formatCustomFieldValue } from '../../components/Forms/CustomFieldInputs';
 import { EMPLOYMENT_TYPES, EMPLOYMENT_STATUS, GENDER_OPTIONS, MARITAL_STATUS } from '../../utils/constants';
 import { cn } from '../../utils/cn';
 import { format } from 'date-fns';
@@ -17,6 +18,7 @@ const CreateEmployee = () => {
   const navigate = useNavigate();
   const [currentStep, setCurrentStep] = useState(1);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [manualId, setManualId] = useState(false);
 
   // Form management
   const {
@@ -47,6 +49,34 @@ const CreateEmployee = () => {
     }
   );
 
+  // Preview of the generated employee ID; it depends on department, country and hire date
+  const { data: idPreviewData } = useQuery(
+    ['employee-id-preview', watchedValues.departmentId, watchedValues.country, watchedValues.hireDate],
+    () => employeeAPI.getIdPreview({
+      departmentId: watchedValues.departmentId || undefined,
+      country: watchedValues.country || undefined,
+      hireDate: watchedValues.hireDate || undefined,
+    }),
+    {
+      keepPreviousData: true,
+      staleTime: 30 * 1000,
+    }
+  );
+
+  // Custom fields the user's role can fill in
+  const { data: customFieldsData } = useQuery(
+    ['custom-fields', 'EMPLOYEE'],
+    () => customFieldAPI.getAll({ entity: 'EMPLOYEE' }),
+    {
+      staleTime: 5 * 60 * 1000,
+    }
+  );
+
+  const customFields = useMemo(() => customFieldsData?.data?.customFields || [], [customFieldsData]);
+
+  const idScheme = idPreviewData?.data;
+  const generatedId = Boolean(idScheme?.generated) && !(idScheme.allowManual && manualId);
+
   // Create employee mutation
   const createEmployeeMutation = useMutation(
     (data) => employeeAPI.create(data),
@@ -56,7 +86,9 @@ const CreateEmployee = () => {
         navigate('/employees');
       },
       onError: (error) => {
-        toast.error(error.response?.data?.message || 'Failed to create employee');
+        // Custom field problems come back per field
+        const problems = error.code === 'INVALID_CUSTOM_FIELDS' ? error.errors?.map((problem) => problem.message) : null;
+        toast.error(problems?.join('. ') || error.message || 'Failed to create employee');
         setIsSubmitting(false);
       }
     }
@@ -125,8 +157,15 @@ const CreateEmployee = () => {
       title: 'Address & Emergency Contact',
       description: 'Address and emergency contact details',
       fields: ['address', 'city', 'state', 'country', 'zipCode', 'emergencyContactName', 'emergencyContactPhone', 'emergencyContactRelation']
-    }
-  ], []);
+    },
+    // Only shown when custom fields are defined
+    ...(customFields.length > 0 ? [{
+      id: 5,
+      title: 'Additional Information',
+      description: 'Fields defined by your organization',
+      fields: customFields.map((field) => `customFields.${field.key}`)
+    }] : [])
+  ], [customFields]);
 
   // Event handlers
   const handleNextStep = useCallback(async () => {
@@ -148,12 +187,13 @@ const CreateEmployee = () => {
       // Format the data
       const formattedData = {
         ...data,
+        employeeId: generatedId ? undefined : data.employeeId,
         hireDate: new Date(data.hireDate).toISOString(),
         dateOfBirth: data.dateOfBirth ? new Date(data.dateOfBirth).toISOString() : undefined,
         baseSalary: data.baseSalary ? parseFloat(data.baseSalary) : undefined,
         // Remove empty strings
         ...Object.fromEntries(
-          Object.entries(data).filter(([_, value]) => value !== '')
+          Object.entries(data).filter(([key, value]) => value !== '' && !(generatedId && key === 'employeeId'))
         )
       };
       
@@ -161,7 +201,7 @@ const CreateEmployee = () => {
     } catch (error) {
       // Error handling is done in mutation
     }
-  }, [createEmployeeMutation]);
+  }, [createEmployeeMutation, generatedId]);
 
   // Render step indicator
   const renderStepIndicator = () => (
@@ -223,14 +263,27 @@ const CreateEmployee = () => {
         return (
           <div className="space-y-6">
             <div className="grid grid-cols-1 gap-6 sm:grid-cols-2">
-              <FormField
-                name="employeeId"
-                control={control}
-                label="Employee ID"
-                placeholder="EMP001"
-                required
-                rules={{ required: 'Employee ID is required' }}
-              />
+              <div>
+                <FormField
+                  name="employeeId"
+                  control={control}
+                  label="Employee ID"
+                  placeholder={generatedId ? idScheme.employeeId : 'EMP001'}
+                  required={!generatedId}
+                  disabled={generatedId}
+                  helperText={generatedId ? 'Assigned when saved; depends on department, country and hire date' : undefined}
+                  rules={generatedId ? {} : { required: 'Employee ID is required' }}
+                />
+                {idScheme?.generated && idScheme.allowManual && (
+                  <button
+                    type="button"
+                    onClick={() => setManualId((value) => !value)}
+                    className="mt-1 text-xs text-indigo-600 hover:text-indigo-800"
+                  >
+                    {manualId ? 'Generate automatically' : 'Enter manually'}
+                  </button>
+                )}
+              </div>
               <FormField
                 name="email"
                 control={control}
@@ -448,6 +501,9 @@ const CreateEmployee = () => {
           </div>
         );
 
+      case 5:
+        return <CustomFieldInputs definitions={customFields} control={control} />;
+
       default:
         return null;
     }
@@ -562,7 +618,9 @@ const CreateEmployee = () => {
                   </div>
                   <div className="flex justify-between">
                     <dt className="text-gray-500">Employee ID:</dt>
-                    <dd className="text-gray-900">{watchedValues.employeeId}</dd>
+                    <dd className="text-gray-900">
+                      {generatedId ? `${idScheme.employeeId} (assigned when saved)` : watchedValues.employeeId}
+                    </dd>
                   </div>
                   <div className="flex justify-between">
                     <dt className="text-gray-500">Email:</dt>
@@ -605,6 +663,21 @@ const CreateEmployee = () => {
                   )}
                 </dl>
               </div>
+              {customFields.length > 0 && (
+                <div className="lg:col-span-2">
+                  <h4 className="font-medium text-gray-900 mb-3">Additional Information</h4>
+                  <dl className="grid grid-cols-1 gap-2 text-sm lg:grid-cols-2 lg:gap-x-6">
+                    {customFields.map((field) => (
+                      <div key={field.id} className="flex justify-between">
+                        <dt className="text-gray-500">{field.label}:</dt>
+                        <dd className="text-gray-900">
+                          {formatCustomFieldValue(field, watchedValues.customFields?.[field.key]) || 'N/A'}
+                        </dd>
+                      </div>
+                    ))}
+                  </dl>
+                </div>
+              )}
             </div>
           </div>
         </div>
@@ -614,7 +687,10 @@ const CreateEmployee = () => {
       {Object.keys(errors).length > 0 && (
         <Alert variant="error" title="Please fix the following errors:">
           <ul className="list-disc list-inside space-y-1">
-            {Object.entries(errors).map(([field, error]) => (
+            {Object.entries(errors).flatMap(([field, error]) => (
+              // Custom field errors are nested under their keys
+              field === 'customFields' ? Object.entries(error).map(([key, nested]) => [`${field}.${key}`, nested]) : [[field, error]]
+            )).map(([field, error]) => (
               <li key={field} className="text-sm">
                 {error.message}
               </li>
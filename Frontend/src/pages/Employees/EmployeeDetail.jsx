@@ -1,5 +1,5 @@
 import { useState, useCallback, useMemo } from 'react';
-import { useParams, Link, useNavigate } from 'react-router-dom';
+import { useParams, Link } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { 
   ArrowLeftIcon, 
@@ -10,27 +10,37 @@ import {
   BuildingOfficeIcon,
   UserIcon,
   TrashIcon,
-  ExclamationTriangleIcon
+  ClipboardDocumentCheckIcon
 } from '@heroicons/react/24/outline';
 import { employeeAPI } from '../../services/api';
 import Badge from '../../components/UI/Badge';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
-import Modal from '../../components/UI/Modal';
 import Alert from '../../components/UI/Alert';
+import SensitiveValue from '../../components/Security/SensitiveValue';
+import EmploymentHistory from '../../components/Employees/EmploymentHistory';
+import EmployeeCustomFields from '../../components/Employees/EmployeeCustomFields';
+import ProbationDecisionModal from '../../components/Probation/ProbationDecisionModal';
+import TerminationModal from '../../components/Employees/TerminationModal';
+import TerminationNotice from '../../components/Employees/TerminationNotice';
 import { useAuth } from '../../contexts/AuthContext';
+import { usePermissions } from '../../hooks/usePermissions';
 import { format } from 'date-fns';
 import { cn } from '../../utils/cn';
 import toast from 'react-hot-toast';
 
+const formatDate = (value) => format(new Date(value), 'MMM dd, yyyy');
+
 const EmployeeDetail = () => {
   // Hooks for state management
   const { id } = useParams();
-  const navigate = useNavigate();
-  const { user, hasPermission } = useAuth();
+  const { user } = useAuth();
+  const { can } = usePermissions();
   const queryClient = useQueryClient();
   
   const [activeTab, setActiveTab] = useState('overview');
   const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [showProbationModal, setShowProbationModal] = useState(false);
+  const [inviteRole, setInviteRole] = useState('EMPLOYEE');
 
   // Fetch employee data
   const { data, isLoading, error } = useQuery(
@@ -42,17 +52,29 @@ const EmployeeDetail = () => {
     }
   );
 
-  // Delete employee mutation
-  const deleteMutation = useMutation(
-    () => employeeAPI.delete(id),
+  // Account invitation mutations
+  const inviteMutation = useMutation(
+    () => employeeAPI.invite(id, { role: inviteRole }),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['employee', id]);
+        toast.success('Invitation sent');
+      },
+      onError: (error) => {
+        toast.error(error.message || 'Failed to send invitation');
+      }
+    }
+  );
+
+  const revokeInvitationMutation = useMutation(
+    () => employeeAPI.revokeInvitation(id),
     {
       onSuccess: () => {
-        queryClient.invalidateQueries('employees');
-        toast.success('Employee terminated successfully!');
-        navigate('/employees');
+        queryClient.invalidateQueries(['employee', id]);
+        toast.success('Invitation revoked');
       },
       onError: (error) => {
-        toast.error(error.response?.data?.message || 'Failed to terminate employee');
+        toast.error(error.message || 'Failed to revoke invitation');
       }
     }
   );
@@ -63,6 +85,7 @@ const EmployeeDetail = () => {
   // Tab configuration
   const tabs = useMemo(() => [
     { id: 'overview', name: 'Overview' },
+    { id: 'history', name: 'History' },
     { id: 'attendance', name: 'Attendance' },
     { id: 'leave', name: 'Leave History' },
     { id: 'documents', name: 'Documents' },
@@ -78,11 +101,6 @@ const EmployeeDetail = () => {
     setShowDeleteModal(true);
   }, []);
 
-  const handleDeleteConfirm = useCallback(() => {
-    deleteMutation.mutate();
-    setShowDeleteModal(false);
-  }, [deleteMutation]);
-
   const handleDeleteCancel = useCallback(() => {
     setShowDeleteModal(false);
   }, []);
@@ -125,7 +143,7 @@ const EmployeeDetail = () => {
           <div>
             <dt className="text-sm font-medium text-gray-500">Date of Birth</dt>
             <dd className="text-sm text-gray-900">
-              {format(new Date(employee.dateOfBirth), 'MMM dd, yyyy')}
+              <SensitiveValue employee={employee} field="dateOfBirth" formatValue={formatDate} />
             </dd>
           </div>
         )}
@@ -191,7 +209,24 @@ const EmployeeDetail = () => {
           <div>
             <dt className="text-sm font-medium text-gray-500">Base Salary</dt>
             <dd className="text-sm text-gray-900">
-              {employee.currency || 'USD'} {employee.baseSalary}
+              {employee.currency || 'USD'} <SensitiveValue employee={employee} field="baseSalary" />
+            </dd>
+          </div>
+        )}
+        {employee.bankAccountNumber && (
+          <div>
+            <dt className="text-sm font-medium text-gray-500">Bank Account</dt>
+            <dd className="text-sm text-gray-900">
+              {employee.bankName && `${employee.bankName} `}
+              <SensitiveValue employee={employee} field="bankAccountNumber" />
+            </dd>
+          </div>
+        )}
+        {employee.taxId && (
+          <div>
+            <dt className="text-sm font-medium text-gray-500">Tax ID</dt>
+            <dd className="text-sm text-gray-900">
+              <SensitiveValue employee={employee} field="taxId" />
             </dd>
           </div>
         )}
@@ -254,6 +289,69 @@ const EmployeeDetail = () => {
     </div>
   ), [employee]);
 
+  // Render the login account of the employee, or the invitation to create one
+  const renderAccount = () => {
+    if (employee.user) {
+      return (
+        <div className="text-sm text-gray-900">
+          Signs in as <span className="font-medium">{employee.user.email}</span>{' '}
+          <Badge variant="default" size="sm">{employee.user.role}</Badge>
+          {!employee.user.isActive && (
+            <Badge variant="error" size="sm" className="ml-2">Disabled</Badge>
+          )}
+        </div>
+      );
+    }
+
+    if (!can('users:manage')) {
+      return <div className="text-sm text-gray-500">No account yet</div>;
+    }
+
+    const pending = employee.pendingInvitation;
+    return (
+      <div className="space-y-3">
+        <div className="text-sm text-gray-500">
+          {pending
+            ? `Invitation sent to ${pending.email} as ${pending.role}, expires ${format(new Date(pending.expiresAt), 'MMM dd, yyyy HH:mm')}`
+            : 'No account yet. Invite the employee to choose a password and sign in.'}
+        </div>
+        {employee.employmentStatus !== 'TERMINATED' && (
+          <div className="flex items-center gap-3">
+            <select
+              className="input w-auto"
+              value={inviteRole}
+              onChange={(e) => setInviteRole(e.target.value)}
+            >
+              <option value="EMPLOYEE">Employee</option>
+              <option value="MANAGER">Manager</option>
+              <option value="HR">HR</option>
+              {can('roles:manage') && <option value="ADMIN">Admin</option>}
+            </select>
+            <button
+              type="button"
+              onClick={() => inviteMutation.mutate()}
+              disabled={inviteMutation.isLoading}
+              className="btn-primary"
+            >
+              <EnvelopeIcon className="h-5 w-5 mr-2" />
+              {pending ? 'Resend invitation' : 'Send invitation'}
+            </button>
+            {pending && (
+              <button
+                type="button"
+                onClick={() => revokeInvitationMutation.mutate()}
+                disabled={revokeInvitationMutation.isLoading}
+                className="btn-outline"
+              >
+                Revoke
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
   // Render tab content
   const renderTabContent = useCallback(() => {
     switch (activeTab) {
@@ -262,8 +360,17 @@ const EmployeeDetail = () => {
           <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
             {renderPersonalInfo()}
             {renderEmploymentInfo()}
+            <div className="lg:col-span-2 empty:hidden border-t border-gray-200 pt-6">
+              <EmployeeCustomFields employee={employee} />
+            </div>
+            <div className="lg:col-span-2 border-t border-gray-200 pt-6">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">Account</h3>
+              {renderAccount()}
+            </div>
           </div>
         );
+      case 'history':
+        return <EmploymentHistory employee={employee} />;
       case 'attendance':
         return (
           <div className="space-y-4">
@@ -335,7 +442,7 @@ const EmployeeDetail = () => {
       default:
         return null;
     }
-  }, [activeTab, employee, renderPersonalInfo, renderEmploymentInfo]);
+  }, [activeTab, employee, renderPersonalInfo, renderEmploymentInfo, renderAccount]);
 
   // Loading state
   if (isLoading) {
@@ -360,6 +467,11 @@ const EmployeeDetail = () => {
     );
   }
 
+  // Nobody decides on their own probation
+  const canReviewProbation = employee.employmentStatus === 'PROBATION'
+    && employee.id !== user?.employee?.id
+    && can('probation:manage', { employee });
+
   return (
     <div className="space-y-6 animate-fadeIn">
       {/* Header */}
@@ -379,16 +491,27 @@ const EmployeeDetail = () => {
             <p className="text-sm text-gray-500">Employee ID: {employee.employeeId}</p>
           </div>
         </div>
-        {hasPermission(['ADMIN', 'HR']) && (
+        {(can('employees:update', { employee }) || can('employees:delete') || canReviewProbation) && (
           <div className="flex space-x-3">
-            <Link
-              to={`/employees/${id}/edit`}
-              className="btn-outline hover:shadow-md transition-all duration-200"
-            >
-              <PencilIcon className="h-5 w-5 mr-2" />
-              Edit Employee
-            </Link>
-            {employee.employmentStatus !== 'TERMINATED' && (
+            {canReviewProbation && (
+              <button
+                onClick={() => setShowProbationModal(true)}
+                className="btn-outline hover:shadow-md transition-all duration-200"
+              >
+                <ClipboardDocumentCheckIcon className="h-5 w-5 mr-2" />
+                Review Probation
+              </button>
+            )}
+            {can('employees:update', { employee }) && (
+              <Link
+                to={`/employees/${id}/edit`}
+                className="btn-outline hover:shadow-md transition-all duration-200"
+              >
+                <PencilIcon className="h-5 w-5 mr-2" />
+                Edit Employee
+              </Link>
+            )}
+            {can('employees:delete') && employee.employmentStatus !== 'TERMINATED' && !employee.terminationDate && (
               <button
                 onClick={handleDeleteClick}
                 className="inline-flex items-center px-4 py-2 border border-red-300 text-sm font-medium rounded-md text-red-700 bg-white hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 transition-all duration-200"
@@ -401,6 +524,8 @@ const EmployeeDetail = () => {
         )}
       </div>
 
+      {can('employees:delete') && <TerminationNotice employee={employee} />}
+
       {/* Employee Profile Card */}
       <div className="card hover:shadow-md transition-shadow duration-200">
         <div className="card-content">
@@ -529,54 +654,17 @@ const EmployeeDetail = () => {
         </div>
       </div>
 
-      {/* Delete Confirmation Modal */}
-      <Modal
+      <ProbationDecisionModal
+        employee={employee}
+        open={showProbationModal}
+        onClose={() => setShowProbationModal(false)}
+      />
+
+      <TerminationModal
+        employee={employee}
         open={showDeleteModal}
         onClose={handleDeleteCancel}
-        title="Terminate Employee"
-        size="md"
-      >
-        <div className="space-y-4">
-          <div className="flex items-center space-x-3">
-            <div className="flex-shrink-0">
-              <ExclamationTriangleIcon className="h-6 w-6 text-red-600" />
-            </div>
-            <div>
-              <h3 className="text-lg font-medium text-gray-900">
-                Terminate {employee.firstName} {employee.lastName}?
-              </h3>
-              <p className="text-sm text-gray-500">
-                This action will set the employee's status to terminated and deactivate their user account. 
-                This action can be reversed by updating the employee's status.
-              </p>
-            </div>
-          </div>
-          
-          <Alert variant="warning">
-            <strong>Warning:</strong> Make sure to reassign any subordinates before terminating this employee.
-          </Alert>
-
-          <div className="flex justify-end space-x-3 pt-4">
-            <button
-              type="button"
-              onClick={handleDeleteCancel}
-              className="btn-outline"
-            >
-              Cancel
-            </button>
-            <button
-              onClick={handleDeleteConfirm}
-              disabled={deleteMutation.isLoading}
-              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 disabled:opacity-50 transition-colors"
-            >
-              {deleteMutation.isLoading && (
-                <LoadingSpinner size="sm" className="mr-2" />
-              )}
-              Terminate Employee
-            </button>
-          </div>
-        </div>
-      </Modal>
+      />
     </div>
   );
 };
@@ -1,14 +1,17 @@
 import { useState, useEffect, useCallback } from 'react';
 import { useQuery } from 'react-query';
 import { Link } from 'react-router-dom';
-import { PlusIcon, MagnifyingGlassIcon, FunnelIcon } from '@heroicons/react/24/outline';
+import { PlusIcon, MagnifyingGlassIcon, FunnelIcon, ArrowUpTrayIcon, ArrowDownTrayIcon, DocumentDuplicateIcon } from '@heroicons/react/24/outline';
 import { employeeAPI } from '../../services/api';
 import Table from '../../components/UI/Table';
 import Badge from '../../components/UI/Badge';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
 import EmptyState from '../../components/UI/EmptyState';
 import Pagination from '../../components/UI/Pagination';
-import { useAuth } from '../../contexts/AuthContext';
+import EmployeeImportModal from '../../components/Employees/EmployeeImportModal';
+import EmployeeExportModal from '../../components/Employees/EmployeeExportModal';
+import EmployeeMergeModal from '../../components/Employees/EmployeeMergeModal';
+import { usePermissions } from '../../hooks/usePermissions';
 import { useDebounce } from '../../hooks/useDebounce';
 import { format } from 'date-fns';
 import { cn } from '../../utils/cn';
@@ -23,8 +26,11 @@ const Employees = () => {
     employmentType: ''
   });
   const [showFilters, setShowFilters] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [showDuplicates, setShowDuplicates] = useState(false);
 
-  const { hasPermission } = useAuth();
+  const { can } = usePermissions();
   const debouncedSearch = useDebounce(search, 300);
 
   // Reset page when search or filters change
@@ -373,7 +379,7 @@ const Employees = () => {
         title="No employees found"
         description="Try adjusting your search or filter criteria"
         action={
-          hasPermission && hasPermission(['ADMIN', 'HR']) && (
+          can('employees:create') && (
             <Link
               to="/employees/create"
               className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-colors"
@@ -429,17 +435,52 @@ const Employees = () => {
             {pagination?.total || 0} employees in your organization
           </p>
         </div>
-        {hasPermission && hasPermission(['ADMIN', 'HR']) && (
-          <Link 
-            to="/employees/create" 
-            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-all duration-200 hover:shadow-md"
+        <div className="flex gap-3">
+          <button
+            onClick={() => setShowExport(true)}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-colors"
           >
-            <PlusIcon className="h-5 w-5 mr-2 -ml-1" />
-            Add Employee
-          </Link>
-        )}
+            <ArrowDownTrayIcon className="h-5 w-5 mr-2 -ml-1" />
+            Export
+          </button>
+          {can('employees:merge') && (
+            <button
+              onClick={() => setShowDuplicates(true)}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-colors"
+            >
+              <DocumentDuplicateIcon className="h-5 w-5 mr-2 -ml-1" />
+              Duplicates
+            </button>
+          )}
+          {can('employees:create') && (
+            <button
+              onClick={() => setShowImport(true)}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-colors"
+            >
+              <ArrowUpTrayIcon className="h-5 w-5 mr-2 -ml-1" />
+              Import
+            </button>
+          )}
+          {can('employees:create') && (
+            <Link 
+              to="/employees/create" 
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition-all duration-200 hover:shadow-md"
+            >
+              <PlusIcon className="h-5 w-5 mr-2 -ml-1" />
+              Add Employee
+            </Link>
+          )}
+        </div>
       </div>
 
+      <EmployeeImportModal open={showImport} onClose={() => setShowImport(false)} />
+      <EmployeeMergeModal open={showDuplicates} onClose={() => setShowDuplicates(false)} />
+      <EmployeeExportModal
+        open={showExport}
+        onClose={() => setShowExport(false)}
+        filters={{ search: debouncedSearch.trim(), ...filters }}
+      />
+
       {/* Search and Filters */}
       {renderFilters()}
 
@@ -13,6 +13,8 @@ import Badge from '../../components/UI/Badge'
 import LoadingSpinner from '../../components/UI/LoadingSpinner'
 import Modal from '../../components/UI/Modal'
 import { useAuth } from '../../contexts/AuthContext'
+import { usePermissions } from '../../hooks/usePermissions'
+import ApprovalDelegationsPanel from '../../components/Leave/ApprovalDelegationsPanel'
 import { useForm } from 'react-hook-form'
 import { format, differenceInDays } from 'date-fns'
 import toast from 'react-hot-toast'
@@ -22,7 +24,8 @@ const LeaveRequests = () => {
   const [statusFilter, setStatusFilter] = useState('')
   const [page, setPage] = useState(1)
   const [showModal, setShowModal] = useState(false)
-  const { user, hasPermission } = useAuth()
+  const { user } = useAuth()
+  const { can, canApproveLeave } = usePermissions()
   const queryClient = useQueryClient()
 
   const {
@@ -80,6 +83,9 @@ const LeaveRequests = () => {
 
   const requests = data?.data?.leaveRequests || []
   const pagination = data?.data?.pagination
+  // Delegates decide on delegated requests without leave:approve of their own
+  const canDecide = (request) => canApproveLeave(request) || Boolean(request.delegatedBy)
+  const showActions = can('leave:approve') || requests.some((request) => request.delegatedBy)
 
   const calculateDays = () => {
     if (startDate && endDate) {
@@ -150,7 +156,7 @@ const LeaveRequests = () => {
             Manage leave requests and approvals
           </p>
         </div>
-        {user?.role === 'EMPLOYEE' && (
+        {can('leave:create') && user?.employee && (
           <div className="mt-4 sm:mt-0">
             <button onClick={() => setShowModal(true)} className="btn-primary">
               <PlusIcon className="h-5 w-5 mr-2" />
@@ -160,6 +166,8 @@ const LeaveRequests = () => {
         )}
       </div>
 
+      <ApprovalDelegationsPanel />
+
       {/* Search and Filters */}
       <div className="card">
         <div className="card-content">
@@ -211,7 +219,7 @@ const LeaveRequests = () => {
                 <Table.Head>Days</Table.Head>
                 <Table.Head>Status</Table.Head>
                 <Table.Head>Applied Date</Table.Head>
-                {hasPermission(['ADMIN', 'HR', 'MANAGER']) && <Table.Head>Actions</Table.Head>}
+                {showActions && <Table.Head>Actions</Table.Head>}
               </Table.Row>
             </Table.Header>
             <Table.Body>
@@ -256,16 +264,22 @@ const LeaveRequests = () => {
                   </Table.Cell>
                   <Table.Cell>
                     {getStatusBadge(request.status)}
+                    {request.onBehalfOf && (
+                      <div className="mt-1 text-xs text-gray-500">
+                        {request.approvedBy ? `by ${request.approvedBy.firstName} ${request.approvedBy.lastName} ` : ''}
+                        on behalf of {request.onBehalfOf.firstName} {request.onBehalfOf.lastName}
+                      </div>
+                    )}
                   </Table.Cell>
                   <Table.Cell>
                     <div className="text-sm text-gray-900">
                       {format(new Date(request.appliedAt), 'MMM dd, yyyy')}
                     </div>
                   </Table.Cell>
-                  {hasPermission(['ADMIN', 'HR', 'MANAGER']) && (
+                  {showActions && (
                     <Table.Cell>
-                      {request.status === 'PENDING' && (
-                        <div className="flex space-x-2">
+                      {request.status === 'PENDING' && canDecide(request) && (
+                        <div className="flex items-center space-x-2">
                           <button
                             onClick={() => handleApprove(request.id)}
                             className="text-green-600 hover:text-green-900"
@@ -280,6 +294,11 @@ const LeaveRequests = () => {
                           >
                             <XMarkIcon className="h-4 w-4" />
                           </button>
+                          {request.delegatedBy && (
+                            <span className="text-xs text-gray-500">
+                              for {request.delegatedBy.firstName} {request.delegatedBy.lastName}
+                            </span>
+                          )}
                         </div>
                       )}
                     </Table.Cell>
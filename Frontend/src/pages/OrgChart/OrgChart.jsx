@@ -0,0 +1,298 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { useQuery } from 'react-query'
+import {
+  MagnifyingGlassIcon,
+  MagnifyingGlassPlusIcon,
+  MagnifyingGlassMinusIcon,
+  ArrowDownTrayIcon,
+  ArrowsPointingOutIcon
+} from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { orgChartAPI } from '../../services/api'
+import { useDebounce } from '../../hooks/useDebounce'
+import OrgChartTree, { hasChildren } from '../../components/OrgChart/OrgChartTree'
+import LoadingSpinner from '../../components/UI/LoadingSpinner'
+import Button from '../../components/UI/Button'
+import { downloadPng, downloadSvg } from '../../utils/svgExport'
+import { cn } from '../../utils/cn'
+
+const VIEWS = [
+  { id: 'employees', name: 'Reporting lines', type: 'employee' },
+  { id: 'departments', name: 'Departments', type: 'department' }
+]
+
+const DEPTH = 2
+const ZOOM_STEPS = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2]
+
+const keyOf = (node) => `${node.type}:${node.id}`
+
+// Splice lazily loaded children into the tree returned by the server
+const mergeLoaded = (nodes, loaded) => nodes.map((node) => {
+  if (node.type === 'vacancy') return node
+  const children = node.children ?? loaded.get(keyOf(node)) ?? null
+  return { ...node, children: children && mergeLoaded(children, loaded) }
+})
+
+const OrgChart = () => {
+  const [view, setView] = useState('employees')
+  const [focus, setFocus] = useState(null)
+  const [loaded, setLoaded] = useState(new Map())
+  const [collapsed, setCollapsed] = useState(new Set())
+  const [loading, setLoading] = useState(new Set())
+  const [zoom, setZoom] = useState(1)
+  const [search, setSearch] = useState('')
+  const [exporting, setExporting] = useState(false)
+  const debouncedSearch = useDebounce(search, 300)
+  const svgRef = useRef(null)
+
+  const { data, isLoading, isFetching } = useQuery(
+    ['org-chart', view, focus],
+    () => (view === 'employees' ? orgChartAPI.getEmployees : orgChartAPI.getDepartments)({ depth: DEPTH, focus: focus || undefined }),
+    {
+      keepPreviousData: true,
+      onError: (error) => toast.error(error.message || 'Failed to load org chart')
+    }
+  )
+
+  const { data: searchData } = useQuery(
+    ['org-chart-search', debouncedSearch.trim()],
+    () => orgChartAPI.search(debouncedSearch.trim()),
+    { enabled: debouncedSearch.trim().length > 0 }
+  )
+
+  const roots = useMemo(() => mergeLoaded(data?.data?.nodes || [], loaded), [data, loaded])
+  const highlight = focus && `${VIEWS.find((item) => item.id === view).type}:${focus}`
+
+  // Bring the node picked in search into view once it is drawn
+  useEffect(() => {
+    if (!highlight || !svgRef.current) return
+    svgRef.current.querySelector(`[data-key="${highlight}"]`)?.scrollIntoView({ block: 'center', inline: 'center', behavior: 'smooth' })
+  }, [highlight, roots])
+
+  const resetTree = () => {
+    setLoaded(new Map())
+    setCollapsed(new Set())
+  }
+
+  const changeView = (nextView) => {
+    if (nextView === view) return
+    resetTree()
+    setFocus(null)
+    setView(nextView)
+  }
+
+  const showResult = (nextView, id) => {
+    resetTree()
+    setView(nextView)
+    setFocus(id)
+    setSearch('')
+  }
+
+  const handleToggle = async ({ key, node, expanded }) => {
+    if (collapsed.has(key)) {
+      setCollapsed((current) => new Set([...current].filter((item) => item !== key)))
+      return
+    }
+    if (expanded) {
+      setCollapsed((current) => new Set(current).add(key))
+      return
+    }
+    if (loading.has(key)) return
+
+    setLoading((current) => new Set(current).add(key))
+    try {
+      const response = node.type === 'employee'
+        ? await orgChartAPI.getEmployee(node.id, { depth: 1 })
+        : await orgChartAPI.getDepartment(node.id, { depth: 1 })
+      setLoaded((current) => new Map(current).set(key, response.data.nodes[0]?.children || []))
+    } catch (error) {
+      toast.error(error.message || 'Failed to load this part of the chart')
+    } finally {
+      setLoading((current) => new Set([...current].filter((item) => item !== key)))
+    }
+  }
+
+  const collapseAll = () => {
+    const keys = new Set()
+    const walk = (nodes) => nodes.forEach((node) => {
+      if (node.children && hasChildren(node)) {
+        keys.add(keyOf(node))
+        walk(node.children)
+      }
+    })
+    walk(roots)
+    setCollapsed(keys)
+  }
+
+  const changeZoom = (direction) => {
+    const index = ZOOM_STEPS.indexOf(zoom)
+    setZoom(ZOOM_STEPS[Math.min(Math.max(index + direction, 0), ZOOM_STEPS.length - 1)])
+  }
+
+  const handleExport = async (format) => {
+    if (!svgRef.current) return
+    const filename = `org-chart-${view}-${new Date().toISOString().slice(0, 10)}.${format}`
+    setExporting(true)
+    try {
+      if (format === 'svg') {
+        downloadSvg(svgRef.current, filename)
+      } else {
+        await downloadPng(svgRef.current, filename)
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to export org chart')
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  const results = searchData?.data
+  const hasResults = results && (results.employees.length > 0 || results.departments.length > 0)
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">Org Chart</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            {data?.data ? `${data.data.totalHeadcount} people across the organization` : 'Reporting lines and departments'}
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <Button variant="outline" size="sm" onClick={() => handleExport('png')} disabled={exporting || roots.length === 0}>
+            <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+            PNG
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => handleExport('svg')} disabled={exporting || roots.length === 0}>
+            <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+            SVG
+          </Button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+        <div className="p-4 flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+          <div className="relative w-full max-w-md">
+            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+              <MagnifyingGlassIcon className="h-5 w-5 text-gray-400" />
+            </div>
+            <input
+              type="text"
+              placeholder="Find a person or department..."
+              className="block w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md leading-5 bg-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm transition duration-150"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+            {search.trim() && results && (
+              <div className="absolute z-10 mt-1 w-full max-h-80 overflow-y-auto rounded-md border border-gray-200 bg-white shadow-lg">
+                {!hasResults && <p className="px-4 py-3 text-sm text-gray-500">No matches</p>}
+                {results.employees.map((employee) => (
+                  <button
+                    key={employee.id}
+                    type="button"
+                    onClick={() => showResult('employees', employee.id)}
+                    className="block w-full px-4 py-2 text-left hover:bg-gray-50"
+                  >
+                    <span className="block text-sm font-medium text-gray-900">{employee.firstName} {employee.lastName}</span>
+                    <span className="block text-xs text-gray-500">
+                      {[employee.position?.title, employee.department?.name].filter(Boolean).join(' · ') || employee.employeeId}
+                    </span>
+                  </button>
+                ))}
+                {results.departments.map((department) => (
+                  <button
+                    key={department.id}
+                    type="button"
+                    onClick={() => showResult('departments', department.id)}
+                    className="block w-full px-4 py-2 text-left hover:bg-gray-50"
+                  >
+                    <span className="block text-sm font-medium text-gray-900">{department.name}</span>
+                    <span className="block text-xs text-gray-500">Department</span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3">
+            <div className="inline-flex rounded-md shadow-sm">
+              {VIEWS.map((item, index) => (
+                <button
+                  key={item.id}
+                  type="button"
+                  onClick={() => changeView(item.id)}
+                  className={cn(
+                    'px-3 py-1.5 text-sm font-medium border border-gray-300',
+                    index === 0 ? 'rounded-l-md' : '-ml-px rounded-r-md',
+                    view === item.id ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-gray-700 hover:bg-gray-50'
+                  )}
+                >
+                  {item.name}
+                </button>
+              ))}
+            </div>
+            <div className="flex items-center space-x-1">
+              <button type="button" onClick={() => changeZoom(-1)} className="p-1.5 text-gray-500 hover:text-gray-700" title="Zoom out">
+                <MagnifyingGlassMinusIcon className="h-5 w-5" />
+              </button>
+              <span className="w-12 text-center text-xs text-gray-600">{Math.round(zoom * 100)}%</span>
+              <button type="button" onClick={() => changeZoom(1)} className="p-1.5 text-gray-500 hover:text-gray-700" title="Zoom in">
+                <MagnifyingGlassPlusIcon className="h-5 w-5" />
+              </button>
+            </div>
+            <button type="button" onClick={() => setCollapsed(new Set())} className="text-sm text-indigo-600 hover:text-indigo-800">
+              Expand all
+            </button>
+            <button type="button" onClick={collapseAll} className="text-sm text-indigo-600 hover:text-indigo-800">
+              Collapse all
+            </button>
+            {focus && (
+              <button
+                type="button"
+                onClick={() => {
+                  resetTree()
+                  setFocus(null)
+                }}
+                className="inline-flex items-center text-sm text-gray-600 hover:text-gray-800"
+              >
+                <ArrowsPointingOutIcon className="h-4 w-4 mr-1" />
+                Clear selection
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="relative border-t border-gray-200 overflow-auto" style={{ height: '70vh' }}>
+          {isLoading ? (
+            <div className="flex items-center justify-center h-full">
+              <LoadingSpinner size="lg" />
+            </div>
+          ) : roots.length === 0 ? (
+            <div className="flex items-center justify-center h-full">
+              <p className="text-gray-500">Nothing to show yet</p>
+            </div>
+          ) : (
+            <>
+              {isFetching && (
+                <div className="absolute top-3 right-3">
+                  <LoadingSpinner size="sm" />
+                </div>
+              )}
+              <OrgChartTree
+                ref={svgRef}
+                roots={roots}
+                collapsed={collapsed}
+                loading={loading}
+                highlight={highlight}
+                zoom={zoom}
+                onToggle={handleToggle}
+              />
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default OrgChart
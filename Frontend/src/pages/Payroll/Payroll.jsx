@@ -11,6 +11,7 @@ import Table from '../../components/UI/Table'
 import Badge from '../../components/UI/Badge'
 import LoadingSpinner from '../../components/UI/LoadingSpinner'
 import { useAuth } from '../../contexts/AuthContext'
+import { usePermissions } from '../../hooks/usePermissions'
 import { format } from 'date-fns'
 
 const Payroll = () => {
@@ -18,7 +19,10 @@ const Payroll = () => {
   const [statusFilter, setStatusFilter] = useState('')
   const [monthFilter, setMonthFilter] = useState('')
   const [page, setPage] = useState(1)
-  const { user, hasPermission } = useAuth()
+  const { user } = useAuth()
+  const { hasAccess } = usePermissions()
+  // Users limited to their own records see a personal payslip view
+  const viewsOthers = hasAccess(['payroll:read'], ['TEAM', 'DEPARTMENT', 'ALL'])
 
   const { data, isLoading } = useQuery(
     ['payroll', page, search, statusFilter, monthFilter],
@@ -73,7 +77,7 @@ const Payroll = () => {
       <div className="px-1">
         <h1 className="text-2xl font-bold text-gray-800">Payroll Management</h1>
         <p className="mt-1 text-sm text-gray-600">
-          {hasPermission(['ADMIN', 'HR']) 
+          {viewsOthers
             ? 'Manage employee payroll and salary disbursements'
             : 'View your salary details and download payslips'
           }
@@ -81,7 +85,7 @@ const Payroll = () => {
       </div>
 
       {/* Summary Cards for HR/Admin */}
-      {hasPermission(['ADMIN', 'HR']) && (
+      {viewsOthers && (
         <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-4">
           {/* Total Payroll Card */}
           <div className="bg-white rounded-lg shadow p-6 border border-gray-100 hover:shadow-md transition-shadow">
@@ -224,7 +228,7 @@ const Payroll = () => {
           <Table>
             <Table.Header>
               <Table.Row className="bg-gray-50">
-                {hasPermission(['ADMIN', 'HR']) && (
+                {viewsOthers && (
                   <Table.Head className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Employee
                   </Table.Head>
@@ -258,7 +262,7 @@ const Payroll = () => {
             <Table.Body className="bg-white divide-y divide-gray-200">
               {records.map((record) => (
                 <Table.Row key={record.id} className="hover:bg-gray-50">
-                  {hasPermission(['ADMIN', 'HR']) && (
+                  {viewsOthers && (
                     <Table.Cell className="px-6 py-4 whitespace-nowrap">
                       <div className="flex items-center">
                         <div className="flex-shrink-0 h-10 w-10">
@@ -314,6 +318,9 @@ const Payroll = () => {
                   </Table.Cell>
                   <Table.Cell className="px-6 py-4 whitespace-nowrap">
                     {getStatusBadge(record.status)}
+                    {record.isFinal && (
+                      <Badge variant="warning" className="ml-2">Final pay</Badge>
+                    )}
                   </Table.Cell>
                   <Table.Cell className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                     <button
@@ -11,7 +11,7 @@ import Table from '../../components/UI/Table'
 import Badge from '../../components/UI/Badge'
 import LoadingSpinner from '../../components/UI/LoadingSpinner'
 import Modal from '../../components/UI/Modal'
-import { useAuth } from '../../contexts/AuthContext'
+import { usePermissions } from '../../hooks/usePermissions'
 import { useForm } from 'react-hook-form'
 import { format } from 'date-fns'
 import toast from 'react-hot-toast'
@@ -22,7 +22,7 @@ const Performance = () => {
   const [page, setPage] = useState(1)
   const [showModal, setShowModal] = useState(false)
   const [selectedReview, setSelectedReview] = useState(null)
-  const { user, hasPermission } = useAuth()
+  const { can } = usePermissions()
   const queryClient = useQueryClient()
 
   const {
@@ -134,7 +134,7 @@ const Performance = () => {
             Track and manage employee performance reviews
           </p>
         </div>
-        {hasPermission(['ADMIN', 'HR', 'MANAGER']) && (
+        {can('performance:manage') && (
           <div className="mt-4 sm:mt-0">
             <button onClick={() => setShowModal(true)} className="btn-primary">
               <PlusIcon className="h-5 w-5 mr-2" />
@@ -7,9 +7,16 @@ import {
   BellIcon,
   ShieldCheckIcon 
 } from '@heroicons/react/24/outline'
-import { userAPI } from '../../services/api'
+import { authAPI, profileChangeAPI, userAPI } from '../../services/api'
 import LoadingSpinner from '../../components/UI/LoadingSpinner'
 import Modal from '../../components/UI/Modal'
+import SessionsPanel from '../../components/Security/SessionsPanel'
+import MfaSetup from '../../components/Security/MfaSetup'
+import RecoveryCodes from '../../components/Security/RecoveryCodes'
+import SensitiveValue from '../../components/Security/SensitiveValue'
+import PasswordRequirements, { getPasswordViolations } from '../../components/Security/PasswordRequirements'
+import ProfileEditModal from '../../components/Profile/ProfileEditModal'
+import ProfileChangeRequests from '../../components/Profile/ProfileChangeRequests'
 import { useAuth } from '../../contexts/AuthContext'
 import { useForm } from 'react-hook-form'
 import { format } from 'date-fns'
@@ -18,6 +25,12 @@ import toast from 'react-hot-toast'
 const Profile = () => {
   const [activeTab, setActiveTab] = useState('profile')
   const [showPasswordModal, setShowPasswordModal] = useState(false)
+  const [showEditModal, setShowEditModal] = useState(false)
+  // 'setup' | 'disable' | 'regenerate'
+  const [mfaModal, setMfaModal] = useState(null)
+  const [mfaForm, setMfaForm] = useState({ password: '', code: '' })
+  const [recoveryCodes, setRecoveryCodes] = useState(null)
+  const [passwordViolations, setPasswordViolations] = useState([])
   const { user, refetchUser } = useAuth()
   const queryClient = useQueryClient()
 
@@ -26,6 +39,7 @@ const Profile = () => {
     handleSubmit,
     reset,
     watch,
+    setError,
     formState: { errors },
   } = useForm()
 
@@ -43,6 +57,13 @@ const Profile = () => {
     }
   )
 
+  const { data: changeRequestsData } = useQuery(
+    ['profile-changes', 'mine'],
+    () => profileChangeAPI.getMine(),
+    { enabled: !!user?.id }
+  )
+  const changeRequests = changeRequestsData?.data?.requests || []
+
   const updateProfileMutation = useMutation(
     (data) => userAPI.update(user.id, data),
     {
@@ -57,20 +78,98 @@ const Profile = () => {
     }
   )
 
+  const closePasswordModal = () => {
+    setShowPasswordModal(false)
+    setPasswordViolations([])
+    reset()
+  }
+
   const changePasswordMutation = useMutation(
     (data) => userAPI.changePassword(data),
     {
       onSuccess: () => {
         toast.success('Password changed successfully!')
-        setShowPasswordModal(false)
-        reset()
+        closePasswordModal()
+      },
+      onError: (error) => {
+        if (error.code === 'INVALID_CURRENT_PASSWORD') {
+          setError('currentPassword', { message: error.message })
+          return
+        }
+        setPasswordViolations(getPasswordViolations(error))
+        toast.error(error.message || 'Failed to change password')
+      }
+    }
+  )
+
+  const { data: mfaData } = useQuery(
+    'mfaStatus',
+    () => authAPI.mfaStatus(),
+    { enabled: activeTab === 'security' }
+  )
+
+  const mfa = mfaData?.data?.mfa
+
+  const closeMfaModal = () => {
+    setMfaModal(null)
+    setMfaForm({ password: '', code: '' })
+    setRecoveryCodes(null)
+    queryClient.invalidateQueries('mfaStatus')
+  }
+
+  const enableMfa = async (code) => {
+    try {
+      const response = await authAPI.mfaEnable({ code })
+      setRecoveryCodes(response.data.recoveryCodes)
+      toast.success('Two-factor authentication enabled')
+      return true
+    } catch (error) {
+      toast.error(error.message || 'Failed to enable two-factor authentication')
+      return false
+    }
+  }
+
+  const disableMfaMutation = useMutation(
+    (data) => authAPI.mfaDisable(data),
+    {
+      onSuccess: () => {
+        toast.success('Two-factor authentication disabled')
+        closeMfaModal()
+      },
+      onError: (error) => {
+        toast.error(error.message || 'Failed to disable two-factor authentication')
+      }
+    }
+  )
+
+  const regenerateCodesMutation = useMutation(
+    (code) => authAPI.regenerateRecoveryCodes(code),
+    {
+      onSuccess: (response) => {
+        setRecoveryCodes(response.data.recoveryCodes)
+        toast.success('New recovery codes generated')
       },
       onError: (error) => {
-        toast.error(error.response?.data?.message || 'Failed to change password')
+        toast.error(error.message || 'Failed to generate recovery codes')
       }
     }
   )
 
+  const onMfaSubmit = (e) => {
+    e.preventDefault()
+    if (mfaModal === 'disable') {
+      disableMfaMutation.mutate(mfaForm)
+    } else {
+      regenerateCodesMutation.mutate(mfaForm.code)
+    }
+  }
+
+  const mfaModalTitles = {
+    setup: 'Enable Two-Factor Authentication',
+    disable: 'Disable Two-Factor Authentication',
+    regenerate: 'Regenerate Recovery Codes'
+  }
+
   const profile = profileData?.data?.user
 
   const onPasswordSubmit = (data) => {
@@ -118,12 +217,14 @@ const Profile = () => {
                   </p>
                 )}
               </div>
-              <div>
-                <button className="btn-outline">
-                  <PencilIcon className="h-5 w-5 mr-2" />
-                  Edit Profile
-                </button>
-              </div>
+              {profile?.employee && profile.employee.employmentStatus !== 'TERMINATED' && (
+                <div>
+                  <button className="btn-outline" onClick={() => setShowEditModal(true)}>
+                    <PencilIcon className="h-5 w-5 mr-2" />
+                    Edit Profile
+                  </button>
+                </div>
+              )}
             </div>
           </div>
         </div>
@@ -156,7 +257,11 @@ const Profile = () => {
                   <div>
                     <label className="block text-sm font-medium text-gray-500">Date of Birth</label>
                     <p className="mt-1 text-sm text-gray-900">
-                      {format(new Date(profile.employee.dateOfBirth), 'MMM dd, yyyy')}
+                      <SensitiveValue
+                        employee={profile.employee}
+                        field="dateOfBirth"
+                        formatValue={(value) => format(new Date(value), 'MMM dd, yyyy')}
+                      />
                     </p>
                   </div>
                 )}
@@ -164,11 +269,39 @@ const Profile = () => {
                   <label className="block text-sm font-medium text-gray-500">Gender</label>
                   <p className="mt-1 text-sm text-gray-900">{profile.employee.gender || 'N/A'}</p>
                 </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-500">Address</label>
+                  <p className="mt-1 text-sm text-gray-900">
+                    {[
+                      profile.employee.address,
+                      profile.employee.city,
+                      profile.employee.state,
+                      profile.employee.zipCode,
+                      profile.employee.country
+                    ].filter(Boolean).join(', ') || 'N/A'}
+                  </p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-500">Emergency Contact</label>
+                  <p className="mt-1 text-sm text-gray-900">
+                    {profile.employee.emergencyContactName ?
+                      [
+                        profile.employee.emergencyContactName,
+                        profile.employee.emergencyContactRelation && `(${profile.employee.emergencyContactRelation})`,
+                        profile.employee.emergencyContactPhone
+                      ].filter(Boolean).join(' ') :
+                      'N/A'
+                    }
+                  </p>
+                </div>
               </div>
             </div>
           </div>
         )}
 
+        {/* Requested Changes */}
+        <ProfileChangeRequests requests={changeRequests} />
+
         {/* Employment Information */}
         {profile?.employee && (
           <div className="card">
@@ -286,9 +419,28 @@ const Profile = () => {
               <div className="flex items-center justify-between">
                 <div>
                   <h4 className="text-sm font-medium text-gray-900">Two-Factor Authentication</h4>
-                  <p className="text-sm text-gray-500">Add an extra layer of security</p>
+                  <p className="text-sm text-gray-500">
+                    {mfa?.enabled
+                      ? `Enabled · ${mfa.remainingRecoveryCodes} recovery codes left`
+                      : 'Add an extra layer of security'}
+                  </p>
                 </div>
-                <button className="btn-outline">Enable</button>
+                {mfa?.enabled ? (
+                  <div className="flex space-x-2">
+                    <button onClick={() => setMfaModal('regenerate')} className="btn-outline">
+                      Recovery Codes
+                    </button>
+                    {!mfa.required && (
+                      <button onClick={() => setMfaModal('disable')} className="btn-outline">
+                        Disable
+                      </button>
+                    )}
+                  </div>
+                ) : (
+                  <button onClick={() => setMfaModal('setup')} className="btn-outline">
+                    Enable
+                  </button>
+                )}
               </div>
               <div className="flex items-center justify-between">
                 <div>
@@ -305,6 +457,8 @@ const Profile = () => {
         </div>
       </div>
 
+      <SessionsPanel userId={user?.id} title="Where You're Signed In" />
+
       <div className="card">
         <div className="card-header">
           <h3 className="text-lg font-medium text-gray-900">Recent Activity</h3>
@@ -455,13 +609,18 @@ const Profile = () => {
         </div>
       </div>
 
+      {/* Edit Profile Modal */}
+      <ProfileEditModal
+        employee={profile?.employee}
+        hasPendingRequest={changeRequests.some((request) => request.status === 'PENDING')}
+        open={showEditModal}
+        onClose={() => setShowEditModal(false)}
+      />
+
       {/* Change Password Modal */}
       <Modal
         open={showPasswordModal}
-        onClose={() => {
-          setShowPasswordModal(false)
-          reset()
-        }}
+        onClose={closePasswordModal}
         title="Change Password"
       >
         <form onSubmit={handleSubmit(onPasswordSubmit)} className="space-y-4">
@@ -485,13 +644,7 @@ const Profile = () => {
               New Password *
             </label>
             <input
-              {...register('newPassword', {
-                required: 'New password is required',
-                minLength: {
-                  value: 8,
-                  message: 'Password must be at least 8 characters'
-                }
-              })}
+              {...register('newPassword', { required: 'New password is required' })}
               type="password"
               className="input mt-1"
               placeholder="Enter new password"
@@ -499,6 +652,9 @@ const Profile = () => {
             {errors.newPassword && (
               <p className="mt-1 text-sm text-red-600">{errors.newPassword.message}</p>
             )}
+            <div className="mt-2">
+              <PasswordRequirements violations={passwordViolations} />
+            </div>
           </div>
 
           <div>
@@ -519,10 +675,7 @@ const Profile = () => {
           <div className="flex justify-end space-x-3 pt-4">
             <button
               type="button"
-              onClick={() => {
-                setShowPasswordModal(false)
-                reset()
-              }}
+              onClick={closePasswordModal}
               className="btn-outline"
             >
               Cancel
@@ -540,6 +693,67 @@ const Profile = () => {
           </div>
         </form>
       </Modal>
+
+      {/* Two-Factor Authentication Modal */}
+      <Modal
+        open={!!mfaModal}
+        onClose={closeMfaModal}
+        title={mfaModalTitles[mfaModal]}
+      >
+        {recoveryCodes ? (
+          <RecoveryCodes codes={recoveryCodes} onDone={closeMfaModal} />
+        ) : mfaModal === 'setup' ? (
+          <MfaSetup onConfirm={enableMfa} onCancel={closeMfaModal} />
+        ) : (
+          <form onSubmit={onMfaSubmit} className="space-y-4">
+            {mfaModal === 'disable' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700">
+                  Current Password *
+                </label>
+                <input
+                  type="password"
+                  className="input mt-1"
+                  value={mfaForm.password}
+                  onChange={(e) => setMfaForm({ ...mfaForm, password: e.target.value })}
+                />
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium text-gray-700">
+                Authentication Code *
+              </label>
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                maxLength={6}
+                className="input mt-1 tracking-widest"
+                placeholder="123456"
+                value={mfaForm.code}
+                onChange={(e) => setMfaForm({ ...mfaForm, code: e.target.value.replace(/\D/g, '') })}
+              />
+            </div>
+            <div className="flex justify-end space-x-3 pt-4">
+              <button type="button" onClick={closeMfaModal} className="btn-outline">
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={
+                  mfaForm.code.length !== 6 ||
+                  (mfaModal === 'disable' && !mfaForm.password) ||
+                  disableMfaMutation.isLoading ||
+                  regenerateCodesMutation.isLoading
+                }
+                className="btn-primary"
+              >
+                {mfaModal === 'disable' ? 'Disable' : 'Generate New Codes'}
+              </button>
+            </div>
+          </form>
+        )}
+      </Modal>
     </div>
   )
 }
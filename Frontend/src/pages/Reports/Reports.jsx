@@ -10,23 +10,24 @@ import {
 } from '@heroicons/react/24/outline'
 import { reportsAPI } from '../../services/api'
 import LoadingSpinner from '../../components/UI/LoadingSpinner'
-import { useAuth } from '../../contexts/AuthContext'
+import { usePermissions } from '../../hooks/usePermissions'
 import { format, subMonths } from 'date-fns'
 
+const TABS = [
+  { id: 'employees', name: 'Employee Reports', icon: UsersIcon, permission: 'reports:workforce' },
+  { id: 'attendance', name: 'Attendance Reports', icon: ClockIcon, permission: 'reports:workforce' },
+  { id: 'leave', name: 'Leave Reports', icon: CalendarDaysIcon, permission: 'reports:workforce' },
+  { id: 'payroll', name: 'Payroll Reports', icon: CurrencyDollarIcon, permission: 'reports:payroll' },
+]
+
 const Reports = () => {
-  const [activeTab, setActiveTab] = useState('employees')
+  const { can, canViewReports } = usePermissions()
+  const tabs = TABS.filter((tab) => can(tab.permission))
+  const [activeTab, setActiveTab] = useState(tabs[0]?.id)
   const [dateRange, setDateRange] = useState({
     startDate: format(subMonths(new Date(), 1), 'yyyy-MM-dd'),
     endDate: format(new Date(), 'yyyy-MM-dd')
   })
-  const { hasPermission } = useAuth()
-
-  const tabs = [
-    { id: 'employees', name: 'Employee Reports', icon: UsersIcon },
-    { id: 'attendance', name: 'Attendance Reports', icon: ClockIcon },
-    { id: 'leave', name: 'Leave Reports', icon: CalendarDaysIcon },
-    { id: 'payroll', name: 'Payroll Reports', icon: CurrencyDollarIcon },
-  ]
 
   // Employee Stats Query
   const { data: employeeStats, isLoading: employeeLoading } = useQuery(
@@ -469,7 +470,7 @@ const Reports = () => {
     )
   }
 
-  if (!hasPermission(['ADMIN', 'HR', 'MANAGER'])) {
+  if (!canViewReports()) {
     return (
       <div className="text-center py-12">
         <ChartBarIcon className="mx-auto h-12 w-12 text-gray-400" />
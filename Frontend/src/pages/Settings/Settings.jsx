@@ -6,17 +6,80 @@ import {
   BuildingOfficeIcon, 
   ClockIcon,
   BellIcon,
-  ShieldCheckIcon 
+  ShieldCheckIcon,
+  KeyIcon,
+  CommandLineIcon,
+  AdjustmentsHorizontalIcon
 } from '@heroicons/react/24/outline'
-import { userAPI } from '../../services/api'
+import { settingAPI, userAPI, roleAPI } from '../../services/api'
 import LoadingSpinner from '../../components/UI/LoadingSpinner'
+import SessionsPanel from '../../components/Security/SessionsPanel'
+import LoginAttemptsPanel from '../../components/Security/LoginAttemptsPanel'
+import RolesPanel from '../../components/Security/RolesPanel'
+import ApiKeysPanel from '../../components/Security/ApiKeysPanel'
+import EmployeeIdSettings from '../../components/Employees/EmployeeIdSettings'
+import CustomFieldsPanel from '../../components/CustomFields/CustomFieldsPanel'
 import { useAuth } from '../../contexts/AuthContext'
+import { usePermissions } from '../../hooks/usePermissions'
 import { useForm } from 'react-hook-form'
 import toast from 'react-hot-toast'
 
+const ROLES = ['ADMIN', 'HR', 'MANAGER', 'EMPLOYEE']
+const MFA_REQUIRED_ROLES_KEY = 'security.mfaRequiredRoles'
+const MAX_LOGIN_ATTEMPTS_KEY = 'security.maxLoginAttempts'
+const LOCKOUT_DURATION_KEY = 'security.lockoutDurationMinutes'
+const REGISTRATION_DOMAINS_KEY = 'security.registrationDomains'
+const INVITATION_EXPIRY_KEY = 'security.invitationExpiryHours'
+
+const PASSWORD_POLICY_TOGGLES = [
+  { key: 'security.passwordRequireUppercase', label: 'Require uppercase letters', defaultValue: true },
+  { key: 'security.passwordRequireLowercase', label: 'Require lowercase letters', defaultValue: true },
+  { key: 'security.passwordRequireNumber', label: 'Require numbers', defaultValue: true },
+  { key: 'security.passwordRequireSpecial', label: 'Require special characters', defaultValue: false },
+  { key: 'security.passwordBlockCommon', label: 'Reject common passwords', defaultValue: true }
+]
+
+const SSO_TOGGLES = [
+  { key: 'security.ssoEnabled', label: 'Enable single sign-on', defaultValue: false },
+  { key: 'security.ssoAutoProvision', label: 'Create accounts on first sign-in', defaultValue: true }
+]
+
+const SSO_FIELDS = [
+  { key: 'security.ssoIssuer', label: 'Issuer URL', placeholder: 'https://login.example.com' },
+  { key: 'security.ssoClientId', label: 'Client ID' },
+  { key: 'security.ssoRedirectUri', label: 'Redirect URI', placeholder: `${window.location.origin}/sso/callback`, hint: 'Register this address with the identity provider' },
+  { key: 'security.ssoScopes', label: 'Scopes', placeholder: 'openid,email,profile' },
+  { key: 'security.ssoGroupsClaim', label: 'Groups Claim', placeholder: 'groups' },
+  { key: 'security.ssoRoleMapping', label: 'Role Mapping', placeholder: 'hr-team=HR,people-leads=MANAGER', hint: 'Comma separated group=ROLE pairs; the highest matching role wins' },
+  { key: 'security.ssoDefaultRole', label: 'Default Role', placeholder: 'EMPLOYEE', hint: 'Role when no group matches' },
+  { key: 'security.ssoAllowedDomains', label: 'Allowed Email Domains', placeholder: 'example.com', hint: 'Leave empty to accept every domain' },
+  { key: 'security.ssoButtonLabel', label: 'Button Label', placeholder: 'Sign in with SSO' }
+]
+
+const PASSWORD_POLICY_NUMBERS = [
+  { key: 'security.passwordMinLength', label: 'Minimum Length', defaultValue: 8, min: 1 },
+  { key: 'security.passwordHistoryCount', label: 'Password History', defaultValue: 5, min: 0, hint: 'Previous passwords that cannot be reused' },
+  { key: 'security.passwordMaxAgeDays', label: 'Maximum Age (days)', defaultValue: 0, min: 0, hint: '0 means passwords never expire' }
+]
+
+const TABS = [
+  { id: 'general', name: 'General', icon: CogIcon, permission: 'settings:manage' },
+  { id: 'users', name: 'User Management', icon: UserIcon, permission: 'users:manage' },
+  { id: 'roles', name: 'Roles & Permissions', icon: KeyIcon, permission: 'roles:manage' },
+  { id: 'apiKeys', name: 'API Keys', icon: CommandLineIcon, permission: 'apiKeys:manage' },
+  { id: 'company', name: 'Company Settings', icon: BuildingOfficeIcon, permission: 'settings:manage' },
+  { id: 'customFields', name: 'Custom Fields', icon: AdjustmentsHorizontalIcon, permission: 'customFields:manage' },
+  { id: 'attendance', name: 'Attendance Settings', icon: ClockIcon, permission: 'settings:manage' },
+  { id: 'notifications', name: 'Notifications', icon: BellIcon, permission: 'settings:manage' },
+  { id: 'security', name: 'Security', icon: ShieldCheckIcon, permission: 'settings:manage' },
+]
+
 const Settings = () => {
-  const [activeTab, setActiveTab] = useState('general')
-  const { user, hasPermission } = useAuth()
+  const { user, impersonate } = useAuth()
+  const { can, canAccessSettings } = usePermissions()
+  const tabs = TABS.filter((tab) => can(tab.permission))
+  const [activeTab, setActiveTab] = useState(tabs[0]?.id)
+  const [sessionUserId, setSessionUserId] = useState('')
   const queryClient = useQueryClient()
 
   const {
@@ -25,23 +88,99 @@ const Settings = () => {
     formState: { errors },
   } = useForm()
 
-  const tabs = [
-    { id: 'general', name: 'General', icon: CogIcon },
-    { id: 'users', name: 'User Management', icon: UserIcon },
-    { id: 'company', name: 'Company Settings', icon: BuildingOfficeIcon },
-    { id: 'attendance', name: 'Attendance Settings', icon: ClockIcon },
-    { id: 'notifications', name: 'Notifications', icon: BellIcon },
-    { id: 'security', name: 'Security', icon: ShieldCheckIcon },
-  ]
-
   const { data: users, isLoading: usersLoading } = useQuery(
     'users',
     () => userAPI.getAll({ limit: 100 }),
     {
-      enabled: activeTab === 'users'
+      enabled: activeTab === 'users' || activeTab === 'security'
+    }
+  )
+
+  const { data: rolesData } = useQuery(
+    'roles',
+    () => roleAPI.getAll(),
+    {
+      enabled: activeTab === 'users' && can('roles:manage')
     }
   )
 
+  const customRoles = (rolesData?.data?.roles || []).filter((role) => !role.isSystem)
+
+  const { data: securitySettings } = useQuery(
+    ['settings', 'security'],
+    () => settingAPI.getAll({ category: 'security', limit: '100' }),
+    {
+      enabled: activeTab === 'security'
+    }
+  )
+
+  const getSecuritySetting = (key) =>
+    securitySettings?.data?.settings?.find((setting) => setting.key === key)?.value
+
+  const getBooleanSetting = (key, defaultValue) => {
+    const value = getSecuritySetting(key)
+    return value === undefined ? defaultValue : value === 'true'
+  }
+
+  const mfaRequiredRoles = (getSecuritySetting(MFA_REQUIRED_ROLES_KEY) || '')
+    .split(',')
+    .filter(Boolean)
+
+  const saveSettingMutation = useMutation(
+    ({ key, value }) => settingAPI.saveByKey(key, { value, category: 'security' }),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['settings', 'security'])
+        toast.success('Setting saved')
+      },
+      onError: (error) => {
+        toast.error(error.message || 'Failed to save setting')
+      }
+    }
+  )
+
+  const toggleMfaRequiredRole = (role) => {
+    const roles = mfaRequiredRoles.includes(role)
+      ? mfaRequiredRoles.filter((item) => item !== role)
+      : [...mfaRequiredRoles, role]
+    saveSettingMutation.mutate({ key: MFA_REQUIRED_ROLES_KEY, value: roles.join(',') })
+  }
+
+  const saveNumberSetting = (key, value, defaultValue) => {
+    if (value === '' || Number(value) === Number(getSecuritySetting(key) ?? defaultValue)) return
+    saveSettingMutation.mutate({ key, value: String(parseInt(value, 10)) })
+  }
+
+  const saveRegistrationDomains = (value) => {
+    const domains = value
+      .split(',')
+      .map((domain) => domain.trim().toLowerCase())
+      .filter(Boolean)
+      .join(',')
+    if (domains === (getSecuritySetting(REGISTRATION_DOMAINS_KEY) || '')) return
+    saveSettingMutation.mutate({ key: REGISTRATION_DOMAINS_KEY, value: domains })
+  }
+
+  const saveTextSetting = (key, value) => {
+    if (value.trim() === (getSecuritySetting(key) || '')) return
+    saveSettingMutation.mutate({ key, value: value.trim() })
+  }
+
+  const unlockUserMutation = useMutation(
+    (id) => userAPI.unlock(id),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('users')
+        toast.success('User unlocked')
+      },
+      onError: (error) => {
+        toast.error(error.message || 'Failed to unlock user')
+      }
+    }
+  )
+
+  const isLocked = (u) => u.lockedUntil && new Date(u.lockedUntil) > new Date()
+
   const updateUserMutation = useMutation(
     ({ id, data }) => userAPI.update(id, data),
     {
@@ -55,6 +194,20 @@ const Settings = () => {
     }
   )
 
+  const accessRoleMutation = useMutation(
+    ({ id, accessRoleId }) => userAPI.setAccessRole(id, accessRoleId),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('users')
+        queryClient.invalidateQueries('roles')
+        toast.success('User role updated')
+      },
+      onError: (error) => {
+        toast.error(error.message || 'Failed to update user role')
+      }
+    }
+  )
+
   const renderGeneralSettings = () => (
     <div className="space-y-6">
       <div className="card">
@@ -114,6 +267,7 @@ const Settings = () => {
     if (usersLoading) return <LoadingSpinner size="lg" />
 
     const usersList = users?.data?.users || []
+    const canImpersonate = user?.role === 'ADMIN' && !user?.impersonator
 
     return (
       <div className="space-y-6">
@@ -180,6 +334,22 @@ const Settings = () => {
                           <option value="HR">HR</option>
                           <option value="ADMIN">Admin</option>
                         </select>
+                        {customRoles.length > 0 && (
+                          <select
+                            className="ml-2 text-sm border-gray-300 rounded-md"
+                            value={user.accessRole?.id || ''}
+                            title="A custom role replaces the permissions of the built-in role"
+                            onChange={(e) => accessRoleMutation.mutate({
+                              id: user.id,
+                              accessRoleId: e.target.value || null
+                            })}
+                          >
+                            <option value="">No custom role</option>
+                            {customRoles.map((role) => (
+                              <option key={role.id} value={role.id}>{role.name}</option>
+                            ))}
+                          </select>
+                        )}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
@@ -189,6 +359,14 @@ const Settings = () => {
                         }`}>
                           {user.isActive ? 'Active' : 'Inactive'}
                         </span>
+                        {isLocked(user) && (
+                          <span
+                            className="ml-2 inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-yellow-100 text-yellow-800"
+                            title={`Locked until ${new Date(user.lockedUntil).toLocaleString()}`}
+                          >
+                            Locked
+                          </span>
+                        )}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                         {user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleDateString() : 'Never'}
@@ -207,6 +385,24 @@ const Settings = () => {
                         >
                           {user.isActive ? 'Deactivate' : 'Activate'}
                         </button>
+                        {isLocked(user) && (
+                          <button
+                            onClick={() => unlockUserMutation.mutate(user.id)}
+                            disabled={unlockUserMutation.isLoading}
+                            className="ml-4 text-primary-600 hover:text-primary-900"
+                          >
+                            Unlock
+                          </button>
+                        )}
+                        {canImpersonate && user.isActive && user.role !== 'ADMIN' && (
+                          <button
+                            onClick={() => impersonate(user.id)}
+                            className="ml-4 text-primary-600 hover:text-primary-900"
+                            title="See the application as this user"
+                          >
+                            View as
+                          </button>
+                        )}
                       </td>
                     </tr>
                   ))}
@@ -282,6 +478,8 @@ const Settings = () => {
           </div>
         </div>
       </div>
+
+      {can('employees:create') && <EmployeeIdSettings />}
     </div>
   )
 
@@ -469,45 +667,40 @@ const Settings = () => {
                 Password Policy
               </label>
               <div className="mt-2 space-y-2">
-                <div className="flex items-center">
-                  <input
-                    type="checkbox"
-                    className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
-                    defaultChecked
-                  />
-                  <label className="ml-2 block text-sm text-gray-900">
-                    Minimum 8 characters
-                  </label>
-                </div>
-                <div className="flex items-center">
-                  <input
-                    type="checkbox"
-                    className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
-                    defaultChecked
-                  />
-                  <label className="ml-2 block text-sm text-gray-900">
-                    Require uppercase letters
-                  </label>
-                </div>
-                <div className="flex items-center">
-                  <input
-                    type="checkbox"
-                    className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
-                    defaultChecked
-                  />
-                  <label className="ml-2 block text-sm text-gray-900">
-                    Require numbers
-                  </label>
-                </div>
-                <div className="flex items-center">
-                  <input
-                    type="checkbox"
-                    className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
-                  />
-                  <label className="ml-2 block text-sm text-gray-900">
-                    Require special characters
-                  </label>
-                </div>
+                {PASSWORD_POLICY_TOGGLES.map(({ key, label, defaultValue }) => (
+                  <div key={key} className="flex items-center">
+                    <input
+                      id={key}
+                      type="checkbox"
+                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                      checked={getBooleanSetting(key, defaultValue)}
+                      disabled={saveSettingMutation.isLoading}
+                      onChange={(e) => saveSettingMutation.mutate({ key, value: String(e.target.checked) })}
+                    />
+                    <label htmlFor={key} className="ml-2 block text-sm text-gray-900">
+                      {label}
+                    </label>
+                  </div>
+                ))}
+              </div>
+              <div className="mt-4 grid grid-cols-1 gap-4 sm:grid-cols-3">
+                {PASSWORD_POLICY_NUMBERS.map(({ key, label, defaultValue, min, hint }) => (
+                  <div key={key}>
+                    <label htmlFor={key} className="block text-sm font-medium text-gray-700">
+                      {label}
+                    </label>
+                    <input
+                      id={key}
+                      key={`${key}-${getSecuritySetting(key)}`}
+                      type="number"
+                      min={min}
+                      className="input mt-1"
+                      defaultValue={getSecuritySetting(key) ?? defaultValue}
+                      onBlur={(e) => saveNumberSetting(key, e.target.value, defaultValue)}
+                    />
+                    {hint && <p className="mt-1 text-xs text-gray-500">{hint}</p>}
+                  </div>
+                ))}
               </div>
             </div>
             <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
@@ -526,29 +719,166 @@ const Settings = () => {
                   Max Login Attempts
                 </label>
                 <input
+                  key={`max-attempts-${getSecuritySetting(MAX_LOGIN_ATTEMPTS_KEY)}`}
+                  type="number"
+                  min="0"
+                  className="input mt-1"
+                  defaultValue={getSecuritySetting(MAX_LOGIN_ATTEMPTS_KEY) || '5'}
+                  onBlur={(e) => saveNumberSetting(MAX_LOGIN_ATTEMPTS_KEY, e.target.value, 5)}
+                />
+                <p className="mt-1 text-xs text-gray-500">0 disables account lockout</p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">
+                  Lockout Duration (minutes)
+                </label>
+                <input
+                  key={`lockout-${getSecuritySetting(LOCKOUT_DURATION_KEY)}`}
                   type="number"
+                  min="1"
                   className="input mt-1"
-                  defaultValue="5"
+                  defaultValue={getSecuritySetting(LOCKOUT_DURATION_KEY) || '15'}
+                  onBlur={(e) => saveNumberSetting(LOCKOUT_DURATION_KEY, e.target.value, 15)}
                 />
+                <p className="mt-1 text-xs text-gray-500">Doubles with each repeated lockout</p>
               </div>
             </div>
-            <div className="flex items-center">
-              <input
-                type="checkbox"
-                className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
-                defaultChecked
-              />
-              <label className="ml-2 block text-sm text-gray-900">
-                Enable two-factor authentication
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">
+                  Self-registration Domains
+                </label>
+                <input
+                  key={`registration-domains-${getSecuritySetting(REGISTRATION_DOMAINS_KEY)}`}
+                  type="text"
+                  className="input mt-1"
+                  placeholder="example.com, example.org"
+                  defaultValue={getSecuritySetting(REGISTRATION_DOMAINS_KEY) || ''}
+                  onBlur={(e) => saveRegistrationDomains(e.target.value)}
+                />
+                <p className="mt-1 text-xs text-gray-500">Leave empty to allow accounts only through invitations</p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">
+                  Invitation Expiry (hours)
+                </label>
+                <input
+                  key={`invitation-expiry-${getSecuritySetting(INVITATION_EXPIRY_KEY)}`}
+                  type="number"
+                  min="1"
+                  className="input mt-1"
+                  defaultValue={getSecuritySetting(INVITATION_EXPIRY_KEY) || '72'}
+                  onBlur={(e) => saveNumberSetting(INVITATION_EXPIRY_KEY, e.target.value, 72)}
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">
+                Require two-factor authentication for
               </label>
+              <p className="text-sm text-gray-500">
+                Users in these roles must set up an authenticator app at their next sign-in.
+              </p>
+              <div className="mt-2 space-y-2">
+                {ROLES.map((role) => (
+                  <div key={role} className="flex items-center">
+                    <input
+                      id={`mfa-role-${role}`}
+                      type="checkbox"
+                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                      checked={mfaRequiredRoles.includes(role)}
+                      disabled={saveSettingMutation.isLoading}
+                      onChange={() => toggleMfaRequiredRole(role)}
+                    />
+                    <label htmlFor={`mfa-role-${role}`} className="ml-2 block text-sm text-gray-900">
+                      {role}
+                    </label>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3 className="text-lg font-medium text-gray-900">Single Sign-On (OpenID Connect)</h3>
+          <p className="text-sm text-gray-500">
+            The client secret is read from the OIDC_CLIENT_SECRET environment variable of the server.
+          </p>
+        </div>
+        <div className="card-content">
+          <div className="space-y-4">
+            <div className="space-y-2">
+              {SSO_TOGGLES.map(({ key, label, defaultValue }) => (
+                <div key={key} className="flex items-center">
+                  <input
+                    id={key}
+                    type="checkbox"
+                    className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                    checked={getBooleanSetting(key, defaultValue)}
+                    disabled={saveSettingMutation.isLoading}
+                    onChange={(e) => saveSettingMutation.mutate({ key, value: String(e.target.checked) })}
+                  />
+                  <label htmlFor={key} className="ml-2 block text-sm text-gray-900">
+                    {label}
+                  </label>
+                </div>
+              ))}
+            </div>
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+              {SSO_FIELDS.map(({ key, label, placeholder, hint }) => (
+                <div key={key}>
+                  <label htmlFor={key} className="block text-sm font-medium text-gray-700">
+                    {label}
+                  </label>
+                  <input
+                    id={key}
+                    key={`${key}-${getSecuritySetting(key)}`}
+                    type="text"
+                    className="input mt-1"
+                    placeholder={placeholder}
+                    defaultValue={getSecuritySetting(key) || ''}
+                    onBlur={(e) => saveTextSetting(key, e.target.value)}
+                  />
+                  {hint && <p className="mt-1 text-xs text-gray-500">{hint}</p>}
+                </div>
+              ))}
             </div>
           </div>
         </div>
       </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3 className="text-lg font-medium text-gray-900">User Sessions & Sign-in History</h3>
+        </div>
+        <div className="card-content">
+          <label className="block text-sm font-medium text-gray-700">
+            User
+          </label>
+          <select
+            className="input mt-1"
+            value={sessionUserId}
+            onChange={(e) => setSessionUserId(e.target.value)}
+          >
+            <option value="">Select a user...</option>
+            {(users?.data?.users || []).map((u) => (
+              <option key={u.id} value={u.id}>
+                {u.employee ? `${u.employee.firstName} ${u.employee.lastName} (${u.email})` : u.email}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {sessionUserId && <SessionsPanel userId={sessionUserId} />}
+      {sessionUserId && <LoginAttemptsPanel userId={sessionUserId} />}
     </div>
   )
 
-  if (!hasPermission(['ADMIN'])) {
+  if (!canAccessSettings()) {
     return (
       <div className="text-center py-12">
         <CogIcon className="mx-auto h-12 w-12 text-gray-400" />
@@ -598,7 +928,10 @@ const Settings = () => {
         <div className="flex-1 mt-6 lg:mt-0">
           {activeTab === 'general' && renderGeneralSettings()}
           {activeTab === 'users' && renderUserManagement()}
+          {activeTab === 'roles' && <RolesPanel />}
+          {activeTab === 'apiKeys' && <ApiKeysPanel />}
           {activeTab === 'company' && renderCompanySettings()}
+          {activeTab === 'customFields' && <CustomFieldsPanel />}
           {activeTab === 'attendance' && renderAttendanceSettings()}
           {activeTab === 'notifications' && renderNotificationSettings()}
           {activeTab === 'security' && renderSecuritySettings()}
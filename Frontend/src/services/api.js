@@ -25,6 +25,9 @@ api.interceptors.request.use(
     // Optional: Add unique request ID
     config.headers['X-Request-ID'] = crypto.randomUUID();
 
+    // Which employees count as the manager's team
+    config.headers['X-Team-Scope'] = teamScopeStorage.get();
+
     return config;
   },
   (error) => {
@@ -46,6 +49,10 @@ api.interceptors.response.use(
       return retryRequest(originalConfig);
     }
 
+    if (shouldRefresh(error)) {
+      return refreshAndRetry(originalConfig, error);
+    }
+
     return handleApiError(error);
   }
 );
@@ -63,14 +70,60 @@ async function retryRequest(config) {
   return api(config);
 }
 
+// ======================= REFRESH TOKEN ROTATION =======================
+// Refresh tokens are single-use, so concurrent 401s must share one refresh call;
+// sending the same token twice would be treated as reuse and end the session.
+let refreshPromise = null;
+
+function shouldRefresh(error) {
+  const { config, response } = error;
+  return response?.status === 401 &&
+         !config.skipAuthRefresh &&
+         !config.authRetried &&
+         !!localStorage.getItem('refreshToken');
+}
+
+function refreshTokens() {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(
+        `${API_BASE_URL}/auth/refresh`,
+        { refreshToken: localStorage.getItem('refreshToken') },
+        { withCredentials: true }
+      )
+      .then(({ data }) => {
+        const { accessToken, refreshToken } = data.data;
+        localStorage.setItem('accessToken', accessToken);
+        localStorage.setItem('refreshToken', refreshToken);
+        return accessToken;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+}
+
+async function refreshAndRetry(config, error) {
+  config.authRetried = true;
+  try {
+    await refreshTokens();
+  } catch {
+    return handleApiError(error);
+  }
+  return api(config);
+}
+
 function handleApiError(error) {
-  const { response } = error;
+  const { config, response } = error;
 
   if (!response) {
     return Promise.reject(new Error('Network error. Please check your connection.'));
   }
 
-  if (response.status === 401) {
+  // A 401 from the auth endpoints themselves (wrong password, wrong code) is
+  // shown on the login page rather than ending the session
+  if (response.status === 401 && !config?.skipAuthRefresh) {
     handleUnauthorized();
   } else if (response.status === 403) {
     console.error('Access forbidden:', response.data?.message);
@@ -78,18 +131,66 @@ function handleApiError(error) {
 
   return Promise.reject({
     status: response.status,
-    message: response.data?.message || error.message,
-    errors: response.data?.errors,
+    message: response.data?.message || response.data?.error || error.message,
+    errors: response.data?.errors || response.data?.details,
     code: response.data?.code
   });
 }
 
 function handleUnauthorized() {
+  // An expired impersonation returns to the admin's own session
+  if (impersonationStorage.end()) {
+    window.location.href = '/';
+    return;
+  }
   localStorage.removeItem('accessToken');
   localStorage.removeItem('refreshToken');
   window.location.href = `/login?redirect=${encodeURIComponent(window.location.pathname)}`;
 }
 
+// ======================= IMPERSONATION =======================
+// While an admin views as another user, their own tokens are parked here and
+// the short-lived impersonation token is used as the access token.
+const IMPERSONATOR_TOKENS_KEY = 'impersonatorTokens';
+
+export const impersonationStorage = {
+  start(accessToken) {
+    localStorage.setItem(IMPERSONATOR_TOKENS_KEY, JSON.stringify({
+      accessToken: localStorage.getItem('accessToken'),
+      refreshToken: localStorage.getItem('refreshToken')
+    }));
+    localStorage.setItem('accessToken', accessToken);
+    localStorage.removeItem('refreshToken');
+  },
+
+  // Restores the admin's tokens; false when no impersonation was active
+  end() {
+    const saved = localStorage.getItem(IMPERSONATOR_TOKENS_KEY);
+    if (!saved) return false;
+
+    const { accessToken, refreshToken } = JSON.parse(saved);
+    localStorage.setItem('accessToken', accessToken);
+    localStorage.setItem('refreshToken', refreshToken);
+    localStorage.removeItem(IMPERSONATOR_TOKENS_KEY);
+    return true;
+  }
+};
+
+// ======================= TEAM SCOPE =======================
+// Managers see their whole reporting chain by default and can narrow their
+// team to direct reports; the choice is kept per browser.
+const TEAM_SCOPE_KEY = 'teamScope';
+
+export const teamScopeStorage = {
+  get() {
+    return localStorage.getItem(TEAM_SCOPE_KEY) === 'direct' ? 'direct' : 'all';
+  },
+
+  set(scope) {
+    localStorage.setItem(TEAM_SCOPE_KEY, scope);
+  }
+};
+
 // ======================= HELPER METHODS =======================
 export const get = (url, config = {}) => api.get(url, config);
 export const post = (url, data, config = {}) => api.post(url, data, config);
@@ -101,10 +202,31 @@ export const del = (url, config = {}) => api.delete(url, config);
 
 // Auth API
 export const authAPI = {
-  login: (credentials) => post('/auth/login', credentials),
-  register: (userData) => post('/auth/register', userData),
+  login: (credentials) => post('/auth/login', credentials, { skipAuthRefresh: true }),
+  register: (userData) => post('/auth/register', userData, { skipAuthRefresh: true }),
   me: () => get('/auth/me'),
-  logout: () => post('/auth/logout')
+  refresh: (refreshToken) => post('/auth/refresh', { refreshToken }, { skipAuthRefresh: true }),
+  logout: (refreshToken) => post('/auth/logout', { refreshToken }, { skipAuthRefresh: true }),
+  logoutAll: () => post('/auth/logout-all'),
+  passwordPolicy: () => get('/auth/password-policy', { skipAuthRefresh: true }),
+  changeExpiredPassword: (data) => post('/auth/password/expired', data, { skipAuthRefresh: true }),
+  // Single sign-on
+  ssoConfig: () => get('/auth/sso/config', { skipAuthRefresh: true }),
+  ssoStart: () => post('/auth/sso/start', null, { skipAuthRefresh: true }),
+  ssoCallback: (data) => post('/auth/sso/callback', data, { skipAuthRefresh: true }),
+  // Impersonation
+  impersonate: (userId) => post('/auth/impersonate', { userId }),
+  exitImpersonation: () => post('/auth/impersonate/exit', null, { skipAuthRefresh: true }),
+  // Invitations
+  getInvitation: (token) => get(`/auth/invitations/${encodeURIComponent(token)}`, { skipAuthRefresh: true }),
+  acceptInvitation: (data) => post('/auth/invitations/accept', data, { skipAuthRefresh: true }),
+  // Two-factor authentication
+  verifyMfa: (data) => post('/auth/login/mfa', data, { skipAuthRefresh: true }),
+  mfaStatus: () => get('/auth/mfa'),
+  mfaSetup: (mfaToken) => post('/auth/mfa/setup', { mfaToken }, { skipAuthRefresh: !!mfaToken }),
+  mfaEnable: (data) => post('/auth/mfa/enable', data, { skipAuthRefresh: !!data.mfaToken }),
+  mfaDisable: (data) => post('/auth/mfa/disable', data),
+  regenerateRecoveryCodes: (code) => post('/auth/mfa/recovery-codes', { code })
 };
 
 // Employee API
@@ -113,7 +235,31 @@ export const employeeAPI = {
   getById: (id) => get(`/employees/${id}`),
   create: (data) => post('/employees', data),
   update: (id, data) => put(`/employees/${id}`, data),
-  delete: (id) => del(`/employees/${id}`)
+  delete: (id) => del(`/employees/${id}`),
+  reveal: (id, fields) => post(`/employees/${id}/reveal`, { fields }),
+  invite: (id, data) => post(`/employees/${id}/invitation`, data),
+  revokeInvitation: (id) => del(`/employees/${id}/invitation`),
+  getHistory: (id, params) => get(`/employees/${id}/history`, { params }),
+  recordChange: (id, data) => post(`/employees/${id}/history`, data),
+  cancelChange: (id, recordId) => del(`/employees/${id}/history/${recordId}`),
+  getTermination: (id) => get(`/employees/${id}/termination`),
+  previewTermination: (id, data) => post(`/employees/${id}/termination/preview`, data),
+  terminate: (id, data) => post(`/employees/${id}/termination`, data),
+  cancelTermination: (id) => del(`/employees/${id}/termination`),
+  getIdPreview: (params) => get('/employees/id-preview', { params }),
+  findDuplicates: (params) => get('/employees/duplicates', { params }),
+  previewMerge: (data) => post('/employees/merge/preview', data),
+  merge: (data) => post('/employees/merge', data),
+  exportEmployees: (params) => get('/employees/export', { params, responseType: 'blob', timeout: 120000 }),
+  importEmployees: (file, { dryRun }) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return post('/employees/import', formData, {
+      params: { dryRun },
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 120000
+    });
+  }
 };
 
 // Department API
@@ -150,7 +296,12 @@ export const leaveAPI = {
   getBalances: (params) => get('/leave-balances', { params }),
   createBalance: (data) => post('/leave-balances', data),
   updateBalance: (id, data) => put(`/leave-balances/${id}`, data),
-  deleteBalance: (id) => del(`/leave-balances/${id}`)
+  deleteBalance: (id) => del(`/leave-balances/${id}`),
+  // Approval delegations
+  getDelegations: () => get('/approval-delegations'),
+  getDelegationCandidates: (params) => get('/approval-delegations/candidates', { params }),
+  createDelegation: (data) => post('/approval-delegations', data),
+  revokeDelegation: (id) => del(`/approval-delegations/${id}`)
 };
 
 // Payroll API
@@ -224,7 +375,77 @@ export const userAPI = {
   update: (id, data) => put(`/users/${id}`, data),
   delete: (id) => del(`/users/${id}`),
   changePassword: (data) => patch('/users/change-password', data),
-  getActivity: (id, params) => get(`/users/${id}/activity`, { params })
+  getActivity: (id, params) => get(`/users/${id}/activity`, { params }),
+  getSessions: (id) => get(`/users/${id}/sessions`),
+  revokeSession: (id, sessionId) => del(`/users/${id}/sessions/${sessionId}`),
+  revokeAllSessions: (id) => del(`/users/${id}/sessions`),
+  getLoginAttempts: (id, params) => get(`/users/${id}/login-attempts`, { params }),
+  unlock: (id) => post(`/users/${id}/unlock`),
+  setAccessRole: (id, accessRoleId) => put(`/users/${id}/access-role`, { accessRoleId })
+};
+
+// Role API
+export const roleAPI = {
+  getAll: () => get('/roles'),
+  getById: (id) => get(`/roles/${id}`),
+  getCatalog: () => get('/roles/catalog'),
+  getMine: () => get('/roles/me'),
+  create: (data) => post('/roles', data),
+  update: (id, data) => put(`/roles/${id}`, data),
+  delete: (id) => del(`/roles/${id}`)
+};
+
+// API key API
+export const apiKeyAPI = {
+  getAll: () => get('/api-keys'),
+  getCatalog: () => get('/api-keys/catalog'),
+  create: (data) => post('/api-keys', data),
+  revoke: (id) => del(`/api-keys/${id}`)
+};
+
+// Setting API
+export const settingAPI = {
+  getAll: (params) => get('/settings', { params }),
+  saveByKey: (key, data) => put(`/settings/key/${encodeURIComponent(key)}`, data)
+};
+
+// Org chart API
+export const orgChartAPI = {
+  getEmployees: (params) => get('/org-chart/employees', { params }),
+  getEmployee: (id, params) => get(`/org-chart/employees/${id}`, { params }),
+  getDepartments: (params) => get('/org-chart/departments', { params }),
+  getDepartment: (id, params) => get(`/org-chart/departments/${id}`, { params }),
+  search: (q) => get('/org-chart/search', { params: { q } })
+};
+
+// Custom field API
+export const customFieldAPI = {
+  getAll: (params) => get('/custom-fields', { params }),
+  create: (data) => post('/custom-fields', data),
+  update: (id, data) => put(`/custom-fields/${id}`, data),
+  delete: (id) => del(`/custom-fields/${id}`)
+};
+
+// Offboarding template API
+export const offboardingTemplateAPI = {
+  getAll: (params) => get('/offboarding-templates', { params })
+};
+
+// Probation API
+export const probationAPI = {
+  getAll: (params) => get('/probation', { params }),
+  getSummary: () => get('/probation/summary'),
+  getReviews: (employeeId) => get(`/probation/employees/${employeeId}/reviews`),
+  decide: (employeeId, data) => post(`/probation/employees/${employeeId}/decision`, data)
+};
+
+// Profile change API
+export const profileChangeAPI = {
+  getMine: () => get('/profile-changes/mine'),
+  submit: (data) => post('/profile-changes', data),
+  cancel: (id) => post(`/profile-changes/${id}/cancel`),
+  getAll: (params) => get('/profile-changes', { params }),
+  review: (id, data) => post(`/profile-changes/${id}/review`, data)
 };
 
 // ======================= DEFAULT EXPORT =======================
@@ -0,0 +1,61 @@
+// Save an on-screen <svg> element as an SVG or PNG file. The element must be
+// self-contained: colors and fonts set as attributes, no external images.
+
+const serialize = (svg) => {
+  const clone = svg.cloneNode(true)
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg')
+  clone.setAttribute('width', svg.viewBox.baseVal.width)
+  clone.setAttribute('height', svg.viewBox.baseVal.height)
+  return new XMLSerializer().serializeToString(clone)
+}
+
+const download = (blob, filename) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+export const downloadSvg = (svg, filename) => {
+  download(new Blob([serialize(svg)], { type: 'image/svg+xml;charset=utf-8' }), filename)
+}
+
+/**
+ * Render the SVG onto a canvas and save it as PNG
+ * @param {SVGSVGElement} svg - Element to export
+ * @param {string} filename - Name of the downloaded file
+ * @param {number} scale - Pixel ratio of the image
+ */
+export const downloadPng = (svg, filename, scale = 2) => new Promise((resolve, reject) => {
+  const { width, height } = svg.viewBox.baseVal
+  const url = URL.createObjectURL(new Blob([serialize(svg)], { type: 'image/svg+xml;charset=utf-8' }))
+  const image = new Image()
+
+  image.onload = () => {
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.ceil(width * scale)
+    canvas.height = Math.ceil(height * scale)
+    const context = canvas.getContext('2d')
+    context.fillStyle = '#ffffff'
+    context.fillRect(0, 0, canvas.width, canvas.height)
+    context.scale(scale, scale)
+    context.drawImage(image, 0, 0, width, height)
+    URL.revokeObjectURL(url)
+
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error('The chart is too large to export as PNG'))
+        return
+      }
+      download(blob, filename)
+      resolve()
+    }, 'image/png')
+  }
+  image.onerror = () => {
+    URL.revokeObjectURL(url)
+    reject(new Error('Failed to render the chart'))
+  }
+  image.src = url
+})